@@ -0,0 +1,163 @@
+// grader/anchoring.js
+// Places each detected error on the right span of the essay.
+//
+// Detection returns error_text, not offsets (GPT's offsets were unreliable),
+// and the old anchoring was `studentText.indexOf(errorText)` — so an error
+// on the second "the" or the third "is" always landed on the first one.
+// Detection now also returns a few words of context on each side and which
+// occurrence of the text it means; anchoring uses those, in order:
+//
+//   unique       the text occurs once — nothing to decide
+//   context      the occurrence whose surrounding words best match the
+//                context_before / context_after the detector gave
+//   occurrence   the detector's 1-based occurrence index, when the context
+//                doesn't single one out
+//   first        several candidates and nothing to choose between them: the
+//                first, flagged so the teacher can tell
+//
+// Text is matched exactly, then ignoring case and whitespace differences,
+// preferring whole words. An error whose text isn't in the essay at all is returned
+// as unresolved, with the reason, rather than pinned to offset 0 or dropped.
+
+const CONTEXT_WORDS = 4;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function contextWords(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+const WORD_CHAR = /[\p{L}\p{N}']/u;
+
+/** True when the span doesn't start or end in the middle of a word. */
+function onWordBoundaries(text, start, end) {
+  const edge = (inside, outside) => !WORD_CHAR.test(inside || '') || !WORD_CHAR.test(outside || '');
+  return edge(text[start], text[start - 1]) && edge(text[end - 1], text[end]);
+}
+
+/**
+ * Every occurrence of `needle`, trying exact, case-insensitive and
+ * whitespace-tolerant matching in turn. Whole-word occurrences are preferred:
+ * "the" means the word, not the start of "there" — unless it only occurs
+ * inside other words.
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findCandidates(text, needle) {
+  const wholeWords = found => {
+    const bounded = found.filter(c => onWordBoundaries(text, c.start, c.end));
+    return bounded.length ? bounded : found;
+  };
+
+  const exact = [];
+  for (let i = text.indexOf(needle); i !== -1; i = text.indexOf(needle, i + 1)) {
+    exact.push({ start: i, end: i + needle.length });
+  }
+  if (exact.length) return wholeWords(exact);
+
+  const words = needle.trim().split(/\s+/).map(escapeRegExp);
+  const re = new RegExp(words.join('\\s+'), 'giu');
+  const found = [...text.matchAll(re)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+  return wholeWords(found);
+}
+
+/**
+ * How well the words around a candidate match the detector's context:
+ * the number of context words that agree, counted outward from the span.
+ */
+function contextScore(text, candidate, before, after) {
+  const preceding = contextWords(text.slice(Math.max(0, candidate.start - 200), candidate.start)).slice(-CONTEXT_WORDS);
+  const following = contextWords(text.slice(candidate.end, candidate.end + 200)).slice(0, CONTEXT_WORDS);
+  let score = 0;
+  for (let i = 1; i <= before.length && i <= preceding.length; i++) {
+    if (before[before.length - i] !== preceding[preceding.length - i]) break;
+    score++;
+  }
+  for (let i = 0; i < after.length && i < following.length; i++) {
+    if (after[i] !== following[i]) break;
+    score++;
+  }
+  return score;
+}
+
+/**
+ * Anchor one detected error.
+ *
+ * @param {string} text - the essay
+ * @param {Object} error - { error_text, context_before?, context_after?, occurrence? }
+ * @returns {{start: number, end: number, method: string, candidates: number}|{unresolved: string}}
+ */
+function anchorError(text, error) {
+  const needle = String(error.error_text || '');
+  if (!needle.trim()) return { unresolved: 'empty' };
+
+  const candidates = findCandidates(text, needle);
+  if (candidates.length === 0) return { unresolved: 'not_found' };
+  const pick = (candidate, method) => ({ ...candidate, method, candidates: candidates.length });
+  if (candidates.length === 1) return pick(candidates[0], 'unique');
+
+  const before = contextWords(error.context_before).slice(-CONTEXT_WORDS);
+  const after = contextWords(error.context_after).slice(0, CONTEXT_WORDS);
+  if (before.length || after.length) {
+    const scores = candidates.map(c => contextScore(text, c, before, after));
+    const best = Math.max(...scores);
+    const leaders = candidates.filter((_, i) => scores[i] === best);
+    if (best > 0 && leaders.length === 1) return pick(leaders[0], 'context');
+  }
+
+  const occurrence = Number(error.occurrence);
+  if (Number.isInteger(occurrence) && occurrence >= 1 && occurrence <= candidates.length) {
+    return pick(candidates[occurrence - 1], 'occurrence');
+  }
+
+  return pick(candidates[0], 'first');
+}
+
+/**
+ * Anchor a detection run's errors.
+ *
+ * @param {Array<Object>} errors - detection output ({ category, error_text, correction, ... })
+ * @param {string} text - the essay
+ * @returns {{inline_issues: Array<Object>, unresolved: Array<Object>}}
+ *   inline_issues carry { category, text, start, end, correction,
+ *   explanation, anchor: { method, candidates } }; unresolved carry the
+ *   error's fields plus `reason`.
+ */
+function anchorErrors(errors, text) {
+  const inline_issues = [];
+  const unresolved = [];
+
+  for (const error of errors || []) {
+    const anchor = anchorError(text, error);
+    if (anchor.unresolved) {
+      console.warn(`⚠️  Could not anchor error "${error.error_text}" (${anchor.unresolved})`);
+      unresolved.push({
+        category: error.category,
+        text: error.error_text,
+        correction: error.correction,
+        explanation: error.explanation,
+        reason: anchor.unresolved,
+      });
+      continue;
+    }
+    inline_issues.push({
+      category: error.category,
+      text: text.slice(anchor.start, anchor.end),
+      start: anchor.start,
+      end: anchor.end,
+      correction: error.correction,
+      explanation: error.explanation,
+      anchor: { method: anchor.method, candidates: anchor.candidates },
+    });
+  }
+
+  return { inline_issues, unresolved };
+}
+
+export {
+  CONTEXT_WORDS,
+  findCandidates,
+  anchorError,
+  anchorErrors,
+};
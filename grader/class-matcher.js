@@ -0,0 +1,410 @@
+// grader/class-matcher.js
+// Finds the class profile's vocabulary and grammar structures in an essay,
+// in code, with character offsets.
+//
+// The metrics pass used to ask GPT to count class_vocabulary_used with fuzzy
+// rules (inflections, affixes, British/American spelling, misspellings) and
+// it miscounted — the same essay got different vocabulary bands on repeat
+// grades (IDEAS.md, "Grading Inconsistency"). Here the same rules are applied
+// deterministically:
+//
+//   inflections    negotiate → negotiates, negotiated, negotiating
+//                  business → businesses, responsibility → responsibilities
+//                  big → bigger, biggest; company → company's, companies'
+//   derivations    negotiate → negotiation, important → importantly,
+//                  employ → employment, unemployed
+//   spelling       organise/organize, colour/color, centre/center
+//   misspellings   one letter off, for words of 6+ letters
+//
+// There is no dictionary: a word's possible bases are generated by stripping
+// suffixes and prefixes, and the word matches an item when one of its bases
+// is the item (or both share an inflectional base). That over-matches the
+// odd pair (caring → car) but is stable, which is what banding needs.
+//
+// Grammar structures are matched two ways. Named structures ("present
+// perfect", "passive voice", "second conditional") have a pattern each;
+// pattern-like items ("used to + infinitive", "not only ... but also") match
+// their literal words in order within a sentence. Items that are neither
+// (free descriptions like "reported speech with tense backshift") come back
+// as `unrecognized` — the metrics pass still asks GPT about those.
+
+const MIN_BASE_LENGTH = 3;
+
+// Word → base, for forms the suffix rules can't reach.
+const IRREGULAR_FORMS = {
+  went: 'go', gone: 'go', goes: 'go',
+  was: 'be', were: 'be', been: 'be', is: 'be', are: 'be', am: 'be',
+  had: 'have', has: 'have',
+  did: 'do', done: 'do', does: 'do',
+  made: 'make', took: 'take', taken: 'take', gave: 'give', given: 'give',
+  got: 'get', gotten: 'get', came: 'come', saw: 'see', seen: 'see',
+  knew: 'know', known: 'know', thought: 'think', told: 'tell', said: 'say',
+  found: 'find', left: 'leave', felt: 'feel', kept: 'keep', brought: 'bring',
+  bought: 'buy', caught: 'catch', taught: 'teach', sought: 'seek',
+  began: 'begin', begun: 'begin', wrote: 'write', written: 'write',
+  spoke: 'speak', spoken: 'speak', chose: 'choose', chosen: 'choose',
+  grew: 'grow', grown: 'grow', rose: 'rise', risen: 'rise', fell: 'fall',
+  fallen: 'fall', drove: 'drive', driven: 'drive', ate: 'eat', eaten: 'eat',
+  met: 'meet', paid: 'pay', sold: 'sell', sent: 'send', spent: 'spend',
+  built: 'build', lost: 'lose', won: 'win', led: 'lead', held: 'hold',
+  stood: 'stand', understood: 'understand', ran: 'run', sat: 'sit',
+  slept: 'sleep', swam: 'swim', flew: 'fly', flown: 'fly', drew: 'draw',
+  drawn: 'draw', forgot: 'forget', forgotten: 'forget', became: 'become',
+  children: 'child', people: 'person', men: 'man', women: 'woman',
+  feet: 'foot', teeth: 'tooth', mice: 'mouse', lives: 'life', wives: 'wife',
+  better: 'good', best: 'good', worse: 'bad', worst: 'bad',
+};
+
+const PREFIXES = ['under', 'over', 'non', 'dis', 'mis', 'pre', 'un', 're', 'in', 'im', 'il', 'ir', 'co'];
+
+// [suffix, replacements] — each replacement is appended to the stripped stem.
+// 'undouble' also tries the stem with a doubled final consonant removed
+// (stopped → stop, bigger → big).
+const INFLECTIONS = [
+  ["'s", ['']], ["s'", ['s', '']], ['ies', ['y']], ['es', ['', 'e']], ['s', ['']],
+  ['ied', ['y']], ['ed', ['', 'e', 'undouble']], ['ing', ['', 'e', 'undouble']],
+  ['ier', ['y']], ['iest', ['y']], ['er', ['', 'e', 'undouble']], ['est', ['', 'e', 'undouble']],
+];
+const DERIVATIONS = [
+  ['ically', ['ic', 'ical']], ['ily', ['y']], ['ly', ['']], ['iness', ['y']], ['ness', ['']],
+  ['ment', ['']], ['ation', ['', 'e', 'ate']], ['ition', ['', 'e']], ['tion', ['te', 't', 'e']],
+  ['sion', ['d', 'de', 't']], ['ility', ['le']], ['ality', ['al']], ['ity', ['', 'e']],
+  ['able', ['', 'e']], ['ible', ['', 'e']], ['ive', ['', 'e']], ['ial', ['']], ['al', ['', 'e']],
+  ['ful', ['']], ['less', ['']], ['or', ['', 'e']], ['ance', ['', 'e']], ['ence', ['', 'e']],
+  ['ant', ['', 'e']], ['ent', ['', 'e']],
+];
+
+/**
+ * Canonical spelling, applied to essay words and items alike so the British
+ * and American forms meet: -ize/-ise, -yze/-yse, -or/-our, -er/-re, -og/-ogue.
+ */
+function canonicalSpelling(word) {
+  let w = word.toLowerCase().replace(/[’‘]/g, "'");
+  w = w.replace(/iz(e|es|ed|ing|ation|ations|er|ers)$/, 'is$1');
+  w = w.replace(/yz(e|es|ed|ing)$/, 'ys$1');
+  w = w.replace(/ogue(s?)$/, 'og$1');
+  if (w.length >= 6) w = w.replace(/our(s|ed|ing|ite|ites|able|ful)?$/, 'or$1');
+  w = w.replace(/([cbt])re(s?)$/, '$1er$2');
+  return w;
+}
+
+function undouble(stem) {
+  return /([b-df-hj-np-tv-z])\1$/.test(stem) ? stem.slice(0, -1) : null;
+}
+
+function stripSuffixes(word, rules) {
+  const bases = [];
+  for (const [suffix, replacements] of rules) {
+    if (!word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    for (const r of replacements) {
+      const base = r === 'undouble' ? undouble(stem) : stem + r;
+      if (base && base.length >= MIN_BASE_LENGTH) bases.push(base);
+    }
+  }
+  return bases;
+}
+
+/** The word and its inflectional bases (plural, tense, comparison, possessive). */
+function inflectionalBases(word) {
+  const w = canonicalSpelling(word);
+  const bases = new Set([w]);
+  if (IRREGULAR_FORMS[w]) bases.add(IRREGULAR_FORMS[w]);
+  for (const base of stripSuffixes(w, INFLECTIONS)) bases.add(base);
+  return bases;
+}
+
+/**
+ * Every base a word could come from: inflections, then derivational
+ * suffixes and prefixes, two levels deep (negotiations → negotiation →
+ * negotiate, unemployment → employment → employ).
+ */
+function allBases(word) {
+  const bases = inflectionalBases(word);
+  let frontier = [...bases];
+  for (let depth = 0; depth < 2; depth++) {
+    const next = [];
+    for (const w of frontier) {
+      const derived = [...stripSuffixes(w, DERIVATIONS), ...stripSuffixes(w, INFLECTIONS)];
+      for (const prefix of PREFIXES) {
+        if (w.startsWith(prefix) && w.length - prefix.length >= 4) derived.push(w.slice(prefix.length));
+      }
+      for (const base of derived) {
+        if (!bases.has(base)) {
+          bases.add(base);
+          next.push(base);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return bases;
+}
+
+/** True when a and b are at most one edit (or one swap) apart. */
+function withinOneEdit(a, b) {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  if (a.length === b.length) {
+    if (a.slice(i + 1) === b.slice(i + 1)) return true; // substitution
+    return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2); // swap
+  }
+  const [longer, shorter] = a.length > b.length ? [a, b] : [b, a];
+  return longer.slice(i + 1) === shorter.slice(i);
+}
+
+function wordMatches(word, itemWord, cache) {
+  const key = `${word}\u0000${itemWord}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const item = canonicalSpelling(itemWord);
+  const w = canonicalSpelling(word);
+  let result = w === item;
+  if (!result) {
+    const wordInflections = inflectionalBases(w);
+    const itemInflections = inflectionalBases(item);
+    result = [...wordInflections].some(b => itemInflections.has(b))
+      || allBases(w).has(item)
+      || allBases(item).has(w)
+      // Recognisable misspellings of longer words.
+      || (item.length >= 6 && [...wordInflections].some(b => b.length >= 6 && withinOneEdit(b, item)));
+  }
+  cache.set(key, result);
+  return result;
+}
+
+/** Words with their character offsets. */
+function tokenize(text) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*['’]?/gu;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Placeholders in list items: "persuade sb to do sth", "be keen on + noun".
+const PLACEHOLDER = /^(sb|sth|smb|smth|someone|somebody|something|one's|noun|verb|adj|adjective|adverb|v|n|ing|infinitive|gerund|clause|etc)$/i;
+const MAX_GAP = 3;
+
+/**
+ * Turn a list item into one or more word patterns. A pattern is a list of
+ * words and gaps: `{ gap: true }` matches up to MAX_GAP words.
+ */
+function parseItem(item) {
+  const cleaned = String(item)
+    .split(/\s[-–—:=]\s/)[0]          // "skyrocket - to increase fast"
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ') // "(v.)", "[n]"
+    .trim();
+
+  // "colour/color", "organise/organize" — single-word alternatives.
+  const alternatives = /^[\p{L}'-]+(?:\s*\/\s*[\p{L}'-]+)+$/u.test(cleaned)
+    ? cleaned.split('/').map(s => s.trim())
+    : [cleaned.replace(/\//g, ' ')];
+
+  return alternatives.map(alt => {
+    const parts = alt.split(/\s+|(?=\.\.\.)|(?<=\.\.\.)|\+/).map(p => p.trim()).filter(Boolean);
+    const pattern = [];
+    for (const part of parts) {
+      if (part === '...' || part === '…' || PLACEHOLDER.test(part.replace(/[^\p{L}']/gu, ''))) {
+        if (pattern.length && !pattern[pattern.length - 1].gap) pattern.push({ gap: true });
+        continue;
+      }
+      for (const word of part.split(/[^\p{L}\p{N}']+/u).filter(Boolean)) {
+        pattern.push({ word });
+      }
+    }
+    while (pattern.length && pattern[pattern.length - 1].gap) pattern.pop();
+    // "to negotiate" — the infinitive marker isn't part of the word.
+    if (pattern.length > 1 && pattern[0].word?.toLowerCase() === 'to' && !pattern[1].gap) pattern.shift();
+    return pattern;
+  }).filter(pattern => pattern.some(p => p.word));
+}
+
+/** Match a pattern starting at token i; returns the end token index or -1. */
+function matchPatternAt(tokens, i, pattern, cache) {
+  let t = i;
+  for (let p = 0; p < pattern.length; p++) {
+    const step = pattern[p];
+    if (step.gap) {
+      const nextWord = pattern[p + 1];
+      let found = -1;
+      for (let skip = 0; skip <= MAX_GAP && t + skip < tokens.length; skip++) {
+        if (wordMatches(tokens[t + skip].word, nextWord.word, cache)) { found = t + skip; break; }
+      }
+      if (found < 0) return -1;
+      t = found;
+      continue;
+    }
+    if (t >= tokens.length || !wordMatches(tokens[t].word, step.word, cache)) return -1;
+    t++;
+  }
+  return t - 1;
+}
+
+/**
+ * Find the class vocabulary in an essay.
+ *
+ * @param {string} text - the essay
+ * @param {string[]} vocabulary - the profile's list, headers already stripped
+ * @returns {{used: string[], matches: Array<{item: string, start: number, end: number, text: string}>}}
+ *   `used` lists each item found, in list order; `matches` every occurrence,
+ *   in essay order.
+ */
+function matchClassVocabulary(text, vocabulary) {
+  const tokens = tokenize(String(text || ''));
+  const cache = new Map();
+  const used = [];
+  const matches = [];
+
+  for (const item of vocabulary || []) {
+    if (typeof item !== 'string' || !item.trim()) continue;
+    const seen = new Set(); // alternatives ("color/colour") can match the same span
+    for (const pattern of parseItem(item)) {
+      for (let i = 0; i < tokens.length; i++) {
+        const end = matchPatternAt(tokens, i, pattern, cache);
+        if (end < 0 || seen.has(`${i}:${end}`)) continue;
+        seen.add(`${i}:${end}`);
+        const start = tokens[i].start;
+        matches.push({ item, start, end: tokens[end].end, text: text.slice(start, tokens[end].end) });
+      }
+    }
+    if (seen.size > 0 && !used.includes(item)) used.push(item);
+  }
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return { used, matches };
+}
+
+// Past participles the -ed rule misses.
+const IRREGULAR_PARTICIPLES = [
+  'been', 'gone', 'done', 'had', 'made', 'taken', 'given', 'got', 'gotten', 'come', 'become',
+  'seen', 'known', 'thought', 'told', 'said', 'found', 'left', 'felt', 'kept', 'brought',
+  'bought', 'caught', 'taught', 'begun', 'written', 'spoken', 'chosen', 'grown', 'risen',
+  'fallen', 'driven', 'eaten', 'met', 'paid', 'sold', 'sent', 'spent', 'built', 'lost',
+  'won', 'led', 'held', 'stood', 'understood', 'run', 'flown', 'drawn', 'forgotten',
+  'heard', 'shown', 'worn', 'torn', 'broken', 'stolen', 'hidden', 'put', 'cut', 'set', 'read',
+];
+const PARTICIPLE = `(?:\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})`;
+
+// Adjectives in -ing/-ed that would read as continuous or passive forms.
+const NOT_VERB_ING = 'interesting|amazing|boring|exciting|surprising|annoying|relaxing|confusing|disappointing|tiring|charming|something|nothing|anything|everything|morning|evening|during|thing|king|ring|spring|building|wedding|ceiling';
+const NOT_PASSIVE = 'tired|interested|bored|excited|worried|married|surprised|pleased|scared|used|supposed|called|named|located|based|concerned';
+const ING = `(?!(?:${NOT_VERB_ING})\\b)\\w+ing`;
+const ADVERB = '(?:not\\s+|never\\s+|already\\s+|just\\s+|ever\\s+|also\\s+|always\\s+|still\\s+)?';
+
+// Named structures: `name` matches the list item, `find` the essay. Order
+// matters — the first matching name wins ("present perfect continuous"
+// before "present perfect").
+const STRUCTURES = [
+  { name: /perfect (?:continuous|progressive)/i, find: `\\b(?:have|has|had)\\s+${ADVERB}been\\s+${ING}\\b` },
+  { name: /past perfect|pluperfect/i, find: `\\bhad\\s+${ADVERB}${PARTICIPLE}\\b` },
+  { name: /present perfect/i, find: `\\b(?:have|has|'ve)\\s+${ADVERB}${PARTICIPLE}\\b` },
+  { name: /future perfect/i, find: `\\bwill\\s+${ADVERB}have\\s+${PARTICIPLE}\\b` },
+  { name: /past (?:continuous|progressive)/i, find: `\\b(?:was|were)\\s+${ADVERB}${ING}\\b` },
+  { name: /present (?:continuous|progressive)/i, find: `\\b(?:am|is|are|'m|'re)\\s+${ADVERB}(?!going\\s+to\\b)${ING}\\b` },
+  { name: /going to/i, find: `\\b(?:am|is|are|was|were|'m|'re)\\s+${ADVERB}going\\s+to\\s+\\w+` },
+  { name: /future (?:simple|with will)|\bwill\b/i, find: `\\b(?:will|'ll|won't)\\s+${ADVERB}\\w+` },
+  { name: /passive/i, find: `\\b(?:am|is|are|was|were|be|been|being)\\s+${ADVERB}(?!(?:${NOT_PASSIVE})\\b)${PARTICIPLE}\\b` },
+  { name: /third conditional/i, sentence: [/\bif\b[^.!?]*\bhad\b/i, /\bwould(?:n't)?\s+(?:not\s+)?have\b/i] },
+  { name: /second conditional/i, sentence: [/\bif\b/i, /\bwould(?:n't)?\b|'d\b/i] },
+  { name: /first conditional/i, sentence: [/\bif\b/i, /\bwill\b|'ll\b|won't\b/i] },
+  { name: /comparative/i, find: `\\b(?:\\w+er|more\\s+\\w+|less\\s+\\w+|better|worse)\\s+than\\b` },
+  { name: /superlative/i, find: `\\bthe\\s+(?:\\w+est|most\\s+\\w+|least\\s+\\w+|best|worst)\\b` },
+  { name: /relative (?:clause|pronoun)/i, find: `(?<=\\w,?\\s)(?:who|which|whom|whose|where)\\b(?!\\s*\\?)` },
+  { name: /modal/i, find: `\\b(?:can|could|should|must|might|may|would|shall|ought\\s+to)\\s+(?:not\\s+)?\\w+` },
+  { name: /reported speech|indirect speech/i, find: `\\b(?:said|told\\s+\\w+|explained|asked(?:\\s+\\w+)?)\\s+(?:that|if|whether)\\b` },
+];
+
+// Words that mark an item as a description of a structure rather than a
+// literal phrase — left to GPT when no named pattern fits.
+const GRAMMAR_TERMS = /\b(?:tense|clause|voice|speech|conditional|continuous|progressive|perfect|passive|modal|comparative|superlative|gerund|infinitive|article|preposition|pronoun|adverb|adjective|noun|verb|question|sentence|form|structure|imperative|subjunctive|agreement|order)s?\b/i;
+
+function sentenceRanges(text) {
+  const ranges = [];
+  const re = /[^.!?\n]+[.!?]*/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    if (match[0].trim()) ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return ranges;
+}
+
+function findStructure(text, structure) {
+  const found = [];
+  if (structure.sentence) {
+    for (const range of sentenceRanges(text)) {
+      const sentence = text.slice(range.start, range.end);
+      if (structure.sentence.every(re => re.test(sentence))) {
+        const lead = sentence.length - sentence.trimStart().length;
+        const trimmed = sentence.trim();
+        found.push({ start: range.start + lead, end: range.start + lead + trimmed.length });
+      }
+    }
+    return found;
+  }
+  const re = new RegExp(structure.find, 'gi');
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    if (!match[0]) { re.lastIndex++; continue; }
+    found.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return found;
+}
+
+/**
+ * Find the class grammar structures in an essay.
+ *
+ * @param {string} text - the essay
+ * @param {string[]} grammar - the profile's list, headers already stripped
+ * @returns {{used: string[], matches: Array<{item: string, start: number, end: number, text: string}>,
+ *   unrecognized: string[]}} `unrecognized` are items this matcher can't
+ *   interpret; the caller decides how to judge those.
+ */
+function matchGrammarStructures(text, grammar) {
+  const essay = String(text || '');
+  const tokens = tokenize(essay);
+  const cache = new Map();
+  const used = [];
+  const matches = [];
+  const unrecognized = [];
+
+  for (const item of grammar || []) {
+    if (typeof item !== 'string' || !item.trim()) continue;
+    let ranges;
+    const structure = STRUCTURES.find(s => s.name.test(item));
+    if (structure) {
+      ranges = findStructure(essay, structure);
+    } else if (GRAMMAR_TERMS.test(item.replace(/\+\s*(?:noun|verb|adjective|infinitive|gerund)\b/gi, ''))) {
+      unrecognized.push(item);
+      continue;
+    } else {
+      // Literal pattern: "used to + infinitive", "not only ... but also".
+      ranges = [];
+      for (const pattern of parseItem(item)) {
+        for (let i = 0; i < tokens.length; i++) {
+          const end = matchPatternAt(tokens, i, pattern, cache);
+          if (end >= 0) ranges.push({ start: tokens[i].start, end: tokens[end].end });
+        }
+      }
+    }
+    for (const range of ranges) {
+      matches.push({ item, ...range, text: essay.slice(range.start, range.end) });
+    }
+    if (ranges.length > 0) used.push(item);
+  }
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return { used, matches, unrecognized };
+}
+
+export {
+  canonicalSpelling,
+  allBases,
+  parseItem,
+  matchClassVocabulary,
+  matchGrammarStructures,
+};
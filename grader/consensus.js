@@ -0,0 +1,141 @@
+// grader/consensus.js
+// Multi-run consensus for error detection.
+//
+// Rationale: detection runs at temperature 0.3, and the same essay can come
+// back with a noticeably different error list on a second run — which moves
+// the deterministic bands in scoring.js, and with them the score (IDEAS.md:
+// "up to 22% different scores on repeated grading"). Running detection N
+// times and keeping only the errors a majority of runs agree on filters out
+// the one-off flags that cause most of that variance.
+//
+// Two errors from different runs are "the same error" when their spans
+// overlap in the student text — runs often disagree on the exact boundaries
+// ("goed" vs "I goed") or on the category, but rarely on the location.
+
+/**
+ * Read the default run count from GRADER_CONSENSUS_RUNS. 1 (the default)
+ * means consensus is off: a single detection run, exactly as before.
+ * Capped at 5 — each run is a full detection call.
+ *
+ * @param {number|string|undefined} value - explicit override (options.consensusRuns)
+ * @returns {number}
+ */
+function resolveConsensusRuns(value = process.env.GRADER_CONSENSUS_RUNS) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(n, 5);
+}
+
+function spansOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Pick the value that occurs most often, breaking ties by first occurrence
+ * (i.e. the earliest run wins).
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = values[0];
+  for (const v of values) {
+    if (counts.get(v) > counts.get(best)) best = v;
+  }
+  return best;
+}
+
+/**
+ * Merge the inline_issues from several detection runs into one list.
+ *
+ * Issues are clustered greedily by overlapping span, one issue per run per
+ * cluster. A cluster is kept only when a strict majority of runs found it.
+ * The kept issue is the cluster's most common exact span + category (ties go
+ * to the earliest run), annotated with
+ *
+ *   agreement: { found_in: <runs that flagged it>, runs: <total runs> }
+ *
+ * so the UI can render less-than-unanimous errors as low-confidence.
+ *
+ * @param {Array<Array<Object>>} runs - inline_issues from each run ({ start, end, category, ... })
+ * @returns {Array<Object>} merged issues, sorted by position
+ */
+function mergeConsensusIssues(runs) {
+  const totalRuns = runs.length;
+  const clusters = []; // { members: [{ run, issue }] }
+
+  runs.forEach((issues, run) => {
+    for (const issue of issues || []) {
+      const cluster = clusters.find(c =>
+        !c.members.some(m => m.run === run) &&
+        c.members.some(m => spansOverlap(m.issue, issue))
+      );
+      if (cluster) {
+        cluster.members.push({ run, issue });
+      } else {
+        clusters.push({ members: [{ run, issue }] });
+      }
+    }
+  });
+
+  const required = Math.floor(totalRuns / 2) + 1;
+  const merged = [];
+  for (const { members } of clusters) {
+    if (members.length < required) continue;
+
+    const variantKey = ({ issue }) => `${issue.start}:${issue.end}:${issue.category}`;
+    const winningKey = mostCommon(members.map(variantKey));
+    const representative = members.find(m => variantKey(m) === winningKey).issue;
+
+    merged.push({
+      ...representative,
+      agreement: { found_in: members.length, runs: totalRuns },
+    });
+  }
+
+  return merged.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Merge the unresolved_issues (errors whose text isn't in the essay) from
+ * several detection runs. They have no span, so they're matched by their
+ * text instead, case and spacing aside; otherwise the vote is the one in
+ * mergeConsensusIssues. They count toward the bands like any other error,
+ * so a one-off flag here would move the score just the same.
+ *
+ * @param {Array<Array<Object>>} runs - unresolved_issues from each run ({ text, category, ... })
+ * @returns {Array<Object>} merged issues, in order of first appearance
+ */
+function mergeConsensusUnresolved(runs) {
+  const totalRuns = runs.length;
+  const clusters = []; // { key, members: [{ run, issue }] }
+  const textKey = issue => String(issue.text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+  runs.forEach((issues, run) => {
+    for (const issue of issues || []) {
+      const key = textKey(issue);
+      const cluster = clusters.find(c => c.key === key && !c.members.some(m => m.run === run));
+      if (cluster) {
+        cluster.members.push({ run, issue });
+      } else {
+        clusters.push({ key, members: [{ run, issue }] });
+      }
+    }
+  });
+
+  const required = Math.floor(totalRuns / 2) + 1;
+  return clusters
+    .filter(({ members }) => members.length >= required)
+    .map(({ members }) => {
+      const category = mostCommon(members.map(m => m.issue.category));
+      return {
+        ...members.find(m => m.issue.category === category).issue,
+        agreement: { found_in: members.length, runs: totalRuns },
+      };
+    });
+}
+
+export {
+  resolveConsensusRuns,
+  mergeConsensusIssues,
+  mergeConsensusUnresolved,
+};
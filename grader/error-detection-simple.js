@@ -1,8 +1,37 @@
 // grader/error-detection-simple.js
 // SIMPLIFIED ERROR DETECTION - Mimics ChatGPT's natural error detection
 
-export function buildSimpleErrorDetectionPrompt(classProfile, studentText) {
+// Handwritten essays transcribed by OCR carry the scanner's misreadings;
+// those aren't the student's spelling.
+const OCR_NOTE = `
+**This essay was transcribed from handwriting by OCR:**
+- The transcription may misread letters (rn/m, cl/d, l/I/1, o/0, u/v, e/c, h/b), drop or add spaces between words, or add stray punctuation
+- Do NOT mark these OCR artifacts as spelling or mechanics errors
+- Only mark a spelling error when the misspelling is clearly the student's (e.g. a phonetic spelling like "becuz", or the same misspelling repeated)
+`;
+
+// Earlier errors listed in a revision's prompt; the rest are left out.
+const MAX_PREVIOUS_ISSUES = 60;
+
+// A revision of an essay that was already graded: the errors flagged on the
+// earlier draft, so one the student left in is flagged the same way again
+// and one they fixed isn't. grader/revision.js compares the two afterwards.
+function previousDraftNote(previousIssues) {
+  if (!Array.isArray(previousIssues) || previousIssues.length === 0) return '';
+  const lines = previousIssues.slice(0, MAX_PREVIOUS_ISSUES).map(issue =>
+    `- ${issue.category}: "${issue.text}"${issue.correction ? ` → "${issue.correction}"` : ''}`);
+  return `
+**This essay is a revised draft. These errors were marked on the earlier draft:**
+${lines.join('\n')}
+- Where one of these errors is still in the essay, mark it again with the same category
+- Do NOT mark text the student corrected
+- Mark new errors as usual, including errors in rewritten or added text
+`;
+}
+
+export function buildSimpleErrorDetectionPrompt(classProfile, studentText, { ocr = false, previousIssues = [] } = {}) {
   return `Point out all the errors in this ESL student essay.
+${ocr ? OCR_NOTE : ''}${previousDraftNote(previousIssues)}
 
 For each error, provide:
 1. The error category (spelling, grammar, vocabulary, mechanics, or fluency)
@@ -62,35 +91,57 @@ For each error, provide:
 - Never create separate entries for the same exact text span
 - Example: "he dont" has both grammar (doesn't with he/she/it) and mechanics (missing apostrophe), mark as ONE error with category: "grammar,mechanics"
 
+**Locating Each Error:**
+- Copy error_text exactly as the student wrote it
+- context_before: the (up to 3) words immediately before error_text, copied exactly ("" at the start of the essay)
+- context_after: the (up to 3) words immediately after error_text, copied exactly ("" at the end of the essay)
+- occurrence: which occurrence of error_text in the essay this is (1 = first time that exact text appears, 2 = second, ...)
+- These matter most for short, repeated text like "the" or "is" - they decide which one gets highlighted
+
 Output as a JSON array:
 {
   "errors": [
     {
       "category": "spelling",
       "error_text": "recieve",
+      "context_before": "I will",
+      "context_after": "the letter",
+      "occurrence": 1,
       "correction": "receive"
     },
     {
       "category": "mechanics",
       "error_text": "dont",
+      "context_before": "but I",
+      "context_after": "know why",
+      "occurrence": 2,
       "correction": "don't",
       "explanation": "Add apostrophe for contraction"
     },
     {
       "category": "grammar",
       "error_text": "He don't like",
+      "context_before": "at home.",
+      "context_after": "the rain",
+      "occurrence": 1,
       "correction": "He doesn't like",
       "explanation": "Use 'doesn't' with 'he/she/it'"
     },
     {
       "category": "mechanics",
       "error_text": "late, she",
+      "context_before": "came home",
+      "context_after": "went to",
+      "occurrence": 1,
       "correction": "late. She",
       "explanation": "Run-on sentence - add period"
     },
     {
       "category": "fluency",
       "error_text": "in a very quick manner",
+      "context_before": "finished it",
+      "context_after": "and left",
+      "occurrence": 1,
       "correction": "quickly",
       "explanation": "More concise phrasing"
     }
@@ -63,17 +63,26 @@ export function formatGradedEssay(studentText, gradingResults, options = {}) {
   console.log(`Student text length: ${studentText.length}`);
   console.log(`Number of inline issues: ${(gradingResults.inline_issues || []).length}`);
   
-  const { meta, scores, total, inline_issues, teacher_notes, teacher_notes_suggestion } = gradingResults;
+  const { meta, scores, total, inline_issues, unresolved_issues, teacher_notes, teacher_notes_suggestion, rubric: rubricSnapshot, screening, revision } = gradingResults;
+
+  // editable: false is the read-only view students get from a share link
+  // (src/controllers/shareLinkController.js): no edit controls, and nothing
+  // meant for the teacher only.
+  const readOnly = options.editable === false;
 
   // Normalize text and fix offsets ONCE to ensure consistency
   const normalizedText = studentText.normalize('NFC');
   const correctedIssues = findActualOffsets(normalizedText, inline_issues || []);
+  const markers = readOnly ? [] : validMarkers(normalizedText, [
+    ...(meta?.class_vocabulary_matches || []).map(m => ({ ...m, kind: 'vocab' })),
+    ...(meta?.text_stats?.transitions || []).map(t => ({ ...t, item: t.phrase, kind: 'transition' })),
+  ]);
 
   // Build formatted text using corrected issues
-  const formattedText = renderWithOffsets(normalizedText, correctedIssues, options);
+  const formattedText = renderWithOffsets(normalizedText, correctedIssues, { ...options, markers, readOnly });
 
   // Generate feedback summary with new format
-  const feedbackHtml = generateFeedbackSummary(scores, total, meta, teacher_notes, teacher_notes_suggestion, options);
+  const feedbackHtml = generateFeedbackSummary(scores, total, meta, teacher_notes, teacher_notes_suggestion, options, rubricSnapshot, screening, unresolved_issues, revision);
 
   return {
     formattedText: formattedText,
@@ -86,9 +95,10 @@ export function formatGradedEssay(studentText, gradingResults, options = {}) {
 
 function renderWithOffsets(studentText, inlineIssues, options = {}) {
   if (!inlineIssues || inlineIssues.length === 0) {
+    const content = renderPlainText(studentText, 0, options.markers);
     const formattedText = options.editable ? 
-      `<span class="text-segment" data-segment-id="0">${escapeHtmlWithFormatting(studentText)}</span>` :
-      escapeHtmlWithFormatting(studentText);
+      `<span class="text-segment" data-segment-id="0">${content}</span>` :
+      content;
     
     // Wrap in paragraph tags if needed
     if (formattedText.includes('</p><p>')) {
@@ -137,6 +147,13 @@ function renderWithOffsets(studentText, inlineIssues, options = {}) {
 
 function findActualOffsets(text, issues) {
   return issues.map(issue => {
+    // Offsets from anchoring.js already point at the right occurrence of
+    // repeated text; trust them while they still line up with the text.
+    if (typeof issue.start === 'number' && typeof issue.end === 'number' &&
+        issue.text && text.slice(issue.start, issue.end) === issue.text) {
+      return { ...issue, offsets: { start: issue.start, end: issue.end } };
+    }
+
     // FIRST: If we have a quote field, use that instead of trusting AI offsets
     if (issue.quote && issue.quote.trim().length > 0) {
       const searchText = issue.quote.trim();
@@ -625,14 +642,64 @@ function mergeAdjacentSegments(segments) {
   return merged;
 }
 
+// Positive markers: class vocabulary (class-matcher.js) and transitions
+// (text-stats.js) found in the essay.
+const MARKER_STYLES = {
+  vocab: { className: 'class-vocab-match', label: 'Class vocabulary', style: 'border-bottom: 2px solid #4CAF50;' },
+  transition: { className: 'transition-match', label: 'Transition', style: 'border-bottom: 2px dotted #7B1FA2;' },
+};
+
+/**
+ * Markers that still line up with the text — an essay edited since grading
+ * drops the markers that moved — without overlaps, longest first.
+ */
+function validMarkers(text, matches) {
+  const markers = [];
+  const sorted = [...matches].sort((a, b) => a.start - b.start || b.end - a.end);
+  for (const m of sorted) {
+    if (!Number.isInteger(m?.start) || !Number.isInteger(m?.end) || m.end <= m.start) continue;
+    const slice = text.slice(m.start, m.end);
+    if (slice !== m.text || slice.includes('\n')) continue;
+    const last = markers[markers.length - 1];
+    if (last && m.start < last.end) continue;
+    markers.push(m);
+  }
+  return markers;
+}
+
+/**
+ * Escape plain (un-highlighted) text starting at `offset` in the essay,
+ * marking the class vocabulary and transitions it contains. Markers inside
+ * an error highlight are skipped — the error takes precedence.
+ */
+function renderPlainText(text, offset, markers = []) {
+  let html = '';
+  let cursor = 0;
+  for (const marker of markers) {
+    const start = marker.start - offset;
+    const end = marker.end - offset;
+    if (start < cursor || end > text.length) continue;
+    const { className, label, style } = MARKER_STYLES[marker.kind];
+    html += escapeHtmlWithFormatting(text.slice(cursor, start));
+    html += `<span class="${className}" data-${marker.kind}-item="${escapeHtml(marker.item)}" title="${label}: ${escapeHtml(marker.item)}" style="${style}">${escapeHtml(text.slice(start, end))}</span>`;
+    cursor = end;
+  }
+  return html + escapeHtmlWithFormatting(text.slice(cursor));
+}
+
 function renderSegmentsToHTML(segments, options = {}) {
-  const { editable = false } = options;
+  const { editable = false, markers = [], readOnly = false } = options;
 
+  // Essay offset of each segment, for placing vocabulary markers.
+  let offset = 0;
   const htmlContent = segments.map((segment, index) => {
+    const segmentStart = offset;
+    offset += segment.text.length;
     if (segment.type === 'normal') {
+      const content = renderPlainText(segment.text, segmentStart, markers);
       return editable ?
-        `<span class="text-segment" data-segment-id="${index}">${escapeHtmlWithFormatting(segment.text)}</span>` :
-        `<span class="normal-text">${escapeHtmlWithFormatting(segment.text)}</span>`;
+        `<span class="text-segment" data-segment-id="${index}">${content}</span>` :
+        `<span class="normal-text">${content}</span>`;
     } else if (segment.type === 'caret') {
       // Render caret marker for comma/period suggestions
       const issueDesc = segment.issue.message || segment.issue.correction || segment.issue.text;
@@ -646,10 +713,10 @@ function renderSegmentsToHTML(segments, options = {}) {
       console.log(`🎨 Rendering overlapping segment with ${segment.issues.length} issues:`,
                   segment.issues.map(i => i.category || i.type).join(' + '));
 
-      return renderNestedHighlights(segment.text, segment.issues, index, editable);
+      return renderNestedHighlights(segment.text, segment.issues, index, editable, readOnly);
     } else {
       // Regular single issue segment
-      return renderSingleHighlight(segment.issue, segment.text, index, editable);
+      return renderSingleHighlight(segment.issue, segment.text, index, editable, readOnly);
     }
   }).join('');
 
@@ -661,7 +728,43 @@ function renderSegmentsToHTML(segments, options = {}) {
   return htmlContent;
 }
 
-function renderNestedHighlights(text, issues, segmentIndex, editable) {
+/**
+ * A resubmitted draft's highlights say how each error relates to the
+ * earlier draft (grader/revision.js): still there, new in rewritten text,
+ * or in unchanged text that wasn't marked before.
+ */
+const REVISION_LABELS = {
+  persisted: 'Also marked in the previous draft',
+  introduced: 'New in this draft',
+  newly_flagged: 'Not marked in the previous draft',
+};
+
+function revisionMarkAttr(issue) {
+  return REVISION_LABELS[issue.revision_status] ? `data-revision="${issue.revision_status}"` : '';
+}
+
+/**
+ * Low-confidence marking for consensus grading (grader/consensus.js).
+ * An issue flagged by fewer than all detection runs gets a `low-confidence`
+ * class, a dashed underline, its agreement in a data attribute and a tooltip
+ * line, so teachers can tell a unanimous error from a 2-of-3 one.
+ * Issues without `agreement` (consensus off) render exactly as before.
+ */
+function agreementMarkup(issue) {
+  const agreement = issue.agreement;
+  if (!agreement || !(agreement.runs > 1)) {
+    return { className: '', attr: '', style: '', tooltip: '' };
+  }
+  const lowConfidence = agreement.found_in < agreement.runs;
+  return {
+    className: lowConfidence ? ' low-confidence' : '',
+    attr: `data-agreement="${agreement.found_in}/${agreement.runs}"`,
+    style: lowConfidence ? ' border-bottom: 2px dashed currentColor; opacity: 0.75;' : '',
+    tooltip: `\nFlagged in ${agreement.found_in} of ${agreement.runs} grading runs`,
+  };
+}
+
+function renderNestedHighlights(text, issues, segmentIndex, editable, readOnly = false) {
   // Sort issues by priority (highest priority becomes outermost highlight)
   const priorityOrder = [
     'grammar',
@@ -723,6 +826,7 @@ function renderNestedHighlights(text, issues, segmentIndex, editable) {
 
     const issueDesc = issue.message || issue.correction || issue.text;
     const coachingAttr = issue.coaching_only ? 'data-coaching-only="true"' : '';
+    const revisionAttr = revisionMarkAttr(issue);
 
     // Build tooltip showing both correction and explanation
     const correction = issue.correction || issueDesc || '';
@@ -734,6 +838,9 @@ function renderNestedHighlights(text, issues, segmentIndex, editable) {
     } else {
       tooltip += `\nExplanation: None`;
     }
+    const agreement = agreementMarkup(issue);
+    tooltip += agreement.tooltip;
+    if (issue.revision_status) tooltip += `\n${REVISION_LABELS[issue.revision_status] || ''}`;
 
     // Keep old notes for backwards compatibility
     let notes = '';
@@ -745,13 +852,15 @@ function renderNestedHighlights(text, issues, segmentIndex, editable) {
       notes = issueDesc || '';
     }
 
-    html = `<mark class="highlight-${issueCategory} highlight nested-highlight" data-type="${escapeHtml(issueCategory)}" data-category="${escapeHtml(fullCategory)}" data-correction="${escapeHtml(correction)}" data-explanation="${escapeHtml(explanation)}" data-message="${escapeHtml(issueDesc)}" data-notes="${escapeHtml(notes)}" data-original-text="${escapeHtml(text)}" data-nesting-level="${i}" ${coachingAttr} ${editableAttrs} style="${styleProps}; cursor: pointer;" title="${escapeHtml(tooltip)}">${html}</mark>`;
+    html = readOnly
+      ? `<mark class="highlight-${issueCategory} highlight nested-highlight" data-type="${escapeHtml(issueCategory)}" data-category="${escapeHtml(fullCategory)}" data-correction="${escapeHtml(correction)}" data-explanation="${escapeHtml(explanation)}" data-nesting-level="${i}" ${coachingAttr} ${revisionAttr} style="${styleProps}; cursor: pointer;">${html}</mark>`
+      : `<mark class="highlight-${issueCategory} highlight nested-highlight${agreement.className}" data-type="${escapeHtml(issueCategory)}" data-category="${escapeHtml(fullCategory)}" data-correction="${escapeHtml(correction)}" data-explanation="${escapeHtml(explanation)}" data-message="${escapeHtml(issueDesc)}" data-notes="${escapeHtml(notes)}" data-original-text="${escapeHtml(text)}" data-nesting-level="${i}" ${coachingAttr} ${revisionAttr} ${agreement.attr} ${editableAttrs} style="${styleProps}${agreement.style}; cursor: pointer;" title="${escapeHtml(tooltip)}">${html}</mark>`;
   }
 
   return html;
 }
 
-function renderSingleHighlight(issue, text, segmentIndex, editable) {
+function renderSingleHighlight(issue, text, segmentIndex, editable, readOnly = false) {
   // Use correction guide colors for inline_issues, fallback to rubric colors
   // Handle comma-separated categories (use first category for styling)
   const fullCategory = issue.category || issue.type || '';
@@ -783,6 +892,7 @@ function renderSingleHighlight(issue, text, segmentIndex, editable) {
 
   const issueDesc = issue.message || issue.correction || issue.text;
   const coachingAttr = issue.coaching_only ? 'data-coaching-only="true"' : '';
+  const revisionAttr = revisionMarkAttr(issue);
 
   // Build tooltip showing both correction and explanation
   const correction = issue.correction || issueDesc || '';
@@ -794,6 +904,9 @@ function renderSingleHighlight(issue, text, segmentIndex, editable) {
   } else {
     tooltip += `\nExplanation: None`;
   }
+  const agreement = agreementMarkup(issue);
+  tooltip += agreement.tooltip;
+  if (issue.revision_status) tooltip += `\n${REVISION_LABELS[issue.revision_status] || ''}`;
 
   // Keep old notes for backwards compatibility
   let notes = '';
@@ -805,12 +918,201 @@ function renderSingleHighlight(issue, text, segmentIndex, editable) {
     notes = issueDesc || '';
   }
 
-  return `<mark class="highlight-${issueCategory} highlight" data-type="${escapeHtml(issueCategory)}" data-category="${escapeHtml(fullCategory)}" data-correction="${escapeHtml(correction)}" data-explanation="${escapeHtml(explanation)}" data-message="${escapeHtml(issueDesc)}" data-notes="${escapeHtml(notes)}" data-original-text="${escapeHtml(text)}" ${coachingAttr} ${editableAttrs} style="${styleProps}; cursor: pointer;" title="${escapeHtml(tooltip)}">${escapeHtmlWithFormatting(text)}</mark>`;
+  // Read-only marks carry only what the student's tap-to-reveal shows.
+  if (readOnly) {
+    return `<mark class="highlight-${issueCategory} highlight" data-type="${escapeHtml(issueCategory)}" data-category="${escapeHtml(fullCategory)}" data-correction="${escapeHtml(correction)}" data-explanation="${escapeHtml(explanation)}" ${coachingAttr} ${revisionAttr} style="${styleProps}; cursor: pointer;">${escapeHtmlWithFormatting(text)}</mark>`;
+  }
+  return `<mark class="highlight-${issueCategory} highlight${agreement.className}" data-type="${escapeHtml(issueCategory)}" data-category="${escapeHtml(fullCategory)}" data-correction="${escapeHtml(correction)}" data-explanation="${escapeHtml(explanation)}" data-message="${escapeHtml(issueDesc)}" data-notes="${escapeHtml(notes)}" data-original-text="${escapeHtml(text)}" ${coachingAttr} ${revisionAttr} ${agreement.attr} ${editableAttrs} style="${styleProps}${agreement.style}; cursor: pointer;" title="${escapeHtml(tooltip)}">${escapeHtmlWithFormatting(text)}</mark>`;
+}
+
+
+/**
+ * Display info (name, colors) for a score category. Grades made with a
+ * teacher-edited rubric carry a snapshot of its categories (see
+ * grader/rubrics.js rubricSnapshot): its names win, so a renamed category
+ * shows under the teacher's name, while the built-in categories keep their
+ * colors here so highlights and the breakdown still match. Categories the
+ * embedded rubric doesn't know come entirely from the snapshot.
+ */
+function categoryInfoFor(category, rubricSnapshot) {
+  const builtIn = rubric.categories[category];
+  const custom = rubricSnapshot?.categories?.[category];
+  if (!custom) return builtIn;
+  return {
+    ...custom,
+    color: builtIn?.color || custom.color || '#607D8B',
+    backgroundColor: builtIn?.backgroundColor || custom.backgroundColor || '#ECEFF1',
+  };
+}
+
+const SCREENING_LABELS = {
+  all_caps: 'Written in capitals',
+  plagiarism: 'Possible copying',
+  off_topic: 'Off-topic',
+  ai_generated: 'Possibly AI-written',
+};
+
+/**
+ * Zero-rule screening banner (grader/screening.js). Shown while the teacher
+ * hasn't yet confirmed or dismissed the flags; the buttons are wired by
+ * public/js/grading/screening.js. A zeroed grade carries its held-back
+ * scores on the banner so "Restore grade" can put them back.
+ */
+function generateScreeningBanner(screening, editable) {
+  if (!screening || screening.status !== 'pending' || !Array.isArray(screening.flags) || screening.flags.length === 0) return '';
+
+  const items = screening.flags.map(flag => `
+        <li><strong>${escapeHtml(SCREENING_LABELS[flag.check] || flag.check)}</strong>
+          (rule: "${escapeHtml(flag.rule)}"): ${escapeHtml(flag.reason)}${flag.action === 'zero' ? ' <em>Grade set to 0.</em>' : ''}</li>`).join('');
+  const status = screening.zeroed
+    ? 'The score above is 0 until you confirm the zero or restore the grade.'
+    : 'The grade stands unless you apply the zero rule.';
+  const buttons = editable ? `
+      <div style="margin-top: 8px; display: flex; gap: 8px;">
+        <button type="button" class="screening-action-btn" data-screening-action="confirm"
+                style="background: #dc3545; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer;">${screening.zeroed ? 'Confirm zero' : 'Apply zero'}</button>
+        <button type="button" class="screening-action-btn" data-screening-action="dismiss"
+                style="background: #6c757d; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer;">${screening.zeroed ? 'Restore grade' : 'Dismiss'}</button>
+      </div>` : '';
+
+  return `
+      <div class="screening-banner no-pdf no-print" data-note-exclude-from-pdf="true"
+           data-screening-status="${escapeHtml(screening.status || 'pending')}"
+           data-screening-zeroed="${screening.zeroed ? 'true' : 'false'}"
+           data-original-scores="${escapeHtml(JSON.stringify(screening.original_scores || {}))}"
+           style="background: #fff3cd; border-left: 4px solid #d97706; border-radius: 6px; padding: 10px 12px; margin: 0 0 8px 0; font-size: 14px;">
+        <strong>🚩 Zero-score rule check: needs your confirmation</strong>
+        <ul style="margin: 6px 0 0 18px; padding: 0;">${items}
+        </ul>
+        <div class="screening-status-text" style="margin-top: 6px; color: #7c2d12;">${status}</div>${buttons}
+      </div>`;
+}
+
+/**
+ * Errors detection reported but anchoring.js couldn't find in the essay
+ * (usually a paraphrased error_text). Listed for the teacher to place or
+ * ignore rather than highlighted somewhere arbitrary. Never on the PDF.
+ */
+function generateUnresolvedIssues(issues) {
+  if (!Array.isArray(issues) || issues.length === 0) return '';
+
+  const items = issues.map(issue => `
+        <li><strong>${escapeHtml(issue.category || '')}</strong>: "${escapeHtml(issue.text || '')}"${issue.correction ? ` → "${escapeHtml(issue.correction)}"` : ''}${issue.explanation ? ` (${escapeHtml(issue.explanation)})` : ''}</li>`).join('');
+
+  return `
+      <div class="unresolved-issues no-pdf no-print" data-note-exclude-from-pdf="true"
+           style="background: #f5f5f5; border-left: 4px solid #9e9e9e; border-radius: 6px; padding: 10px 12px; margin: 0 0 8px 0; font-size: 13px;">
+        <strong>⚠️ ${issues.length} detected error${issues.length === 1 ? '' : 's'} couldn't be located in the essay</strong>
+        <ul style="margin: 6px 0 0 18px; padding: 0;">${items}
+        </ul>
+      </div>`;
+}
+
+function signedChange(change) {
+  const rounded = Math.round(change * 10) / 10;
+  const color = rounded > 0 ? '#2e7d32' : rounded < 0 ? '#c62828' : '#666';
+  return `<span style="color: ${color}; font-weight: bold;">${rounded > 0 ? '+' : ''}${rounded}</span>`;
+}
+
+/**
+ * The new draft with its changes shown: added text underlined, removed text
+ * struck through.
+ */
+function revisionChangesHTML(changes) {
+  return (changes || []).map(run => {
+    const text = escapeHtml(run.text).replace(/\n/g, '<br>');
+    if (run.type === 'insert') return `<ins style="background: #e6f4ea; text-decoration: underline;">${text}</ins>`;
+    if (run.type === 'delete') return ` <del style="background: #fce8e6; color: #a50e0e;">${text}</del>`;
+    return text;
+  }).join('');
 }
 
+/**
+ * How a resubmitted draft compares with the draft it revises (see
+ * grader/revision.js and src/services/revisionService.js): the score
+ * change, earlier errors fixed and still there, new errors, per category.
+ * The text changes are on screen only.
+ */
+function generateRevisionSummary(revision, scores, total, rubricSnapshot) {
+  if (!revision || !revision.counts) return '';
+
+  const { counts } = revision;
+  const earlier = counts.fixed + counts.persisted;
+  const previousPoints = revision.previous_total?.points;
+  const scoreLine = previousPoints != null
+    ? `Previous draft: ${previousPoints}/${revision.previous_total.out_of ?? total?.out_of ?? 100} → this draft: ${total?.points || 0}/${total?.out_of || 100} (${signedChange((total?.points || 0) - previousPoints)})`
+    : '';
+  const errorLine = [
+    `Fixed ${counts.fixed} of ${earlier} earlier error${earlier === 1 ? '' : 's'}`,
+    `${counts.persisted} still there`,
+    `${counts.introduced} new in rewritten text`,
+    counts.newly_flagged ? `${counts.newly_flagged} more found in unchanged text` : '',
+  ].filter(Boolean).join(' · ');
+
+  // Score categories first, then error categories the rubric doesn't score.
+  const byCategory = revision.by_category || {};
+  const categories = [...Object.keys(scores || {}), ...Object.keys(byCategory).filter(c => !(scores || {})[c])];
+  const rows = categories.map(category => {
+    const errors = byCategory[category] || { fixed: 0, persisted: 0, introduced: 0, newly_flagged: 0 };
+    const info = categoryInfoFor(category, rubricSnapshot) || correctionGuideColors[category];
+    const before = revision.previous_scores?.[category];
+    const now = scores?.[category]?.points;
+    const scoreCell = before != null && now != null ? `${before} → ${now} (${signedChange(now - before)})` : '';
+    return `
+            <tr>
+              <td style="padding: 2px 8px 2px 0; color: ${info?.color || '#333'}; font-weight: bold;">${escapeHtml(info?.name || category)}</td>
+              <td style="padding: 2px 8px; text-align: center;">${scoreCell}</td>
+              <td style="padding: 2px 8px; text-align: center;">${errors.fixed}</td>
+              <td style="padding: 2px 8px; text-align: center;">${errors.persisted}</td>
+              <td style="padding: 2px 8px; text-align: center;">${errors.introduced + errors.newly_flagged}</td>
+            </tr>`;
+  }).join('');
+
+  const fixedList = (revision.fixed || []).length > 0 ? `
+        <div class="revision-fixed" style="margin-top: 6px;"><strong>Fixed:</strong> ${revision.fixed.map(issue =>
+    `"${escapeHtml(issue.text)}"${issue.correction ? ` → "${escapeHtml(issue.correction)}"` : ''}`).join(', ')}</div>` : '';
+
+  return `
+      <div class="revision-summary" data-draft="${escapeHtml(String(revision.draft || ''))}" style="background: #eef5ff; border-left: 4px solid #1976D2; border-radius: 6px; padding: 10px 12px; margin: 0 0 8px 0; font-size: 14px;">
+        <strong>🔁 Draft ${escapeHtml(String(revision.draft || 2))}: revision of an earlier draft</strong>
+        ${scoreLine ? `<div style="margin-top: 4px;">${scoreLine}</div>` : ''}
+        <div style="margin-top: 4px;">${errorLine}</div>
+        <table style="margin-top: 6px; border-collapse: collapse; font-size: 13px;">
+          <thead>
+            <tr style="color: #555;">
+              <th style="text-align: left; padding: 2px 8px 2px 0;">Category</th>
+              <th style="padding: 2px 8px;">Score</th>
+              <th style="padding: 2px 8px;">Fixed</th>
+              <th style="padding: 2px 8px;">Still there</th>
+              <th style="padding: 2px 8px;">New</th>
+            </tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>${fixedList}
+        <details class="revision-changes no-pdf no-print" data-note-exclude-from-pdf="true" style="margin-top: 6px;">
+          <summary style="cursor: pointer;">Changes from the previous draft (${revision.words_added || 0} words added, ${revision.words_removed || 0} removed)</summary>
+          <div style="background: white; border-radius: 4px; padding: 8px 10px; margin-top: 6px; line-height: 1.6;">${revisionChangesHTML(revision.changes)}</div>
+        </details>
+      </div>`;
+}
+
+/**
+ * Teacher notes as the student sees them: plain text, nothing when empty.
+ */
+function readOnlyTeacherNotes(teacherNotes) {
+  if (!teacherNotes || !String(teacherNotes).trim()) return '';
+  return `
+      <div class="teacher-notes" style="background: #e8f5e8; padding: 10px 12px; border-radius: 6px; margin: 0 0 8px 0; border-left: 4px solid #4CAF50; font-size: 14px;">
+        <strong class="teacher-notes-label" style="font-size: 14px;">📝 Teacher Notes:</strong>
+        <span class="teacher-notes-content" style="font-size: 14px; white-space: pre-wrap;">${escapeHtml(teacherNotes)}</span>
+      </div>`;
+}
 
-function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotesSuggestion, options = {}) {
+function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotesSuggestion, options = {}, rubricSnapshot = null, screening = null, unresolvedIssues = [], revision = null) {
   const { editable = true } = options;
+  // Explicitly non-editable: the student's share view (see formatGradedEssay).
+  const readOnly = options.editable === false;
   const scoreColor = getScoreColor(total?.points || 0);
 
   // A clean toggle pill that swaps the teacher note between the two-category
@@ -836,18 +1138,22 @@ function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotes
       <div class="overall-score" style="color: ${scoreColor}; font-size: 1.5em; font-weight: bold; text-align: center; margin: 10px 0 8px 0;">
         ${total?.points || 0}/${total?.out_of || 100}
       </div>
-
+${generateRevisionSummary(revision, scores, total, rubricSnapshot)}
+${readOnly ? '' : generateScreeningBanner(screening, editable)}
+${readOnly ? '' : generateUnresolvedIssues(unresolvedIssues)}
+${readOnly ? readOnlyTeacherNotes(teacherNotes) : `
       <div class="teacher-notes editable-section" style="background: #e8f5e8; padding: 10px 12px; border-radius: 6px; margin: 0 0 8px 0; border-left: 4px solid #4CAF50; cursor: pointer; border: 2px solid transparent; font-size: 14px;" onclick="editTeacherNotes(this)" title="Click to edit teacher notes" data-teacher-notes="${escapeHtml(teacherNotes || '')}" data-teacher-notes-primary="${escapeHtml(teacherNotes || '')}" data-teacher-notes-suggestion="${escapeHtml(teacherNotesSuggestion || '')}">
         <strong class="teacher-notes-label" style="font-size: 14px;">📝 Teacher Notes:</strong>
         <span class="teacher-notes-content" style="font-size: 14px;">${escapeHtml(teacherNotes || 'Click to add teacher notes')}</span>
         <span class="edit-indicator" style="font-size: 10px; margin-left: 5px; color: #666;">✎</span>
       </div>
-      ${suggestionRow}
-
+      ${suggestionRow}`}
+${readOnly ? '' : `
       <div class="stats-row" style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px; margin: 8px 0 6px 0;">
-        <div class="stat-box" style="padding: 6px; background: #e3f2fd; border-radius: 4px; text-align: center; font-size: 12px;" title="${meta?.word_count || 'N/A'} words">
+        <div class="stat-box" style="padding: 6px; background: #e3f2fd; border-radius: 4px; text-align: center; font-size: 12px;" title="${meta?.word_count || 'N/A'} words${meta?.sentence_count != null ? `, ${meta.sentence_count} sentences, ${meta.paragraph_count} paragraphs` : ''}">
           <strong>📊 Words</strong><br>
-          <span class="stat-value" style="font-size: 1.1em; color: #1976D2;">${meta?.word_count || 'N/A'}</span>
+          <span class="stat-value" style="font-size: 1.1em; color: #1976D2;">${meta?.word_count || 'N/A'}</span>${meta?.sentence_count != null ? `
+          <div class="stat-detail" style="font-size: 11px; color: #666;">${meta.sentence_count} sentences · ${meta.paragraph_count} paragraphs</div>` : ''}
         </div>
         <div class="stat-box" style="padding: 6px; background: #f3e5f5; border-radius: 4px; text-align: center; font-size: 12px;" title="${(meta?.transition_words_found || []).length > 0 ? (meta.transition_words_found).join(', ') : 'No transitions found'}">
           <strong>🔗 Transitions</strong><br>
@@ -866,13 +1172,13 @@ function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotes
           </span>
         </div>
       </div>
-      <div class="no-pdf" style="text-align: right; font-size: 11px; color: #888; margin-top: -2px; margin-bottom: 6px;">These are for your info only, not displayed on PDF</div>
+      <div class="no-pdf" style="text-align: right; font-size: 11px; color: #888; margin-top: -2px; margin-bottom: 6px;">These are for your info only, not displayed on PDF</div>`}
       
       <div class="category-breakdown">
         <h3>Category Breakdown:</h3>`;
   
   Object.entries(scores || {}).forEach(([category, details]) => {
-    const categoryInfo = rubric.categories[category];
+    const categoryInfo = categoryInfoFor(category, rubricSnapshot);
     if (!categoryInfo || !details) return;
     
     const percentage = Math.round((details.points / details.out_of) * 100);
@@ -891,7 +1197,7 @@ function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotes
              data-note-exclude-from-pdf="true">
           <div style="display: flex; align-items: center; gap: 10px;">
             <strong style="color: ${categoryInfo.color}; font-size: 14px; white-space: nowrap; min-width: 80px;">
-              ${categoryInfo.name}
+              ${escapeHtml(categoryInfo.name)}
             </strong>
             <textarea class="editable-feedback"
                       data-category="${category}"
@@ -923,6 +1229,24 @@ function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotes
             </div>
           </div>
         </div>`;
+    } else if (readOnly) {
+      // Category notes are the teacher's working notes (left off the PDF by
+      // default), so the student sees the score only.
+      html += `
+        <div class="category-feedback" style="margin: 0; padding: 10px 12px;
+             border-left: 4px solid ${categoryInfo.color};
+             background: ${categoryInfo.backgroundColor};
+             border-radius: 0 6px 6px 0;"
+             data-category="${category}">
+          <div style="display: flex; align-items: center; gap: 10px;">
+            <strong style="color: ${categoryInfo.color}; font-size: 14px; min-width: 80px; flex: 1;">
+              ${escapeHtml(categoryInfo.name)}
+            </strong>
+            <span class="stat-score" style="color: ${categoryColor}; font-weight: bold; font-size: 16px; flex-shrink: 0;">
+              ${details.points}/${details.out_of}
+            </span>
+          </div>
+        </div>`;
     } else {
       html += `
         <div class="category-feedback" style="margin: 0; padding: 10px 12px;
@@ -931,13 +1255,13 @@ function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotes
              border-radius: 0 6px 6px 0;">
           <div style="display: flex; align-items: center; gap: 10px;">
             <strong style="color: ${categoryInfo.color}; font-size: 14px; min-width: 80px;">
-              ${categoryInfo.name}
+              ${escapeHtml(categoryInfo.name)}
             </strong>
             ${details.rationale ? `<div style="flex: 1; background: white; padding: 8px 10px; border-radius: 4px; font-size: 14px; line-height: 1.4;">
               ${escapeHtml(details.rationale)}
             </div>` : '<div style="flex: 1;"></div>'}
             <span class="editable-stat-score" style="color: ${categoryColor}; font-weight: bold; font-size: 16px; cursor: pointer; flex-shrink: 0;"
-                  onclick="editStat(this, '${categoryInfo.name} Score')"
+                  onclick="editStat(this, '${escapeHtml(categoryInfo.name.replace(/['\\]/g, ''))} Score')"
                   title="Click to edit score"
                   data-category="${category}">
               ${details.points}/${details.out_of}
@@ -950,8 +1274,12 @@ function generateFeedbackSummary(scores, total, meta, teacherNotes, teacherNotes
   html += `
       </div>
 
-    </div>
+    </div>`;
+
+  // The score inputs' arrows; the read-only view has no inputs.
+  if (readOnly) return html;
 
+  html += `
     <style>
       /* Hide default arrows since we have our own large clickable areas */
       .editable-score::-webkit-outer-spin-button,
@@ -2,34 +2,30 @@
 // SIMPLIFIED GRADING: Mimics ChatGPT's natural performance
 // Removes complexity that hurts error detection
 
-import OpenAI from "openai";
 import dotenv from "dotenv";
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { buildSimpleErrorDetectionPrompt } from './error-detection-simple.js';
 import { buildGradingPrompt, resolveWordCountRange } from './grading-prompt.js';
+import { completeJSON } from './llm-provider.js';
+import { resolveConsensusRuns, mergeConsensusIssues, mergeConsensusUnresolved } from './consensus.js';
+import { screenEssay, applyScreening } from './screening.js';
+import { matchClassVocabulary, matchGrammarStructures } from './class-matcher.js';
+import { analyzeText } from './text-stats.js';
+import { anchorErrors } from './anchoring.js';
 import {
   countErrorsByCategory,
-  computeGrammarBand,
-  computeVocabularyBand,
-  computeSpellingBand,
-  computeMechanicsBand,
-  computeLayoutLengthBand,
-  computeLayoutTransitionBand,
+  computeRubricBands,
   bandToPointRange,
 } from './scoring.js';
+import { DEFAULT_RUBRIC, rubricSnapshot } from './rubrics.js';
 import { PrismaClient } from '@prisma/client';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const rubric = JSON.parse(readFileSync(join(__dirname, 'rubric.json'), 'utf8'));
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
 
 /**
  * Build the teacher_notes summary line(s) algorithmically.
@@ -106,55 +102,37 @@ function generateTeacherNotes({ totalPoints, errorCounts, studentName }) {
 }
 
 /**
- * Extract token usage from an OpenAI chat completion response into the shape
- * our accumulator uses. Missing/undefined usage degrades to zeros so a grade
- * never fails just because usage wasn't reported.
+ * Combine the per-stage usage records from the three LLM calls into the single
+ * usage object the controller logs to grading_events.
+ *
+ * Token totals are summed; `calls` keeps each stage's own model and counts so
+ * cost can be priced per call (stages may be routed to different providers —
+ * see llm-provider.js). `model` is the grading call's model when every stage
+ * used the same one, otherwise the distinct models joined with "+", so the
+ * admin dashboard shows a mixed routing at a glance.
  */
-function extractUsage(response) {
-  const u = response?.usage || {};
+function combineUsage(calls) {
+  const present = calls.filter(Boolean);
+  const models = [...new Set(present.map(c => c.model).filter(Boolean))];
+  const grading = present.find(c => c.stage === 'grading');
   return {
-    promptTokens: Number(u.prompt_tokens) || 0,
-    completionTokens: Number(u.completion_tokens) || 0,
-    model: response?.model || null,
+    promptTokens: present.reduce((sum, c) => sum + (Number(c.promptTokens) || 0), 0),
+    completionTokens: present.reduce((sum, c) => sum + (Number(c.completionTokens) || 0), 0),
+    model: models.length > 1 ? models.join('+') : (grading?.model || models[0] || null),
+    calls: present,
   };
 }
 
 /**
  * Convert simple error format to system format (for compatibility)
+ *
+ * Offsets come from anchoring.js, which uses the context and occurrence
+ * detection returns to pick the right instance of repeated text. Errors
+ * whose text isn't in the essay come back in `unresolved` rather than
+ * being pinned to the start of the essay.
  */
 function convertToSystemFormat(simpleErrors, studentText) {
-  const inline_issues = [];
-
-  for (const error of simpleErrors) {
-    // Use text matching to find position (like formatter does)
-    // This removes the burden of offset calculation from GPT
-    const errorText = error.error_text;
-    const index = studentText.indexOf(errorText);
-
-    if (index !== -1) {
-      inline_issues.push({
-        category: error.category,
-        text: errorText,
-        start: index,
-        end: index + errorText.length,
-        correction: error.correction,
-        explanation: error.explanation
-      });
-    } else {
-      // If exact match fails, still include the error but let formatter handle it
-      console.warn(`⚠️  Could not find exact match for: "${errorText}"`);
-      inline_issues.push({
-        category: error.category,
-        text: errorText,
-        start: 0,
-        end: errorText.length,
-        correction: error.correction,
-        explanation: error.explanation
-      });
-    }
-  }
-
-  return inline_issues;
+  return anchorErrors(simpleErrors, studentText);
 }
 
 /**
@@ -186,13 +164,14 @@ function stripHeaders(list) {
 }
 
 /**
- * Count metrics separately (deterministic, low temperature)
- * Word count is now algorithmic for perfect consistency
+ * Count metrics. Everything countable is counted in code, with offsets:
+ * word count here, paragraphs / sentences / transitions in text-stats.js,
+ * class vocabulary and grammar structures in class-matcher.js.
  *
- * When the class profile does not specify vocabulary or grammar lists, we omit
- * those sections from the prompt entirely so GPT cannot invent matches against
- * an empty list. The returned object still includes empty arrays for those
- * fields so downstream display/formatting code continues to work unchanged.
+ * GPT is only asked about class grammar items the matcher can't interpret
+ * (free-text descriptions); with none of those, no LLM call is made. When
+ * the class profile does not specify a list, its fields come back as empty
+ * arrays so downstream display/formatting code continues to work unchanged.
  */
 async function countMetrics(classProfile, studentText) {
   // Calculate word count algorithmically (100% accurate)
@@ -205,120 +184,93 @@ async function countMetrics(classProfile, studentText) {
   const cleanVocab = stripHeaders(classProfile.vocabulary);
   const cleanGrammar = stripHeaders(classProfile.grammar);
 
-  const hasClassVocabulary = cleanVocab.length > 0;
-  const hasClassGrammar = cleanGrammar.length > 0;
-
-  // Build the prompt sections conditionally based on what the class profile specifies.
-  const classVocabSection = hasClassVocabulary
-    ? `CLASS VOCABULARY (${cleanVocab.length} items):
-${cleanVocab.join(', ')}
+  // Offsets are into the NFC form — the formatter renders that form.
+  const normalizedText = studentText.normalize('NFC');
+  const stats = analyzeText(normalizedText, { cefrLevel: classProfile.cefrLevel });
+  const vocabulary = matchClassVocabulary(normalizedText, cleanVocab);
+  const grammar = matchGrammarStructures(normalizedText, cleanGrammar);
+  console.log(`📊 ${stats.paragraph_count} paragraphs, ${stats.sentence_count} sentences, class vocabulary ${vocabulary.used.length}/${cleanVocab.length}, grammar ${grammar.used.length}/${cleanGrammar.length}`);
+
+  const counted = {
+    word_count: wordCount,
+    paragraph_count: stats.paragraph_count,
+    sentence_count: stats.sentence_count,
+    transition_words_found: stats.transition_words_found,
+    // Offsets of what was counted, for display.
+    text_stats: {
+      paragraphs: stats.paragraphs,
+      sentences: stats.sentences,
+      transitions: stats.transitions,
+    },
+    class_vocabulary_used: vocabulary.used,
+    class_vocabulary_matches: vocabulary.matches,
+    grammar_structures_used: grammar.used,
+    grammar_structure_matches: grammar.matches,
+    _usage: null
+  };
 
-`
-    : '';
+  // Grammar items the matcher can't interpret are left to GPT.
+  const askGrammar = grammar.unrecognized;
+  if (askGrammar.length === 0) return counted;
 
-  const classGrammarSection = hasClassGrammar
-    ? `CLASS GRAMMAR STRUCTURES (${cleanGrammar.length} items):
-${cleanGrammar.join(', ')}
+  const prompt = `List the class grammar structures this essay uses. Be precise and deterministic.
 
-`
-    : '';
+CLASS GRAMMAR STRUCTURES (${askGrammar.length} items):
+${askGrammar.join(', ')}
 
-  // Build the JSON schema GPT should return — only include class-list fields when relevant.
-  const jsonFields = [
-    '  "paragraph_count": <number>',
-    '  "sentence_count": <number>',
-  ];
-  if (hasClassVocabulary) {
-    jsonFields.push('  "class_vocabulary_used": ["word1", "word2"]');
-  }
-  if (hasClassGrammar) {
-    jsonFields.push('  "grammar_structures_used": ["structure1", "structure2"]');
-  }
-  jsonFields.push('  "transition_words_found": ["however", "moreover"]');
-
-  const matchingInstructions = (hasClassVocabulary || hasClassGrammar)
-    ? `
-Count exact matches (case-insensitive). For vocabulary, also count:
-- Prefixes/suffixes (un-, re-, dis-, -able, -ive, -ness, -ment, -tion)
-- Verb conjugations (negotiate → negotiating, negotiated, negotiates)
-- Plural forms (responsibility → responsibilities, business → businesses)
-- Different parts of speech (important → importantly, negotiate → negotiation)
-- Comparative/superlative (big → bigger, biggest)
-- Possessive forms (company's, companies')
-- British vs American spelling (organise/organize, colour/color)
-- Misspelled versions that are recognizable
-`
-    : '';
-
-  const prompt = `Count the following metrics in this essay. Be precise and deterministic.
-
-${classVocabSection}${classGrammarSection}Return JSON:
+Return JSON:
 {
-${jsonFields.join(',\n')}
+  "grammar_structures_used": ["structure1", "structure2"]
 }
-${matchingInstructions}
+
+List each structure the essay uses at least once, exactly as written above.
+
 STUDENT TEXT:
 """${studentText}"""`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [{ role: "user", content: prompt }],
+    const { data: gptMetrics, usage } = await completeJSON('metrics', {
+      prompt,
       temperature: 0.1, // Very low for consistency
-      response_format: { type: "json_object" }
+      key: studentText,
+      context: { grammar: askGrammar },
     });
 
-    const gptMetrics = JSON.parse(response.choices[0].message.content);
-
-    // Combine algorithmic word count with GPT metrics.
-    // When class profile fields are unspecified, force empty arrays regardless of
-    // what GPT returned — downstream UI expects arrays and we don't want phantom matches.
+    // Only accept GPT grammar answers for the items it was asked about —
+    // we don't want phantom matches.
+    const gptGrammar = (gptMetrics.grammar_structures_used || []).filter(item => askGrammar.includes(item));
     return {
-      word_count: wordCount,
-      paragraph_count: gptMetrics.paragraph_count,
-      sentence_count: gptMetrics.sentence_count,
-      class_vocabulary_used: hasClassVocabulary ? (gptMetrics.class_vocabulary_used || []) : [],
-      grammar_structures_used: hasClassGrammar ? (gptMetrics.grammar_structures_used || []) : [],
-      transition_words_found: gptMetrics.transition_words_found || [],
-      _usage: extractUsage(response)
+      ...counted,
+      grammar_structures_used: [...grammar.used, ...gptGrammar],
+      _usage: usage
     };
   } catch (error) {
     console.error("❌ Error counting metrics:", error.message);
-    return {
-      word_count: wordCount, // Still use algorithmic count on error
-      paragraph_count: 0,
-      sentence_count: 0,
-      class_vocabulary_used: [],
-      grammar_structures_used: [],
-      transition_words_found: [],
-      _usage: { promptTokens: 0, completionTokens: 0, model: null }
-    };
+    return counted; // Still use the algorithmic counts on error
   }
 }
 
 /**
  * STEP 1: Simple error detection (mimics ChatGPT approach)
  */
-async function detectErrors(classProfile, studentText) {
-  const prompt = buildSimpleErrorDetectionPrompt(classProfile, studentText);
+async function detectErrors(classProfile, studentText, { ocr = false, previousIssues = [] } = {}) {
+  const prompt = buildSimpleErrorDetectionPrompt(classProfile, studentText, { ocr, previousIssues });
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [{ role: "user", content: prompt }],
+    const { data: result, usage } = await completeJSON('detection', {
+      prompt,
       temperature: 0.3, // Moderate - not too conservative, not too creative
-      response_format: { type: "json_object" }
+      key: studentText,
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
-
     // Convert to system format
-    const inline_issues = convertToSystemFormat(result.errors || [], studentText);
+    const { inline_issues, unresolved } = convertToSystemFormat(result.errors || [], studentText);
 
     return {
       inline_issues,
+      unresolved_issues: unresolved,
       corrected_text_minimal: studentText, // Will be generated by system
-      _usage: extractUsage(response)
+      _usage: usage
     };
 
   } catch (error) {
@@ -327,13 +279,93 @@ async function detectErrors(classProfile, studentText) {
   }
 }
 
+/**
+ * Consensus error detection: run detectErrors `runs` times and keep only the
+ * errors a majority of runs agree on (see consensus.js). Runs are sequential —
+ * each is a full detection call, and the batch grader already sizes its
+ * parallelism around the per-minute token limit.
+ *
+ * A failed run is dropped rather than failing the grade; agreement is then
+ * measured over the runs that succeeded. Only if every run fails does the
+ * first error propagate.
+ */
+async function detectErrorsWithConsensus(classProfile, studentText, runs, progressCallback, detectionOptions) {
+  const results = [];
+  let firstError = null;
+
+  for (let i = 0; i < runs; i++) {
+    if (progressCallback) {
+      progressCallback({
+        step: 'error_detection',
+        status: 'in_progress',
+        message: `Detecting errors (consensus run ${i + 1} of ${runs})...`
+      });
+    }
+    try {
+      results.push(await detectErrors(classProfile, studentText, detectionOptions));
+    } catch (error) {
+      console.warn(`⚠️  Consensus detection run ${i + 1}/${runs} failed:`, error.message);
+      firstError = firstError || error;
+    }
+  }
+
+  if (results.length === 0) throw firstError;
+
+  const inline_issues = mergeConsensusIssues(results.map(r => r.inline_issues));
+  console.log(`🤝 Consensus over ${results.length} runs: kept ${inline_issues.length} of ` +
+    `${results.reduce((n, r) => n + r.inline_issues.length, 0)} detected errors`);
+
+  return {
+    inline_issues,
+    unresolved_issues: mergeConsensusUnresolved(results.map(r => r.unresolved_issues)),
+    corrected_text_minimal: studentText,
+    runs: results.length,
+    _usage: results.map(r => r._usage),
+  };
+}
+
 /**
  * Main grading function
+ *
+ * @param {Object} [options]
+ * @param {number} [options.consensusRuns] - detection runs to merge by majority
+ *   vote; defaults to GRADER_CONSENSUS_RUNS (1 = consensus off).
+ * @param {Object} [options.rubric] - rubric to grade against (grader/rubrics.js
+ *   normalizeRubric); defaults to rubric.json.
+ * @param {Array<{source: string, id?: string, label?: string, text: string}>} [options.screeningCorpus]
+ *   other essays to check for copying (see screening.js).
+ * @param {boolean} [options.ocr] - the text was transcribed from handwriting by
+ *   OCR; detection leaves likely OCR misreadings alone.
+ * @param {Array<Object>} [options.previousIssues] - inline issues of the
+ *   draft this essay revises; detection is told which errors were marked
+ *   before (see error-detection-simple.js).
  */
-export async function gradeEssaySimple(studentText, classProfile, progressCallback = null, studentNickname = null) {
+export async function gradeEssaySimple(studentText, classProfile, progressCallback = null, studentNickname = null, options = {}) {
   console.log("\n🚀 Starting SIMPLIFIED grading process...");
+  const consensusRuns = resolveConsensusRuns(options.consensusRuns);
+  const rubric = options.rubric || DEFAULT_RUBRIC;
 
   try {
+    // STEP 0: Screen against the rubric's zero rules. Grading still runs in
+    // full; a flag (or provisional zero) rides on the result until the
+    // teacher confirms it.
+    if (progressCallback) {
+      progressCallback({
+        step: 'screening',
+        status: 'in_progress',
+        message: 'Checking zero-score rules...'
+      });
+    }
+
+    const screening = await screenEssay(studentText, {
+      rubric,
+      assignmentPrompt: classProfile.prompt,
+      corpus: options.screeningCorpus,
+    });
+    if (screening.flags.length > 0) {
+      console.log(`🚩 Screening: ${screening.flags.map(f => `${f.check} (${f.action})`).join(', ')}`);
+    }
+
     // STEP 1: Detect errors (simple approach)
     if (progressCallback) {
       progressCallback({
@@ -343,7 +375,10 @@ export async function gradeEssaySimple(studentText, classProfile, progressCallba
       });
     }
 
-    const errorDetection = await detectErrors(classProfile, studentText);
+    const detectionOptions = { ocr: !!options.ocr, previousIssues: options.previousIssues || [] };
+    const errorDetection = consensusRuns > 1
+      ? await detectErrorsWithConsensus(classProfile, studentText, consensusRuns, progressCallback, detectionOptions)
+      : await detectErrors(classProfile, studentText, detectionOptions);
     console.log(`✅ Found ${errorDetection.inline_issues.length} errors`);
 
     // STEP 2: Count metrics separately
@@ -371,50 +406,64 @@ export async function gradeEssaySimple(studentText, classProfile, progressCallba
     // prompt. GPT has historically miscounted errors and mis-mapped counts
     // to rubric bands; doing the math here and passing the exact band (and
     // thus the exact point range) to GPT eliminates that class of error.
-    const errorCounts = countErrorsByCategory(errorDetection.inline_issues);
+    // Unanchored errors still count: detection found them, only their
+    // position is unknown.
+    const errorCounts = countErrorsByCategory([
+      ...errorDetection.inline_issues,
+      ...(errorDetection.unresolved_issues || []),
+    ]);
     const cleanVocab = stripHeaders(classProfile.vocabulary);
     const cleanGrammar = stripHeaders(classProfile.grammar);
     const hasClassVocabulary = cleanVocab.length > 0;
     const hasClassGrammar = cleanGrammar.length > 0;
 
+    const classStructuresUsedCount = (metrics.grammar_structures_used || []).length;
+    const classVocabUsedCount = (metrics.class_vocabulary_used || []).length;
+    const transitionWordCount = (metrics.transition_words_found || []).length;
+    const wordCountRange = resolveWordCountRange(classProfile);
+
+    // Every threshold comes from the rubric's `scoring` blocks, so an edited
+    // rubric moves the bands too. Categories without a precomputed band
+    // (subjective, or no class vocab list) come back null — GPT judges them.
+    const rubricBands = computeRubricBands(rubric, {
+      errorCounts,
+      classStructuresUsedCount,
+      hasClassGrammar,
+      classVocabUsedCount,
+      hasClassVocabulary,
+      wordCount: metrics.word_count,
+      targetMin: wordCountRange?.min ?? null,
+      targetMax: wordCountRange?.max ?? null,
+      transitionWordCount,
+    });
+    const layoutCategory = Object.keys(rubric.categories)
+      .find(id => rubric.categories[id].scoring?.type === 'layout');
+
     const precomputed = {
       errorCounts,
-      bands: {
-        grammar: computeGrammarBand({
-          errorCount: errorCounts.grammar || 0,
-          classStructuresUsedCount: (metrics.grammar_structures_used || []).length,
-          hasClassGrammar,
-        }),
-        vocabulary: computeVocabularyBand({
-          classVocabUsedCount: (metrics.class_vocabulary_used || []).length,
-          hasClassVocabulary,
-        }), // null when no class vocab list — Vocabulary stays subjective
-        spelling: computeSpellingBand(errorCounts.spelling || 0),
-        mechanics: computeMechanicsBand(errorCounts.mechanics || 0),
-      },
-      layout: {
-        // Length and transition bands precomputed; GPT judges structure
-        // quality as a third band and averages in the prompt.
-        lengthBand: (() => {
-          const range = resolveWordCountRange(classProfile);
-          if (!range) return null;
-          return computeLayoutLengthBand({
-            actualCount: metrics.word_count,
-            targetMin: range.min,
-            targetMax: range.max,
-          });
-        })(),
-        transitionBand: computeLayoutTransitionBand(
-          (metrics.transition_words_found || []).length
-        ),
+      bands: Object.fromEntries(
+        Object.entries(rubricBands)
+          .filter(([id]) => id !== layoutCategory)
+          .map(([id, { band }]) => [id, band])
+      ),
+      // Length and transition bands precomputed; GPT judges structure
+      // quality as a third band and averages in the prompt.
+      layout: layoutCategory ? {
+        category: layoutCategory,
+        lengthBand: rubricBands[layoutCategory].lengthBand,
+        transitionBand: rubricBands[layoutCategory].transitionBand,
         paragraphCount: metrics.paragraph_count,
-        transitionWordCount: (metrics.transition_words_found || []).length,
-      },
+        transitionWordCount,
+      } : null,
       hasClassVocabulary,
       hasClassGrammar,
-      classStructuresUsedCount: (metrics.grammar_structures_used || []).length,
-      classVocabUsedCount: (metrics.class_vocabulary_used || []).length,
-      bandToPointRange,
+      classStructuresUsedCount,
+      classVocabUsedCount,
+      // Band → { min, max } points, from the category's own band ranges.
+      pointRangeFor: (categoryId, band) => {
+        const category = rubric.categories[categoryId];
+        return bandToPointRange(band, category.weight, category.bands);
+      },
     };
 
     // STEP 3: Grade with rubric
@@ -437,31 +486,18 @@ export async function gradeEssaySimple(studentText, classProfile, progressCallba
       precomputed // Per-category error counts and band numbers
     );
 
-    const gradingResponse = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [{ role: "user", content: gradingPrompt }],
+    const { data: gradingResult, usage: gradingUsage } = await completeJSON('grading', {
+      prompt: gradingPrompt,
       temperature: 0.2,
-      response_format: { type: "json_object" }
+      key: studentText,
+      context: { precomputed, rubric },
     });
-
-    const gradingResult = JSON.parse(gradingResponse.choices[0].message.content);
     console.log(`✅ Final score: ${gradingResult.total?.points || gradingResult.score}/100`);
 
-    // Sum token usage across all three OpenAI calls (error detection, metrics,
-    // grading) into a single usage object for cost logging by the caller. The
-    // model is taken from the grading call (all three use the same model today).
-    const gradingUsage = extractUsage(gradingResponse);
-    const usage = {
-      promptTokens:
-        (errorDetection._usage?.promptTokens || 0) +
-        (metrics._usage?.promptTokens || 0) +
-        (gradingUsage.promptTokens || 0),
-      completionTokens:
-        (errorDetection._usage?.completionTokens || 0) +
-        (metrics._usage?.completionTokens || 0) +
-        (gradingUsage.completionTokens || 0),
-      model: gradingUsage.model || metrics._usage?.model || errorDetection._usage?.model || null,
-    };
+    // Sum token usage across all LLM calls (screening when it ran, error
+    // detection — once per consensus run — metrics, grading) into a single
+    // usage object for cost logging by the caller.
+    const usage = combineUsage([screening._usage, errorDetection._usage, metrics._usage, gradingUsage].flat());
 
     // Teacher notes are generated algorithmically (not by GPT) — the format is
     // a tight, deterministic formula and the inputs (total score, error counts,
@@ -482,19 +518,41 @@ export async function gradeEssaySimple(studentText, classProfile, progressCallba
       teacher_notes: teacherNotes, // override GPT's with the algorithmic version
       teacher_notes_suggestion: teacherNotesSuggestion, // 1-category alternative (or null)
       inline_issues: errorDetection.inline_issues,
+      // Errors detection reported but anchoring couldn't place in the text.
+      unresolved_issues: errorDetection.unresolved_issues,
       corrected_text_minimal: errorDetection.corrected_text_minimal,
       meta: {
         word_count: metrics.word_count,
         vocabulary_count: metrics.word_count,
         class_vocabulary_used: metrics.class_vocabulary_used,
+        // Offsets of each class-vocabulary occurrence, for the formatter's
+        // positive markers; grammar offsets for reference.
+        class_vocabulary_matches: metrics.class_vocabulary_matches,
         grammar_structures_used: metrics.grammar_structures_used,
-        transition_words_found: metrics.transition_words_found
+        grammar_structure_matches: metrics.grammar_structure_matches,
+        transition_words_found: metrics.transition_words_found,
+        paragraph_count: metrics.paragraph_count,
+        sentence_count: metrics.sentence_count,
+        // Paragraph, sentence and transition offsets (text-stats.js).
+        text_stats: metrics.text_stats,
+        // Detection runs merged by consensus (1 when consensus is off). Each
+        // inline issue then carries `agreement: { found_in, runs }`.
+        consensus_runs: errorDetection.runs || 1,
+        // Transcribed from handwriting by OCR (spelling judged leniently).
+        ocr: !!options.ocr
       },
-      // Token usage summed across the 3 OpenAI calls, for cost logging by the
+      // Which rubric (and version) graded this, with its category names and
+      // weights, so the breakdown still renders after the rubric is edited.
+      rubric: rubricSnapshot(rubric),
+      // Token usage summed across the LLM calls, for cost logging by the
       // controller. Not part of the graded output — stripped before display.
       usage
     };
 
+    // Zero-rule flags; a zeroing flag holds the computed scores back in
+    // screening.original_scores until the teacher confirms or dismisses it.
+    applyScreening(finalResult, screening);
+
     if (progressCallback) {
       progressCallback({
         step: 'complete',
@@ -526,8 +584,9 @@ export async function gradeEssaySimple(studentText, classProfile, progressCallba
  * @param {string} prompt - The assignment prompt (unused in simple approach)
  * @param {number} classProfileId - The class profile ID
  * @param {string} studentNickname - Optional student nickname
+ * @param {Object} [options] - passed through to gradeEssaySimple (e.g. rubric)
  */
-export async function gradeEssay(studentText, prompt, classProfileId, studentNickname) {
+export async function gradeEssay(studentText, prompt, classProfileId, studentNickname, options = {}) {
   console.log('=== STARTING SIMPLIFIED 3-STEP GRADING PROCESS ===');
   console.log('🏷️ Student nickname:', studentNickname || 'none provided');
 
@@ -569,15 +628,18 @@ export async function gradeEssay(studentText, prompt, classProfileId, studentNic
   const cefrLevel = classProfile.cefrLevel;
   console.log(`CEFR Level: ${cefrLevel}, Class Profile: ${classProfile.name}`);
 
-  // Build classProfile object with vocabulary and grammar arrays
+  // Build classProfile object with vocabulary and grammar arrays. An
+  // assignment's prompt and word count (options.profileOverrides) replace
+  // the profile's.
   const profileForGrading = {
     ...classProfile,
+    ...(options.profileOverrides || {}),
     vocabulary: classProfile.vocabulary || [],
     grammar: classProfile.grammar || []
   };
 
   // Call the simplified grading function with studentNickname
-  const result = await gradeEssaySimple(studentText, profileForGrading, null, studentNickname);
+  const result = await gradeEssaySimple(studentText, profileForGrading, null, studentNickname, options);
 
   // Store studentNickname in result for later use
   if (studentNickname) {
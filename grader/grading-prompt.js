@@ -136,6 +136,13 @@ export { parseWordCountFromPrompt, resolveWordCountRange };
 export function buildGradingPrompt(rubric, classProfile, cefrLevel, studentText, errorDetectionResults, studentNickname, studentWordCount, precomputed) {
   const levelInfo = rubric.cefr_levels[cefrLevel] || rubric.cefr_levels['C1'];
   const categories = Object.keys(rubric.categories);
+  const scoringType = (id) => rubric.categories[id].scoring?.type || 'subjective';
+  const layoutCategory = categories.find(id => scoringType(id) === 'layout');
+  // The category the class vocabulary list feeds. Rubrics without a
+  // class_vocabulary category still usually have a plain "vocabulary" one.
+  const vocabCategory = categories.find(id => scoringType(id) === 'class_vocabulary')
+    || (rubric.categories.vocabulary ? 'vocabulary' : null);
+  const grammarCategory = rubric.categories.grammar ? 'grammar' : null;
 
   const studentName = studentNickname && studentNickname.trim() ? studentNickname.trim() : '';
 
@@ -234,66 +241,96 @@ export function buildGradingPrompt(rubric, classProfile, cefrLevel, studentText,
   if (precomputed) {
     const ec = precomputed.errorCounts || {};
     const b = precomputed.bands || {};
-    const toPts = precomputed.bandToPointRange;
+    const toPts = precomputed.pointRangeFor;
+    const bandCount = (id) => rubric.categories[id].bands.length;
+    const pointScale = (id) => rubric.categories[id].bands
+      .map((_, i) => {
+        const { min, max } = toPts(id, i + 1);
+        return `band ${i + 1} → ${min}-${max}`;
+      })
+      .join(', ');
 
     // Format one per-category line like:
     //   - Mechanics: 2 errors → band 1 → score in 13-15 range
     const lines = [];
-    const addBandLine = (name, band, weight, count, structuresInfo) => {
-      if (band == null) return; // subjective — handled elsewhere
-      const { min, max } = toPts(band, weight);
-      const base = count != null ? `${count} errors` : '';
-      const extra = structuresInfo || '';
-      const detail = [base, extra].filter(Boolean).join(', ');
-      lines.push(`- **${name}**: ${detail ? detail + ' → ' : ''}band ${band} → score in ${min}-${max} range`);
+    const addBandLine = (id, detail) => {
+      const band = b[id];
+      const { min, max } = toPts(id, band);
+      lines.push(`- **${rubric.categories[id].name}**: ${detail ? detail + ' → ' : ''}band ${band} → score in ${min}-${max} range`);
     };
 
-    addBandLine('Grammar', b.grammar, 15, ec.grammar || 0,
-      precomputed.hasClassGrammar
-        ? `${precomputed.classStructuresUsedCount} class grammar structures used`
-        : null);
-    if (b.vocabulary != null) {
-      // Class-vocab-present case: score is determined by match count only.
-      lines.push(`- **Vocabulary**: ${precomputed.classVocabUsedCount} class vocabulary words used → band ${b.vocabulary} → score in ${toPts(b.vocabulary, 15).min}-${toPts(b.vocabulary, 15).max} range`);
+    // Precomputed bands are final; everything else is GPT's judgment.
+    const finalCategories = [];
+    const judgedCategories = [];
+    const subjectiveLines = [];
+    for (const id of categories) {
+      const category = rubric.categories[id];
+      const type = scoringType(id);
+      if (id === layoutCategory) continue;
+
+      if (type === 'error_count' && b[id] != null) {
+        const structuresInfo = (precomputed.hasClassGrammar && category.scoring.structure_thresholds)
+          ? `${precomputed.classStructuresUsedCount} class grammar structures used`
+          : null;
+        addBandLine(id, [`${ec[id] || 0} errors`, structuresInfo].filter(Boolean).join(', '));
+        finalCategories.push(category.name);
+      } else if (type === 'class_vocabulary' && b[id] != null) {
+        // Class-vocab-present case: score is determined by match count only.
+        addBandLine(id, `${precomputed.classVocabUsedCount} class vocabulary words used`);
+        finalCategories.push(category.name);
+      } else if (type === 'class_vocabulary') {
+        subjectiveLines.push(`- **${category.name}** (${category.weight} points): No class vocabulary list is specified for this assignment. Read the essay and score vocabulary based on variety, appropriateness, and accuracy of the words the student used. Assign a band 1-${bandCount(id)} and map to point range: ${pointScale(id)}. Do NOT mention "class vocabulary" in the rationale.`);
+        judgedCategories.push(category.name);
+      } else {
+        subjectiveLines.push(`- **${category.name}** (${category.weight} points): Read the essay and the assignment prompt. Assign a band 1-${bandCount(id)} based on the ${category.name} band descriptions above (${(category.description || category.name).replace(/\.$/, '')}). Map to point range: ${pointScale(id)}.`);
+        judgedCategories.push(category.name);
+      }
     }
-    addBandLine('Spelling', b.spelling, 15, ec.spelling || 0);
-    addBandLine('Mechanics', b.mechanics, 15, ec.mechanics || 0);
 
     // Layout has two precomputed sub-bands (length, transitions) plus a
     // structure judgment that GPT provides. We tell GPT the two numeric
     // bands and instruct it to average with its structure assessment.
-    const layout = precomputed.layout || {};
-    const layoutDetails = [];
-    if (layout.lengthBand != null) {
-      layoutDetails.push(`length band = ${layout.lengthBand}`);
-    } else {
-      layoutDetails.push(`length = NOT SCORED (no word count target set)`);
-    }
-    layoutDetails.push(`transition-word band = ${layout.transitionBand} (${layout.transitionWordCount} transitions found)`);
-    layoutDetails.push(`paragraph count = ${layout.paragraphCount}`);
-
-    const layoutStructureInstruction = (layout.lengthBand != null)
-      ? `Read the essay and assign a structure-quality band (1-5) based on paragraph organization. Then AVERAGE the three band numbers (length, transitions, structure) and round to the nearest integer. Map the final band to its point range: band 1 → 13-15, band 2 → 10-12, band 3 → 7-9, band 4 → 4-6, band 5 → 0-3. Select a specific point value within that range.`
-      : `No word count target set for this assignment. Score Layout from two inputs only: (1) transition-word band = ${layout.transitionBand}, (2) your judgment of paragraph organization as a band (1-5). AVERAGE these two band numbers, round, and map to the point range. Do NOT penalize length.`;
-
-    authoritativeBlock = `
-## AUTHORITATIVE SCORING DATA (precomputed from the detected errors — USE THESE EXACT NUMBERS):
+    let layoutSection = '';
+    if (layoutCategory && precomputed.layout) {
+      const layout = precomputed.layout;
+      const layoutName = rubric.categories[layoutCategory].name;
+      const layoutDetails = [];
+      if (layout.lengthBand != null) {
+        layoutDetails.push(`length band = ${layout.lengthBand}`);
+      } else {
+        layoutDetails.push(`length = NOT SCORED (no word count target set)`);
+      }
+      layoutDetails.push(`transition-word band = ${layout.transitionBand} (${layout.transitionWordCount} transitions found)`);
+      layoutDetails.push(`paragraph count = ${layout.paragraphCount}`);
 
-${lines.join('\n')}
+      const layoutStructureInstruction = (layout.lengthBand != null)
+        ? `Read the essay and assign a structure-quality band (1-${bandCount(layoutCategory)}) based on paragraph organization. Then AVERAGE the three band numbers (length, transitions, structure) and round to the nearest integer. Map the final band to its point range: ${pointScale(layoutCategory)}. Select a specific point value within that range.`
+        : `No word count target set for this assignment. Score ${layoutName} from two inputs only: (1) transition-word band = ${layout.transitionBand}, (2) your judgment of paragraph organization as a band (1-${bandCount(layoutCategory)}). AVERAGE these two band numbers, round, and map to the point range: ${pointScale(layoutCategory)}. Do NOT penalize length.`;
 
-### Layout (${15} points) — partial precomputation:
+      layoutSection = `
+### ${layoutName} (${rubric.categories[layoutCategory].weight} points) — partial precomputation:
 - ${layoutDetails.join('\n- ')}
 
 ${layoutStructureInstruction}
+`;
+      judgedCategories.push(`${layoutName} structure`);
+    }
 
-### Subjective categories (no precomputation):
-- **Fluency** (10 points): Read the essay and assign a band 1-5 based on organization and logical flow of ideas. Map to point range: band 1 → 9-10, band 2 → 7-8, band 3 → 5-6, band 4 → 3-4, band 5 → 0-2.
-- **Content** (15 points): Read the essay and the assignment prompt. Assign a band 1-5 based on variety of ideas, elaboration, and topic relevance. Map to point range: band 1 → 13-15, band 2 → 10-12, band 3 → 7-9, band 4 → 4-6, band 5 → 0-3.${b.vocabulary == null ? `
-- **Vocabulary** (15 points): No class vocabulary list is specified for this assignment. Read the essay and score vocabulary based on variety, appropriateness, and accuracy of the words the student used. Assign a band 1-5 and map to point range: band 1 → 13-15, band 2 → 10-12, band 3 → 7-9, band 4 → 4-6, band 5 → 0-3. Do NOT mention "class vocabulary" in the rationale.` : ''}
+    const joinNames = (names) => names.length > 1
+      ? `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`
+      : names.join('');
+
+    authoritativeBlock = `
+## AUTHORITATIVE SCORING DATA (precomputed from the detected errors — USE THESE EXACT NUMBERS):
 
+${lines.length > 0 ? lines.join('\n') : '- (no precomputed categories in this rubric)'}
+${layoutSection}
+### Subjective categories (no precomputation):
+${subjectiveLines.length > 0 ? subjectiveLines.join('\n') : '- None'}
+${finalCategories.length > 0 ? `
 ### CRITICAL RULE:
-For Grammar, Spelling, Mechanics${b.vocabulary != null ? ', and Vocabulary' : ''}: the bands above are FINAL. Pick a point value inside the given range but DO NOT change bands based on your reading of the essay. The error counts are authoritative; your reading of the essay applies ONLY to Fluency, Content, Layout structure${b.vocabulary == null ? ', and Vocabulary' : ''}.
-`;
+For ${joinNames(finalCategories)}: the bands above are FINAL. Pick a point value inside the given range but DO NOT change bands based on your reading of the essay. The error counts are authoritative; your reading of the essay applies ONLY to ${joinNames(judgedCategories) || 'the wording of the rationales'}.
+` : ''}`;
   }
 
   return `You are an expert ESL writing grader. Grade according to the rubric.
@@ -312,7 +349,7 @@ ERRORS PROVIDED: ${errorDetectionResults.inline_issues.length} total errors foun
 CEFR Level: ${cefrLevel} (${levelInfo.name})
 
 ## ZERO SCORE RULES (automatic 0 if any apply):
-${rubric.zero_rules.map(rule => `- ${rule}`).join('\n')}
+${rubric.zero_rules.length > 0 ? rubric.zero_rules.map(rule => `- ${rule}`).join('\n') : '- None'}
 
 ## GRADING CATEGORIES:
 ${categories.map(cat => {
@@ -323,31 +360,24 @@ ${category.bands.map(band => `  ${band.range}: ${band.description}`).join('\n')}
 
 
 ## POINT VALUES (use these exact values):
-- Grammar: out_of = 15
-- Vocabulary: out_of = 15
-- Spelling: out_of = 15
-- Mechanics: out_of = 15
-- Fluency: out_of = 10
-- Layout: out_of = 15
-- Content: out_of = 15
+${categories.map(id => `- ${rubric.categories[id].name}: out_of = ${rubric.categories[id].weight}`).join('\n')}
 
 ## ASSIGNMENT PROMPT:
 ${classProfile.prompt || 'No specific prompt provided'}
 
 ## REQUIREMENTS:
 ${wordCountSection}
-- Transition words: ${rubric.layout_rules.transition_words_min} minimum
-${hasClassVocabulary
+${layoutCategory ? `- Transition words: ${rubric.layout_rules?.transition_words_min ?? 5} minimum\n` : ''}${!vocabCategory ? '' : hasClassVocabulary
   ? `- Class vocabulary to look for: ${cleanVocab.join(', ')}`
-  : `- Class vocabulary: NOT SPECIFIED for this class. Grade the "vocabulary" category based ONLY on the correctness, appropriateness, and variety of the vocabulary the student actually used in their essay. Do NOT mention class vocabulary, a class word list, or whether the student used class vocabulary anywhere in the rationale or feedback. Do NOT say things like "no class vocabulary used" or "class vocabulary not applied".`}
-${hasClassGrammar
+  : `- Class vocabulary: NOT SPECIFIED for this class. Grade the "${vocabCategory}" category based ONLY on the correctness, appropriateness, and variety of the vocabulary the student actually used in their essay. Do NOT mention class vocabulary, a class word list, or whether the student used class vocabulary anywhere in the rationale or feedback. Do NOT say things like "no class vocabulary used" or "class vocabulary not applied".`}
+${!grammarCategory ? '' : hasClassGrammar
   ? `- Grammar structures to look for: ${cleanGrammar.join(', ')}`
   : `- Grammar structures: NOT SPECIFIED for this class. Grade the "grammar" category based ONLY on the correctness of the grammar the student actually used in their essay. Do NOT mention target grammar structures, a class grammar list, or whether the student used class grammar anywhere in the rationale or feedback. Do NOT say things like "no class grammar structures used" or "target structures not applied".`}
 
 ## SCORING RULES:
 - Use the AUTHORITATIVE SCORING DATA above as the source of truth for bands.
 - For categories with a precomputed band: the band is FINAL. Pick any point value within the given range based on rubric-band nuance, but do NOT shift to a different band.
-- For subjective categories: read the essay and pick a band 1-5, then map to the point range specified above.
+- For subjective categories: read the essay and pick a band, then map to the point range specified above.
 - Perfect performance within a band = top of that range. Average performance = middle. Barely meeting band criteria = bottom of range.
 ${authoritativeBlock}
 
@@ -362,13 +392,7 @@ ${errorDetectionResults.inline_issues.map(issue =>
 ## OUTPUT FORMAT:
 {
   "scores": {
-    "grammar": {"points": X, "out_of": 15, "rationale": "Brief note explaining score (1 sentence)"},
-    "vocabulary": {"points": X, "out_of": 15, "rationale": "Brief note explaining score (1 sentence)"},
-    "spelling": {"points": X, "out_of": 15, "rationale": "Brief note explaining score (1 sentence)"},
-    "mechanics": {"points": X, "out_of": 15, "rationale": "Brief note explaining score (1 sentence)"},
-    "fluency": {"points": X, "out_of": 10, "rationale": "Brief note explaining score (1 sentence)"},
-    "layout": {"points": X, "out_of": 15, "rationale": "Brief note explaining score (1 sentence)"},
-    "content": {"points": X, "out_of": 15, "rationale": "Brief note explaining score (1 sentence)"}
+${categories.map(id => `    "${id}": {"points": X, "out_of": ${rubric.categories[id].weight}, "rationale": "Brief note explaining score (1 sentence)"}`).join(',\n')}
   },
   "total": {"points": X, "out_of": 100}
 }
@@ -0,0 +1,234 @@
+// grader/llm-provider.js
+// Pluggable LLM provider layer for the grading pipeline.
+//
+// Each sub-call in the pipeline is a "stage":
+//   - screening  (zero-rule topic/AI check in screening.js)
+//   - detection  (detectErrors in grader-simple.js)
+//   - metrics    (countMetrics in grader-simple.js — class grammar items the
+//                 in-code matcher can't interpret)
+//   - grading    (the rubric grading call in gradeEssaySimple)
+//   - syllabus   (extractSyllabus in syllabus-extractor.js)
+//
+// Every stage can be routed to a different provider + model by env var, so we
+// can e.g. run detection on Claude and keep the grading call on gpt-4o without
+// touching the pipeline code:
+//
+//   LLM_PROVIDER=openai                 default provider for every stage
+//   LLM_PROVIDER_DETECTION=anthropic    per-stage provider override
+//   LLM_MODEL_DETECTION=claude-sonnet-4-5   per-stage model override
+//
+// Providers:
+//   - openai     OpenAI chat completions (OPENAI_API_KEY, OPENAI_MODEL)
+//   - anthropic  Anthropic messages API  (ANTHROPIC_API_KEY, ANTHROPIC_MODEL)
+//   - local      any OpenAI-compatible endpoint, e.g. Ollama / vLLM / LM Studio
+//                (LOCAL_LLM_BASE_URL, LOCAL_LLM_API_KEY, LOCAL_LLM_MODEL)
+//   - mock       offline fixtures / deterministic synthetic replies, for CI and
+//                demos (see mock-provider.js)
+//
+// All stages ask for a single JSON object back, so the only operation we need
+// is completeJSON(). It returns the parsed object plus a normalized usage
+// record ({ promptTokens, completionTokens, model, provider, stage }) that the
+// grader sums for the grading_events cost log.
+
+import OpenAI from "openai";
+import Anthropic from "@anthropic-ai/sdk";
+import dotenv from "dotenv";
+import { mockComplete, recordFixture } from './mock-provider.js';
+import { LOCAL_MODEL_PREFIX } from './model-prefixes.js';
+
+dotenv.config();
+
+export const STAGES = ['screening', 'detection', 'metrics', 'grading', 'syllabus'];
+
+const PROVIDER_DEFAULT_MODELS = {
+  openai: () => process.env.OPENAI_MODEL || 'gpt-4o',
+  anthropic: () => process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+  local: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  // The mock reports "mock:fixture" or "mock:synthetic" per call; the routed
+  // model name is informational only.
+  mock: () => 'mock',
+};
+
+// Anthropic has no JSON response mode and requires max_tokens. Syllabus
+// extraction can return several hundred items, so it gets a larger budget.
+const ANTHROPIC_MAX_TOKENS = {
+  screening: 512,
+  detection: 4096,
+  metrics: 1024,
+  grading: 2048,
+  syllabus: 8192,
+};
+
+const JSON_ONLY_SYSTEM_PROMPT =
+  'Respond with a single valid JSON object and nothing else — no prose, no markdown code fences.';
+
+/**
+ * Resolve which provider + model a stage should use, from the environment.
+ * Read at call time (not import time) so tests and the debug endpoint see
+ * the live configuration.
+ *
+ * @param {string} stage
+ * @returns {{ stage: string, provider: string, model: string }}
+ */
+export function resolveStageRoute(stage) {
+  const key = String(stage || '').toUpperCase();
+  const provider = (
+    process.env[`LLM_PROVIDER_${key}`] ||
+    process.env.LLM_PROVIDER ||
+    'openai'
+  ).trim().toLowerCase();
+
+  const defaultModel = PROVIDER_DEFAULT_MODELS[provider];
+  if (!defaultModel) {
+    throw new Error(`Unknown LLM provider "${provider}" for stage "${stage}"`);
+  }
+
+  const model = (process.env[`LLM_MODEL_${key}`] || defaultModel()).trim();
+  return { stage, provider, model };
+}
+
+/** Routing table for every stage — used by /api/debug and startup logging. */
+export function describeRouting() {
+  return STAGES.map((stage) => {
+    try {
+      return resolveStageRoute(stage);
+    } catch (error) {
+      return { stage, provider: null, model: null, error: error.message };
+    }
+  });
+}
+
+// Clients are created lazily and cached per provider, so a deployment that
+// only routes to OpenAI never needs an Anthropic key (and vice versa).
+const clients = {};
+
+function getClient(provider) {
+  if (clients[provider]) return clients[provider];
+
+  if (provider === 'openai') {
+    clients.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  } else if (provider === 'anthropic') {
+    clients.anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  } else if (provider === 'local') {
+    clients.local = new OpenAI({
+      baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      // OpenAI-compatible servers generally ignore the key, but the SDK
+      // refuses to construct without one.
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    });
+  } else {
+    throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+
+  return clients[provider];
+}
+
+/**
+ * Parse a model's text reply as JSON. Providers without a strict JSON mode
+ * (Anthropic, many local models) occasionally wrap the object in a markdown
+ * fence or a sentence of preamble, so we fall back to the outermost {...}.
+ */
+export function parseJSONReply(text) {
+  if (!text || !text.trim()) {
+    throw new Error('LLM returned no content');
+  }
+  try {
+    return JSON.parse(text);
+  } catch (firstError) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(text.slice(start, end + 1));
+      } catch {
+        // fall through to the original error — it points at the real problem
+      }
+    }
+    throw new Error('LLM returned invalid JSON: ' + firstError.message);
+  }
+}
+
+async function callOpenAICompatible(provider, model, prompt, temperature) {
+  const response = await getClient(provider).chat.completions.create({
+    model,
+    messages: [{ role: "user", content: prompt }],
+    temperature,
+    response_format: { type: "json_object" }
+  });
+
+  const u = response?.usage || {};
+  const reportedModel = response?.model || model;
+  return {
+    text: response.choices[0]?.message?.content,
+    promptTokens: Number(u.prompt_tokens) || 0,
+    completionTokens: Number(u.completion_tokens) || 0,
+    model: provider === 'local' ? `${LOCAL_MODEL_PREFIX}${reportedModel}` : reportedModel,
+  };
+}
+
+async function callAnthropic(stage, model, prompt, temperature) {
+  const response = await getClient('anthropic').messages.create({
+    model,
+    max_tokens: ANTHROPIC_MAX_TOKENS[stage] || 4096,
+    temperature,
+    system: JSON_ONLY_SYSTEM_PROMPT,
+    messages: [{ role: "user", content: prompt }]
+  });
+
+  const text = (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  const u = response?.usage || {};
+  return {
+    text,
+    promptTokens: Number(u.input_tokens) || 0,
+    completionTokens: Number(u.output_tokens) || 0,
+    model: response?.model || model,
+  };
+}
+
+/**
+ * Run one JSON-returning completion for a pipeline stage.
+ *
+ * @param {string} stage        - one of STAGES
+ * @param {Object} args
+ * @param {string} args.prompt  - full user prompt
+ * @param {number} args.temperature
+ * @param {string} [args.key]   - the essay/syllabus text the call is about. Keys
+ *   mock fixtures, and fixture recording (LLM_RECORD_FIXTURES=1).
+ * @param {Object} [args.context] - structured inputs the mock provider uses to
+ *   synthesize a reply; ignored by real providers.
+ * @returns {Promise<{ data: Object, usage: { promptTokens: number, completionTokens: number, model: string|null, provider: string, stage: string } }>}
+ * @throws {Error} when the provider call fails or the reply is not JSON.
+ */
+export async function completeJSON(stage, { prompt, temperature, key, context }) {
+  const { provider, model } = resolveStageRoute(stage);
+
+  let raw;
+  let data;
+  if (provider === 'mock') {
+    raw = await mockComplete(stage, { prompt, key, context });
+    data = raw.data;
+  } else {
+    raw = provider === 'anthropic'
+      ? await callAnthropic(stage, model, prompt, temperature)
+      : await callOpenAICompatible(provider, model, prompt, temperature);
+    data = parseJSONReply(raw.text);
+
+    if (process.env.LLM_RECORD_FIXTURES === '1' && key != null) {
+      recordFixture(stage, key, data);
+    }
+  }
+
+  return {
+    data,
+    usage: {
+      promptTokens: raw.promptTokens,
+      completionTokens: raw.completionTokens,
+      model: raw.model || null,
+      provider,
+      stage,
+    },
+  };
+}
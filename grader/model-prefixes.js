@@ -0,0 +1,9 @@
+// grader/model-prefixes.js
+// Prefixes the providers put on the model ids they report, kept apart from
+// the providers so costRates.js can price them without loading any SDK.
+
+/** Self-hosted models served through the "local" provider: "local:<model>". */
+export const LOCAL_MODEL_PREFIX = 'local:';
+
+/** The offline "mock" provider: "mock:fixture" / "mock:synthetic". */
+export const MOCK_MODEL_PREFIX = 'mock:';
@@ -0,0 +1,257 @@
+// grader/revision.js
+// Comparing a revised draft with the draft it revises, computed in code (no
+// LLM).
+//
+// The drafts are diffed token by token: words, and each punctuation mark on
+// its own, case-sensitively, so "monday" → "Monday" and an added comma are
+// changes. Each error flagged on the earlier draft is then
+//   fixed       - its text was rewritten and the regrade flags nothing of the
+//                 same category there any more
+//   persisted   - its text is unchanged, or the regrade flags the same
+//                 category on the rewritten text
+// and each error flagged on the new draft that isn't a persisted one is
+//   introduced    - on text the student added or rewrote
+//   newly_flagged - on text that was already in the earlier draft but wasn't
+//                   flagged then
+//
+// Used by revisionService.js when a saved essay is resubmitted; the formatter
+// shows the summary and marks each highlight's status.
+
+const STATUSES = ['fixed', 'persisted', 'introduced', 'newly_flagged'];
+
+// Above this many cells the middle of the diff isn't aligned token by token
+// and counts as rewritten. Drafts share long unchanged starts and ends, which
+// are matched first, so only heavy rewrites of long essays get here.
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Fixed errors listed by the summary.
+const MAX_FIXED_LISTED = 50;
+
+/**
+ * Split a text into words and punctuation marks with their offsets.
+ * @returns {Array<{token: string, start: number, end: number, word: boolean}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}']+|[^\s\p{L}\p{N}']/gu;
+  let match;
+  while ((match = re.exec(String(text || ''))) !== null) {
+    tokens.push({
+      token: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      word: /[\p{L}\p{N}]/u.test(match[0]),
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Longest common subsequence alignment of two token lists.
+ * @returns {Int32Array} for each token of `a`, the index of its match in `b`, or -1
+ */
+function alignTokens(a, b) {
+  const map = new Int32Array(a.length).fill(-1);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix].token === b[prefix].token) {
+    map[prefix] = prefix;
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix].token === b[b.length - 1 - suffix].token) {
+    map[a.length - 1 - suffix] = b.length - 1 - suffix;
+    suffix++;
+  }
+
+  const n = a.length - prefix - suffix;
+  const m = b.length - prefix - suffix;
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_DIFF_CELLS) return map;
+
+  // lengths[i][j] = LCS of a[prefix+i..] and b[prefix+j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[prefix + i].token === b[prefix + j].token
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (a[prefix + i].token === b[prefix + j].token) {
+      map[prefix + i] = prefix + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return map;
+}
+
+/**
+ * The new draft as equal and inserted runs, with the earlier draft's removed
+ * runs in between. Whitespace comes from the new draft.
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>}
+ */
+function diffRuns(textA, textB, a, b, map) {
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.text += text;
+    else runs.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  let cursor = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && map[i] === -1) {
+      const first = i;
+      while (i < a.length && map[i] === -1) i++;
+      push('delete', textA.slice(a[first].start, a[i - 1].end));
+    } else if (j < b.length && (i >= a.length || map[i] !== j)) {
+      push('insert', textB.slice(cursor, b[j].end));
+      cursor = b[j].end;
+      j++;
+    } else {
+      push('equal', textB.slice(cursor, b[j].end));
+      cursor = b[j].end;
+      i++;
+      j++;
+    }
+  }
+  if (cursor < textB.length) push('equal', textB.slice(cursor));
+  return runs;
+}
+
+function primaryCategory(issue) {
+  return String(issue.category || issue.type || '').split(',')[0].trim();
+}
+
+function overlaps(issue, start, end) {
+  // An empty range is where text was removed: an error touching it counts.
+  if (start === end) return issue.start <= start && issue.end >= end;
+  return issue.start < end && issue.end > start;
+}
+
+/**
+ * Where an earlier-draft span is in the new draft, and whether its text is
+ * unchanged.
+ * @returns {{start: number, end: number, unchanged: boolean}}
+ */
+function locateSpan(span, a, b, map, textB) {
+  const inside = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i].start < span.end && a[i].end > span.start) inside.push(i);
+  }
+  const unchanged = inside.length > 0
+    && inside.every((i, k) => map[i] !== -1 && (k === 0 || map[i] === map[inside[k - 1]] + 1));
+  if (unchanged) {
+    return { start: b[map[inside[0]]].start, end: b[map[inside[inside.length - 1]]].end, unchanged };
+  }
+
+  // Rewritten: the new text between the nearest unchanged tokens around it.
+  let start = 0;
+  let end = textB.length;
+  for (let i = a.length - 1; i >= 0; i--) {
+    if (a[i].end <= span.start && map[i] !== -1) {
+      start = b[map[i]].end;
+      break;
+    }
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i].start >= span.end && map[i] !== -1) {
+      end = b[map[i]].start;
+      break;
+    }
+  }
+  return { start, end: Math.max(start, end), unchanged: false };
+}
+
+function emptyCounts() {
+  return Object.fromEntries(STATUSES.map(status => [status, 0]));
+}
+
+/**
+ * Compare a revised draft with the earlier one.
+ * @param {{text: string, issues: Array<Object>}} previous - earlier draft and
+ *   its inline_issues ({category, start, end, text, correction})
+ * @param {{text: string, issues: Array<Object>}} current - the revision and
+ *   the regrade's inline_issues
+ * @returns {{issues: Array<Object>, previousIssues: Array<Object>, counts: Object,
+ *   byCategory: Object, fixed: Array<Object>, wordsAdded: number,
+ *   wordsRemoved: number, changes: Array<Object>}} issues are the current
+ *   issues with a revision_status; previousIssues the earlier ones with theirs
+ */
+function compareDrafts(previous, current) {
+  const textA = String(previous.text || '');
+  const textB = String(current.text || '');
+  const a = tokenize(textA);
+  const b = tokenize(textB);
+  const map = alignTokens(a, b);
+
+  const currentIssues = (current.issues || []).map(issue => ({ ...issue }));
+  const persistedCurrent = new Set();
+
+  const previousIssues = (previous.issues || [])
+    .filter(issue => Number.isInteger(issue?.start) && Number.isInteger(issue?.end))
+    .map(issue => {
+      const located = locateSpan(issue, a, b, map, textB);
+      const category = primaryCategory(issue);
+      const still = currentIssues.filter(other =>
+        primaryCategory(other) === category && overlaps(other, located.start, located.end));
+      still.forEach(other => persistedCurrent.add(other));
+      const status = located.unchanged || still.length > 0 ? 'persisted' : 'fixed';
+      return { ...issue, revision_status: status };
+    });
+
+  const mapped = new Set(map.filter(j => j !== -1));
+  for (const issue of currentIssues) {
+    if (persistedCurrent.has(issue)) {
+      issue.revision_status = 'persisted';
+      continue;
+    }
+    const onNewText = b.some((token, j) => !mapped.has(j) && token.start < issue.end && token.end > issue.start);
+    issue.revision_status = onNewText ? 'introduced' : 'newly_flagged';
+  }
+
+  // Earlier errors count as fixed or persisted; the regrade's own only when
+  // they're new, so a persisted error isn't counted twice.
+  const counts = emptyCounts();
+  const byCategory = {};
+  const tally = (category, status) => {
+    counts[status]++;
+    byCategory[category] = byCategory[category] || emptyCounts();
+    byCategory[category][status]++;
+  };
+  previousIssues.forEach(issue => tally(primaryCategory(issue), issue.revision_status));
+  currentIssues
+    .filter(issue => issue.revision_status !== 'persisted')
+    .forEach(issue => tally(primaryCategory(issue), issue.revision_status));
+
+  return {
+    issues: currentIssues,
+    previousIssues,
+    counts,
+    byCategory,
+    fixed: previousIssues
+      .filter(issue => issue.revision_status === 'fixed')
+      .slice(0, MAX_FIXED_LISTED)
+      .map(issue => ({ category: primaryCategory(issue), text: issue.text || textA.slice(issue.start, issue.end), correction: issue.correction || '' })),
+    wordsAdded: b.filter((token, j) => token.word && !mapped.has(j)).length,
+    wordsRemoved: a.filter((token, i) => token.word && map[i] === -1).length,
+    changes: diffRuns(textA, textB, a, b, map),
+  };
+}
+
+export {
+  STATUSES,
+  tokenize,
+  alignTokens,
+  compareDrafts,
+};
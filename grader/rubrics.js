@@ -0,0 +1,246 @@
+// grader/rubrics.js
+// Rubric definitions: the built-in default (rubric.json) and validation for
+// teacher-edited rubrics stored in Prisma (rubric_versions.definition).
+//
+// A rubric definition has the same shape as rubric.json:
+//
+//   { label, zero_rules: [..], categories: { <id>: { name, weight,
+//     description, scoring: {..}, bands: [{ range, points, description }] } } }
+//
+// Bands are listed best first; a category can have 2-10 of them. Each band
+// declares its point range explicitly (`points: { min, max }`); `range` is
+// the display label ("15% - 13%") and is derived from the points when
+// missing. Count thresholds have one value per boundary between bands, so
+// N bands take N - 1 thresholds.
+//
+// The `scoring` block says how a category's band is found:
+//   error_count       band from the detected-error count (detection
+//                     categories only — the detector can't flag anything else)
+//   class_vocabulary  band from class-vocabulary matches
+//   layout            length-deviation + transition-word bands, averaged
+//                     with GPT's structure judgment
+//   subjective        GPT reads the essay and picks the band
+//
+// Everything downstream (scoring.js, grading-prompt.js, the formatter) reads
+// the rubric passed in, so a grade made with an edited rubric is scored,
+// prompted and displayed entirely from that rubric.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { bandPointRanges } from './scoring.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_RUBRIC = JSON.parse(readFileSync(join(__dirname, 'rubric.json'), 'utf8'));
+
+const SCORING_TYPES = ['error_count', 'class_vocabulary', 'layout', 'subjective'];
+
+// Categories the error detector can assign (error-detection-simple.js).
+// error_count on any other id would always count zero.
+const DETECTION_CATEGORIES = ['grammar', 'vocabulary', 'spelling', 'mechanics', 'fluency'];
+
+const MIN_BANDS = 2;
+const MAX_BANDS = 10;
+
+function isMonotonic(values, direction) {
+  for (let i = 1; i < values.length; i++) {
+    if (direction === 'ascending' ? values[i] < values[i - 1] : values[i] > values[i - 1]) return false;
+  }
+  return true;
+}
+
+function checkThresholds(errors, label, values, direction, bandCount) {
+  if (!Array.isArray(values) || values.length !== bandCount - 1 ||
+      !values.every(v => typeof v === 'number' && Number.isFinite(v) && v >= 0)) {
+    errors.push(`${label} must be ${bandCount - 1} non-negative numbers (one fewer than the bands)`);
+    return;
+  }
+  if (!isMonotonic(values, direction)) {
+    errors.push(`${label} must be in ${direction} order`);
+  }
+}
+
+/**
+ * Band point ranges must run from the full weight (top band) down to 0
+ * (bottom band), best first, without overlapping — otherwise a score would
+ * map to two bands, or the top mark would be unreachable.
+ */
+function checkBandPoints(errors, label, ranges, weight) {
+  if (ranges.some(r => r.min < 0 || r.max > weight)) {
+    errors.push(`${label}: band points must be between 0 and ${weight}`);
+    return;
+  }
+  if (ranges[0].max !== weight || ranges[ranges.length - 1].min !== 0) {
+    errors.push(`${label}: the top band must reach ${weight} points and the bottom band 0`);
+    return;
+  }
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].max >= ranges[i - 1].min) {
+      errors.push(`${label}: band ${i + 1} points overlap band ${i}`);
+      return;
+    }
+  }
+}
+
+/**
+ * Validate a rubric definition. Returns a list of human-readable problems;
+ * an empty list means the rubric is usable for grading.
+ *
+ * @param {Object} definition
+ * @returns {string[]}
+ */
+function validateRubric(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') return ['Rubric definition is required'];
+
+  if (definition.zero_rules !== undefined &&
+      (!Array.isArray(definition.zero_rules) || !definition.zero_rules.every(r => typeof r === 'string'))) {
+    errors.push('zero_rules must be a list of strings');
+  }
+
+  const categories = definition.categories;
+  if (!categories || typeof categories !== 'object' || Object.keys(categories).length === 0) {
+    errors.push('At least one category is required');
+    return errors;
+  }
+
+  let totalWeight = 0;
+  for (const [id, category] of Object.entries(categories)) {
+    const label = `Category "${category?.name || id}"`;
+    if (!/^[a-z][a-z0-9_]*$/.test(id)) {
+      errors.push(`${label}: id must be lowercase letters, digits or underscores`);
+    }
+    if (!category || typeof category.name !== 'string' || !category.name.trim()) {
+      errors.push(`${label}: name is required`);
+      continue;
+    }
+    if (!Number.isInteger(category.weight) || category.weight <= 0) {
+      errors.push(`${label}: weight must be a positive whole number`);
+    } else {
+      totalWeight += category.weight;
+    }
+
+    const bandCount = Array.isArray(category.bands) ? category.bands.length : 0;
+    if (bandCount < MIN_BANDS || bandCount > MAX_BANDS) {
+      errors.push(`${label}: between ${MIN_BANDS} and ${MAX_BANDS} bands are required`);
+      continue;
+    }
+    category.bands.forEach((band, i) => {
+      if (!band?.description || !String(band.description).trim()) {
+        errors.push(`${label}: band ${i + 1} needs a description`);
+      }
+      const points = band?.points;
+      if (points !== undefined && !(Number.isInteger(points?.min) && Number.isInteger(points?.max) && points.min <= points.max)) {
+        errors.push(`${label}: band ${i + 1} points must be whole numbers with min <= max`);
+      }
+    });
+    if (Number.isInteger(category.weight) && category.weight + 1 < bandCount) {
+      errors.push(`${label}: ${category.weight} points can't be split into ${bandCount} bands`);
+    } else if (Number.isInteger(category.weight)) {
+      checkBandPoints(errors, label, bandPointRanges(category.weight, category.bands), category.weight);
+    }
+
+    const scoring = category.scoring || { type: 'subjective' };
+    if (!SCORING_TYPES.includes(scoring.type)) {
+      errors.push(`${label}: scoring type must be one of ${SCORING_TYPES.join(', ')}`);
+      continue;
+    }
+    if (scoring.type === 'error_count') {
+      if (!DETECTION_CATEGORIES.includes(id)) {
+        errors.push(`${label}: error_count scoring is only available for ${DETECTION_CATEGORIES.join(', ')}`);
+      }
+      checkThresholds(errors, `${label}: thresholds`, scoring.thresholds, 'ascending', bandCount);
+      if (scoring.structure_thresholds != null) {
+        checkThresholds(errors, `${label}: structure_thresholds`, scoring.structure_thresholds, 'descending', bandCount);
+      }
+    } else if (scoring.type === 'class_vocabulary') {
+      checkThresholds(errors, `${label}: thresholds`, scoring.thresholds, 'descending', bandCount);
+    } else if (scoring.type === 'layout') {
+      checkThresholds(errors, `${label}: length_under`, scoring.length_under, 'ascending', bandCount);
+      checkThresholds(errors, `${label}: length_over`, scoring.length_over, 'ascending', bandCount);
+      checkThresholds(errors, `${label}: transition_thresholds`, scoring.transition_thresholds, 'descending', bandCount);
+    }
+  }
+
+  // The metrics pass produces one length/transition reading and one
+  // class-vocabulary count per essay, so each can back only one category.
+  for (const type of ['layout', 'class_vocabulary']) {
+    const count = Object.values(categories).filter(c => c?.scoring?.type === type).length;
+    if (count > 1) errors.push(`Only one category can use ${type} scoring`);
+  }
+
+  if (totalWeight !== 100 && errors.length === 0) {
+    errors.push(`Category weights must add up to 100 (currently ${totalWeight})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Fill the parts of a stored definition that teachers don't edit (CEFR level
+ * names, layout rules) from the default rubric, resolve every band's points
+ * and label, and tag it with its id and version so results can record which
+ * rubric graded them.
+ *
+ * @param {Object} definition - validated rubric definition
+ * @param {{id: string, version: number, name?: string}} source
+ * @returns {Object} rubric ready for gradeEssaySimple({ rubric })
+ */
+function normalizeRubric(definition, { id, version, name } = {}) {
+  const categories = Object.fromEntries(
+    Object.entries(definition.categories || {}).map(([catId, category]) => {
+      const ranges = bandPointRanges(category.weight, category.bands);
+      return [catId, {
+        ...category,
+        // Every band carries both: points drive scoring, range labels the prompt.
+        bands: (category.bands || []).map((band, i) => ({
+          ...band,
+          points: ranges[i],
+          range: band.range || `${ranges[i].max}% - ${ranges[i].min}%`,
+        })),
+      }];
+    })
+  );
+  return {
+    ...definition,
+    categories,
+    id: id ?? definition.id,
+    version: version ?? definition.version,
+    label: definition.label || name || DEFAULT_RUBRIC.label,
+    zero_rules: definition.zero_rules || [],
+    layout_rules: definition.layout_rules || DEFAULT_RUBRIC.layout_rules,
+    cefr_levels: definition.cefr_levels || DEFAULT_RUBRIC.cefr_levels,
+  };
+}
+
+/**
+ * The slice of a rubric stored with each grade: enough to display the
+ * category breakdown after the rubric has been edited or deleted.
+ */
+function rubricSnapshot(rubric) {
+  return {
+    id: rubric.id,
+    version: rubric.version,
+    label: rubric.label,
+    categories: Object.fromEntries(
+      Object.entries(rubric.categories).map(([id, c]) => [id, {
+        name: c.name,
+        weight: c.weight,
+        color: c.color,
+        backgroundColor: c.backgroundColor,
+      }])
+    ),
+  };
+}
+
+export {
+  DEFAULT_RUBRIC,
+  MIN_BANDS,
+  MAX_BANDS,
+  SCORING_TYPES,
+  DETECTION_CATEGORIES,
+  validateRubric,
+  normalizeRubric,
+  rubricSnapshot,
+};
@@ -18,6 +18,22 @@
 //   - Content
 //   - Vocabulary WITHOUT class list
 //   - Layout structure judgment (GPT adds this to the averaged bands)
+//
+// Thresholds come from each category's `scoring` block in the rubric
+// (rubric.json for the default rubric, Prisma for teacher-edited ones). The
+// defaults below are the default rubric's values, so callers that don't pass
+// a rubric keep grading exactly as before.
+
+const DEFAULT_THRESHOLDS = {
+    grammar: [3, 5, 9, 15],
+    grammarStructures: [4, 3, 2, 1],
+    vocabulary: [10, 7, 5, 3],
+    spelling: [3, 5, 8, 10],
+    mechanics: [3, 5, 10, 20],
+    layoutUnder: [13, 15, 17, 19],
+    layoutOver: [15, 20, 25, 30],
+    layoutTransitions: [6, 5, 4, 2],
+};
 
 /**
  * Given an array of inline error issues from detection, return a map of
@@ -42,8 +58,9 @@ function countErrorsByCategory(inlineIssues) {
 }
 
 /**
- * Map an error count to a band number (1 = top/best, 5 = bottom/worst)
- * using ascending thresholds.
+ * Map an error count to a band number (1 = top/best, N = bottom/worst)
+ * using ascending thresholds. N - 1 thresholds make N bands, so the band
+ * count follows the rubric — the default rubric's 4 thresholds give 5 bands.
  *
  * Example for Grammar errors: thresholds [3, 5, 9, 15]
  *   count <= 3  → band 1
@@ -53,14 +70,14 @@ function countErrorsByCategory(inlineIssues) {
  *   count > 15  → band 5
  *
  * @param {number} count
- * @param {number[]} thresholds - 4 ascending values
- * @returns {number} 1-5
+ * @param {number[]} thresholds - N - 1 ascending values
+ * @returns {number} 1..N
  */
 function bandFromCountAscending(count, thresholds) {
     for (let i = 0; i < thresholds.length; i++) {
         if (count <= thresholds[i]) return i + 1;
     }
-    return 5;
+    return thresholds.length + 1;
 }
 
 /**
@@ -74,29 +91,36 @@ function bandFromCountAscending(count, thresholds) {
  *   count < 3   → band 5
  *
  * @param {number} count
- * @param {number[]} thresholds - 4 descending values
- * @returns {number} 1-5
+ * @param {number[]} thresholds - N - 1 descending values
+ * @returns {number} 1..N
  */
 function bandFromCountDescending(count, thresholds) {
     for (let i = 0; i < thresholds.length; i++) {
         if (count >= thresholds[i]) return i + 1;
     }
-    return 5;
+    return thresholds.length + 1;
 }
 
 /**
  * Compute the Grammar band.
  *
  * When class-grammar list is present, averages two bands (error count +
- * class-structure count) and rounds to nearest integer. When class-grammar
+ * class-structure count) and rounds to nearest integer. Both threshold
+ * lists must describe the same number of bands. When class-grammar
  * list is absent, uses only the error-count band — GPT-without-rubric-
  * class-structures fallback is handled upstream by the prompt's
  * "NOT SPECIFIED for this class" branch.
  */
-function computeGrammarBand({ errorCount, classStructuresUsedCount, hasClassGrammar }) {
-    const errorBand = bandFromCountAscending(errorCount, [3, 5, 9, 15]);
-    if (!hasClassGrammar) return errorBand;
-    const structureBand = bandFromCountDescending(classStructuresUsedCount, [4, 3, 2, 1]);
+function computeGrammarBand({
+    errorCount,
+    classStructuresUsedCount,
+    hasClassGrammar,
+    thresholds = DEFAULT_THRESHOLDS.grammar,
+    structureThresholds = DEFAULT_THRESHOLDS.grammarStructures,
+}) {
+    const errorBand = bandFromCountAscending(errorCount, thresholds);
+    if (!hasClassGrammar || !structureThresholds) return errorBand;
+    const structureBand = bandFromCountDescending(classStructuresUsedCount, structureThresholds);
     return Math.round((errorBand + structureBand) / 2);
 }
 
@@ -108,19 +132,19 @@ function computeGrammarBand({ errorCount, classStructuresUsedCount, hasClassGram
  * When no class list exists, returns null — caller should mark Vocabulary
  * as subjective and let GPT judge freely.
  */
-function computeVocabularyBand({ classVocabUsedCount, hasClassVocabulary }) {
+function computeVocabularyBand({ classVocabUsedCount, hasClassVocabulary, thresholds = DEFAULT_THRESHOLDS.vocabulary }) {
     if (!hasClassVocabulary) return null;
-    return bandFromCountDescending(classVocabUsedCount, [10, 7, 5, 3]);
+    return bandFromCountDescending(classVocabUsedCount, thresholds);
 }
 
 /** Spelling band — pure error count. */
-function computeSpellingBand(errorCount) {
-    return bandFromCountAscending(errorCount, [3, 5, 8, 10]);
+function computeSpellingBand(errorCount, thresholds = DEFAULT_THRESHOLDS.spelling) {
+    return bandFromCountAscending(errorCount, thresholds);
 }
 
 /** Mechanics band — pure error count. */
-function computeMechanicsBand(errorCount) {
-    return bandFromCountAscending(errorCount, [3, 5, 10, 20]);
+function computeMechanicsBand(errorCount, thresholds = DEFAULT_THRESHOLDS.mechanics) {
+    return bandFromCountAscending(errorCount, thresholds);
 }
 
 /**
@@ -131,10 +155,16 @@ function computeMechanicsBand(errorCount) {
  * Returns null if no target is set (caller should skip length in Layout
  * scoring entirely, per the existing "NOT SPECIFIED" branch).
  */
-function computeLayoutLengthBand({ actualCount, targetMin, targetMax }) {
+function computeLayoutLengthBand({
+    actualCount,
+    targetMin,
+    targetMax,
+    under = DEFAULT_THRESHOLDS.layoutUnder,
+    over = DEFAULT_THRESHOLDS.layoutOver,
+}) {
     if (actualCount == null || targetMin == null || targetMax == null) return null;
 
-    // Rubric's per-band thresholds (from the uni; asymmetric under vs over):
+    // Default rubric's per-band thresholds (from the uni; asymmetric under vs over):
     //   band 1: within range OR up to 13 under OR up to 15 over
     //   band 2: 14-15 under OR 16-20 over
     //   band 3: 16-17 under OR 21-25 over
@@ -148,69 +178,175 @@ function computeLayoutLengthBand({ actualCount, targetMin, targetMax }) {
     if (actualCount >= targetMin && actualCount <= targetMax) return 1;
 
     if (actualCount < targetMin) {
-        const under = targetMin - actualCount;
-        if (under <= 13) return 1;
-        if (under <= 15) return 2;
-        if (under <= 17) return 3;
-        if (under <= 19) return 4;
-        return 5;
+        return bandFromCountAscending(targetMin - actualCount, under);
     }
 
     // actualCount > targetMax
-    const over = actualCount - targetMax;
-    if (over <= 15) return 1;
-    if (over <= 20) return 2;
-    if (over <= 25) return 3;
-    if (over <= 30) return 4;
-    return 5;
+    return bandFromCountAscending(actualCount - targetMax, over);
 }
 
 /** Layout transition-word band. */
-function computeLayoutTransitionBand(transitionWordCount) {
-    return bandFromCountDescending(transitionWordCount, [6, 5, 4, 2]);
+function computeLayoutTransitionBand(transitionWordCount, thresholds = DEFAULT_THRESHOLDS.layoutTransitions) {
+    return bandFromCountDescending(transitionWordCount, thresholds);
+}
+
+/**
+ * Parse a rubric band's "range" label into points. Band labels are written
+ * as percentages of the total ("15% - 13%") and, because every rubric totals
+ * 100, a percent is a point. Order of the two numbers doesn't matter.
+ *
+ * @param {string} range
+ * @returns {{min: number, max: number}|null} null when the label has no numbers
+ */
+function parseBandRange(range) {
+    const nums = String(range || '').match(/\d+(?:\.\d+)?/g);
+    if (!nums) return null;
+    const values = nums.slice(0, 2).map(Number);
+    return { min: Math.min(...values), max: Math.max(...values) };
 }
 
 /**
- * Map a band number (1-5) to the rubric's point range for the category,
- * given the category's weight. Returns { min, max } in points (not percent).
+ * Split a category's points evenly across its bands, best band first.
+ * Returns [{ min, max }, ...] covering 0..weight with no gaps.
  *
- * Band ranges by weight (follows the rubric's standard 5-band split):
- *   Weight 15: bands give [13-15, 10-12, 7-9, 4-6, 0-3]
- *   Weight 10: bands give [9-10, 7-8, 5-6, 3-4, 0-2]
+ * The weight + 1 possible scores (0..weight) are dealt out in equal runs;
+ * any remainder goes one point each to the bottom bands, so the top band is
+ * never wider than the rest. For the default rubric's 5 bands this gives
+ * exactly the uni's tables:
+ *   Weight 15: [13-15, 10-12, 7-9, 4-6, 0-3]
+ *   Weight 10: [9-10, 7-8, 5-6, 3-4, 0-2]
+ * and, e.g., weight 20 → [17-20, 13-16, 9-12, 5-8, 0-4],
+ * weight 15 in 4 bands → [12-15, 8-11, 4-7, 0-3].
  *
- * These match the rubric.json bands exactly — just computed from weight
- * so we don't duplicate the thresholds.
+ * @param {number} weight - category points
+ * @param {number} [bandCount=5]
+ * @returns {Array<{min: number, max: number}>}
  */
-function bandToPointRange(band, weight) {
-    if (weight === 15) {
-        const ranges = [
-            { min: 13, max: 15 },
-            { min: 10, max: 12 },
-            { min: 7, max: 9 },
-            { min: 4, max: 6 },
-            { min: 0, max: 3 },
-        ];
-        return ranges[band - 1] || ranges[4];
+function splitPoints(weight, bandCount = 5) {
+    const values = weight + 1;
+    const base = Math.floor(values / bandCount);
+    const remainder = values % bandCount;
+    const ranges = [];
+    let max = weight;
+    for (let i = 0; i < bandCount; i++) {
+        // At least one score per band; rubric validation rejects weights
+        // too small for their band count, this just keeps ranges sane.
+        const size = Math.max(1, base + (i >= bandCount - remainder ? 1 : 0));
+        ranges.push({ min: Math.max(0, max - size + 1), max: Math.max(0, max) });
+        max -= size;
     }
-    if (weight === 10) {
-        const ranges = [
-            { min: 9, max: 10 },
-            { min: 7, max: 8 },
-            { min: 5, max: 6 },
-            { min: 3, max: 4 },
-            { min: 0, max: 2 },
-        ];
-        return ranges[band - 1] || ranges[4];
+    return ranges;
+}
+
+/**
+ * The point range of every band of a category, best band first.
+ *
+ * Per band, in order of precedence:
+ *   1. explicit `points: { min, max }` declared in the rubric
+ *   2. the band's "range" label ("15% - 13%")
+ *   3. the even split from splitPoints()
+ * Without bands, the category gets `bandCount` evenly split bands.
+ *
+ * @param {number} weight - category points
+ * @param {Array<{range?: string, points?: {min: number, max: number}}>|null} [bands]
+ * @param {number} [bandCount=5] - used only when no bands are given
+ * @returns {Array<{min: number, max: number}>}
+ */
+function bandPointRanges(weight, bands = null, bandCount = 5) {
+    if (!Array.isArray(bands) || bands.length === 0) return splitPoints(weight, bandCount);
+    const even = splitPoints(weight, bands.length);
+    return bands.map((band, i) => {
+        const points = band?.points;
+        if (points && Number.isFinite(points.min) && Number.isFinite(points.max)) {
+            return { min: points.min, max: points.max };
+        }
+        return parseBandRange(band?.range) || even[i];
+    });
+}
+
+/**
+ * Map a band number to the rubric's point range for the category, given the
+ * category's weight (and its bands, when the rubric has them). Returns
+ * { min, max } in points (not percent). Band numbers outside 1..N clamp to
+ * the nearest band.
+ */
+function bandToPointRange(band, weight, bands = null) {
+    const ranges = bandPointRanges(weight, bands);
+    const index = Math.min(Math.max(Math.round(band) || 1, 1), ranges.length) - 1;
+    return ranges[index];
+}
+
+/**
+ * Compute every deterministic band a rubric defines, keyed by category id.
+ * Subjective categories (and countable ones whose input is missing — e.g.
+ * no class vocabulary list, no length target) come back as null so the
+ * prompt can tell GPT to judge them freely.
+ *
+ * `layout` bands are the length and transition bands; the caller averages
+ * them with GPT's structure judgment, as before.
+ *
+ * @param {Object} rubric - rubric definition (categories with `scoring` blocks)
+ * @param {Object} inputs
+ * @param {Object<string, number>} inputs.errorCounts - from countErrorsByCategory
+ * @param {number} inputs.classStructuresUsedCount
+ * @param {boolean} inputs.hasClassGrammar
+ * @param {number} inputs.classVocabUsedCount
+ * @param {boolean} inputs.hasClassVocabulary
+ * @param {number|null} inputs.wordCount
+ * @param {number|null} inputs.targetMin
+ * @param {number|null} inputs.targetMax
+ * @param {number} inputs.transitionWordCount
+ * @returns {Object<string, {band: number|null, lengthBand?: number|null, transitionBand?: number}>}
+ */
+function computeRubricBands(rubric, inputs) {
+    const bands = {};
+    for (const [catId, category] of Object.entries(rubric.categories || {})) {
+        const scoring = category.scoring || { type: 'subjective' };
+        switch (scoring.type) {
+            case 'error_count': {
+                const errorCount = inputs.errorCounts?.[catId] || 0;
+                const band = catId === 'grammar'
+                    ? computeGrammarBand({
+                        errorCount,
+                        classStructuresUsedCount: inputs.classStructuresUsedCount,
+                        hasClassGrammar: inputs.hasClassGrammar,
+                        thresholds: scoring.thresholds,
+                        structureThresholds: scoring.structure_thresholds || null,
+                    })
+                    : bandFromCountAscending(errorCount, scoring.thresholds);
+                bands[catId] = { band, errorCount };
+                break;
+            }
+            case 'class_vocabulary':
+                bands[catId] = {
+                    band: computeVocabularyBand({
+                        classVocabUsedCount: inputs.classVocabUsedCount,
+                        hasClassVocabulary: inputs.hasClassVocabulary,
+                        thresholds: scoring.thresholds,
+                    }),
+                };
+                break;
+            case 'layout': {
+                const lengthBand = computeLayoutLengthBand({
+                    actualCount: inputs.wordCount,
+                    targetMin: inputs.targetMin,
+                    targetMax: inputs.targetMax,
+                    under: scoring.length_under,
+                    over: scoring.length_over,
+                });
+                const transitionBand = computeLayoutTransitionBand(inputs.transitionWordCount, scoring.transition_thresholds);
+                bands[catId] = { band: lengthBand ?? transitionBand, lengthBand, transitionBand };
+                break;
+            }
+            default:
+                bands[catId] = { band: null };
+        }
     }
-    // Fallback: proportional split
-    const step = weight / 5;
-    return {
-        min: Math.max(0, Math.round(weight - band * step)),
-        max: Math.round(weight - (band - 1) * step),
-    };
+    return bands;
 }
 
 export {
+    DEFAULT_THRESHOLDS,
     countErrorsByCategory,
     bandFromCountAscending,
     bandFromCountDescending,
@@ -220,5 +356,9 @@ export {
     computeMechanicsBand,
     computeLayoutLengthBand,
     computeLayoutTransitionBand,
+    parseBandRange,
+    splitPoints,
+    bandPointRanges,
     bandToPointRange,
+    computeRubricBands,
 };
@@ -0,0 +1,253 @@
+// grader/screening.js
+// Pre-grading screening for the rubric's zero rules.
+//
+// rubric.json's zero_rules ("Use Artificial Intelligence", "Write only in
+// capital letters", "Off-topic", "Plagiarism") used to be a line in the
+// grading prompt and nothing more — GPT applied them (or didn't) silently.
+// This stage checks each rule the rubric declares before grading:
+//
+//   all_caps      in code: share of uppercase letters
+//   plagiarism    in code: 5-word-shingle overlap (similarity.js) with the
+//                 teacher's saved essays and the other essays in the batch
+//   off_topic     LLM: relevance to the profile's assignment prompt
+//   ai_generated  LLM: signs the essay was machine-written
+//
+// A check only runs when the rubric has a matching zero rule. Code checks
+// with strong evidence ZERO the grade; LLM judgments and weaker evidence only
+// FLAG it. Either way the grade is still computed in full and the result
+// carries `screening.status = 'pending'` until the teacher confirms the zero
+// or dismisses the flag in the results view — nothing here is final on its
+// own.
+//
+// Screening never fails a grade: a failed LLM check is logged and skipped.
+
+import { completeJSON } from './llm-provider.js';
+import { compareTexts } from './similarity.js';
+
+// Which zero rule each check enforces, matched against the rule's wording so
+// teacher-edited rubrics ("No AI tools", "Copying = 0") are recognised too.
+const ZERO_RULE_CHECKS = [
+  { id: 'ai_generated', pattern: /artificial intelligence|\bA\.?I\.?\b|chatgpt|machine[- ]written/i },
+  { id: 'all_caps', pattern: /capital letters|all[- ]?caps|upper[- ]?case/i },
+  { id: 'off_topic', pattern: /off[- ]?topic|irrelevant|not (?:about|on) the (?:topic|prompt)/i },
+  { id: 'plagiarism', pattern: /plagiari|copied|copying/i },
+];
+
+// All-caps: at least this share of letters uppercase, over enough letters
+// that a short heading or acronym-heavy line doesn't trip it.
+const ALL_CAPS_RATIO = 0.9;
+const ALL_CAPS_MIN_LETTERS = 40;
+
+// Plagiarism: share of the essay's shingles found in another text.
+// Ordinary essays on the same prompt share a few stock phrases, well under
+// the flag level; a zero needs most of the essay to match.
+const SIMILARITY_FLAG = 0.35;
+const SIMILARITY_ZERO = 0.7;
+const MAX_MATCHES = 3;
+
+/**
+ * Map each screening check to the rubric zero rule it enforces.
+ *
+ * @param {string[]} zeroRules - rubric.zero_rules
+ * @returns {Object<string, string>} check id → rule text, for the rules present
+ */
+function matchZeroRules(zeroRules) {
+  const matched = {};
+  for (const rule of zeroRules || []) {
+    const check = ZERO_RULE_CHECKS.find(c => !matched[c.id] && c.pattern.test(rule));
+    if (check) matched[check.id] = rule;
+  }
+  return matched;
+}
+
+/**
+ * All-caps check. Returns { ratio } when the essay is written (almost)
+ * entirely in capitals, otherwise null.
+ */
+function detectAllCaps(text) {
+  const letters = String(text || '').match(/\p{L}/gu) || [];
+  if (letters.length < ALL_CAPS_MIN_LETTERS) return null;
+  const upper = letters.filter(ch => ch !== ch.toLowerCase()).length;
+  const cased = letters.filter(ch => ch !== ch.toLowerCase() || ch !== ch.toUpperCase()).length;
+  if (cased === 0) return null; // scripts without case (e.g. CJK)
+  const ratio = upper / cased;
+  return ratio >= ALL_CAPS_RATIO ? { ratio: Math.round(ratio * 100) / 100 } : null;
+}
+
+/**
+ * Compare an essay against other texts. Similarity is containment — the
+ * share of the essay's shingles found in the other text — so copying a
+ * paragraph from a longer essay still scores high.
+ *
+ * @param {string} text
+ * @param {Array<{source: string, id?: string, label?: string, text: string}>} corpus
+ * @returns {Array<{source: string, id: string|null, label: string|null, similarity: number}>}
+ *   matches at or above the flag level, most similar first
+ */
+function findSimilarTexts(text, corpus) {
+  const matches = [];
+  for (const entry of corpus || []) {
+    if (!entry || !entry.text) continue;
+    const comparison = compareTexts(text, entry.text);
+    const similarity = comparison ? comparison.aCoverage : 0;
+    if (similarity >= SIMILARITY_FLAG) {
+      matches.push({ source: entry.source, id: entry.id ?? null, label: entry.label ?? null, similarity });
+    }
+  }
+  return matches.sort((a, b) => b.similarity - a.similarity).slice(0, MAX_MATCHES);
+}
+
+function describeMatch(match) {
+  const where = match.source === 'batch' ? 'another essay in this batch' : 'a saved essay';
+  return `${where}${match.label ? ` (${match.label})` : ''}`;
+}
+
+function buildScreeningPrompt(studentText, assignmentPrompt, checks) {
+  const questions = [];
+  const fields = [];
+  if (checks.includes('off_topic')) {
+    questions.push(`- OFF-TOPIC: Does the essay respond to the assignment prompt? An essay that is weak, short or only partly relevant is still ON topic. Only answer off-topic when the essay is about something else entirely.`);
+    fields.push('  "on_topic": true | false', '  "off_topic_reason": "<one sentence, empty if on topic>"');
+  }
+  if (checks.includes('ai_generated')) {
+    questions.push(`- AI-WRITTEN: Does the essay read as machine-generated rather than written by a language learner at this level? Learner errors, uneven phrasing and simple vocabulary point to a human writer. Only answer true with clear signs (flawless generic prose, stock AI phrasing, a level far beyond the class).`);
+    fields.push('  "ai_generated": true | false', '  "ai_reason": "<one sentence, empty if not AI-written>"');
+  }
+
+  return `You are screening a student essay before it is graded. Answer each question conservatively — a wrong "yes" costs the student their grade.
+
+${questions.join('\n')}
+
+ASSIGNMENT PROMPT:
+"""${assignmentPrompt || '(none given)'}"""
+
+STUDENT TEXT:
+"""${studentText}"""
+
+Return JSON:
+{
+${fields.join(',\n')}
+}`;
+}
+
+/**
+ * Screen an essay against the rubric's zero rules before grading.
+ *
+ * @param {string} studentText
+ * @param {Object} args
+ * @param {Object} args.rubric - rubric with zero_rules
+ * @param {string} [args.assignmentPrompt] - the profile's prompt, for off_topic
+ * @param {Array<{source: string, id?: string, label?: string, text: string}>} [args.corpus]
+ *   texts to check for copying (saved essays, batch peers)
+ * @returns {Promise<{status: 'clear'|'pending', zeroed: boolean, flags: Array, _usage: Object|null}>}
+ */
+async function screenEssay(studentText, { rubric, assignmentPrompt = null, corpus = [] } = {}) {
+  const rules = matchZeroRules(rubric?.zero_rules);
+  const flags = [];
+  let usage = null;
+
+  if (rules.all_caps) {
+    const caps = detectAllCaps(studentText);
+    if (caps) {
+      flags.push({
+        check: 'all_caps',
+        rule: rules.all_caps,
+        action: 'zero',
+        reason: `${Math.round(caps.ratio * 100)}% of the letters are capitals.`,
+        evidence: caps,
+      });
+    }
+  }
+
+  if (rules.plagiarism) {
+    const matches = findSimilarTexts(studentText, corpus);
+    if (matches.length > 0) {
+      const top = matches[0];
+      flags.push({
+        check: 'plagiarism',
+        rule: rules.plagiarism,
+        action: top.similarity >= SIMILARITY_ZERO ? 'zero' : 'flag',
+        reason: `${Math.round(top.similarity * 100)}% of the essay matches ${describeMatch(top)}.`,
+        evidence: { matches },
+      });
+    }
+  }
+
+  const llmChecks = ['off_topic', 'ai_generated']
+    .filter(id => rules[id])
+    // Relevance can't be judged without a prompt to be relevant to.
+    .filter(id => id !== 'off_topic' || (assignmentPrompt && assignmentPrompt.trim()));
+  if (llmChecks.length > 0) {
+    try {
+      const { data, usage: llmUsage } = await completeJSON('screening', {
+        prompt: buildScreeningPrompt(studentText, assignmentPrompt, llmChecks),
+        temperature: 0.1,
+        key: studentText,
+        context: { checks: llmChecks, assignmentPrompt },
+      });
+      usage = llmUsage;
+      if (llmChecks.includes('off_topic') && data.on_topic === false) {
+        flags.push({
+          check: 'off_topic',
+          rule: rules.off_topic,
+          action: 'flag',
+          reason: data.off_topic_reason || 'The essay does not appear to address the assignment prompt.',
+        });
+      }
+      if (llmChecks.includes('ai_generated') && data.ai_generated === true) {
+        flags.push({
+          check: 'ai_generated',
+          rule: rules.ai_generated,
+          action: 'flag',
+          reason: data.ai_reason || 'The essay reads as machine-generated.',
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️  Zero-rule screening check failed, skipping:', error.message);
+    }
+  }
+
+  return {
+    status: flags.length > 0 ? 'pending' : 'clear',
+    zeroed: flags.some(f => f.action === 'zero'),
+    flags,
+    _usage: usage,
+  };
+}
+
+/**
+ * Apply a screening outcome to a finished grade. A zeroing flag sets every
+ * category to 0 and keeps the computed scores in `screening.original_scores`,
+ * so the teacher can restore them by dismissing the flag.
+ *
+ * @param {Object} result - grade with scores/total
+ * @param {Object} screening - from screenEssay
+ * @returns {Object} the same result, with `screening` attached when anything was flagged
+ */
+function applyScreening(result, screening) {
+  if (!screening || screening.status === 'clear') return result;
+
+  const { _usage, ...outcome } = screening;
+  result.screening = outcome;
+  if (!screening.zeroed) return result;
+
+  outcome.original_scores = {};
+  for (const [category, score] of Object.entries(result.scores || {})) {
+    outcome.original_scores[category] = score.points;
+    score.points = 0;
+  }
+  outcome.original_total = result.total?.points ?? null;
+  if (result.total) result.total.points = 0;
+  return result;
+}
+
+export {
+  ZERO_RULE_CHECKS,
+  SIMILARITY_FLAG,
+  SIMILARITY_ZERO,
+  matchZeroRules,
+  detectAllCaps,
+  findSimilarTexts,
+  screenEssay,
+  applyScreening,
+};
@@ -0,0 +1,170 @@
+// grader/similarity.js
+// Near-duplicate detection between essays, computed in code (no LLM).
+//
+// Texts are compared by word shingles: every run of SHINGLE_SIZE consecutive
+// words, lowercased, punctuation dropped. Two essays on the same prompt share
+// a few stock phrases; a copied essay shares most of its shingles.
+//
+// Similarity is containment rather than Jaccard — the share of one essay's
+// shingles found in the other — so a paragraph lifted into a longer essay
+// still scores high. A pair's score is the larger of the two directions.
+//
+// Used by screening.js (the zero-rule copying check on each grade) and by the
+// batch similarity report (gradingController → batch results table), which
+// also needs the matching passages as character ranges for side-by-side
+// highlighting.
+
+const SHINGLE_SIZE = 5;
+
+// Essays shorter than this many shingles are too short to call copied.
+const MIN_SHINGLES = 10;
+
+// Pairs at or above this score are reported.
+const REPORT_THRESHOLD = 0.35;
+
+/**
+ * Split a text into words with their character offsets.
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}']+/gu;
+  let match;
+  while ((match = re.exec(String(text || ''))) !== null) {
+    tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/** Shingle → start-token indices, for one text. */
+function shingleIndex(tokens, size = SHINGLE_SIZE) {
+  const index = new Map();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    const key = tokens.slice(i, i + size).map(t => t.word).join(' ');
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(i);
+  }
+  return index;
+}
+
+/** Merge the tokens flagged in `covered` into character ranges. */
+function coveredRanges(tokens, covered) {
+  const ranges = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!covered[i]) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && covered[i - 1]) {
+      last.end = tokens[i].end;
+    } else {
+      ranges.push({ start: tokens[i].start, end: tokens[i].end });
+    }
+  }
+  return ranges;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compare two texts.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {Object} [options]
+ * @param {number} [options.shingleSize=5]
+ * @returns {{similarity: number, aCoverage: number, bCoverage: number,
+ *   aRanges: Array<{start: number, end: number}>, bRanges: Array<{start: number, end: number}>}|null}
+ *   coverages are the share of each text's shingles found in the other;
+ *   ranges are the overlapping passages. null when either text is too short.
+ */
+function compareTexts(a, b, { shingleSize = SHINGLE_SIZE } = {}) {
+  const aTokens = tokenize(a);
+  const bTokens = tokenize(b);
+  const aIndex = shingleIndex(aTokens, shingleSize);
+  const bIndex = shingleIndex(bTokens, shingleSize);
+  if (aIndex.size < MIN_SHINGLES || bIndex.size < MIN_SHINGLES) return null;
+
+  const aCovered = new Array(aTokens.length).fill(false);
+  const bCovered = new Array(bTokens.length).fill(false);
+  let shared = 0;
+  for (const [key, aStarts] of aIndex) {
+    const bStarts = bIndex.get(key);
+    if (!bStarts) continue;
+    shared++;
+    for (const start of aStarts) aCovered.fill(true, start, start + shingleSize);
+    for (const start of bStarts) bCovered.fill(true, start, start + shingleSize);
+  }
+
+  const aCoverage = round2(shared / aIndex.size);
+  const bCoverage = round2(shared / bIndex.size);
+  return {
+    similarity: Math.max(aCoverage, bCoverage),
+    aCoverage,
+    bCoverage,
+    aRanges: shared ? coveredRanges(aTokens, aCovered) : [],
+    bRanges: shared ? coveredRanges(bTokens, bCovered) : [],
+  };
+}
+
+/**
+ * Whether a saved essay is the essay's own student's: the same saved essay
+ * (a regrade), the same roster student, or the same label. Names are typed
+ * differently from batch to batch, so the ids come first.
+ * @param {{id?: string, studentId?: string|null, label?: string}} saved
+ * @param {{id?: string|null, studentId?: string|null, label?: string|null}} essay
+ */
+function isOwnSave(saved, essay) {
+  if (saved.id != null && saved.id === essay.id) return true;
+  if (saved.studentId && saved.studentId === essay.studentId) return true;
+  return !!saved.label && saved.label === essay.label;
+}
+
+/**
+ * Pairwise near-duplicate report for a batch: every essay against every
+ * other essay in the batch, and against the teacher's earlier saved essays.
+ * A saved essay of the batch essay's own student (isOwnSave) is skipped —
+ * that's the student's earlier save, not a copy.
+ *
+ * @param {Array<{id: string, label: string, studentId?: string, text: string}>} essays - the batch
+ * @param {Array<{id: string, label: string, studentId?: string, text: string}>} [history] - saved essays
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.35] - lowest similarity reported
+ * @returns {Array<{a: Object, b: Object, similarity: number, aCoverage: number,
+ *   bCoverage: number, aRanges: Array, bRanges: Array}>} most similar first.
+ *   `a` is always a batch essay; `b` is a batch essay or a saved one
+ *   (`source: 'saved'`, with its text, which the client doesn't have).
+ */
+function findNearDuplicates(essays, history = [], { threshold = REPORT_THRESHOLD } = {}) {
+  const pairs = [];
+  const ref = (essay, source) => ({ source, id: essay.id ?? null, label: essay.label ?? null });
+  const consider = (a, b, bRef) => {
+    const result = compareTexts(a.text, b.text);
+    if (result && result.similarity >= threshold) {
+      pairs.push({ a: ref(a, 'batch'), b: bRef, ...result });
+    }
+  };
+
+  const batch = (essays || []).filter(e => e && e.text);
+  for (let i = 0; i < batch.length; i++) {
+    for (let j = i + 1; j < batch.length; j++) {
+      consider(batch[i], batch[j], ref(batch[j], 'batch'));
+    }
+    for (const saved of history || []) {
+      if (!saved || !saved.text) continue;
+      if (isOwnSave(saved, batch[i])) continue;
+      consider(batch[i], saved, { ...ref(saved, 'saved'), text: saved.text });
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+export {
+  SHINGLE_SIZE,
+  MIN_SHINGLES,
+  REPORT_THRESHOLD,
+  tokenize,
+  compareTexts,
+  isOwnSave,
+  findNearDuplicates,
+};
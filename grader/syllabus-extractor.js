@@ -1,20 +1,14 @@
 // grader/syllabus-extractor.js
 // Extract class vocabulary and grammar structures from a pasted syllabus.
 //
-// Uses GPT-4o (low temperature) to parse syllabus text into two arrays.
+// Uses the "syllabus" LLM stage (GPT-4o by default, low temperature — see
+// llm-provider.js for routing) to parse syllabus text into two arrays.
 // UNIT headers and category subheaders are preserved in the output, prefixed
 // with "# " and "## " respectively, so teachers can visually organize their
 // profile textareas. The grading pipeline strips header lines (anything
 // starting with "#") before sending vocab/grammar to the grading GPT call.
 
-import OpenAI from "openai";
-import dotenv from "dotenv";
-
-dotenv.config();
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { completeJSON } from './llm-provider.js';
 
 /**
  * Build the extraction prompt. Separated into its own function for testability
@@ -134,7 +128,7 @@ ${syllabusText}
  *
  * @param {string} syllabusText - Raw text pasted from a syllabus by the user.
  * @returns {Promise<{vocabulary: string[], grammar: string[]}>}
- * @throws {Error} If the GPT call fails or the response cannot be parsed.
+ * @throws {Error} If the LLM call fails or the response cannot be parsed.
  */
 export async function extractSyllabus(syllabusText) {
   if (!syllabusText || !syllabusText.trim()) {
@@ -143,25 +137,13 @@ export async function extractSyllabus(syllabusText) {
 
   const prompt = buildExtractionPrompt(syllabusText);
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o",
-    messages: [{ role: "user", content: prompt }],
+  // completeJSON throws on empty content or unparseable JSON.
+  const { data: parsed } = await completeJSON('syllabus', {
+    prompt,
     temperature: 0.1, // Low temperature for consistency — same input should produce same output
-    response_format: { type: "json_object" }
+    key: syllabusText,
   });
 
-  const raw = response.choices[0]?.message?.content;
-  if (!raw) {
-    throw new Error('GPT returned no content');
-  }
-
-  let parsed;
-  try {
-    parsed = JSON.parse(raw);
-  } catch (err) {
-    throw new Error('GPT returned invalid JSON: ' + err.message);
-  }
-
   // Defensive: ensure both arrays exist even if GPT omits one.
   const vocabulary = Array.isArray(parsed.vocabulary) ? parsed.vocabulary : [];
   const grammar = Array.isArray(parsed.grammar) ? parsed.grammar : [];
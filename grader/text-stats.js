@@ -0,0 +1,185 @@
+// grader/text-stats.js
+// Paragraphs, sentences and transition words, counted in code.
+//
+// These used to come from the GPT metrics call even though they're
+// mechanically countable, and the layout transition band
+// (scoring.js computeLayoutTransitionBand) was scored straight from GPT's
+// list — so the same essay could land in different layout bands on regrade.
+//
+// Every count comes with character offsets, so the results view can show
+// what was counted.
+//
+// The transition lexicon (transitions.json) lists the transitions introduced
+// at each CEFR level; a level's lexicon is its own list plus every level
+// below it, so a C1 class gets credit for "however" as well as "hence".
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const TRANSITION_LEXICON = JSON.parse(readFileSync(join(__dirname, 'transitions.json'), 'utf8'));
+const CEFR_ORDER = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Level used when a profile's level isn't one of the six (matches the
+// grading prompt's fallback).
+const DEFAULT_LEVEL = 'C1';
+
+// A full stop after one of these doesn't end a sentence.
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'e.g', 'i.e', 'eg', 'ie',
+  'approx', 'no', 'vol', 'fig', 'dept', 'inc', 'ltd', 'co', 'corp', 'jan', 'feb', 'mar', 'apr',
+  'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'a.m', 'p.m', 'u.s', 'u.k', 'ph.d',
+]);
+
+/**
+ * The transitions a class at `cefrLevel` gets credit for, longest first.
+ *
+ * @param {string} cefrLevel - "A1" … "C2"
+ * @param {Object<string, string[]>} [lexicon] - per-level lists, transitions.json by default
+ * @returns {string[]}
+ */
+function transitionLexicon(cefrLevel, lexicon = TRANSITION_LEXICON) {
+  const level = CEFR_ORDER.includes(cefrLevel) ? cefrLevel : DEFAULT_LEVEL;
+  const phrases = new Set();
+  for (const l of CEFR_ORDER.slice(0, CEFR_ORDER.indexOf(level) + 1)) {
+    for (const phrase of lexicon[l] || []) phrases.add(phrase.toLowerCase().trim());
+  }
+  return [...phrases].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Paragraphs, as character ranges without their surrounding whitespace.
+ * Blank lines separate paragraphs; an essay with no blank lines at all but
+ * several lines (pasted with single line breaks) gets one paragraph per line.
+ *
+ * @returns {Array<{start: number, end: number}>}
+ */
+function detectParagraphs(text) {
+  const separator = /\n[ \t]*\n/.test(text) ? /\n[ \t]*\n\s*/g : /\n\s*/g;
+  const paragraphs = [];
+  let cursor = 0;
+  const push = (start, end) => {
+    const slice = text.slice(start, end);
+    const lead = slice.length - slice.trimStart().length;
+    const trimmed = slice.trim();
+    if (trimmed) paragraphs.push({ start: start + lead, end: start + lead + trimmed.length });
+  };
+  let match;
+  while ((match = separator.exec(text)) !== null) {
+    push(cursor, match.index);
+    cursor = match.index + match[0].length;
+  }
+  push(cursor, text.length);
+  return paragraphs;
+}
+
+/** True when the full stop ending at `index` belongs to an abbreviation, initial or number. */
+function isNonTerminalPeriod(text, index) {
+  const before = text.slice(0, index).match(/([\p{L}.]+)$/u);
+  const word = before ? before[1].toLowerCase() : '';
+  if (ABBREVIATIONS.has(word) || ABBREVIATIONS.has(word.replace(/\.$/, ''))) return true;
+  if (/^\p{Lu}$/u.test(before ? before[1] : '')) return true; // an initial: "J. K. Rowling"
+  if (/\d$/.test(text.slice(0, index)) && /^\d/.test(text.slice(index + 1))) return true; // 3.5
+  return false;
+}
+
+/**
+ * Sentences, as character ranges. A sentence ends at . ! ? (or …) followed
+ * by a space and a capital, digit or quote — unless the full stop closes an
+ * abbreviation ("Dr.", "e.g.") or an initial — and always at a paragraph
+ * break, so a heading without a full stop is its own sentence.
+ *
+ * @returns {Array<{start: number, end: number}>}
+ */
+function segmentSentences(text) {
+  const sentences = [];
+  for (const paragraph of detectParagraphs(text)) {
+    const body = text.slice(paragraph.start, paragraph.end);
+    const boundary = /[.!?…]+["'”’)\]]*(?=\s+["'“‘(]?[\p{Lu}\p{N}]|\s*$)/gu;
+    let cursor = 0;
+    let match;
+    while ((match = boundary.exec(body)) !== null) {
+      const end = match.index + match[0].length;
+      if (match[0] === '.' && isNonTerminalPeriod(body, match.index)) continue;
+      const slice = body.slice(cursor, end);
+      const lead = slice.length - slice.trimStart().length;
+      if (slice.trim()) {
+        sentences.push({ start: paragraph.start + cursor + lead, end: paragraph.start + end });
+      }
+      cursor = end;
+    }
+    const rest = body.slice(cursor);
+    if (rest.trim()) {
+      const lead = rest.length - rest.trimStart().length;
+      sentences.push({ start: paragraph.start + cursor + lead, end: paragraph.start + cursor + lead + rest.trim().length });
+    }
+  }
+  return sentences;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Every transition in the essay, without overlaps (the longer phrase wins:
+ * "on the other hand" over "other").
+ *
+ * @returns {Array<{phrase: string, start: number, end: number, text: string}>} in essay order
+ */
+function findTransitions(text, phrases) {
+  const taken = [];
+  const found = [];
+  for (const phrase of phrases) {
+    const words = phrase.split(/\s+/).map(escapeRegExp).join('\\s+');
+    const re = new RegExp(`(?<![\\p{L}\\p{N}'])${words}(?![\\p{L}\\p{N}'])`, 'giu');
+    let match;
+    while ((match = re.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.some(t => start < t.end && end > t.start)) continue;
+      taken.push({ start, end });
+      found.push({ phrase, start, end, text: match[0] });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Count paragraphs, sentences and transitions.
+ *
+ * `transition_words_found` lists each transition once, in order of first
+ * use — the layout band rewards a range of transitions, not one repeated.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.cefrLevel] - picks the transition lexicon
+ * @param {Object<string, string[]>} [options.lexicon] - per-level lists, transitions.json by default
+ * @returns {{paragraph_count: number, sentence_count: number, transition_words_found: string[],
+ *   paragraphs: Array, sentences: Array, transitions: Array}}
+ */
+function analyzeText(text, { cefrLevel, lexicon } = {}) {
+  const essay = String(text || '');
+  const paragraphs = detectParagraphs(essay);
+  const sentences = segmentSentences(essay);
+  const transitions = findTransitions(essay, transitionLexicon(cefrLevel, lexicon));
+  return {
+    paragraph_count: paragraphs.length,
+    sentence_count: sentences.length,
+    transition_words_found: [...new Set(transitions.map(t => t.phrase))],
+    paragraphs,
+    sentences,
+    transitions,
+  };
+}
+
+export {
+  TRANSITION_LEXICON,
+  transitionLexicon,
+  detectParagraphs,
+  segmentSentences,
+  findTransitions,
+  analyzeText,
+};
@@ -31,10 +31,8 @@ export default {
     '/tests/frontend/'
   ],
 
-  // Setup and teardown
+  // Setup
   setupFilesAfterEnv: ['<rootDir>/tests/setup/jest.setup.js'],
-  globalSetup: '<rootDir>/tests/setup/jest.global-setup.js',
-  globalTeardown: '<rootDir>/tests/setup/jest.global-teardown.js',
 
   // Coverage configuration
   collectCoverage: false, // Enable with --coverage flag
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "public"."rubrics" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "created" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastModified" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "rubrics_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."rubric_versions" (
+    "id" TEXT NOT NULL,
+    "rubricId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "definition" JSONB NOT NULL,
+    "created" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "rubric_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."class_profiles" ADD COLUMN "rubricId" TEXT,
+ADD COLUMN "rubricVersion" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "rubrics_userId_idx" ON "public"."rubrics"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rubric_versions_rubricId_version_key" ON "public"."rubric_versions"("rubricId", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."rubrics" ADD CONSTRAINT "rubrics_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."rubric_versions" ADD CONSTRAINT "rubric_versions_rubricId_fkey" FOREIGN KEY ("rubricId") REFERENCES "public"."rubrics"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."class_profiles" ADD CONSTRAINT "class_profiles_rubricId_fkey" FOREIGN KEY ("rubricId") REFERENCES "public"."rubrics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN "passwordHash" TEXT,
+ADD COLUMN "emailVerifiedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."auth_tokens" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."oidc_identities" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "issuer" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oidc_identities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_tokens_tokenHash_key" ON "public"."auth_tokens"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "auth_tokens_email_createdAt_idx" ON "public"."auth_tokens"("email", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oidc_identities_issuer_subject_key" ON "public"."oidc_identities"("issuer", "subject");
+
+-- CreateIndex
+CREATE INDEX "oidc_identities_userId_idx" ON "public"."oidc_identities"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."oidc_identities" ADD CONSTRAINT "oidc_identities_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "public"."students" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "classProfileId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "externalId" TEXT,
+    "aliases" TEXT[],
+    "created" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastModified" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "students_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."saved_essays" ADD COLUMN "studentId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."grading_events" ADD COLUMN "studentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "students_classProfileId_idx" ON "public"."students"("classProfileId");
+
+-- CreateIndex
+CREATE INDEX "students_userId_idx" ON "public"."students"("userId");
+
+-- CreateIndex
+CREATE INDEX "saved_essays_studentId_idx" ON "public"."saved_essays"("studentId");
+
+-- CreateIndex
+CREATE INDEX "grading_events_studentId_idx" ON "public"."grading_events"("studentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."students" ADD CONSTRAINT "students_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."students" ADD CONSTRAINT "students_classProfileId_fkey" FOREIGN KEY ("classProfileId") REFERENCES "public"."class_profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."saved_essays" ADD CONSTRAINT "saved_essays_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "public"."students"("id") ON DELETE SET NULL ON UPDATE CASCADE;
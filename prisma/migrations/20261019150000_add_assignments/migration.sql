@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "public"."assignments" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "classProfileId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "prompt" TEXT,
+    "requiredWordCountMin" INTEGER,
+    "requiredWordCountMax" INTEGER,
+    "dueDate" TIMESTAMP(3),
+    "rubricId" TEXT,
+    "rubricVersion" INTEGER,
+    "created" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastModified" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."saved_essays" ADD COLUMN "assignmentId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."grading_events" ADD COLUMN "assignmentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "assignments_classProfileId_idx" ON "public"."assignments"("classProfileId");
+
+-- CreateIndex
+CREATE INDEX "assignments_userId_idx" ON "public"."assignments"("userId");
+
+-- CreateIndex
+CREATE INDEX "saved_essays_assignmentId_idx" ON "public"."saved_essays"("assignmentId");
+
+-- CreateIndex
+CREATE INDEX "grading_events_assignmentId_idx" ON "public"."grading_events"("assignmentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."assignments" ADD CONSTRAINT "assignments_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."assignments" ADD CONSTRAINT "assignments_classProfileId_fkey" FOREIGN KEY ("classProfileId") REFERENCES "public"."class_profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."assignments" ADD CONSTRAINT "assignments_rubricId_fkey" FOREIGN KEY ("rubricId") REFERENCES "public"."rubrics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."saved_essays" ADD CONSTRAINT "saved_essays_assignmentId_fkey" FOREIGN KEY ("assignmentId") REFERENCES "public"."assignments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
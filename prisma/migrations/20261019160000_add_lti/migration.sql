@@ -0,0 +1,104 @@
+-- CreateTable
+CREATE TABLE "public"."lti_contexts" (
+    "id" TEXT NOT NULL,
+    "issuer" TEXT NOT NULL,
+    "contextId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "classProfileId" TEXT NOT NULL,
+    "title" TEXT,
+    "created" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "lti_contexts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."lti_links" (
+    "id" TEXT NOT NULL,
+    "issuer" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "deploymentId" TEXT NOT NULL,
+    "resourceLinkId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "classProfileId" TEXT NOT NULL,
+    "assignmentId" TEXT NOT NULL,
+    "title" TEXT,
+    "lineItemUrl" TEXT,
+    "lineItemsUrl" TEXT,
+    "agsScopes" TEXT[],
+    "created" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastModified" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "lti_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."lti_students" (
+    "id" TEXT NOT NULL,
+    "issuer" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "created" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "lti_students_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."lti_submissions" (
+    "id" TEXT NOT NULL,
+    "linkId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "scoreSent" DOUBLE PRECISION,
+    "scoreSentAt" TIMESTAMP(3),
+
+    CONSTRAINT "lti_submissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "lti_contexts_issuer_contextId_key" ON "public"."lti_contexts"("issuer", "contextId");
+
+-- CreateIndex
+CREATE INDEX "lti_contexts_classProfileId_idx" ON "public"."lti_contexts"("classProfileId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "lti_links_issuer_resourceLinkId_key" ON "public"."lti_links"("issuer", "resourceLinkId");
+
+-- CreateIndex
+CREATE INDEX "lti_links_assignmentId_idx" ON "public"."lti_links"("assignmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "lti_students_studentId_key" ON "public"."lti_students"("studentId");
+
+-- CreateIndex
+CREATE INDEX "lti_students_issuer_subject_idx" ON "public"."lti_students"("issuer", "subject");
+
+-- CreateIndex
+CREATE INDEX "lti_submissions_linkId_idx" ON "public"."lti_submissions"("linkId");
+
+-- CreateIndex
+CREATE INDEX "lti_submissions_studentId_idx" ON "public"."lti_submissions"("studentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_contexts" ADD CONSTRAINT "lti_contexts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_contexts" ADD CONSTRAINT "lti_contexts_classProfileId_fkey" FOREIGN KEY ("classProfileId") REFERENCES "public"."class_profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_links" ADD CONSTRAINT "lti_links_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_links" ADD CONSTRAINT "lti_links_classProfileId_fkey" FOREIGN KEY ("classProfileId") REFERENCES "public"."class_profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_links" ADD CONSTRAINT "lti_links_assignmentId_fkey" FOREIGN KEY ("assignmentId") REFERENCES "public"."assignments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_students" ADD CONSTRAINT "lti_students_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "public"."students"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_submissions" ADD CONSTRAINT "lti_submissions_linkId_fkey" FOREIGN KEY ("linkId") REFERENCES "public"."lti_links"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."lti_submissions" ADD CONSTRAINT "lti_submissions_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "public"."students"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "public"."grading_jobs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "userEmail" TEXT,
+    "classProfileId" TEXT NOT NULL,
+    "assignmentId" TEXT,
+    "prompt" TEXT NOT NULL DEFAULT '',
+    "temperature" DOUBLE PRECISION,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+
+    CONSTRAINT "grading_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."grading_job_essays" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "essayId" TEXT,
+    "studentName" TEXT,
+    "studentNickname" TEXT,
+    "studentId" TEXT,
+    "studentMatch" TEXT,
+    "studentText" TEXT NOT NULL,
+    "ocr" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "runAfter" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "result" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "grading_job_essays_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "grading_jobs_userId_idx" ON "public"."grading_jobs"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "grading_job_essays_jobId_position_key" ON "public"."grading_job_essays"("jobId", "position");
+
+-- CreateIndex
+CREATE INDEX "grading_job_essays_status_runAfter_idx" ON "public"."grading_job_essays"("status", "runAfter");
+
+-- AddForeignKey
+ALTER TABLE "public"."grading_jobs" ADD CONSTRAINT "grading_jobs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."grading_job_essays" ADD CONSTRAINT "grading_job_essays_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "public"."grading_jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
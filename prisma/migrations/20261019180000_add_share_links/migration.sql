@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "public"."share_links" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "essayId" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "views" INTEGER NOT NULL DEFAULT 0,
+    "lastViewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "share_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "share_links_tokenHash_key" ON "public"."share_links"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "share_links_essayId_idx" ON "public"."share_links"("essayId");
+
+-- CreateIndex
+CREATE INDEX "share_links_userId_idx" ON "public"."share_links"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."share_links" ADD CONSTRAINT "share_links_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."share_links" ADD CONSTRAINT "share_links_essayId_fkey" FOREIGN KEY ("essayId") REFERENCES "public"."saved_essays"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."saved_essays" ADD COLUMN     "previousEssayId" TEXT,
+ADD COLUMN     "draft" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateIndex
+CREATE INDEX "saved_essays_previousEssayId_idx" ON "public"."saved_essays"("previousEssayId");
+
+-- AddForeignKey
+ALTER TABLE "public"."saved_essays" ADD CONSTRAINT "saved_essays_previousEssayId_fkey" FOREIGN KEY ("previousEssayId") REFERENCES "public"."saved_essays"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."practice_sets" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "classProfileId" TEXT,
+    "studentId" TEXT,
+    "essayId" TEXT,
+    "title" TEXT NOT NULL,
+    "exercises" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "practice_sets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "practice_sets_userId_idx" ON "public"."practice_sets"("userId");
+
+-- CreateIndex
+CREATE INDEX "practice_sets_studentId_idx" ON "public"."practice_sets"("studentId");
+
+-- CreateIndex
+CREATE INDEX "practice_sets_essayId_idx" ON "public"."practice_sets"("essayId");
+
+-- AddForeignKey
+ALTER TABLE "public"."practice_sets" ADD CONSTRAINT "practice_sets_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."practice_sets" ADD CONSTRAINT "practice_sets_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "public"."students"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."practice_sets" ADD CONSTRAINT "practice_sets_essayId_fkey" FOREIGN KEY ("essayId") REFERENCES "public"."saved_essays"("id") ON DELETE SET NULL ON UPDATE CASCADE;
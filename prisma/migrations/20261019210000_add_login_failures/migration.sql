@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "public"."login_failures" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_failures_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_failures_email_createdAt_idx" ON "public"."login_failures"("email", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "login_failures_ip_createdAt_idx" ON "public"."login_failures"("ip", "createdAt");
@@ -15,9 +15,14 @@ document.addEventListener('DOMContentLoaded', async function () {
 
         var emailEl = document.getElementById('userEmail');
         if (emailEl && authData.user) emailEl.textContent = authData.user.email;
+        if (authData.user && authData.user.hasPassword) showPasswordChange();
 
         await Promise.all([loadProfiles(), loadEssays()]);
         renderEssays();
+
+        // /account?essay=<id> (e.g. from a practice exercise) opens that essay.
+        var linked = new URLSearchParams(window.location.search).get('essay');
+        if (linked) openEssay(linked);
     } catch (e) {
         console.error('[ACCOUNT] Init error:', e);
         window.location.href = '/login';
@@ -134,14 +139,25 @@ function renderProfileGroup(label, essays) {
             html += '    <span class="saved-essay-arrow" id="arrow-' + uid + '">&#9660;</span>';
             html += '    <span class="saved-essay-status">&#10003;</span>';
             html += '    <span class="saved-essay-name">' + esc(essay.studentName) + '</span>';
+            if (essay.draft > 1) html += '    <span class="saved-essay-draft">Draft ' + essay.draft + '</span>';
             html += '    <span class="saved-essay-date">' + dateStr + '</span>';
             html += '  </div>';
-            html += '  <div class="saved-essay-header-right" id="actions-' + uid + '">';
-            html += '    <button class="saved-essay-edit-btn" onclick="event.stopPropagation(); enterEditMode(\'' + uid + '\')">Edit</button>';
-            html += '    <button class="saved-essay-delete-btn" onclick="event.stopPropagation(); confirmDeleteEssay(\'' + uid + '\')">Delete</button>';
-            html += '  </div>';
+            html += '  <div class="saved-essay-header-right" id="actions-' + uid + '">' + essayActionsHTML(uid) + '</div>';
+            html += '</div>';
+
+            // --- Resubmit (a revised draft to regrade) ---
+            html += '<div class="saved-essay-resubmit" id="resubmit-' + uid + '" style="display: none;">';
+            html += '  <div class="resubmit-label">Paste the student\'s revised essay. It is graded with this draft\'s highlights in mind and saved as the next draft, with what was fixed.</div>';
+            html += '  <textarea id="resubmit-text-' + uid + '" placeholder="Revised essay..."></textarea>';
+            html += '  <button class="resubmit-btn" id="resubmit-btn-' + uid + '" onclick="resubmitEssay(\'' + uid + '\')">Grade revision</button>';
             html += '</div>';
 
+            // --- Practice sets from this essay (public/js/practice.js, filled in when opened) ---
+            html += '<div class="saved-essay-practice" id="practice-panel-' + uid + '" style="display: none;"></div>';
+
+            // --- Share links (filled in when opened) ---
+            html += '<div class="saved-essay-share" id="share-' + uid + '" style="display: none;"></div>';
+
             // --- Collapsible content ---
             html += '<div class="saved-essay-content" id="content-' + uid + '">';
             html += '  <div class="saved-essay-content-inner" id="inner-' + uid + '">Loading...</div>';
@@ -156,6 +172,16 @@ function renderProfileGroup(label, essays) {
     return html;
 }
 
+// PDF (rendered by the server), Share, Resubmit, Practice, Edit and Delete for a saved essay's header.
+function essayActionsHTML(uid) {
+    return '<a class="saved-essay-pdf-btn" href="/api/saved-essays/' + encodeURIComponent(uid) + '/pdf" onclick="event.stopPropagation()">PDF</a>' +
+        '<button class="saved-essay-share-btn" onclick="event.stopPropagation(); toggleSharePanel(\'' + uid + '\')">Share</button>' +
+        '<button class="saved-essay-resubmit-btn" onclick="event.stopPropagation(); toggleResubmitPanel(\'' + uid + '\')">Resubmit</button>' +
+        '<button class="saved-essay-practice-btn" onclick="event.stopPropagation(); togglePracticePanel(\'' + uid + '\')">Practice</button>' +
+        '<button class="saved-essay-edit-btn" onclick="event.stopPropagation(); enterEditMode(\'' + uid + '\')">Edit</button>' +
+        '<button class="saved-essay-delete-btn" onclick="event.stopPropagation(); confirmDeleteEssay(\'' + uid + '\')">Delete</button>';
+}
+
 function toggleProfileGroup(groupId, label) {
     var body = document.getElementById('body-' + groupId);
     var arrow = document.getElementById('arrow-' + groupId);
@@ -175,6 +201,21 @@ function toggleProfileGroup(groupId, label) {
 }
 
 // --- Toggle expand/collapse ---
+
+// Open a saved essay, and the profile group it's in, and scroll to it.
+function openEssay(uid) {
+    var essay = allEssays.find(function (e) { return e.id === uid; });
+    if (!essay) return;
+    var profile = profileNames[essay.classProfileId];
+    var label = !essay.classProfileId ? 'No Class Profile'
+        : profile ? profile.name + ' (' + profile.cefrLevel + ')' : 'Unknown Profile';
+    openProfiles[label] = true;
+    renderEssays();
+    toggleSavedEssay(uid);
+    var row = document.getElementById('row-' + uid);
+    if (row && row.scrollIntoView) row.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
 function toggleSavedEssay(uid) {
     var content = document.getElementById('content-' + uid);
     var arrow = document.getElementById('arrow-' + uid);
@@ -243,6 +284,169 @@ function showHighlightTooltip(el, correction, explanation) {
     }, 100);
 }
 
+// --- Resubmit ---
+// A student's rewrite after feedback: regraded on the server against this
+// draft, then listed as its own essay (the next draft) and opened.
+function toggleResubmitPanel(uid) {
+    var panel = document.getElementById('resubmit-' + uid);
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    if (panel.style.display === 'block') document.getElementById('resubmit-text-' + uid).focus();
+}
+
+async function resubmitEssay(uid) {
+    var textarea = document.getElementById('resubmit-text-' + uid);
+    var button = document.getElementById('resubmit-btn-' + uid);
+    if (!textarea || !textarea.value.trim()) {
+        alert('Paste the revised essay first.');
+        return;
+    }
+    button.disabled = true;
+    button.textContent = 'Grading...';
+    try {
+        var resp = await fetch('/api/saved-essays/' + encodeURIComponent(uid) + '/revisions', {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ studentText: textarea.value })
+        });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+
+        allEssays.unshift(data.essay);
+        openEssay(data.essay.id);
+    } catch (e) {
+        console.error('[ACCOUNT] Resubmit error:', e);
+        alert('Failed to grade the revision: ' + e.message);
+        button.disabled = false;
+        button.textContent = 'Grade revision';
+    }
+}
+
+// --- Practice ---
+function togglePracticePanel(uid) {
+    var panel = document.getElementById('practice-panel-' + uid);
+    if (!panel) return;
+    var opening = panel.style.display === 'none';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) window.PracticeModule.mount(panel, { essayId: uid });
+}
+
+// --- Share links ---
+// Read-only links to an essay's feedback for the student. The server keeps
+// only a hash of each link, so a new link's URL is shown once, here.
+var SHARE_EXPIRY_OPTIONS = [[7, '1 week'], [30, '30 days'], [90, '90 days'], [365, '1 year']];
+
+function toggleSharePanel(uid) {
+    var panel = document.getElementById('share-' + uid);
+    if (!panel) return;
+    if (panel.style.display !== 'none') {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'block';
+    loadShareLinks(uid, null);
+}
+
+async function loadShareLinks(uid, newUrl) {
+    var panel = document.getElementById('share-' + uid);
+    if (!panel) return;
+    try {
+        var resp = await fetch('/api/saved-essays/' + encodeURIComponent(uid) + '/share-links', { credentials: 'include' });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+        panel.innerHTML = sharePanelHTML(uid, data.links, newUrl);
+    } catch (e) {
+        console.error('[ACCOUNT] Share links load error:', e);
+        panel.innerHTML = '<div class="share-links-error">Could not load share links: ' + esc(e.message) + '</div>';
+    }
+}
+
+function shareDate(iso) {
+    return new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function sharePanelHTML(uid, links, newUrl) {
+    var options = SHARE_EXPIRY_OPTIONS.map(function (option) {
+        return '<option value="' + option[0] + '"' + (option[0] === 30 ? ' selected' : '') + '>' + option[1] + '</option>';
+    }).join('');
+
+    var html = '<div class="share-links-create">';
+    html += '  <span>Give the student a read-only link to this feedback. Expires after</span>';
+    html += '  <select id="share-expiry-' + uid + '">' + options + '</select>';
+    html += '  <button class="share-links-create-btn" onclick="createShareLink(\'' + uid + '\')">Create link</button>';
+    html += '</div>';
+
+    if (newUrl) {
+        html += '<div class="share-links-new">';
+        html += '  <input type="text" readonly value="' + esc(newUrl) + '" onclick="this.select()">';
+        html += '  <button onclick="copyShareLink(this)">Copy</button>';
+        html += '  <div class="share-links-note">Copy the link now: it can\'t be shown again.</div>';
+        html += '</div>';
+    }
+
+    if (links.length > 0) {
+        html += '<ul class="share-links-list">';
+        links.forEach(function (link) {
+            var views = link.views + ' view' + (link.views !== 1 ? 's' : '');
+            var when = link.status === 'revoked'
+                ? 'revoked ' + shareDate(link.revokedAt)
+                : (link.status === 'expired' ? 'expired ' : 'expires ') + shareDate(link.expiresAt);
+            html += '<li class="share-link share-link-' + link.status + '">';
+            html += '  <span>Created ' + shareDate(link.createdAt) + ' · ' + when + ' · ' + views + '</span>';
+            if (link.status === 'active') {
+                html += '  <button class="share-link-revoke-btn" onclick="revokeShareLink(\'' + uid + '\', \'' + esc(link.id) + '\')">Revoke</button>';
+            }
+            html += '</li>';
+        });
+        html += '</ul>';
+    }
+    return html;
+}
+
+async function createShareLink(uid) {
+    var select = document.getElementById('share-expiry-' + uid);
+    try {
+        var resp = await fetch('/api/saved-essays/' + encodeURIComponent(uid) + '/share-links', {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ expiresInDays: select ? Number(select.value) : undefined })
+        });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+        loadShareLinks(uid, data.url);
+    } catch (e) {
+        console.error('[ACCOUNT] Share link create error:', e);
+        alert('Failed to create share link: ' + e.message);
+    }
+}
+
+async function revokeShareLink(uid, linkId) {
+    if (!confirm('Revoke this link? The student will no longer be able to open it.')) return;
+    try {
+        var resp = await fetch('/api/share-links/' + encodeURIComponent(linkId), { method: 'DELETE', credentials: 'include' });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+        loadShareLinks(uid, null);
+    } catch (e) {
+        console.error('[ACCOUNT] Share link revoke error:', e);
+        alert('Failed to revoke share link: ' + e.message);
+    }
+}
+
+function copyShareLink(button) {
+    var input = button.parentNode.querySelector('input');
+    input.select();
+    var done = function () { button.textContent = 'Copied!'; };
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(input.value).then(done, function () { document.execCommand('copy'); done(); });
+    } else {
+        document.execCommand('copy');
+        done();
+    }
+}
+
 // --- Delete ---
 function confirmDeleteEssay(uid) {
     if (!confirm('Delete this saved essay? This cannot be undone.')) return;
@@ -287,6 +491,49 @@ async function signOut() {
     window.location.href = '/login';
 }
 
+// --- Sign-in password ---
+function togglePasswordForm() {
+    var form = document.getElementById('passwordForm');
+    if (!form) return;
+    form.style.display = form.style.display === 'none' ? 'block' : 'none';
+    document.getElementById('userDropdown').style.display = 'none';
+}
+
+// Changing an existing password asks for the current one
+function showPasswordChange() {
+    document.getElementById('currentPassword').style.display = 'block';
+    document.getElementById('passwordLink').textContent = 'Change Password';
+}
+
+document.addEventListener('submit', async function (e) {
+    if (e.target.id !== 'passwordForm') return;
+    e.preventDefault();
+    var message = document.getElementById('passwordMessage');
+    try {
+        var resp = await fetch('/auth/password', {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                password: document.getElementById('newPassword').value,
+                currentPassword: document.getElementById('currentPassword').value
+            })
+        });
+        var data = await resp.json();
+        message.style.color = data.success ? '#155724' : '#dc3545';
+        message.textContent = data.success ? 'Password saved.' : (data.error || 'Could not save password.');
+        if (data.success) {
+            document.getElementById('newPassword').value = '';
+            document.getElementById('currentPassword').value = '';
+            showPasswordChange();
+        }
+    } catch (err) {
+        console.error('[ACCOUNT] Password save error:', err);
+        message.style.color = '#dc3545';
+        message.textContent = 'Network error. Please try again.';
+    }
+});
+
 // --- Edit mode ---
 var editOriginalHTML = {};   // uid → original innerHTML for cancel
 var editingUid = null;       // currently editing uid (one at a time)
@@ -569,12 +816,10 @@ function exitEditMode(uid) {
         window.TextSelectionModule.clearSelection();
     }
 
-    // Restore Edit / Delete buttons
+    // Restore PDF / Edit / Delete buttons
     var actions = document.getElementById('actions-' + uid);
     if (actions) {
-        actions.innerHTML =
-            '<button class="saved-essay-edit-btn" onclick="event.stopPropagation(); enterEditMode(\'' + uid + '\')">Edit</button>' +
-            '<button class="saved-essay-delete-btn" onclick="event.stopPropagation(); confirmDeleteEssay(\'' + uid + '\')">Delete</button>';
+        actions.innerHTML = essayActionsHTML(uid);
     }
 }
 
@@ -0,0 +1,294 @@
+/**
+ * Class Analytics Page
+ * Dashboard for one class profile, built from its saved essays: score
+ * distribution, category averages, the most frequent errors and corrections,
+ * class-vocabulary coverage and outliers. Narrow it to one assignment with
+ * the second picker.
+ *
+ * The same pickers drive the gradebook export (CSV, XLSX, Moodle, Canvas or
+ * JSON) of the class's saved essays.
+ *
+ * Class practice sets, built from the errors in all of the class's saved
+ * essays, are made and exported at the bottom (public/js/practice.js).
+ *
+ * Open with /analytics?profile=<id>, or pick a class profile.
+ */
+
+var profiles = [];
+
+var OUTLIER_REASONS = {
+    low_score: 'Score well below the class',
+    high_score: 'Score well above the class',
+    many_errors: 'Many more errors than the class',
+};
+
+// --- Init ---
+document.addEventListener('DOMContentLoaded', async function () {
+    try {
+        var authResp = await fetch('/auth/status', { credentials: 'include' });
+        var authData = await authResp.json();
+        if (!authData.authenticated) { window.location.href = '/login'; return; }
+
+        var emailEl = document.getElementById('userEmail');
+        if (emailEl && authData.user) emailEl.textContent = authData.user.email;
+    } catch (e) {
+        console.error('[ANALYTICS] Init error:', e);
+        window.location.href = '/login';
+        return;
+    }
+
+    await loadProfiles();
+    var profileSelect = document.getElementById('analyticsProfile');
+    var requested = new URLSearchParams(window.location.search).get('profile');
+    if (requested && profiles.some(function (p) { return p.id === requested; })) {
+        profileSelect.value = requested;
+    }
+
+    profileSelect.addEventListener('change', function () {
+        selectProfile(this.value);
+    });
+    document.getElementById('analyticsAssignment').addEventListener('change', function () {
+        showAnalytics(profileSelect.value, this.value);
+    });
+
+    selectProfile(profileSelect.value);
+});
+
+async function loadProfiles() {
+    try {
+        var resp = await fetch('/api/profiles', { credentials: 'include' });
+        var data = await resp.json();
+        profiles = Array.isArray(data) ? data : data.profiles || [];
+    } catch (e) { console.error('[ANALYTICS] Profiles error:', e); profiles = []; }
+
+    var select = document.getElementById('analyticsProfile');
+    select.innerHTML = profiles.length
+        ? profiles.map(function (p) {
+            return '<option value="' + esc(p.id) + '">' + esc(p.name) + ' (' + esc(p.cefrLevel) + ')</option>';
+        }).join('')
+        : '<option value="">No class profiles</option>';
+}
+
+async function selectProfile(profileId) {
+    var select = document.getElementById('analyticsAssignment');
+    var assignments = [];
+    if (profileId) {
+        try {
+            var resp = await fetch('/api/assignments?classProfileId=' + encodeURIComponent(profileId), { credentials: 'include' });
+            var data = await resp.json();
+            assignments = data.assignments || [];
+        } catch (e) { console.error('[ANALYTICS] Assignments error:', e); }
+    }
+    select.innerHTML = '<option value="">All assignments</option>' +
+        assignments.map(function (a) {
+            return '<option value="' + esc(a.id) + '">' + esc(a.title) + '</option>';
+        }).join('');
+
+    showAnalytics(profileId, '');
+}
+
+async function showAnalytics(profileId, assignmentId) {
+    var container = document.getElementById('analyticsContent');
+    if (!profileId) {
+        container.innerHTML = '<div class="empty-state"><p>No class profiles yet</p>' +
+            '<small>Create a class profile on the grading page, then save graded essays to it.</small></div>';
+        return;
+    }
+    container.innerHTML = '<div class="loading-state">Loading analytics...</div>';
+    history.replaceState(null, '', '/analytics?profile=' + encodeURIComponent(profileId));
+
+    try {
+        var url = '/api/profiles/' + encodeURIComponent(profileId) + '/analytics' +
+            (assignmentId ? '?assignmentId=' + encodeURIComponent(assignmentId) : '');
+        var resp = await fetch(url, { credentials: 'include' });
+        if (!resp.ok) throw new Error(resp.status === 404 ? 'Class profile not found' : 'HTTP ' + resp.status);
+        renderAnalytics(await resp.json());
+    } catch (e) {
+        console.error('[ANALYTICS] Load error:', e);
+        container.innerHTML = '<div class="empty-state"><p>Could not load analytics</p><small>' + esc(e.message) + '</small></div>';
+    }
+}
+
+/**
+ * Download the selected class (and assignment) as a gradebook, one row per
+ * student, from its saved essays.
+ */
+function exportGradebook() {
+    var profileId = document.getElementById('analyticsProfile').value;
+    if (!profileId) return;
+    var assignmentId = document.getElementById('analyticsAssignment').value;
+    var format = document.getElementById('gradebookFormat').value;
+    window.location.href = '/api/profiles/' + encodeURIComponent(profileId) + '/gradebook?format=' + encodeURIComponent(format) +
+        (assignmentId ? '&assignmentId=' + encodeURIComponent(assignmentId) : '');
+}
+
+// --- Render ---
+function renderAnalytics(data) {
+    var container = document.getElementById('analyticsContent');
+
+    if (data.essays === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No graded essays saved for this class yet</p>' +
+            '<small>Grade essays with this class profile and click "Save Essay" to build the dashboard.</small></div>';
+        return;
+    }
+
+    var d = data.distribution;
+    var summary = data.essays + ' graded essay' + (data.essays !== 1 ? 's' : '') +
+        (d.count ? ' · mean ' + d.mean + '% · median ' + d.median + '% · range ' + d.min + '–' + d.max + '%' : '') +
+        (data.skipped ? ' · ' + data.skipped + ' saved essay' + (data.skipped !== 1 ? 's' : '') + ' without a stored grade left out' : '');
+
+    var html = '<p class="report-summary">' + esc(summary) + '</p>';
+    html += '<div class="report-section"><h2>Score distribution</h2><div class="report-chart">' +
+        histogram(d.bins) + '</div></div>';
+    html += renderCategoryAverages(data.categoryAverages);
+    html += renderErrors(data.errors);
+    html += renderVocabulary(data.vocabulary);
+    html += renderOutliers(data.outliers);
+    html += '<div class="report-section" id="practiceSection"></div>';
+
+    container.innerHTML = html;
+    window.PracticeModule.mount(document.getElementById('practiceSection'), { classProfileId: data.profile.id });
+}
+
+function renderCategoryAverages(averages) {
+    var html = '<div class="report-section"><h2>Category averages</h2>';
+    averages.forEach(function (c) {
+        html += barRow(categoryName(c.category), c.percent, c.average + (c.outOf != null ? ' / ' + c.outOf : ''));
+    });
+    return html + '</div>';
+}
+
+function renderErrors(errors) {
+    var html = '<div class="report-section"><h2>Most frequent errors</h2>';
+    if (errors.byCategory.length === 0) {
+        return html + '<p class="report-summary">No errors were detected in these essays.</p></div>';
+    }
+
+    var most = errors.byCategory[0].total;
+    errors.byCategory.forEach(function (c) {
+        html += barRow(categoryName(c.category), (c.total / most) * 100, c.total + ' (' + c.perEssay + ' per essay)');
+    });
+
+    html += '<h2 style="margin-top: 20px;">Most frequent corrections</h2>';
+    html += '<table class="report-table"><thead><tr><th>Written</th><th>Correction</th><th>Category</th>' +
+        '<th class="num">Essays</th><th class="num">Times</th></tr></thead><tbody>';
+    errors.corrections.forEach(function (p) {
+        html += '<tr><td>' + esc(p.text) + '</td><td>' + esc(p.correction || '') + '</td>' +
+            '<td>' + esc(categoryName(p.category)) + '</td>' +
+            '<td class="num">' + p.essays + '</td><td class="num">' + p.occurrences + '</td></tr>';
+    });
+    return html + '</tbody></table></div>';
+}
+
+function renderVocabulary(vocabulary) {
+    var html = '<div class="report-section"><h2>Class vocabulary coverage</h2>';
+    if (vocabulary.items === 0) {
+        return html + '<p class="report-summary">This class profile has no vocabulary list.</p></div>';
+    }
+
+    html += '<p class="report-summary">' + vocabulary.used.length + ' of ' + vocabulary.items +
+        ' list items used in at least one essay.</p>';
+    if (vocabulary.unused.length) {
+        html += '<h2 style="font-size: 15px;">Nobody used</h2><div>' +
+            vocabulary.unused.map(function (item) { return '<span class="vocab-chip">' + esc(item) + '</span>'; }).join('') +
+            '</div>';
+    }
+    if (vocabulary.used.length) {
+        html += '<h2 style="font-size: 15px; margin-top: 12px;">Used</h2>';
+        var most = vocabulary.used[0].essays;
+        vocabulary.used.forEach(function (v) {
+            html += barRow(v.item, (v.essays / most) * 100, v.essays + ' essay' + (v.essays !== 1 ? 's' : ''));
+        });
+    }
+    return html + '</div>';
+}
+
+function renderOutliers(outliers) {
+    var html = '<div class="report-section"><h2>Outliers</h2>';
+    if (outliers.length === 0) {
+        return html + '<p class="report-summary">No essay stands out from the rest of the class (needs at least 4 graded essays).</p></div>';
+    }
+
+    html += '<table class="report-table"><thead><tr><th>Student</th><th>Why</th><th class="num">Value</th></tr></thead><tbody>';
+    outliers.forEach(function (o) {
+        var name = o.studentId
+            ? '<a href="/progress?student=' + encodeURIComponent(o.studentId) + '">' + esc(o.studentName) + '</a>'
+            : esc(o.studentName);
+        var value = o.reason === 'many_errors' ? o.value + ' errors' : o.value + '%';
+        html += '<tr><td>' + name + '</td><td>' + esc(OUTLIER_REASONS[o.reason] || o.reason) + '</td>' +
+            '<td class="num">' + esc(value) + '</td></tr>';
+    });
+    return html + '</tbody></table></div>';
+}
+
+// --- Charts ---
+
+/**
+ * Histogram of essay totals as an SVG string.
+ * @param {Array<{from: number, to: number, count: number}>} bins
+ */
+function histogram(bins) {
+    var width = 800, height = 240;
+    var left = 36, right = 12, top = 16, bottom = 32;
+    var plotW = width - left - right, plotH = height - top - bottom;
+    var most = Math.max.apply(null, bins.map(function (b) { return b.count; })) || 1;
+    var barW = plotW / bins.length;
+
+    var svg = '<svg viewBox="0 0 ' + width + ' ' + height + '" role="img" xmlns="http://www.w3.org/2000/svg">';
+    svg += '<line x1="' + left + '" x2="' + (width - right) + '" y1="' + (top + plotH) + '" y2="' + (top + plotH) + '" stroke="#ccc"/>';
+
+    bins.forEach(function (bin, i) {
+        var h = (plotH * bin.count) / most;
+        var x = left + i * barW;
+        var y = top + plotH - h;
+        svg += '<rect x="' + (x + 4) + '" y="' + y + '" width="' + (barW - 8) + '" height="' + h + '" fill="#007bff" rx="2">' +
+            '<title>' + bin.from + '–' + bin.to + '%: ' + bin.count + ' essay' + (bin.count !== 1 ? 's' : '') + '</title></rect>';
+        if (bin.count) {
+            svg += '<text x="' + (x + barW / 2) + '" y="' + (y - 4) + '" font-size="11" fill="#555" text-anchor="middle">' + bin.count + '</text>';
+        }
+        svg += '<text x="' + (x + barW / 2) + '" y="' + (height - bottom + 16) + '" font-size="11" fill="#666" text-anchor="middle">' +
+            bin.from + '–' + bin.to + '%</text>';
+    });
+
+    return svg + '</svg>';
+}
+
+function barRow(label, percent, valueText) {
+    var width = Math.max(0, Math.min(100, percent || 0));
+    return '<div class="bar-row"><span class="bar-label">' + esc(label) + '</span>' +
+        '<span class="bar-track"><span class="bar-fill" style="display: block; width: ' + width + '%;"></span></span>' +
+        '<span class="bar-value">' + esc(valueText) + '</span></div>';
+}
+
+// --- Util ---
+function categoryName(category) {
+    return window.CATEGORIES ? window.CATEGORIES.getCategoryName(category) : category;
+}
+
+// --- User dropdown ---
+function toggleUserDropdown() {
+    var dropdown = document.getElementById('userDropdown');
+    if (!dropdown) return;
+    dropdown.style.display = dropdown.style.display === 'block' ? 'none' : 'block';
+}
+
+document.addEventListener('click', function (e) {
+    var dropdown = document.getElementById('userDropdown');
+    var emailEl = document.getElementById('userEmail');
+    if (dropdown && emailEl && !emailEl.contains(e.target) && !dropdown.contains(e.target)) {
+        dropdown.style.display = 'none';
+    }
+});
+
+// --- Sign out ---
+async function signOut() {
+    try { await fetch('/auth/logout', { method: 'POST', credentials: 'include' }); } catch (e) { /* ignore */ }
+    window.location.href = '/login';
+}
+
+function esc(str) {
+    if (str == null || str === '') return '';
+    var d = document.createElement('div');
+    d.textContent = String(str);
+    return d.innerHTML.replace(/"/g, '&quot;');
+}
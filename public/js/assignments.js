@@ -0,0 +1,232 @@
+/**
+ * Assignment Management Module
+ *
+ * An assignment is one writing task under a class profile: its own prompt,
+ * word-count target, due date and rubric. Fields left blank fall back to the
+ * class profile's. This module manages them from the profile list (an
+ * "Assignments" panel per profile) and fills each grading form's assignment
+ * select with the assignments of the class profile picked there.
+ *
+ * Exposes window.AssignmentsModule plus the globals the inline onclick
+ * handlers in the generated HTML call.
+ */
+(function () {
+    'use strict';
+
+    let assignments = [];
+    let loaded = null;
+
+    function escapeText(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function formatDueDate(dueDate) {
+        return dueDate ? new Date(dueDate).toLocaleDateString() : '';
+    }
+
+    // <input type="date"> wants YYYY-MM-DD.
+    function dateInputValue(dueDate) {
+        return dueDate ? new Date(dueDate).toISOString().slice(0, 10) : '';
+    }
+
+    /**
+     * Load the teacher's assignments from the server and refresh every
+     * grading form's assignment select.
+     */
+    async function loadAssignments() {
+        loaded = (async () => {
+            try {
+                const response = await fetch('/api/assignments?' + Date.now(), { credentials: 'include' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const data = await response.json();
+                assignments = data.assignments || [];
+            } catch (error) {
+                console.error('[ASSIGNMENTS] Error loading assignments:', error);
+                assignments = [];
+            }
+            refreshAssignmentSelects();
+            return assignments;
+        })();
+        return loaded;
+    }
+
+    function getAssignmentsForProfile(profileId) {
+        return assignments.filter(a => a.classProfileId === profileId);
+    }
+
+    /**
+     * Re-render one grading form's assignment select for the profile chosen
+     * in that form, keeping the current choice when it still applies.
+     * @param {HTMLFormElement} form
+     */
+    function refreshAssignmentSelect(form) {
+        const select = form && form.querySelector('#assignment');
+        const profileSelect = form && form.querySelector('#classProfile');
+        if (!select) return;
+        const current = select.value;
+        const options = getAssignmentsForProfile(profileSelect ? profileSelect.value : '');
+        select.innerHTML = ['<option value="">No assignment (use the class profile\'s prompt)</option>']
+            .concat(options.map(a => {
+                const due = a.dueDate ? ` (due ${formatDueDate(a.dueDate)})` : '';
+                const selected = a.id === current ? ' selected' : '';
+                return `<option value="${escapeText(a.id)}"${selected}>${escapeText(a.title)}${due}</option>`;
+            }))
+            .join('');
+    }
+
+    function refreshAssignmentSelects() {
+        document.querySelectorAll('form#gradingForm').forEach(refreshAssignmentSelect);
+    }
+
+    // ------------------------------------------------------------------
+    // Assignments panel in the profile list
+    // ------------------------------------------------------------------
+
+    function assignmentFormHTML(profileId, assignment) {
+        const key = assignment ? assignment.id : `new-${profileId}`;
+        const a = assignment || {};
+        return `
+            <form id="assignmentForm-${escapeText(key)}" data-profile-id="${escapeText(profileId)}" data-assignment-id="${escapeText(a.id || '')}"
+                  onsubmit="event.preventDefault(); saveAssignment('${escapeText(key)}')"
+                  style="border: 1px solid #ddd; padding: 12px; border-radius: 4px; background: #fafafa; margin-top: 10px;">
+                <div style="display: flex; gap: 10px; margin-bottom: 8px;">
+                    <input type="text" name="title" required placeholder="Title (e.g. Unit 3 opinion essay)" value="${escapeText(a.title || '')}" style="flex: 2; padding: 8px;">
+                    <input type="date" name="dueDate" value="${dateInputValue(a.dueDate)}" style="flex: 1; padding: 8px;">
+                </div>
+                <textarea name="prompt" rows="4" placeholder="Prompt given to students (blank = the class profile's)" style="width: 100%; box-sizing: border-box; padding: 8px;">${escapeText(a.prompt || '')}</textarea>
+                <div style="display: flex; gap: 10px; align-items: center; margin: 8px 0;">
+                    <input type="number" name="requiredWordCountMin" min="0" step="1" placeholder="Min words" value="${a.requiredWordCountMin ?? ''}" style="flex: 1; padding: 8px;">
+                    <span style="color: #666;">to</span>
+                    <input type="number" name="requiredWordCountMax" min="0" step="1" placeholder="Max words" value="${a.requiredWordCountMax ?? ''}" style="flex: 1; padding: 8px;">
+                    <select name="rubricId" style="flex: 2; padding: 8px;">
+                        ${window.RubricsModule
+                            ? window.RubricsModule.rubricOptionsHTML(a.rubricId || null).replace('Default rubric (built-in)', "Class profile's rubric")
+                            : '<option value="">Class profile\'s rubric</option>'}
+                    </select>
+                </div>
+                <button type="submit" style="background: #28a745; color: white;">${assignment ? 'Update' : 'Add Assignment'}</button>
+                ${assignment ? `<button type="button" onclick="renderAssignmentsPanel('${escapeText(profileId)}')" style="margin-left: 10px;">Cancel</button>` : ''}
+            </form>
+        `;
+    }
+
+    /**
+     * Render the assignments panel under a profile in the profile list.
+     * @param {string} profileId
+     * @param {string} [editingId] - assignment shown as an edit form
+     */
+    function renderAssignmentsPanel(profileId, editingId = null) {
+        const panel = document.getElementById(`assignments-${profileId}`);
+        if (!panel) return;
+        const list = getAssignmentsForProfile(profileId);
+
+        const items = list.map(a => a.id === editingId ? assignmentFormHTML(profileId, a) : `
+            <div class="assignment-item" style="padding: 8px 0; border-bottom: 1px solid #eee;">
+                <strong>${escapeText(a.title)}</strong>
+                ${a.dueDate ? `<span style="color: #666; margin-left: 8px;">due ${escapeText(formatDueDate(a.dueDate))}</span>` : ''}
+                <span style="color: #666; margin-left: 8px; font-size: 13px;">
+                    ${a.prompt ? 'own prompt' : 'class prompt'}${a.requiredWordCountMin || a.requiredWordCountMax ? ` · ${a.requiredWordCountMin ?? '?'}–${a.requiredWordCountMax ?? '?'} words` : ''}${a.rubricId && window.RubricsModule ? ` · ${escapeText(window.RubricsModule.getRubricName(a.rubricId))}` : ''}
+                </span>
+                <span style="float: right;">
+                    <button type="button" onclick="renderAssignmentsPanel('${escapeText(profileId)}', '${escapeText(a.id)}')">Edit</button>
+                    <button type="button" onclick="deleteAssignment('${escapeText(profileId)}', '${escapeText(a.id)}')" style="background: #dc3545; color: white; margin-left: 6px;">Delete</button>
+                </span>
+            </div>
+        `).join('');
+
+        panel.innerHTML = `
+            ${items || '<p style="color: #666;">No assignments yet. Essays are graded with the class profile\'s prompt and rubric until you add one.</p>'}
+            ${editingId ? '' : assignmentFormHTML(profileId, null)}
+        `;
+    }
+
+    /**
+     * Show or hide a profile's assignments panel.
+     * @param {string} profileId
+     */
+    async function toggleAssignments(profileId) {
+        const panel = document.getElementById(`assignments-${profileId}`);
+        if (!panel) return;
+        if (panel.style.display !== 'none' && panel.style.display) {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = 'block';
+        await (loaded || loadAssignments());
+        renderAssignmentsPanel(profileId);
+    }
+
+    async function saveAssignment(key) {
+        const form = document.getElementById(`assignmentForm-${key}`);
+        if (!form) return;
+        const profileId = form.dataset.profileId;
+        const id = form.dataset.assignmentId;
+        const field = name => form.elements[name].value;
+        const body = {
+            title: field('title').trim(),
+            prompt: field('prompt'),
+            dueDate: field('dueDate') || null,
+            requiredWordCountMin: field('requiredWordCountMin'),
+            requiredWordCountMax: field('requiredWordCountMax'),
+            rubricId: field('rubricId'),
+        };
+        if (!id) body.classProfileId = profileId;
+
+        try {
+            const response = await fetch(id ? `/api/assignments/${encodeURIComponent(id)}` : '/api/assignments', {
+                method: id ? 'PUT' : 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+            await loadAssignments();
+            renderAssignmentsPanel(profileId);
+        } catch (error) {
+            console.error('[ASSIGNMENTS] Save error:', error);
+            showError(error.message || 'Error saving assignment', 'Save Error');
+        }
+    }
+
+    async function deleteAssignment(profileId, assignmentId) {
+        if (!confirm('Delete this assignment? Essays saved for it keep their grades.')) return;
+        try {
+            const response = await fetch(`/api/assignments/${encodeURIComponent(assignmentId)}`, { method: 'DELETE', credentials: 'include' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            assignments = assignments.filter(a => a.id !== assignmentId);
+            renderAssignmentsPanel(profileId);
+            refreshAssignmentSelects();
+        } catch (error) {
+            console.error('[ASSIGNMENTS] Delete error:', error);
+            showError('Error deleting assignment', 'Delete Error');
+        }
+    }
+
+    // Follow the class profile picked in each grading form. Focusing the
+    // select also refreshes it, for tabs whose profile was set by a restore
+    // rather than a change event.
+    document.addEventListener('change', (e) => {
+        if (e.target.id === 'classProfile') refreshAssignmentSelect(e.target.closest('form'));
+    });
+    document.addEventListener('focusin', (e) => {
+        if (e.target.id === 'assignment') refreshAssignmentSelect(e.target.closest('form'));
+    });
+
+    window.AssignmentsModule = {
+        loadAssignments,
+        getAssignmentsForProfile,
+        refreshAssignmentSelects,
+        toggleAssignments,
+    };
+
+    window.toggleAssignments = toggleAssignments;
+    window.renderAssignmentsPanel = renderAssignmentsPanel;
+    window.saveAssignment = saveAssignment;
+    window.deleteAssignment = deleteAssignment;
+})();
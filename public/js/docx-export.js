@@ -0,0 +1,178 @@
+/**
+ * DOCX Export Module
+ * Exports a graded essay as a Word document. The server writes the file
+ * (POST /api/docx) from what is read off the page here: the essay text with
+ * its highlights, which become Word comments, and the grade, teacher notes
+ * and category breakdown for the cover page. Corrections can optionally be
+ * written as tracked changes.
+ */
+
+// Parts of the essay area that aren't essay text.
+const DOCX_SKIPPED = '.caret-marker, button, input, textarea, select, .no-pdf, .no-print';
+
+/**
+ * The essay text as paragraphs of runs. Each run lists the highlights it
+ * sits in, outermost first, as indexes into `highlights`. A highlight split
+ * over several marks (one highlight group) is one highlight; highlights
+ * removed from the PDF are left out here too.
+ * @param {HTMLElement} essayContent - .formatted-essay-content
+ * @returns {{paragraphs: Array<Array<Object>>, highlights: Array<Object>}}
+ */
+function essayRunsForDocx(essayContent) {
+    const highlights = [];
+    const highlightIds = new Map();
+    const paragraphs = [[]];
+
+    const highlightId = (mark) => {
+        const key = mark.dataset.highlightGroup || mark;
+        if (!highlightIds.has(key)) {
+            highlightIds.set(key, highlights.length);
+            highlights.push({
+                categories: (mark.dataset.category || mark.dataset.type).split(',').map(c => c.trim()).filter(Boolean),
+                correction: (mark.dataset.correction || '').trim(),
+                explanation: (mark.dataset.explanation || '').trim()
+            });
+        }
+        return highlightIds.get(key);
+    };
+    const breakParagraph = () => {
+        if (paragraphs[paragraphs.length - 1].length > 0) paragraphs.push([]);
+    };
+
+    const walk = (node, open) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            // Whitespace collapses as on the page; repeated spaces in the
+            // essay are rendered as &nbsp; and kept.
+            const text = node.textContent.replace(/[ \t\r\n]+/g, ' ');
+            if (text) paragraphs[paragraphs.length - 1].push({ text, highlights: open });
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || node.matches(DOCX_SKIPPED)) return;
+        if (node.tagName === 'BR') {
+            paragraphs[paragraphs.length - 1].push({ br: true, highlights: open });
+            return;
+        }
+
+        const highlighted = node.tagName === 'MARK'
+            && (node.dataset.category || node.dataset.type)
+            && node.dataset.excludeFromPdf !== 'true';
+        const inside = highlighted ? [...open, highlightId(node)] : open;
+        const block = node.tagName === 'P' || node.tagName === 'DIV';
+        if (block) breakParagraph();
+        node.childNodes.forEach(child => walk(child, inside));
+        if (block) breakParagraph();
+    };
+    essayContent.childNodes.forEach(child => walk(child, []));
+
+    paragraphs.forEach(runs => {
+        const first = runs[0];
+        const last = runs[runs.length - 1];
+        if (first && !first.br) first.text = first.text.replace(/^ /, '');
+        if (last && !last.br) last.text = last.text.replace(/ $/, '');
+        runs.forEach(run => {
+            if (!run.br) run.text = run.text.replace(/\u00a0/g, ' ');
+        });
+    });
+    return {
+        paragraphs: paragraphs.filter(runs => runs.some(run => run.br || run.text)),
+        highlights
+    };
+}
+
+/**
+ * The cover page content: grade, teacher notes and category breakdown, with
+ * the teacher's edits. Category notes left out of the PDF are left out here.
+ * @param {HTMLElement} container - #results or #batch-essay-N
+ * @returns {{grade: string, teacherNotes: string, categories: Array<Object>}}
+ */
+function summaryForDocx(container) {
+    const overallScore = container.querySelector('.overall-score');
+    const grade = overallScore && overallScore.textContent.match(/([\d.]+)\s*\/\s*([\d.]+)/);
+
+    const notesContent = container.querySelector('.teacher-notes-content');
+    let teacherNotes = notesContent ? notesContent.textContent.trim() : '';
+    if (teacherNotes === 'Click to add teacher notes') teacherNotes = '';
+
+    const categories = Array.from(container.querySelectorAll('.category-feedback')).map(row => {
+        const name = row.querySelector('strong');
+        const scoreInput = row.querySelector('input.editable-score');
+        const statScore = row.querySelector('.editable-stat-score');
+        const noteField = row.querySelector('textarea.editable-feedback');
+        const noteText = row.querySelector('div[style*="background: white"]');
+
+        let note = '';
+        if (row.dataset.noteExcludeFromPdf !== 'true') {
+            note = noteField ? noteField.value : (noteText ? noteText.textContent : '');
+        }
+        return {
+            name: name ? name.textContent.trim() : '',
+            score: scoreInput
+                ? `${scoreInput.value}/${scoreInput.getAttribute('max')}`
+                : (statScore ? statScore.textContent.trim() : ''),
+            note: note.trim()
+        };
+    });
+
+    return { grade: grade ? `${grade[1]}/${grade[2]}` : '', teacherNotes, categories };
+}
+
+/**
+ * An essay's results, read for the server to write as DOCX.
+ * @param {HTMLElement} container - #results or #batch-essay-N
+ * @param {string} studentName
+ * @returns {Object} the body's essay (see src/services/essayDocx.js)
+ */
+function essayForDocx(container, studentName) {
+    if (window.syncAllRemoveAllStateToMarks) {
+        window.syncAllRemoveAllStateToMarks();
+    }
+
+    const essayContent = container.querySelector('.formatted-essay-content');
+    if (!essayContent) {
+        throw new Error('Essay content not found. Please expand the student details first.');
+    }
+    return {
+        studentName,
+        ...summaryForDocx(container),
+        ...essayRunsForDocx(essayContent)
+    };
+}
+
+/**
+ * Export an essay as a Word document and save the file. Corrections become
+ * tracked changes when the essay's "tracked changes" box is ticked.
+ * @param {HTMLElement} container - #results or #batch-essay-N
+ * @param {string} studentName
+ */
+async function exportEssayDocx(container, studentName) {
+    const trackChangesBox = container.querySelector('.docx-track-changes');
+    const response = await fetch('/api/docx', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            essay: essayForDocx(container, studentName),
+            trackChanges: !!(trackChangesBox && trackChangesBox.checked)
+        })
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : 'essay.docx';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+window.DocxExportModule = {
+    exportEssayDocx,
+    essayForDocx
+};
@@ -0,0 +1,523 @@
+/**
+ * Essay Import Module
+ *
+ * Bulk import of student essays from files: drop (or pick) files, a folder
+ * or a ZIP in the Import Essays modal, the server extracts the text and
+ * works out each student's name, and the teacher reviews the list before
+ * the essays go into the grading form. Essays fill the active tab's empty
+ * rows, then further tabs (10 essays each) with the same class profile and
+ * assignment; "Add and grade" also starts grading the first of them.
+ *
+ * Files upload one per request (see /api/import/essays); anything the
+ * server can't read comes back as skipped with a reason.
+ *
+ * Photos and scans of handwritten essays are read by OCR on the server.
+ * Their rows get a "Check OCR" button: the recognised text, with the words
+ * Tesseract was unsure of highlighted, next to the original page and an
+ * editable copy of the text. Rows filled from OCR are flagged
+ * (data-ocr="true") so the grader doesn't count likely misreadings as
+ * spelling errors.
+ *
+ * Exposes window.EssayImportModule plus the globals the modal's inline
+ * handlers call.
+ */
+(function () {
+    'use strict';
+
+    const ACCEPTED = /\.(txt|text|md|rtf|docx|pdf|zip|jpe?g|png|webp|bmp)$/i;
+    const PREVIEWABLE = /\.(pdf|jpe?g|png|webp|bmp)$/i;
+    // Matches the server's upload limit (Vercel caps request bodies at 4.5MB).
+    const MAX_FILE_SIZE = 4 * 1024 * 1024;
+    // OCR word confidence (0-100) below which a word is highlighted.
+    const LOW_CONFIDENCE = 60;
+    const UNSURE_CONFIDENCE = 80;
+
+    let essays = [];
+    let skipped = [];
+    let importing = false;
+    // Uploaded photos and PDFs by path, shown next to their OCR text.
+    let previews = {};
+
+    function query(selector) {
+        return window.TabStore ? window.TabStore.activeQuery(selector) : document.querySelector(selector);
+    }
+
+    function queryAll(selector) {
+        return window.TabStore ? window.TabStore.activeQueryAll(selector) : document.querySelectorAll(selector);
+    }
+
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    function wordCount(text) {
+        const words = String(text || '').trim().split(/\s+/);
+        return words[0] ? words.length : 0;
+    }
+
+    // ------------------------------------------------------------------
+    // Modal
+    // ------------------------------------------------------------------
+
+    function openImportModal() {
+        const modal = document.getElementById('essayImportModal');
+        if (!modal) return;
+        essays = [];
+        skipped = [];
+        renderReview();
+        modal.style.display = 'block';
+    }
+
+    function closeImportModal() {
+        if (importing) return;
+        const modal = document.getElementById('essayImportModal');
+        if (modal) modal.style.display = 'none';
+        closeOcrReview();
+        essays = [];
+        skipped = [];
+        Object.values(previews).forEach(url => URL.revokeObjectURL(url));
+        previews = {};
+    }
+
+    function setStatus(message) {
+        const status = document.getElementById('importStatus');
+        if (status) status.textContent = message;
+    }
+
+    // ------------------------------------------------------------------
+    // Collecting files (with folder paths, which carry Moodle's names)
+    // ------------------------------------------------------------------
+
+    function readEntries(reader) {
+        return new Promise((resolve) => reader.readEntries(resolve, () => resolve([])));
+    }
+
+    async function filesFromEntry(entry, out) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve) => entry.file(resolve, () => resolve(null)));
+            if (file) out.push({ file, path: entry.fullPath.replace(/^\//, '') });
+            return;
+        }
+        if (!entry.isDirectory) return;
+        const reader = entry.createReader();
+        // readEntries returns at most 100 entries per call.
+        for (let batch = await readEntries(reader); batch.length; batch = await readEntries(reader)) {
+            for (const child of batch) await filesFromEntry(child, out);
+        }
+    }
+
+    async function filesFromDrop(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name }));
+        }
+        const out = [];
+        for (const entry of entries) await filesFromEntry(entry, out);
+        return out;
+    }
+
+    function filesFromInput(input) {
+        return Array.from(input.files || []).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+    }
+
+    // ------------------------------------------------------------------
+    // Upload
+    // ------------------------------------------------------------------
+
+    async function importFiles(items) {
+        if (importing || items.length === 0) return;
+        importing = true;
+        const profileId = query('#classProfile') ? query('#classProfile').value : '';
+
+        try {
+            for (let i = 0; i < items.length; i++) {
+                const { file, path } = items[i];
+                // Hidden files and macOS resource forks come along with folders.
+                if (/(^|\/)(__MACOSX\/|\.)/.test(path)) continue;
+                if (!ACCEPTED.test(path)) {
+                    skipped.push({ file: path, message: 'Not a TXT, RTF, DOCX, PDF, image or ZIP file' });
+                    continue;
+                }
+                if (file.size > MAX_FILE_SIZE) {
+                    skipped.push({ file: path, message: 'Files can be at most 4MB. Unzip large ZIPs and drop the folder instead.' });
+                    continue;
+                }
+
+                setStatus(`Reading ${path} (${i + 1} of ${items.length})...` +
+                    (PREVIEWABLE.test(path) ? ' Photos and scans take a few seconds a page.' : ''));
+                const params = new URLSearchParams({ filename: path });
+                if (profileId) params.set('classProfileId', profileId);
+                try {
+                    const response = await fetch(`/api/import/essays?${params}`, {
+                        method: 'POST',
+                        credentials: 'include',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body: file,
+                    });
+                    const data = await response.json();
+                    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+                    data.essays.forEach(essay => essays.push({ ...essay, include: true }));
+                    if (PREVIEWABLE.test(path) && data.essays.some(essay => essay.ocr)) {
+                        previews[path] = URL.createObjectURL(file);
+                    }
+                    skipped.push(...data.skipped);
+                } catch (error) {
+                    console.error('[IMPORT] Error importing', path, error);
+                    skipped.push({ file: path, message: error.message || 'Upload failed' });
+                }
+                renderReview();
+            }
+        } finally {
+            importing = false;
+            setStatus('');
+            renderReview();
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Review
+    // ------------------------------------------------------------------
+
+    const NAME_SOURCES = {
+        lms: 'from the LMS file name',
+        document: 'from the document',
+        filename: 'from the file name',
+    };
+
+    function renderReview() {
+        const container = document.getElementById('importReview');
+        if (!container) return;
+
+        let html = '';
+        if (essays.length) {
+            html += `<table class="import-review-table">
+                <thead><tr><th></th><th>Student</th><th>File</th><th class="num">Words</th><th>Start of essay</th></tr></thead>
+                <tbody>${essays.map((essay, i) => `
+                    <tr>
+                        <td><input type="checkbox" ${essay.include ? 'checked' : ''} onchange="setImportIncluded(${i}, this.checked)"></td>
+                        <td>
+                            <input type="text" class="import-name${essay.studentName ? '' : ' missing'}" value="${escapeText(essay.studentName || '')}"
+                                   placeholder="Student name" list="rosterNames" oninput="setImportName(${i}, this.value)">
+                            <div class="import-name-source">${essay.studentId ? 'On the roster' : escapeText(NAME_SOURCES[essay.nameSource] || 'Name not found')}</div>
+                        </td>
+                        <td class="import-file">${escapeText(essay.file)}</td>
+                        <td class="num">${wordCount(essay.text)}${essay.ocr ? `
+                            <button type="button" class="import-ocr-btn${essay.ocrChecked ? ' checked' : ''}" onclick="openOcrReview(${i})">${essay.ocrChecked ? 'OCR checked' : `Check OCR (${unsureWords(essay).length} unsure)`}</button>` : ''}</td>
+                        <td class="import-preview" title="${escapeText(essay.text.slice(0, 600))}">${escapeText(essay.text.slice(0, 120))}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        }
+        if (skipped.length) {
+            html += `<div class="import-skipped"><strong>Not imported:</strong><ul>${skipped.map(s =>
+                `<li>${escapeText(s.file)}: ${escapeText(s.message || s.reason)}</li>`).join('')}</ul></div>`;
+        }
+        container.innerHTML = html;
+        updateActions();
+    }
+
+    // ------------------------------------------------------------------
+    // OCR review
+    // ------------------------------------------------------------------
+
+    function unsureWords(essay) {
+        return essay.ocr ? essay.ocr.words.filter(word => word.confidence < UNSURE_CONFIDENCE) : [];
+    }
+
+    /** The recognised text with each unsure word highlighted (and clickable). */
+    function highlightedText(essay) {
+        const text = essay.ocrText;
+        let html = '';
+        let at = 0;
+        essay.ocr.words.forEach((word, w) => {
+            if (word.confidence >= UNSURE_CONFIDENCE || word.start < at) return;
+            const level = word.confidence < LOW_CONFIDENCE ? 'low' : 'unsure';
+            html += escapeText(text.slice(at, word.start)) +
+                `<span class="ocr-word ${level}" title="${word.confidence}% sure" onclick="selectOcrWord(${w})">` +
+                `${escapeText(text.slice(word.start, word.start + word.text.length))}</span>`;
+            at = word.start + word.text.length;
+        });
+        return html + escapeText(text.slice(at));
+    }
+
+    let ocrIndex = null;
+
+    function openOcrReview(index) {
+        const essay = essays[index];
+        const panel = document.getElementById('importOcr');
+        if (!essay || !essay.ocr || !panel) return;
+        ocrIndex = index;
+        // The highlights mark up the text as recognised, before any edits.
+        if (essay.ocrText === undefined) essay.ocrText = essay.text;
+
+        const preview = previews[essay.file];
+        const original = !preview ? '<p class="ocr-no-preview">The original page is inside a ZIP, so it can\'t be shown here.</p>'
+            : /\.pdf$/i.test(essay.file) ? `<iframe src="${preview}" title="Original"></iframe>`
+            : `<img src="${preview}" alt="Original page">`;
+        panel.innerHTML = `
+            <div class="ocr-header">
+                <strong>${escapeText(essay.studentName || essay.file)}</strong>
+                <span>${escapeText(essay.file)} · recognised with ${essay.ocr.confidence}% confidence</span>
+            </div>
+            <p class="ocr-legend">
+                <span class="ocr-word low">Likely wrong</span> <span class="ocr-word unsure">Unsure</span>
+                Click a highlighted word to find it in the text, then fix it there.
+            </p>
+            <div class="ocr-columns">
+                <div class="ocr-original">${original}</div>
+                <div class="ocr-edit">
+                    <div class="ocr-words">${highlightedText(essay)}</div>
+                    <textarea class="ocr-text" rows="14" oninput="setOcrText(this.value)">${escapeText(essay.text)}</textarea>
+                </div>
+            </div>
+            <div class="ocr-actions"><button type="button" onclick="closeOcrReview()">Back to the list</button></div>`;
+        document.getElementById('importDropZone').style.display = 'none';
+        document.getElementById('importReview').style.display = 'none';
+        panel.style.display = 'block';
+    }
+
+    function closeOcrReview() {
+        const panel = document.getElementById('importOcr');
+        if (!panel || panel.style.display === 'none') return;
+        if (essays[ocrIndex]) essays[ocrIndex].ocrChecked = true;
+        ocrIndex = null;
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        document.getElementById('importDropZone').style.display = '';
+        document.getElementById('importReview').style.display = '';
+        renderReview();
+    }
+
+    function setOcrText(text) {
+        if (essays[ocrIndex]) essays[ocrIndex].text = text;
+    }
+
+    // Select a highlighted word in the editable text: near where it was
+    // recognised, allowing for the edits made since.
+    function selectOcrWord(w) {
+        const essay = essays[ocrIndex];
+        const word = essay && essay.ocr.words[w];
+        const textarea = document.querySelector('#importOcr .ocr-text');
+        if (!word || !textarea) return;
+        const shift = textarea.value.length - essay.ocrText.length;
+        const from = Math.max(0, word.start + Math.min(0, shift) - 20);
+        let at = textarea.value.indexOf(word.text, from);
+        if (at < 0) at = textarea.value.indexOf(word.text);
+        textarea.focus();
+        if (at >= 0) textarea.setSelectionRange(at, at + word.text.length);
+    }
+
+    function selectedEssays() {
+        return essays.filter(essay => essay.include);
+    }
+
+    function updateActions() {
+        const selected = selectedEssays();
+        const ready = !importing && selected.length > 0 && selected.every(essay => essay.studentName && essay.studentName.trim());
+        const addBtn = document.getElementById('importAddBtn');
+        const gradeBtn = document.getElementById('importGradeBtn');
+        if (addBtn) {
+            addBtn.disabled = !ready;
+            addBtn.textContent = selected.length ? `Add ${selected.length} essay${selected.length === 1 ? '' : 's'}` : 'Add essays';
+        }
+        if (gradeBtn) gradeBtn.disabled = !ready;
+        const hint = document.getElementById('importHint');
+        if (hint) {
+            hint.textContent = selected.some(essay => !essay.studentName || !essay.studentName.trim())
+                ? 'Give every selected essay a student name.'
+                : '';
+        }
+    }
+
+    function setImportIncluded(index, include) {
+        if (!essays[index]) return;
+        essays[index].include = include;
+        updateActions();
+    }
+
+    function setImportName(index, name) {
+        if (!essays[index]) return;
+        essays[index].studentName = name;
+        essays[index].studentId = null;
+        const input = document.querySelectorAll('#importReview .import-name')[index];
+        if (input) input.classList.toggle('missing', !name.trim());
+        updateActions();
+    }
+
+    // ------------------------------------------------------------------
+    // Filling the grading form
+    // ------------------------------------------------------------------
+
+    function setValue(element, value) {
+        if (!element) return;
+        element.value = value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function isEmptyRow(row) {
+        const name = row.querySelector('.student-name');
+        const text = row.querySelector('.student-text');
+        return !(name && name.value.trim()) && !(text && text.value.trim());
+    }
+
+    // Flag a row whose text came from OCR, with a badge next to its label.
+    function markOcr(row, ocr) {
+        const badge = row.querySelector('.ocr-badge');
+        if (badge) badge.remove();
+        if (!ocr) {
+            delete row.dataset.ocr;
+            return;
+        }
+        row.dataset.ocr = 'true';
+        const label = row.querySelector('label');
+        if (label) {
+            label.insertAdjacentHTML('afterend', '<span class="ocr-badge" ' +
+                'title="Transcribed from handwriting by OCR: likely misreadings aren\'t counted as spelling errors">OCR</span>');
+        }
+    }
+
+    function tabHasResults(tabId) {
+        const tab = window.TabStore && tabId ? window.TabStore.get(tabId) : null;
+        return !!(tab && (tab.currentBatchData || tab.currentGradingData));
+    }
+
+    // Open a new tab with the same class profile and assignment. Returns
+    // false when every tab is taken (addTab() explains that itself).
+    async function openTabLike(profileId, assignmentId) {
+        const before = window.TabStore.activeId();
+        window.TabManagementModule.addTab();
+        if (window.TabStore.activeId() === before) return false;
+        if (window.ProfilesModule) await window.ProfilesModule.loadProfilesData();
+        setValue(query('#classProfile'), profileId);
+        if (window.AssignmentsModule) await window.AssignmentsModule.loadAssignments();
+        setValue(query('#assignment'), assignmentId);
+        return true;
+    }
+
+    /**
+     * Put essays into the active tab's empty rows, adding rows up to the cap.
+     * @returns {number} how many were placed
+     */
+    function fillActiveTab(batch) {
+        const perTab = window.EssayManagementModule ? window.EssayManagementModule.MAX_ESSAYS_PER_TAB : 10;
+        const rows = queryAll('.essay-entry');
+        const free = Array.from(rows).filter(isEmptyRow).length + Math.max(0, perTab - rows.length);
+        const placed = batch.slice(0, free);
+        const missing = placed.length - Array.from(rows).filter(isEmptyRow).length;
+        if (missing > 0 && window.EssayManagementModule) window.EssayManagementModule.addAnotherEssay(missing);
+
+        const empty = Array.from(queryAll('.essay-entry')).filter(isEmptyRow);
+        placed.forEach((essay, i) => {
+            if (!empty[i]) return;
+            setValue(empty[i].querySelector('.student-name'), essay.studentName.trim());
+            setValue(empty[i].querySelector('.student-text'), essay.text);
+            markOcr(empty[i], !!essay.ocr);
+        });
+        return Math.min(placed.length, empty.length);
+    }
+
+    async function addToForm(gradeNow) {
+        const batch = selectedEssays();
+        if (batch.length === 0) return;
+        const profileId = query('#classProfile') ? query('#classProfile').value : '';
+        const assignmentId = query('#assignment') ? query('#assignment').value : '';
+        closeImportModal();
+
+        let remaining = batch;
+        let firstTab = null;
+        if (window.TabStore && tabHasResults(window.TabStore.activeId())) {
+            if (!await openTabLike(profileId, assignmentId)) return;
+        }
+        while (remaining.length) {
+            const placed = fillActiveTab(remaining);
+            if (placed > 0 && !firstTab) firstTab = window.TabStore ? window.TabStore.activeId() : null;
+            remaining = remaining.slice(placed);
+            if (!remaining.length || !window.TabStore) break;
+            if (!await openTabLike(profileId, assignmentId)) break;
+        }
+
+        if (remaining.length) {
+            showError(`${remaining.length} essay${remaining.length === 1 ? '' : 's'} did not fit: every tab is full. ` +
+                'Grade or close a tab, then import the rest.', 'Import Essays');
+        }
+        if (gradeNow && firstTab) {
+            window.TabManagementModule.switchTab(firstTab);
+            const gradeButton = query('#gradeButton');
+            if (gradeButton && !gradeButton.disabled) gradeButton.click();
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Wiring
+    // ------------------------------------------------------------------
+
+    function setupImportHandlers() {
+        // Each tab pane has its own Import button (cloned from the template).
+        document.addEventListener('click', function (e) {
+            if (!e.target.closest('.import-essays-btn')) return;
+            e.preventDefault();
+            openImportModal();
+        });
+
+        // Clearing an OCR row's text drops the flag; whatever is pasted next isn't OCR.
+        document.addEventListener('input', function (e) {
+            if (!e.target.matches('.student-text') || e.target.value.trim()) return;
+            const row = e.target.closest('.essay-entry[data-ocr]');
+            if (row) markOcr(row, false);
+        });
+
+        const modal = document.getElementById('essayImportModal');
+        if (!modal) return;
+        modal.addEventListener('click', function (e) {
+            if (e.target === modal) closeImportModal();
+        });
+
+        const dropZone = document.getElementById('importDropZone');
+        dropZone.addEventListener('dragover', function (e) {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+        dropZone.addEventListener('dragleave', function () {
+            dropZone.classList.remove('dragover');
+        });
+        dropZone.addEventListener('drop', async function (e) {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            importFiles(await filesFromDrop(e.dataTransfer));
+        });
+
+        ['importFileInput', 'importFolderInput'].forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener('change', function () {
+                importFiles(filesFromInput(input));
+                input.value = '';
+            });
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', setupImportHandlers);
+
+    window.EssayImportModule = {
+        openImportModal,
+        closeImportModal,
+        importFiles,
+        addToForm,
+        markOcr,
+    };
+
+    // Globals for the inline handlers in the modal.
+    window.openImportModal = openImportModal;
+    window.closeImportModal = closeImportModal;
+    window.setImportIncluded = setImportIncluded;
+    window.setImportName = setImportName;
+    window.openOcrReview = openOcrReview;
+    window.closeOcrReview = closeOcrReview;
+    window.setOcrText = setOcrText;
+    window.selectOcrWord = selectOcrWord;
+    window.addImportedEssays = addToForm;
+})();
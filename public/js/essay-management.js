@@ -49,7 +49,7 @@ function addAnotherEssay(count = 1) {
         essayDiv.innerHTML = `
             <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
                 <label style="margin: 0; font-weight: 500;">Essay ${newIndex + 1}:</label>
-                <input type="text" class="student-name" placeholder="Student name" required
+                <input type="text" class="student-name" placeholder="Student name" list="rosterNames" autocomplete="off" required
                        style="padding: 10px; border: 2px solid #ddd; border-radius: 6px; width: 220px; font-size: 16px; height: 42px; box-sizing: border-box;">
                 <input type="text" class="student-nickname" placeholder="Nickname (optional)"
                        style="padding: 10px; border: 2px solid #ddd; border-radius: 6px; width: 150px; font-size: 16px; height: 42px; box-sizing: border-box;">
@@ -278,6 +278,8 @@ function markStudentComplete(index, success = true) {
 function collectEssaysFromForm() {
     const essays = [];
     const essayEntries = document.querySelectorAll('.essay-entry');
+    const profileSelect = window.TabStore ? window.TabStore.activeQuery('#classProfile') : document.getElementById('classProfile');
+    const classProfile = profileSelect ? profileSelect.value : '';
 
     essayEntries.forEach((entry, index) => {
         const studentText = entry.querySelector('.student-text')?.value.trim();
@@ -288,7 +290,10 @@ function collectEssaysFromForm() {
             essays.push({
                 studentText: studentText,
                 studentName: studentName,
-                studentNickname: studentNickname
+                studentNickname: studentNickname,
+                studentId: window.StudentsModule
+                    ? window.StudentsModule.findStudentId(classProfile, studentName) || window.StudentsModule.findStudentId(classProfile, studentNickname)
+                    : null
             });
         }
     });
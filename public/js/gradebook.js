@@ -0,0 +1,192 @@
+/**
+ * Gradebook Export Module
+ *
+ * Exports the active tab's batch as a gradebook — one row per student with
+ * per-category points, total, word count and teacher notes — as CSV, XLSX,
+ * a Moodle or Canvas grade-import CSV, or JSON. The server builds the file
+ * (POST /api/gradebook); this module collects the grades, including edits
+ * made to scores and teacher notes on screen.
+ *
+ * Class-profile exports from saved essays are plain links to
+ * /api/profiles/:id/gradebook (see the analytics page).
+ *
+ * Exposes window.GradebookModule plus the global the inline onclick handler
+ * in the batch results header calls.
+ */
+(function () {
+    'use strict';
+
+    const FORMAT_OPTIONS = [
+        ['csv', 'CSV'],
+        ['xlsx', 'Excel (XLSX)'],
+        ['moodle', 'Moodle grade import (CSV)'],
+        ['canvas', 'Canvas gradebook import (CSV)'],
+        ['json', 'JSON'],
+    ];
+
+    function query(selector) {
+        return window.TabStore ? window.TabStore.activeQuery(selector) : document.querySelector(selector);
+    }
+
+    /**
+     * Export controls for the batch results header.
+     * @returns {string} HTML
+     */
+    function exportBarHTML() {
+        return `
+            <div class="gradebook-export no-print" style="display: flex; align-items: center; gap: 8px; margin: 10px 0; font-size: 14px;">
+                <strong>Gradebook:</strong>
+                <select class="gradebook-format" style="padding: 6px;">
+                    ${FORMAT_OPTIONS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <button type="button" onclick="exportBatchGradebook(this)" style="padding: 6px 12px;">Export</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Graded essay snapshots of the active tab, by result index.
+     * @returns {Array<[number, Object]>}
+     */
+    function batchSnapshots() {
+        const tab = window.TabStore && window.TabStore.active();
+        if (tab && tab.essayData && Object.keys(tab.essayData).length) {
+            return Object.keys(tab.essayData)
+                .filter(key => /^\d+$/.test(key))
+                .map(key => [Number(key), tab.essayData[key]])
+                .sort((a, b) => a[0] - b[0]);
+        }
+
+        const batchData = (tab && tab.currentBatchData) || window.currentBatchData;
+        const results = batchData && batchData.batchResult && batchData.batchResult.results;
+        if (!results) return [];
+        return results
+            .map((essay, index) => [index, { essay, originalData: (batchData.originalData.essays || [])[index] || {} }])
+            .filter(([, snapshot]) => snapshot.essay.success);
+    }
+
+    /**
+     * Scores and teacher notes as currently shown for one essay. The
+     * formatted essay is rendered on first expand, so unopened essays have
+     * no edits.
+     * @param {number} index
+     */
+    function readEdits(index) {
+        const container = query(`#batch-essay-${index}`);
+        const edits = { scores: {}, teacherNotes: null };
+        if (!container) return edits;
+
+        container.querySelectorAll('.editable-score[data-category]').forEach(input => {
+            const points = Number(input.value);
+            if (input.value !== '' && Number.isFinite(points)) edits.scores[input.dataset.category] = points;
+        });
+        const notes = container.querySelector('.teacher-notes');
+        if (notes && notes.dataset.teacherNotes !== undefined) edits.teacherNotes = notes.dataset.teacherNotes;
+        return edits;
+    }
+
+    /**
+     * The active tab's graded essays, slimmed to what the gradebook needs.
+     * @returns {Array<{studentName: string, studentId: string|null, result: Object}>}
+     */
+    function collectBatchEssays() {
+        return batchSnapshots().map(([index, snapshot]) => {
+            const result = (snapshot.essay && snapshot.essay.result) || snapshot.gradingData;
+            if (!result || !result.scores || !result.total) return null;
+            const original = snapshot.originalData || {};
+            const edits = readEdits(index);
+
+            const scores = {};
+            Object.entries(result.scores).forEach(([category, score]) => {
+                scores[category] = {
+                    points: edits.scores[category] ?? (score ? score.points : null),
+                    out_of: score ? score.out_of : null,
+                };
+            });
+            const edited = Object.keys(edits.scores).some(c => result.scores[c] && edits.scores[c] !== result.scores[c].points);
+            const total = edited
+                ? { ...result.total, points: Object.values(scores).reduce((sum, s) => sum + (s.points || 0), 0) }
+                : result.total;
+
+            return {
+                studentName: original.studentName || (snapshot.essay && snapshot.essay.studentName) || `Essay ${index + 1}`,
+                studentId: result.studentId || original.studentId || null,
+                result: {
+                    scores,
+                    total,
+                    meta: { word_count: result.meta ? result.meta.word_count : null },
+                    teacher_notes: edits.teacherNotes ?? result.teacher_notes ?? '',
+                    rubric: result.rubric ? { categories: result.rubric.categories } : undefined,
+                },
+            };
+        }).filter(Boolean);
+    }
+
+    // "Class profile - Assignment" from the active tab's form.
+    function batchTitle() {
+        const parts = ['#classProfile', '#assignment']
+            .map(selector => query(selector))
+            .filter(select => select && select.value && select.selectedIndex >= 0)
+            .map(select => select.options[select.selectedIndex].text.replace(/\s*\(due .*\)$/, ''));
+        return parts.join(' - ') || 'Batch';
+    }
+
+    /**
+     * Save a server response as a download, named by its Content-Disposition.
+     * @param {Response} response
+     */
+    async function saveDownload(response) {
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : 'gradebook';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Export the active tab's batch in the format picked next to `button`.
+     * @param {HTMLElement} button
+     */
+    async function exportBatchGradebook(button) {
+        const bar = button && button.closest('.gradebook-export');
+        const format = bar ? bar.querySelector('.gradebook-format').value : 'csv';
+        const essays = collectBatchEssays();
+        if (essays.length === 0) {
+            showError('There are no graded essays to export yet.', 'Gradebook Export');
+            return;
+        }
+
+        try {
+            if (button) button.disabled = true;
+            const response = await fetch(`/api/gradebook?format=${encodeURIComponent(format)}`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title: batchTitle(), essays }),
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            await saveDownload(response);
+        } catch (error) {
+            console.error('[GRADEBOOK] Export error:', error);
+            showError(error.message || 'Error exporting gradebook', 'Gradebook Export');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    window.GradebookModule = {
+        exportBarHTML,
+        collectBatchEssays,
+        exportBatchGradebook,
+    };
+
+    window.exportBatchGradebook = exportBatchGradebook;
+})();
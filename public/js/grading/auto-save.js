@@ -27,7 +27,7 @@
  *                              showClearButton, updateBannerStatus, updateSaveStatus,
  *                              updateCapacityBanner. Seam: resetFullDismissed().
  *   F. Auth-expiry & stash ... write/clear/readPendingSaveStash, recoverOrphanedStash,
- *                              handleAuthExpired, showReauthPrompt, attemptReauth, flushPendingSave
+ *                              handleAuthExpired, showReauthPrompt, attemptReauth, waitForSignIn, flushPendingSave
  *   G. Grading-state & lock .. EXTRACTED to auto-save-grading.js (window.AutoSaveGrading):
  *                              markGradingStarted/Finished, isGradingInProgress, setFormLocked.
  *                              Thin local wrappers here delegate to it; seam:
@@ -585,10 +585,11 @@
     /**
      * Show a blocking re-authentication overlay. The user's work is NOT lost —
      * it's stashed locally and will be saved the moment they sign back in.
-     * Passwordless login: they re-enter their email, we POST /auth/login
-     * (which re-sets the session + signed cookies on this same page), then we
-     * flush the stashed payload. No navigation, so the in-memory grading state
-     * is preserved.
+     * With a password, we POST /auth/login (which re-sets the session + signed
+     * cookies on this same page); without one, the server emails a sign-in
+     * link, and we poll /auth/status until it's been opened (in another tab —
+     * the session cookie is shared). Either way we then flush the stashed
+     * payload. No navigation, so the in-memory grading state is preserved.
      */
     function showReauthPrompt() {
         if (document.getElementById('reauth-overlay')) return;
@@ -608,12 +609,16 @@
                 <h2 style="margin:0 0 8px;font-size:18px;color:#2d6a2d;">Please sign back in</h2>
                 <p style="margin:0 0 16px;font-size:14px;line-height:1.5;color:#333;">
                     Whoops, you've been signed out. Don't worry, your changes have been
-                    saved. Please enter your email address to sign back in.
+                    saved. Enter your password, or leave it blank and we'll email you a
+                    sign-in link. Keep this page open.
                 </p>
                 <input id="reauth-email" type="email" placeholder="Enter your email"
                        value="${emailLooksValid ? prefillEmail.replace(/"/g, '&quot;') : ''}"
+                       style="width:100%;box-sizing:border-box;padding:10px 12px;font-size:14px;border:1px solid #ccc;border-radius:6px;margin-bottom:8px;" />
+                <input id="reauth-password" type="password" placeholder="Password (optional)" autocomplete="current-password"
                        style="width:100%;box-sizing:border-box;padding:10px 12px;font-size:14px;border:1px solid #ccc;border-radius:6px;margin-bottom:12px;" />
                 <div id="reauth-error" style="display:none;color:#dc3545;font-size:13px;margin-bottom:10px;"></div>
+                <div id="reauth-info" style="display:none;color:#155724;font-size:13px;margin-bottom:10px;"></div>
                 <button id="reauth-submit"
                         style="width:100%;padding:10px;font-size:15px;font-weight:600;background:#007bff;color:#fff;border:none;border-radius:6px;cursor:pointer;">
                     Sign back in
@@ -622,60 +627,97 @@
         document.body.appendChild(overlay);
 
         const emailInput = overlay.querySelector('#reauth-email');
+        const passwordInput = overlay.querySelector('#reauth-password');
         const submitBtn = overlay.querySelector('#reauth-submit');
         const errEl = overlay.querySelector('#reauth-error');
-        emailInput.focus();
+        const infoEl = overlay.querySelector('#reauth-info');
+        (emailLooksValid ? passwordInput : emailInput).focus();
 
         const submit = async () => {
             const email = (emailInput.value || '').trim();
+            const password = passwordInput.value || '';
             if (!/@/.test(email)) {
                 errEl.textContent = 'Please enter a valid email address.';
                 errEl.style.display = 'block';
                 return;
             }
             submitBtn.disabled = true;
-            submitBtn.textContent = 'Signing in…';
+            submitBtn.textContent = password ? 'Signing in…' : 'Sending link…';
             errEl.style.display = 'none';
-            const ok = await attemptReauth(email);
-            if (ok) {
+            const result = await attemptReauth(email, password);
+            if (result === 'ok') {
                 overlay.remove();
+            } else if (result === 'link-sent') {
+                infoEl.textContent = 'We emailed you a sign-in link. Open it (it opens in a new tab), ' +
+                    'then come back here — this page will pick up where you left off.';
+                infoEl.style.display = 'block';
+                submitBtn.textContent = 'Waiting for you to sign in…';
+                waitForSignIn(overlay);
             } else {
                 submitBtn.disabled = false;
                 submitBtn.textContent = 'Sign back in';
-                errEl.textContent = 'That didn’t work. Please check your email and try again.';
+                errEl.textContent = password
+                    ? 'That email and password didn’t match. Please try again, or leave the password blank.'
+                    : 'That didn’t work. Please check your email and try again.';
                 errEl.style.display = 'block';
             }
         };
         submitBtn.addEventListener('click', submit);
-        emailInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit(); });
+        overlay.addEventListener('keydown', (e) => { if (e.key === 'Enter' && !submitBtn.disabled) submit(); });
     }
 
     /**
-     * Re-authenticate in place via the passwordless login endpoint. On success
-     * the server re-sets the session + signed cookies, so subsequent saves are
-     * authorized. Returns true on success.
+     * Re-authenticate via POST /auth/login. With a password, the server
+     * re-sets the session + signed cookies and we flush straight away;
+     * without one, it emails a sign-in link.
+     * Returns 'ok', 'link-sent' or 'failed'.
      */
-    async function attemptReauth(email) {
+    async function attemptReauth(email, password) {
         try {
             const resp = await fetch('/auth/login', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email }),
+                body: JSON.stringify(password ? { email, password } : { email }),
             });
             if (!resp.ok) {
                 console.warn('[AutoSave] re-auth failed:', resp.status);
-                return false;
+                return 'failed';
             }
+            const data = await resp.json();
+            if (data.magicLinkSent) return 'link-sent';
             console.log('[AutoSave] re-auth successful — flushing stashed work');
             authExpired = false;
             await flushPendingSave();
-            return true;
+            return 'ok';
         } catch (e) {
             console.warn('[AutoSave] re-auth error:', e && e.message);
-            return false;
+            return 'failed';
         }
     }
 
+    /**
+     * Poll /auth/status while the user opens their emailed sign-in link, then
+     * close the overlay and flush the stashed work.
+     */
+    function waitForSignIn(overlay) {
+        const poll = async () => {
+            if (!document.body.contains(overlay)) return;
+            try {
+                const resp = await fetch('/auth/status', { credentials: 'include' });
+                const data = await resp.json();
+                if (data.authenticated) {
+                    console.log('[AutoSave] signed in via emailed link — flushing stashed work');
+                    overlay.remove();
+                    authExpired = false;
+                    await flushPendingSave();
+                    return;
+                }
+            } catch (e) { /* keep waiting */ }
+            setTimeout(poll, 3000);
+        };
+        setTimeout(poll, 3000);
+    }
+
     /**
      * After re-auth, save the user's work. We prefer the CURRENT in-memory
      * state (most up to date), falling back to the localStorage stash if the
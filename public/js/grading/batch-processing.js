@@ -248,6 +248,8 @@ function displayBatchProgress(batchData) {
             <div style="background: #fff3cd; border: 2px solid #ffc107; padding: 12px; border-radius: 6px; margin: 12px 0; color: #856404; font-size: 14px; line-height: 1.4; font-weight: 500;">
                 <strong style="font-size: 15px;">⚠️</strong> The AI will make mistakes. Please review all essays and make any necessary manual edits.
             </div>
+            ${window.GradebookModule ? window.GradebookModule.exportBarHTML() : ''}
+            ${window.PDFExportModule ? window.PDFExportModule.downloadBarHTML() : ''}
             <div class="compact-student-list" style="margin: 12px 0;">
                 ${batchData.essays.map((essay, index) => `
                     <div class="student-row" id="student-row-${index}" data-essay-id="${essay.essayId || ''}" data-student-name="${(essay.studentName || '').replace(/"/g, '&quot;')}" style="border: 2px solid #ddd; margin: 10px 0; border-radius: 6px; overflow: hidden;">
@@ -570,6 +572,11 @@ function displayBatchResults(batchResult, originalData) {
     resultsDiv.innerHTML = compactHtml;
     resultsDiv.style.display = 'block';
 
+    // Non-streaming grades carry the similarity report with the results.
+    if (batchResult.similarity) {
+        displaySimilarityReport(batchResult.similarity, originalData);
+    }
+
     // Restore checkbox states AFTER HTML is replaced
     setTimeout(() => {
         Object.entries(checkboxStates).forEach(([contentId, isChecked]) => {
@@ -629,7 +636,8 @@ function displayBatchResults(batchResult, originalData) {
                     ...essayFromOriginal,
                     essayId: resultId || (essayFromOriginal && essayFromOriginal.essayId),
                     index: index,
-                    classProfile: originalData.classProfile || null
+                    classProfile: originalData.classProfile || null,
+                    assignmentId: originalData.assignmentId || null
                 }
             };
             if (batchOriginTabState) {
@@ -652,6 +660,20 @@ function displayBatchResults(batchResult, originalData) {
     }
 }
 
+/**
+ * Show the batch similarity report under the student list of the batch's
+ * tab (see similarity-report.js).
+ * @param {Array} pairs - near-duplicate pairs from the server
+ * @param {Object} originalData - the submitted batch ({essays, classProfile})
+ */
+function displaySimilarityReport(pairs, originalData) {
+    const resultsDiv = tabScopedQuery('#results');
+    if (!resultsDiv || !window.SimilarityReportModule) return;
+    window.SimilarityReportModule.renderSimilarityReport(
+        resultsDiv, pairs, (originalData && originalData.essays) || []
+    );
+}
+
 /**
  * Toggle student details in batch results
  * @param {number} index - Student index
@@ -903,8 +925,9 @@ function loadEssayDetails(index, essayId = null) {
 /**
  * Download individual essay
  * @param {number} index - Essay index
+ * @param {string} [format] - 'pdf' or 'docx'
  */
-function downloadIndividualEssay(index) {
+function downloadIndividualEssay(index, format = 'pdf') {
     console.log('Downloading essay for student index:', index);
 
     // Prefer the row's stable essayId so the download is always the essay the
@@ -925,7 +948,7 @@ function downloadIndividualEssay(index) {
 
     // Use PDF export module if available
     if (window.PDFExportModule && window.PDFExportModule.exportIndividualEssay) {
-        window.PDFExportModule.exportIndividualEssay(essayData);
+        window.PDFExportModule.exportIndividualEssay(essayData, format);
     } else {
         // Fallback implementation
         console.log('PDF export not available, essay data:', essayData);
@@ -935,8 +958,9 @@ function downloadIndividualEssay(index) {
 
 /**
  * Download all essays
+ * @param {string} [layout] - 'merged' (one PDF) or 'zip' (one PDF per student)
  */
-function downloadAllEssays() {
+function downloadAllEssays(layout = 'merged') {
     console.log('Downloading all essays');
 
     const batchData = (window.TabStore && window.TabStore.active()?.currentBatchData)
@@ -948,7 +972,7 @@ function downloadAllEssays() {
 
     // Use PDF export module if available
     if (window.PDFExportModule && window.PDFExportModule.exportBatchEssays) {
-        window.PDFExportModule.exportBatchEssays(batchData);
+        window.PDFExportModule.exportBatchEssays(batchData, layout);
     } else {
         // Fallback implementation
         console.log('PDF export not available, batch data:', batchData);
@@ -1218,9 +1242,12 @@ async function retryEssay(index, essayId = null) {
                 studentText: essay.studentText,
                 prompt: batchData.prompt,
                 classProfile: batchData.classProfile,
+                assignmentId: batchData.assignmentId,
                 temperature: batchData.temperature,
                 provider: batchData.provider,
-                studentNickname: essay.studentNickname
+                studentNickname: essay.studentNickname,
+                studentId: essay.studentId,
+                ocr: essay.ocr
             })
         });
 
@@ -1250,7 +1277,8 @@ async function retryEssay(index, essayId = null) {
                     studentName: essay.studentName,
                     studentNickname: essay.studentNickname,
                     index: index,
-                    classProfile: batchData.classProfile || null
+                    classProfile: batchData.classProfile || null,
+                    assignmentId: batchData.assignmentId || null
                 }
             };
 
@@ -1369,6 +1397,7 @@ window.BatchProcessingModule = {
     displayBatchProgress,
     updateEssayStatus,
     displayBatchResults,
+    displaySimilarityReport,
     toggleStudentDetails,
     loadEssayDetails,
     downloadIndividualEssay,
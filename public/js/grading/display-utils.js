@@ -50,6 +50,10 @@ function createBatchEssayHTML(formatted, index) {
 
         <div style="margin-top: 20px; text-align: center; display: flex; justify-content: center; gap: 10px;">
             <button onclick="downloadIndividualEssay(${index})" style="background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 15px; cursor: pointer; font-weight: 600; box-shadow: 0 2px 4px rgba(0,0,0,0.1); transition: all 0.2s;" onmouseover="this.style.background='#0056b3'; this.style.transform='translateY(-2px)'; this.style.boxShadow='0 4px 8px rgba(0,0,0,0.15)'" onmouseout="this.style.background='#007bff'; this.style.transform='translateY(0)'; this.style.boxShadow='0 2px 4px rgba(0,0,0,0.1)'">Export to PDF</button>
+            <button onclick="downloadIndividualEssay(${index}, 'docx')" style="background: #2b579a; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 15px; cursor: pointer; font-weight: 600; box-shadow: 0 2px 4px rgba(0,0,0,0.1); transition: all 0.2s;" onmouseover="this.style.background='#1e3f73'; this.style.transform='translateY(-2px)'; this.style.boxShadow='0 4px 8px rgba(0,0,0,0.15)'" onmouseout="this.style.background='#2b579a'; this.style.transform='translateY(0)'; this.style.boxShadow='0 2px 4px rgba(0,0,0,0.1)'">Export to Word</button>
+            <label class="no-pdf no-print" style="display: flex; align-items: center; gap: 6px; font-size: 14px; color: #555; cursor: pointer;" title="Write each correction into the Word document as a tracked change the student can accept or reject">
+                <input type="checkbox" class="docx-track-changes" style="margin: 0;"> Corrections as tracked changes
+            </label>
             <button onclick="saveEssayToAccount(this, ${index})" style="background: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 15px; cursor: pointer; font-weight: 600; box-shadow: 0 2px 4px rgba(0,0,0,0.1); transition: all 0.2s;" onmouseover="this.style.background='#218838'; this.style.transform='translateY(-2px)'; this.style.boxShadow='0 4px 8px rgba(0,0,0,0.15)'" onmouseout="this.style.background='#28a745'; this.style.transform='translateY(0)'; this.style.boxShadow='0 2px 4px rgba(0,0,0,0.1)'">Save Essay</button>
         </div>
     `;
@@ -239,6 +243,8 @@ function createBatchResultsHTML(batchResult, successCount, failureCount) {
             <div class="batch-summary" style="background: #f8f9fa; padding: 10px; border-radius: 6px; margin: 10px 0; font-size: 14px;">
                 <p style="margin: 0;"><strong>Summary:</strong> ${successCount} successful, ${failureCount} failed</p>
             </div>
+            ${window.GradebookModule ? window.GradebookModule.exportBarHTML() : ''}
+            ${window.PDFExportModule ? window.PDFExportModule.downloadBarHTML() : ''}
             <div class="compact-student-list" style="margin: 12px 0;">
     `;
 
@@ -1435,6 +1441,14 @@ async function saveEssayToAccount(btn, essayIndex) {
             return;
         }
 
+        // Roster entry and assignment the essay was graded with. Batch
+        // snapshots keep the grade under essay.result, single grades under
+        // gradingData. Without a studentId the server matches studentName
+        // against the roster itself.
+        const gradedResult = essayData?.essay?.result || essayData?.gradingData || {};
+        const studentId = gradedResult.studentId || essayData?.originalData?.studentId || null;
+        const assignmentId = gradedResult.assignmentId || essayData?.originalData?.assignmentId || null;
+
         // POST to API
         const response = await fetch('/api/saved-essays', {
             method: 'POST',
@@ -1443,6 +1457,8 @@ async function saveEssayToAccount(btn, essayIndex) {
             body: JSON.stringify({
                 classProfileId,
                 studentName,
+                studentId,
+                assignmentId,
                 renderedHTML,
                 essayData
             })
@@ -471,19 +471,21 @@ function loadEssayDetails(index) {
 /**
  * Download individual essay
  * @param {number} index - Essay index
+ * @param {string} [format] - 'pdf' or 'docx'
  */
-function downloadIndividualEssay(index) {
+function downloadIndividualEssay(index, format) {
     if (window.BatchProcessingModule) {
-        window.BatchProcessingModule.downloadIndividualEssay(index);
+        window.BatchProcessingModule.downloadIndividualEssay(index, format);
     }
 }
 
 /**
  * Download all essays
+ * @param {string} [layout] - 'merged' (one PDF) or 'zip' (one PDF per student)
  */
-function downloadAllEssays() {
+function downloadAllEssays(layout) {
     if (window.BatchProcessingModule) {
-        window.BatchProcessingModule.downloadAllEssays();
+        window.BatchProcessingModule.downloadAllEssays(layout);
     }
 }
 
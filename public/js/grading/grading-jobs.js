@@ -0,0 +1,349 @@
+/**
+ * Grading Jobs Module
+ *
+ * Batches are graded on the server as jobs (/api/grading-jobs) rather than
+ * inside the request that sends them, so a closed laptop or a redeploy
+ * doesn't lose one. This module creates jobs and follows them: it reads the
+ * job's event stream, reconnects when a connection ends before the job
+ * does, and falls back to polling when the stream keeps failing. Every
+ * connection replays the job so far, so the same result can arrive more
+ * than once; callers keep results by essay index.
+ *
+ * On page load it also lists jobs whose results never reached a browser
+ * (the tab was closed mid-batch, or the batch was started on another
+ * device). "Open" loads one into a grading tab and follows it there.
+ *
+ * Exposes window.GradingJobsModule plus the globals the notice's inline
+ * handlers call.
+ */
+(function () {
+    'use strict';
+
+    // Waits before reconnecting after a failed stream; after the last one,
+    // poll instead.
+    const RECONNECT_DELAYS_MS = [1000, 3000, 10000];
+    const POLL_INTERVAL_MS = 5000;
+    // A stream that closes sooner than this without finishing counts as failed.
+    const MIN_STREAM_MS = 5000;
+    const FOLLOW_TIMEOUT_MS = 20 * 60 * 1000;
+
+    let unfinishedJobs = [];
+
+    function query(selector) {
+        return window.TabStore ? window.TabStore.activeQuery(selector) : document.querySelector(selector);
+    }
+
+    function queryAll(selector) {
+        return window.TabStore ? window.TabStore.activeQueryAll(selector) : document.querySelectorAll(selector);
+    }
+
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function setValue(element, value) {
+        if (!element) return;
+        element.value = value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // ------------------------------------------------------------------
+    // Creating and following jobs
+    // ------------------------------------------------------------------
+
+    /**
+     * Send a batch to be graded as a job.
+     * @param {Object} batchData - { essays, prompt, classProfile, assignmentId, temperature }
+     * @returns {Promise<string>} the job id
+     */
+    async function createJob(batchData) {
+        const response = await fetch('/api/grading-jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(batchData)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        return data.jobId;
+    }
+
+    /**
+     * A job with its essays and their events so far.
+     * @returns {Promise<{job: Object, events: Array<Object>}|null>} null when the job is gone
+     */
+    async function fetchJob(jobId) {
+        const response = await fetch(`/api/grading-jobs/${encodeURIComponent(jobId)}`, { credentials: 'include' });
+        if (response.status === 404) return null;
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        return data;
+    }
+
+    /**
+     * Read one connection of a job's event stream.
+     * @returns {Promise<string>} 'complete', 'closed' (ended before the job
+     *   did) or 'gone' (the job no longer exists)
+     */
+    async function readStream(jobId, onEvent, signal) {
+        const response = await fetch(`/api/grading-jobs/${encodeURIComponent(jobId)}/events`, {
+            credentials: 'include',
+            signal
+        });
+        if (response.status === 404) return 'gone';
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return 'closed';
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop(); // Keep incomplete line in buffer
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+                let data;
+                try {
+                    data = JSON.parse(line.slice(6));
+                } catch (e) {
+                    console.error('[GradingJobs] Error parsing stream data:', e);
+                    continue;
+                }
+                onEvent(data);
+                if (data.type === 'complete' || data.type === 'error') {
+                    reader.cancel().catch(() => {});
+                    return data.type === 'complete' ? 'complete' : 'gone';
+                }
+            }
+        }
+    }
+
+    /** Poll the job until it completes. @returns {Promise<boolean>} */
+    async function pollJob(jobId, onEvent, deadline) {
+        while (Date.now() < deadline) {
+            try {
+                const data = await fetchJob(jobId);
+                if (!data) return false;
+                data.events.forEach(onEvent);
+                if (data.job.status === 'completed') {
+                    onEvent({ type: 'complete' });
+                    return true;
+                }
+            } catch (error) {
+                console.warn('[GradingJobs] Poll failed:', error.message);
+            }
+            await sleep(POLL_INTERVAL_MS);
+        }
+        return false;
+    }
+
+    /**
+     * Follow a job until it completes, passing each event ('start',
+     * 'processing', 'retrying', 'result', 'complete') to onEvent.
+     * @param {string} jobId
+     * @param {Function} onEvent
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - give up after this long
+     * @returns {Promise<boolean>} true when the job completed; false when
+     *   it was deleted or the timeout ran out (it keeps grading on the
+     *   server and is offered again on the next page load)
+     */
+    async function follow(jobId, onEvent, { timeoutMs = FOLLOW_TIMEOUT_MS } = {}) {
+        const deadline = Date.now() + timeoutMs;
+        let failures = 0;
+
+        while (Date.now() < deadline) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), deadline - Date.now());
+            const connectedAt = Date.now();
+            let outcome;
+            try {
+                outcome = await readStream(jobId, onEvent, controller.signal);
+            } catch (error) {
+                outcome = 'failed';
+                if (Date.now() < deadline) console.warn('[GradingJobs] Stream failed:', error.message);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (outcome === 'complete') return true;
+            if (outcome === 'gone') return false;
+            if (outcome === 'closed' && Date.now() - connectedAt >= MIN_STREAM_MS) {
+                failures = 0;
+                continue; // the server's time limit for one connection
+            }
+
+            failures++;
+            if (failures > RECONNECT_DELAYS_MS.length) {
+                console.warn(`[GradingJobs] Stream keeps failing; polling job ${jobId}`);
+                return pollJob(jobId, onEvent, deadline);
+            }
+            await sleep(RECONNECT_DELAYS_MS[failures - 1]);
+        }
+        return false;
+    }
+
+    // ------------------------------------------------------------------
+    // Jobs left unfinished
+    // ------------------------------------------------------------------
+
+    function profileName(profileId) {
+        const profiles = window.ProfilesModule ? window.ProfilesModule.getProfiles() : [];
+        const profile = (profiles || []).find(p => p.id === profileId);
+        return profile ? profile.name : 'Class profile';
+    }
+
+    function jobLine(job) {
+        const done = job.counts.succeeded + job.counts.failed;
+        const started = new Date(job.createdAt).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        const progress = job.status === 'completed'
+            ? `finished${job.counts.failed ? `, ${job.counts.failed} failed` : ''}`
+            : `${done} of ${job.totalEssays} graded`;
+        const essayWord = job.totalEssays === 1 ? 'essay' : 'essays';
+        return `
+            <li class="grading-job">
+                <span class="grading-job-label">
+                    <strong>${escapeHtml(profileName(job.classProfileId))}</strong>:
+                    ${job.totalEssays} ${essayWord}, sent ${escapeHtml(started)} (${progress})
+                </span>
+                <button type="button" class="grading-job-open" onclick="openGradingJob('${escapeHtml(job.id)}')">Open</button>
+                <button type="button" class="grading-job-discard" onclick="discardGradingJob('${escapeHtml(job.id)}')">Discard</button>
+            </li>`;
+    }
+
+    function renderNotice() {
+        const notice = document.getElementById('gradingJobsNotice');
+        if (!notice) return;
+        if (unfinishedJobs.length === 0) {
+            notice.style.display = 'none';
+            notice.innerHTML = '';
+            return;
+        }
+        const heading = unfinishedJobs.length === 1
+            ? 'A batch you sent earlier has results you haven\'t seen'
+            : `${unfinishedJobs.length} batches you sent earlier have results you haven't seen`;
+        notice.innerHTML = `
+            <p class="grading-jobs-heading">${heading}. Open a batch to see them.</p>
+            <ul class="grading-jobs-list">${unfinishedJobs.map(jobLine).join('')}</ul>`;
+        notice.style.display = 'block';
+    }
+
+    /**
+     * Offer the jobs whose results no browser has collected. Runs after the
+     * saved session has been restored.
+     */
+    async function showUnfinishedJobs() {
+        try {
+            const response = await fetch('/api/grading-jobs', { credentials: 'include' });
+            if (!response.ok) return;
+            const data = await response.json();
+            unfinishedJobs = data.jobs || [];
+        } catch (error) {
+            console.warn('[GradingJobs] Could not list jobs:', error.message);
+            unfinishedJobs = [];
+        }
+        renderNotice();
+    }
+
+    function dropFromNotice(jobId) {
+        unfinishedJobs = unfinishedJobs.filter(job => job.id !== jobId);
+        renderNotice();
+    }
+
+    /**
+     * Put a job's essays into a grading tab — the active one unless it
+     * holds work — and follow the job there.
+     */
+    async function openJob(jobId) {
+        if (window.AutoSaveModule && window.AutoSaveModule.isGradingInProgress()) {
+            showError('Wait for the current grading to finish, then open this batch.', 'Grading in Progress');
+            return;
+        }
+
+        let data;
+        try {
+            data = await fetchJob(jobId);
+        } catch (error) {
+            showError(error.message || 'Could not load the batch', 'Grading Jobs');
+            return;
+        }
+        dropFromNotice(jobId);
+        if (!data) {
+            showError('This batch is no longer on the server.', 'Grading Jobs');
+            return;
+        }
+        const job = data.job;
+
+        const activeTab = window.TabStore && window.TabStore.activeId();
+        if (activeTab && typeof tabHasUnsavedWork === 'function' && tabHasUnsavedWork(activeTab)) {
+            window.TabManagementModule.addTab();
+            // addTab() explains itself when every tab is taken.
+            if (window.TabStore.activeId() === activeTab) return;
+        }
+
+        if (window.ProfilesModule) await window.ProfilesModule.loadProfilesData();
+        setValue(query('#classProfile'), job.classProfileId);
+        if (window.AssignmentsModule) await window.AssignmentsModule.loadAssignments();
+        setValue(query('#assignment'), job.assignmentId || '');
+        if (job.prompt) setValue(document.querySelector('#prompt'), job.prompt);
+
+        const rows = queryAll('.essay-entry').length;
+        if (job.essays.length > rows && window.EssayManagementModule) {
+            window.EssayManagementModule.addAnotherEssay(job.essays.length - rows);
+        }
+        const entries = queryAll('.essay-entry');
+        job.essays.forEach((essay, i) => {
+            if (!entries[i]) return;
+            setValue(entries[i].querySelector('.student-name'), essay.studentName || '');
+            setValue(entries[i].querySelector('.student-nickname'), essay.studentNickname || '');
+            setValue(entries[i].querySelector('.student-text'), essay.studentText);
+            if (window.EssayImportModule) window.EssayImportModule.markOcr(entries[i], essay.ocr);
+        });
+
+        if (window.FormHandlingModule) {
+            await window.FormHandlingModule.resumeGradingJob(job);
+        }
+    }
+
+    async function discardJob(jobId) {
+        if (!confirm('Discard this batch? Its grades are deleted from the server.')) return;
+        try {
+            const response = await fetch(`/api/grading-jobs/${encodeURIComponent(jobId)}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+            dropFromNotice(jobId);
+        } catch (error) {
+            showError(error.message || 'Could not discard the batch', 'Grading Jobs');
+        }
+    }
+
+    window.GradingJobsModule = {
+        createJob,
+        fetchJob,
+        follow,
+        showUnfinishedJobs,
+        openJob,
+        discardJob,
+    };
+
+    // Globals for the notice's inline handlers.
+    window.openGradingJob = openJob;
+    window.discardGradingJob = discardJob;
+})();
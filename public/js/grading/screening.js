@@ -0,0 +1,102 @@
+/**
+ * Zero-Rule Screening Module
+ *
+ * Wires the screening banner the formatter renders above a grade that was
+ * flagged against the rubric's zero rules (grader/screening.js). The teacher
+ * either confirms the zero (every category score set to 0) or dismisses the
+ * flag (a provisionally zeroed grade gets its held-back scores back).
+ *
+ * Scores are changed through the category .editable-score inputs with a
+ * bubbling 'input' event, so the existing score handlers update the stored
+ * grading data, the total and auto-save exactly as for a manual edit. The
+ * decision is recorded on the banner (saved with the rendered HTML) and on
+ * gradingData.screening.status.
+ */
+(function () {
+    'use strict';
+
+    function readOriginalScores(banner) {
+        try {
+            return JSON.parse(banner.dataset.originalScores || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function setScore(input, points) {
+        input.value = points;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Grading data for the essay the banner belongs to: a batch essay
+     * (#batch-essay-N in its tab) or the single-essay result.
+     */
+    function gradingDataFor(banner) {
+        const module = window.SingleResultModule;
+        if (!module) return null;
+        const batchEssay = banner.closest('[id^="batch-essay-"]');
+        if (batchEssay) {
+            const index = batchEssay.id.replace('batch-essay-', '');
+            const pane = banner.closest('.tab-pane');
+            const batchData = module.getBatchGradingData(pane && pane.dataset.tabId) || {};
+            return batchData[index] ? batchData[index].gradingData : null;
+        }
+        return module.getCurrentGradingData ? module.getCurrentGradingData() : null;
+    }
+
+    /**
+     * Apply the teacher's decision on a screening banner.
+     * @param {HTMLElement} banner - .screening-banner
+     * @param {'confirm'|'dismiss'} action
+     */
+    function resolveScreening(banner, action) {
+        if (!banner || banner.dataset.screeningStatus !== 'pending') return;
+        const summary = banner.closest('.grading-summary') || banner.parentElement;
+        const inputs = summary ? summary.querySelectorAll('.editable-score') : [];
+        const zeroed = banner.dataset.screeningZeroed === 'true';
+
+        if (action === 'confirm' && !zeroed) {
+            // Keep the grade on the banner in case the teacher changes their mind later.
+            const original = {};
+            inputs.forEach(input => { original[input.dataset.category] = parseFloat(input.value) || 0; });
+            banner.dataset.originalScores = JSON.stringify(original);
+            inputs.forEach(input => setScore(input, 0));
+        } else if (action === 'dismiss' && zeroed) {
+            const original = readOriginalScores(banner);
+            inputs.forEach(input => {
+                const points = original[input.dataset.category];
+                if (points !== undefined) setScore(input, points);
+            });
+        }
+
+        const status = action === 'confirm' ? 'confirmed' : 'dismissed';
+        banner.dataset.screeningStatus = status;
+        banner.dataset.screeningZeroed = action === 'confirm' ? 'true' : 'false';
+        const statusText = banner.querySelector('.screening-status-text');
+        if (statusText) {
+            statusText.textContent = action === 'confirm'
+                ? 'Zero confirmed. The score above is final.'
+                : 'Flag dismissed. The graded score stands.';
+        }
+        banner.querySelectorAll('.screening-action-btn').forEach(btn => btn.remove());
+
+        const gradingData = gradingDataFor(banner);
+        if (gradingData && gradingData.screening) {
+            gradingData.screening.status = status;
+            gradingData.screening.zeroed = action === 'confirm';
+        }
+    }
+
+    // Delegated, so banners re-injected by tab restore keep working.
+    document.addEventListener('click', function (e) {
+        const btn = e.target.closest && e.target.closest('.screening-action-btn');
+        if (!btn) return;
+        e.preventDefault();
+        resolveScreening(btn.closest('.screening-banner'), btn.dataset.screeningAction);
+    });
+
+    window.ScreeningModule = {
+        resolveScreening
+    };
+})();
@@ -0,0 +1,186 @@
+/**
+ * Similarity Report Module
+ *
+ * Renders the batch near-duplicate report (grader/similarity.js) under the
+ * batch results list: one row per pair of essays that share too many
+ * passages, with the similarity score, and a side-by-side comparison that
+ * highlights the overlapping passages in both texts. Each affected student
+ * row also gets a badge with its highest match.
+ *
+ * The report comes from /api/grade-batch (non-streaming) or /api/similarity
+ * (requested once a grading job has streamed all its results). Pairs carry
+ * the character ranges of the overlapping passages; batch texts are taken
+ * from the submitted essays, saved-essay texts come with the pair.
+ *
+ * Everything is plain HTML inside #results, so the report is saved and
+ * restored with the rest of the batch.
+ */
+(function () {
+    'use strict';
+
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function percent(value) {
+        return `${Math.round((value || 0) * 100)}%`;
+    }
+
+    function describeSide(ref) {
+        const name = escapeHtml(ref.label || 'Unnamed essay');
+        return ref.source === 'saved' ? `${name} <span class="similarity-source">(saved essay)</span>` : name;
+    }
+
+    /**
+     * Text with the given character ranges wrapped in <mark>, escaped.
+     * @param {string} text
+     * @param {Array<{start: number, end: number}>} ranges - sorted, non-overlapping
+     */
+    function highlightRanges(text, ranges) {
+        let html = '';
+        let cursor = 0;
+        (ranges || []).forEach(range => {
+            if (range.start < cursor || range.end > text.length) return;
+            html += escapeHtml(text.slice(cursor, range.start));
+            html += `<mark class="similarity-match">${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+            cursor = range.end;
+        });
+        return html + escapeHtml(text.slice(cursor));
+    }
+
+    function textFor(ref, essays) {
+        if (ref.text) return ref.text;
+        const essay = (essays || []).find(e => e && e.essayId && e.essayId === ref.id);
+        return essay ? essay.studentText || '' : '';
+    }
+
+    function createPairHTML(pair, index, essays) {
+        const aText = textFor(pair.a, essays);
+        const bText = textFor(pair.b, essays);
+        const column = (ref, text, ranges, coverage) => `
+            <div class="similarity-column" style="flex: 1; min-width: 0;">
+                <div style="font-weight: 600; margin-bottom: 6px;">${describeSide(ref)}
+                    <span style="font-weight: normal; color: #666;">— ${percent(coverage)} of this essay matches</span>
+                </div>
+                <div class="similarity-text" style="white-space: pre-wrap; font-size: 14px; line-height: 1.5; padding: 8px; border: 1px solid #ddd; border-radius: 4px; max-height: 320px; overflow-y: auto;">${highlightRanges(text, ranges)}</div>
+            </div>`;
+
+        return `
+            <div class="similarity-pair" data-pair-index="${index}" style="border: 1px solid #ddd; border-radius: 6px; margin: 8px 0;">
+                <div class="similarity-pair-header" style="display: flex; align-items: center; justify-content: space-between; padding: 10px 14px; background: #f8f9fa;">
+                    <span>${describeSide(pair.a)} ↔ ${describeSide(pair.b)}</span>
+                    <span style="display: flex; align-items: center; gap: 12px;">
+                        <strong class="similarity-score" style="color: ${pair.similarity >= 0.7 ? '#dc3545' : '#b8860b'};">${percent(pair.similarity)}</strong>
+                        <button type="button" class="similarity-toggle-btn" style="background: #6c757d; color: white; border: none; padding: 6px 12px; border-radius: 6px; font-size: 13px; cursor: pointer;">Compare</button>
+                    </span>
+                </div>
+                <div class="similarity-compare" style="display: none; gap: 12px; padding: 12px;">
+                    ${column(pair.a, aText, pair.aRanges, pair.aCoverage)}
+                    ${column(pair.b, bText, pair.bRanges, pair.bCoverage)}
+                </div>
+            </div>`;
+    }
+
+    /**
+     * HTML for the report panel.
+     * @param {Array} pairs - findNearDuplicates() output
+     * @param {Array} essays - the submitted batch essays ({essayId, studentText})
+     */
+    function createSimilarityReportHTML(pairs, essays) {
+        const body = pairs && pairs.length
+            ? pairs.map((pair, index) => createPairHTML(pair, index, essays)).join('')
+            : '<p style="margin: 0; color: #666;">No essays in this batch closely match each other or this class\'s saved essays.</p>';
+        return `
+            <div class="similarity-report no-pdf no-print" style="margin: 16px 0; padding: 12px; border: 2px solid #ddd; border-radius: 6px;">
+                <h3 style="font-size: 17px; margin: 0 0 8px;">Similarity check</h3>
+                ${body}
+            </div>`;
+    }
+
+    /** Badge each student row with its strongest match. */
+    function badgeStudentRows(root, pairs) {
+        const best = {};
+        (pairs || []).forEach(pair => {
+            [[pair.a, pair.b], [pair.b, pair.a]].forEach(([self, other]) => {
+                if (self.source !== 'batch' || !self.id) return;
+                if (!best[self.id] || best[self.id].similarity < pair.similarity) {
+                    best[self.id] = { similarity: pair.similarity, other };
+                }
+            });
+        });
+
+        root.querySelectorAll('.similarity-badge').forEach(badge => badge.remove());
+        Object.entries(best).forEach(([essayId, match]) => {
+            const row = Array.from(root.querySelectorAll('.student-row'))
+                .find(r => r.dataset.essayId === essayId);
+            const header = row && row.querySelector('.student-header-clickable > div');
+            if (!header) return;
+            const badge = document.createElement('span');
+            badge.className = 'similarity-badge';
+            badge.title = `${percent(match.similarity)} match with ${match.other.label || 'another essay'}`;
+            badge.textContent = `⚠ ${percent(match.similarity)} similar`;
+            badge.style.cssText = 'background: #fff3cd; color: #856404; border: 1px solid #ffc107; border-radius: 4px; padding: 2px 6px; font-size: 12px; white-space: nowrap;';
+            header.appendChild(badge);
+        });
+    }
+
+    /**
+     * Render (or replace) the report inside a batch results container.
+     * @param {HTMLElement} resultsDiv - the batch tab's #results
+     * @param {Array} pairs
+     * @param {Array} essays - the submitted batch essays
+     */
+    function renderSimilarityReport(resultsDiv, pairs, essays) {
+        if (!resultsDiv) return;
+        const root = resultsDiv.querySelector('.batch-results') || resultsDiv;
+        const existing = root.querySelector('.similarity-report');
+        if (existing) existing.remove();
+        root.insertAdjacentHTML('beforeend', createSimilarityReportHTML(pairs, essays));
+        badgeStudentRows(root, pairs);
+    }
+
+    /**
+     * Ask the server for a batch's report.
+     * @param {{essays: Array, classProfile: string}} batchData
+     * @returns {Promise<Array|null>} pairs, or null when the request failed
+     */
+    async function fetchSimilarityReport(batchData) {
+        try {
+            const response = await fetch('/api/similarity', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    essays: batchData.essays,
+                    classProfile: batchData.classProfile
+                })
+            });
+            const data = await response.json();
+            return data.success ? data.similarity : null;
+        } catch (error) {
+            console.warn('Similarity report failed:', error.message);
+            return null;
+        }
+    }
+
+    // Delegated, so reports re-injected by tab restore keep working.
+    document.addEventListener('click', function (e) {
+        const btn = e.target.closest && e.target.closest('.similarity-toggle-btn');
+        if (!btn) return;
+        e.preventDefault();
+        const compare = btn.closest('.similarity-pair').querySelector('.similarity-compare');
+        const open = compare.style.display !== 'none';
+        compare.style.display = open ? 'none' : 'flex';
+        btn.textContent = open ? 'Compare' : 'Hide';
+    });
+
+    window.SimilarityReportModule = {
+        createSimilarityReportHTML,
+        renderSimilarityReport,
+        fetchSimilarityReport,
+        highlightRanges
+    };
+})();
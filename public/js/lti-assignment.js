@@ -0,0 +1,170 @@
+/**
+ * LMS Assignment Page
+ * Where a teacher lands after launching the tool from an LMS assignment:
+ * the latest submission per student, links that load them into grading
+ * tabs, and grade passback to the LMS gradebook once the essays are graded
+ * and saved.
+ *
+ * Open with /lti/assignment?link=<id>.
+ */
+
+var ltiLink = null;
+
+// --- Init ---
+document.addEventListener('DOMContentLoaded', async function () {
+    try {
+        var authResp = await fetch('/auth/status', { credentials: 'include' });
+        var authData = await authResp.json();
+        if (!authData.authenticated) { window.location.href = '/login'; return; }
+
+        var emailEl = document.getElementById('userEmail');
+        if (emailEl && authData.user) emailEl.textContent = authData.user.email;
+    } catch (e) {
+        console.error('[LTI] Init error:', e);
+        window.location.href = '/login';
+        return;
+    }
+
+    var linkId = new URLSearchParams(window.location.search).get('link');
+    if (!linkId) {
+        showMessage('No assignment', 'Open this page by launching the tool from your LMS.');
+        return;
+    }
+    loadLink(linkId);
+});
+
+async function loadLink(linkId) {
+    try {
+        var resp = await fetch('/api/lti/links/' + encodeURIComponent(linkId), { credentials: 'include' });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+        ltiLink = data.link;
+        renderLink(data.link, data.submissions);
+    } catch (e) {
+        console.error('[LTI] Load error:', e);
+        showMessage('Could not load the assignment', e.message);
+    }
+}
+
+function showMessage(title, detail) {
+    document.getElementById('ltiContent').innerHTML =
+        '<div class="empty-state"><p>' + esc(title) + '</p>' + esc(detail) + '</div>';
+}
+
+function wordCount(text) {
+    var words = String(text || '').trim().split(/\s+/);
+    return words[0] ? words.length : 0;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '';
+}
+
+// --- Rendering ---
+function renderLink(link, submissions) {
+    document.getElementById('ltiTitle').textContent = link.title;
+    document.title = link.title + ' - ESL Essay Grader';
+
+    var html = '<p class="report-summary">Class profile: <strong>' + esc(link.classProfileName) + '</strong>. ' +
+        'Class profiles created from an LMS course start at CEFR level B1; change the level on the grading page if your class differs.</p>';
+
+    if (submissions.length === 0) {
+        html += '<div class="empty-state"><p>No submissions yet</p>Students hand in their essays by opening the assignment in the LMS.</div>';
+        document.getElementById('ltiContent').innerHTML = html;
+        return;
+    }
+
+    // Grading tabs hold ten essays, so larger classes are graded in batches.
+    html += '<div class="report-actions">';
+    for (var from = 0; from < submissions.length; from += 10) {
+        var to = Math.min(from + 10, submissions.length);
+        html += '<a href="/?lti=' + encodeURIComponent(link.id) + '&from=' + from + '">Grade submissions ' +
+            (from + 1) + '–' + to + '</a>';
+    }
+    html += '<button id="sendScoresBtn" onclick="sendScores()"' + (link.canSendScores ? '' : ' disabled') + '>Send scores to LMS</button>';
+    html += '</div>';
+    if (!link.canSendScores) {
+        html += '<p class="report-summary">Your LMS didn\'t allow this tool to post grades for this assignment.</p>';
+    }
+    html += '<div id="sendScoresResult"></div>';
+
+    html += '<div class="report-section"><h2>Submissions</h2><table class="report-table">' +
+        '<thead><tr><th>Student</th><th>Submitted</th><th class="num">Words</th><th class="num">Score sent</th></tr></thead><tbody>' +
+        submissions.map(function (s) {
+            return '<tr><td>' + esc(s.studentName) + '</td><td>' + esc(formatDate(s.submittedAt)) + '</td>' +
+                '<td class="num">' + wordCount(s.text) + '</td>' +
+                '<td class="num">' + (s.scoreSent != null ? esc(s.scoreSent) : '') + '</td></tr>';
+        }).join('') +
+        '</tbody></table></div>';
+
+    document.getElementById('ltiContent').innerHTML = html;
+}
+
+// --- Grade passback ---
+var SKIP_REASONS = {
+    not_in_lms: 'not launched from the LMS',
+    no_score: 'no saved grade for this assignment',
+    refused: 'refused by the LMS',
+};
+
+async function sendScores() {
+    if (!ltiLink) return;
+    var button = document.getElementById('sendScoresBtn');
+    var result = document.getElementById('sendScoresResult');
+    button.disabled = true;
+    button.textContent = 'Sending...';
+
+    try {
+        var resp = await fetch('/api/lti/links/' + encodeURIComponent(ltiLink.id) + '/scores', {
+            method: 'POST',
+            credentials: 'include',
+        });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+
+        var html = '<div class="report-section"><h2>Scores sent</h2><p class="report-summary">' +
+            data.sent.length + ' score' + (data.sent.length === 1 ? '' : 's') + ' sent to the LMS.</p>';
+        if (data.skipped.length) {
+            html += '<table class="report-table"><thead><tr><th>Not sent</th><th>Reason</th></tr></thead><tbody>' +
+                data.skipped.map(function (s) {
+                    return '<tr><td>' + esc(s.studentName) + '</td><td>' + esc(SKIP_REASONS[s.reason] || s.reason) + '</td></tr>';
+                }).join('') +
+                '</tbody></table>';
+        }
+        result.innerHTML = html + '</div>';
+        loadLink(ltiLink.id);
+    } catch (e) {
+        console.error('[LTI] Send scores error:', e);
+        result.innerHTML = '<div class="report-section"><h2>Scores not sent</h2><p class="report-summary">' + esc(e.message) + '</p></div>';
+        button.disabled = false;
+        button.textContent = 'Send scores to LMS';
+    }
+}
+
+// --- User menu ---
+function toggleUserDropdown() {
+    var dropdown = document.getElementById('userDropdown');
+    if (!dropdown) return;
+    dropdown.style.display = dropdown.style.display === 'block' ? 'none' : 'block';
+}
+
+document.addEventListener('click', function (e) {
+    var dropdown = document.getElementById('userDropdown');
+    var emailEl = document.getElementById('userEmail');
+    if (dropdown && emailEl && !emailEl.contains(e.target) && !dropdown.contains(e.target)) {
+        dropdown.style.display = 'none';
+    }
+});
+
+// --- Sign out ---
+async function signOut() {
+    try { await fetch('/auth/logout', { method: 'POST', credentials: 'include' }); } catch (e) { /* ignore */ }
+    window.location.href = '/login';
+}
+
+function esc(str) {
+    if (str == null || str === '') return '';
+    var d = document.createElement('div');
+    d.textContent = String(str);
+    return d.innerHTML.replace(/"/g, '&quot;');
+}
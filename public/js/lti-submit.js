@@ -0,0 +1,115 @@
+/**
+ * LMS Submission Page
+ * Where a student lands after launching the tool from an LMS assignment:
+ * the assignment's prompt and targets, and a box to write and hand in the
+ * essay. Handing in again replaces the earlier essay for grading.
+ *
+ * Students have no account; the session from the launch only covers this
+ * one assignment.
+ */
+
+// --- Init ---
+document.addEventListener('DOMContentLoaded', async function () {
+    try {
+        var resp = await fetch('/api/lti/submission', { credentials: 'include' });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+        renderAssignment(data);
+    } catch (e) {
+        console.error('[LTI] Load error:', e);
+        document.getElementById('submitContent').innerHTML =
+            '<div class="empty-state"><p>Could not load the assignment</p>' + esc(e.message) + '</div>';
+    }
+});
+
+function wordCount(text) {
+    var words = String(text || '').trim().split(/\s+/);
+    return words[0] ? words.length : 0;
+}
+
+function wordTarget(assignment) {
+    var min = assignment.requiredWordCountMin;
+    var max = assignment.requiredWordCountMax;
+    if (min && max) return min + '–' + max + ' words';
+    if (min) return 'at least ' + min + ' words';
+    if (max) return 'at most ' + max + ' words';
+    return '';
+}
+
+// --- Rendering ---
+function renderAssignment(data) {
+    var assignment = data.assignment;
+    document.title = assignment.title + ' - ESL Essay Grader';
+
+    var meta = [esc(data.studentName)];
+    if (assignment.dueDate) meta.push('Due ' + esc(new Date(assignment.dueDate).toLocaleString()));
+    if (wordTarget(assignment)) meta.push(esc(wordTarget(assignment)));
+
+    var html = '<h1 class="submit-title">' + esc(assignment.title) + '</h1>' +
+        '<p class="submit-meta">' + meta.join(' · ') + '</p>';
+    if (assignment.prompt) html += '<div class="submit-prompt">' + esc(assignment.prompt) + '</div>';
+    html += '<textarea id="essayText" placeholder="Write your essay here..."></textarea>' +
+        '<div class="submit-footer"><span id="wordCount">0 words</span>' +
+        '<button id="submitBtn" onclick="submitEssay()">Submit essay</button></div>' +
+        '<div id="submitStatus" class="submit-status"></div>';
+    document.getElementById('submitContent').innerHTML = html;
+
+    var textarea = document.getElementById('essayText');
+    textarea.addEventListener('input', updateWordCount);
+    if (data.submission) {
+        textarea.value = data.submission.text;
+        showSubmission(data.submission);
+    }
+    updateWordCount();
+}
+
+function updateWordCount() {
+    var count = wordCount(document.getElementById('essayText').value);
+    document.getElementById('wordCount').textContent = count + (count === 1 ? ' word' : ' words');
+}
+
+function showSubmission(submission) {
+    var status = document.getElementById('submitStatus');
+    status.classList.remove('error');
+    status.textContent = 'Submitted ' + new Date(submission.submittedAt).toLocaleString() + '.' +
+        (submission.scoreSent != null ? ' Your teacher has sent your grade to the LMS.' : '');
+}
+
+// --- Submit ---
+async function submitEssay() {
+    var button = document.getElementById('submitBtn');
+    var status = document.getElementById('submitStatus');
+    var text = document.getElementById('essayText').value.trim();
+    if (!text) {
+        status.classList.add('error');
+        status.textContent = 'Write your essay before submitting.';
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Submitting...';
+    try {
+        var resp = await fetch('/api/lti/submission', {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: text }),
+        });
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+        showSubmission(data.submission);
+    } catch (e) {
+        console.error('[LTI] Submit error:', e);
+        status.classList.add('error');
+        status.textContent = e.message;
+    }
+    button.disabled = false;
+    button.textContent = 'Submit essay';
+}
+
+function esc(str) {
+    if (str == null || str === '') return '';
+    var d = document.createElement('div');
+    d.textContent = String(str);
+    return d.innerHTML.replace(/"/g, '&quot;');
+}
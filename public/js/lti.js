@@ -0,0 +1,99 @@
+/**
+ * LTI Submissions Loader
+ *
+ * Opening the grading page as /?lti=<link id>&from=<n> (from the LTI
+ * assignment page) loads that LMS assignment's submissions into a grading
+ * tab: class profile and assignment picked, one essay row per student, up
+ * to the per-tab essay cap starting at submission n. Runs after the saved
+ * session has been restored, so it never races the restore; a tab that
+ * already holds work is left alone and a new tab is opened instead.
+ *
+ * Exposes window.LtiModule.
+ */
+(function () {
+    'use strict';
+
+    function query(selector) {
+        return window.TabStore ? window.TabStore.activeQuery(selector) : document.querySelector(selector);
+    }
+
+    function queryAll(selector) {
+        return window.TabStore ? window.TabStore.activeQueryAll(selector) : document.querySelectorAll(selector);
+    }
+
+    function setValue(element, value) {
+        if (!element) return;
+        element.value = value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Fill the active tab with submissions.
+     * @param {Object} link - from GET /api/lti/links/:id
+     * @param {Array<{studentName: string, text: string}>} submissions
+     */
+    async function fillActiveTab(link, submissions) {
+        if (window.ProfilesModule) await window.ProfilesModule.loadProfilesData();
+        setValue(query('#classProfile'), link.classProfileId);
+        if (window.AssignmentsModule) await window.AssignmentsModule.loadAssignments();
+        setValue(query('#assignment'), link.assignmentId);
+
+        const rows = queryAll('.essay-entry').length;
+        if (submissions.length > rows && window.EssayManagementModule) {
+            window.EssayManagementModule.addAnotherEssay(submissions.length - rows);
+        }
+        const entries = queryAll('.essay-entry');
+        submissions.forEach((submission, i) => {
+            if (!entries[i]) return;
+            setValue(entries[i].querySelector('.student-name'), submission.studentName);
+            setValue(entries[i].querySelector('.student-text'), submission.text);
+        });
+    }
+
+    /**
+     * Load the submissions named in the page URL, if any.
+     */
+    async function loadFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const linkId = params.get('lti');
+        if (!linkId) return;
+        const from = Math.max(0, parseInt(params.get('from'), 10) || 0);
+        history.replaceState(null, '', window.location.pathname);
+
+        try {
+            const response = await fetch(`/api/lti/links/${encodeURIComponent(linkId)}`, { credentials: 'include' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+            const perTab = window.EssayManagementModule ? window.EssayManagementModule.MAX_ESSAYS_PER_TAB : 10;
+            const submissions = data.submissions.slice(from, from + perTab);
+            if (submissions.length === 0) {
+                showError('There are no submissions to load for this assignment.', 'LMS Submissions');
+                return;
+            }
+
+            const activeTab = window.TabStore && window.TabStore.activeId();
+            if (activeTab && typeof tabHasUnsavedWork === 'function' && tabHasUnsavedWork(activeTab)) {
+                window.TabManagementModule.addTab();
+                // addTab() explains itself when every tab is taken.
+                if (window.TabStore.activeId() === activeTab) return;
+            }
+            await fillActiveTab(data.link, submissions);
+
+            if (window.TabStore) {
+                const label = data.submissions.length > perTab
+                    ? `${data.link.title} (${from + 1}–${from + submissions.length})`
+                    : data.link.title;
+                window.TabStore.rename(window.TabStore.activeId(), label);
+            }
+        } catch (error) {
+            console.error('[LTI] Error loading submissions:', error);
+            showError(error.message || 'Error loading LMS submissions', 'LMS Submissions');
+        }
+    }
+
+    window.LtiModule = {
+        loadFromUrl,
+    };
+})();
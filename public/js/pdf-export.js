@@ -1,6 +1,9 @@
 /**
  * PDF Export Module
- * Handles PDF generation and export functionality for essays and grading results
+ * Exports graded essays as PDF: one essay, or a whole batch as one file or
+ * a ZIP of per-student files. The server renders the PDFs (POST /api/pdf) in
+ * headless Chromium, running this same file there to turn each essay's
+ * results into print content, so the output doesn't depend on the browser.
  */
 
 /**
@@ -46,7 +49,7 @@ function buildCategoryPrintCSS() {
 /**
  * Export single essay to PDF
  */
-function exportToPDF() {
+async function exportToPDF() {
     const resultsDiv = window.TabStore ? window.TabStore.activeQuery('#results') : document.getElementById('results');
     if (!resultsDiv || resultsDiv.style.display === 'none' || !resultsDiv.innerHTML.trim()) {
         alert('No results to export. Please grade an essay first.');
@@ -55,632 +58,569 @@ function exportToPDF() {
 
     const heading = resultsDiv.querySelector('h2');
     const studentName = heading ? heading.textContent.replace('Grading Results for ', '') : 'Student';
-    const exportContent = createExportContent(resultsDiv, studentName);
 
-    if (!isHTML2PDFLoaded()) {
-        alert('PDF export library is not loaded. Please try again in a moment.');
-        return;
+    try {
+        await downloadPDF([{ studentName, html: serializeForPDF(resultsDiv) }], { title: studentName });
+    } catch (error) {
+        console.error('PDF export error:', error);
+        showError(error.message || 'Error exporting PDF', 'PDF Export Error');
     }
-
-    openPrintDialog(resultsDiv, studentName);
 }
 
 /**
- * Open browser print dialog for PDF generation
- * @param {HTMLElement} resultsDiv - Results container
- * @param {string} studentName - Student name
+ * Print stylesheet of the exported PDF: the essay, the highlight key, the
+ * category breakdown and the numbered error list, with page-break rules.
+ * @returns {string} CSS
  */
-function openPrintDialog(resultsDiv, studentName) {
-    const printWindow = window.open('', '_blank', 'width=800,height=600');
-
-    if (!printWindow) {
-        // Use alternative method - create a hidden iframe
-        createPrintIframe(resultsDiv, studentName);
-        return;
-    }
-
-    // Get the content to print
-    const printContent = createPrintContent(resultsDiv, studentName);
-
-    // Write content to the new window
-    printWindow.document.write(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <title>Graded Essay - ${studentName}</title>
-            <style>
-                /* Force background colors for printing */
-                * {
-                    -webkit-print-color-adjust: exact !important;
-                    print-color-adjust: exact !important;
-                }
-                @media print {
-                    @page {
-                        margin: 0.5in;
-                        size: letter;
-                        /* Force removal of all headers and footers */
-                        @top-left { content: ""; }
-                        @top-center { content: ""; }
-                        @top-right { content: ""; }
-                        @bottom-left { content: ""; }
-                        @bottom-center { content: ""; }
-                        @bottom-right { content: ""; }
-                        @top-left-corner { content: ""; }
-                        @top-right-corner { content: ""; }
-                        @bottom-left-corner { content: ""; }
-                        @bottom-right-corner { content: ""; }
-                    }
-                    /* Hide any browser-generated content */
-                    * {
-                        -webkit-print-color-adjust: exact !important;
-                        print-color-adjust: exact !important;
-                    }
-                    body {
-                        margin: 0;
-                        padding: 0;
-                    }
-                    .no-print { display: none !important; }
-                    /* Force highlight backgrounds to print */
-                    mark {
-                        -webkit-print-color-adjust: exact !important;
-                        print-color-adjust: exact !important;
-                    }
-                    /* Ensure yellow category headers print with background */
-                    .category-header-yellow {
-                        background: #FFFF99 !important;
-                        background-color: #FFFF99 !important;
-                        -webkit-print-color-adjust: exact !important;
-                        print-color-adjust: exact !important;
-                    }
-                }
-                @media screen {
-                    body { margin: 20px; }
-                    .print-instructions {
-                        background: #e3f2fd;
-                        border: 1px solid #2196f3;
-                        padding: 15px;
-                        margin-bottom: 20px;
-                        border-radius: 4px;
-                    }
-                }
-                body {
-                    font-family: Arial, sans-serif;
-                    font-size: 14px;
-                    line-height: 1.6;
-                    color: #000;
-                    background: white;
-                }
-                h1 { font-size: 20px; margin: 0 0 10px 0; }
-                h2 { font-size: 18px; margin: 15px 0 10px 0; }
-                h3 { font-size: 16px; margin: 12px 0 8px 0; }
-                .grading-summary { margin: 20px 0; }
-                .overall-score {
-                    font-size: 18px;
-                    font-weight: normal;
-                    text-align: left;
-                    margin: 10px 0;
-                    padding: 0;
-                    background: transparent;
-                    border: none;
-                    border-radius: 0;
-                }
-                .teacher-notes-section {
-                    margin: 15px 0;
-                    padding: 0;
-                    background: transparent;
-                    border: none;
-                    border-radius: 0;
-                    border-left: none;
-                }
-                .teacher-notes-section h3 {
-                    margin-top: 0;
-                    color: #000;
-                    font-size: 16px;
-                    font-weight: normal;
-                }
-                /* STRONGER PAGE BREAK PROTECTION FOR SCORE SECTIONS */
-                .score-section {
-                    margin: 10px 0 !important;
-                    padding: 5px 0 !important;
-                    background: transparent !important;
-                    border-radius: 0 !important;
-                    border-left: none !important;
-
-                    /* Multiple page break rules for maximum protection */
-                    page-break-inside: avoid !important;
-                    break-inside: avoid !important;
-                    page-break-before: auto !important;
-                    page-break-after: auto !important;
-
-                    /* CSS Grid/Flexbox alternative protection */
-                    display: block !important;
-                    overflow: visible !important;
-
-                    /* Webkit specific rules */
-                    -webkit-column-break-inside: avoid !important;
-                    column-break-inside: avoid !important;
-                }
-
-                /* COMPREHENSIVE PROTECTION FOR ALL SCORE SECTION CONTENT */
-                .score-section *,
-                .score-section h3,
-                .score-section h4,
-                .score-section p,
-                .score-section div,
-                .score-section ul,
-                .score-section li {
-                    page-break-inside: avoid !important;
-                    break-inside: avoid !important;
-                    page-break-before: avoid !important;
-                    break-before: avoid !important;
-                    -webkit-column-break-inside: avoid !important;
-                    column-break-inside: avoid !important;
-                }
-
-                /* Keep score section headers with their content */
-                .score-section h3,
-                .score-section h4 {
-                    page-break-after: avoid !important;
-                    break-after: avoid !important;
-                    orphans: 3 !important;
-                    widows: 3 !important;
-                }
-
-                /* Category Breakdown section specific protection - ALL categories */
-                .score-section:has(*:contains("Content & Information")),
-                .score-section:has(*:contains("Organization")),
-                .score-section:has(*:contains("Language Use")),
-                .score-section:has(*:contains("Mechanics")),
-                .score-section:has(*:contains("Spelling")),
-                .score-section:has(*:contains("Grammar")),
-                .score-section:has(*:contains("Vocabulary")),
-                .score-section:has(*:contains("Fluency")) {
-                    page-break-inside: avoid !important;
-                    break-inside: avoid !important;
-                    display: block !important;
-                    overflow: visible !important;
-                    /* Force container behavior */
-                    contain: layout !important;
-                }
-                /* NUCLEAR OPTION: Remove ALL formatting from category sections */
-                .score-section, .score-section *, .category, .category *,
-                .score-box, .score-box *, .inner-box, .inner-box *,
-                [class*="score"], [class*="score"] *, [class*="category"], [class*="category"] *,
-                div[style], div[style] *, span[style], span[style] * {
-                    background: transparent !important;
-                    background-color: transparent !important;
-                    background-image: none !important;
-                    border: none !important;
-                    border-radius: 0 !important;
-                    box-shadow: none !important;
-                    margin: 0 !important;
-                    padding: 0 !important;
-                    color: black !important;
-                    font-weight: normal !important;
-                    font-style: normal !important;
-                    text-decoration: none !important;
-                    outline: none !important;
-                }
-                /* Force override any inline styles */
-                *[style] {
-                    background: transparent !important;
-                    background-color: transparent !important;
-                    border: none !important;
-                    color: black !important;
-                }
-
-                /* OVERRIDE RULE ABOVE - Force yellow background on category headers - MUST BE AFTER */
-                .category-header-yellow,
-                p.category-header-yellow,
-                .category-score-yellow,
-                *[style].category-header-yellow {
-                    background: #FFFF99 !important;
-                    background-color: #FFFF99 !important;
-                    -webkit-print-color-adjust: exact !important;
-                    print-color-adjust: exact !important;
-                    font-weight: bold !important;
-                    padding: 2px 4px !important;
-                }
-                /* Only allow specific margins for plain categories */
-                .plain-category {
-                    margin: 8px 0 !important;
-                    background: transparent !important;
-                    border: none !important;
-                }
-                .plain-category p:not(.category-header-yellow) {
-                    margin: 5px 0 !important;
-                    background: transparent !important;
-                    border: none !important;
-                    color: black !important;
-                    font-weight: normal !important;
-                }
-                .plain-category p:last-child {
-                    margin: 5px 0 10px 20px !important;
-                }
-                .teacher-notes {
-                    background: #f0f8ff;
-                    padding: 15px;
-                    margin: 15px 0;
-                    border-radius: 5px;
-                    border: 1px solid #ddd;
-                }
-                .essay-content, .formatted-essay-content {
-                    background: #fafafa;
-                    padding: 15px;
-                    margin: 15px 0;
-                    border-radius: 5px;
-                    border: 1px solid #ddd;
-                    font-family: 'Times New Roman', serif;
-                    line-height: 1.8;
-                    font-size: 14px;
-                    text-align: left;
-                    width: 100%;
-                    box-sizing: border-box;
-                    overflow: visible;
-                    white-space: normal;
-                }
-                /* CONTROL SECTION SPACING AND KEEP SECTIONS TOGETHER */
-
-                /* SIMPLIFIED: Just normal margins, no forced page breaks for sections */
-                .grading-summary,
-                .category-breakdown,
-                .essay-section,
-                .color-coded-essay-section {
-                    margin: 15px 0 !important;
-                }
-
-                /* Normal margins for all major sections */
-                .overall-score,
-                .teacher-notes-section {
-                    margin: 15px 0 !important;
-                }
+function printStyles() {
+    return `
+        /* Force background colors for printing */
+        * {
+            -webkit-print-color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+        @media print {
+            @page {
+                margin: 0.5in;
+                size: letter;
+                /* Force removal of all headers and footers */
+                @top-left { content: ""; }
+                @top-center { content: ""; }
+                @top-right { content: ""; }
+                @bottom-left { content: ""; }
+                @bottom-center { content: ""; }
+                @bottom-right { content: ""; }
+                @top-left-corner { content: ""; }
+                @top-right-corner { content: ""; }
+                @bottom-left-corner { content: ""; }
+                @bottom-right-corner { content: ""; }
+            }
+            /* Hide any browser-generated content */
+            * {
+                -webkit-print-color-adjust: exact !important;
+                print-color-adjust: exact !important;
+            }
+            body {
+                margin: 0;
+                padding: 0;
+            }
+            .no-print { display: none !important; }
+            /* Force highlight backgrounds to print */
+            mark {
+                -webkit-print-color-adjust: exact !important;
+                print-color-adjust: exact !important;
+            }
+            /* Ensure yellow category headers print with background */
+            .category-header-yellow {
+                background: #FFFF99 !important;
+                background-color: #FFFF99 !important;
+                -webkit-print-color-adjust: exact !important;
+                print-color-adjust: exact !important;
+            }
+        }
+        body {
+            font-family: Arial, 'Liberation Sans', 'Open Sans', sans-serif;
+            font-size: 14px;
+            line-height: 1.6;
+            color: #000;
+            background: white;
+        }
+        h1 { font-size: 20px; margin: 0 0 10px 0; }
+        h2 { font-size: 18px; margin: 15px 0 10px 0; }
+        h3 { font-size: 16px; margin: 12px 0 8px 0; }
+        .grading-summary { margin: 20px 0; }
+        .overall-score {
+            font-size: 18px;
+            font-weight: normal;
+            text-align: left;
+            margin: 10px 0;
+            padding: 0;
+            background: transparent;
+            border: none;
+            border-radius: 0;
+        }
+        .teacher-notes-section {
+            margin: 15px 0;
+            padding: 0;
+            background: transparent;
+            border: none;
+            border-radius: 0;
+            border-left: none;
+        }
+        .teacher-notes-section h3 {
+            margin-top: 0;
+            color: #000;
+            font-size: 16px;
+            font-weight: normal;
+        }
+        /* STRONGER PAGE BREAK PROTECTION FOR SCORE SECTIONS */
+        .score-section {
+            margin: 10px 0 !important;
+            padding: 5px 0 !important;
+            background: transparent !important;
+            border-radius: 0 !important;
+            border-left: none !important;
+
+            /* Multiple page break rules for maximum protection */
+            page-break-inside: avoid !important;
+            break-inside: avoid !important;
+            page-break-before: auto !important;
+            page-break-after: auto !important;
+
+            /* CSS Grid/Flexbox alternative protection */
+            display: block !important;
+            overflow: visible !important;
+
+            /* Webkit specific rules */
+            -webkit-column-break-inside: avoid !important;
+            column-break-inside: avoid !important;
+        }
 
-                /* Keep essay with its title - stronger rules */
-                h3:has(+ .essay-content),
-                h3:has(+ .formatted-essay-content) {
-                    page-break-after: avoid !important;
-                    break-after: avoid !important;
-                    margin-bottom: 10px !important;
-                }
+        /* COMPREHENSIVE PROTECTION FOR ALL SCORE SECTION CONTENT */
+        .score-section *,
+        .score-section h3,
+        .score-section h4,
+        .score-section p,
+        .score-section div,
+        .score-section ul,
+        .score-section li {
+            page-break-inside: avoid !important;
+            break-inside: avoid !important;
+            page-break-before: avoid !important;
+            break-before: avoid !important;
+            -webkit-column-break-inside: avoid !important;
+            column-break-inside: avoid !important;
+        }
 
-                /* Color-Coded Essay section specific spacing */
-                h3:contains("Color-Coded Essay"),
-                h3:contains("Color-coded Essay"),
-                h3:contains("color-coded essay"),
-                h2:contains("Color-Coded Essay"),
-                h2:contains("Color-coded Essay") {
-                    page-break-after: avoid !important;
-                    break-after: avoid !important;
-                    margin-bottom: 10px !important;
-                    margin-top: 15px !important;
-                }
+        /* Keep score section headers with their content */
+        .score-section h3,
+        .score-section h4 {
+            page-break-after: avoid !important;
+            break-after: avoid !important;
+            orphans: 3 !important;
+            widows: 3 !important;
+        }
 
-                /* Ensure color-coded essay section follows immediately after category breakdown */
-                .formatted-essay-content {
-                    page-break-before: avoid !important;
-                    break-before: avoid !important;
-                    margin-top: 15px !important;
-                }
+        /* Category Breakdown section specific protection - ALL categories */
+        .score-section:has(*:contains("Content & Information")),
+        .score-section:has(*:contains("Organization")),
+        .score-section:has(*:contains("Language Use")),
+        .score-section:has(*:contains("Mechanics")),
+        .score-section:has(*:contains("Spelling")),
+        .score-section:has(*:contains("Grammar")),
+        .score-section:has(*:contains("Vocabulary")),
+        .score-section:has(*:contains("Fluency")) {
+            page-break-inside: avoid !important;
+            break-inside: avoid !important;
+            display: block !important;
+            overflow: visible !important;
+            /* Force container behavior */
+            contain: layout !important;
+        }
+        /* NUCLEAR OPTION: Remove ALL formatting from category sections */
+        .score-section, .score-section *, .category, .category *,
+        .score-box, .score-box *, .inner-box, .inner-box *,
+        [class*="score"], [class*="score"] *, [class*="category"], [class*="category"] *,
+        div[style], div[style] *, span[style], span[style] * {
+            background: transparent !important;
+            background-color: transparent !important;
+            background-image: none !important;
+            border: none !important;
+            border-radius: 0 !important;
+            box-shadow: none !important;
+            margin: 0 !important;
+            padding: 0 !important;
+            color: black !important;
+            font-weight: normal !important;
+            font-style: normal !important;
+            text-decoration: none !important;
+            outline: none !important;
+        }
+        /* Force override any inline styles */
+        *[style] {
+            background: transparent !important;
+            background-color: transparent !important;
+            border: none !important;
+            color: black !important;
+        }
 
-                /* Group entire essay display blocks together */
-                .essay-display {
-                    page-break-inside: avoid !important;
-                    break-inside: avoid !important;
-                    margin: 20px 0 !important;
-                }
+        /* OVERRIDE RULE ABOVE - Force yellow background on category headers - MUST BE AFTER */
+        .category-header-yellow,
+        p.category-header-yellow,
+        .category-score-yellow,
+        *[style].category-header-yellow {
+            background: #FFFF99 !important;
+            background-color: #FFFF99 !important;
+            -webkit-print-color-adjust: exact !important;
+            print-color-adjust: exact !important;
+            font-weight: bold !important;
+            padding: 2px 4px !important;
+        }
+        /* Only allow specific margins for plain categories */
+        .plain-category {
+            margin: 8px 0 !important;
+            background: transparent !important;
+            border: none !important;
+        }
+        .plain-category p:not(.category-header-yellow) {
+            margin: 5px 0 !important;
+            background: transparent !important;
+            border: none !important;
+            color: black !important;
+            font-weight: normal !important;
+        }
+        .plain-category p:last-child {
+            margin: 5px 0 10px 20px !important;
+        }
+        .teacher-notes {
+            background: #f0f8ff;
+            padding: 15px;
+            margin: 15px 0;
+            border-radius: 5px;
+            border: 1px solid #ddd;
+        }
+        .essay-content, .formatted-essay-content {
+            background: #fafafa;
+            padding: 15px;
+            margin: 15px 0;
+            border-radius: 5px;
+            border: 1px solid #ddd;
+            font-family: 'Times New Roman', 'Liberation Serif', 'Open Sans', serif;
+            line-height: 1.8;
+            font-size: 14px;
+            text-align: left;
+            width: 100%;
+            box-sizing: border-box;
+            overflow: visible;
+            white-space: normal;
+        }
+        /* CONTROL SECTION SPACING AND KEEP SECTIONS TOGETHER */
+
+        /* SIMPLIFIED: Just normal margins, no forced page breaks for sections */
+        .grading-summary,
+        .category-breakdown,
+        .essay-section,
+        .color-coded-essay-section {
+            margin: 15px 0 !important;
+        }
 
-                /* Create tight grouping for color-coded essay components */
-                *:contains("Color-Coded Essay") ~ .formatted-essay-content,
-                *:contains("Color-coded Essay") ~ .formatted-essay-content {
-                    page-break-before: avoid !important;
-                    break-before: avoid !important;
-                    margin-top: 10px !important;
-                }
+        /* Normal margins for all major sections */
+        .overall-score,
+        .teacher-notes-section {
+            margin: 15px 0 !important;
+        }
 
-                /* MINIMAL page break rules - only for headers */
-                h1, h2, h3 {
-                    page-break-after: avoid !important;
-                }
-                /* UNIVERSAL CATEGORY PROTECTION - Catch any category content */
-                /* Any element containing category names should stay together */
-                *:contains("Content & Information"),
-                *:contains("Organization"),
-                *:contains("Language Use"),
-                *:contains("Mechanics"),
-                *:contains("Grammar"),
-                *:contains("Vocabulary"),
-                *:contains("Spelling"),
-                *:contains("Fluency") {
-                    page-break-inside: avoid !important;
-                    break-inside: avoid !important;
-                }
+        /* Keep essay with its title - stronger rules */
+        h3:has(+ .essay-content),
+        h3:has(+ .formatted-essay-content) {
+            page-break-after: avoid !important;
+            break-after: avoid !important;
+            margin-bottom: 10px !important;
+        }
 
-                /* Additional comprehensive page break rules */
-                /* Category breakdown sections - keep each category together */
-                div:contains("Grammar"), div:contains("Vocabulary"), div:contains("Mechanics"),
-                div:contains("Spelling"), div:contains("Fluency") {
-                    page-break-inside: avoid;
-                    break-inside: avoid;
-                }
-                /* Prevent orphaned category titles */
-                h3 + div, h3 + p, h3 + .score-section {
-                    page-break-before: avoid;
-                    break-before: avoid;
-                }
-                /* Keep color-coded essay components together */
-                [data-section*="essay"], [class*="essay"] {
-                    page-break-inside: avoid;
-                    break-inside: avoid;
-                }
-                /* Reset any problematic positioning */
-                .essay-content *, .formatted-essay-content * {
-                    position: static !important;
-                    float: none !important;
-                    margin-left: 0 !important;
-                    margin-right: 0 !important;
-                    text-indent: 0 !important;
-                    padding-left: 0 !important;
-                    padding-right: 0 !important;
-                }
-                /* Ensure paragraphs start properly */
-                .essay-content p, .formatted-essay-content p {
-                    margin: 0 0 1em 0 !important;
-                    padding: 0 !important;
-                    text-indent: 0 !important;
-                    text-align: left !important;
-                }
-                /* Ensure color-coded essay section is visible */
-                .essay-display, [class*="essay-content"] {
-                    display: block !important;
-                    visibility: visible !important;
-                    position: static !important;
-                    top: auto !important;
-                    left: auto !important;
-                    transform: none !important;
-                }
-                /* Remove interactive elements for print */
-                button, .category-btn, .editable-section {
-                    display: none !important;
-                }
-                /* Clean up highlight colors for print with numbers */
-                mark[data-highlight-number] {
-                    background: #ffeb3b !important;
-                    color: #000 !important;
-                    padding: 1px 2px;
-                    position: relative;
-                    margin-right: 2px;
-                }
-                mark[data-highlight-number]::after {
-                    content: attr(data-highlight-number);
-                    color: #0066cc;
-                    font-size: 10px;
-                    font-weight: bold;
-                    vertical-align: super;
-                    margin-left: 1px;
-                }
-                /* Category highlight colors, top-key swatches, and error-list
-                   accents — generated from the single source of truth so the
-                   PDF essay, key, and error list always agree. */
-                ${buildCategoryPrintCSS()}
-                /* Fallback for any mark elements */
-                mark {
-                    background: transparent !important;
-                    color: #000 !important;
-                    padding: 0 !important;
-                    border: none !important;
-                    position: static !important;
-                    float: none !important;
-                    margin: 0 !important;
-                    display: inline !important;
-                    vertical-align: baseline !important;
-                }
-                /* Fix any text nodes that might have weird spacing */
-                .essay-content, .formatted-essay-content {
-                    text-align: justify;
-                    text-justify: inter-word;
-                }
-                /* Ensure first line starts at top */
-                .essay-content > *:first-child, .formatted-essay-content > *:first-child {
-                    margin-top: 0 !important;
-                    padding-top: 0 !important;
-                }
-                .highlights-legend {
-                    margin-top: 20px;
-                    page-break-inside: avoid;
-                    background: white;
-                    border: 1px solid #dee2e6;
-                    border-radius: 8px;
-                    padding: 20px;
-                    break-before: avoid;
-                    page-break-before: avoid;
-                }
-                .highlights-legend h3 {
-                    border-bottom: 2px solid #333;
-                    padding-bottom: 15px;
-                    margin-bottom: 20px;
-                    font-size: 20px;
-                }
-                .highlight-entry {
-                    margin: 20px 0;
-                    padding: 15px;
-                    background: #f8f9fa;
-                    border-radius: 6px;
-                    border-left: 4px solid var(--category-color, #667eea);
-                    position: relative;
-                    page-break-inside: avoid;
-                    break-inside: avoid;
-                }
-                /* .highlight-entry.<id>-error border accents are generated by
-                   buildCategoryPrintCSS() above (single source of truth). */
-                .highlight-number-text {
-                    font-weight: bold;
-                    color: #333;
-                    margin-right: 8px;
-                }
-                .correction-text {
-                    margin-top: 8px;
-                    font-style: italic;
-                    color: #555;
-                    padding-left: 20px;
-                }
-                /* Hide specific sections from PDF */
-                .word-count-section,
-                .transitions-section,
-                .vocabulary-section,
-                .class-vocab-section,
-                .grammar-section,
-                [data-section="word-count"],
-                [data-section="transitions"],
-                [data-section="vocabulary"],
-                [data-section="class-vocab"],
-                [data-section="grammar"] {
-                    display: none !important;
-                }
-                /* Hide elements containing specific text patterns */
-                *:contains("Word Count:"),
-                *:contains("Transitions:"),
-                *:contains("Class Vocabulary:"),
-                *:contains("Grammar Structures:") {
-                    display: none !important;
-                }
+        /* Color-Coded Essay section specific spacing */
+        h3:contains("Color-Coded Essay"),
+        h3:contains("Color-coded Essay"),
+        h3:contains("color-coded essay"),
+        h2:contains("Color-Coded Essay"),
+        h2:contains("Color-coded Essay") {
+            page-break-after: avoid !important;
+            break-after: avoid !important;
+            margin-bottom: 10px !important;
+            margin-top: 15px !important;
+        }
 
-                /* YELLOW HIGHLIGHTING FOR CATEGORY HEADERS - MUST BE LAST WITH HIGHEST SPECIFICITY */
-                .category-header-yellow,
-                p.category-header-yellow,
-                *[style].category-header-yellow,
-                .plain-category p.category-header-yellow {
-                    background: #FFFF99 !important;
-                    background-color: #FFFF99 !important;
-                    -webkit-print-color-adjust: exact !important;
-                    print-color-adjust: exact !important;
-                    font-weight: bold !important;
-                    padding: 2px 4px !important;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="print-instructions no-print">
-                <strong>📄 Print Instructions:</strong>
-                <br>• Press Ctrl+P (Windows) or Cmd+P (Mac) to open print dialog
-                <br>• Select "Save as PDF" as destination
-                <br>• Click "Save" to download the PDF
-                <br>• This window will close automatically after printing
-            </div>
+        /* Ensure color-coded essay section follows immediately after category breakdown */
+        .formatted-essay-content {
+            page-break-before: avoid !important;
+            break-before: avoid !important;
+            margin-top: 15px !important;
+        }
 
-            ${printContent}
+        /* Group entire essay display blocks together */
+        .essay-display {
+            page-break-inside: avoid !important;
+            break-inside: avoid !important;
+            margin: 20px 0 !important;
+        }
 
-            <script>
-                // Auto-open print dialog after a short delay
-                setTimeout(() => {
-                    window.print();
-                }, 500);
+        /* Create tight grouping for color-coded essay components */
+        *:contains("Color-Coded Essay") ~ .formatted-essay-content,
+        *:contains("Color-coded Essay") ~ .formatted-essay-content {
+            page-break-before: avoid !important;
+            break-before: avoid !important;
+            margin-top: 10px !important;
+        }
 
-                // Close window after printing (most browsers)
-                window.addEventListener('afterprint', () => {
-                    setTimeout(() => {
-                        window.close();
-                    }, 1000);
-                });
-            </script>
-        </body>
-        </html>
-    `);
+        /* MINIMAL page break rules - only for headers */
+        h1, h2, h3 {
+            page-break-after: avoid !important;
+        }
+        /* UNIVERSAL CATEGORY PROTECTION - Catch any category content */
+        /* Any element containing category names should stay together */
+        *:contains("Content & Information"),
+        *:contains("Organization"),
+        *:contains("Language Use"),
+        *:contains("Mechanics"),
+        *:contains("Grammar"),
+        *:contains("Vocabulary"),
+        *:contains("Spelling"),
+        *:contains("Fluency") {
+            page-break-inside: avoid !important;
+            break-inside: avoid !important;
+        }
 
-    printWindow.document.close();
+        /* Additional comprehensive page break rules */
+        /* Category breakdown sections - keep each category together */
+        div:contains("Grammar"), div:contains("Vocabulary"), div:contains("Mechanics"),
+        div:contains("Spelling"), div:contains("Fluency") {
+            page-break-inside: avoid;
+            break-inside: avoid;
+        }
+        /* Prevent orphaned category titles */
+        h3 + div, h3 + p, h3 + .score-section {
+            page-break-before: avoid;
+            break-before: avoid;
+        }
+        /* Keep color-coded essay components together */
+        [data-section*="essay"], [class*="essay"] {
+            page-break-inside: avoid;
+            break-inside: avoid;
+        }
+        /* Reset any problematic positioning */
+        .essay-content *, .formatted-essay-content * {
+            position: static !important;
+            float: none !important;
+            margin-left: 0 !important;
+            margin-right: 0 !important;
+            text-indent: 0 !important;
+            padding-left: 0 !important;
+            padding-right: 0 !important;
+        }
+        /* Ensure paragraphs start properly */
+        .essay-content p, .formatted-essay-content p {
+            margin: 0 0 1em 0 !important;
+            padding: 0 !important;
+            text-indent: 0 !important;
+            text-align: left !important;
+        }
+        /* Ensure color-coded essay section is visible */
+        .essay-display, [class*="essay-content"] {
+            display: block !important;
+            visibility: visible !important;
+            position: static !important;
+            top: auto !important;
+            left: auto !important;
+            transform: none !important;
+        }
+        /* Remove interactive elements for print */
+        button, .category-btn, .editable-section {
+            display: none !important;
+        }
+        /* Clean up highlight colors for print with numbers */
+        mark[data-highlight-number] {
+            background: #ffeb3b !important;
+            color: #000 !important;
+            padding: 1px 2px;
+            position: relative;
+            margin-right: 2px;
+        }
+        mark[data-highlight-number]::after {
+            content: attr(data-highlight-number);
+            color: #0066cc;
+            font-size: 10px;
+            font-weight: bold;
+            vertical-align: super;
+            margin-left: 1px;
+        }
+        /* Category highlight colors, top-key swatches, and error-list
+           accents — generated from the single source of truth so the
+           PDF essay, key, and error list always agree. */
+        ${buildCategoryPrintCSS()}
+        /* Fallback for any mark elements */
+        mark {
+            background: transparent !important;
+            color: #000 !important;
+            padding: 0 !important;
+            border: none !important;
+            position: static !important;
+            float: none !important;
+            margin: 0 !important;
+            display: inline !important;
+            vertical-align: baseline !important;
+        }
+        /* Fix any text nodes that might have weird spacing */
+        .essay-content, .formatted-essay-content {
+            text-align: justify;
+            text-justify: inter-word;
+        }
+        /* Ensure first line starts at top */
+        .essay-content > *:first-child, .formatted-essay-content > *:first-child {
+            margin-top: 0 !important;
+            padding-top: 0 !important;
+        }
+        .highlights-legend {
+            margin-top: 20px;
+            page-break-inside: avoid;
+            background: white;
+            border: 1px solid #dee2e6;
+            border-radius: 8px;
+            padding: 20px;
+            break-before: avoid;
+            page-break-before: avoid;
+        }
+        .highlights-legend h3 {
+            border-bottom: 2px solid #333;
+            padding-bottom: 15px;
+            margin-bottom: 20px;
+            font-size: 20px;
+        }
+        .highlight-entry {
+            margin: 20px 0;
+            padding: 15px;
+            background: #f8f9fa;
+            border-radius: 6px;
+            border-left: 4px solid var(--category-color, #667eea);
+            position: relative;
+            page-break-inside: avoid;
+            break-inside: avoid;
+        }
+        /* .highlight-entry.<id>-error border accents are generated by
+           buildCategoryPrintCSS() above (single source of truth). */
+        .highlight-number-text {
+            font-weight: bold;
+            color: #333;
+            margin-right: 8px;
+        }
+        .correction-text {
+            margin-top: 8px;
+            font-style: italic;
+            color: #555;
+            padding-left: 20px;
+        }
+        /* Hide specific sections from PDF */
+        .word-count-section,
+        .transitions-section,
+        .vocabulary-section,
+        .class-vocab-section,
+        .grammar-section,
+        [data-section="word-count"],
+        [data-section="transitions"],
+        [data-section="vocabulary"],
+        [data-section="class-vocab"],
+        [data-section="grammar"] {
+            display: none !important;
+        }
+        /* Hide elements containing specific text patterns */
+        *:contains("Word Count:"),
+        *:contains("Transitions:"),
+        *:contains("Class Vocabulary:"),
+        *:contains("Grammar Structures:") {
+            display: none !important;
+        }
 
+        /* YELLOW HIGHLIGHTING FOR CATEGORY HEADERS - MUST BE LAST WITH HIGHEST SPECIFICITY */
+        .category-header-yellow,
+        p.category-header-yellow,
+        *[style].category-header-yellow,
+        .plain-category p.category-header-yellow {
+            background: #FFFF99 !important;
+            background-color: #FFFF99 !important;
+            -webkit-print-color-adjust: exact !important;
+            print-color-adjust: exact !important;
+            font-weight: bold !important;
+            padding: 2px 4px !important;
+        }
+    `;
 }
 
 /**
- * Alternative print method using iframe (fallback for blocked popups)
- * @param {HTMLElement} resultsDiv - Results container
- * @param {string} studentName - Student name
+ * Complete print document for one or more essays' print content
+ * (createPrintContent). Each essay starts on a new page. The server renders
+ * this to PDF (src/services/pdfRenderer.js).
+ * @param {Array<string>} sections - print content, one per essay
+ * @param {string} title - document title
+ * @returns {string} HTML
  */
-function createPrintIframe(resultsDiv, studentName) {
-
-    // Create a hidden iframe
-    const iframe = document.createElement('iframe');
-    iframe.style.position = 'absolute';
-    iframe.style.top = '-10000px';
-    iframe.style.left = '-10000px';
-    iframe.style.width = '0px';
-    iframe.style.height = '0px';
-    iframe.style.border = 'none';
-
-    document.body.appendChild(iframe);
-
-    // Get the content to print
-    const printContent = createPrintContent(resultsDiv, studentName);
-
-    // Write content to iframe
-    const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-    const fullContent = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <title>Graded Essay - ${studentName}</title>
-            <style>
-                /* Force background colors for printing */
-                * {
-                    -webkit-print-color-adjust: exact !important;
-                    print-color-adjust: exact !important;
-                }
-                @page {
-                    margin: 0.5in;
-                    size: letter;
-                    /* Force removal of all headers and footers */
-                    @top-left { content: ""; }
-                    @top-center { content: ""; }
-                    @top-right { content: ""; }
-                    @bottom-left { content: ""; }
-                    @bottom-center { content: ""; }
-                    @bottom-right { content: ""; }
-                    @top-left-corner { content: ""; }
-                    @top-right-corner { content: ""; }
-                    @bottom-left-corner { content: ""; }
-                    @bottom-right-corner { content: ""; }
-                }
-                body {
-                    margin: 0;
-                    padding: 0;
-                    font-family: Arial, sans-serif;
-                    font-size: 14px;
-                    line-height: 1.6;
-                    color: #000;
-                    background: white;
-                }
-                .no-print { display: none !important; }
-                /* Include all the same styles as the popup version */
-                ${document.querySelector('style')?.textContent || ''}
-            </style>
-        </head>
-        <body>
-            ${printContent}
-        </body>
-        </html>
-    `;
+function printDocumentHTML(sections, title) {
+    const safeTitle = String(title || 'Graded Essays').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${safeTitle}</title>
+    <style>
+        ${printStyles()}
+        .pdf-essay + .pdf-essay {
+            break-before: page;
+            page-break-before: always;
+        }
+    </style>
+</head>
+<body>
+    ${sections.map(section => `<section class="pdf-essay">${section}</section>`).join('\n')}
+</body>
+</html>`;
+}
 
-    iframeDoc.open();
-    iframeDoc.write(fullContent);
-    iframeDoc.close();
+/**
+ * An essay's results as HTML for the server to render. Edited scores and
+ * notes live in input and textarea values, which innerHTML leaves out, so
+ * they are written into the markup; "remove all from PDF" is synced onto the
+ * marks first.
+ * @param {HTMLElement} container - #results or #batch-essay-N
+ * @returns {string} HTML
+ */
+function serializeForPDF(container) {
+    if (window.syncAllRemoveAllStateToMarks) {
+        window.syncAllRemoveAllStateToMarks();
+    }
 
-    // Wait a moment for content to load, then print
-    setTimeout(() => {
-        try {
-            iframe.contentWindow.focus();
-            iframe.contentWindow.print();
-        } catch (error) {
-            console.error('Failed to print via iframe:', error);
-            // Final fallback - direct browser print of current page
-            window.print();
+    const clone = container.cloneNode(true);
+    const liveFields = container.querySelectorAll('input, textarea');
+    clone.querySelectorAll('input, textarea').forEach((field, i) => {
+        const live = liveFields[i];
+        if (!live) return;
+        if (field.tagName === 'TEXTAREA') {
+            field.textContent = live.value;
+        } else if (field.type === 'checkbox' || field.type === 'radio') {
+            field.toggleAttribute('checked', live.checked);
+        } else {
+            field.setAttribute('value', live.value);
         }
+    });
+    return clone.innerHTML;
+}
+
+/**
+ * Have the server render essays to PDF and save the file.
+ * @param {Array<{studentName: string, html: string}>} essays
+ * @param {Object} options
+ * @param {string} options.title - names the downloaded file
+ * @param {string} [options.layout] - 'merged' (one PDF) or 'zip' (one PDF per student)
+ */
+async function downloadPDF(essays, { title, layout = 'merged' }) {
+    const response = await fetch(`/api/pdf?layout=${encodeURIComponent(layout)}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title, essays })
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
 
-        // Clean up iframe after printing
-        setTimeout(() => {
-            document.body.removeChild(iframe);
-        }, 1000);
-    }, 500);
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : 'essays.pdf';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /**
@@ -1717,185 +1657,149 @@ function createPrintContent(resultsDiv, studentName) {
         ${highlightsData.length > 0 ? createHighlightsLegend(highlightsData) : ''}
     `;
 }
-/**
- * Create export content for single essay
- * @param {HTMLElement} resultsDiv - Results container
- * @param {string} studentName - Student name
- * @returns {HTMLElement} Export content element
- */
-function createExportContent(resultsDiv, studentName) {
-
-    // Create very simple HTML for PDF
-    const html = `
-        <h1>Essay Grading Report</h1>
-        <h2>Student: ${studentName}</h2>
-        <p>Generated: ${new Date().toLocaleDateString()}</p>
-        <hr>
-        ${extractSimpleContent(resultsDiv)}
-        <hr>
-        <p><em>Generated by Essay Grading Tool</em></p>
-    `;
-
-    // Create a simple div and set innerHTML
-    const exportDiv = document.createElement('div');
-    exportDiv.innerHTML = html;
-
-
-    return exportDiv;
-}
 
 /**
- * Extract simple content from results div for PDF export
- * @param {HTMLElement} resultsDiv - Results container
- * @returns {string} Simple HTML content
+ * Export individual essay from batch results to PDF, or to Word
+ * (docx-export.js)
+ * @param {Object} essayData - Essay data containing essay and originalData
+ * @param {string} [format] - 'pdf' or 'docx'
  */
-function extractSimpleContent(resultsDiv) {
-
-    // Extract the essential content as simple HTML
-    const heading = resultsDiv.querySelector('h2');
-    const feedbackSummary = resultsDiv.querySelector('.grading-summary') || resultsDiv.querySelector('.feedback-summary');
-    const essayContent = resultsDiv.querySelector('.formatted-essay-content');
+async function exportIndividualEssay(essayData, format = 'pdf') {
 
+    if (!essayData || !essayData.essay || !essayData.originalData) {
+        console.error('❌ Invalid essay data provided');
+        alert('Error: Invalid essay data. Cannot export to PDF.');
+        return;
+    }
 
-    let content = '';
+    const { essay, originalData } = essayData;
+    const studentName = essay.studentName || 'Student';
 
-    // Always include the main heading
-    if (heading) {
-        content += `<h2 style="color: #333; margin: 20px 0;">${heading.textContent}</h2>`;
-    }
+    // Find the specific essay container in the batch results
+    const essayContainer = window.TabStore
+        ? window.TabStore.activeQuery(`#batch-essay-${originalData.index || 0}`)
+        : document.getElementById(`batch-essay-${originalData.index || 0}`);
 
-    // Add feedback summary if exists
-    if (feedbackSummary) {
-        content += `
-            <div style="margin-bottom: 30px;">
-                <h3 style="color: #333; border-bottom: 1px solid #ddd; padding-bottom: 10px;">Grading Summary</h3>
-                ${feedbackSummary.innerHTML}
-            </div>
-        `;
+    if (!essayContainer || !essayContainer.innerHTML.trim()) {
+        console.error('❌ Essay container not found or empty');
+        alert('Error: Essay content not found. Please expand the student details first.');
+        return;
     }
 
-    // Add essay content if exists
-    if (essayContent) {
-        content += `
-            <div style="margin-bottom: 30px;">
-                <h3 style="color: #333; border-bottom: 1px solid #ddd; padding-bottom: 10px;">Essay Text</h3>
-                <div style="background: #f9f9f9; padding: 15px; border-radius: 5px; border: 1px solid #ddd; line-height: 1.6;">
-                    ${essayContent.innerHTML}
-                </div>
-            </div>
-        `;
+    if (format === 'docx') {
+        try {
+            await window.DocxExportModule.exportEssayDocx(essayContainer, studentName);
+        } catch (error) {
+            console.error('Word export error:', error);
+            showError(error.message || 'Error exporting Word document', 'Word Export Error');
+        }
+        return;
     }
 
-    // If no specific content found, use a simplified version of the entire results div
-    if (!content.trim()) {
-        const clone = resultsDiv.cloneNode(true);
-
-        // Remove interactive elements but preserve content
-        const buttons = clone.querySelectorAll('button');
-        buttons.forEach(btn => btn.remove());
-
-        const inputs = clone.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-            const replacement = document.createElement('span');
-            replacement.textContent = input.value || input.textContent || '';
-            replacement.style.fontWeight = 'bold';
-            if (input.parentNode) {
-                input.parentNode.replaceChild(replacement, input);
-            }
-        });
-
-        // Remove onclick attributes but keep content
-        const clickableElements = clone.querySelectorAll('[onclick]');
-        clickableElements.forEach(el => {
-            el.removeAttribute('onclick');
-            el.style.cursor = 'default';
-        });
-
-        content = clone.innerHTML;
+    try {
+        await downloadPDF([{ studentName, html: serializeForPDF(essayContainer) }], { title: studentName });
+    } catch (error) {
+        console.error('PDF export error:', error);
+        showError(error.message || 'Error exporting PDF', 'PDF Export Error');
     }
-
-
-    return content;
 }
 
 /**
- * Create export content for manual grading
- * @param {HTMLElement} manualContainer - Manual grading container
+ * Export every graded essay of a batch: one PDF, or a ZIP with one PDF per
+ * student. Essays whose results haven't rendered yet are left out.
+ * @param {Object} batchData - the active tab's currentBatchData
+ * @param {string} [layout] - 'merged' or 'zip'
  */
-function isHTML2PDFLoaded() {
-    return typeof html2pdf !== 'undefined';
-}
+async function exportBatchEssays(batchData, layout = 'merged') {
+    const results = (batchData && batchData.batchResult && batchData.batchResult.results) || [];
+    const submitted = (batchData && batchData.originalData && batchData.originalData.essays) || [];
+
+    const essays = [];
+    results.forEach((essay, index) => {
+        if (!essay || !essay.success) return;
+        const container = window.TabStore
+            ? window.TabStore.activeQuery(`#batch-essay-${index}`)
+            : document.getElementById(`batch-essay-${index}`);
+        if (!container || !container.querySelector('.formatted-essay-content')) return;
+        essays.push({
+            studentName: essay.studentName || (submitted[index] && submitted[index].studentName) || `Essay ${index + 1}`,
+            html: serializeForPDF(container)
+        });
+    });
 
-/**
- * Initialize PDF export functionality
- */
-function initializePDFExport() {
-    // Check if html2pdf is loaded
-    if (!isHTML2PDFLoaded()) {
-        console.warn('html2pdf library not loaded. PDF export functionality will be limited.');
+    if (essays.length === 0) {
+        showError('There are no graded essays to download yet.', 'PDF Export');
         return;
     }
-
+    try {
+        await downloadPDF(essays, { title: batchTitle(), layout });
+    } catch (error) {
+        console.error('PDF export error:', error);
+        showError(error.message || 'Error exporting PDF', 'PDF Export Error');
+    }
 }
 
-// Wait for html2pdf to load if not already available
-if (!isHTML2PDFLoaded()) {
-    // Add a check every 100ms for up to 5 seconds
-    let attempts = 0;
-    const checkInterval = setInterval(() => {
-        attempts++;
-        if (isHTML2PDFLoaded() || attempts > 50) {
-            clearInterval(checkInterval);
-            if (isHTML2PDFLoaded()) {
-                initializePDFExport();
-            }
-        }
-    }, 100);
+// "Class profile - Assignment" from the active tab's form, naming batch files.
+function batchTitle() {
+    const query = (selector) => window.TabStore ? window.TabStore.activeQuery(selector) : document.querySelector(selector);
+    const parts = ['#classProfile', '#assignment']
+        .map(selector => query(selector))
+        .filter(select => select && select.value && select.selectedIndex >= 0)
+        .map(select => select.options[select.selectedIndex].text.replace(/\s*\(due .*\)$/, ''));
+    return parts.join(' - ') || 'Graded essays';
 }
 
 /**
- * Export individual essay from batch results to PDF using print dialog
- * @param {Object} essayData - Essay data containing essay and originalData
+ * Download-all controls for the batch results header.
+ * @returns {string} HTML
  */
-function exportIndividualEssay(essayData) {
-
-    if (!essayData || !essayData.essay || !essayData.originalData) {
-        console.error('❌ Invalid essay data provided');
-        alert('Error: Invalid essay data. Cannot export to PDF.');
-        return;
-    }
-
-    const { essay, originalData } = essayData;
-    const studentName = essay.studentName || 'Student';
-
-    // Find the specific essay container in the batch results
-    const essayContainer = window.TabStore
-        ? window.TabStore.activeQuery(`#batch-essay-${originalData.index || 0}`)
-        : document.getElementById(`batch-essay-${originalData.index || 0}`);
+function downloadBarHTML() {
+    return `
+        <div class="pdf-export no-print" style="display: flex; align-items: center; gap: 8px; margin: 10px 0; font-size: 14px;">
+            <strong>Essays:</strong>
+            <select class="pdf-layout" style="padding: 6px;">
+                <option value="merged">One PDF</option>
+                <option value="zip">ZIP, one PDF per student</option>
+            </select>
+            <button type="button" onclick="downloadBatchPDF(this)" style="padding: 6px 12px;">Download all</button>
+        </div>
+    `;
+}
 
-    if (!essayContainer || !essayContainer.innerHTML.trim()) {
-        console.error('❌ Essay container not found or empty');
-        alert('Error: Essay content not found. Please expand the student details first.');
-        return;
+/**
+ * Download the active tab's batch in the layout picked next to `button`.
+ * @param {HTMLElement} button
+ */
+async function downloadBatchPDF(button) {
+    const bar = button && button.closest('.pdf-export');
+    const layout = bar ? bar.querySelector('.pdf-layout').value : 'merged';
+    const batchData = (window.TabStore && window.TabStore.active()?.currentBatchData)
+        || window.currentBatchData;
+
+    if (button) button.disabled = true;
+    try {
+        await exportBatchEssays(batchData, layout);
+    } finally {
+        if (button) button.disabled = false;
     }
-
-
-    // Use the print dialog method (same as main export functionality)
-    openPrintDialog(essayContainer, studentName);
 }
 
 // Export functions for use in other modules
 window.PDFExportModule = {
     exportToPDF,
     exportIndividualEssay,
-    initializePDFExport,
-    isHTML2PDFLoaded
+    exportBatchEssays,
+    downloadBarHTML,
+    createPrintContent,
+    printDocumentHTML,
+    serializeForPDF
 };
 
 // Also expose individual functions globally for compatibility
 window.exportToPDF = exportToPDF;
 window.exportIndividualEssay = exportIndividualEssay;
-window.downloadIndividualEssay = function(index) {
+window.downloadBatchPDF = downloadBatchPDF;
+window.downloadIndividualEssay = function(index, format = 'pdf') {
     // Wrapper function for batch download
     // Try multiple ways to get the essay data. Prefer the active tab's
     // stored essay data, fall back to legacy window globals.
@@ -1910,11 +1814,11 @@ window.downloadIndividualEssay = function(index) {
 
     if (!essayData && window.BatchProcessingModule) {
         // Delegate to the batch processing module
-        return window.BatchProcessingModule.downloadIndividualEssay(index);
+        return window.BatchProcessingModule.downloadIndividualEssay(index, format);
     }
 
     if (essayData) {
-        exportIndividualEssay(essayData);
+        exportIndividualEssay(essayData, format);
     } else {
         console.error('Essay data not found for index:', index);
         alert('Error: Essay data not found. Please try again.');
@@ -0,0 +1,210 @@
+/**
+ * Practice Exercises Module
+ *
+ * The "Practice exercises" panel on the progress page (one student), the
+ * class analytics page (the whole class) and each saved essay on the account
+ * page. The server builds a set from the errors detected in those essays
+ * (POST /api/practice-sets): gap-fills and error-correction sentences for
+ * the most frequent error categories, plus class-vocabulary drills. Each set
+ * is listed with its exercises and answers, PDF and Word worksheets (with or
+ * without the answer key) and a link from every exercise to the essay it
+ * came from.
+ *
+ * Exposes window.PracticeModule plus the globals the inline onclick handlers
+ * in the generated HTML call.
+ */
+(function () {
+    'use strict';
+
+    // Scope ({ studentId } | { classProfileId } | { essayId }) per mounted panel.
+    const panels = {};
+
+    const TYPE_LABELS = {
+        gap_fill: 'Gap-fill',
+        error_correction: 'Error correction',
+        vocabulary_gap: 'Vocabulary gap-fill',
+        vocabulary_sentence: 'Vocabulary sentence',
+    };
+
+    function escapeText(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function categoryName(category) {
+        return window.CATEGORIES ? window.CATEGORIES.getCategoryName(category) : category;
+    }
+
+    function panelKey(scope) {
+        const [type, id] = Object.entries(scope)[0];
+        return `${type}-${id}`.replace(/[^\w-]/g, '_');
+    }
+
+    function setUrl(id, suffix = '') {
+        return `/api/practice-sets/${encodeURIComponent(id)}${suffix}`;
+    }
+
+    /**
+     * Show the panel for a student, class or essay in `container` and load
+     * its sets.
+     * @param {HTMLElement} container
+     * @param {{studentId?: string, classProfileId?: string, essayId?: string}} scope - one of them
+     */
+    function mount(container, scope) {
+        const key = panelKey(scope);
+        panels[key] = scope;
+        container.innerHTML =
+            `<div class="practice-panel" id="practice-${key}">` +
+            '<h2>Practice exercises</h2>' +
+            '<p class="practice-intro">Gap-fills and error-correction sentences built from the most frequent errors, ' +
+            'plus drills on the class vocabulary. Each set has an answer key.</p>' +
+            '<div class="practice-controls">' +
+            `<label>Exercises <select id="practice-count-${key}">` +
+            [6, 12, 20, 30].map(n => `<option value="${n}"${n === 12 ? ' selected' : ''}>${n}</option>`).join('') +
+            '</select></label>' +
+            `<button type="button" class="practice-generate-btn" id="practice-generate-${key}" onclick="generatePractice('${key}')">Generate practice</button>` +
+            '</div>' +
+            `<div class="practice-sets" id="practice-sets-${key}"><div class="practice-empty">Loading...</div></div>` +
+            '</div>';
+        loadSets(key);
+    }
+
+    async function loadSets(key) {
+        const list = document.getElementById(`practice-sets-${key}`);
+        if (!list) return;
+        try {
+            const response = await fetch(`/api/practice-sets?${new URLSearchParams(panels[key])}`, { credentials: 'include' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            renderSets(key, data.practiceSets || []);
+        } catch (error) {
+            console.error('[PRACTICE] Load error:', error);
+            list.innerHTML = `<div class="practice-empty">Could not load practice sets: ${escapeText(error.message)}</div>`;
+        }
+    }
+
+    function renderSets(key, sets) {
+        const list = document.getElementById(`practice-sets-${key}`);
+        if (!list) return;
+        if (sets.length === 0) {
+            list.innerHTML = '<div class="practice-empty">No practice sets yet.</div>';
+            return;
+        }
+        list.innerHTML = sets.map(set => {
+            const focus = set.focus.map(f => categoryName(f.category)).join(', ');
+            const meta = `${new Date(set.createdAt).toLocaleDateString()} · ${set.exercises} exercise${set.exercises !== 1 ? 's' : ''}` +
+                (focus ? ` · ${focus}` : '');
+            return `<div class="practice-set" id="practice-set-${escapeText(set.id)}">` +
+                '<div class="practice-set-header">' +
+                `<span class="practice-set-title">${escapeText(set.title)}</span>` +
+                `<span class="practice-set-meta">${escapeText(meta)}</span>` +
+                '<span class="practice-set-actions">' +
+                `<button type="button" onclick="togglePracticeSet('${escapeText(set.id)}')">View</button>` +
+                `<a href="${setUrl(set.id, '/pdf')}">PDF</a>` +
+                `<a href="${setUrl(set.id, '/pdf?answers=true')}">PDF + answers</a>` +
+                `<a href="${setUrl(set.id, '/docx')}">Word</a>` +
+                `<a href="${setUrl(set.id, '/docx?answers=true')}">Word + answers</a>` +
+                `<button type="button" class="practice-delete-btn" onclick="deletePracticeSet('${key}', '${escapeText(set.id)}')">Delete</button>` +
+                '</span></div>' +
+                `<div class="practice-set-detail" id="practice-detail-${escapeText(set.id)}" style="display: none;"></div>` +
+                '</div>';
+        }).join('');
+    }
+
+    async function generatePractice(key) {
+        const button = document.getElementById(`practice-generate-${key}`);
+        const count = document.getElementById(`practice-count-${key}`);
+        button.disabled = true;
+        button.textContent = 'Generating...';
+        try {
+            const response = await fetch('/api/practice-sets', {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...panels[key], exercises: Number(count.value) })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            await loadSets(key);
+            showSet(data.practiceSet);
+        } catch (error) {
+            console.error('[PRACTICE] Generate error:', error);
+            alert('Could not generate practice: ' + error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Generate practice';
+        }
+    }
+
+    function exerciseText(exercise) {
+        if (exercise.type === 'gap_fill' && exercise.hint) {
+            return exercise.prompt.replace('_____', `_____ (${exercise.hint})`);
+        }
+        return exercise.prompt;
+    }
+
+    function showSet(set) {
+        const detail = document.getElementById(`practice-detail-${set.id}`);
+        if (!detail) return;
+        let html = '<table class="practice-table"><thead><tr><th>#</th><th>Type</th><th>Exercise</th><th>Answer</th><th>From</th></tr></thead><tbody>';
+        set.exercises.forEach(exercise => {
+            const type = TYPE_LABELS[exercise.type] + (exercise.category ? ` · ${categoryName(exercise.category)}` : '');
+            const answer = exercise.answer == null ? '<em>Answers will vary</em>' : escapeText(exercise.answer) +
+                (exercise.explanation ? `<div class="practice-explanation">${escapeText(exercise.explanation)}</div>` : '');
+            const source = exercise.essayId
+                ? `<a href="/account?essay=${encodeURIComponent(exercise.essayId)}">${escapeText(exercise.studentName || 'Essay')}</a>`
+                : '';
+            html += `<tr><td>${exercise.number}</td><td>${escapeText(type)}</td><td>${escapeText(exerciseText(exercise))}</td>` +
+                `<td>${answer}</td><td>${source}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        if (set.wordBank && set.wordBank.length > 0) {
+            html += `<div class="practice-word-bank">Word box: ${set.wordBank.map(escapeText).join(' · ')}</div>`;
+        }
+        detail.innerHTML = html;
+        detail.style.display = 'block';
+    }
+
+    async function togglePracticeSet(id) {
+        const detail = document.getElementById(`practice-detail-${id}`);
+        if (!detail) return;
+        if (detail.style.display === 'block') {
+            detail.style.display = 'none';
+            return;
+        }
+        try {
+            const response = await fetch(setUrl(id), { credentials: 'include' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            showSet(data.practiceSet);
+        } catch (error) {
+            console.error('[PRACTICE] Open error:', error);
+            alert('Could not open the practice set: ' + error.message);
+        }
+    }
+
+    async function deletePracticeSet(key, id) {
+        if (!confirm('Delete this practice set?')) return;
+        try {
+            const response = await fetch(setUrl(id), { method: 'DELETE', credentials: 'include' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            await loadSets(key);
+        } catch (error) {
+            console.error('[PRACTICE] Delete error:', error);
+            alert('Could not delete the practice set: ' + error.message);
+        }
+    }
+
+    window.PracticeModule = {
+        mount
+    };
+
+    window.generatePractice = generatePractice;
+    window.togglePracticeSet = togglePracticeSet;
+    window.deletePracticeSet = deletePracticeSet;
+})();
@@ -180,14 +180,24 @@ function loadProfilesList() {
                 <h3>${profile.name}</h3>
                 <p><strong>CEFR Level:</strong> ${profile.cefrLevel}</p>
                 <p><strong>Temperature:</strong> ${profile.temperature || 0}</p>
+                <p><strong>Rubric:</strong> ${window.RubricsModule ? window.RubricsModule.getRubricName(profile.rubricId) : 'Default rubric (built-in)'}${profile.rubricVersion ? ` (version ${profile.rubricVersion})` : ''}</p>
                 <p><strong>Vocabulary:</strong> ${profile.vocabulary ? profile.vocabulary.length : 0} items</p>
                 <p><strong>Grammar:</strong> ${profile.grammar ? profile.grammar.length : 0} items</p>
                 <p><strong>Prompt:</strong> ${profile.prompt ? 'Custom prompt defined' : 'No custom prompt'}</p>
                 <div style="margin-top: 10px;">
                     <button onclick="toggleProfileEditForm('${profile.id}')">Edit</button>
+                    <button onclick="toggleAssignments('${profile.id}')" style="margin-left: 10px;">Assignments</button>
+                    <button onclick="toggleRoster('${profile.id}')" style="margin-left: 10px;">Roster</button>
+                    <button onclick="window.open('/analytics?profile=' + encodeURIComponent('${profile.id}'), '_blank')" style="margin-left: 10px;">Analytics</button>
                     <button onclick="deleteProfile('${profile.id}')" style="background: #dc3545; color: white; margin-left: 10px;">Delete</button>
                 </div>
 
+                <!-- Assignments panel, rendered by assignments.js (Initially Hidden) -->
+                <div id="assignments-${profile.id}" class="assignments-panel" style="display: none; border-top: 1px solid #ddd; padding-top: 15px; margin-top: 15px;"></div>
+
+                <!-- Roster panel, rendered by students.js (Initially Hidden) -->
+                <div id="roster-${profile.id}" class="roster-panel" style="display: none; border-top: 1px solid #ddd; padding-top: 15px; margin-top: 15px;"></div>
+
                 <!-- Edit Form for this specific profile (Initially Hidden) -->
                 <div id="editProfileForm-${profile.id}" style="display: none; border-top: 2px solid #007bff; padding-top: 20px; margin-top: 15px; background: #f8f9ff;">
                     ${createProfileFormHTML(profile.id)}
@@ -287,6 +297,21 @@ function createProfileFormHTML(profileId) {
                     </div>
                 </div>
 
+                <div style="margin-bottom: 15px;">
+                    <label for="profileRubric-${profileId}">Rubric:
+                        <span class="info-icon" data-tooltip="The rubric essays in this class are graded against: its categories, weights, band descriptions and error-count thresholds. Pin a version to keep grading stable while you keep editing the rubric, or leave it on the latest version to pick up your edits automatically." style="display: inline-block; width: 20px; height: 20px; border-radius: 50%; background: lightgray; color: white; text-align: center; line-height: 20px; font-size: 14px; font-style: italic; cursor: pointer; margin-left: 5px; position: relative;">i</span>
+                    </label>
+                    <div style="display: flex; gap: 10px; align-items: center; margin-top: 4px;">
+                        <select id="profileRubric-${profileId}" name="rubricId" onchange="updateRubricVersionOptions('${profileId}')" style="flex: 2; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            ${window.RubricsModule ? window.RubricsModule.rubricOptionsHTML(null) : '<option value="">Default rubric (built-in)</option>'}
+                        </select>
+                        <select id="profileRubricVersion-${profileId}" name="rubricVersion" disabled style="flex: 1; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            <option value="">Always use the latest version</option>
+                        </select>
+                        <button type="button" onclick="openRubricManagementModal()" style="background: #0066cc; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; font-size: 14px; white-space: nowrap;">Manage rubrics</button>
+                    </div>
+                </div>
+
                 <div style="margin-bottom: 15px;">
                     <label for="profileTemperature-${profileId}">Temperature: <span id="profileTemperatureValue-${profileId}">0</span>
                         <span class="info-icon" data-tooltip="Temperature control adjusts how merciful/harsh the grade output is relative to the grading rubric. At a temperature of 0, the AI grades strictly to the rubric. Each increment of 0.5 will add or subtract 5 points out of 100. For example, if the AI returns a 50/100 and you set the temperature to 0.5, the algorithm adjusts it to 55/100. At a temperature of 3.0, that same essay becomes 80/100." style="display: inline-block; width: 20px; height: 20px; border-radius: 50%; background: lightgray; color: white; text-align: center; line-height: 20px; font-size: 14px; font-style: italic; cursor: pointer; margin-left: 5px; position: relative;">i</span>
@@ -362,6 +387,11 @@ function toggleProfileEditForm(profileId) {
             if (wcMaxEl) wcMaxEl.value = (profile.requiredWordCountMax !== null && profile.requiredWordCountMax !== undefined) ? profile.requiredWordCountMax : '';
             document.getElementById(`profileTemperature-${profileId}`).value = profile.temperature || 0;
             updateProfileTemperatureDisplay(profile.temperature || 0, profileId);
+            const rubricEl = document.getElementById(`profileRubric-${profileId}`);
+            if (rubricEl && window.RubricsModule) {
+                rubricEl.value = profile.rubricId || '';
+                window.RubricsModule.updateRubricVersionOptions(profileId, profile.rubricVersion);
+            }
         }
         form.style.display = 'block';
     } else {
@@ -596,6 +626,9 @@ async function handleNewProfileFormSubmission(e) {
         prompt: formData.get('prompt'),
         requiredWordCountMin: wcMin,
         requiredWordCountMax: wcMax,
+        // Empty rubricId = built-in rubric; empty version = follow the latest.
+        rubricId: formData.get('rubricId') || null,
+        rubricVersion: parseWordCountField(formData.get('rubricVersion')),
         temperature: (() => {
             const temp = parseFloat(formData.get('temperature'));
             return (isNaN(temp) || !isFinite(temp)) ? 0 : temp;
@@ -713,6 +746,8 @@ async function initializeProfiles() {
         if (authData.authenticated) {
             // Only load profiles if authenticated
             loadProfilesData();
+            if (window.RubricsModule) window.RubricsModule.loadRubrics();
+            if (window.AssignmentsModule) window.AssignmentsModule.loadAssignments();
         } else {
             console.log('[PROFILES] User not authenticated, skipping profile load');
         }
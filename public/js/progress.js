@@ -0,0 +1,314 @@
+/**
+ * Student Progress Page
+ * One roster student's scores and errors across their saved essays: total and
+ * per-category points over time, detected errors per category, and mistakes
+ * that recur from essay to essay. Charts are plain inline SVG. Practice
+ * exercises built from those errors are made and exported below the report
+ * (public/js/practice.js).
+ *
+ * Open with /progress?student=<id>, or pick a class profile and student.
+ */
+
+var profiles = [];
+
+// Line colors for the category chart, in rubric order.
+var CHART_COLORS = ['#007bff', '#28a745', '#dc3545', '#fd7e14', '#6f42c1', '#20c997', '#e83e8c', '#6c757d', '#17a2b8', '#ffc107'];
+
+// --- Init ---
+document.addEventListener('DOMContentLoaded', async function () {
+    try {
+        var authResp = await fetch('/auth/status', { credentials: 'include' });
+        var authData = await authResp.json();
+        if (!authData.authenticated) { window.location.href = '/login'; return; }
+
+        var emailEl = document.getElementById('userEmail');
+        if (emailEl && authData.user) emailEl.textContent = authData.user.email;
+    } catch (e) {
+        console.error('[PROGRESS] Init error:', e);
+        window.location.href = '/login';
+        return;
+    }
+
+    await loadProfiles();
+    document.getElementById('reportProfile').addEventListener('change', function () {
+        loadStudents(this.value);
+    });
+    document.getElementById('reportStudent').addEventListener('change', function () {
+        showReport(this.value);
+    });
+
+    var studentId = new URLSearchParams(window.location.search).get('student');
+    if (studentId) {
+        showReport(studentId);
+    } else {
+        loadStudents(document.getElementById('reportProfile').value);
+    }
+});
+
+async function loadProfiles() {
+    try {
+        var resp = await fetch('/api/profiles', { credentials: 'include' });
+        var data = await resp.json();
+        profiles = Array.isArray(data) ? data : data.profiles || [];
+    } catch (e) { console.error('[PROGRESS] Profiles error:', e); profiles = []; }
+
+    var select = document.getElementById('reportProfile');
+    select.innerHTML = profiles.length
+        ? profiles.map(function (p) {
+            return '<option value="' + esc(p.id) + '">' + esc(p.name) + ' (' + esc(p.cefrLevel) + ')</option>';
+        }).join('')
+        : '<option value="">No class profiles</option>';
+}
+
+async function loadStudents(profileId, selectedId) {
+    var select = document.getElementById('reportStudent');
+    var students = [];
+    if (profileId) {
+        try {
+            var resp = await fetch('/api/profiles/' + encodeURIComponent(profileId) + '/students', { credentials: 'include' });
+            var data = await resp.json();
+            students = data.students || [];
+        } catch (e) { console.error('[PROGRESS] Roster error:', e); }
+    }
+
+    select.innerHTML = '<option value="">' + (students.length ? 'Choose a student' : 'No students on this roster') + '</option>' +
+        students.map(function (s) {
+            return '<option value="' + esc(s.id) + '"' + (s.id === selectedId ? ' selected' : '') + '>' + esc(s.name) + '</option>';
+        }).join('');
+
+    if (!selectedId) {
+        document.getElementById('reportContent').innerHTML =
+            '<div class="empty-state"><p>Choose a student</p>' +
+            '<small>Add students from the Roster panel of a class profile on the grading page.</small></div>';
+    }
+}
+
+async function showReport(studentId) {
+    var container = document.getElementById('reportContent');
+    if (!studentId) { container.innerHTML = ''; return; }
+    container.innerHTML = '<div class="loading-state">Loading report...</div>';
+
+    try {
+        var resp = await fetch('/api/students/' + encodeURIComponent(studentId) + '/progress', { credentials: 'include' });
+        if (!resp.ok) throw new Error(resp.status === 404 ? 'Student not found' : 'HTTP ' + resp.status);
+        var report = await resp.json();
+
+        history.replaceState(null, '', '/progress?student=' + encodeURIComponent(studentId));
+        var profileSelect = document.getElementById('reportProfile');
+        if (profileSelect.value !== report.student.classProfileId) {
+            profileSelect.value = report.student.classProfileId;
+        }
+        await loadStudents(report.student.classProfileId, studentId);
+        renderReport(report);
+    } catch (e) {
+        console.error('[PROGRESS] Report error:', e);
+        container.innerHTML = '<div class="empty-state"><p>Could not load this report</p><small>' + esc(e.message) + '</small></div>';
+    }
+}
+
+// --- Render ---
+function renderReport(report) {
+    var container = document.getElementById('reportContent');
+    var essays = report.essays || [];
+
+    if (essays.length === 0) {
+        container.innerHTML =
+            '<div class="empty-state"><p>No graded essays saved for ' + esc(report.student.name) + ' yet</p>' +
+            '<small>Save a graded essay that is linked to this student to start the report.</small></div>';
+        return;
+    }
+
+    var labels = essays.map(essayLabel);
+    var first = essays[0].total;
+    var last = essays[essays.length - 1].total;
+    var summary = essays.length + ' graded essay' + (essays.length !== 1 ? 's' : '') +
+        ' · latest ' + scoreText(last) +
+        (essays.length > 1 ? ' · first ' + scoreText(first) : '') +
+        (report.skipped ? ' · ' + report.skipped + ' saved essay' + (report.skipped !== 1 ? 's' : '') + ' without a stored grade left out' : '');
+
+    var html = '<p class="report-summary">' + esc(summary) + '</p>';
+
+    html += '<div class="report-section"><h2>Total score</h2><div class="report-chart">' +
+        lineChart(labels, [{
+            name: 'Total',
+            color: CHART_COLORS[0],
+            values: essays.map(function (e) { return percent(e.total); }),
+        }], 100, '%') +
+        '</div></div>';
+
+    var maxOutOf = 0;
+    var categorySeries = report.categories.map(function (category, i) {
+        return {
+            name: categoryName(category),
+            color: CHART_COLORS[i % CHART_COLORS.length],
+            values: essays.map(function (e) {
+                var score = e.scores[category];
+                if (score && score.out_of > maxOutOf) maxOutOf = score.out_of;
+                return score ? score.points : null;
+            }),
+        };
+    });
+    html += '<div class="report-section"><h2>Points by category</h2><div class="report-chart">' +
+        lineChart(labels, categorySeries, maxOutOf || 1, '') +
+        '</div>' + legend(categorySeries) + '</div>';
+
+    html += renderErrorTable(report, labels);
+    html += renderRecurring(report.recurring || []);
+    html += '<div class="report-section" id="practiceSection"></div>';
+
+    container.innerHTML = html;
+    window.PracticeModule.mount(document.getElementById('practiceSection'), { studentId: report.student.id });
+}
+
+function renderErrorTable(report, labels) {
+    var categories = Object.keys(report.errorTotals).sort(function (a, b) {
+        return report.errorTotals[b] - report.errorTotals[a];
+    });
+    var html = '<div class="report-section"><h2>Errors by category</h2>';
+    if (categories.length === 0) {
+        return html + '<p class="report-summary">No errors were detected in these essays.</p></div>';
+    }
+
+    html += '<table class="report-table"><thead><tr><th>Essay</th>';
+    categories.forEach(function (c) { html += '<th class="num">' + esc(categoryName(c)) + '</th>'; });
+    html += '<th class="num">Total</th></tr></thead><tbody>';
+    report.essays.forEach(function (essay, i) {
+        html += '<tr><td>' + esc(labels[i]) + '</td>';
+        categories.forEach(function (c) { html += '<td class="num">' + (essay.errorCounts[c] || 0) + '</td>'; });
+        html += '<td class="num">' + essay.errorTotal + '</td></tr>';
+    });
+    var grandTotal = 0;
+    html += '</tbody><tfoot><tr><td>All essays</td>';
+    categories.forEach(function (c) {
+        grandTotal += report.errorTotals[c];
+        html += '<td class="num">' + report.errorTotals[c] + '</td>';
+    });
+    html += '<td class="num">' + grandTotal + '</td></tr></tfoot></table></div>';
+    return html;
+}
+
+function renderRecurring(recurring) {
+    var html = '<div class="report-section"><h2>Recurring errors</h2>';
+    if (recurring.length === 0) {
+        return html + '<p class="report-summary">No mistake has been flagged in more than one essay yet.</p></div>';
+    }
+
+    html += '<p class="report-summary">The same wording flagged in two or more essays.</p>';
+    html += '<table class="report-table"><thead><tr><th>Written</th><th>Correction</th><th>Category</th>' +
+        '<th class="num">Essays</th><th class="num">Times</th></tr></thead><tbody>';
+    recurring.forEach(function (p) {
+        html += '<tr><td>' + esc(p.text) + '</td><td>' + esc(p.correction || '') + '</td>' +
+            '<td>' + esc(categoryName(p.category)) + '</td>' +
+            '<td class="num">' + p.essays + '</td><td class="num">' + p.occurrences + '</td></tr>';
+    });
+    return html + '</tbody></table></div>';
+}
+
+// --- Chart ---
+
+/**
+ * A line chart as an SVG string. Missing values (null) break the line.
+ * @param {string[]} labels - x-axis label per point
+ * @param {Array<{name: string, color: string, values: Array<number|null>}>} series
+ * @param {number} maxY - top of the y axis
+ * @param {string} suffix - appended to y values in labels and tooltips
+ */
+function lineChart(labels, series, maxY, suffix) {
+    var width = 800, height = 260;
+    var left = 44, right = 16, top = 12, bottom = 56;
+    var plotW = width - left - right, plotH = height - top - bottom;
+    var n = labels.length;
+
+    function x(i) { return left + (n === 1 ? plotW / 2 : (plotW * i) / (n - 1)); }
+    function y(v) { return top + plotH - (plotH * v) / maxY; }
+
+    var svg = '<svg viewBox="0 0 ' + width + ' ' + height + '" role="img" xmlns="http://www.w3.org/2000/svg">';
+
+    // Horizontal grid lines at quarters of the axis.
+    for (var g = 0; g <= 4; g++) {
+        var value = (maxY * g) / 4;
+        var gy = y(value);
+        svg += '<line x1="' + left + '" x2="' + (width - right) + '" y1="' + gy + '" y2="' + gy + '" stroke="#eee"/>';
+        svg += '<text x="' + (left - 6) + '" y="' + (gy + 4) + '" font-size="11" fill="#999" text-anchor="end">' +
+            Math.round(value * 10) / 10 + suffix + '</text>';
+    }
+
+    labels.forEach(function (label, i) {
+        var short = label.length > 18 ? label.slice(0, 17) + '…' : label;
+        svg += '<text x="' + x(i) + '" y="' + (height - bottom + 18) + '" font-size="11" fill="#666" text-anchor="middle">' +
+            esc(short) + '</text>';
+    });
+
+    series.forEach(function (s) {
+        var path = '';
+        var drawing = false;
+        s.values.forEach(function (v, i) {
+            if (v == null) { drawing = false; return; }
+            path += (drawing ? ' L' : ' M') + x(i) + ' ' + y(v);
+            drawing = true;
+        });
+        if (path) {
+            svg += '<path d="' + path.trim() + '" fill="none" stroke="' + s.color + '" stroke-width="2"/>';
+        }
+        s.values.forEach(function (v, i) {
+            if (v == null) return;
+            svg += '<circle cx="' + x(i) + '" cy="' + y(v) + '" r="4" fill="' + s.color + '">' +
+                '<title>' + esc(s.name + ' — ' + labels[i] + ': ' + Math.round(v * 10) / 10 + suffix) + '</title></circle>';
+        });
+    });
+
+    return svg + '</svg>';
+}
+
+function legend(series) {
+    return '<div class="chart-legend">' + series.map(function (s) {
+        return '<span style="--swatch: ' + s.color + '">' + esc(s.name) + '</span>';
+    }).join('') + '</div>';
+}
+
+// --- Util ---
+function essayLabel(essay) {
+    var date = new Date(essay.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return essay.assignmentTitle ? essay.assignmentTitle + ' (' + date + ')' : date;
+}
+
+function percent(total) {
+    if (!total || total.points == null || !total.out_of) return null;
+    return (total.points / total.out_of) * 100;
+}
+
+function scoreText(total) {
+    return total && total.points != null ? total.points + '/' + total.out_of : 'n/a';
+}
+
+function categoryName(category) {
+    return window.CATEGORIES ? window.CATEGORIES.getCategoryName(category) : category;
+}
+
+// --- User dropdown ---
+function toggleUserDropdown() {
+    var dropdown = document.getElementById('userDropdown');
+    if (!dropdown) return;
+    dropdown.style.display = dropdown.style.display === 'block' ? 'none' : 'block';
+}
+
+document.addEventListener('click', function (e) {
+    var dropdown = document.getElementById('userDropdown');
+    var emailEl = document.getElementById('userEmail');
+    if (dropdown && emailEl && !emailEl.contains(e.target) && !dropdown.contains(e.target)) {
+        dropdown.style.display = 'none';
+    }
+});
+
+// --- Sign out ---
+async function signOut() {
+    try { await fetch('/auth/logout', { method: 'POST', credentials: 'include' }); } catch (e) { /* ignore */ }
+    window.location.href = '/login';
+}
+
+function esc(str) {
+    if (str == null || str === '') return '';
+    var d = document.createElement('div');
+    d.textContent = String(str);
+    return d.innerHTML.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,561 @@
+/**
+ * Rubric Management Module
+ *
+ * Teacher-editable rubrics: list, create, edit (every save is a new version),
+ * browse old versions, delete. Class profiles pick a rubric (and optionally
+ * pin a version) from the select this module renders into the profile form.
+ *
+ * The editor is a structured form over the rubric definition the server
+ * validates (grader/rubrics.js): zero rules, then per category a name,
+ * weight, scoring type with its count thresholds, and 2-10 bands, each
+ * with a point range, an optional label and a description. Category colors
+ * aren't editable here; they ride along unchanged from the loaded definition.
+ *
+ * Exposes window.RubricsModule plus the globals the inline onclick handlers
+ * in the generated HTML call.
+ */
+(function () {
+    'use strict';
+
+    // New categories start with the default rubric's band count.
+    const DEFAULT_BAND_COUNT = 5;
+    const MIN_BANDS = 2;
+    const MAX_BANDS = 10;
+
+    // Threshold fields shown for each scoring type, with their hint text.
+    // Every list has one value per band except the last (e.g. 4 values for
+    // 5 bands); the last band catches everything past the final value.
+    const SCORING_FIELDS = {
+        error_count: [
+            ['thresholds', 'Max errors for each band but the last (ascending, e.g. 3, 5, 9, 15)'],
+            ['structure_thresholds', 'Optional, grammar only: min class structures for each band but the last (e.g. 4, 3, 2, 1)'],
+        ],
+        class_vocabulary: [
+            ['thresholds', 'Min class-vocabulary words for each band but the last (descending, e.g. 10, 7, 5, 3)'],
+        ],
+        layout: [
+            ['length_under', 'Max words under target for each band but the last (e.g. 13, 15, 17, 19)'],
+            ['length_over', 'Max words over target for each band but the last (e.g. 15, 20, 25, 30)'],
+            ['transition_thresholds', 'Min transition words for each band but the last (e.g. 6, 5, 4, 2)'],
+        ],
+        subjective: [],
+    };
+
+    const SCORING_LABELS = {
+        error_count: 'Count detected errors',
+        class_vocabulary: 'Count class vocabulary used',
+        layout: 'Length + transition words',
+        subjective: 'Teacher/AI judgment',
+    };
+
+    let rubrics = [];
+    // Rubric being edited: { id (null for new), name, description, categories: [..] }
+    let editing = null;
+
+    function escapeText(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function slugify(name) {
+        const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        return /^[a-z]/.test(slug) ? slug : `category_${slug || Date.now()}`;
+    }
+
+    function parseNumberList(raw) {
+        const text = String(raw || '').trim();
+        if (!text) return null;
+        return text.split(/[,\s]+/).filter(Boolean).map(Number);
+    }
+
+    function parseWholeNumber(raw) {
+        const text = String(raw ?? '').trim();
+        return text === '' ? null : Number(text);
+    }
+
+    function emptyBand() {
+        return { range: '', points: null, description: '' };
+    }
+
+    /**
+     * Load the teacher's rubrics from the server and refresh every profile
+     * form's rubric select.
+     */
+    async function loadRubrics() {
+        try {
+            const response = await fetch('/api/rubrics?' + Date.now(), { credentials: 'include' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            rubrics = data.rubrics || [];
+        } catch (error) {
+            console.error('[RUBRICS] Error loading rubrics:', error);
+            rubrics = [];
+        }
+        refreshProfileRubricSelects();
+        return rubrics;
+    }
+
+    /**
+     * <option>s for a profile form's rubric select. The empty value is the
+     * built-in rubric.
+     */
+    function rubricOptionsHTML(selectedId) {
+        return ['<option value="">Default rubric (built-in)</option>']
+            .concat(rubrics.map(r =>
+                `<option value="${escapeText(r.id)}"${r.id === selectedId ? ' selected' : ''}>${escapeText(r.name)}</option>`))
+            .join('');
+    }
+
+    /**
+     * <option>s for a profile form's version select: "latest" (empty value)
+     * or one pinned version of the chosen rubric.
+     */
+    function versionOptionsHTML(rubricId, selectedVersion) {
+        const rubric = rubrics.find(r => r.id === rubricId);
+        const options = ['<option value="">Always use the latest version</option>'];
+        if (rubric) {
+            rubric.versions.forEach(v => {
+                const selected = Number(selectedVersion) === v.version ? ' selected' : '';
+                options.push(`<option value="${v.version}"${selected}>Version ${v.version} (${new Date(v.created).toLocaleDateString()})</option>`);
+            });
+        }
+        return options.join('');
+    }
+
+    /**
+     * Re-render the version select after the rubric select changes.
+     * @param {string} profileId - profile form suffix ('new' or a profile ID)
+     */
+    function updateRubricVersionOptions(profileId, selectedVersion = null) {
+        const rubricSelect = document.getElementById(`profileRubric-${profileId}`);
+        const versionSelect = document.getElementById(`profileRubricVersion-${profileId}`);
+        if (!rubricSelect || !versionSelect) return;
+        versionSelect.innerHTML = versionOptionsHTML(rubricSelect.value, selectedVersion);
+        versionSelect.disabled = !rubricSelect.value;
+    }
+
+    /**
+     * Re-render the options of every rubric select in open profile forms,
+     * keeping each form's current choice.
+     */
+    function refreshProfileRubricSelects() {
+        document.querySelectorAll('[id^="profileRubric-"]').forEach(select => {
+            const profileId = select.id.replace('profileRubric-', '');
+            const versionSelect = document.getElementById(`profileRubricVersion-${profileId}`);
+            const current = select.value;
+            select.innerHTML = rubricOptionsHTML(current);
+            updateRubricVersionOptions(profileId, versionSelect ? versionSelect.value : null);
+        });
+    }
+
+    function getRubricName(rubricId) {
+        const rubric = rubrics.find(r => r.id === rubricId);
+        return rubric ? rubric.name : 'Default rubric (built-in)';
+    }
+
+    // ------------------------------------------------------------------
+    // Modal: rubric list
+    // ------------------------------------------------------------------
+
+    function openRubricManagementModal() {
+        const modal = document.getElementById('rubricManagementModal');
+        if (!modal) return;
+        modal.style.display = 'block';
+        editing = null;
+        renderRubricList();
+        loadRubrics().then(renderRubricList);
+    }
+
+    function closeRubricManagementModal() {
+        const modal = document.getElementById('rubricManagementModal');
+        if (modal) modal.style.display = 'none';
+        editing = null;
+    }
+
+    function renderRubricList() {
+        const container = document.getElementById('rubricManagementContent');
+        if (!container || editing) return;
+
+        const items = rubrics.map(r => `
+            <div class="rubric-item" data-rubric-id="${escapeText(r.id)}" style="border: 1px solid #ddd; padding: 12px 15px; margin: 10px 0; border-radius: 4px;">
+                <h4 style="margin: 0 0 6px 0;">${escapeText(r.name)}</h4>
+                ${r.description ? `<p style="margin: 0 0 6px 0; color: #555;">${escapeText(r.description)}</p>` : ''}
+                <p style="margin: 0 0 8px 0; font-size: 13px; color: #666;">
+                    Version ${r.latestVersion} · ${Object.keys(r.definition?.categories || {}).length} categories
+                </p>
+                <button type="button" onclick="openRubricEditor('${escapeText(r.id)}')">Edit</button>
+                <button type="button" onclick="deleteRubric('${escapeText(r.id)}')" style="background: #dc3545; color: white; margin-left: 10px;">Delete</button>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <div style="margin-bottom: 15px;">
+                <button type="button" onclick="openRubricEditor(null)">New Rubric</button>
+                <span style="margin-left: 10px; font-size: 13px; color: #666;">New rubrics start as a copy of the default rubric.</span>
+            </div>
+            ${items || '<p style="color: #666; text-align: center; margin-top: 30px;">No rubrics yet. Profiles use the default rubric until you create one.</p>'}
+        `;
+    }
+
+    async function deleteRubric(rubricId) {
+        if (!confirm('Delete this rubric and all its versions? Profiles using it will go back to the default rubric.')) return;
+        try {
+            const response = await fetch(`/api/rubrics/${rubricId}`, { method: 'DELETE', credentials: 'include' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            rubrics = rubrics.filter(r => r.id !== rubricId);
+            renderRubricList();
+            refreshProfileRubricSelects();
+        } catch (error) {
+            console.error('[RUBRICS] Delete error:', error);
+            showError('Error deleting rubric', 'Delete Error');
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Editor
+    // ------------------------------------------------------------------
+
+    function definitionToEditing(rubric, definition) {
+        return {
+            id: rubric ? rubric.id : null,
+            name: rubric ? rubric.name : '',
+            description: rubric ? rubric.description || '' : '',
+            latestVersion: rubric ? rubric.latestVersion : null,
+            versions: rubric ? rubric.versions : [],
+            viewingVersion: rubric ? rubric.latestVersion : null,
+            label: definition.label || '',
+            zero_rules: definition.zero_rules || [],
+            categories: Object.entries(definition.categories || {}).map(([id, c]) => ({ ...c, id })),
+        };
+    }
+
+    /**
+     * Open the editor for an existing rubric, or for a new one seeded from
+     * the default rubric.
+     * @param {string|null} rubricId
+     */
+    async function openRubricEditor(rubricId) {
+        try {
+            if (rubricId) {
+                const rubric = rubrics.find(r => r.id === rubricId);
+                if (!rubric) return;
+                editing = definitionToEditing(rubric, rubric.definition || {});
+            } else {
+                const response = await fetch('/api/rubrics/default', { credentials: 'include' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const { definition } = await response.json();
+                editing = definitionToEditing(null, definition);
+            }
+            renderEditor();
+        } catch (error) {
+            console.error('[RUBRICS] Error opening editor:', error);
+            showError('Could not load the rubric', 'Rubric Error');
+        }
+    }
+
+    /**
+     * Load an older version into the editor. Saving it makes it the newest
+     * version again — versions themselves are never modified.
+     */
+    async function viewRubricVersion(version) {
+        if (!editing || !editing.id) return;
+        try {
+            const response = await fetch(`/api/rubrics/${editing.id}/versions/${version}`, { credentials: 'include' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            const rubric = rubrics.find(r => r.id === editing.id);
+            editing = definitionToEditing(rubric, data.version.definition);
+            editing.viewingVersion = data.version.version;
+            renderEditor();
+        } catch (error) {
+            console.error('[RUBRICS] Error loading version:', error);
+            showError('Could not load that version', 'Rubric Error');
+        }
+    }
+
+    function scoringFieldsHTML(category, index) {
+        const scoring = category.scoring || { type: 'subjective' };
+        return (SCORING_FIELDS[scoring.type] || []).map(([field, hint]) => `
+            <div style="margin-top: 6px;">
+                <label style="font-size: 13px;">${escapeText(hint)}</label>
+                <input type="text" data-cat="${index}" data-scoring-field="${field}"
+                       value="${escapeText((scoring[field] || []).join(', '))}"
+                       style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+            </div>
+        `).join('');
+    }
+
+    function categoryHTML(category, index) {
+        const scoringType = category.scoring?.type || 'subjective';
+        const bands = category.bands?.length ? category.bands : Array.from({ length: DEFAULT_BAND_COUNT }, emptyBand);
+        return `
+            <fieldset class="rubric-category" data-cat="${index}" style="border: 1px solid #ddd; border-left: 4px solid ${escapeText(category.color || '#607D8B')}; border-radius: 4px; padding: 12px; margin-bottom: 12px;">
+                <div style="display: flex; gap: 10px; align-items: flex-end;">
+                    <div style="flex: 2;">
+                        <label style="font-size: 13px;">Name</label>
+                        <input type="text" data-cat="${index}" data-field="name" value="${escapeText(category.name)}" style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                    </div>
+                    <div style="flex: 1;">
+                        <label style="font-size: 13px;">Key</label>
+                        <input type="text" data-cat="${index}" data-field="id" value="${escapeText(category.id)}" placeholder="from name" style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                    </div>
+                    <div style="width: 90px;">
+                        <label style="font-size: 13px;">Weight</label>
+                        <input type="number" min="1" step="1" data-cat="${index}" data-field="weight" value="${escapeText(category.weight)}" oninput="updateRubricWeightTotal()" style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                    </div>
+                    <button type="button" onclick="removeRubricCategory(${index})" style="background: #dc3545; color: white;">Remove</button>
+                </div>
+                <div style="margin-top: 8px;">
+                    <label style="font-size: 13px;">Description</label>
+                    <input type="text" data-cat="${index}" data-field="description" value="${escapeText(category.description)}" style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </div>
+                <div style="margin-top: 8px;">
+                    <label style="font-size: 13px;">Scoring</label>
+                    <select data-cat="${index}" data-field="scoringType" onchange="changeRubricScoringType(${index})" style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                        ${Object.entries(SCORING_LABELS).map(([type, label]) =>
+                            `<option value="${type}"${type === scoringType ? ' selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    ${scoringFieldsHTML(category, index)}
+                </div>
+                <div style="margin-top: 10px;">
+                    <label style="font-size: 13px;">Bands (best first): points from-to, optional label, description</label>
+                    ${bands.map((band, b) => `
+                        <div style="display: flex; gap: 8px; margin-top: 4px; align-items: center;">
+                            <input type="number" min="0" step="1" data-cat="${index}" data-band="${b}" data-band-field="pointsMax" value="${escapeText(band.points?.max)}" placeholder="max" title="Most points in this band" style="width: 60px; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                            <input type="number" min="0" step="1" data-cat="${index}" data-band="${b}" data-band-field="pointsMin" value="${escapeText(band.points?.min)}" placeholder="min" title="Fewest points in this band" style="width: 60px; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                            <input type="text" data-cat="${index}" data-band="${b}" data-band-field="range" value="${escapeText(band.range)}" placeholder="15% - 13%" style="width: 110px; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                            <input type="text" data-cat="${index}" data-band="${b}" data-band-field="description" value="${escapeText(band.description)}" placeholder="What this band looks like" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                            <button type="button" onclick="removeRubricBand(${index}, ${b})"${bands.length <= MIN_BANDS ? ' disabled' : ''} title="Remove band">&times;</button>
+                        </div>
+                    `).join('')}
+                    <button type="button" onclick="addRubricBand(${index})"${bands.length >= MAX_BANDS ? ' disabled' : ''} style="margin-top: 6px;">Add Band</button>
+                </div>
+            </fieldset>
+        `;
+    }
+
+    function renderEditor() {
+        const container = document.getElementById('rubricManagementContent');
+        if (!container || !editing) return;
+
+        const versionPicker = editing.versions.length > 1 ? `
+            <div style="margin-bottom: 12px; font-size: 13px;">
+                <label for="rubricVersionPicker">Showing version:</label>
+                <select id="rubricVersionPicker" onchange="viewRubricVersion(parseInt(this.value, 10))" style="padding: 4px;">
+                    ${editing.versions.map(v =>
+                        `<option value="${v.version}"${v.version === editing.viewingVersion ? ' selected' : ''}>Version ${v.version} (${new Date(v.created).toLocaleDateString()})</option>`).join('')}
+                </select>
+                ${editing.viewingVersion !== editing.latestVersion ? '<span style="color: #b45309; margin-left: 8px;">Saving will make this the newest version.</span>' : ''}
+            </div>` : '';
+
+        container.innerHTML = `
+            <h4 style="margin-top: 0;">${editing.id ? 'Edit Rubric' : 'New Rubric'}</h4>
+            ${versionPicker}
+            <div style="margin-bottom: 10px;">
+                <label for="rubricName">Rubric name</label>
+                <input type="text" id="rubricName" value="${escapeText(editing.name)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+            </div>
+            <div style="margin-bottom: 10px;">
+                <label for="rubricDescription">Description (optional)</label>
+                <input type="text" id="rubricDescription" value="${escapeText(editing.description)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="rubricZeroRules">Zero-score rules (one per line)</label>
+                <textarea id="rubricZeroRules" rows="4" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">${escapeText(editing.zero_rules.join('\n'))}</textarea>
+            </div>
+            <div id="rubricCategories">
+                ${editing.categories.map(categoryHTML).join('')}
+            </div>
+            <div style="display: flex; justify-content: space-between; align-items: center; margin: 10px 0;">
+                <button type="button" onclick="addRubricCategory()">Add Category</button>
+                <span id="rubricWeightTotal" style="font-weight: bold;"></span>
+            </div>
+            <div style="text-align: right; padding-top: 10px; border-top: 1px solid #e0e0e0;">
+                <button type="button" onclick="saveRubric()" style="background: #28a745; color: white; border: none; padding: 10px 20px; border-radius: 4px; margin-right: 10px;">${editing.id ? 'Save New Version' : 'Create Rubric'}</button>
+                <button type="button" onclick="cancelRubricEdit()" style="background: #6c757d; color: white; border: none; padding: 10px 20px; border-radius: 4px;">Cancel</button>
+            </div>
+        `;
+        updateRubricWeightTotal();
+    }
+
+    /**
+     * Read the editor's inputs back into `editing`. Fields the editor
+     * doesn't show (colors) are kept from the loaded category.
+     */
+    function collectEditor() {
+        const field = (sel) => document.querySelector(sel);
+        editing.name = field('#rubricName')?.value.trim() || '';
+        editing.description = field('#rubricDescription')?.value.trim() || '';
+        editing.zero_rules = (field('#rubricZeroRules')?.value || '')
+            .split('\n').map(s => s.trim()).filter(Boolean);
+
+        editing.categories = editing.categories.map((original, index) => {
+            const input = (name) => field(`[data-cat="${index}"][data-field="${name}"]`);
+            const type = input('scoringType')?.value || 'subjective';
+            const scoring = { type };
+            (SCORING_FIELDS[type] || []).forEach(([name]) => {
+                const values = parseNumberList(field(`[data-cat="${index}"][data-scoring-field="${name}"]`)?.value);
+                if (values) scoring[name] = values;
+            });
+            const name = input('name')?.value.trim() || '';
+            return {
+                ...original,
+                id: input('id')?.value.trim() || slugify(name),
+                name,
+                weight: parseInt(input('weight')?.value, 10) || 0,
+                description: input('description')?.value.trim() || '',
+                scoring,
+                bands: Array.from(document.querySelectorAll(`[data-cat="${index}"][data-band-field="description"]`), (_, b) => {
+                    const bandInput = (name) => field(`[data-cat="${index}"][data-band="${b}"][data-band-field="${name}"]`);
+                    const min = parseWholeNumber(bandInput('pointsMin')?.value);
+                    const max = parseWholeNumber(bandInput('pointsMax')?.value);
+                    const band = {
+                        range: bandInput('range')?.value.trim() || '',
+                        description: bandInput('description')?.value.trim() || '',
+                    };
+                    // Blank points fall back to the label, then an even split (server side).
+                    if (min !== null || max !== null) band.points = { min, max };
+                    return band;
+                }),
+            };
+        });
+    }
+
+    function toDefinition() {
+        const categories = {};
+        editing.categories.forEach(category => {
+            categories[category.id] = category;
+        });
+        return { label: editing.label || editing.name, zero_rules: editing.zero_rules, categories };
+    }
+
+    function updateRubricWeightTotal() {
+        const el = document.getElementById('rubricWeightTotal');
+        if (!el) return;
+        const total = Array.from(document.querySelectorAll('[data-field="weight"]'))
+            .reduce((sum, input) => sum + (parseInt(input.value, 10) || 0), 0);
+        el.textContent = `Total weight: ${total}/100`;
+        el.style.color = total === 100 ? '#28a745' : '#dc3545';
+    }
+
+    function addRubricCategory() {
+        collectEditor();
+        editing.categories.push({
+            id: '',
+            name: '',
+            weight: 0,
+            description: '',
+            scoring: { type: 'subjective' },
+            bands: Array.from({ length: DEFAULT_BAND_COUNT }, emptyBand),
+        });
+        renderEditor();
+    }
+
+    function addRubricBand(index) {
+        collectEditor();
+        const bands = editing.categories[index].bands;
+        if (bands.length < MAX_BANDS) bands.push(emptyBand());
+        renderEditor();
+    }
+
+    function removeRubricBand(index, band) {
+        collectEditor();
+        const bands = editing.categories[index].bands;
+        if (bands.length > MIN_BANDS) bands.splice(band, 1);
+        renderEditor();
+    }
+
+    function removeRubricCategory(index) {
+        collectEditor();
+        editing.categories.splice(index, 1);
+        renderEditor();
+    }
+
+    function changeRubricScoringType(index) {
+        collectEditor();
+        renderEditor();
+    }
+
+    function cancelRubricEdit() {
+        editing = null;
+        renderRubricList();
+    }
+
+    async function saveRubric() {
+        collectEditor();
+        if (!editing.name) {
+            showError('Please give the rubric a name.', 'Rubric Incomplete');
+            return;
+        }
+
+        const isNew = !editing.id;
+        try {
+            const response = await fetch(isNew ? '/api/rubrics' : `/api/rubrics/${editing.id}`, {
+                method: isNew ? 'POST' : 'PUT',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: editing.name,
+                    description: editing.description,
+                    definition: toDefinition(),
+                }),
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const details = Array.isArray(data.details) ? '\n\n' + data.details.join('\n') : '';
+                showError((data.error || `Error saving rubric (${response.status})`) + details, 'Rubric Not Saved');
+                return;
+            }
+
+            editing = null;
+            await loadRubrics();
+            renderRubricList();
+        } catch (error) {
+            console.error('[RUBRICS] Save error:', error);
+            showError('Error saving rubric: ' + error.message, 'Save Error');
+        }
+    }
+
+    function setupRubricModalHandlers() {
+        const modal = document.getElementById('rubricManagementModal');
+        if (modal) {
+            // Close on backdrop click
+            modal.addEventListener('click', function (e) {
+                if (e.target === modal) closeRubricManagementModal();
+            });
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', setupRubricModalHandlers);
+
+    window.RubricsModule = {
+        loadRubrics,
+        getRubrics: () => rubrics,
+        getRubricName,
+        rubricOptionsHTML,
+        versionOptionsHTML,
+        updateRubricVersionOptions,
+        openRubricManagementModal,
+        closeRubricManagementModal,
+    };
+
+    // Globals for the inline handlers in the generated HTML.
+    window.openRubricManagementModal = openRubricManagementModal;
+    window.closeRubricManagementModal = closeRubricManagementModal;
+    window.updateRubricVersionOptions = updateRubricVersionOptions;
+    window.openRubricEditor = openRubricEditor;
+    window.viewRubricVersion = viewRubricVersion;
+    window.deleteRubric = deleteRubric;
+    window.addRubricCategory = addRubricCategory;
+    window.removeRubricCategory = removeRubricCategory;
+    window.addRubricBand = addRubricBand;
+    window.removeRubricBand = removeRubricBand;
+    window.changeRubricScoringType = changeRubricScoringType;
+    window.updateRubricWeightTotal = updateRubricWeightTotal;
+    window.cancelRubricEdit = cancelRubricEdit;
+    window.saveRubric = saveRubric;
+})();
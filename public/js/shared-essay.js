@@ -0,0 +1,138 @@
+/**
+ * Shared Essay Page
+ * What a student sees when they open a share link from their teacher: the
+ * graded essay with its highlights, the grade, the category breakdown and
+ * the teacher's notes. Tapping a highlight shows its correction and
+ * explanation. Nothing here can be edited.
+ *
+ * Students have no account; the token in the URL is the permission, and
+ * the teacher can revoke it from the account page.
+ */
+
+// --- Init ---
+document.addEventListener('DOMContentLoaded', async function () {
+    var token = window.location.pathname.split('/').pop();
+    try {
+        var resp = await fetch('/api/shared/' + encodeURIComponent(token));
+        var data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+        renderSharedEssay(data);
+    } catch (e) {
+        console.error('[SHARED] Load error:', e);
+        document.getElementById('sharedContent').innerHTML =
+            '<div class="empty-state"><p>Could not open this feedback</p>' + esc(e.message) + '</div>';
+    }
+});
+
+// --- Rendering ---
+function renderSharedEssay(data) {
+    document.title = data.studentName + ' - Essay Feedback';
+
+    var html = '<h1 class="shared-title">' + esc(data.studentName) + '</h1>' +
+        '<p class="shared-meta">Link available until ' + esc(new Date(data.expiresAt).toLocaleDateString()) + '</p>' +
+        data.feedbackSummary +
+        '<div class="shared-hint">Tap a highlighted word to see the correction.</div>' +
+        '<div id="sharedLegend" class="shared-legend"></div>' +
+        '<div id="sharedEssay" class="shared-essay">' + data.formattedText + '</div>';
+    document.getElementById('sharedContent').innerHTML = html;
+
+    var essay = document.getElementById('sharedEssay');
+    renderLegend(document.getElementById('sharedLegend'), essay);
+    attachHighlightHandlers(essay);
+}
+
+function primaryCategory(mark) {
+    return (mark.getAttribute('data-category') || mark.getAttribute('data-type') || '').split(',')[0].trim();
+}
+
+/**
+ * Key to the highlight colors, for the categories this essay uses.
+ */
+function renderLegend(legend, essay) {
+    var used = {};
+    essay.querySelectorAll('mark[data-category]').forEach(function (mark) {
+        var category = window.CATEGORIES.getCategory(primaryCategory(mark));
+        if (category) used[category.id] = true;
+    });
+
+    var swatches = window.CATEGORIES.getManualCategories().filter(function (category) {
+        return used[category.id];
+    }).map(function (category) {
+        var style = window.CATEGORIES.getCategoryStyle(category.id);
+        var css = 'background: ' + style.background + '; color: ' + style.color + ';' +
+            (style.strikethrough ? ' text-decoration: line-through;' : '');
+        return '<mark style="' + css + '">' + esc(category.name) + '</mark>';
+    });
+    if (swatches.length === 0) {
+        legend.remove();
+        return;
+    }
+    legend.innerHTML = '<strong>Highlight Meanings:</strong>' + swatches.join('');
+}
+
+// --- Tap-to-reveal corrections ---
+function attachHighlightHandlers(essay) {
+    essay.querySelectorAll('mark[data-category]').forEach(function (mark) {
+        mark.addEventListener('click', function (e) {
+            // Nested highlights: the innermost one tapped answers.
+            e.stopPropagation();
+            showHighlightTooltip(mark);
+        });
+    });
+}
+
+// Highlights on a resubmitted draft (data-revision, see grader/formatter.js).
+var REVISION_NOTES = {
+    persisted: 'Also marked in your previous draft',
+    introduced: 'New in this draft',
+    newly_flagged: 'Not marked in your previous draft'
+};
+
+function showHighlightTooltip(mark) {
+    hideHighlightTooltip();
+
+    var correction = mark.getAttribute('data-correction') || '';
+    var explanation = mark.getAttribute('data-explanation') || '';
+    var name = window.CATEGORIES.getCategoryName(primaryCategory(mark));
+    var style = window.CATEGORIES.getCategoryStyle(primaryCategory(mark));
+
+    var tooltip = document.createElement('div');
+    tooltip.className = 'shared-highlight-tooltip';
+    tooltip.setAttribute('role', 'dialog');
+    var html = '<div class="tooltip-category" style="color: ' +
+        (style.background !== 'transparent' ? '#333' : style.color) + ';">' + esc(name) + '</div>';
+    if (correction) html += '<div style="margin-bottom:6px;"><strong>Correction:</strong> ' + esc(correction) + '</div>';
+    if (explanation) html += '<div><strong>Explanation:</strong> ' + esc(explanation) + '</div>';
+    var revision = REVISION_NOTES[mark.getAttribute('data-revision')];
+    if (revision) html += '<div style="margin-top:6px;color:#1976D2;">' + esc(revision) + '</div>';
+    tooltip.innerHTML = html;
+    document.body.appendChild(tooltip);
+    mark.classList.add('active');
+
+    var rect = mark.getBoundingClientRect();
+    tooltip.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - 320)) + 'px';
+    tooltip.style.top = (rect.bottom + 8) + 'px';
+}
+
+function hideHighlightTooltip() {
+    var existing = document.querySelector('.shared-highlight-tooltip');
+    if (existing) existing.remove();
+    document.querySelectorAll('.shared-essay mark.active').forEach(function (mark) {
+        mark.classList.remove('active');
+    });
+}
+
+// Tapping anywhere else closes the tooltip; scrolling would leave it behind.
+document.addEventListener('click', function (e) {
+    var tooltip = document.querySelector('.shared-highlight-tooltip');
+    if (tooltip && !tooltip.contains(e.target)) hideHighlightTooltip();
+});
+window.addEventListener('scroll', hideHighlightTooltip, { passive: true });
+
+// --- Helpers ---
+function esc(str) {
+    if (str == null || str === '') return '';
+    var d = document.createElement('div');
+    d.textContent = String(str);
+    return d.innerHTML.replace(/"/g, '&quot;');
+}
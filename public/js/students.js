@@ -0,0 +1,223 @@
+/**
+ * Student Roster Module
+ *
+ * Each class profile can carry a roster of students. This module shows and
+ * edits it from the profile list (a "Roster" panel per profile: the current
+ * students, plus a box to paste a roster exported from a spreadsheet or SIS),
+ * and feeds the grading form: the student-name inputs autocomplete from the
+ * selected profile's roster, and findStudentId links a typed name to its
+ * roster entry before the essay is sent. Each roster row links to the
+ * student's progress report (/progress).
+ *
+ * Only exact names and nicknames are matched here; the server matches the
+ * rest (reordered names, first names only, small typos) when grading.
+ *
+ * Exposes window.StudentsModule plus the globals the inline onclick handlers
+ * in the generated HTML call.
+ */
+(function () {
+    'use strict';
+
+    // Roster per class profile ID, loaded on first use.
+    const rosters = {};
+    const loading = {};
+
+    function escapeText(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // Same normalization as the server (src/services/roster.js).
+    function normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Load a profile's roster from the server (cached).
+     * @param {string} profileId
+     * @param {boolean} [refresh] - ignore the cache
+     * @returns {Promise<Array>} students
+     */
+    async function loadRoster(profileId, refresh = false) {
+        if (!profileId) return [];
+        if (rosters[profileId] && !refresh) return rosters[profileId];
+        if (loading[profileId] && !refresh) return loading[profileId];
+
+        loading[profileId] = (async () => {
+            try {
+                const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}/students`, { credentials: 'include' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const data = await response.json();
+                rosters[profileId] = data.students || [];
+            } catch (error) {
+                console.error('[STUDENTS] Error loading roster:', error);
+                rosters[profileId] = rosters[profileId] || [];
+            }
+            delete loading[profileId];
+            return rosters[profileId];
+        })();
+        return loading[profileId];
+    }
+
+    /**
+     * The roster entry a typed name or nickname belongs to, from the cached
+     * roster. Null when the roster isn't loaded, or no single student matches.
+     * @param {string} profileId
+     * @param {string} name
+     * @returns {string|null} student ID
+     */
+    function findStudentId(profileId, name) {
+        const roster = rosters[profileId];
+        const typed = normalizeName(name);
+        if (!roster || !typed) return null;
+        const hits = roster.filter(s =>
+            [s.name, ...(s.aliases || [])].some(n => normalizeName(n) === typed));
+        return hits.length === 1 ? hits[0].id : null;
+    }
+
+    /**
+     * Fill the shared #rosterNames datalist with the selected profile's
+     * students, so the student-name inputs autocomplete from the roster.
+     */
+    async function updateRosterDatalist() {
+        const select = window.TabStore ? window.TabStore.activeQuery('#classProfile') : document.getElementById('classProfile');
+        let datalist = document.getElementById('rosterNames');
+        if (!datalist) {
+            datalist = document.createElement('datalist');
+            datalist.id = 'rosterNames';
+            document.body.appendChild(datalist);
+        }
+        const roster = select && select.value ? await loadRoster(select.value) : [];
+        datalist.innerHTML = roster.map(s => `<option value="${escapeText(s.name)}"></option>`).join('');
+    }
+
+    // ------------------------------------------------------------------
+    // Roster panel in the profile list
+    // ------------------------------------------------------------------
+
+    function renderRosterPanel(profileId) {
+        const panel = document.getElementById(`roster-${profileId}`);
+        if (!panel) return;
+        const roster = rosters[profileId] || [];
+
+        const rows = roster.map(s => `
+            <tr>
+                <td style="padding: 4px 8px;">${escapeText(s.name)}</td>
+                <td style="padding: 4px 8px; color: #666;">${escapeText(s.externalId || '')}</td>
+                <td style="padding: 4px 8px; color: #666;">${escapeText((s.aliases || []).join(', '))}</td>
+                <td style="padding: 4px 8px; white-space: nowrap;">
+                    <a href="/progress?student=${encodeURIComponent(s.id)}" target="_blank" style="margin-right: 6px;">Progress</a>
+                    <button type="button" onclick="removeRosterStudent('${escapeText(profileId)}', '${escapeText(s.id)}')" style="background: #dc3545; color: white; padding: 2px 8px;">Remove</button>
+                </td>
+            </tr>
+        `).join('');
+
+        panel.innerHTML = `
+            ${roster.length ? `
+                <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 10px;">
+                    <thead><tr style="text-align: left; border-bottom: 1px solid #ddd;">
+                        <th style="padding: 4px 8px;">Name</th><th style="padding: 4px 8px;">ID</th><th style="padding: 4px 8px;">Nicknames</th><th></th>
+                    </tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<p style="color: #666;">No students yet. Batch essays are matched to roster names when grading.</p>'}
+            <label for="rosterImport-${escapeText(profileId)}" style="font-weight: 500;">Add students</label>
+            <textarea id="rosterImport-${escapeText(profileId)}" rows="5" style="width: 100%; box-sizing: border-box;"
+                      placeholder="One name per line, or paste a spreadsheet with a header row (Name, ID, Nickname)"></textarea>
+            <div style="margin-top: 6px;">
+                <button type="button" onclick="importRosterText('${escapeText(profileId)}')">Import</button>
+                <span id="rosterStatus-${escapeText(profileId)}" style="margin-left: 10px; font-size: 13px; color: #666;"></span>
+            </div>
+        `;
+    }
+
+    /**
+     * Show or hide a profile's roster panel, loading the roster when opened.
+     * @param {string} profileId
+     */
+    async function toggleRoster(profileId) {
+        const panel = document.getElementById(`roster-${profileId}`);
+        if (!panel) return;
+        if (panel.style.display !== 'none' && panel.style.display) {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = 'block';
+        panel.innerHTML = '<p style="color: #666;">Loading roster...</p>';
+        await loadRoster(profileId, true);
+        renderRosterPanel(profileId);
+    }
+
+    async function importRosterText(profileId) {
+        const textarea = document.getElementById(`rosterImport-${profileId}`);
+        const status = document.getElementById(`rosterStatus-${profileId}`);
+        const roster = textarea ? textarea.value : '';
+        if (!roster.trim()) return;
+
+        try {
+            const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}/students/import`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ roster }),
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+            await loadRoster(profileId, true);
+            renderRosterPanel(profileId);
+            updateRosterDatalist();
+            const newStatus = document.getElementById(`rosterStatus-${profileId}`);
+            if (newStatus) newStatus.textContent = `${data.created} added, ${data.updated} updated, ${data.skipped} unchanged or skipped`;
+        } catch (error) {
+            console.error('[STUDENTS] Import error:', error);
+            if (status) status.textContent = '';
+            showError('Error importing roster', 'Import Error');
+        }
+    }
+
+    async function removeRosterStudent(profileId, studentId) {
+        if (!confirm('Remove this student from the roster? Their saved essays are kept.')) return;
+        try {
+            const response = await fetch(`/api/students/${encodeURIComponent(studentId)}`, { method: 'DELETE', credentials: 'include' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            rosters[profileId] = (rosters[profileId] || []).filter(s => s.id !== studentId);
+            renderRosterPanel(profileId);
+            updateRosterDatalist();
+        } catch (error) {
+            console.error('[STUDENTS] Delete error:', error);
+            showError('Error removing student', 'Delete Error');
+        }
+    }
+
+    // Refresh the autocomplete when a name field is focused, so it follows
+    // whichever profile the active tab has selected.
+    document.addEventListener('focusin', (e) => {
+        if (e.target.classList && e.target.classList.contains('student-name')) {
+            updateRosterDatalist();
+        }
+    });
+    document.addEventListener('change', (e) => {
+        if (e.target.id === 'classProfile') updateRosterDatalist();
+    });
+
+    window.StudentsModule = {
+        loadRoster,
+        findStudentId,
+        updateRosterDatalist,
+        toggleRoster,
+    };
+
+    window.toggleRoster = toggleRoster;
+    window.importRosterText = importRosterText;
+    window.removeRosterStudent = removeRosterStudent;
+})();
@@ -4,13 +4,13 @@
  */
 
 // Phase 6 followup: Track which tab owns the currently-running grading
-// operation. Set by handleGradingFormSubmission when grading starts,
-// cleared when the grading-finished event fires. Used to pin essayData
+// operation. Set by handleGradingFormSubmission (or resumeGradingJob) when
+// grading starts, cleared when the grading-finished event fires. Used to pin essayData
 // and currentBatchData state writes to the originating tab, so that
 // switching tabs mid-stream does not scramble state across tabs.
 //
 // This mirrors currentBatchTabId in batch-processing.js but lives here
-// because the chunk stream callbacks are in this file and they need the
+// because the job stream callbacks are in this file and they need the
 // context at write time. The two contexts are set at the same time
 // (displayBatchProgress is called right after we capture here) and
 // cleared by the same grading-finished event.
@@ -183,7 +183,7 @@ async function handleGradingFormSubmission(e) {
     }
 
     // Phase 6 followup: Capture the originating tab ID before any async
-    // work starts. This ID is used by the streaming chunk callbacks to
+    // work starts. This ID is used by the grading job stream callbacks to
     // pin their essayData and currentBatchData writes to the correct
     // tab, even if the user switches to a different tab mid-stream.
     currentBatchOriginTabId = (window.TabStore && window.TabStore.activeId()) || null;
@@ -191,6 +191,7 @@ async function handleGradingFormSubmission(e) {
     const formData = new FormData(e.target);
     const studentName = formData.get('studentName') || 'Student';
     const classProfile = formData.get('classProfile') || '';
+    const assignmentId = formData.get('assignmentId') || null;
 
     // Get temperature from the selected profile
     let temperature = 0;
@@ -212,8 +213,9 @@ async function handleGradingFormSubmission(e) {
     const textareas = e.target.querySelectorAll('.student-text');
     textareas.forEach((textarea, index) => {
         if (textarea.value.trim()) {
-            const studentNameField = textarea.closest('.essay-entry').querySelector('.student-name');
-            const studentNicknameField = textarea.closest('.essay-entry').querySelector('.student-nickname');
+            const entry = textarea.closest('.essay-entry');
+            const studentNameField = entry.querySelector('.student-name');
+            const studentNicknameField = entry.querySelector('.student-nickname');
             const individualName = studentNameField ? studentNameField.value.trim() : '';
             const individualNickname = studentNicknameField ? studentNicknameField.value.trim() : '';
             studentTexts.push({
@@ -226,7 +228,16 @@ async function handleGradingFormSubmission(e) {
                 essayId: generateEssayId(),
                 text: textarea.value.trim(),
                 studentName: individualName || `${studentName} ${index + 1}`.trim(),
-                studentNickname: individualNickname
+                studentNickname: individualNickname,
+                // Roster entry, when the name matches one exactly; the
+                // server does the looser matching.
+                studentId: window.StudentsModule
+                    ? window.StudentsModule.findStudentId(classProfile, individualName)
+                        || window.StudentsModule.findStudentId(classProfile, individualNickname)
+                    : null,
+                // Transcribed from handwriting by OCR (set by the import
+                // modal); the grader then goes easy on likely misreadings.
+                ocr: entry.dataset.ocr === 'true'
             });
         }
     });
@@ -285,8 +296,11 @@ async function handleGradingFormSubmission(e) {
                 studentText: studentTexts[0].text,
                 studentName: studentTexts[0].studentName,
                 studentNickname: studentTexts[0].studentNickname,
+                studentId: studentTexts[0].studentId,
+                ocr: studentTexts[0].ocr,
                 prompt: prompt,
                 classProfile: classProfile,
+                assignmentId: assignmentId,
                 temperature: temperature,
                 isManualMode: false
             };
@@ -374,129 +388,17 @@ async function handleGradingFormSubmission(e) {
                     essayId: essay.essayId,
                     studentText: essay.text,
                     studentName: essay.studentName,
-                    studentNickname: essay.studentNickname
+                    studentNickname: essay.studentNickname,
+                    studentId: essay.studentId,
+                    ocr: essay.ocr
                 })),
                 prompt: prompt,
                 classProfile: classProfile,
+                assignmentId: assignmentId,
                 temperature: temperature
             };
 
-            // Show the progress UI only after validation passes
-            if (window.BatchProcessingModule) {
-                window.BatchProcessingModule.displayBatchProgress(batchData);
-            }
-
-            // Reset the format-call tracker so the post-stream save can
-            // wait until every essay's /format call has completed before
-            // snapshotting renderedHTML. See TODO.md: "INTERMITTENT:
-            // Category Breakdown not editable post-restore".
-            if (window.BatchProcessingModule?.resetFormatCallTracking) {
-                window.BatchProcessingModule.resetFormatCallTracking(batchData.essays.length);
-            }
-
-            // Use streaming batch endpoint for better UX (essays return progressively)
-            console.log(`[AutoSaveDiag] streaming start: ${batchData.essays.length} essays submitted`);
-
-            // Store original batch data for retry functionality — pinned to
-            // the originating tab via currentBatchOriginTabId, with a
-            // fallback to the legacy window global during the multi-phase
-            // migration.
-            const submitTabState = getBatchWriteTabState();
-            if (submitTabState) {
-                submitTabState.originalBatchDataForRetry = batchData;
-            } else {
-                window.originalBatchDataForRetry = batchData;
-            }
-
-            try {
-                const streamResult = await streamBatchGradingSimple(batchData);
-
-                // Read current batch data from the ORIGINATING tab (not the
-                // currently-active tab), with window fallback. This is
-                // essential after streaming finishes because the user may
-                // have switched tabs during the stream.
-                const readCurrentBatchData = () => {
-                    const originState = getBatchWriteTabState();
-                    return (originState && originState.currentBatchData) || window.currentBatchData;
-                };
-
-                const preExisting = !!readCurrentBatchData();
-                const preExistingCount = readCurrentBatchData()?.batchResult?.results?.length;
-                const streamCount = streamResult?.results?.length;
-                console.log(
-                    `[AutoSaveDiag] streaming done: streamResult.results=${streamCount}, ` +
-                    `currentBatchData already set=${preExisting} (len=${preExistingCount ?? 'n/a'})`
-                );
-
-                // Ensure currentBatchData is set after streaming completes
-                // (streaming displays results individually via queue, skipping displayBatchResults)
-                if (!readCurrentBatchData() && streamResult) {
-                    const newBatchData = {
-                        batchResult: streamResult,
-                        originalData: batchData
-                    };
-                    const postStreamTabState = getBatchWriteTabState();
-                    if (postStreamTabState) {
-                        postStreamTabState.currentBatchData = newBatchData;
-                    } else {
-                        window.currentBatchData = newBatchData;
-                    }
-                    console.log(`[AutoSaveDiag] assigned currentBatchData from streamResult (len=${streamCount})`);
-                } else if (preExisting && preExistingCount !== streamCount) {
-                    console.warn(
-                        `[AutoSaveDiag] MISMATCH: currentBatchData was already set with len=${preExistingCount} ` +
-                        `but streamResult has len=${streamCount}. Save will use the pre-existing value!`
-                    );
-                }
-
-                // Auto-save after streaming batch completes. We must wait
-                // until every essay's /format call has finished, otherwise
-                // the save will snapshot loading-spinner placeholders for
-                // essays that are still mid-load — which then can't be
-                // edited after a page refresh. See TODO.md.
-                if (window.AutoSaveModule) {
-                    // Capture the origin tab ID NOW, before the grading-finished
-                    // event (fired by markGradingFinished in the finally block)
-                    // clears currentBatchOriginTabId. The async block below runs
-                    // AFTER the finally block, so currentBatchOriginTabId would
-                    // already be null by the time setFormLocked fires.
-                    const lockTargetTabId = currentBatchOriginTabId;
-                    (async () => {
-                        console.log(`[AutoSaveDiag] waiting for /format calls before save...`);
-                        if (window.BatchProcessingModule?.waitForAllFormatCalls) {
-                            const result = await window.BatchProcessingModule.waitForAllFormatCalls();
-                            console.log(
-                                `[AutoSaveDiag] /format wait done: ${result.done}/${result.expected}, ` +
-                                `completed=${result.completed}`
-                            );
-                        }
-                        // Extra 300ms buffer for the 200ms setTimeout inside
-                        // loadEssayDetails that wires up setupBatchEditableElements
-                        // after the fetch resolves. Without this buffer the save
-                        // could capture HTML that is structurally correct but not
-                        // yet event-wired (restore will rewire it anyway, so this
-                        // is just belt-and-suspenders).
-                        await new Promise(r => setTimeout(r, 300));
-                        console.log(`[AutoSaveDiag] firing saveImmediately (post-format-complete)`);
-                        window.AutoSaveModule.saveImmediately();
-                        window.AutoSaveModule.showClearButton('Grading complete');
-                        // Phase 7: scope the lock to the originating tab only
-                        window.AutoSaveModule.setFormLocked(true, lockTargetTabId);
-
-                        // Clear the batch tab context now that all format calls
-                        // are done and the save has fired. From this point,
-                        // tabScopedQuery in batch-processing.js falls back to
-                        // activeQuery (correct for post-grading user interactions
-                        // like expand, retry, download).
-                        if (window.BatchProcessingModule && window.BatchProcessingModule.clearBatchTabContext) {
-                            window.BatchProcessingModule.clearBatchTabContext();
-                        }
-                    })();
-                }
-            } catch (streamError) {
-                console.error('Streaming failed, using fallback:', streamError);
-                await fallbackToBatchProcessing(batchData);
-            }
+            await gradeBatch(batchData);
         }
 
     } catch (error) {
@@ -517,6 +419,146 @@ async function handleGradingFormSubmission(e) {
     }
 }
 
+/**
+ * Grade a batch as a server-side job and show its results as they come in:
+ * progress UI, then the stream, then the post-grading save. Without a jobId
+ * a new job is created; with one (a job opened from the unfinished-jobs
+ * notice) that job is followed. The caller owns the grading-in-progress
+ * flag and the origin tab.
+ * @param {Object} batchData - { essays, prompt, classProfile, assignmentId, temperature }
+ * @param {Object} [options]
+ * @param {string} [options.jobId] - follow this existing job
+ */
+async function gradeBatch(batchData, { jobId = null } = {}) {
+    // Show the progress UI only after validation passes
+    if (window.BatchProcessingModule) {
+        window.BatchProcessingModule.displayBatchProgress(batchData);
+    }
+
+    // Reset the format-call tracker so the post-stream save can
+    // wait until every essay's /format call has completed before
+    // snapshotting renderedHTML. See TODO.md: "INTERMITTENT:
+    // Category Breakdown not editable post-restore".
+    if (window.BatchProcessingModule?.resetFormatCallTracking) {
+        window.BatchProcessingModule.resetFormatCallTracking(batchData.essays.length);
+    }
+
+    // Grade as a server-side job and stream its results (essays return progressively)
+    console.log(`[AutoSaveDiag] streaming start: ${batchData.essays.length} essays submitted`);
+
+    // Store original batch data for retry functionality — pinned to
+    // the originating tab via currentBatchOriginTabId, with a
+    // fallback to the legacy window global during the multi-phase
+    // migration.
+    const submitTabState = getBatchWriteTabState();
+    if (submitTabState) {
+        submitTabState.originalBatchDataForRetry = batchData;
+    } else {
+        window.originalBatchDataForRetry = batchData;
+    }
+
+    try {
+        const streamResult = await streamBatchGradingSimple(batchData, jobId);
+
+        // Read current batch data from the ORIGINATING tab (not the
+        // currently-active tab), with window fallback. This is
+        // essential after streaming finishes because the user may
+        // have switched tabs during the stream.
+        const readCurrentBatchData = () => {
+            const originState = getBatchWriteTabState();
+            return (originState && originState.currentBatchData) || window.currentBatchData;
+        };
+
+        const preExisting = !!readCurrentBatchData();
+        const preExistingCount = readCurrentBatchData()?.batchResult?.results?.length;
+        const streamCount = streamResult?.results?.length;
+        console.log(
+            `[AutoSaveDiag] streaming done: streamResult.results=${streamCount}, ` +
+            `currentBatchData already set=${preExisting} (len=${preExistingCount ?? 'n/a'})`
+        );
+
+        // Ensure currentBatchData is set after streaming completes
+        // (streaming displays results individually via queue, skipping displayBatchResults)
+        if (!readCurrentBatchData() && streamResult) {
+            const newBatchData = {
+                batchResult: streamResult,
+                originalData: batchData
+            };
+            const postStreamTabState = getBatchWriteTabState();
+            if (postStreamTabState) {
+                postStreamTabState.currentBatchData = newBatchData;
+            } else {
+                window.currentBatchData = newBatchData;
+            }
+            console.log(`[AutoSaveDiag] assigned currentBatchData from streamResult (len=${streamCount})`);
+        } else if (preExisting && preExistingCount !== streamCount) {
+            console.warn(
+                `[AutoSaveDiag] MISMATCH: currentBatchData was already set with len=${preExistingCount} ` +
+                `but streamResult has len=${streamCount}. Save will use the pre-existing value!`
+            );
+        }
+
+        // Auto-save after streaming batch completes. We must wait
+        // until every essay's /format call has finished, otherwise
+        // the save will snapshot loading-spinner placeholders for
+        // essays that are still mid-load — which then can't be
+        // edited after a page refresh. See TODO.md.
+        if (window.AutoSaveModule) {
+            // Capture the origin tab ID NOW, before the grading-finished
+            // event (fired by markGradingFinished in the finally block)
+            // clears currentBatchOriginTabId. The async block below runs
+            // AFTER the finally block, so currentBatchOriginTabId would
+            // already be null by the time setFormLocked fires.
+            const lockTargetTabId = currentBatchOriginTabId;
+            (async () => {
+                console.log(`[AutoSaveDiag] waiting for /format calls before save...`);
+                if (window.BatchProcessingModule?.waitForAllFormatCalls) {
+                    const result = await window.BatchProcessingModule.waitForAllFormatCalls();
+                    console.log(
+                        `[AutoSaveDiag] /format wait done: ${result.done}/${result.expected}, ` +
+                        `completed=${result.completed}`
+                    );
+                }
+                // Extra 300ms buffer for the 200ms setTimeout inside
+                // loadEssayDetails that wires up setupBatchEditableElements
+                // after the fetch resolves. Without this buffer the save
+                // could capture HTML that is structurally correct but not
+                // yet event-wired (restore will rewire it anyway, so this
+                // is just belt-and-suspenders).
+                await new Promise(r => setTimeout(r, 300));
+                // Results arrived essay by essay, so compare the
+                // whole batch now — before the save, so the report
+                // is saved with the results.
+                if (window.SimilarityReportModule && window.BatchProcessingModule?.displaySimilarityReport) {
+                    const pairs = await window.SimilarityReportModule.fetchSimilarityReport(batchData);
+                    if (pairs) {
+                        window.BatchProcessingModule.displaySimilarityReport(pairs, batchData);
+                    }
+                }
+                console.log(`[AutoSaveDiag] firing saveImmediately (post-format-complete)`);
+                window.AutoSaveModule.saveImmediately();
+                window.AutoSaveModule.showClearButton('Grading complete');
+                // Phase 7: scope the lock to the originating tab only
+                window.AutoSaveModule.setFormLocked(true, lockTargetTabId);
+
+                // Clear the batch tab context now that all format calls
+                // are done and the save has fired. From this point,
+                // tabScopedQuery in batch-processing.js falls back to
+                // activeQuery (correct for post-grading user interactions
+                // like expand, retry, download).
+                if (window.BatchProcessingModule && window.BatchProcessingModule.clearBatchTabContext) {
+                    window.BatchProcessingModule.clearBatchTabContext();
+                }
+            })();
+        }
+    } catch (streamError) {
+        // No job could be created (e.g. the server has no database):
+        // grade the batch in a single request instead.
+        console.error('Grading job failed to start, using fallback:', streamError);
+        await fallbackToBatchProcessing(batchData);
+    }
+}
+
 /**
  * Setup main grading form functionality
  */
@@ -573,441 +615,253 @@ function validateForm(form) {
 }
 
 /**
- * Stream batch grading using Server-Sent Events
- * CHUNKING: Splits large batches into chunks to avoid SSE connection timeouts
- * Vercel appears to have ~5 minute SSE connection limit, so we chunk to stay under
+ * Grade a batch as a server-side job and follow its event stream until every
+ * essay has a result (see GradingJobsModule.follow for reconnecting and
+ * polling). The job keeps grading on the server if this page goes away.
  * @param {Object} batchData - The batch data to process
+ * @param {string} [jobId] - follow this existing job instead of creating one
+ * @returns {Promise<Object>} { success, results, totalEssays }, one result
+ *   per submitted essay in batch order
+ * @throws when the job can't be created
  */
-async function streamBatchGradingSimple(batchData) {
-    const CHUNK_SIZE = 2; // 2 essays = 1 batch of 2, matches backend BATCH_SIZE
-    const totalEssays = batchData.essays.length;
-
-    // If batch is small enough, process in single request
-    if (totalEssays <= CHUNK_SIZE) {
-        const smallResult = await processEssayChunk(batchData, 0);
-        // Keep currentBatchData in sync so any save firing here sees the truth.
-        // Write to the batch's originating tab so state is not scrambled when
-        // the user switches tabs mid-stream.
-        const smallBatch = {
-            batchResult: smallResult,
+async function streamBatchGradingSimple(batchData, jobId = null) {
+    const id = jobId || await window.GradingJobsModule.createJob(batchData);
+    console.log(`[AutoSaveDiag] following grading job ${id}`);
+
+    const batchResult = await followGradingJob(batchData, id);
+    // Keep currentBatchData in sync so any save firing here sees the truth.
+    // Write to the batch's originating tab so state is not scrambled when
+    // the user switches tabs mid-stream.
+    const finalBatch = {
+        batchResult: batchResult,
+        originalData: batchData
+    };
+    const finalTabState = getBatchWriteTabState();
+    if (finalTabState) {
+        finalTabState.currentBatchData = finalBatch;
+    } else {
+        window.currentBatchData = finalBatch;
+    }
+    return batchResult;
+}
+
+/**
+ * Show a grading job's results as they arrive.
+ * @param {Object} batchData - The batch the job was created from
+ * @param {string} jobId
+ * @returns {Promise<Object>} { success, results, totalEssays }
+ */
+async function followGradingJob(batchData, jobId) {
+    const processedResults = [];
+
+    // Build a results array with exactly one entry per submitted essay,
+    // positionally aligned to batchData.essays. Missing slots become
+    // explicit failures bound to the correct essayId/student, so the
+    // array can never collapse (the swap vector).
+    function buildAlignedResults() {
+        return batchData.essays.map((submitted, index) => {
+            const r = processedResults[index];
+            if (r !== undefined) {
+                return {
+                    essayId: r.essayId || submitted.essayId,
+                    success: r.success,
+                    error: r.error,
+                    result: r.result,
+                    studentName: r.studentName || submitted.studentName,
+                    studentNickname: r.studentNickname ?? submitted.studentNickname,
+                    index: r.index
+                };
+            }
+            return {
+                essayId: submitted.essayId,
+                success: false,
+                error: 'Essay did not return',
+                result: null,
+                studentName: submitted.studentName,
+                studentNickname: submitted.studentNickname,
+                index: index
+            };
+        });
+    }
+
+    // Update currentBatchData as results arrive so any save firing
+    // mid-batch (debounced from user edits, etc.) sees the latest known
+    // results instead of triggering the buildPayload reconstruction
+    // fallback. Pinned to the originating tab.
+    function recordProgress() {
+        const partialBatch = {
+            batchResult: {
+                success: true,
+                results: buildAlignedResults().filter((r, i) => processedResults[i] !== undefined),
+                totalEssays: batchData.essays.length
+            },
             originalData: batchData
         };
-        const smallTabState = getBatchWriteTabState();
-        if (smallTabState) {
-            smallTabState.currentBatchData = smallBatch;
+        const progressTabState = getBatchWriteTabState();
+        if (progressTabState) {
+            progressTabState.currentBatchData = partialBatch;
         } else {
-            window.currentBatchData = smallBatch;
+            window.currentBatchData = partialBatch;
         }
-        return smallResult;
     }
 
-    // Large batch - split into chunks and process sequentially
-    let allResults = [];
-    let processedCount = 0;
-
-    while (processedCount < totalEssays) {
-        const chunkStart = processedCount;
-        const chunkEnd = Math.min(chunkStart + CHUNK_SIZE, totalEssays);
-        const chunkEssays = batchData.essays.slice(chunkStart, chunkEnd);
-
-        const chunkData = {
-            ...batchData,
-            essays: chunkEssays
-        };
-
-        try {
-            const chunkResult = await processEssayChunk(chunkData, chunkStart);
+    function handleStreamingMessage(data) {
+        switch (data.type) {
+            case 'start':
+            case 'processing':
+            case 'complete':
+                break;
+
+            case 'retrying':
+                console.warn(`🔁 Retrying "${data.studentName}" (essayId ${data.essayId}) after: ${data.error}`);
+                break;
+
+            case 'result': {
+                // Every (re)connection replays the job so far: a result we
+                // already have is skipped.
+                if (processedResults[data.index] !== undefined) break;
+                const submittedEssay = batchData.essays[data.index];
+                if (!submittedEssay) break;
+
+                // Resolve the stable essayId: prefer the backend echo,
+                // fall back to the submitted essay (same object we sent).
+                const resolvedEssayId = data.essayId || submittedEssay.essayId;
+                const resultData = { ...data, essayId: resolvedEssayId };
+                processedResults[data.index] = resultData;
+
+                // Store essay data for expansion. Pinned to the originating
+                // tab — this is the critical fix for the "essays stuck on
+                // loading messages" bug: if the user switches tabs
+                // mid-stream, TabStore.active() returns the new tab, and the
+                // essayData writes would land in the wrong tab.
+                // getBatchWriteTabState() returns the tab that started the
+                // batch regardless of the current active tab.
+                if (data.success) {
+                    const streamSnapshot = {
+                        essay: {
+                            success: true,
+                            essayId: resolvedEssayId,
+                            result: data.result,
+                            studentName: data.studentName || submittedEssay.studentName
+                        },
+                        originalData: {
+                            ...submittedEssay,
+                            essayId: resolvedEssayId,
+                            index: data.index,
+                            classProfile: batchData.classProfile || null
+                        }
+                    };
+                    const streamTabState = getBatchWriteTabState();
+                    // Key essayData by BOTH the stable essayId (primary,
+                    // swap-proof) and the index (legacy lookups still in
+                    // place during the migration).
+                    if (streamTabState) {
+                        streamTabState.essayData[data.index] = streamSnapshot;
+                        if (resolvedEssayId) streamTabState.essayData[resolvedEssayId] = streamSnapshot;
+                    } else {
+                        window[`essayData_${data.index}`] = streamSnapshot;
+                        if (resolvedEssayId) window[`essayData_${resolvedEssayId}`] = streamSnapshot;
+                    }
+                }
+                recordProgress();
 
-            // Merge results
-            if (chunkResult.results) {
-                allResults = allResults.concat(chunkResult.results);
-            }
-            console.log(
-                `[AutoSaveDiag] chunk ${chunkStart}-${chunkEnd - 1} done: ` +
-                `chunkResult.results=${chunkResult?.results?.length}, allResults=${allResults.length}`
-            );
+                // Queue this result for staggered display
+                if (!window.batchResultQueue) {
+                    window.batchResultQueue = [];
+                    window.batchQueueProcessor = null;
+                }
+                window.batchResultQueue.push(resultData);
 
-            // Update currentBatchData incrementally so any save firing mid-batch
-            // (debounced from user edits, etc.) sees the latest known results
-            // instead of triggering the buildPayload reconstruction fallback.
-            // Pinned to the originating tab so state writes don't cross tabs
-            // when the user switches mid-stream.
-            const chunkBatch = {
-                batchResult: {
-                    success: true,
-                    results: allResults,
-                    totalEssays: totalEssays
-                },
-                originalData: batchData
-            };
-            const chunkTabState = getBatchWriteTabState();
-            if (chunkTabState) {
-                chunkTabState.currentBatchData = chunkBatch;
-            } else {
-                window.currentBatchData = chunkBatch;
+                // Start processing queue if not already running
+                if (!window.batchQueueProcessor) {
+                    processBatchResultQueue();
+                }
+                break;
             }
 
-            processedCount = chunkEnd;
-
-        } catch (error) {
-            console.error(`❌ Chunk failed: Essays ${chunkStart + 1}-${chunkEnd}:`, error.message);
-
-            // Append an explicit failed result for EVERY essay in the failed
-            // chunk, bound to its essayId. Without this, the failed chunk
-            // contributes nothing to allResults and every later chunk's essays
-            // shift up into these slots — a silent student/grade swap. Keeping
-            // the array positionally complete (1:1 with batchData.essays) is
-            // what makes pairing safe.
-            chunkEssays.forEach((submitted, i) => {
-                const globalIndex = chunkStart + i;
-                allResults.push({
-                    essayId: submitted.essayId,
-                    success: false,
-                    error: `Chunk failed: ${error.message}`,
-                    result: null,
-                    studentName: submitted.studentName,
-                    studentNickname: submitted.studentNickname,
-                    index: globalIndex
-                });
-                if (window.BatchProcessingModule) {
-                    window.BatchProcessingModule.updateEssayStatus(globalIndex, false, `Chunk failed: ${error.message}`, submitted.essayId);
-                }
-            });
+            case 'error':
+                console.error('❌ Grading job error:', { error: data.error, jobId });
+                break;
 
-            // Continue with next chunk instead of failing entire batch
-            processedCount = chunkEnd;
+            default:
+                console.warn('Unknown message type:', data.type);
         }
     }
 
+    const completed = await window.GradingJobsModule.follow(jobId, handleStreamingMessage);
+    if (!completed) {
+        // Whatever is still missing keeps grading on the server; the job is
+        // offered again the next time the page opens.
+        batchData.essays.forEach((submitted, index) => {
+            if (processedResults[index] !== undefined) return;
+            console.error(`⏱️ "${submitted.studentName}" (essayId ${submitted.essayId}) did not return from job ${jobId}`);
+            if (window.BatchProcessingModule) {
+                window.BatchProcessingModule.updateEssayStatus(index, false, 'Still grading on the server — reload later to see it', submitted.essayId);
+            }
+        });
+    }
+
     return {
         success: true,
-        results: allResults,
-        totalEssays: totalEssays
+        results: buildAlignedResults(),
+        totalEssays: batchData.essays.length
     };
 }
 
 /**
- * Process a chunk of essays via Server-Sent Events
- * @param {Object} chunkData - The chunk data to process
- * @param {number} globalOffset - Starting index in the global essay list
+ * Open a grading job from the unfinished-jobs notice in the active tab,
+ * whose form GradingJobsModule has filled with the job's essays, and show
+ * its results as if the batch had just been sent.
+ * @param {Object} job - from GET /api/grading-jobs/:id
  */
-async function processEssayChunk(chunkData, globalOffset) {
-    return new Promise((resolve, reject) => {
-        let processedResults = [];
-        let timeoutId;
-        let reader; // hoisted so finishChunk() can cancel the stream
-        // Guard so the chunk resolves exactly once. The chunk can now be
-        // finished by any of: the 'complete' event, the stream 'done' close,
-        // OR the per-essay watchdog completing the last pending essay (so a
-        // server that never closes the stream — the real infinite-load — still
-        // lets the batch finish and the post-grade auto-save fire).
-        let settled = false;
-        function finishChunk() {
-            if (settled) return;
-            settled = true;
-            clearTimeout(timeoutId);
-            clearAllPerEssayTimers();
-            try { reader && reader.cancel && reader.cancel(); } catch (e) { /* best-effort */ }
-            resolve({
-                success: true,
-                results: buildAlignedChunkResults(),
-                totalEssays: chunkData.essays.length
-            });
-        }
-        // Resolve the chunk once every submitted essay has a terminal result,
-        // regardless of whether the server has closed the stream.
-        function resolveIfAllDone() {
-            for (let i = 0; i < chunkData.essays.length; i++) {
-                if (processedResults[i] === undefined) return; // still waiting on someone
-            }
-            console.log('[AutoSaveDiag] chunk all essays terminal — resolving without waiting for stream close');
-            finishChunk();
-        }
-        const TIMEOUT_MS = 1200000; // 20 minutes - allow server to complete large batches
-
-        // Per-essay watchdog timers, keyed by local chunk index. Each starts
-        // when that essay's 'processing' event arrives (i.e. it was actually
-        // sent to GPT — NOT at submit time, so queued essays don't false-fail),
-        // and is cleared by its 'result' or 'error' event. If it fires, the
-        // essay never came back: mark it failed, bound to the correct student
-        // via essayId, so the user sees a clear placeholder + retry instead of
-        // an infinite spinner that could desync on refresh.
-        const PER_ESSAY_TIMEOUT_MS = 120000; // 120s after an essay is sent to GPT
-        const perEssayTimers = {};
-        function clearPerEssayTimer(localIdx) {
-            if (perEssayTimers[localIdx]) {
-                clearTimeout(perEssayTimers[localIdx]);
-                delete perEssayTimers[localIdx];
-            }
-        }
-        function clearAllPerEssayTimers() {
-            Object.keys(perEssayTimers).forEach(k => clearTimeout(perEssayTimers[k]));
-            for (const k in perEssayTimers) delete perEssayTimers[k];
-        }
-        function failEssayTimedOut(localIdx) {
-            // Only act if no terminal result was recorded for this essay.
-            if (processedResults[localIdx] !== undefined) return;
-            const submitted = chunkData.essays[localIdx];
-            const gIdx = globalOffset + localIdx;
-            const eid = submitted && submitted.essayId;
-            console.error(`⏱️ Per-essay timeout: "${submitted && submitted.studentName}" (essayId ${eid}) did not return within ${PER_ESSAY_TIMEOUT_MS / 1000}s of being sent to GPT`);
-            processedResults[localIdx] = {
-                essayId: eid,
-                success: false,
-                error: 'Essay did not return (timed out after being sent for grading)',
-                result: null,
-                studentName: submitted && submitted.studentName,
-                studentNickname: submitted && submitted.studentNickname,
-                index: gIdx
-            };
-            if (window.BatchProcessingModule) {
-                window.BatchProcessingModule.updateEssayStatus(gIdx, false, 'Essay did not return — please retry', eid);
-            }
-            // If this was the last pending essay, finish the chunk now rather
-            // than waiting for a stream close that may never come.
-            resolveIfAllDone();
-        }
-        // Build a results array with exactly one entry per submitted essay,
-        // positionally aligned to chunkData.essays. Missing slots become
-        // explicit failures bound to the correct essayId/student. Used by both
-        // the 'complete' event and the stream-close ('done') path so neither
-        // can produce a collapsed/sparse array (the swap vector).
-        function buildAlignedChunkResults() {
-            return chunkData.essays.map((submitted, localIdx) => {
-                const r = processedResults[localIdx];
-                if (r !== undefined) {
-                    return {
-                        essayId: r.essayId || submitted.essayId,
-                        success: r.success,
-                        error: r.error,
-                        result: r.result,
-                        studentName: r.studentName || submitted.studentName,
-                        studentNickname: r.studentNickname ?? submitted.studentNickname,
-                        index: r.index
-                    };
-                }
-                return {
-                    essayId: submitted.essayId,
-                    success: false,
-                    error: 'Essay did not return',
-                    result: null,
-                    studentName: submitted.studentName,
-                    studentNickname: submitted.studentNickname,
-                    index: globalOffset + localIdx
-                };
-            });
-        }
-        // Note: Server-Sent Events (SSE) bypass Vercel's normal 10s timeout for serverless functions
-
-        // Set up timeout detection - mainly for detecting stalled connections
-        timeoutId = setTimeout(() => {
-            console.error('⏱️ SSE TIMEOUT: Request exceeded 20 minutes', {
-                chunkSize: chunkData.essays.length,
-                globalOffset,
-                processedSoFar: processedResults.length,
-                missingCount: chunkData.essays.length - processedResults.length,
-                timestamp: new Date().toISOString()
-            });
-            if (settled) return;
-            reject(new Error(`SSE timeout after 20 minutes. Processed ${processedResults.length}/${chunkData.essays.length} essays.`));
-        }, TIMEOUT_MS);
-
-        // Use direct fetch with streaming instead of EventSource
-        fetch('/api/grade-batch?stream=true', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(chunkData)
-        }).then(response => {
-            if (!response.ok) {
-                clearTimeout(timeoutId);
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-
-            function readStream() {
-                return reader.read().then(({ done, value }) => {
-                    if (done) {
-                        // Stream closed. finishChunk() reconciles into one
-                        // aligned result per submitted essay (failures synthesized
-                        // for any that never returned) and is idempotent via the
-                        // settled guard, so it's safe if the watchdog already
-                        // resolved the chunk.
-                        finishChunk();
-                        return;
-                    }
-                    if (settled) return; // chunk already resolved; stop reading
-
-                    // Process the streamed data
-                    buffer += decoder.decode(value, { stream: true });
-                    const lines = buffer.split('\n');
-                    buffer = lines.pop(); // Keep incomplete line in buffer
-
-                    lines.forEach(line => {
-                        if (line.startsWith('data: ')) {
-                            try {
-                                const data = JSON.parse(line.slice(6));
-                                handleStreamingMessage(data);
-                            } catch (e) {
-                                console.error('Error parsing streaming data:', e);
-                            }
-                        }
-                    });
-
-                    return readStream();
-                });
-            }
-
-            return readStream();
-        }).catch(error => {
-            clearTimeout(timeoutId);
-            clearAllPerEssayTimers();
-            console.error('❌ SSE fetch error:', error.message);
-            // If the watchdog already resolved this chunk, ignore the late
-            // stream error (e.g. our own reader.cancel()).
-            if (settled) return;
-            reject(error);
-        });
-
-        function handleStreamingMessage(data) {
-            switch (data.type) {
-                case 'start':
-                    break;
-
-                case 'processing':
-                    // This essay was just sent to GPT — start its watchdog.
-                    if (data.index !== undefined) {
-                        clearPerEssayTimer(data.index);
-                        perEssayTimers[data.index] = setTimeout(
-                            () => failEssayTimedOut(data.index),
-                            PER_ESSAY_TIMEOUT_MS
-                        );
-                    }
-                    break;
-
-                case 'result':
-                        // Terminal event for this essay — stop its watchdog.
-                        clearPerEssayTimer(data.index);
-                        const globalResultIndex = data.index + globalOffset;
-
-                        // Adjust data index to global position
-                        const adjustedData = {
-                            ...data,
-                            index: globalResultIndex
-                        };
-
-                        // Store the result (use local index for chunk array)
-                        processedResults[data.index] = adjustedData;
-
-                        // Store essay data for expansion (use GLOBAL index).
-                        // Pinned to the originating tab — this is the critical
-                        // fix for the "essays stuck on loading messages" bug:
-                        // if the user switches tabs mid-stream, TabStore.active()
-                        // returns the new tab, and the essayData writes would
-                        // land in the wrong tab. getBatchWriteTabState() returns
-                        // the tab that started the batch regardless of the
-                        // current active tab.
-                        // Resolve the stable essayId: prefer the backend echo,
-                        // fall back to the submitted essay (same object we sent).
-                        const submittedEssay = chunkData.essays[data.index];
-                        const resolvedEssayId = data.essayId || (submittedEssay && submittedEssay.essayId);
-                        adjustedData.essayId = resolvedEssayId;
-
-                        if (data.success && submittedEssay) {
-                            const streamSnapshot = {
-                                essay: {
-                                    success: true,
-                                    essayId: resolvedEssayId,
-                                    result: data.result,
-                                    studentName: data.studentName || submittedEssay.studentName
-                                },
-                                originalData: {
-                                    ...submittedEssay,
-                                    essayId: resolvedEssayId,
-                                    index: globalResultIndex,
-                                    classProfile: chunkData.classProfile || null
-                                }
-                            };
-                            const streamTabState = getBatchWriteTabState();
-                            // Key essayData by BOTH the stable essayId (primary,
-                            // swap-proof) and the global index (legacy lookups
-                            // still in place during the migration).
-                            if (streamTabState) {
-                                streamTabState.essayData[globalResultIndex] = streamSnapshot;
-                                if (resolvedEssayId) streamTabState.essayData[resolvedEssayId] = streamSnapshot;
-                            } else {
-                                window[`essayData_${globalResultIndex}`] = streamSnapshot;
-                                if (resolvedEssayId) window[`essayData_${resolvedEssayId}`] = streamSnapshot;
-                            }
-                        }
-
-                        // Queue this result for staggered display
-                        if (!window.batchResultQueue) {
-                            window.batchResultQueue = [];
-                            window.batchQueueProcessor = null;
-                        }
+async function resumeGradingJob(job) {
+    if (window.AutoSaveModule && window.AutoSaveModule.isGradingInProgress()) {
+        showError('Grading is already in progress in another tab. Please wait for it to finish.', 'Grading in Progress');
+        return;
+    }
+    currentBatchOriginTabId = (window.TabStore && window.TabStore.activeId()) || null;
 
-                        window.batchResultQueue.push(adjustedData);
+    const batchData = {
+        essays: job.essays.map(essay => ({
+            essayId: essay.essayId,
+            studentText: essay.studentText,
+            studentName: essay.studentName,
+            studentNickname: essay.studentNickname,
+            studentId: essay.studentId,
+            ocr: essay.ocr
+        })),
+        prompt: job.prompt,
+        classProfile: job.classProfileId,
+        assignmentId: job.assignmentId,
+        temperature: job.temperature
+    };
 
-                        // Start processing queue if not already running
-                        if (!window.batchQueueProcessor) {
-                            processBatchResultQueue();
-                        }
-                        break;
-
-                    case 'complete':
-                        // finishChunk() builds one aligned entry per submitted
-                        // essay (never collapsed) and is idempotent.
-                        finishChunk();
-                        break;
-
-                    case 'error':
-                        // Terminal event for this essay — stop its watchdog.
-                        if (data.index !== undefined) clearPerEssayTimer(data.index);
-                        const globalErrorIndex = data.index !== undefined ? data.index + globalOffset : undefined;
-                        const erroredEssay = data.index !== undefined ? chunkData.essays[data.index] : undefined;
-                        const erroredEssayId = data.essayId || (erroredEssay && erroredEssay.essayId);
-                        console.error('❌ Backend streaming error:', {
-                            error: data.error,
-                            localIndex: data.index,
-                            globalIndex: globalErrorIndex,
-                            essayId: erroredEssayId,
-                            chunkSize: chunkData.essays.length,
-                            globalOffset
-                        });
-                        // Record the failure in the positional results array so
-                        // the 'complete' handler emits it (bound to essayId)
-                        // instead of synthesizing a generic failure.
-                        if (data.index !== undefined) {
-                            processedResults[data.index] = {
-                                essayId: erroredEssayId,
-                                success: false,
-                                error: data.error,
-                                result: null,
-                                studentName: data.studentName || (erroredEssay && erroredEssay.studentName),
-                                studentNickname: erroredEssay && erroredEssay.studentNickname,
-                                index: globalErrorIndex
-                            };
-                        }
-                        if (window.BatchProcessingModule && globalErrorIndex !== undefined) {
-                            window.BatchProcessingModule.updateEssayStatus(globalErrorIndex, false, data.error, erroredEssayId);
-                        }
-                        // If this error completed the last pending essay, finish
-                        // the chunk without waiting for a stream close.
-                        resolveIfAllDone();
-                        break;
+    const button = window.TabStore
+        ? window.TabStore.activeQuery('#gradingForm button[type="submit"]')
+        : document.querySelector('#gradingForm button[type="submit"]');
+    const originalText = button ? button.textContent : '';
+    if (button) {
+        button.textContent = 'Grading essays...';
+        button.disabled = true;
+    }
+    if (window.AutoSaveModule) {
+        window.AutoSaveModule.markGradingStarted();
+    }
 
-                    default:
-                        console.warn('Unknown message type:', data.type);
-            }
+    try {
+        await gradeBatch(batchData, { jobId: job.id });
+    } catch (error) {
+        console.error('Grading error:', error);
+        showError('Error during grading: ' + error.message, 'Grading Error');
+    } finally {
+        if (button) {
+            button.textContent = originalText;
+            button.disabled = false;
         }
-
-        // Streaming will complete when fetch response ends
-    });
+        if (window.AutoSaveModule) {
+            window.AutoSaveModule.markGradingFinished();
+        }
+    }
 }
 
 /**
@@ -1065,11 +919,11 @@ function processBatchResultQueue() {
     if (!window.batchResultQueue || window.batchResultQueue.length === 0) {
         window.batchQueueProcessor = null;
         // Note: we used to fire saveImmediately here when the queue drained,
-        // but the queue drains between chunks in a chunked batch (since chunks
-        // are sequential and the queue processor runs on a 3s stagger),
+        // but the queue drains whenever results arrive more slowly than the
+        // processor's 3s stagger (a long batch, an essay being retried),
         // causing partial-state saves that corrupted currentBatchData via the
         // buildPayload reconstruction fallback. The authoritative post-batch
-        // save now lives in handleGradingFormSubmission, fired 2s after
+        // save now lives in gradeBatch, fired 2s after
         // streamBatchGradingSimple fully resolves.
         return;
     }
@@ -1115,8 +969,10 @@ window.FormHandlingModule = {
     setupMainGrading,
     validateForm,
     setupFormValidation,
+    gradeBatch,
     streamBatchGradingSimple,
-    processEssayChunk,
+    followGradingJob,
+    resumeGradingJob,
     fallbackToBatchProcessing,
     processBatchResultQueue
 };
\ No newline at end of file
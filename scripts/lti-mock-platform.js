@@ -0,0 +1,174 @@
+// scripts/lti-mock-platform.js
+// A stand-in LMS for trying LTI 1.3 locally: it launches the tool as a
+// teacher or a student of one course assignment and accepts the grades the
+// tool posts back, printing them as they arrive.
+//
+//   npm run lti:mock          (tool at http://localhost:3000)
+//   TOOL_URL=... MOCK_PORT=... npm run lti:mock
+//
+// Start the tool with the LTI_PLATFORMS value this prints, then open the
+// mock's home page.
+
+import express from 'express';
+import { generateKeyPairSync, randomUUID } from 'crypto';
+import { CLAIMS, AGS_SCOPES, signJwt, verifyJwt } from '../src/services/lti.js';
+
+const PORT = Number(process.env.MOCK_PORT) || 3100;
+const TOOL_URL = (process.env.TOOL_URL || 'http://localhost:3000').replace(/\/$/, '');
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = 'mock-client';
+const DEPLOYMENT_ID = 'mock-deployment';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'mock-platform-key';
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] };
+
+const COURSE = { id: 'course-101', label: 'ESL 101', title: 'ESL 101: Academic Writing' };
+const RESOURCE_LINK = {
+  id: 'essay-1',
+  title: 'Opinion essay: Technology in schools',
+  description: 'Should schools ban phones in class? Give your opinion with two reasons and an example.',
+};
+const USERS = {
+  teacher: { sub: 'u-teacher', name: 'Pat Teacher', email: 'pat.teacher@example.edu', role: 'Instructor' },
+  ana: { sub: 'u-ana', name: 'Ana Lopez', email: 'ana.lopez@example.edu', role: 'Learner', sourcedId: 'S1001' },
+  ben: { sub: 'u-ben', name: 'Ben Kim', email: 'ben.kim@example.edu', role: 'Learner', sourcedId: 'S1002' },
+};
+
+const lineItems = new Map();
+const issuedTokens = new Set();
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// A page that posts the given fields to the target as soon as it loads.
+function autoPost(res, action, fields) {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  res.type('html').send(
+    `<!DOCTYPE html><html><body><form method="post" action="${escapeHtml(action)}">${inputs}</form>` +
+    '<script>document.forms[0].submit();</script></body></html>'
+  );
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json({ type: ['application/json', 'application/vnd.ims.lis.v2.lineitem+json', 'application/vnd.ims.lis.v1.score+json'] }));
+
+app.get('/', (req, res) => {
+  const buttons = Object.entries(USERS)
+    .map(([key, user]) => `<p><a href="/launch/${key}">Launch as ${escapeHtml(user.name)} (${user.role})</a></p>`)
+    .join('');
+  const scores = [...lineItems.values()].flatMap(item => item.scores.map(score => ({ item, score })));
+  const rows = scores
+    .map(({ item, score }) => `<li>${escapeHtml(item.label)}: ${escapeHtml(score.userId)} ` +
+      `${score.scoreGiven}/${score.scoreMaximum}${score.comment ? ` — ${escapeHtml(score.comment)}` : ''}</li>`)
+    .join('');
+  res.type('html').send(
+    `<!DOCTYPE html><html><body style="font-family: sans-serif;"><h1>Mock LMS: ${escapeHtml(COURSE.title)}</h1>` +
+    `<h2>${escapeHtml(RESOURCE_LINK.title)}</h2>${buttons}<h2>Grades received</h2>` +
+    (rows ? `<ul>${rows}</ul>` : '<p>None yet.</p>') + '</body></html>'
+  );
+});
+
+app.get('/.well-known/jwks.json', (req, res) => res.json(jwks));
+
+// Step one: third-party login initiation at the tool.
+app.get('/launch/:user', (req, res) => {
+  if (!USERS[req.params.user]) return res.status(404).send('Unknown user');
+  autoPost(res, `${TOOL_URL}/lti/login`, {
+    iss: ISSUER,
+    client_id: CLIENT_ID,
+    login_hint: req.params.user,
+    lti_message_hint: RESOURCE_LINK.id,
+    target_link_uri: `${TOOL_URL}/lti/launch`,
+    lti_deployment_id: DEPLOYMENT_ID,
+  });
+});
+
+// Step three: the tool's authentication request; answer with the launch.
+app.get('/auth', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, login_hint: loginHint, state, nonce } = req.query;
+  const user = USERS[loginHint];
+  if (clientId !== CLIENT_ID || redirectUri !== `${TOOL_URL}/lti/launch` || !user || !nonce) {
+    return res.status(400).send('Invalid authentication request');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const idToken = signJwt({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: user.sub,
+    iat: now,
+    exp: now + 300,
+    nonce,
+    name: user.name,
+    email: user.email,
+    [CLAIMS.messageType]: 'LtiResourceLinkRequest',
+    [CLAIMS.version]: '1.3.0',
+    [CLAIMS.deploymentId]: DEPLOYMENT_ID,
+    [CLAIMS.targetLinkUri]: `${TOOL_URL}/lti/launch`,
+    [CLAIMS.resourceLink]: RESOURCE_LINK,
+    [CLAIMS.roles]: [`http://purl.imsglobal.org/vocab/lis/v2/membership#${user.role}`],
+    [CLAIMS.context]: COURSE,
+    ...(user.sourcedId ? { [CLAIMS.lis]: { person_sourcedid: user.sourcedId } } : {}),
+    [CLAIMS.ags]: {
+      scope: [AGS_SCOPES.lineItem, AGS_SCOPES.score],
+      lineitems: `${ISSUER}/courses/${COURSE.id}/lineitems`,
+    },
+  }, { privateKey, kid: KID });
+
+  autoPost(res, redirectUri, { id_token: idToken, state });
+});
+
+// AGS access tokens, for a client assertion signed with the tool's key.
+app.post('/token', async (req, res) => {
+  try {
+    const toolKeys = await (await fetch(`${TOOL_URL}/lti/jwks`)).json();
+    const claims = verifyJwt(req.body.client_assertion, toolKeys);
+    if (claims.sub !== CLIENT_ID || claims.aud !== `${ISSUER}/token`) throw new Error('Wrong client or audience');
+  } catch (error) {
+    console.error('[MOCK LMS] Token request refused:', error.message);
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  const token = randomUUID();
+  issuedTokens.add(token);
+  res.json({ access_token: token, token_type: 'Bearer', expires_in: 3600, scope: req.body.scope });
+});
+
+function requireToken(req, res, next) {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  if (!issuedTokens.has(token)) return res.status(401).json({ error: 'invalid_token' });
+  next();
+}
+
+app.post('/courses/:course/lineitems', requireToken, (req, res) => {
+  const id = `${ISSUER}/courses/${req.params.course}/lineitems/${lineItems.size + 1}`;
+  const item = { id, ...req.body, scores: [] };
+  lineItems.set(id, item);
+  console.log(`[MOCK LMS] Line item created: ${item.label} (out of ${item.scoreMaximum})`);
+  res.status(201).json({ ...item, scores: undefined });
+});
+
+app.post('/courses/:course/lineitems/:item/scores', requireToken, (req, res) => {
+  const item = lineItems.get(`${ISSUER}/courses/${req.params.course}/lineitems/${req.params.item}`);
+  if (!item) return res.status(404).json({ error: 'Unknown line item' });
+  item.scores.push(req.body);
+  console.log(`[MOCK LMS] Score for ${req.body.userId}: ${req.body.scoreGiven}/${req.body.scoreMaximum}`);
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock LMS at ${ISSUER}, launching the tool at ${TOOL_URL}`);
+  console.log('Start the tool with:');
+  console.log(`LTI_PLATFORMS='${JSON.stringify([{
+    issuer: ISSUER,
+    clientId: CLIENT_ID,
+    deploymentIds: [DEPLOYMENT_ID],
+    authLoginUrl: `${ISSUER}/auth`,
+    authTokenUrl: `${ISSUER}/token`,
+    jwksUrl: `${ISSUER}/.well-known/jwks.json`,
+  }])}'`);
+});
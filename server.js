@@ -17,6 +17,7 @@ import { config, validateConfig, isVercel, isProduction } from "./src/config/ind
 import { initializeDatabase } from "./src/config/database.js";
 import { errorHandler, notFoundHandler } from "./src/middleware/errorHandler.js";
 import routes from "./src/routes/index.js";
+import { startGradingWorker } from "./src/services/gradingWorker.js";
 
 // Initialize the Express application
 const app = express();
@@ -254,6 +255,10 @@ if (!isVercel) {
     console.log("📁 Routes organized by feature\n");
   });
 
+  // Grade batch grading jobs in the background. On Vercel the job streams
+  // and the cron route do this instead (see gradingWorker.js).
+  startGradingWorker();
+
   // Keep the process alive and handle graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM signal received: closing HTTP server');
@@ -0,0 +1,34 @@
+// Analytics Controller
+// Route handlers for the teacher-facing class dashboard
+
+import { getClassAnalytics } from '../services/analyticsService.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+/**
+ * GET /api/profiles/:profileId/analytics — class dashboard built from the
+ * profile's saved essays (?assignmentId= to narrow to one assignment)
+ */
+async function handleGetClassAnalytics(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const assignmentId = typeof req.query.assignmentId === 'string' && req.query.assignmentId
+    ? req.query.assignmentId
+    : null;
+  const analytics = await getClassAnalytics(req.params.profileId, userId, { assignmentId });
+  if (!analytics) {
+    return res.status(404).json({ error: 'Profile not found or access denied' });
+  }
+
+  res.json(analytics);
+}
+
+export {
+  handleGetClassAnalytics,
+};
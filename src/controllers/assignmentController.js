@@ -0,0 +1,120 @@
+// Assignment Controller
+// Route handlers for assignment CRUD operations
+
+import {
+  getAssignmentsByUser,
+  getAssignmentById,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+} from '../services/assignmentService.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+/**
+ * Why an assignment body can't be saved, or null when it's fine.
+ * @param {Object} body - request body
+ * @param {boolean} isNew - creating (title and classProfileId required)
+ */
+function assignmentProblem(body, isNew) {
+  const { title, classProfileId, requiredWordCountMin, requiredWordCountMax, dueDate } = body;
+  if (isNew && !classProfileId) return 'classProfileId is required';
+  if ((isNew || title !== undefined) && !String(title ?? '').trim()) return 'title is required';
+  const min = Number(requiredWordCountMin);
+  const max = Number(requiredWordCountMax);
+  if (requiredWordCountMin && requiredWordCountMax && min > max) {
+    return 'requiredWordCountMin cannot be more than requiredWordCountMax';
+  }
+  if (dueDate && Number.isNaN(new Date(dueDate).getTime())) return 'dueDate is not a valid date';
+  return null;
+}
+
+/**
+ * GET /api/assignments — list the user's assignments (?classProfileId= to filter)
+ */
+async function handleGetAssignments(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const assignments = await getAssignmentsByUser(userId, { classProfileId: req.query.classProfileId || null });
+  res.json({ assignments });
+}
+
+/**
+ * GET /api/assignments/:id — get a single assignment
+ */
+async function handleGetAssignment(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const assignment = await getAssignmentById(req.params.id, userId);
+  if (!assignment) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
+
+  res.json({ assignment });
+}
+
+/**
+ * POST /api/assignments — create an assignment under a class profile
+ */
+async function handleCreateAssignment(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const problem = assignmentProblem(req.body, true);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const assignment = await createAssignment(userId, req.body);
+  if (!assignment) {
+    return res.status(404).json({ error: 'Profile not found or access denied' });
+  }
+
+  res.json({ success: true, assignment });
+}
+
+/**
+ * PUT /api/assignments/:id — update an assignment
+ */
+async function handleUpdateAssignment(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const problem = assignmentProblem(req.body, false);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const assignment = await updateAssignment(req.params.id, userId, req.body);
+  if (!assignment) {
+    return res.status(404).json({ error: 'Assignment not found or access denied' });
+  }
+
+  res.json({ success: true, assignment });
+}
+
+/**
+ * DELETE /api/assignments/:id — delete an assignment
+ */
+async function handleDeleteAssignment(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const deleted = await deleteAssignment(req.params.id, userId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Assignment not found or access denied' });
+  }
+
+  res.json({ success: true });
+}
+
+export {
+  handleGetAssignments,
+  handleGetAssignment,
+  handleCreateAssignment,
+  handleUpdateAssignment,
+  handleDeleteAssignment,
+};
@@ -3,6 +3,49 @@
  */
 
 import UserService from '../services/userService.js';
+import {
+  sendMagicLink,
+  consumeMagicLink,
+  passwordProblem,
+  verifyPassword,
+  isValidEmail,
+  checkPasswordAttempt,
+  recordPasswordAttempt,
+} from '../services/authService.js';
+import { oidcConfigured, oidcSettings, beginAuthorization, completeAuthorization } from '../services/oidcService.js';
+
+const AUTH_COOKIE_OPTIONS = {
+  signed: true,
+  secure: process.env.NODE_ENV === 'production',
+  httpOnly: true,
+  maxAge: 24 * 60 * 60 * 1000, // 24 hours
+  sameSite: 'lax'
+};
+
+/**
+ * Origin for links this server emails. APP_URL in production: the request's
+ * Host header is attacker-controlled, and a sign-in link pointing at another
+ * host would hand that host the token.
+ */
+function publicBaseUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  if (process.env.NODE_ENV === 'production') return null;
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Client address that password failures are counted against. On Vercel the
+ * platform sets X-Forwarded-For itself; elsewhere the header could be made
+ * up, so only the socket address is used.
+ */
+function clientIp(req) {
+  const forwarded = process.env.VERCEL ? String(req.get('x-forwarded-for') || '').split(',')[0].trim() : '';
+  return forwarded || req.ip || null;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
 
 class AuthController {
   constructor() {
@@ -10,75 +53,80 @@ class AuthController {
   }
 
   /**
-   * Handle user login/registration
+   * Start an authenticated session for `user`: a fresh session id (so a
+   * session fixed before login can't be reused) plus the signed cookies the
+   * Vercel fallback in requireAuth reads.
+   */
+  establishSession(req, res, user) {
+    return new Promise((resolve) => {
+      req.session.regenerate((regenerateErr) => {
+        if (regenerateErr) {
+          console.error('[AUTH] Session regenerate error:', regenerateErr);
+        }
+        req.session.userId = user.id;
+        req.session.userEmail = user.email;
+
+        res.cookie('userId', user.id, AUTH_COOKIE_OPTIONS);
+        res.cookie('userEmail', user.email, AUTH_COOKIE_OPTIONS);
+
+        req.session.save((err) => {
+          if (err) {
+            console.error('[AUTH] Session save error:', err);
+            // Continue anyway - the signed cookies still authenticate
+          }
+          console.log(`[AUTH] User logged in: ${user.email} (session + cookies set)`);
+          resolve();
+        });
+      });
+    });
+  }
+
+  /**
+   * Handle sign-in. With a password, checks it and signs in; with only an
+   * email, emails a sign-in link. Neither path reveals whether an account
+   * exists for the address.
    */
   async login(req, res) {
     try {
-      console.log('[AUTH_CONTROLLER] Login attempt:', req.body);
-      const { email } = req.body;
+      const { email, password } = req.body || {};
 
       if (!email) {
-        console.log('[AUTH_CONTROLLER] No email provided');
         return res.status(400).json({
           success: false,
           error: 'Email is required'
         });
       }
-
-      console.log('[AUTH_CONTROLLER] Attempting to login/register user:', email);
-
-      // Create unique user ID based on email to prevent cross-user contamination
-      const user = {
-        id: 'user-' + Buffer.from(email.toLowerCase()).toString('base64').replace(/[+/=]/g, '').substring(0, 12) + '-' + Date.now(),
-        email: email.toLowerCase(),
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-
-      console.log('[AUTH_CONTROLLER] Created mock user:', user);
-
-      // Try to use real database, fallback to mock
-      try {
-        const realUser = await this.userService.loginOrRegister(email);
-        console.log('[AUTH_CONTROLLER] Using real database user');
-        user.id = realUser.id;
-        user.createdAt = realUser.createdAt;
-        user.updatedAt = realUser.updatedAt;
-      } catch (dbError) {
-        console.warn('[AUTH_CONTROLLER] Database unavailable, using mock user:', dbError.message);
+      if (!isValidEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid email format'
+        });
       }
 
-      // Set user session
-      req.session.userId = user.id;
-      req.session.userEmail = user.email;
-
-      // Also set signed cookies as backup for Vercel serverless environment
-      res.cookie('userId', user.id, {
-        signed: true,
-        secure: process.env.NODE_ENV === 'production',
-        httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        sameSite: 'lax'
-      });
-      res.cookie('userEmail', user.email, {
-        signed: true,
-        secure: process.env.NODE_ENV === 'production',
-        httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        sameSite: 'lax'
-      });
-
-      console.log(`[AUTH] User logged in: ${user.email} (session + cookies set)`);
-
-      // Ensure session is saved before responding
-      req.session.save((err) => {
-        if (err) {
-          console.error('[AUTH] Session save error:', err);
-          // Continue anyway - session might still work with memory store
+      if (password) {
+        const ip = clientIp(req);
+        const attempt = await checkPasswordAttempt(email, ip);
+        if (!attempt.allowed) {
+          const rateLimited = attempt.reason === 'rate_limited';
+          return res.status(rateLimited ? 429 : 503).json({
+            success: false,
+            error: rateLimited
+              ? 'Too many failed sign-in attempts. Please wait a few minutes, or sign in with an emailed link.'
+              : 'Sign-in is unavailable right now. Please try again later.'
+          });
         }
 
-        console.log('[AUTH] Session save completed');
-        res.json({
+        const user = await this.userService.verifyCredentials(email, password);
+        await recordPasswordAttempt(email, ip, !!user);
+        if (!user) {
+          console.log('[AUTH_CONTROLLER] Password sign-in failed for:', email);
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid email or password'
+          });
+        }
+        await this.establishSession(req, res, user);
+        return res.json({
           success: true,
           user: {
             id: user.id,
@@ -86,17 +134,180 @@ class AuthController {
           },
           message: 'Login successful'
         });
+      }
+
+      const baseUrl = publicBaseUrl(req);
+      if (!baseUrl) {
+        console.error('[AUTH] APP_URL is not set; cannot send sign-in links in production');
+        return res.status(503).json({
+          success: false,
+          error: 'Sign-in links are not available right now'
+        });
+      }
+
+      const result = await sendMagicLink(email, baseUrl);
+      if (!result.sent) {
+        const status = { invalid_email: 400, rate_limited: 429 }[result.reason] || 503;
+        const error = {
+          invalid_email: 'Invalid email format',
+          rate_limited: 'Too many sign-in links requested. Please wait a few minutes and try again.'
+        }[result.reason] || 'Could not send a sign-in link right now';
+        return res.status(status).json({ success: false, error });
+      }
+
+      res.json({
+        success: true,
+        magicLinkSent: true,
+        message: 'Check your email for a sign-in link'
       });
 
     } catch (error) {
       console.error('[AUTH] Login error:', error);
       res.status(500).json({
         success: false,
-        error: error.message || 'Login failed'
+        error: 'Login failed'
       });
     }
   }
 
+  /**
+   * Show the page a clicked sign-in link opens: one button that posts the
+   * token back. Mail scanners prefetch links with GET, so the GET must not
+   * use the token up.
+   */
+  async confirmMagicLink(req, res) {
+    const token = req.query.token;
+    if (!token || typeof token !== 'string') {
+      return res.redirect('/login?error=link_invalid');
+    }
+    // The token is in this page's URL: keep it out of caches and Referer headers.
+    res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+    res.type('html').send(
+      '<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>Sign in to LMGM</title>' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1.0"></head>' +
+      '<body style="font-family: sans-serif; max-width: 560px; margin: 60px auto; color: #333;">' +
+      '<h1 style="font-size: 20px;">Sign in to LMGM</h1>' +
+      '<form method="POST" action="/auth/verify">' +
+      `<input type="hidden" name="token" value="${escapeHtml(token)}">` +
+      '<button type="submit" style="font-size: 16px; padding: 10px 20px; cursor: pointer;">Sign in</button>' +
+      '</form></body></html>'
+    );
+  }
+
+  /**
+   * Handle the sign-in page's POST: uses the link's token and registers the
+   * address on first use.
+   */
+  async verifyMagicLink(req, res) {
+    try {
+      const email = await consumeMagicLink(req.body?.token);
+      if (!email) {
+        return res.redirect('/login?error=link_invalid');
+      }
+
+      let user = await this.userService.loginOrRegister(email);
+      if (!user.emailVerifiedAt) {
+        user = await this.userService.markEmailVerified(user.id);
+      }
+      await this.establishSession(req, res, user);
+      res.redirect('/');
+    } catch (error) {
+      console.error('[AUTH] Sign-in link error:', error);
+      res.redirect('/login?error=link_failed');
+    }
+  }
+
+  /**
+   * Set or change the signed-in user's password. Changing an existing
+   * password needs the current one.
+   */
+  async setPassword(req, res) {
+    try {
+      const userId = req.session?.userId || req.signedCookies?.userId;
+      const { password, currentPassword } = req.body || {};
+
+      const problem = passwordProblem(password);
+      if (problem) {
+        return res.status(400).json({ success: false, error: problem });
+      }
+
+      const user = await this.userService.getUserById(userId);
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      if (user.passwordHash && !(await verifyPassword(currentPassword, user.passwordHash))) {
+        return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+      }
+
+      await this.userService.setPassword(user.id, password);
+      res.json({ success: true, message: 'Password saved' });
+    } catch (error) {
+      console.error('[AUTH] Set password error:', error);
+      res.status(500).json({ success: false, error: 'Could not save password' });
+    }
+  }
+
+  /**
+   * Which sign-in methods this deployment offers, for the login page.
+   */
+  async providers(req, res) {
+    res.json({
+      success: true,
+      magicLink: true,
+      password: true,
+      oidc: oidcConfigured() ? { enabled: true, label: oidcSettings().label } : { enabled: false }
+    });
+  }
+
+  /**
+   * Redirect to the OIDC provider.
+   */
+  async oidcStart(req, res) {
+    if (!oidcConfigured()) {
+      return res.status(404).send('Not found');
+    }
+    try {
+      // The provider only redirects to registered callback URLs, so the
+      // request host is safe to fall back on here.
+      const baseUrl = process.env.APP_URL?.replace(/\/$/, '') || `${req.protocol}://${req.get('host')}`;
+      const { url, pending } = await beginAuthorization(`${baseUrl}/auth/oidc/callback`);
+      req.session.oidc = pending;
+      req.session.save((err) => {
+        if (err) {
+          console.error('[AUTH] Session save error:', err);
+        }
+        res.redirect(url);
+      });
+    } catch (error) {
+      console.error('[AUTH] OIDC start error:', error);
+      res.redirect('/login?error=oidc_failed');
+    }
+  }
+
+  /**
+   * Handle the OIDC provider's redirect back.
+   */
+  async oidcCallback(req, res) {
+    if (!oidcConfigured()) {
+      return res.status(404).send('Not found');
+    }
+    const pending = req.session?.oidc;
+    if (req.session) delete req.session.oidc;
+
+    try {
+      const identity = await completeAuthorization(req.query, pending);
+      const user = await this.userService.findOrCreateOidcUser(identity);
+      if (!user) {
+        return res.redirect('/login?error=oidc_unverified');
+      }
+      await this.establishSession(req, res, user);
+      res.redirect('/');
+    } catch (error) {
+      console.error('[AUTH] OIDC callback error:', error.message);
+      res.redirect('/login?error=oidc_failed');
+    }
+  }
+
   /**
    * Handle user logout
    */
@@ -192,7 +403,8 @@ class AuthController {
         authenticated: true,
         user: {
           id: user.id,
-          email: user.email
+          email: user.email,
+          hasPassword: !!user.passwordHash
         }
       });
 
@@ -0,0 +1,38 @@
+// DOCX Controller
+// Route handler for Word exports of graded essays
+
+import { docxEssay, essayDocx } from '../services/essayDocx.js';
+import { pdfFileName } from '../services/pdfExport.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+/**
+ * POST /api/docx — Word document of an essay graded in the browser, with its
+ * highlights as comments.
+ * Body: { essay, trackChanges } where essay is built by public/js/docx-export.js
+ * (see essayDocx.js docxEssay); trackChanges writes corrections as tracked
+ * insertions and deletions.
+ */
+async function handleRenderDocx(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const { essay, error } = docxEssay(req.body?.essay);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const file = essayDocx(essay, { trackChanges: req.body.trackChanges === true, date: new Date() });
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  res.setHeader('Content-Disposition', `attachment; filename="${pdfFileName(essay.studentName, 'docx')}"`);
+  res.send(file);
+}
+
+export {
+  handleRenderDocx,
+};
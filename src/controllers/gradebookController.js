@@ -0,0 +1,99 @@
+// Gradebook Controller
+// Route handlers for gradebook exports (CSV, XLSX, Moodle, Canvas, JSON)
+
+import { FORMATS, GRADEBOOK_JSON_SCHEMA, renderGradebook } from '../services/gradebook.js';
+import { getProfileGradebook, getBatchGradebook } from '../services/gradebookService.js';
+
+// Largest batch accepted for export.
+const MAX_BATCH_ESSAYS = 500;
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+function requestedFormat(req) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  return Object.hasOwn(FORMATS, format) ? format : null;
+}
+
+function fileName(title, extension) {
+  const slug = String(title).normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').toLowerCase();
+  return `${slug || 'gradebook'}-grades.${extension}`;
+}
+
+function sendGradebook(res, gradebook, format) {
+  const { body, contentType, extension } = renderGradebook(gradebook, format);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName(gradebook.title, extension)}"`);
+  res.send(body);
+}
+
+/**
+ * GET /api/profiles/:profileId/gradebook?format=csv|xlsx|moodle|canvas|json
+ * — gradebook from a class profile's saved essays (?assignmentId= for one
+ * assignment)
+ */
+async function handleGetProfileGradebook(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const format = requestedFormat(req);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  const assignmentId = typeof req.query.assignmentId === 'string' && req.query.assignmentId
+    ? req.query.assignmentId
+    : null;
+  const gradebook = await getProfileGradebook(req.params.profileId, userId, { assignmentId });
+  if (!gradebook) {
+    return res.status(404).json({ error: 'Profile not found or access denied' });
+  }
+
+  sendGradebook(res, gradebook, format);
+}
+
+/**
+ * POST /api/gradebook?format=... — gradebook for a batch graded in the
+ * browser. Body: { title, essays: [{ studentName, studentId?, result }] }
+ * where result carries scores, total, meta.word_count and teacher_notes.
+ */
+async function handleBatchGradebook(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const format = requestedFormat(req);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  const { title, essays } = req.body || {};
+  if (!Array.isArray(essays) || essays.length === 0) {
+    return res.status(400).json({ error: 'essays must be a non-empty array' });
+  }
+  if (essays.length > MAX_BATCH_ESSAYS) {
+    return res.status(400).json({ error: `At most ${MAX_BATCH_ESSAYS} essays can be exported at once` });
+  }
+  if (essays.some(e => !e || typeof e.result?.scores !== 'object' || typeof e.result?.total !== 'object')) {
+    return res.status(400).json({ error: 'Each essay needs a graded result with scores and total' });
+  }
+
+  const gradebook = await getBatchGradebook(userId, essays, String(title || 'Batch').slice(0, 200));
+  sendGradebook(res, gradebook, format);
+}
+
+/**
+ * GET /api/gradebook/schema — JSON Schema of the json export format
+ */
+async function handleGetGradebookSchema(req, res) {
+  res.json(GRADEBOOK_JSON_SCHEMA);
+}
+
+export {
+  handleGetProfileGradebook,
+  handleBatchGradebook,
+  handleGetGradebookSchema,
+};
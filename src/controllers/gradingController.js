@@ -7,6 +7,24 @@ import { applyTemperatureAdjustment } from '../services/temperatureService.js';
 import { formatGradedEssay } from '../../grader/formatter.js';
 import { isVercel } from '../config/index.js';
 import { recordGradingEvent } from '../services/gradingEventService.js';
+import { describeRouting } from '../../grader/llm-provider.js';
+import { findNearDuplicates } from '../../grader/similarity.js';
+import { getEssayTextsForScreening } from '../services/savedEssayService.js';
+import { matchEssaysForProfile } from '../services/studentService.js';
+import { getAssignmentForGrading, applyAssignment } from '../services/assignmentService.js';
+import { essayEvent, essayState, jobEssayRows, jobSummary, screeningPeers } from '../services/gradingJobs.js';
+import {
+  createGradingJob,
+  deleteExpiredJobs,
+  deleteGradingJob,
+  getGradingJob,
+  getJobEssays,
+  getJobProgress,
+  gradingJobsAvailable,
+  listUndeliveredJobs,
+  markJobDelivered,
+} from '../services/gradingJobService.js';
+import { runGradingWorker, wakeGradingWorker } from '../services/gradingWorker.js';
 
 /**
  * Resolve the acting user's id + email from session or signed-cookie fallback.
@@ -22,8 +40,40 @@ function resolveUser(req) {
   return { userId: userId || null, userEmail: userEmail || null };
 }
 
-// Simple session store for streaming batch grading
-const streamingSessions = new Map();
+/**
+ * Pairwise near-duplicate report for a batch (grader/similarity.js): every
+ * essay against the others, and against the teacher's saved essays for the
+ * same class profile.
+ */
+async function batchSimilarity(essays, userId, classProfileId) {
+  const batch = (essays || [])
+    .filter(essay => essay?.studentText)
+    .map(essay => ({
+      id: essay.essayId ?? null,
+      label: essay.studentName || essay.studentNickname || null,
+      studentId: essay.studentId || null,
+      text: essay.studentText,
+    }));
+  const history = classProfileId
+    ? await getEssayTextsForScreening(userId, { classProfileId })
+    : [];
+  return findNearDuplicates(batch, history);
+}
+
+/**
+ * Link each essay to the class profile's roster (src/services/roster.js),
+ * setting essay.studentId and essay.studentMatch in place. An id the client
+ * already picked is kept only when it's on this roster. Essays that match
+ * no one, or several people equally well, get a null studentId.
+ */
+async function linkEssaysToRoster(essays, userId, classProfileId) {
+  if (!userId || !classProfileId || !Array.isArray(essays)) return;
+  const matches = await matchEssaysForProfile(classProfileId, userId, essays);
+  essays.forEach((essay, i) => {
+    essay.studentId = matches[i].studentId;
+    essay.studentMatch = matches[i].method;
+  });
+}
 
 /**
  * Legacy grade endpoint handler (/grade)
@@ -63,6 +113,8 @@ async function handleApiGrade(req, res) {
   // Timing + identity for the grading-events log (dashboard cost/behavior/errors).
   const startTime = Date.now();
   const { userId, userEmail } = resolveUser(req);
+  const essay = { studentName: req.body.studentName || studentNickname, studentNickname, studentId: req.body.studentId };
+  let assignment = null;
 
   try {
     // Get profile data
@@ -72,8 +124,15 @@ async function handleApiGrade(req, res) {
       return res.status(404).json({ error: "Class profile not found", requested: classProfile });
     }
 
+    await linkEssaysToRoster([essay], userId, classProfile);
+    assignment = await getAssignmentForGrading(req.body.assignmentId, userId, classProfile);
+
     // Use unified grading system
-    const result = await gradeEssayUnified(studentText, prompt, profileData, studentNickname);
+    const result = await gradeEssayUnified(studentText, prompt, applyAssignment(profileData, assignment), studentNickname, {
+      studentName: req.body.studentName || studentNickname,
+      studentId: essay.studentId,
+      ocr: !!req.body.ocr,
+    });
 
     // Validate result has required fields
     if (!result || !result.scores || !result.total) {
@@ -91,6 +150,8 @@ async function handleApiGrade(req, res) {
       action: 'grade',
       classProfileId: classProfile,
       studentNickname,
+      studentId: essay.studentId || null,
+      assignmentId: assignment?.id || null,
       usage: result.usage,
       status: 'success',
       latencyMs: Date.now() - startTime,
@@ -112,7 +173,10 @@ async function handleApiGrade(req, res) {
       feedbackSummary: finalResult.feedbackSummary,
       errors: finalResult.errors,
       overallScore: finalResult.overallScore,
-      segments: finalResult.segments
+      segments: finalResult.segments,
+      studentId: essay.studentId || null,
+      studentMatch: essay.studentMatch || null,
+      assignmentId: assignment?.id || null
     };
 
     res.json(responseObject);
@@ -127,6 +191,8 @@ async function handleApiGrade(req, res) {
       action: 'grade',
       classProfileId: classProfile,
       studentNickname,
+      studentId: essay.studentId || null,
+      assignmentId: assignment?.id || null,
       status: 'error',
       errorMessage: error.message,
       latencyMs: Date.now() - startTime,
@@ -153,13 +219,7 @@ async function handleApiGrade(req, res) {
  * Batch grading endpoint handler (/api/grade-batch)
  */
 async function handleBatchGrade(req, res) {
-  const { essays, prompt, classProfile, temperature } = req.body;
-  const isStreaming = req.query.stream === 'true';
-
-  // If streaming mode is requested, set up Server-Sent Events
-  if (isStreaming) {
-    return handleStreamingBatchGrade(req, res, { essays, prompt, classProfile, temperature });
-  }
+  const { essays, prompt, classProfile, temperature, assignmentId } = req.body;
 
   try {
     if (!essays || essays.length === 0) {
@@ -176,6 +236,10 @@ async function handleBatchGrade(req, res) {
       return res.status(404).json({ error: "Class profile not found", requested: classProfile });
     }
 
+    await linkEssaysToRoster(essays, userId, classProfile);
+    const assignment = await getAssignmentForGrading(assignmentId, userId, classProfile);
+    const gradingProfile = applyAssignment(profileData, assignment);
+
     const results = [];
     const finalTemperature = temperature !== undefined ? temperature : (profileData.temperature || 0);
 
@@ -185,7 +249,13 @@ async function handleBatchGrade(req, res) {
       const essayStart = Date.now();
 
       try {
-        const result = await gradeEssayUnified(essay.studentText, prompt, profileData, essay.studentNickname);
+        const result = await gradeEssayUnified(essay.studentText, prompt, gradingProfile, essay.studentNickname, {
+          studentName: essay.studentName,
+          studentId: essay.studentId,
+          essayId: essay.essayId || null,
+          peers: screeningPeers(essays, essay),
+          ocr: !!essay.ocr,
+        });
 
         await recordGradingEvent({
           userId,
@@ -193,6 +263,8 @@ async function handleBatchGrade(req, res) {
           action: 'grade_batch',
           classProfileId: classProfile,
           studentNickname: essay.studentNickname,
+          studentId: essay.studentId || null,
+          assignmentId: assignment?.id || null,
           usage: result.usage,
           status: 'success',
           latencyMs: Date.now() - essayStart,
@@ -205,12 +277,16 @@ async function handleBatchGrade(req, res) {
         delete finalResult.usage;
         finalResult.studentName = essay.studentName;
         finalResult.studentNickname = essay.studentNickname;
+        finalResult.studentId = essay.studentId || null;
+        finalResult.assignmentId = assignment?.id || null;
 
         results.push({
           essayId: essay.essayId,
           success: true,
           studentName: essay.studentName,
           studentNickname: essay.studentNickname,
+          studentId: essay.studentId || null,
+          studentMatch: essay.studentMatch || null,
           result: finalResult
         });
       } catch (error) {
@@ -221,6 +297,8 @@ async function handleBatchGrade(req, res) {
           action: 'grade_batch',
           classProfileId: classProfile,
           studentNickname: essay.studentNickname,
+          studentId: essay.studentId || null,
+          assignmentId: assignment?.id || null,
           status: 'error',
           errorMessage: error.message,
           latencyMs: Date.now() - essayStart,
@@ -230,6 +308,8 @@ async function handleBatchGrade(req, res) {
           success: false,
           studentName: essay.studentName,
           studentNickname: essay.studentNickname,
+          studentId: essay.studentId || null,
+          studentMatch: essay.studentMatch || null,
           error: error.message
         });
       }
@@ -242,7 +322,8 @@ async function handleBatchGrade(req, res) {
     res.json({
       success: true,
       totalEssays: essays.length,
-      results: results
+      results: results,
+      similarity: await batchSimilarity(essays, userId, classProfile)
     });
   } catch (error) {
     console.error("\n❌ BATCH GRADING ERROR:", error);
@@ -266,211 +347,250 @@ async function handleBatchGrade(req, res) {
 }
 
 /**
- * Handle streaming batch grading using Server-Sent Events
+ * Batch similarity endpoint handler (/api/similarity).
+ * A grading job's results reach the client essay by essay, so it asks for
+ * the report once the whole job has finished.
  */
-async function handleStreamingBatchGrade(req, res, { essays, prompt, classProfile, temperature }) {
-  try {
-    const startTime = Date.now();
-    console.log("\n🌊 STARTING STREAMING BATCH GRADING WITH PARALLEL BATCHES 🌊");
-    console.log(`📊 Processing ${essays.length} essays in batches of 2`);
-    console.log(`⏰ Start time: ${new Date(startTime).toISOString()}`);
-
-    // Set up Server-Sent Events headers
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
-
-    // Get profile data
-    console.log("🔍 Looking for profile:", classProfile);
+async function handleBatchSimilarity(req, res) {
+  const { essays, classProfile } = req.body;
+  if (!Array.isArray(essays) || essays.length === 0) {
+    return res.status(400).json({ error: "No essays provided" });
+  }
 
-    // Get userId from session or cookies (same logic as profile controller)
-    const { userId, userEmail } = resolveUser(req);
-    console.log("🔑 User ID for streaming grading:", userId, "from session:", !!req.session?.userId, "from cookies:", !!req.signedCookies?.userId);
+  const { userId } = resolveUser(req);
+  // Roster ids let the report skip each student's own saved essays even
+  // when their name was typed differently in this batch.
+  await linkEssaysToRoster(essays, userId, classProfile);
+  const pairs = await batchSimilarity(essays, userId, classProfile);
+  res.json({ success: true, similarity: pairs });
+}
 
-    const profileData = await findProfileById(classProfile, userId);
-    if (!profileData) {
-      const errorMsg = `Profile not found: ${classProfile}`;
-      console.error("❌", errorMsg);
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        error: errorMsg
-      })}\n\n`);
-      res.end();
-      return;
-    }
+// A job's event stream closes after this long and the client reconnects,
+// which keeps each connection inside serverless time limits.
+const JOB_STREAM_MAX_MS = 4 * 60 * 1000;
+const JOB_STREAM_POLL_MS = 2000;
+const JOB_STREAM_HEARTBEAT_MS = 15000;
+// Where a request grades essays itself (Vercel), it stops taking new ones
+// this long before it has to end, so the ones it started can finish.
+const JOB_ESSAY_BUDGET_MS = 90 * 1000;
 
-    console.log("✅ Profile found:", profileData.name);
-    const finalTemperature = temperature !== undefined ? temperature : (profileData.temperature || 0);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    // Send initial status
-    res.write(`data: ${JSON.stringify({
-      type: 'start',
-      totalEssays: essays.length,
-      message: 'Starting parallel batch grading...'
-    })}\n\n`);
-
-    // Process essays in parallel batches of 2 (3 API calls per essay with 30k TPM limit)
-    const BATCH_SIZE = 2;
-    let currentBatch = 1;
-    const totalBatches = Math.ceil(essays.length / BATCH_SIZE);
-
-    for (let batchStart = 0; batchStart < essays.length; batchStart += BATCH_SIZE) {
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, essays.length);
-      const batch = essays.slice(batchStart, batchEnd);
-
-      console.log(`\n🚀 Processing batch ${currentBatch}/${totalBatches} (essays ${batchStart + 1}-${batchEnd})`);
-
-      // Send processing status for all essays in this batch
-      batch.forEach((essay, batchIndex) => {
-        const globalIndex = batchStart + batchIndex;
-        res.write(`data: ${JSON.stringify({
-          type: 'processing',
-          index: globalIndex,
-          essayId: essay.essayId,
-          studentName: essay.studentName,
-          message: `Processing ${essay.studentName} (Batch ${currentBatch}/${totalBatches})...`,
-          batch: currentBatch,
-          totalBatches: totalBatches
-        })}\n\n`);
-      });
+/**
+ * Create a batch grading job (POST /api/grading-jobs). The batch is stored
+ * and graded by the worker, not in this request; the client follows it on
+ * /api/grading-jobs/:id/events or polls /api/grading-jobs/:id.
+ */
+async function handleCreateGradingJob(req, res) {
+  const { essays, prompt, classProfile, temperature, assignmentId } = req.body;
+  const { userId, userEmail } = resolveUser(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!(await gradingJobsAvailable())) {
+    return res.status(503).json({ error: 'Grading jobs need the database' });
+  }
 
-      // Process all essays in this batch in parallel
-      const batchPromises = batch.map(async (essay, batchIndex) => {
-        const globalIndex = batchStart + batchIndex;
-        const essayStart = Date.now();
+  const { rows, error } = jobEssayRows(essays);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const profileData = await findProfileById(classProfile, userId);
+  if (!profileData) {
+    return res.status(404).json({ error: "Class profile not found", requested: classProfile });
+  }
 
-        try {
-          console.log(`📝 Grading essay ${globalIndex + 1}/${essays.length} for ${essay.studentName}...`);
-          console.log(`🏷️ Student nickname: ${essay.studentNickname || 'none'}`);
+  await linkEssaysToRoster(rows, userId, classProfile);
+  const assignment = await getAssignmentForGrading(assignmentId, userId, classProfile);
+  const job = await createGradingJob({
+    userId,
+    userEmail,
+    classProfileId: classProfile,
+    assignmentId: assignment?.id || null,
+    prompt,
+    temperature,
+    rows,
+  });
+  if (!job) {
+    return res.status(500).json({ error: 'Failed to create grading job' });
+  }
 
-          const result = await gradeEssayUnified(essay.studentText, prompt, profileData, essay.studentNickname);
+  // On Vercel the job's event stream (or the cron) does the grading.
+  if (!isVercel) wakeGradingWorker();
+  res.status(201).json({ success: true, jobId: job.id, totalEssays: rows.length });
+}
 
-          // Validate result has required fields before marking as successful
-          if (!result || !result.scores || !result.total) {
-            throw new Error('Incomplete grading result - missing scores or total');
-          }
+/**
+ * The user's grading jobs whose results no client has collected yet
+ * (GET /api/grading-jobs), so any device can pick them up.
+ */
+async function handleListGradingJobs(req, res) {
+  const { userId } = resolveUser(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
-          await recordGradingEvent({
-            userId,
-            userEmail,
-            action: 'grade_batch',
-            classProfileId: classProfile,
-            studentNickname: essay.studentNickname,
-            usage: result.usage,
-            status: 'success',
-            latencyMs: Date.now() - essayStart,
-          });
-
-          // Apply temperature adjustment
-          const finalResult = applyTemperatureAdjustment(result, finalTemperature);
-          // Strip internal token/cost telemetry before returning to the client.
-          delete finalResult.usage;
-          finalResult.studentName = essay.studentName;
-          finalResult.studentNickname = essay.studentNickname;
-
-          return {
-            index: globalIndex,
-            essayId: essay.essayId,
-            success: true,
-            studentName: essay.studentName,
-            studentNickname: essay.studentNickname,
-            result: finalResult
-          };
-
-        } catch (error) {
-          console.error(`❌ Error grading essay ${globalIndex + 1} for ${essay.studentName}:`, error);
-
-          await recordGradingEvent({
-            userId,
-            userEmail,
-            action: 'grade_batch',
-            classProfileId: classProfile,
-            studentNickname: essay.studentNickname,
-            status: 'error',
-            errorMessage: error.message,
-            latencyMs: Date.now() - essayStart,
-          });
-
-          return {
-            index: globalIndex,
-            essayId: essay.essayId,
-            success: false,
-            studentName: essay.studentName,
-            studentNickname: essay.studentNickname,
-            error: error.message
-          };
-        }
-      });
+  const jobs = await listUndeliveredJobs(userId);
+  res.json({ success: true, jobs: jobs.map(({ job, essays }) => jobSummary(job, essays)) });
+}
 
-      // Wait for all essays in this batch to complete using allSettled for better error handling
-      const batchResults = await Promise.allSettled(batchPromises);
+/**
+ * A grading job with its essays and their events so far
+ * (GET /api/grading-jobs/:id). Polling clients use it when the event
+ * stream won't connect; a finished job counts as delivered.
+ */
+async function handleGetGradingJob(req, res) {
+  const { userId } = resolveUser(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
-      // Extract results, converting rejected promises to error objects instead of silently dropping them
-      const processedResults = batchResults.map((result, idx) => {
-        if (result.status === 'fulfilled') {
-          return result.value;
-        }
-        // Handle rejected promises - convert to error result instead of dropping
-        const globalIndex = batchStart + idx;
-        const essay = batch[idx];
-        console.error(`❌ Promise rejected for essay ${globalIndex + 1}:`, result.reason);
-        return {
-          index: globalIndex,
-          essayId: essay?.essayId,
-          success: false,
-          studentName: essay?.studentName || `Student ${globalIndex + 1}`,
-          studentNickname: essay?.studentNickname || '',
-          error: result.reason?.message || 'Unknown error - essay grading failed'
-        };
-      });
+  const found = await getGradingJob(req.params.id, userId);
+  if (!found) {
+    return res.status(404).json({ error: 'Grading job not found' });
+  }
 
-      // Stream results with a 500ms delay between each for better UX
-      for (let i = 0; i < processedResults.length; i++) {
-        const result = processedResults[i];
+  const { job, essays } = found;
+  if (job.status === 'completed') await markJobDelivered(job.id);
+  res.json({
+    success: true,
+    job: {
+      ...jobSummary(job, essays),
+      prompt: job.prompt,
+      temperature: job.temperature,
+      essays: essays.map(essay => ({
+        index: essay.position,
+        essayId: essay.essayId,
+        studentName: essay.studentName,
+        studentNickname: essay.studentNickname,
+        studentId: essay.studentId,
+        studentText: essay.studentText,
+        ocr: essay.ocr,
+        status: essay.status,
+      })),
+    },
+    events: essays.map(essayEvent).filter(Boolean),
+  });
+}
 
-        // Add delay between essays (except for the first one)
-        if (i > 0) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
+/**
+ * A grading job's progress as Server-Sent Events
+ * (GET /api/grading-jobs/:id/events), in the grading page's stream
+ * protocol: start, processing / retrying / result per essay, complete.
+ * Every connection first replays where each essay stands, so a client that
+ * reconnects — or opens the job on another device — catches up. The stream
+ * closes after JOB_STREAM_MAX_MS; without a "complete" event the client
+ * reconnects.
+ */
+async function handleGradingJobEvents(req, res) {
+  const { userId } = resolveUser(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
-        res.write(`data: ${JSON.stringify({
-          type: 'result',
-          ...result
-        })}\n\n`);
+  const found = await getGradingJob(req.params.id, userId);
+  if (!found) {
+    return res.status(404).json({ error: 'Grading job not found' });
+  }
 
-        console.log(`📤 Streamed result for ${result.studentName} (index: ${result.index})`);
-      }
+  const jobId = found.job.id;
+  const deadline = Date.now() + JOB_STREAM_MAX_MS;
+  let closed = false;
+  req.on('close', () => { closed = true; });
 
-      const elapsedSeconds = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`✅ Batch ${currentBatch}/${totalBatches} completed - ${batchResults.length} essays processed`);
-      console.log(`⏱️ Elapsed time: ${elapsedSeconds}s`);
-      currentBatch++;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  let lastWrite = Date.now();
+  const send = (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    lastWrite = Date.now();
+  };
+
+  // Last state each essay was reported in, by position
+  const reported = new Map();
+  const report = (essays) => {
+    for (const essay of essays) {
+      reported.set(essay.position, essayState(essay));
+      const event = essayEvent(essay);
+      if (event) send(event);
+    }
+  };
+
+  send({ type: 'start', jobId, totalEssays: found.essays.length, status: found.job.status });
+  report(found.essays);
+
+  // Nothing grades between requests on Vercel, so while a client watches,
+  // this request works the job's essays itself.
+  let worker = null;
+  const driveWorker = () => {
+    if (!isVercel || worker || closed) return;
+    worker = runGradingWorker({ jobId, until: deadline - JOB_ESSAY_BUDGET_MS })
+      .catch(error => console.error('[GRADING_JOBS] Stream worker failed:', error.message))
+      .finally(() => { worker = null; });
+  };
+
+  let status = found.job.status;
+  let deleted = false;
+  while (!closed && status !== 'completed' && Date.now() < deadline) {
+    driveWorker();
+    await sleep(JOB_STREAM_POLL_MS);
+
+    const progress = await getJobProgress(jobId);
+    if (!progress) {
+      deleted = true;
+      break;
     }
+    status = progress.status;
+    const changed = progress.essays
+      .filter(essay => reported.get(essay.position) !== essayState(essay))
+      .map(essay => essay.position);
+    if (changed.length > 0) {
+      report(await getJobEssays(jobId, changed));
+    } else if (Date.now() - lastWrite > JOB_STREAM_HEARTBEAT_MS) {
+      res.write(': keep-alive\n\n');
+      lastWrite = Date.now();
+    }
+  }
 
-    // Send completion status
-    const totalElapsedSeconds = ((Date.now() - startTime) / 1000).toFixed(1);
-    res.write(`data: ${JSON.stringify({
-      type: 'complete',
-      message: `All ${essays.length} essays processed in ${totalBatches} batches`,
-      totalTimeSeconds: totalElapsedSeconds
-    })}\n\n`);
+  if (!closed && status === 'completed') {
+    send({ type: 'complete', message: `All ${found.essays.length} essays processed` });
+    await markJobDelivered(jobId);
+  } else if (!closed && deleted) {
+    send({ type: 'error', error: 'Grading job was deleted' });
+  }
+  // Let essays this request started finish before it ends.
+  if (worker) await worker;
+  res.end();
+}
 
-    res.end();
-    console.log(`\n✅ STREAMING BATCH GRADING COMPLETED! ${essays.length} essays in ${totalBatches} batches`);
-    console.log(`⏱️ Total time: ${totalElapsedSeconds}s (${(totalElapsedSeconds / 60).toFixed(1)} minutes)`);
+/**
+ * Delete one of the user's grading jobs (DELETE /api/grading-jobs/:id)
+ */
+async function handleDeleteGradingJob(req, res) {
+  const { userId } = resolveUser(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
-  } catch (error) {
-    console.error("\n❌ STREAMING BATCH GRADING ERROR:", error);
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      error: error.message
-    })}\n\n`);
-    res.end();
+  const deleted = await deleteGradingJob(req.params.id, userId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Grading job not found' });
   }
+  res.json({ success: true });
+}
+
+/**
+ * Grade whatever essays are due, then delete expired jobs
+ * (GET /api/grading-jobs/work). Called by the Vercel cron, so jobs nobody
+ * is watching still finish.
+ */
+async function handleRunGradingWorker(req, res) {
+  const attempted = await runGradingWorker({ until: Date.now() + JOB_STREAM_MAX_MS - JOB_ESSAY_BUDGET_MS });
+  const expired = await deleteExpiredJobs();
+  res.json({ success: true, attempted, expired });
 }
 
 /**
@@ -548,8 +668,11 @@ async function handleDebug(req, res) {
         isVercel: process.env.VERCEL === '1',
         nodeEnv: process.env.NODE_ENV,
         hasOpenAIKey: !!process.env.OPENAI_API_KEY,
-        openAIKeyLength: process.env.OPENAI_API_KEY?.length || 0
+        openAIKeyLength: process.env.OPENAI_API_KEY?.length || 0,
+        hasAnthropicKey: !!process.env.ANTHROPIC_API_KEY
       },
+      // Which provider/model each grading stage is routed to (llm-provider.js)
+      llmRouting: describeRouting(),
       server: {
         platform: process.platform,
         nodeVersion: process.version,
@@ -698,260 +821,17 @@ async function handleDebugGrade(req, res) {
   }
 }
 
-// Session storage for streaming batch grading (already declared above)
-
-/**
- * Initialize streaming batch grading session (/api/grade-batch-stream/init)
- */
-async function handleBatchGradeStreamInit(req, res) {
-  try {
-    const { essays, prompt, classProfile, temperature } = req.body;
-
-    // Validate input
-    if (!essays || !Array.isArray(essays) || essays.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Essays array is required and must not be empty'
-      });
-    }
-
-    // Generate a unique session ID
-    const sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-
-    // Store the session data
-    streamingSessions.set(sessionId, {
-      essays,
-      prompt: prompt || 'Please provide detailed feedback',
-      classProfile: classProfile || 'default-profile',
-      temperature: temperature || 0,
-      status: 'pending',
-      createdAt: Date.now()
-    });
-
-    // Clean up old sessions (older than 1 hour)
-    const oneHourAgo = Date.now() - 60 * 60 * 1000;
-    for (const [id, session] of streamingSessions.entries()) {
-      if (session.createdAt < oneHourAgo) {
-        streamingSessions.delete(id);
-      }
-    }
-
-    console.log(`📋 Created streaming session ${sessionId} for ${essays.length} essays`);
-
-    res.json({
-      success: true,
-      sessionId: sessionId,
-      essayCount: essays.length
-    });
-
-  } catch (error) {
-    console.error('Error initializing streaming session:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-}
-
-/**
- * Streaming batch grading endpoint handler (/api/grade-batch-stream/:sessionId)
- * Sends individual essay results as they complete using Server-Sent Events
- */
-async function handleBatchGradeStream(req, res) {
-  const sessionId = req.params.sessionId;
-  const isStreamQuery = req.query.stream === 'true';
-
-  // Handle GET request with stream=true parameter (for EventSource)
-  if (isStreamQuery && !sessionId) {
-    // Set up EventSource headers and wait for data
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
-
-    // Send initial connection message
-    res.write(`data: ${JSON.stringify({
-      type: 'connected',
-      message: 'EventSource connected, waiting for data...'
-    })}\n\n`);
-
-    // Keep connection alive and wait for streaming sessions
-    const keepAliveInterval = setInterval(() => {
-      res.write(`data: ${JSON.stringify({
-        type: 'ping',
-        timestamp: Date.now()
-      })}\n\n`);
-    }, 30000);
-
-    // Clean up on client disconnect
-    req.on('close', () => {
-      clearInterval(keepAliveInterval);
-    });
-
-    return;
-  }
-
-  // Get session data
-  const sessionData = streamingSessions.get(sessionId);
-  if (!sessionData) {
-    return res.status(404).json({
-      success: false,
-      error: 'Session not found or expired'
-    });
-  }
-
-  const { essays, prompt, classProfile, temperature } = sessionData;
-
-  console.log("\n🔥 STREAMING BATCH GRADING REQUEST RECEIVED 🔥");
-  console.log("Number of essays:", essays?.length || 0);
-  console.log("Class profile:", classProfile);
-  console.log("Temperature:", temperature || 0);
-
-  try {
-    if (!essays || essays.length === 0) {
-      return res.status(400).json({ error: "No essays provided for grading" });
-    }
-
-    console.log("\n⚡ STARTING STREAMING BATCH GRADING...");
-
-    // Get userId from session or cookies (same logic as profile controller)
-    const { userId, userEmail } = resolveUser(req);
-    console.log("🔑 User ID for streaming batch grading:", userId, "from session:", !!req.session?.userId, "from cookies:", !!req.signedCookies?.userId);
-
-    // Get profile data
-    const profileData = await findProfileById(classProfile, userId);
-
-    if (!profileData) {
-      console.log("❌ Profile not found, returning 404");
-      return res.status(404).json({ error: "Class profile not found", requested: classProfile });
-    }
-
-    console.log("✅ Profile found:", profileData.name);
-
-    // Set up Server-Sent Events headers
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
-
-    const finalTemperature = temperature !== undefined ? temperature : (profileData.temperature || 0);
-
-    // Send initial status
-    res.write(`data: ${JSON.stringify({
-      type: 'start',
-      totalEssays: essays.length,
-      message: 'Starting batch grading...'
-    })}\n\n`);
-
-    // Process each essay and send results immediately
-    for (let i = 0; i < essays.length; i++) {
-      const essay = essays[i];
-      const essayStart = Date.now();
-      console.log(`\n📝 Streaming essay ${i + 1}/${essays.length} for ${essay.studentName}...`);
-
-      try {
-        // Send processing status
-        res.write(`data: ${JSON.stringify({
-          type: 'processing',
-          index: i,
-          studentName: essay.studentName,
-          message: `Processing ${essay.studentName}...`
-        })}\n\n`);
-
-        const result = await gradeEssayUnified(essay.studentText, prompt, profileData, essay.studentNickname);
-        console.log(`✅ Essay ${i + 1} graded successfully, streaming result...`);
-
-        await recordGradingEvent({
-          userId,
-          userEmail,
-          action: 'grade_batch',
-          classProfileId: classProfile,
-          studentNickname: essay.studentNickname,
-          usage: result.usage,
-          status: 'success',
-          latencyMs: Date.now() - essayStart,
-        });
-
-        // Apply temperature adjustment
-        const finalResult = applyTemperatureAdjustment(result, finalTemperature);
-        // Strip internal token/cost telemetry before returning to the client.
-        delete finalResult.usage;
-        finalResult.studentName = essay.studentName;
-        finalResult.studentNickname = essay.studentNickname;
-
-        // Send the completed result immediately
-        res.write(`data: ${JSON.stringify({
-          type: 'result',
-          index: i,
-          success: true,
-          studentName: essay.studentName,
-          studentNickname: essay.studentNickname,
-          result: finalResult
-        })}\n\n`);
-
-      } catch (error) {
-        console.error(`❌ Error grading essay ${i + 1} for ${essay.studentName}:`, error);
-
-        await recordGradingEvent({
-          userId,
-          userEmail,
-          action: 'grade_batch',
-          classProfileId: classProfile,
-          studentNickname: essay.studentNickname,
-          status: 'error',
-          errorMessage: error.message,
-          latencyMs: Date.now() - essayStart,
-        });
-
-        // Send error immediately
-        res.write(`data: ${JSON.stringify({
-          type: 'result',
-          index: i,
-          success: false,
-          studentName: essay.studentName,
-          studentNickname: essay.studentNickname,
-          error: error.message
-        })}\n\n`);
-      }
-    }
-
-    // Send completion status
-    res.write(`data: ${JSON.stringify({
-      type: 'complete',
-      message: 'All essays processed'
-    })}\n\n`);
-
-    res.end();
-    console.log("\n✅ STREAMING BATCH GRADING COMPLETED!");
-
-    // Clean up the session
-    streamingSessions.delete(sessionId);
-
-  } catch (error) {
-    console.error("\n❌ STREAMING BATCH GRADING ERROR:", error);
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      error: error.message
-    })}\n\n`);
-    res.end();
-
-    // Clean up the session on error
-    streamingSessions.delete(sessionId);
-  }
-}
-
 export {
   handleLegacyGrade,
   handleApiGrade,
   handleBatchGrade,
-  handleBatchGradeStream,
-  handleBatchGradeStreamInit,
+  handleBatchSimilarity,
+  handleCreateGradingJob,
+  handleListGradingJobs,
+  handleGetGradingJob,
+  handleGradingJobEvents,
+  handleDeleteGradingJob,
+  handleRunGradingWorker,
   handleFormatEssay,
   handleDebug,
   handleTestGrade,
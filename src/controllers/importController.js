@@ -0,0 +1,63 @@
+// Import Controller
+// Route handler for bulk essay imports: one uploaded file (a document or a
+// ZIP of them) in, the essays found in it out, for the teacher to review
+// before they go into the batch form. Photos and scanned PDFs go through
+// OCR here, on this server.
+
+import { importEssays, MAX_OCR_FILES } from '../services/essayImport.js';
+import { recognizeImages } from '../services/ocr.js';
+import { getStudentsByProfile } from '../services/studentService.js';
+
+const SKIP_REASONS = {
+  unsupported: 'Not a TXT, RTF, DOCX, PDF or image file',
+  unreadable: 'The file could not be read',
+  encrypted: 'The file is password-protected',
+  no_text: 'No text found',
+  nested_zip: 'ZIPs nested more than one level deep are not opened',
+  too_many: 'Too many files in one import',
+  needs_ocr: 'Photos and scans need OCR, which is not available',
+  ocr_failed: 'Text recognition failed on this file',
+  too_many_scans: `At most ${MAX_OCR_FILES} photos or scans are read per ZIP. Import the rest separately.`,
+};
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+/**
+ * POST /api/import/essays?filename=...&classProfileId=... — body is the raw
+ * file. filename may carry the folder path of a dropped folder, which is
+ * where Moodle downloads keep student names. With classProfileId, names are
+ * put in the class roster's form.
+ */
+async function handleImportEssays(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const filename = typeof req.query.filename === 'string' ? req.query.filename.trim() : '';
+  if (!filename) return res.status(400).json({ error: 'filename is required' });
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'The file is empty' });
+  }
+
+  const classProfileId = typeof req.query.classProfileId === 'string' ? req.query.classProfileId : null;
+  const roster = classProfileId ? await getStudentsByProfile(classProfileId, userId) : [];
+
+  const { essays, skipped } = await importEssays([{ name: filename, data: req.body }], {
+    roster,
+    recognize: recognizeImages,
+  });
+  console.log(`[IMPORT] ${filename}: ${essays.length} essays, ${skipped.length} skipped`);
+  res.json({
+    success: true,
+    essays,
+    skipped: skipped.map(s => ({ ...s, message: SKIP_REASONS[s.reason] || s.reason })),
+  });
+}
+
+export {
+  handleImportEssays,
+};
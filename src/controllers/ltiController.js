@@ -0,0 +1,304 @@
+// LTI Controller
+// Route handlers for LTI 1.3: the tool's key set, login initiation, the
+// launch itself, learner submissions and the teacher's grade passback.
+
+import AuthController from './authController.js';
+import UserService from '../services/userService.js';
+import { authenticationRequest, findPlatform, ltiConfigured, toolJwks } from '../services/lti.js';
+import {
+  verifyLaunch,
+  resolveInstructorLaunch,
+  resolveLearnerLaunch,
+  getLearnerAssignment,
+  submitEssay,
+  getLinkForTeacher,
+  sendScores,
+} from '../services/ltiService.js';
+
+// Longest essay a learner can hand in, in characters.
+const MAX_SUBMISSION_LENGTH = 50000;
+
+// Holds state and nonce between login initiation and the launch. The launch
+// is a cross-site form post from the platform, which only carries
+// SameSite=None cookies (and those must be Secure).
+const STATE_COOKIE = 'lti_state';
+const STATE_COOKIE_OPTIONS = {
+  signed: true,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  maxAge: 10 * 60 * 1000,
+};
+
+// A teacher's LMS identity waiting to be connected to their account, from
+// the launch to the confirm page. Lax, so a cross-site form can't post the
+// confirmation.
+const CONNECT_COOKIE = 'lti_connect';
+const CONNECT_COOKIE_OPTIONS = {
+  signed: true,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  maxAge: 30 * 60 * 1000,
+};
+
+const LAUNCH_ERRORS = {
+  other_teacher: 'This course or assignment is already connected to another teacher\'s account.',
+  not_set_up: 'Your teacher hasn\'t opened this assignment yet. Try again once they have.',
+  no_email: 'Your LMS didn\'t share your email address, which is needed to connect your account. Ask your LMS administrator to share it with this tool.',
+  no_role: 'This tool can only be opened by a teacher or a student of the course.',
+  error: 'Something went wrong setting up this assignment. Please try again.',
+};
+
+const authController = new AuthController();
+const userService = new UserService();
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Launches open in the LMS, outside the app's pages, so they get plain
+// pages rather than JSON. `body` is HTML.
+function sendPage(res, status, title, body) {
+  res.status(status).type('html').send(
+    `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title></head>` +
+    '<body style="font-family: sans-serif; max-width: 560px; margin: 60px auto; color: #333;">' +
+    `<h1 style="font-size: 20px;">${escapeHtml(title)}</h1>${body}</body></html>`
+  );
+}
+
+function sendLaunchError(res, status, message) {
+  sendPage(res, status, 'Could not open the assignment', `<p>${escapeHtml(message)}</p>`);
+}
+
+function baseUrl(req) {
+  return process.env.APP_URL?.replace(/\/$/, '') || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * GET /lti/jwks — the tool's public keys, which the platform uses to check
+ * the tool's token requests
+ */
+async function handleJwks(req, res) {
+  res.json(toolJwks());
+}
+
+/**
+ * GET|POST /lti/login — third-party login initiation: send the browser to
+ * the platform's authorization endpoint
+ */
+async function handleLogin(req, res) {
+  const params = { ...req.query, ...(req.body || {}) };
+  if (!ltiConfigured()) return res.status(404).send('Not found');
+
+  const platform = findPlatform(params.iss, params.client_id);
+  if (!platform || !params.login_hint) {
+    return sendLaunchError(res, 400, 'This LMS is not registered with the tool.');
+  }
+
+  // The platform only posts launches to registered redirect URIs.
+  const { url, state, nonce } = authenticationRequest(platform, {
+    loginHint: String(params.login_hint),
+    messageHint: params.lti_message_hint ? String(params.lti_message_hint) : null,
+    redirectUri: `${baseUrl(req)}/lti/launch`,
+  });
+  res.cookie(STATE_COOKIE, { state, nonce, issuer: platform.issuer, clientId: platform.clientId }, STATE_COOKIE_OPTIONS);
+  res.redirect(url);
+}
+
+/**
+ * Sign the learner in for this one assignment. Learners don't get an
+ * account: the session only lets them see and submit to the launched link.
+ */
+function establishLearnerSession(req, res, learner) {
+  res.clearCookie('userId');
+  res.clearCookie('userEmail');
+  return new Promise((resolve) => {
+    req.session.regenerate((regenerateErr) => {
+      if (regenerateErr) console.error('[LTI] Session regenerate error:', regenerateErr);
+      req.session.lti = learner;
+      req.session.save((err) => {
+        if (err) console.error('[LTI] Session save error:', err);
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * POST /lti/launch — the platform's form post with the id_token. Teachers
+ * land on the assignment's submissions, learners on the submission page.
+ */
+async function handleLaunch(req, res) {
+  if (!ltiConfigured()) return res.status(404).send('Not found');
+
+  const pending = req.signedCookies?.[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+  const { id_token: idToken, state } = req.body || {};
+  if (!pending || !state || pending.state !== state) {
+    return sendLaunchError(res, 400, 'The launch expired or was opened in another browser. Open the assignment from your LMS again.');
+  }
+  const platform = findPlatform(pending.issuer, pending.clientId);
+  if (!platform) return sendLaunchError(res, 400, 'This LMS is not registered with the tool.');
+
+  let launch;
+  try {
+    launch = await verifyLaunch(idToken, { platform, nonce: pending.nonce });
+  } catch (error) {
+    console.error('[LTI] Launch rejected:', error.message);
+    return sendLaunchError(res, 401, 'The launch could not be verified. Open the assignment from your LMS again.');
+  }
+
+  if (launch.instructor) {
+    // Anyone who can set an email in the LMS can claim any address, so an
+    // LMS identity only signs in to the account its owner connected it to.
+    const user = await userService.findUserByOidcIdentity(launch.issuer, launch.subject);
+    if (!user) {
+      if (!launch.email) return sendLaunchError(res, 403, LAUNCH_ERRORS.no_email);
+      res.cookie(CONNECT_COOKIE, { issuer: launch.issuer, subject: launch.subject, email: launch.email }, CONNECT_COOKIE_OPTIONS);
+      return res.redirect(303, '/lti/connect');
+    }
+
+    const { link, reason } = await resolveInstructorLaunch(launch, platform, user.id);
+    if (!link) return sendLaunchError(res, reason === 'other_teacher' ? 403 : 500, LAUNCH_ERRORS[reason]);
+
+    await authController.establishSession(req, res, user);
+    return res.redirect(303, `/lti/assignment?link=${encodeURIComponent(link.id)}`);
+  }
+
+  if (launch.learner) {
+    const { linkId, studentId, reason } = await resolveLearnerLaunch(launch);
+    if (!linkId) return sendLaunchError(res, reason === 'not_set_up' ? 409 : 500, LAUNCH_ERRORS[reason]);
+
+    await establishLearnerSession(req, res, { linkId, studentId });
+    return res.redirect(303, '/lti/submit');
+  }
+
+  sendLaunchError(res, 403, LAUNCH_ERRORS.no_role);
+}
+
+/**
+ * GET /lti/connect — ask the signed-in teacher to confirm that the LMS
+ * account they launched from is theirs, or to sign in first
+ */
+async function handleConnectPage(req, res) {
+  const pending = req.signedCookies?.[CONNECT_COOKIE];
+  if (!pending) {
+    return sendLaunchError(res, 400, 'The launch expired. Open the assignment from your LMS again.');
+  }
+
+  const userId = getUserId(req);
+  const user = userId ? await userService.getUserById(userId) : null;
+  if (!user) {
+    return sendPage(res, 200, 'Connect your LMS account',
+      `<p>To open assignments from your LMS as <strong>${escapeHtml(pending.email)}</strong>, ` +
+      'sign in to Essay Grader once in this browser, or create an account.</p>' +
+      '<p><a href="/login" target="_blank" rel="noopener">Sign in</a></p>' +
+      '<p>Then come back to this page and reload it.</p>');
+  }
+
+  sendPage(res, 200, 'Connect your LMS account',
+    `<p>Connect the LMS account <strong>${escapeHtml(pending.email)}</strong> at ${escapeHtml(pending.issuer)} ` +
+    `to your Essay Grader account <strong>${escapeHtml(user.email)}</strong>? ` +
+    'Opening assignments from that LMS account will then sign you in here.</p>' +
+    '<form method="POST" action="/lti/connect"><button type="submit">Connect</button></form>' +
+    '<p>If this isn\'t your LMS account, close this window.</p>');
+}
+
+/**
+ * POST /lti/connect — link the pending LMS identity to the signed-in teacher
+ */
+async function handleConnect(req, res) {
+  const pending = req.signedCookies?.[CONNECT_COOKIE];
+  const userId = getUserId(req);
+  if (!pending || !userId) return res.redirect(303, '/lti/connect');
+
+  const linked = await userService.linkOidcIdentity(userId, pending);
+  res.clearCookie(CONNECT_COOKIE, CONNECT_COOKIE_OPTIONS);
+  if (!linked) {
+    return sendLaunchError(res, 409, 'This LMS account is already connected to another Essay Grader account.');
+  }
+  sendPage(res, 200, 'LMS account connected',
+    '<p>Open the assignment from your LMS again to continue.</p>');
+}
+
+/**
+ * GET /api/lti/submission — the launched assignment and the learner's
+ * latest submission
+ */
+async function handleGetSubmission(req, res) {
+  const learner = req.session?.lti;
+  if (!learner) return res.status(401).json({ error: 'Open the assignment from your LMS' });
+
+  const data = await getLearnerAssignment(learner.linkId, learner.studentId);
+  if (!data) return res.status(404).json({ error: 'Assignment not found' });
+  res.json({ success: true, ...data });
+}
+
+/**
+ * POST /api/lti/submission — hand in an essay ({ text })
+ */
+async function handleSubmit(req, res) {
+  const learner = req.session?.lti;
+  if (!learner) return res.status(401).json({ error: 'Open the assignment from your LMS' });
+
+  const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+  if (!text) return res.status(400).json({ error: 'Write your essay before submitting' });
+  if (text.length > MAX_SUBMISSION_LENGTH) {
+    return res.status(400).json({ error: `Essays can be at most ${MAX_SUBMISSION_LENGTH} characters` });
+  }
+
+  const submission = await submitEssay(learner.linkId, learner.studentId, text);
+  if (!submission) return res.status(500).json({ error: 'Failed to save your essay' });
+  res.status(201).json({ success: true, submission });
+}
+
+/**
+ * GET /api/lti/links/:id — a launched assignment and its latest submission
+ * per student
+ */
+async function handleGetLink(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const data = await getLinkForTeacher(req.params.id, userId);
+  if (!data) return res.status(404).json({ error: 'Assignment not found or access denied' });
+  res.json({ success: true, ...data });
+}
+
+/**
+ * POST /api/lti/links/:id/scores — post the assignment's saved grades to the
+ * LMS gradebook
+ */
+async function handleSendScores(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  try {
+    const result = await sendScores(req.params.id, userId);
+    if (!result) return res.status(404).json({ error: 'Assignment not found or access denied' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[LTI] Send scores error:', error.message);
+    res.status(502).json({ error: error.message });
+  }
+}
+
+export {
+  handleJwks,
+  handleLogin,
+  handleLaunch,
+  handleConnectPage,
+  handleConnect,
+  handleGetSubmission,
+  handleSubmit,
+  handleGetLink,
+  handleSendScores,
+};
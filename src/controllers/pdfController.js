@@ -0,0 +1,78 @@
+// PDF Controller
+// Route handlers for server-rendered PDFs of graded essays
+
+import { LAYOUTS, pdfEssays, pdfFileName, zipEntryNames } from '../services/pdfExport.js';
+import { renderEssayPdfs } from '../services/pdfRenderer.js';
+import { getEssayById } from '../services/savedEssayService.js';
+import { zip } from '../services/zipWriter.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+function requestedLayout(req) {
+  const layout = String(req.query.layout || 'merged').toLowerCase();
+  return LAYOUTS.includes(layout) ? layout : null;
+}
+
+async function sendPdfs(res, essays, { title, layout = 'merged' }) {
+  const pdfs = await renderEssayPdfs(essays, { title, layout });
+  if (!pdfs) {
+    return res.status(500).json({ error: 'Failed to render PDF' });
+  }
+
+  if (layout === 'zip') {
+    const names = zipEntryNames(essays);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfFileName(title, 'zip')}"`);
+    return res.send(zip(pdfs.map((data, i) => ({ name: names[i], data }))));
+  }
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${pdfFileName(title, 'pdf')}"`);
+  res.send(pdfs[0]);
+}
+
+/**
+ * POST /api/pdf?layout=merged|zip — PDF of essays graded in the browser: one
+ * file with every essay, or a ZIP with one PDF per student.
+ * Body: { title, essays: [{ studentName, html }] } where html is the essay's
+ * results as shown on the grading page.
+ */
+async function handleRenderPdf(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const layout = requestedLayout(req);
+  if (!layout) {
+    return res.status(400).json({ error: `layout must be one of: ${LAYOUTS.join(', ')}` });
+  }
+  const { essays, error } = pdfEssays(req.body?.essays);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  await sendPdfs(res, essays, { title: String(req.body.title || 'Graded essays').slice(0, 200), layout });
+}
+
+/**
+ * GET /api/saved-essays/:id/pdf — PDF of a saved essay
+ */
+async function handleSavedEssayPdf(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const essay = await getEssayById(req.params.id, userId);
+  if (!essay) {
+    return res.status(404).json({ error: 'Essay not found' });
+  }
+
+  await sendPdfs(res, [{ studentName: essay.studentName, html: essay.renderedHTML }], { title: essay.studentName });
+}
+
+export {
+  handleRenderPdf,
+  handleSavedEssayPdf,
+};
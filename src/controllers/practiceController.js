@@ -0,0 +1,161 @@
+// Practice Controller
+// Route handlers for practice sets: exercises built from the errors in a
+// student's, a class's or one essay's saved essays, with PDF and Word
+// worksheets.
+
+import { createPracticeSet, deletePracticeSet, getPracticeSet, getPracticeSets } from '../services/practiceService.js';
+import { exportFileName, practiceDocx, practiceSheetHTML } from '../services/practiceExport.js';
+import { pdfFileName } from '../services/pdfExport.js';
+import { renderHtmlPdf } from '../services/pdfRenderer.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+function idParam(value) {
+  return typeof value === 'string' && value ? value : null;
+}
+
+function count(value) {
+  const n = Number.parseInt(value, 10);
+  return Number.isNaN(n) ? undefined : n;
+}
+
+function withAnswers(req) {
+  return req.query.answers === 'true' || req.query.answers === '1';
+}
+
+/**
+ * POST /api/practice-sets — build and store a practice set.
+ * Body: { essayId | studentId | classProfileId, exercises, vocabularyDrills,
+ *   categories } where exercises and vocabularyDrills are how many of each
+ *   (default 12 and 5) and categories narrows the error categories practised.
+ */
+async function handleCreatePracticeSet(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const body = req.body || {};
+  const created = await createPracticeSet(userId, {
+    essayId: idParam(body.essayId),
+    studentId: idParam(body.studentId),
+    classProfileId: idParam(body.classProfileId),
+  }, {
+    exercises: count(body.exercises),
+    vocabularyDrills: count(body.vocabularyDrills),
+    categories: Array.isArray(body.categories) ? body.categories.filter(c => typeof c === 'string') : null,
+  });
+  if (!created) {
+    return res.status(500).json({ error: 'Failed to create practice set' });
+  }
+  if (created.error) {
+    return res.status(created.status).json({ error: created.error });
+  }
+  res.status(201).json({ practiceSet: created.practiceSet });
+}
+
+/**
+ * GET /api/practice-sets?studentId=|classProfileId=|essayId= — the sets made
+ * for a student, class or essay, newest first
+ */
+async function handleListPracticeSets(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const filter = {
+    studentId: idParam(req.query.studentId),
+    classProfileId: idParam(req.query.classProfileId),
+    essayId: idParam(req.query.essayId),
+  };
+  if (!filter.studentId && !filter.classProfileId && !filter.essayId) {
+    return res.status(400).json({ error: 'studentId, classProfileId or essayId is required' });
+  }
+
+  const practiceSets = await getPracticeSets(userId, filter);
+  if (!practiceSets) {
+    return res.status(500).json({ error: 'Failed to load practice sets' });
+  }
+  res.json({ practiceSets });
+}
+
+/**
+ * GET /api/practice-sets/:id — a set with its exercises and answers
+ */
+async function handleGetPracticeSet(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const practiceSet = await getPracticeSet(req.params.id, userId);
+  if (!practiceSet) {
+    return res.status(404).json({ error: 'Practice set not found' });
+  }
+  res.json({ practiceSet });
+}
+
+/**
+ * DELETE /api/practice-sets/:id
+ */
+async function handleDeletePracticeSet(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const deleted = await deletePracticeSet(req.params.id, userId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Practice set not found' });
+  }
+  res.json({ success: true });
+}
+
+/**
+ * GET /api/practice-sets/:id/pdf?answers=true — the worksheet as a PDF, with
+ * the answer key on its own page when asked for
+ */
+async function handlePracticeSetPdf(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const practiceSet = await getPracticeSet(req.params.id, userId);
+  if (!practiceSet) {
+    return res.status(404).json({ error: 'Practice set not found' });
+  }
+
+  const answers = withAnswers(req);
+  const pdf = await renderHtmlPdf(practiceSheetHTML(practiceSet, { answers }));
+  if (!pdf) {
+    return res.status(500).json({ error: 'Failed to render PDF' });
+  }
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${pdfFileName(exportFileName(practiceSet, answers), 'pdf')}"`);
+  res.send(pdf);
+}
+
+/**
+ * GET /api/practice-sets/:id/docx?answers=true — the worksheet as a Word
+ * document, with the answer key on its own page when asked for
+ */
+async function handlePracticeSetDocx(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const practiceSet = await getPracticeSet(req.params.id, userId);
+  if (!practiceSet) {
+    return res.status(404).json({ error: 'Practice set not found' });
+  }
+
+  const answers = withAnswers(req);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  res.setHeader('Content-Disposition', `attachment; filename="${pdfFileName(exportFileName(practiceSet, answers), 'docx')}"`);
+  res.send(practiceDocx(practiceSet, { answers }));
+}
+
+export {
+  handleCreatePracticeSet,
+  handleListPracticeSets,
+  handleGetPracticeSet,
+  handleDeletePracticeSet,
+  handlePracticeSetPdf,
+  handlePracticeSetDocx,
+};
@@ -0,0 +1,163 @@
+// Rubric Controller
+// Route handlers for rubric CRUD operations and version history
+
+import {
+  getRubricsByUser,
+  getRubricById,
+  getRubricVersion,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+} from '../services/rubricService.js';
+import { DEFAULT_RUBRIC, validateRubric } from '../../grader/rubrics.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+/**
+ * Editable part of the built-in rubric — the editor's starting point for a
+ * new rubric. CEFR level names and layout rules aren't teacher-editable.
+ */
+function defaultDefinition() {
+  const { label, zero_rules, categories } = DEFAULT_RUBRIC;
+  return { label, zero_rules, categories };
+}
+
+/**
+ * GET /api/rubrics — list all rubrics for user
+ */
+async function handleGetRubrics(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const rubrics = await getRubricsByUser(userId);
+  res.json({ rubrics });
+}
+
+/**
+ * GET /api/rubrics/default — the built-in rubric, as a template
+ */
+async function handleGetDefaultRubric(req, res) {
+  res.json({ definition: defaultDefinition() });
+}
+
+/**
+ * GET /api/rubrics/:id — get a single rubric with its version list
+ */
+async function handleGetRubric(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const rubric = await getRubricById(req.params.id, userId);
+  if (!rubric) {
+    return res.status(404).json({ error: 'Rubric not found' });
+  }
+
+  res.json({ rubric });
+}
+
+/**
+ * GET /api/rubrics/:id/versions/:version — get one historical version
+ */
+async function handleGetRubricVersion(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const version = parseInt(req.params.version, 10);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: 'Invalid version' });
+  }
+
+  const found = await getRubricVersion(req.params.id, userId, version);
+  if (!found) {
+    return res.status(404).json({ error: 'Rubric version not found' });
+  }
+
+  res.json({ version: found });
+}
+
+/**
+ * POST /api/rubrics — create a rubric (version 1)
+ */
+async function handleCreateRubric(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const { name, description, definition } = req.body;
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  const problems = validateRubric(definition);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid rubric', details: problems });
+  }
+
+  const rubric = await createRubric(userId, { name: String(name).trim(), description, definition });
+  if (!rubric) {
+    return res.status(500).json({ error: 'Failed to save rubric' });
+  }
+
+  res.json({ success: true, rubric });
+}
+
+/**
+ * PUT /api/rubrics/:id — rename, and/or save a new version of the definition
+ */
+async function handleUpdateRubric(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const { name, description, definition } = req.body;
+  if (name === undefined && description === undefined && definition === undefined) {
+    return res.status(400).json({ error: 'At least one of name, description or definition is required' });
+  }
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ error: 'name cannot be empty' });
+  }
+  if (definition !== undefined) {
+    const problems = validateRubric(definition);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid rubric', details: problems });
+    }
+  }
+
+  const rubric = await updateRubric(req.params.id, userId, {
+    name: name !== undefined ? String(name).trim() : undefined,
+    description,
+    definition,
+  });
+  if (!rubric) {
+    return res.status(404).json({ error: 'Rubric not found or access denied' });
+  }
+
+  res.json({ success: true, rubric });
+}
+
+/**
+ * DELETE /api/rubrics/:id — delete a rubric and its versions
+ */
+async function handleDeleteRubric(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const deleted = await deleteRubric(req.params.id, userId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Rubric not found or access denied' });
+  }
+
+  res.json({ success: true });
+}
+
+export {
+  handleGetRubrics,
+  handleGetDefaultRubric,
+  handleGetRubric,
+  handleGetRubricVersion,
+  handleCreateRubric,
+  handleUpdateRubric,
+  handleDeleteRubric,
+};
@@ -8,6 +8,7 @@ import {
   getEssayById,
   deleteEssay,
 } from '../services/savedEssayService.js';
+import { resubmitEssay } from '../services/revisionService.js';
 
 /**
  * Helper to extract userId from request
@@ -23,12 +24,12 @@ async function handleSaveEssay(req, res) {
   const userId = getUserId(req);
   if (!userId) return res.status(401).json({ error: 'Authentication required' });
 
-  const { classProfileId, studentName, renderedHTML, essayData } = req.body;
+  const { classProfileId, studentName, studentId, assignmentId, renderedHTML, essayData } = req.body;
   if (!studentName || !renderedHTML || !essayData) {
     return res.status(400).json({ error: 'studentName, renderedHTML, and essayData are required' });
   }
 
-  const saved = await saveEssay(userId, { classProfileId, studentName, renderedHTML, essayData });
+  const saved = await saveEssay(userId, { classProfileId, studentName, studentId, assignmentId, renderedHTML, essayData });
   if (!saved) {
     return res.status(500).json({ error: 'Failed to save essay' });
   }
@@ -101,10 +102,29 @@ async function handleDeleteEssay(req, res) {
   res.json({ success: true });
 }
 
+/**
+ * POST /api/saved-essays/:id/revisions — grade the student's rewrite of a
+ * saved essay against the earlier draft and save it as the next draft.
+ * Body: { studentText }
+ */
+async function handleResubmitEssay(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const userEmail = req.session?.userEmail || req.signedCookies?.userEmail || null;
+  const revised = await resubmitEssay(req.params.id, userId, { studentText: req.body?.studentText, userEmail });
+  if (revised.error) {
+    return res.status(revised.status).json({ error: revised.error });
+  }
+
+  res.status(201).json({ success: true, essay: revised.essay });
+}
+
 export {
   handleSaveEssay,
   handleUpdateEssay,
   handleGetEssays,
   handleGetEssay,
   handleDeleteEssay,
+  handleResubmitEssay,
 };
@@ -0,0 +1,108 @@
+// Share Link Controller
+// Route handlers for student share links: teachers make, list and revoke
+// them; students open the read-only view of their essay without signing in.
+
+import { formatGradedEssay } from '../../grader/formatter.js';
+import { readEditsFromHTML, readHighlightsFromHTML } from '../services/savedEssayHTML.js';
+import { extractResult } from '../services/progressReport.js';
+import { createShareLink, getShareLinks, getSharedEssay, revokeShareLink } from '../services/shareLinkService.js';
+import { studentResult } from '../services/shareLinks.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+function baseUrl(req) {
+  return process.env.APP_URL?.replace(/\/$/, '') || `${req.protocol}://${req.get('host')}`;
+}
+
+// The essay as the student wrote it, kept with the grading data.
+function studentText(essayData) {
+  try {
+    return JSON.parse(essayData)?.originalData?.studentText || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * POST /api/saved-essays/:id/share-links — make a link for the student.
+ * Body: { expiresInDays } (7, 30, 90 or 365; default 30). The URL is in the
+ * response only: it can't be shown again.
+ */
+async function handleCreateShareLink(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const created = await createShareLink(req.params.id, userId, { expiresInDays: req.body?.expiresInDays });
+  if (!created) {
+    return res.status(500).json({ error: 'Failed to create share link' });
+  }
+  if (created.error) {
+    return res.status(created.status).json({ error: created.error });
+  }
+  res.status(201).json({ link: created.link, url: `${baseUrl(req)}/shared/${created.token}` });
+}
+
+/**
+ * GET /api/saved-essays/:id/share-links — an essay's links, newest first
+ */
+async function handleListShareLinks(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const links = await getShareLinks(req.params.id, userId);
+  if (!links) {
+    return res.status(404).json({ error: 'Essay not found' });
+  }
+  res.json({ links });
+}
+
+/**
+ * DELETE /api/share-links/:id — revoke a link
+ */
+async function handleRevokeShareLink(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const link = await revokeShareLink(req.params.id, userId);
+  if (!link) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+  res.json({ link });
+}
+
+/**
+ * GET /api/shared/:token — the student's read-only view of a shared essay:
+ * the formatted essay and feedback without edit controls or teacher-only
+ * fields. Public; the token is the permission.
+ */
+async function handleGetSharedEssay(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  const shared = await getSharedEssay(req.params.token);
+  const result = shared && extractResult(shared.essay.essayData);
+  const text = shared && studentText(shared.essay.essayData);
+  if (!result || !text) {
+    return res.status(404).json({ error: 'This link has expired or been turned off. Ask your teacher for a new one.' });
+  }
+
+  const html = shared.essay.renderedHTML;
+  const edits = { ...readEditsFromHTML(html), highlights: readHighlightsFromHTML(html, text) };
+  const formatted = formatGradedEssay(text, studentResult(result, edits), { editable: false });
+  res.json({
+    studentName: shared.essay.studentName,
+    formattedText: formatted.formattedText,
+    feedbackSummary: formatted.feedbackSummary,
+    expiresAt: new Date(shared.expiresAt).toISOString(),
+  });
+}
+
+export {
+  handleCreateShareLink,
+  handleListShareLinks,
+  handleRevokeShareLink,
+  handleGetSharedEssay,
+};
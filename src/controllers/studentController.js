@@ -0,0 +1,158 @@
+// Student Controller
+// Route handlers for class rosters and per-student history
+
+import {
+  getStudentsByProfile,
+  createStudent,
+  updateStudent,
+  deleteStudent,
+  importRoster,
+  getStudentHistory,
+  getStudentProgress,
+} from '../services/studentService.js';
+
+/**
+ * Helper to extract userId from request
+ */
+function getUserId(req) {
+  return req.session?.userId || req.signedCookies?.userId || null;
+}
+
+/**
+ * GET /api/profiles/:profileId/students — a class profile's roster
+ */
+async function handleGetStudents(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const students = await getStudentsByProfile(req.params.profileId, userId);
+  res.json({ students });
+}
+
+/**
+ * POST /api/profiles/:profileId/students — add one student
+ */
+async function handleCreateStudent(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const { name, externalId, aliases } = req.body;
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  const student = await createStudent(userId, {
+    classProfileId: req.params.profileId,
+    name: String(name),
+    externalId,
+    aliases,
+  });
+  if (!student) {
+    return res.status(404).json({ error: 'Profile not found or access denied' });
+  }
+
+  res.json({ success: true, student });
+}
+
+/**
+ * POST /api/profiles/:profileId/students/import — import a pasted roster
+ */
+async function handleImportRoster(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const { roster } = req.body;
+  if (typeof roster !== 'string' || !roster.trim()) {
+    return res.status(400).json({ error: 'roster text is required' });
+  }
+
+  const summary = await importRoster(req.params.profileId, userId, roster);
+  if (!summary) {
+    return res.status(404).json({ error: 'Profile not found or access denied' });
+  }
+
+  res.json({ success: true, ...summary });
+}
+
+/**
+ * PUT /api/students/:id — rename, set the external id or nicknames
+ */
+async function handleUpdateStudent(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const { name, externalId, aliases } = req.body;
+  if (name === undefined && externalId === undefined && aliases === undefined) {
+    return res.status(400).json({ error: 'At least one of name, externalId or aliases is required' });
+  }
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ error: 'name cannot be empty' });
+  }
+
+  const student = await updateStudent(req.params.id, userId, {
+    name: name !== undefined ? String(name) : undefined,
+    externalId,
+    aliases,
+  });
+  if (!student) {
+    return res.status(404).json({ error: 'Student not found or access denied' });
+  }
+
+  res.json({ success: true, student });
+}
+
+/**
+ * DELETE /api/students/:id — remove a student from the roster
+ */
+async function handleDeleteStudent(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const deleted = await deleteStudent(req.params.id, userId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Student not found or access denied' });
+  }
+
+  res.json({ success: true });
+}
+
+/**
+ * GET /api/students/:id/history — saved essays and grading events for one student
+ */
+async function handleGetStudentHistory(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const history = await getStudentHistory(req.params.id, userId);
+  if (!history) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+
+  res.json(history);
+}
+
+/**
+ * GET /api/students/:id/progress — scores and errors across the student's
+ * saved essays
+ */
+async function handleGetStudentProgress(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+  const progress = await getStudentProgress(req.params.id, userId);
+  if (!progress) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+
+  res.json(progress);
+}
+
+export {
+  handleGetStudents,
+  handleCreateStudent,
+  handleImportRoster,
+  handleUpdateStudent,
+  handleDeleteStudent,
+  handleGetStudentHistory,
+  handleGetStudentProgress,
+};
@@ -2,6 +2,8 @@
  * Authentication middleware
  */
 
+import { createHash, timingSafeEqual } from 'crypto';
+
 /**
  * Middleware to check if user is authenticated
  */
@@ -71,4 +73,20 @@ export function attachUser(req, res, next) {
     };
   }
   next();
-}
\ No newline at end of file
+}
+/**
+ * Middleware for scheduled jobs: Vercel cron sends
+ * "Authorization: Bearer <CRON_SECRET>". Without CRON_SECRET the route
+ * doesn't exist.
+ */
+export function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  if (!timingSafeEqual(digest(req.get('Authorization') || ''), digest(`Bearer ${secret}`))) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
@@ -0,0 +1,13 @@
+// Analytics routes
+// Teacher-facing class dashboard (the operator's usage dashboard is admin.js)
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { handleGetClassAnalytics } from '../controllers/analyticsController.js';
+
+const router = express.Router();
+
+router.get('/api/profiles/:profileId/analytics', requireAuth, asyncHandler(handleGetClassAnalytics));
+
+export default router;
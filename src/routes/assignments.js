@@ -0,0 +1,23 @@
+// Assignment routes
+// Handles CRUD operations for assignments under class profiles
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleGetAssignments,
+  handleGetAssignment,
+  handleCreateAssignment,
+  handleUpdateAssignment,
+  handleDeleteAssignment,
+} from '../controllers/assignmentController.js';
+
+const router = express.Router();
+
+router.get('/api/assignments', requireAuth, asyncHandler(handleGetAssignments));
+router.get('/api/assignments/:id', requireAuth, asyncHandler(handleGetAssignment));
+router.post('/api/assignments', requireAuth, asyncHandler(handleCreateAssignment));
+router.put('/api/assignments/:id', requireAuth, asyncHandler(handleUpdateAssignment));
+router.delete('/api/assignments/:id', requireAuth, asyncHandler(handleDeleteAssignment));
+
+export default router;
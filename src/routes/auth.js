@@ -4,16 +4,16 @@
 
 import express from 'express';
 import AuthController from '../controllers/authController.js';
-import { redirectIfAuthenticated } from '../middleware/authMiddleware.js';
+import { redirectIfAuthenticated, requireAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 const authController = new AuthController();
 
 console.log('[AUTH_ROUTES] Auth routes being registered');
 
-// POST /auth/login - Login or register with email
+// POST /auth/login - Sign in with email + password, or email a sign-in link
 router.post('/login', (req, res, next) => {
-  console.log('[AUTH_ROUTES] Login route hit:', req.method, req.path, req.body);
+  console.log('[AUTH_ROUTES] Login route hit:', req.method, req.path);
   try {
     return authController.login(req, res);
   } catch (error) {
@@ -28,6 +28,22 @@ router.get('/test', (req, res) => {
   res.json({ success: true, message: 'Auth routes working', timestamp: new Date().toISOString() });
 });
 
+// GET /auth/verify?token= - Page an emailed sign-in link opens; its button posts the token
+router.get('/verify', authController.confirmMagicLink.bind(authController));
+
+// POST /auth/verify - Sign in (registering on first use) with an emailed link's token
+router.post('/verify', authController.verifyMagicLink.bind(authController));
+
+// POST /auth/password - Set or change the signed-in user's password
+router.post('/password', requireAuth, authController.setPassword.bind(authController));
+
+// GET /auth/providers - Sign-in methods offered, for the login page
+router.get('/providers', authController.providers.bind(authController));
+
+// GET /auth/oidc/start, /auth/oidc/callback - OIDC (e.g. Google) sign-in
+router.get('/oidc/start', authController.oidcStart.bind(authController));
+router.get('/oidc/callback', authController.oidcCallback.bind(authController));
+
 // POST /auth/logout - Logout user
 router.post('/logout', authController.logout.bind(authController));
 
@@ -0,0 +1,13 @@
+// DOCX routes
+// Word exports of graded essays
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { handleRenderDocx } from '../controllers/docxController.js';
+
+const router = express.Router();
+
+router.post('/api/docx', requireAuth, asyncHandler(handleRenderDocx));
+
+export default router;
@@ -0,0 +1,19 @@
+// Gradebook routes
+// Grade exports for a class profile or a batch
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleGetProfileGradebook,
+  handleBatchGradebook,
+  handleGetGradebookSchema,
+} from '../controllers/gradebookController.js';
+
+const router = express.Router();
+
+router.get('/api/profiles/:profileId/gradebook', requireAuth, asyncHandler(handleGetProfileGradebook));
+router.post('/api/gradebook', requireAuth, asyncHandler(handleBatchGradebook));
+router.get('/api/gradebook/schema', requireAuth, asyncHandler(handleGetGradebookSchema));
+
+export default router;
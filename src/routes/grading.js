@@ -3,13 +3,18 @@
 
 import express from 'express';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireAuth, requireCronSecret } from '../middleware/authMiddleware.js';
 import {
   handleLegacyGrade,
   handleApiGrade,
   handleBatchGrade,
-  handleBatchGradeStream,
-  handleBatchGradeStreamInit,
+  handleBatchSimilarity,
+  handleCreateGradingJob,
+  handleListGradingJobs,
+  handleGetGradingJob,
+  handleGradingJobEvents,
+  handleDeleteGradingJob,
+  handleRunGradingWorker,
   handleFormatEssay,
   handleDebug,
   handleTestGrade,
@@ -25,6 +30,16 @@ router.post('/grade', requireAuth, asyncHandler(handleLegacyGrade));
 // API grade endpoints
 router.post('/api/grade', requireAuth, asyncHandler(handleApiGrade));
 router.post('/api/grade-batch', requireAuth, asyncHandler(handleBatchGrade));
+router.post('/api/similarity', requireAuth, asyncHandler(handleBatchSimilarity));
+
+// Batch grading jobs: stored batches graded by the worker
+// (src/services/gradingWorker.js). /work is for the cron, before /:id.
+router.get('/api/grading-jobs/work', requireCronSecret, asyncHandler(handleRunGradingWorker));
+router.post('/api/grading-jobs', requireAuth, asyncHandler(handleCreateGradingJob));
+router.get('/api/grading-jobs', requireAuth, asyncHandler(handleListGradingJobs));
+router.get('/api/grading-jobs/:id', requireAuth, asyncHandler(handleGetGradingJob));
+router.get('/api/grading-jobs/:id/events', requireAuth, asyncHandler(handleGradingJobEvents));
+router.delete('/api/grading-jobs/:id', requireAuth, asyncHandler(handleDeleteGradingJob));
 
 // Format endpoint
 router.post('/format', requireAuth, asyncHandler(handleFormatEssay));
@@ -0,0 +1,27 @@
+// Import routes
+// Bulk essay import from TXT, RTF, DOCX, PDF, image and ZIP files
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { handleImportEssays } from '../controllers/importController.js';
+
+const router = express.Router();
+
+// Files arrive one per request as the raw body. Vercel rejects request
+// bodies over 4.5MB, so larger uploads are turned away here with a reason.
+const MAX_UPLOAD_SIZE = 4 * 1024 * 1024;
+const rawBody = express.raw({ type: 'application/octet-stream', limit: MAX_UPLOAD_SIZE });
+
+function readUpload(req, res, next) {
+  rawBody(req, res, (err) => {
+    if (err?.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Files can be at most 4MB. Unzip large ZIPs and drop the folder instead.' });
+    }
+    next(err);
+  });
+}
+
+router.post('/api/import/essays', requireAuth, readUpload, asyncHandler(handleImportEssays));
+
+export default router;
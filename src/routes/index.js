@@ -6,6 +6,17 @@ import gradingRoutes from './grading.js';
 import profileRoutes from './profiles.js';
 import gradingSessionRoutes from './gradingSession.js';
 import savedEssayRoutes from './savedEssays.js';
+import rubricRoutes from './rubrics.js';
+import studentRoutes from './students.js';
+import assignmentRoutes from './assignments.js';
+import analyticsRoutes from './analytics.js';
+import gradebookRoutes from './gradebook.js';
+import pdfRoutes from './pdf.js';
+import docxRoutes from './docx.js';
+import shareLinkRoutes from './shareLinks.js';
+import practiceRoutes from './practice.js';
+import ltiRoutes from './lti.js';
+import importRoutes from './import.js';
 import staticRoutes from './static.js';
 import authRoutes from './auth.js';
 import adminRoutes from './admin.js';
@@ -20,6 +31,17 @@ router.use('/', gradingRoutes);
 router.use('/', profileRoutes);
 router.use('/', gradingSessionRoutes);
 router.use('/', savedEssayRoutes);
+router.use('/', rubricRoutes);
+router.use('/', studentRoutes);
+router.use('/', assignmentRoutes);
+router.use('/', analyticsRoutes);
+router.use('/', gradebookRoutes);
+router.use('/', pdfRoutes);
+router.use('/', docxRoutes);
+router.use('/', shareLinkRoutes);
+router.use('/', practiceRoutes);
+router.use('/', ltiRoutes);
+router.use('/', importRoutes);
 
 // Static routes LAST (includes catch-all / route)
 router.use('/', staticRoutes);
@@ -0,0 +1,40 @@
+// LTI routes
+// LTI 1.3 tool endpoints (key set, login initiation, launch), learner
+// submissions and grade passback
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleJwks,
+  handleLogin,
+  handleLaunch,
+  handleConnectPage,
+  handleConnect,
+  handleGetSubmission,
+  handleSubmit,
+  handleGetLink,
+  handleSendScores,
+} from '../controllers/ltiController.js';
+
+const router = express.Router();
+
+// Platform-facing endpoints (register these URLs with the LMS)
+router.get('/lti/jwks', asyncHandler(handleJwks));
+router.get('/lti/login', asyncHandler(handleLogin));
+router.post('/lti/login', asyncHandler(handleLogin));
+router.post('/lti/launch', asyncHandler(handleLaunch));
+
+// Teachers confirm once that an LMS account is theirs
+router.get('/lti/connect', asyncHandler(handleConnectPage));
+router.post('/lti/connect', asyncHandler(handleConnect));
+
+// Learners: the launch session stands in for an account (pages in static.js)
+router.get('/api/lti/submission', asyncHandler(handleGetSubmission));
+router.post('/api/lti/submission', asyncHandler(handleSubmit));
+
+// Teachers
+router.get('/api/lti/links/:id', requireAuth, asyncHandler(handleGetLink));
+router.post('/api/lti/links/:id/scores', requireAuth, asyncHandler(handleSendScores));
+
+export default router;
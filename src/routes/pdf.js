@@ -0,0 +1,17 @@
+// PDF routes
+// Server-rendered PDFs of graded essays
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleRenderPdf,
+  handleSavedEssayPdf,
+} from '../controllers/pdfController.js';
+
+const router = express.Router();
+
+router.post('/api/pdf', requireAuth, asyncHandler(handleRenderPdf));
+router.get('/api/saved-essays/:id/pdf', requireAuth, asyncHandler(handleSavedEssayPdf));
+
+export default router;
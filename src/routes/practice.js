@@ -0,0 +1,25 @@
+// Practice routes
+// Practice exercises built from saved essays' detected errors
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleCreatePracticeSet,
+  handleListPracticeSets,
+  handleGetPracticeSet,
+  handleDeletePracticeSet,
+  handlePracticeSetPdf,
+  handlePracticeSetDocx,
+} from '../controllers/practiceController.js';
+
+const router = express.Router();
+
+router.post('/api/practice-sets', requireAuth, asyncHandler(handleCreatePracticeSet));
+router.get('/api/practice-sets', requireAuth, asyncHandler(handleListPracticeSets));
+router.get('/api/practice-sets/:id', requireAuth, asyncHandler(handleGetPracticeSet));
+router.delete('/api/practice-sets/:id', requireAuth, asyncHandler(handleDeletePracticeSet));
+router.get('/api/practice-sets/:id/pdf', requireAuth, asyncHandler(handlePracticeSetPdf));
+router.get('/api/practice-sets/:id/docx', requireAuth, asyncHandler(handlePracticeSetDocx));
+
+export default router;
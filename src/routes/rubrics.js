@@ -0,0 +1,27 @@
+// Rubric routes
+// Handles CRUD operations for teacher-editable rubrics
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleGetRubrics,
+  handleGetDefaultRubric,
+  handleGetRubric,
+  handleGetRubricVersion,
+  handleCreateRubric,
+  handleUpdateRubric,
+  handleDeleteRubric,
+} from '../controllers/rubricController.js';
+
+const router = express.Router();
+
+router.get('/api/rubrics', requireAuth, asyncHandler(handleGetRubrics));
+router.get('/api/rubrics/default', requireAuth, asyncHandler(handleGetDefaultRubric));
+router.get('/api/rubrics/:id', requireAuth, asyncHandler(handleGetRubric));
+router.get('/api/rubrics/:id/versions/:version', requireAuth, asyncHandler(handleGetRubricVersion));
+router.post('/api/rubrics', requireAuth, asyncHandler(handleCreateRubric));
+router.put('/api/rubrics/:id', requireAuth, asyncHandler(handleUpdateRubric));
+router.delete('/api/rubrics/:id', requireAuth, asyncHandler(handleDeleteRubric));
+
+export default router;
@@ -10,6 +10,7 @@ import {
   handleGetEssays,
   handleGetEssay,
   handleDeleteEssay,
+  handleResubmitEssay,
 } from '../controllers/savedEssayController.js';
 
 const router = express.Router();
@@ -19,5 +20,6 @@ router.get('/api/saved-essays/:id', requireAuth, asyncHandler(handleGetEssay));
 router.post('/api/saved-essays', requireAuth, asyncHandler(handleSaveEssay));
 router.put('/api/saved-essays/:id', requireAuth, asyncHandler(handleUpdateEssay));
 router.delete('/api/saved-essays/:id', requireAuth, asyncHandler(handleDeleteEssay));
+router.post('/api/saved-essays/:id/revisions', requireAuth, asyncHandler(handleResubmitEssay));
 
 export default router;
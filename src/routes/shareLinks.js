@@ -0,0 +1,22 @@
+// Share link routes
+// Read-only links to a graded essay for the student
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleCreateShareLink,
+  handleListShareLinks,
+  handleRevokeShareLink,
+  handleGetSharedEssay,
+} from '../controllers/shareLinkController.js';
+
+const router = express.Router();
+
+router.post('/api/saved-essays/:id/share-links', requireAuth, asyncHandler(handleCreateShareLink));
+router.get('/api/saved-essays/:id/share-links', requireAuth, asyncHandler(handleListShareLinks));
+router.delete('/api/share-links/:id', requireAuth, asyncHandler(handleRevokeShareLink));
+// Public: students open their link without an account.
+router.get('/api/shared/:token', asyncHandler(handleGetSharedEssay));
+
+export default router;
@@ -27,6 +27,51 @@ router.get('/account', requireAuth, (req, res) => {
   res.sendFile(path.join(process.cwd(), 'public', 'account.html'));
 });
 
+// Student progress report page (require authentication)
+router.get('/progress', requireAuth, (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  res.sendFile(path.join(process.cwd(), 'public', 'progress.html'));
+});
+
+// Class analytics dashboard (require authentication)
+router.get('/analytics', requireAuth, (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  res.sendFile(path.join(process.cwd(), 'public', 'analytics.html'));
+});
+
+// LTI submission page for learners launched from the LMS. No account: the
+// launch session is checked by the API it calls.
+router.get('/lti/submit', (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  res.sendFile(path.join(process.cwd(), 'public', 'lti-submit.html'));
+});
+
+// Student view of a shared essay. No account: the token in the URL is
+// checked by the API the page calls. Kept out of search engines, and the
+// token isn't sent on as a referrer.
+router.get('/shared/:token', (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.sendFile(path.join(process.cwd(), 'public', 'shared.html'));
+});
+
+// LTI assignment page for teachers: submissions and grade passback (require authentication)
+router.get('/lti/assignment', requireAuth, (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  res.sendFile(path.join(process.cwd(), 'public', 'lti-assignment.html'));
+});
+
 // Serve the main grading interface (require authentication)
 router.get('/', requireAuth, (req, res) => {
   // Prevent caching of HTML to ensure users always get latest version
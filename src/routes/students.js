@@ -0,0 +1,27 @@
+// Student routes
+// Class rosters (per profile) and per-student history and progress
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import {
+  handleGetStudents,
+  handleCreateStudent,
+  handleImportRoster,
+  handleUpdateStudent,
+  handleDeleteStudent,
+  handleGetStudentHistory,
+  handleGetStudentProgress,
+} from '../controllers/studentController.js';
+
+const router = express.Router();
+
+router.get('/api/profiles/:profileId/students', requireAuth, asyncHandler(handleGetStudents));
+router.post('/api/profiles/:profileId/students', requireAuth, asyncHandler(handleCreateStudent));
+router.post('/api/profiles/:profileId/students/import', requireAuth, asyncHandler(handleImportRoster));
+router.put('/api/students/:id', requireAuth, asyncHandler(handleUpdateStudent));
+router.delete('/api/students/:id', requireAuth, asyncHandler(handleDeleteStudent));
+router.get('/api/students/:id/history', requireAuth, asyncHandler(handleGetStudentHistory));
+router.get('/api/students/:id/progress', requireAuth, asyncHandler(handleGetStudentProgress));
+
+export default router;
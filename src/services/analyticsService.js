@@ -0,0 +1,56 @@
+// Analytics Service
+// Loads a class profile's saved essays for the teacher dashboard. The
+// aggregation itself lives in classAnalytics.js.
+
+import { buildClassAnalytics } from './classAnalytics.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[ANALYTICS] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Dashboard analytics for one of the user's class profiles (see
+ * buildClassAnalytics).
+ * @param {string} classProfileId - Class profile ID
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.assignmentId] - Only essays saved for this assignment
+ * @returns {Promise<Object|null>} { profile: {id, name, cefrLevel}, ...analytics },
+ *   or null when the profile isn't the user's or the query failed
+ */
+async function getClassAnalytics(classProfileId, userId, { assignmentId = null } = {}) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !classProfileId) return null;
+
+  try {
+    const profile = await prisma.class_profiles.findFirst({
+      where: { id: classProfileId, userId },
+      select: { id: true, name: true, cefrLevel: true, vocabulary: true },
+    });
+    if (!profile) return null;
+
+    const essays = await prisma.saved_essays.findMany({
+      where: { classProfileId, userId, ...(assignmentId ? { assignmentId } : {}) },
+      select: { id: true, studentName: true, studentId: true, createdAt: true, essayData: true },
+    });
+
+    const { vocabulary, ...summary } = profile;
+    return { profile: summary, assignmentId, ...buildClassAnalytics(essays, { vocabulary }) };
+  } catch (error) {
+    console.error('[ANALYTICS] Class analytics error:', error.message);
+    return null;
+  }
+}
+
+export {
+  getClassAnalytics,
+};
@@ -0,0 +1,216 @@
+// Assignment Service
+// Handles CRUD operations for assignments (one writing task under a class
+// profile) and merges an assignment over its profile for grading.
+
+import { normalizeWordCount, normalizeRubricRef } from './profileService.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[ASSIGNMENTS] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Normalize a due date from the client: a date or ISO string, or null when
+ * empty or unparseable.
+ */
+function normalizeDueDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The profile to grade with when `assignment` is chosen: the profile with the
+ * assignment's prompt, word count and rubric laid over it.
+ *
+ * An assignment's own prompt also replaces the profile's word count, even
+ * when the assignment sets none — the profile's target belonged to the
+ * profile's prompt, and without one the grader reads the count from the
+ * assignment prompt instead. A null assignment returns the profile unchanged.
+ *
+ * @param {Object} profile - class profile row
+ * @param {Object|null} assignment - assignments row
+ * @returns {Object}
+ */
+function applyAssignment(profile, assignment) {
+  if (!assignment) return profile;
+  const merged = { ...profile, assignmentId: assignment.id, assignmentTitle: assignment.title };
+
+  if (assignment.prompt) merged.prompt = assignment.prompt;
+  const ownWordCount = assignment.requiredWordCountMin != null || assignment.requiredWordCountMax != null;
+  if (ownWordCount || assignment.prompt) {
+    merged.requiredWordCountMin = assignment.requiredWordCountMin ?? null;
+    merged.requiredWordCountMax = assignment.requiredWordCountMax ?? null;
+  }
+  if (assignment.rubricId) {
+    merged.rubricId = assignment.rubricId;
+    merged.rubricVersion = assignment.rubricVersion ?? null;
+  }
+  return merged;
+}
+
+/**
+ * Columns an assignment create/update may set, normalized. Only keys present
+ * in `data` are returned, so updates leave the rest alone.
+ */
+function assignmentFields(data) {
+  const fields = {};
+  if (data.title !== undefined) fields.title = String(data.title).trim();
+  if (data.prompt !== undefined) fields.prompt = data.prompt ? String(data.prompt) : null;
+  if (data.requiredWordCountMin !== undefined) fields.requiredWordCountMin = normalizeWordCount(data.requiredWordCountMin);
+  if (data.requiredWordCountMax !== undefined) fields.requiredWordCountMax = normalizeWordCount(data.requiredWordCountMax);
+  if (data.dueDate !== undefined) fields.dueDate = normalizeDueDate(data.dueDate);
+  if (data.rubricId !== undefined) Object.assign(fields, normalizeRubricRef(data.rubricId, data.rubricVersion));
+  return fields;
+}
+
+/**
+ * Get a user's assignments, soonest due first (undated last)
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.classProfileId] - Only this profile's assignments
+ * @returns {Promise<Array>} Array of assignments
+ */
+async function getAssignmentsByUser(userId, { classProfileId = null } = {}) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return [];
+
+  try {
+    return await prisma.assignments.findMany({
+      where: { userId, ...(classProfileId ? { classProfileId } : {}) },
+      orderBy: [{ dueDate: { sort: 'asc', nulls: 'last' } }, { created: 'desc' }],
+    });
+  } catch (error) {
+    console.error('[ASSIGNMENTS] GetAll error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a single assignment (with ownership check)
+ * @param {string} id - Assignment ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Assignment or null
+ */
+async function getAssignmentById(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    return await prisma.assignments.findFirst({ where: { id, userId } });
+  } catch (error) {
+    console.error('[ASSIGNMENTS] Get error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The assignment to grade with: `id` when it's the user's and belongs to
+ * `classProfileId`, otherwise null (grading falls back to the profile).
+ * @param {string} id - Assignment ID
+ * @param {string} userId - User ID
+ * @param {string} classProfileId - Profile being graded with
+ * @returns {Promise<Object|null>}
+ */
+async function getAssignmentForGrading(id, userId, classProfileId) {
+  if (!id) return null;
+  const assignment = await getAssignmentById(id, userId);
+  if (!assignment || assignment.classProfileId !== classProfileId) {
+    if (assignment) console.warn(`[ASSIGNMENTS] Assignment ${id} is not under profile ${classProfileId}, ignoring`);
+    return null;
+  }
+  return assignment;
+}
+
+/**
+ * Create an assignment under one of the user's class profiles
+ * @param {string} userId - User ID
+ * @param {Object} data - classProfileId, title, and optionally prompt,
+ *   requiredWordCountMin/Max, dueDate, rubricId/rubricVersion
+ * @returns {Promise<Object|null>} Created assignment, or null when the
+ *   profile isn't the user's or the write failed
+ */
+async function createAssignment(userId, data) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !data.classProfileId) return null;
+
+  try {
+    const profile = await prisma.class_profiles.findFirst({
+      where: { id: data.classProfileId, userId },
+      select: { id: true },
+    });
+    if (!profile) return null;
+
+    return await prisma.assignments.create({
+      data: { userId, classProfileId: data.classProfileId, ...assignmentFields(data) },
+    });
+  } catch (error) {
+    console.error('[ASSIGNMENTS] Create error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update an assignment (verify ownership via userId). It stays under its
+ * class profile.
+ * @param {string} id - Assignment ID
+ * @param {string} userId - User ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object|null>} Updated assignment or null on failure
+ */
+async function updateAssignment(id, userId, data) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const existing = await prisma.assignments.findFirst({ where: { id, userId } });
+    if (!existing) return null;
+
+    return await prisma.assignments.update({ where: { id }, data: assignmentFields(data) });
+  } catch (error) {
+    console.error('[ASSIGNMENTS] Update error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete an assignment (verify ownership via userId). Saved essays keep
+ * their grades, unlinked (FK is ON DELETE SET NULL).
+ * @param {string} id - Assignment ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAssignment(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return false;
+
+  try {
+    const existing = await prisma.assignments.findFirst({ where: { id, userId } });
+    if (!existing) return false;
+
+    await prisma.assignments.delete({ where: { id } });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2025') return true;
+    console.error('[ASSIGNMENTS] Delete error:', error.message);
+    return false;
+  }
+}
+
+export {
+  applyAssignment,
+  getAssignmentsByUser,
+  getAssignmentById,
+  getAssignmentForGrading,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+};
@@ -0,0 +1,255 @@
+// Auth Service
+// Password hashing and emailed sign-in links.
+//
+// Passwords use Node's built-in scrypt (no native dependency to build on
+// Vercel) and are stored as `scrypt$N$r$p$salt$hash`, so the cost can be
+// raised later without invalidating existing hashes.
+//
+// Sign-in links carry a random 32-byte token; only its SHA-256 is stored, so
+// a leaked auth_tokens table can't be replayed. Tokens are single use and
+// expire after MAGIC_LINK_TTL_MS.
+//
+// Failed password sign-ins are stored in login_failures and limited per
+// address and per client IP, as sign-in link requests are per address.
+
+import { randomBytes, scrypt as scryptCallback, timingSafeEqual, createHash } from 'crypto';
+import { promisify } from 'util';
+import { sendMail } from './mailer.js';
+
+const scrypt = promisify(scryptCallback);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const PASSWORD_MIN_LENGTH = 10;
+
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+// Links one address may request per TTL window, so the form can't be used
+// to flood someone's inbox.
+const MAGIC_LINK_MAX_PER_WINDOW = 5;
+
+// Failed password sign-ins allowed per window: for one address, so a
+// password can't be guessed, and from one IP, so many addresses can't be
+// tried from one place. The IP limit is higher because a school's network
+// shares one address.
+const PASSWORD_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const PASSWORD_MAX_FAILURES_PER_EMAIL = 5;
+const PASSWORD_MAX_FAILURES_PER_IP = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[AUTH_SERVICE] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function isValidEmail(email) {
+  return EMAIL_PATTERN.test(normalizeEmail(email));
+}
+
+/**
+ * Hash a password for storage.
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash` (base64 salt and hash)
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash. False for a missing or malformed hash.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, N, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p),
+  });
+  return timingSafeEqual(key, expected);
+}
+
+/**
+ * Why a password can't be used, or null when it's acceptable.
+ * @returns {string|null}
+ */
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > 200) return 'Password is too long';
+  return null;
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a sign-in link for `email` and email it.
+ *
+ * @param {string} email
+ * @param {string} baseUrl - origin the link points at, e.g. https://grader.example.com
+ * @returns {Promise<{sent: boolean, reason?: string}>} reason is
+ *   'invalid_email', 'rate_limited' or 'unavailable'
+ */
+async function sendMagicLink(email, baseUrl) {
+  const address = normalizeEmail(email);
+  if (!isValidEmail(address)) return { sent: false, reason: 'invalid_email' };
+
+  const prisma = await getPrismaClient();
+  if (!prisma) return { sent: false, reason: 'unavailable' };
+
+  try {
+    const windowStart = new Date(Date.now() - MAGIC_LINK_TTL_MS);
+    const recent = await prisma.auth_tokens.count({
+      where: { email: address, createdAt: { gte: windowStart } },
+    });
+    if (recent >= MAGIC_LINK_MAX_PER_WINDOW) {
+      console.warn(`[AUTH_SERVICE] Sign-in link rate limit hit for ${address}`);
+      return { sent: false, reason: 'rate_limited' };
+    }
+
+    const token = randomBytes(32).toString('base64url');
+    await prisma.auth_tokens.create({
+      data: {
+        email: address,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MS),
+      },
+    });
+
+    const link = `${baseUrl.replace(/\/$/, '')}/auth/verify?token=${encodeURIComponent(token)}`;
+    const minutes = MAGIC_LINK_TTL_MS / 60000;
+    await sendMail({
+      to: address,
+      subject: 'Your LMGM sign-in link',
+      text: `Sign in to LMGM:\n\n${link}\n\nThe link works once and expires in ${minutes} minutes. ` +
+        `If you didn't ask for it, ignore this email.`,
+      html: `<p><a href="${link}">Sign in to LMGM</a></p>` +
+        `<p>The link works once and expires in ${minutes} minutes. If you didn't ask for it, ignore this email.</p>`,
+    });
+    return { sent: true };
+  } catch (error) {
+    console.error('[AUTH_SERVICE] Send sign-in link error:', error.message);
+    return { sent: false, reason: 'unavailable' };
+  }
+}
+
+/**
+ * Use a sign-in link token. Marks it used, so a second click fails.
+ *
+ * @param {string} token
+ * @returns {Promise<string|null>} the email the link was sent to, or null when
+ *   the token is unknown, used or expired
+ */
+async function consumeMagicLink(token) {
+  if (!token || typeof token !== 'string') return null;
+  const prisma = await getPrismaClient();
+  if (!prisma) return null;
+
+  try {
+    // updateMany with the conditions in the filter makes "check and mark
+    // used" one statement, so two clicks racing can't both succeed.
+    const tokenHash = hashToken(token);
+    const { count } = await prisma.auth_tokens.updateMany({
+      where: { tokenHash, usedAt: null, expiresAt: { gt: new Date() } },
+      data: { usedAt: new Date() },
+    });
+    if (count === 0) return null;
+    const row = await prisma.auth_tokens.findUnique({ where: { tokenHash } });
+    return row?.email || null;
+  } catch (error) {
+    console.error('[AUTH_SERVICE] Consume sign-in link error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Whether a password sign-in may be tried for `email` from `ip`, given the
+ * failures in the last PASSWORD_FAILURE_WINDOW_MS.
+ *
+ * @param {string} email
+ * @param {string|null} ip
+ * @returns {Promise<{allowed: boolean, reason?: string}>} reason is
+ *   'rate_limited' or 'unavailable'
+ */
+async function checkPasswordAttempt(email, ip) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return { allowed: false, reason: 'unavailable' };
+
+  try {
+    const since = new Date(Date.now() - PASSWORD_FAILURE_WINDOW_MS);
+    const [forEmail, forIp] = await Promise.all([
+      prisma.login_failures.count({ where: { email: normalizeEmail(email), createdAt: { gte: since } } }),
+      ip ? prisma.login_failures.count({ where: { ip, createdAt: { gte: since } } }) : 0,
+    ]);
+    if (forEmail >= PASSWORD_MAX_FAILURES_PER_EMAIL || forIp >= PASSWORD_MAX_FAILURES_PER_IP) {
+      console.warn(`[AUTH_SERVICE] Password sign-in rate limit hit for ${normalizeEmail(email)} from ${ip}`);
+      return { allowed: false, reason: 'rate_limited' };
+    }
+    return { allowed: true };
+  } catch (error) {
+    console.error('[AUTH_SERVICE] Check password attempts error:', error.message);
+    return { allowed: false, reason: 'unavailable' };
+  }
+}
+
+/**
+ * Record the outcome of a password sign-in. A failure counts toward the
+ * limits; a success clears the address's failures.
+ *
+ * @param {string} email
+ * @param {string|null} ip
+ * @param {boolean} succeeded
+ */
+async function recordPasswordAttempt(email, ip, succeeded) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return;
+
+  try {
+    const address = normalizeEmail(email);
+    if (succeeded) {
+      await prisma.login_failures.deleteMany({ where: { email: address } });
+    } else {
+      await prisma.login_failures.create({ data: { email: address, ip: ip || null } });
+    }
+  } catch (error) {
+    console.error('[AUTH_SERVICE] Record password attempt error:', error.message);
+  }
+}
+
+export {
+  PASSWORD_MIN_LENGTH,
+  MAGIC_LINK_TTL_MS,
+  MAGIC_LINK_MAX_PER_WINDOW,
+  PASSWORD_FAILURE_WINDOW_MS,
+  PASSWORD_MAX_FAILURES_PER_EMAIL,
+  PASSWORD_MAX_FAILURES_PER_IP,
+  normalizeEmail,
+  isValidEmail,
+  hashPassword,
+  verifyPassword,
+  passwordProblem,
+  hashToken,
+  sendMagicLink,
+  consumeMagicLink,
+  checkPasswordAttempt,
+  recordPasswordAttempt,
+};
@@ -0,0 +1,227 @@
+// Class Analytics
+// Aggregates a class profile's saved essays into the teacher dashboard: score
+// distribution, category averages, the most frequent errors and corrections,
+// class-vocabulary coverage and outliers. Pure functions over the stored
+// essayData JSON; loading the essays lives in analyticsService.js.
+
+import { countErrorsByCategory } from '../../grader/scoring.js';
+import { extractResult, findRecurringPatterns, orderCategories } from './progressReport.js';
+
+// Score distribution buckets, in percent of the total.
+const BIN_WIDTH = 10;
+
+// How many frequent errors/corrections the dashboard lists.
+const MAX_CORRECTIONS = 25;
+
+// Tukey's fences: values beyond 1.5 × IQR outside the quartiles are outliers.
+// Below this many graded essays the quartiles mean little, so none are flagged.
+const IQR_FACTOR = 1.5;
+const MIN_ESSAYS_FOR_OUTLIERS = 4;
+
+function round(n, dp = 1) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Summary and histogram of essay totals, as percentages.
+ * @param {number[]} percents
+ */
+function scoreDistribution(percents) {
+  const bins = [];
+  for (let from = 0; from < 100; from += BIN_WIDTH) {
+    bins.push({ from, to: from + BIN_WIDTH, count: 0 });
+  }
+  for (const p of percents) {
+    const index = Math.min(Math.floor(p / BIN_WIDTH), bins.length - 1);
+    bins[Math.max(index, 0)].count++;
+  }
+
+  if (percents.length === 0) {
+    return { count: 0, mean: null, median: null, min: null, max: null, bins };
+  }
+  const sorted = [...percents].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: round(mean(sorted)),
+    median: round(quantile(sorted, 0.5)),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    bins,
+  };
+}
+
+/**
+ * Values outside Tukey's fences.
+ * @param {number[]} values
+ * @returns {{low: number, high: number}|null} fences, or null for too few values
+ */
+function tukeyFences(values) {
+  if (values.length < MIN_ESSAYS_FOR_OUTLIERS) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const spread = (q3 - q1) * IQR_FACTOR;
+  return { low: q1 - spread, high: q3 + spread };
+}
+
+/**
+ * Class-vocabulary coverage: how many essays used each list item. Items are
+ * compared as written in the profile, which is how the grader records them
+ * (meta.class_vocabulary_used); `#` header lines aren't items.
+ * @param {string[]} vocabulary - class profile's list
+ * @param {Array<Object>} results - graded results
+ */
+function vocabularyCoverage(vocabulary, results) {
+  const items = (vocabulary || [])
+    .filter(item => typeof item === 'string' && item.trim() && !item.trim().startsWith('#'));
+  const essaysUsing = new Map(items.map(item => [item, 0]));
+
+  for (const result of results) {
+    const used = new Set(result.meta?.class_vocabulary_used || []);
+    for (const item of used) {
+      if (essaysUsing.has(item)) essaysUsing.set(item, essaysUsing.get(item) + 1);
+    }
+  }
+
+  const used = [...essaysUsing]
+    .filter(([, essays]) => essays > 0)
+    .map(([item, essays]) => ({ item, essays }))
+    .sort((a, b) => b.essays - a.essays);
+  return {
+    items: items.length,
+    used,
+    unused: items.filter(item => essaysUsing.get(item) === 0),
+  };
+}
+
+/**
+ * Build the class dashboard from a class profile's saved essays.
+ *
+ * Scores are the ones stored when each essay was saved. Essays whose
+ * essayData holds no graded result are left out and counted in `skipped`.
+ *
+ * @param {Array<{id: string, studentName: string, studentId?: string|null,
+ *   createdAt: Date|string, essayData: string|Object}>} savedEssays
+ * @param {{vocabulary?: string[]}} profile - class profile
+ * @returns {{
+ *   essays: number,
+ *   skipped: number,
+ *   distribution: Object,
+ *   categoryAverages: Array<{category, average, outOf, percent}>,
+ *   errors: {byCategory: Array<{category, total, perEssay}>, corrections: Array},
+ *   vocabulary: {items: number, used: Array<{item, essays}>, unused: string[]},
+ *   outliers: Array<{essayId, studentName, studentId, reason, value}>
+ * }}
+ */
+function buildClassAnalytics(savedEssays, profile = {}) {
+  const graded = [];
+  let skipped = 0;
+
+  for (const saved of savedEssays || []) {
+    const result = extractResult(saved.essayData);
+    if (!result) {
+      skipped++;
+      continue;
+    }
+    const issues = Array.isArray(result.inline_issues) ? result.inline_issues : [];
+    const errorCounts = countErrorsByCategory(issues);
+    graded.push({
+      saved,
+      result,
+      issues,
+      errorCounts,
+      errorTotal: Object.values(errorCounts).reduce((sum, n) => sum + n, 0),
+      percent: result.total.out_of ? (result.total.points / result.total.out_of) * 100 : null,
+    });
+  }
+
+  // Category averages
+  const pointsByCategory = new Map();
+  for (const { result } of graded) {
+    for (const [category, score] of Object.entries(result.scores)) {
+      if (score?.points == null) continue;
+      if (!pointsByCategory.has(category)) pointsByCategory.set(category, { points: [], outOf: [] });
+      pointsByCategory.get(category).points.push(score.points);
+      if (score.out_of) pointsByCategory.get(category).outOf.push(score.out_of);
+    }
+  }
+  const categoryAverages = orderCategories(new Set(pointsByCategory.keys())).map(category => {
+    const { points, outOf } = pointsByCategory.get(category);
+    const average = mean(points);
+    const averageOutOf = mean(outOf);
+    return {
+      category,
+      average: round(average),
+      outOf: averageOutOf == null ? null : round(averageOutOf),
+      percent: averageOutOf ? round((average / averageOutOf) * 100) : null,
+    };
+  });
+
+  // Errors
+  const errorTotals = {};
+  for (const { errorCounts } of graded) {
+    for (const [category, count] of Object.entries(errorCounts)) {
+      errorTotals[category] = (errorTotals[category] || 0) + count;
+    }
+  }
+  const byCategory = Object.entries(errorTotals)
+    .map(([category, total]) => ({ category, total, perEssay: round(total / graded.length) }))
+    .sort((a, b) => b.total - a.total);
+  const corrections = findRecurringPatterns(
+    graded.map(g => ({ essayId: g.saved.id, issues: g.issues })),
+    { minEssays: 1, limit: MAX_CORRECTIONS },
+  );
+
+  // Outliers
+  const outliers = [];
+  const flag = (g, reason, value) => outliers.push({
+    essayId: g.saved.id,
+    studentName: g.saved.studentName,
+    studentId: g.saved.studentId ?? null,
+    reason,
+    value,
+  });
+  const scored = graded.filter(g => g.percent != null);
+  const scoreFences = tukeyFences(scored.map(g => g.percent));
+  if (scoreFences) {
+    for (const g of scored) {
+      if (g.percent < scoreFences.low) flag(g, 'low_score', round(g.percent));
+      else if (g.percent > scoreFences.high) flag(g, 'high_score', round(g.percent));
+    }
+  }
+  const errorFences = tukeyFences(graded.map(g => g.errorTotal));
+  if (errorFences) {
+    for (const g of graded) {
+      if (g.errorTotal > errorFences.high) flag(g, 'many_errors', g.errorTotal);
+    }
+  }
+
+  return {
+    essays: graded.length,
+    skipped,
+    distribution: scoreDistribution(scored.map(g => g.percent)),
+    categoryAverages,
+    errors: { byCategory, corrections },
+    vocabulary: vocabularyCoverage(profile.vocabulary, graded.map(g => g.result)),
+    outliers,
+  };
+}
+
+export {
+  scoreDistribution,
+  tukeyFences,
+  vocabularyCoverage,
+  buildClassAnalytics,
+};
@@ -1,22 +1,37 @@
 // src/services/costRates.js
 //
-// Pinned OpenAI model pricing, used to compute the USD cost of each grading
+// Pinned model pricing, used to compute the USD cost of each grading
 // event AT WRITE TIME. The in-app grading_events log is the SOLE source of
-// truth for cost (we deliberately do not rely on OpenAI's dashboard), so the
-// dollar cost is frozen into each row using these rates.
-//
+// truth for cost (we deliberately do not rely on the providers' dashboards), so
+// the dollar cost is frozen into each row using these rates.
+
+import { LOCAL_MODEL_PREFIX, MOCK_MODEL_PREFIX } from '../../grader/model-prefixes.js';
+
 // Rates are USD per 1,000,000 tokens, split by input (prompt) vs output
 // (completion). Verified against OpenAI API pricing on 2026-07-01:
 //   gpt-4o        $2.50 / 1M input,  $10.00 / 1M output   (stable since Apr 2026)
 //   gpt-4o-mini   $0.15 / 1M input,   $0.60 / 1M output
+// Anthropic API pricing, verified 2026-10-01:
+//   claude-sonnet-4-5   $3.00 / 1M input,  $15.00 / 1M output
+//   claude-haiku-4-5    $1.00 / 1M input,   $5.00 / 1M output
+//   claude-opus-4-1    $15.00 / 1M input,  $75.00 / 1M output
 //
-// If OpenAI changes these, update the table — historical rows keep the cost
+// If a provider changes these, update the table — historical rows keep the cost
 // that was correct when they were written, which is what we want.
 export const MODEL_RATES = {
   'gpt-4o': { inputPerM: 2.5, outputPerM: 10.0 },
   'gpt-4o-mini': { inputPerM: 0.15, outputPerM: 0.6 },
+  'claude-sonnet-4-5': { inputPerM: 3.0, outputPerM: 15.0 },
+  'claude-haiku-4-5': { inputPerM: 1.0, outputPerM: 5.0 },
+  'claude-opus-4-1': { inputPerM: 15.0, outputPerM: 75.0 },
 };
 
+// Self-hosted models served through the "local" provider (llm-provider.js
+// reports them as "local:<name>") and the offline "mock" provider
+// ("mock:fixture" / "mock:synthetic") have no per-token cost.
+const FREE_MODEL_PREFIXES = [LOCAL_MODEL_PREFIX, MOCK_MODEL_PREFIX];
+const FREE_RATE = { inputPerM: 0, outputPerM: 0 };
+
 // Model the grader actually uses today. If a call reports an unknown model we
 // fall back to this so cost is never silently zero for a real grade.
 const DEFAULT_MODEL = 'gpt-4o';
@@ -34,6 +49,7 @@ const DEFAULT_MODEL = 'gpt-4o';
  * @returns {{inputPerM:number, outputPerM:number}}
  */
 export function resolveRate(model) {
+  if (model && FREE_MODEL_PREFIXES.some(p => model.startsWith(p))) return FREE_RATE;
   if (model && MODEL_RATES[model]) return MODEL_RATES[model]; // exact hit
   if (model) {
     const key = Object.keys(MODEL_RATES)
@@ -47,7 +63,7 @@ export function resolveRate(model) {
 /**
  * Compute the USD cost of a single grading call from its token usage.
  *
- * @param {string} model            - OpenAI model id (e.g. "gpt-4o-2024-08-06").
+ * @param {string} model            - Model id (e.g. "gpt-4o-2024-08-06").
  * @param {number} promptTokens     - Input tokens (summed across sub-calls).
  * @param {number} completionTokens - Output tokens (summed across sub-calls).
  * @returns {number} cost in USD (full precision — round only for display).
@@ -58,3 +74,24 @@ export function computeCostUsd(model, promptTokens, completionTokens) {
   const output = (Number(completionTokens) || 0) / 1_000_000 * rate.outputPerM;
   return input + output;
 }
+
+/**
+ * Compute the USD cost of a grading call's combined usage record.
+ *
+ * When the grader reports per-stage `calls` (see grader-simple.js), each call
+ * is priced at its own model's rate — the stages may be routed to different
+ * providers, so pricing the summed tokens at a single rate would be wrong.
+ * Older usage objects without `calls` are priced as before.
+ *
+ * @param {Object|null} usage - { promptTokens, completionTokens, model, calls? }
+ * @returns {number} cost in USD
+ */
+export function computeUsageCostUsd(usage) {
+  if (Array.isArray(usage?.calls) && usage.calls.length > 0) {
+    return usage.calls.reduce(
+      (sum, call) => sum + computeCostUsd(call.model, call.promptTokens, call.completionTokens),
+      0
+    );
+  }
+  return computeCostUsd(usage?.model || null, usage?.promptTokens, usage?.completionTokens);
+}
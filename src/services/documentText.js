@@ -0,0 +1,250 @@
+// Document Text
+// Plain text out of the files teachers get essays in: TXT, RTF, DOCX and
+// PDF (text layer, via pdfText.js). Pure functions over buffers; the import
+// service decides which files to read and what to call the students.
+//
+// Photos and scanned PDFs have no text to extract: they come back with
+// reason 'needs_ocr' and the page images, for the import service to
+// recognise (ocr.js).
+//
+// Besides the body, DOCX and RTF page headers come back separately as
+// headerText: students often put their name there rather than in the body.
+
+import { readZip } from './zipReader.js';
+import { pdfPageImages, pdfToText } from './pdfText.js';
+
+const FORMATS = {
+  txt: 'text',
+  text: 'text',
+  md: 'text',
+  rtf: 'rtf',
+  docx: 'docx',
+  pdf: 'pdf',
+  jpg: 'image',
+  jpeg: 'image',
+  png: 'image',
+  webp: 'image',
+  bmp: 'image',
+};
+
+const windows1252 = new TextDecoder('windows-1252');
+
+/** The format of a file by its extension, or null when it isn't read. */
+function documentFormat(filename) {
+  const extension = String(filename || '').toLowerCase().match(/\.([a-z0-9]+)$/)?.[1];
+  return FORMATS[extension] || null;
+}
+
+function normalizeNewlines(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/\u00a0/g, ' ');
+}
+
+/**
+ * Decode a text file: UTF-8 or UTF-16 with a byte order mark, UTF-8
+ * without one, and Windows-1252 (what Notepad wrote for years) otherwise.
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return normalizeNewlines(buffer.toString('utf8', 3));
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return normalizeNewlines(buffer.toString('utf16le', 2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    const swapped = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+    return normalizeNewlines(swapped.swap16().toString('utf16le'));
+  }
+  try {
+    return normalizeNewlines(new TextDecoder('utf-8', { fatal: true }).decode(buffer));
+  } catch {
+    return normalizeNewlines(windows1252.decode(buffer));
+  }
+}
+
+// RTF destinations whose text isn't part of the document.
+const RTF_SKIPPED = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'datastore',
+  'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'mmathPr', 'fldinst', 'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'annotation',
+]);
+const RTF_HEADERS = new Set(['header', 'headerl', 'headerr', 'headerf']);
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n', page: '\n', tab: '\t', cell: '\t', row: '\n',
+  emdash: '—', endash: '–', lquote: '‘', rquote: '’',
+  ldblquote: '“', rdblquote: '”', bullet: '•', emspace: ' ', enspace: ' ',
+};
+
+/**
+ * The text of an RTF document.
+ * @param {Buffer} buffer
+ * @returns {{text: string, headerText: string}}
+ */
+function rtfToText(buffer) {
+  const source = buffer.toString('latin1');
+  if (!source.startsWith('{\\rtf')) throw new Error('Not an RTF file');
+
+  let body = '';
+  let header = '';
+  // Group state: skip (ignored destination), header, and \uc (fallback chars after \u).
+  let state = { skip: false, header: false, uc: 1 };
+  const stack = [];
+  let pendingBytes = [];
+  let fallback = 0;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (state.header) header += text;
+    else body += text;
+  };
+  const flushBytes = () => {
+    if (pendingBytes.length) emit(windows1252.decode(Buffer.from(pendingBytes)));
+    pendingBytes = [];
+  };
+
+  for (let i = 0; i < source.length;) {
+    const c = source[i];
+    if (c === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (c === '}') {
+      flushBytes();
+      state = stack.pop() || state;
+      i++;
+    } else if (c === '\\') {
+      const next = source[i + 1];
+      if (next === "'") {
+        const code = parseInt(source.substr(i + 2, 2), 16);
+        i += 4;
+        if (fallback > 0) { fallback--; continue; }
+        if (!Number.isNaN(code)) pendingBytes.push(code);
+        continue;
+      }
+      flushBytes();
+      const word = /^([a-zA-Z]+)(-?\d+)? ?/.exec(source.slice(i + 1, i + 40));
+      if (!word) {
+        // Control symbols: \\ \{ \} \~ \- \_ \*
+        i += 2;
+        if (next === '*') state.skip = true;
+        else if (next === '~') emit(' ');
+        else if (next === '_') emit('-');
+        else if (next === '\\' || next === '{' || next === '}') emit(next);
+        else if (next === '\n' || next === '\r') emit('\n');
+        continue;
+      }
+      i += 1 + word[0].length;
+      const [, name, param] = word;
+      if (RTF_SKIPPED.has(name)) state.skip = true;
+      else if (RTF_HEADERS.has(name)) state.header = true;
+      else if (name === 'uc') state.uc = Number(param) || 0;
+      else if (name === 'u') {
+        let code = Number(param);
+        if (code < 0) code += 65536;
+        emit(String.fromCharCode(code));
+        fallback = state.uc;
+        continue;
+      } else if (name === 'bin') {
+        i += Number(param) || 0;
+      } else if (RTF_SYMBOLS[name]) emit(RTF_SYMBOLS[name]);
+      fallback = 0;
+      continue;
+    } else {
+      if (c !== '\r' && c !== '\n') {
+        if (fallback > 0) fallback--;
+        else pendingBytes.push(source.charCodeAt(i));
+      }
+      i++;
+    }
+  }
+  flushBytes();
+  return { text: normalizeNewlines(body), headerText: normalizeNewlines(header) };
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (m, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+  });
+}
+
+/** The paragraphs of a WordprocessingML part, one per line. */
+function wordXmlParagraphs(xml) {
+  const paragraphs = [];
+  for (let [paragraph] of xml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g)) {
+    // Paragraph properties hold tab stops (<w:tab>) that aren't text.
+    paragraph = paragraph.replace(/<w:pPr>[\s\S]*?<\/w:pPr>/g, '');
+    let text = '';
+    for (const [, tag, content] of paragraph.matchAll(/<w:(t|tab|br|cr|noBreakHyphen)(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/w:t>)/g)) {
+      if (tag === 't') text += decodeXmlEntities(content || '');
+      else if (tag === 'tab') text += '\t';
+      else if (tag === 'noBreakHyphen') text += '-';
+      else text += '\n';
+    }
+    paragraphs.push(text);
+  }
+  return paragraphs;
+}
+
+/**
+ * The text of a Word document, paragraphs separated by blank lines.
+ * @param {Buffer} buffer
+ * @returns {{text: string, headerText: string}}
+ */
+function docxToText(buffer) {
+  const parts = readZip(buffer, { maxEntries: 2000 });
+  const document = parts.find(p => p.name === 'word/document.xml');
+  if (!document?.data) throw new Error('Not a Word document');
+
+  const text = wordXmlParagraphs(document.data.toString('utf8'))
+    .map(p => p.trim())
+    .filter(Boolean)
+    .join('\n\n');
+  const headerText = parts
+    .filter(p => /^word\/header\d*\.xml$/.test(p.name) && p.data)
+    .flatMap(p => wordXmlParagraphs(p.data.toString('utf8')))
+    .map(p => p.trim())
+    .filter(Boolean)
+    .join('\n');
+  return { text, headerText };
+}
+
+/**
+ * Extract the text of one file.
+ * @param {string} filename - decides the format
+ * @param {Buffer} buffer
+ * @returns {{text: string, headerText: string, reason?: string, images?: Buffer[]}} reason is
+ *   'unsupported', 'unreadable', 'encrypted' or 'no_text' when there is no text, and
+ *   'needs_ocr' for photos and scanned PDFs, with their page images
+ */
+function extractDocumentText(filename, buffer) {
+  const format = documentFormat(filename);
+  if (!format) return { text: '', headerText: '', reason: 'unsupported' };
+  if (format === 'image') return { text: '', headerText: '', reason: 'needs_ocr', images: [buffer] };
+
+  try {
+    let result;
+    if (format === 'text') result = { text: decodeText(buffer), headerText: '' };
+    else if (format === 'rtf') result = rtfToText(buffer);
+    else if (format === 'docx') result = docxToText(buffer);
+    else result = { headerText: '', ...pdfToText(buffer) };
+
+    if (result.reason === 'no_text' && format === 'pdf') {
+      const images = pdfPageImages(buffer);
+      if (images.length) return { text: '', headerText: '', reason: 'needs_ocr', images };
+    }
+    const text = result.text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (result.reason) return { text: '', headerText: '', reason: result.reason };
+    return text ? { text, headerText: result.headerText.trim() } : { text: '', headerText: '', reason: 'no_text' };
+  } catch (error) {
+    console.error(`[IMPORT] Could not read ${filename}:`, error.message);
+    return { text: '', headerText: '', reason: 'unreadable' };
+  }
+}
+
+export {
+  documentFormat,
+  decodeText,
+  rtfToText,
+  docxToText,
+  extractDocumentText,
+};
@@ -0,0 +1,328 @@
+// Essay DOCX
+// A graded essay as a Word document. Every highlight becomes a native Word
+// comment anchored to the highlighted words, holding its category,
+// correction and explanation; corrections can also be written as tracked
+// changes the student accepts or rejects. The grade, teacher notes and
+// category breakdown make up a cover page. Highlight colors come from
+// shared/categories.json, as on the grading page and in the PDF.
+//
+// The browser sends the essay as it stands after the teacher's edits
+// (public/js/docx-export.js); this module only checks it and writes the file.
+
+import { CATEGORY_LIST, getCategory, getCategoryName } from '../../grader/categories.js';
+import { escapeXml } from './xlsxWriter.js';
+import { zip } from './zipWriter.js';
+
+const MAX_PARAGRAPHS = 2000;
+const MAX_RUNS = 20000;
+const MAX_HIGHLIGHTS = 2000;
+const MAX_TEXT = 10000;
+
+// Professor's comments are remarks, not corrections: they stay comments
+// even when corrections are tracked.
+const UNTRACKED_CATEGORIES = new Set(['professor-comments']);
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+function text(value, max = MAX_TEXT) {
+  return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+/**
+ * An essay posted for DOCX export, checked.
+ * @param {Object} essay - { studentName, grade, teacherNotes,
+ *   categories: [{ name, score, note }], highlights: [{ categories,
+ *   correction, explanation }], paragraphs: [[{ text, highlights } | { br:
+ *   true, highlights }]] } where a run's highlights are indexes into
+ *   highlights, outermost first
+ * @returns {{essay: Object}|{error: string}}
+ */
+function docxEssay(essay) {
+  const paragraphs = essay?.paragraphs;
+  if (!Array.isArray(paragraphs) || paragraphs.length === 0 || !paragraphs.every(Array.isArray)) {
+    return { error: 'paragraphs must be a non-empty array of runs' };
+  }
+  if (paragraphs.length > MAX_PARAGRAPHS || paragraphs.flat().length > MAX_RUNS) {
+    return { error: 'The essay is too long to export' };
+  }
+  const highlights = Array.isArray(essay.highlights) ? essay.highlights : [];
+  if (highlights.length > MAX_HIGHLIGHTS) {
+    return { error: `At most ${MAX_HIGHLIGHTS} highlights can be exported` };
+  }
+
+  const validId = id => Number.isInteger(id) && id >= 0 && id < highlights.length;
+  return {
+    essay: {
+      studentName: text(essay.studentName, 200) || 'Student',
+      grade: text(essay.grade, 50),
+      teacherNotes: text(essay.teacherNotes),
+      categories: (Array.isArray(essay.categories) ? essay.categories : []).slice(0, 50).map(category => ({
+        name: text(category?.name, 200),
+        score: text(category?.score, 50),
+        note: text(category?.note),
+      })),
+      highlights: highlights.map(highlight => ({
+        categories: (Array.isArray(highlight?.categories) ? highlight.categories : [])
+          .map(category => text(category, 100)).filter(Boolean),
+        correction: text(highlight?.correction).trim(),
+        explanation: text(highlight?.explanation).trim(),
+      })),
+      paragraphs: paragraphs.map(runs => runs.map(entry => ({
+        ...(entry?.br ? { br: true } : { text: text(entry?.text) }),
+        highlights: (Array.isArray(entry?.highlights) ? entry.highlights : []).filter(validId),
+      }))),
+    },
+  };
+}
+
+/** Word color value (RRGGBB) of a CSS hex color. */
+function wordColor(hex) {
+  return String(hex).replace('#', '').toUpperCase();
+}
+
+/**
+ * Run properties showing highlights the way the grading page does: fill
+ * categories shade the text, text categories color it. The innermost
+ * highlight wins where they disagree.
+ * @param {Array<Object>} categories - the highlights' categories, outermost first
+ */
+function categoryRunProperties(categories) {
+  let fill = null;
+  let color = null;
+  let strike = false;
+  for (const category of categories) {
+    if (!category) continue;
+    if (category.style === 'fill') {
+      fill = wordColor(category.color);
+    } else {
+      color = wordColor(category.color);
+    }
+    strike = strike || !!category.strikethrough;
+  }
+  // In the order the schema requires; Word rejects the file otherwise.
+  return (color ? '<w:b/>' : '') +
+    (strike ? '<w:strike/>' : '') +
+    (color ? `<w:color w:val="${color}"/>` : '') +
+    (fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>` : '');
+}
+
+function highlightCategory(highlight) {
+  return getCategory(highlight.categories[0]);
+}
+
+function run(content, properties = '') {
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+}
+
+function textRun(value, properties = '') {
+  return run(`<w:t xml:space="preserve">${escapeXml(value)}</w:t>`, properties);
+}
+
+function paragraph(content, style = null) {
+  return `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${content}</w:p>`;
+}
+
+/** The cover page: grade, teacher notes, category breakdown, highlight key. */
+function coverXml(essay, usedCategories) {
+  let xml = paragraph(textRun(essay.studentName), 'Title');
+  if (essay.grade) xml += paragraph(textRun(`Grade: ${essay.grade}`), 'Heading1');
+  if (essay.teacherNotes) xml += paragraph(textRun(essay.teacherNotes));
+
+  if (essay.categories.length > 0) {
+    xml += paragraph(textRun('Category Breakdown'), 'Heading2');
+    for (const category of essay.categories) {
+      xml += paragraph(
+        textRun(`${category.name}: ${category.score}`, '<w:b/>') +
+        (category.note ? textRun(` (${category.note})`) : '')
+      );
+    }
+  }
+
+  if (usedCategories.length > 0) {
+    xml += paragraph(textRun('Highlight Key'), 'Heading2');
+    for (const category of usedCategories) {
+      xml += paragraph(textRun(category.name, categoryRunProperties([category])));
+    }
+  }
+  return xml + paragraph(run('<w:br w:type="page"/>'));
+}
+
+/**
+ * Where each highlight starts and ends, as [paragraph, run] positions, and
+ * whether its correction can be a tracked change: it covers text in a single
+ * paragraph that no other highlight shares.
+ */
+function highlightSpans(essay) {
+  const spans = new Map();
+  essay.paragraphs.forEach((runs, p) => runs.forEach((entry, r) => {
+    for (const id of entry.highlights) {
+      const span = spans.get(id) || { start: [p, r], end: [p, r], text: '', trackable: true };
+      span.end = [p, r];
+      span.text += entry.text || '';
+      if (entry.br || entry.highlights.length > 1 || span.start[0] !== p) span.trackable = false;
+      spans.set(id, span);
+    }
+  }));
+
+  for (const [id, span] of spans) {
+    const category = highlightCategory(essay.highlights[id]);
+    const { correction } = essay.highlights[id];
+    const deletes = !!category?.strikethrough;
+    span.trackable = span.trackable && !UNTRACKED_CATEGORIES.has(category?.id) &&
+      (deletes || (correction !== '' && correction !== span.text.trim()));
+    span.insert = deletes ? '' : correction;
+  }
+  return spans;
+}
+
+function commentXml(highlight, id, author, dateAttr) {
+  const names = highlight.categories.map(getCategoryName).join(', ') || 'Highlight';
+  let content = paragraph(
+    run('<w:annotationRef/>', '<w:rStyle w:val="CommentReference"/>') + textRun(names, '<w:b/>'),
+    'CommentText'
+  );
+  if (highlight.correction) content += paragraph(textRun(`Correction: ${highlight.correction}`), 'CommentText');
+  if (highlight.explanation) content += paragraph(textRun(`Explanation: ${highlight.explanation}`), 'CommentText');
+  return `<w:comment w:id="${id}" w:author="${escapeXml(author)}"${dateAttr} w:initials="${escapeXml(author.charAt(0))}">${content}</w:comment>`;
+}
+
+const STYLES_XML = XML_HEADER +
+  `<w:styles xmlns:w="${W_NS}">` +
+  '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman"/>' +
+  '<w:sz w:val="24"/></w:rPr></w:rPrDefault>' +
+  '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="360" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+  '<w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial"/><w:b/><w:sz w:val="40"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+  '<w:pPr><w:keepNext/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial"/><w:sz w:val="32"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+  '<w:pPr><w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial"/><w:b/><w:sz w:val="26"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="CommentText"><w:name w:val="annotation text"/><w:basedOn w:val="Normal"/>' +
+  '<w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:sz w:val="20"/></w:rPr></w:style>' +
+  '<w:style w:type="character" w:styleId="CommentReference"><w:name w:val="annotation reference"/><w:rPr><w:sz w:val="16"/></w:rPr></w:style>' +
+  '</w:styles>';
+
+/**
+ * The essay as a .docx file.
+ * @param {Object} essay - checked by docxEssay
+ * @param {Object} [options]
+ * @param {boolean} [options.trackChanges=false] - write corrections as
+ *   tracked insertions and deletions
+ * @param {string} [options.author='Teacher'] - author of the comments and changes
+ * @param {Date} [options.date] - when the comments and changes were made
+ * @returns {Buffer}
+ */
+function essayDocx(essay, { trackChanges = false, author = 'Teacher', date = null } = {}) {
+  const spans = highlightSpans(essay);
+  const dateAttr = date ? ` w:date="${date.toISOString().replace(/\.\d{3}Z$/, 'Z')}"` : '';
+
+  // Comments are numbered in the order they appear in the essay.
+  const commentIds = new Map([...spans.keys()].map((id, n) => [id, n]));
+  let revisionId = commentIds.size;
+  const revision = () => `w:id="${revisionId++}" w:author="${escapeXml(author)}"${dateAttr}`;
+
+  const usedIds = new Set(spans.keys());
+  const usedCategories = CATEGORY_LIST.filter(category => essay.highlights.some((highlight, id) =>
+    usedIds.has(id) && highlightCategory(highlight)?.id === category.id));
+
+  const body = essay.paragraphs.map((runs, p) => {
+    let xml = '';
+    let tracked = null; // the tracked highlight whose deleted runs are being written
+    runs.forEach((entry, r) => {
+      for (const id of entry.highlights) {
+        const span = spans.get(id);
+        if (span.start[0] === p && span.start[1] === r) {
+          xml += `<w:commentRangeStart w:id="${commentIds.get(id)}"/>`;
+          if (trackChanges && span.trackable) tracked = id;
+        }
+      }
+
+      const properties = categoryRunProperties(entry.highlights.map(id => highlightCategory(essay.highlights[id])));
+      if (entry.br) {
+        xml += run('<w:br/>', properties);
+      } else if (tracked !== null) {
+        xml += `<w:del ${revision()}>${run(`<w:delText xml:space="preserve">${escapeXml(entry.text)}</w:delText>`, properties)}</w:del>`;
+      } else {
+        xml += textRun(entry.text, properties);
+      }
+
+      for (const id of [...entry.highlights].reverse()) {
+        const span = spans.get(id);
+        if (span.end[0] !== p || span.end[1] !== r) continue;
+        if (tracked === id) {
+          if (span.insert) xml += `<w:ins ${revision()}>${textRun(span.insert)}</w:ins>`;
+          tracked = null;
+        }
+        const commentId = commentIds.get(id);
+        xml += `<w:commentRangeEnd w:id="${commentId}"/>` +
+          run(`<w:commentReference w:id="${commentId}"/>`, '<w:rStyle w:val="CommentReference"/>');
+      }
+    });
+    return paragraph(xml);
+  }).join('');
+
+  const comments = [...commentIds].map(([id, n]) => commentXml(essay.highlights[id], n, author, dateAttr)).join('');
+  return docxPackage(coverXml(essay, usedCategories) + body, comments);
+}
+
+/**
+ * A .docx file around a document body, in this module's styles.
+ * @param {string} body - w:body content (paragraphs)
+ * @param {string} [comments] - w:comment elements, for a comments part
+ * @returns {Buffer}
+ */
+function docxPackage(body, comments = '') {
+  const hasComments = comments.length > 0;
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      data: XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        (hasComments ? '<Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/>' : '') +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        (hasComments ? '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments" Target="comments.xml"/>' : '') +
+        '</Relationships>',
+    },
+    {
+      name: 'word/document.xml',
+      data: XML_HEADER +
+        `<w:document xmlns:w="${W_NS}"><w:body>` +
+        body +
+        // US Letter with 1" margins, like the PDF.
+        '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>' +
+        '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>' +
+        '</w:sectPr></w:body></w:document>',
+    },
+    { name: 'word/styles.xml', data: STYLES_XML },
+    ...(hasComments ? [{ name: 'word/comments.xml', data: `${XML_HEADER}<w:comments xmlns:w="${W_NS}">${comments}</w:comments>` }] : []),
+  ]);
+}
+
+export {
+  MAX_HIGHLIGHTS,
+  docxEssay,
+  essayDocx,
+  docxPackage,
+  paragraph,
+  run,
+  textRun,
+};
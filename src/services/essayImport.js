@@ -0,0 +1,276 @@
+// Essay Import
+// Turns uploaded files into essays for the batch form: unpacks ZIPs,
+// extracts each document's text (documentText.js) and works out whose essay
+// it is. Pure; the import controller feeds it uploads, the class roster and
+// the OCR engine for photos and scanned PDFs.
+//
+// Names come from, in order: the file name patterns of LMS submission
+// downloads (Moodle, Canvas), the top of the document ("Name: …" lines, an
+// MLA-style heading, the page header) and any other file name that reads as
+// a name. Heading lines that only say who, when and for which class are
+// dropped from the essay text so they aren't graded.
+
+import { documentFormat, extractDocumentText } from './documentText.js';
+import { readZip } from './zipReader.js';
+import { matchStudent, normalizeName } from './roster.js';
+
+// Files taken from one upload (a ZIP counts its contents).
+const MAX_IMPORT_FILES = 100;
+// Photos and scans recognised per upload: OCR takes seconds a page.
+const MAX_OCR_FILES = 10;
+
+// File name words that describe the work, not the student.
+const FILENAME_STOPWORDS = new Set([
+  'essay', 'essays', 'assignment', 'final', 'draft', 'version', 'unit', 'task', 'homework', 'hw',
+  'copy', 'submission', 'paper', 'writing', 'english', 'esl', 'project', 'doc', 'document',
+  'revised', 'rewrite', 'untitled', 'the', 'my', 'of', 'and', 'for', 'late',
+  // Scans and phone photos of handwritten exams.
+  'exam', 'test', 'quiz', 'scan', 'scanned', 'page', 'img', 'image', 'photo', 'pxl', 'dsc',
+]);
+
+const NAME_LABEL = /^(?:student(?:'s)?\s*name|full\s*name|name|student|author|written\s+by|by)\s*[:\-–—]\s*(.+)$/i;
+const HEADING_FIELD = /^(?:date|class|course|teacher|instructor|professor|tutor|section|period|group|level|student\s*(?:id|number|no\.?)|id|assignment|word\s*count)\s*[:\-–—]/i;
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_LINE = new RegExp(
+  `^(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4})$`,
+  'i'
+);
+// Lines looked at for a heading.
+const HEADING_LINES = 6;
+
+function cleanName(text) {
+  return String(text || '').replace(/\s+/g, ' ').replace(/[.,;:]+$/, '').trim();
+}
+
+/**
+ * Whether text reads as a person's name: one to four words of letters, no
+ * digits. Strict also wants each word capitalised, for unlabelled lines.
+ */
+function isNameLike(text, { strict = false } = {}) {
+  const name = cleanName(text);
+  if (!name || name.length > 50) return false;
+  const words = name.split(' ');
+  if (words.length > 4) return false;
+  const word = strict ? /^\p{Lu}[\p{L}'’.-]*$/u : /^[\p{L}'’.-]+$/u;
+  return words.every(w => word.test(w));
+}
+
+function titleCase(name) {
+  return name === name.toLowerCase()
+    ? name.replace(/(^|[\s'-])(\p{L})/gu, (m, before, letter) => before + letter.toUpperCase())
+    : name;
+}
+
+/**
+ * The student named by an LMS download's file or folder name.
+ * Moodle: "Ana Lopez_123456_assignsubmission_file_essay.docx" (or that
+ * prefix as a folder). Canvas: "lopezana_123456_7890123_essay.docx", a
+ * lowercase last-then-first name without spaces (compact: true).
+ * @param {string} path - path inside the upload
+ * @returns {{name: string, compact?: boolean}|null}
+ */
+function nameFromLmsPath(path) {
+  const segments = String(path).split('/').filter(Boolean);
+  for (const segment of segments.reverse()) {
+    const moodle = /^(.+?)_\d+_assignsubmission_[a-z]+_/.exec(segment);
+    if (moodle && isNameLike(moodle[1])) return { name: cleanName(moodle[1]) };
+    const canvas = /^([a-z]+)(?:_late)?_\d{3,}_\d{3,}_/.exec(segment);
+    if (canvas) return { name: canvas[1], compact: true };
+  }
+  return null;
+}
+
+/** A name spelled out in the file name itself ("Ana_Lopez_Essay2.docx"). */
+function nameFromFilename(path) {
+  const base = String(path).split('/').pop().replace(/\.[^.]+$/, '');
+  const words = base.split(/[\s_.-]+/)
+    .filter(word => word && !/\d/.test(word) && !FILENAME_STOPWORDS.has(word.toLowerCase()));
+  const name = words.join(' ');
+  return words.length >= 1 && words.length <= 4 && isNameLike(name) ? titleCase(name) : null;
+}
+
+/**
+ * Read the name off the top of an essay and drop the heading lines.
+ * @param {string} text
+ * @param {string} headerText - page header, if the format has one
+ * @returns {{name: string|null, text: string}}
+ */
+function readHeading(text, headerText = '') {
+  const lines = text.split('\n');
+  let name = null;
+  let consumed = 0;
+  let seen = 0;
+  let labelled = false;
+
+  for (let i = 0; i < lines.length && seen < HEADING_LINES; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    seen++;
+    const label = NAME_LABEL.exec(line);
+    if (label && isNameLike(label[1])) {
+      name = name || titleCase(cleanName(label[1]));
+      labelled = true;
+    } else if (!HEADING_FIELD.test(line) && !DATE_LINE.test(line)) {
+      break;
+    } else {
+      labelled = true;
+    }
+    consumed = i + 1;
+  }
+
+  // MLA heading: name, teacher, course, date, each on its own line.
+  if (!labelled) {
+    const top = [];
+    for (let i = 0; i < lines.length && top.length < 4; i++) {
+      if (lines[i].trim()) top.push(i);
+    }
+    const dateAt = top.slice(1).findIndex(i => DATE_LINE.test(lines[i].trim()));
+    if (dateAt >= 0 && isNameLike(lines[top[0]], { strict: true })) {
+      name = cleanName(lines[top[0]]);
+      consumed = top[dateAt + 1] + 1;
+    }
+  }
+
+  if (!name) {
+    for (const line of headerText.split('\n')) {
+      const label = NAME_LABEL.exec(line.trim());
+      if (label && isNameLike(label[1])) { name = titleCase(cleanName(label[1])); break; }
+    }
+    const headerLines = headerText.split('\n').filter(l => l.trim());
+    if (!name && headerLines.length === 1 && isNameLike(headerLines[0], { strict: true })) {
+      name = cleanName(headerLines[0]);
+    }
+  }
+
+  const rest = lines.slice(consumed).join('\n').trim();
+  // Never leave an empty essay behind: a "heading" that is the whole text isn't one.
+  return rest ? { name, text: rest } : { name, text: text.trim() };
+}
+
+/**
+ * The roster student a name refers to: the usual roster match, or for a
+ * compact Canvas name the student whose names run together to it.
+ */
+function rosterStudent(name, compact, roster) {
+  if (!name || !roster?.length) return null;
+  if (!compact) return matchStudent(name, roster).student;
+
+  const hits = roster.filter(student => [student.name, ...(student.aliases || [])].some(full => {
+    const tokens = normalizeName(full).split(' ').filter(Boolean);
+    return tokens.join('') === name || [...tokens.slice(-1), ...tokens.slice(0, -1)].join('') === name;
+  }));
+  return hits.length === 1 ? hits[0] : null;
+}
+
+/**
+ * Expand an upload into the files to read: ZIPs are unpacked (one level of
+ * nesting), system clutter is dropped.
+ * @param {Array<{name: string, data: Buffer}>} uploads
+ * @returns {{files: Array<{path: string, data: Buffer|null}>, skipped: Array<{file: string, reason: string}>}}
+ */
+function expandUploads(uploads) {
+  const files = [];
+  const skipped = [];
+  const junk = path => {
+    const base = path.split('/').pop();
+    return /(^|\/)__MACOSX\//.test(path) || base.startsWith('.') || base.startsWith('~$') || /^(thumbs\.db|desktop\.ini)$/i.test(base);
+  };
+
+  const add = (path, data, depth) => {
+    if (junk(path)) return;
+    if (/\.zip$/i.test(path)) {
+      if (depth > 1) { skipped.push({ file: path, reason: 'nested_zip' }); return; }
+      let entries;
+      try {
+        entries = readZip(data);
+      } catch (error) {
+        skipped.push({ file: path, reason: 'unreadable' });
+        return;
+      }
+      const prefix = depth === 0 ? '' : `${path}/`;
+      for (const entry of entries) add(prefix + entry.name, entry.data, depth + 1);
+      return;
+    }
+    if (!documentFormat(path)) { skipped.push({ file: path, reason: 'unsupported' }); return; }
+    if (!data) { skipped.push({ file: path, reason: 'encrypted' }); return; }
+    if (files.length >= MAX_IMPORT_FILES) { skipped.push({ file: path, reason: 'too_many' }); return; }
+    files.push({ path, data });
+  };
+
+  for (const upload of uploads) add(upload.name, upload.data, 0);
+  return { files, skipped };
+}
+
+/**
+ * Run OCR on a file's page images and shape the result like extracted text.
+ * Word offsets are moved to the essay text left after the heading.
+ */
+async function recognizeFile(images, recognize) {
+  const ocr = await recognize(images);
+  if (!ocr) return { reason: 'ocr_failed' };
+  const text = ocr.text.trim();
+  return text ? { text, headerText: '', ocr } : { reason: 'no_text' };
+}
+
+function ocrWords(ocr, fullText, essayText) {
+  // The essay text is the end of the recognised text, with the heading cut off.
+  const shift = ocr.text.indexOf(fullText) + fullText.length - essayText.length;
+  return ocr.words
+    .filter(word => word.start >= shift)
+    .map(word => ({ ...word, start: word.start - shift }));
+}
+
+/**
+ * Essays from uploaded files, ready for review.
+ * @param {Array<{name: string, data: Buffer}>} uploads - file name (may include a folder path) and contents
+ * @param {{roster?: Array, recognize?: Function}} options - the class roster, to put names in roster
+ *   form, and the OCR engine (ocr.js recognizeImages) for photos and scans
+ * @returns {Promise<{essays: Array<{file: string, studentName: string|null, nameSource: string|null,
+ *   studentId: string|null, text: string, ocr: Object|null}>, skipped: Array<{file: string, reason: string}>}>}
+ *   nameSource is 'lms', 'document' or 'filename'; ocr is { confidence, words: [{ text,
+ *   confidence, start }] } for recognised files, start being the word's offset in text;
+ *   skipped reasons are 'unsupported', 'unreadable', 'encrypted', 'no_text', 'nested_zip',
+ *   'too_many', 'needs_ocr' (no OCR engine), 'ocr_failed' and 'too_many_scans'
+ */
+async function importEssays(uploads, { roster = [], recognize = null } = {}) {
+  const { files, skipped } = expandUploads(uploads);
+  const essays = [];
+  let scans = 0;
+
+  for (const { path, data } of files) {
+    let extracted = extractDocumentText(path, data);
+    if (extracted.reason === 'needs_ocr' && recognize) {
+      extracted = ++scans > MAX_OCR_FILES ? { reason: 'too_many_scans' } : await recognizeFile(extracted.images, recognize);
+    }
+    if (extracted.reason) {
+      skipped.push({ file: path, reason: extracted.reason });
+      continue;
+    }
+
+    const heading = readHeading(extracted.text, extracted.headerText);
+    const lms = nameFromLmsPath(path);
+    const fromFilename = nameFromFilename(path);
+    let studentName = lms?.name || heading.name || fromFilename || null;
+    const nameSource = lms ? 'lms' : heading.name ? 'document' : fromFilename ? 'filename' : null;
+
+    const student = rosterStudent(studentName, lms?.compact, roster);
+    if (student) studentName = student.name;
+    else if (lms?.compact) studentName = titleCase(lms.name);
+
+    const ocr = extracted.ocr
+      ? { confidence: extracted.ocr.confidence, words: ocrWords(extracted.ocr, extracted.text, heading.text) }
+      : null;
+    essays.push({ file: path, studentName, nameSource, studentId: student?.id || null, text: heading.text, ocr });
+  }
+  return { essays, skipped };
+}
+
+export {
+  MAX_IMPORT_FILES,
+  MAX_OCR_FILES,
+  isNameLike,
+  nameFromLmsPath,
+  nameFromFilename,
+  readHeading,
+  importEssays,
+};
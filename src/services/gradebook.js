@@ -0,0 +1,283 @@
+// Gradebook
+// Turns graded essays into a gradebook — one row per student with points per
+// rubric category, total, word count and teacher notes — and writes it out
+// as CSV, XLSX, Moodle or Canvas grade-import CSV, or JSON for scripts.
+// Pure functions; loading saved essays lives in gradebookService.js.
+
+import { normalizeName } from './roster.js';
+import { orderCategories } from './progressReport.js';
+import { writeXlsx } from './xlsxWriter.js';
+
+const GRADEBOOK_SCHEMA_VERSION = 1;
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  moodle: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  canvas: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+/**
+ * JSON Schema for the `json` format, served at /api/gradebook/schema.
+ */
+const GRADEBOOK_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: '/api/gradebook/schema',
+  title: 'Gradebook export',
+  type: 'object',
+  required: ['schemaVersion', 'title', 'generatedAt', 'categories', 'students'],
+  properties: {
+    schemaVersion: { const: GRADEBOOK_SCHEMA_VERSION },
+    title: { type: 'string', description: 'Class profile, assignment or batch the grades are for' },
+    generatedAt: { type: 'string', format: 'date-time' },
+    categories: {
+      type: 'array',
+      description: 'Rubric categories, in column order',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'outOf'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          outOf: { type: ['number', 'null'] },
+        },
+      },
+    },
+    students: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['studentName', 'scores', 'total', 'outOf'],
+        properties: {
+          studentName: { type: 'string' },
+          studentId: { type: ['string', 'null'], description: 'Roster entry id' },
+          externalId: { type: ['string', 'null'], description: 'Student number or email from the roster' },
+          essayId: { type: ['string', 'null'], description: 'Saved essay id' },
+          assignment: { type: ['string', 'null'] },
+          gradedAt: { type: ['string', 'null'], format: 'date-time' },
+          scores: {
+            type: 'object',
+            description: 'Points per category id',
+            additionalProperties: { type: ['number', 'null'] },
+          },
+          total: { type: ['number', 'null'] },
+          outOf: { type: ['number', 'null'] },
+          percent: { type: ['number', 'null'] },
+          wordCount: { type: ['integer', 'null'] },
+          teacherNotes: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+function roundPercent(points, outOf) {
+  return points != null && outOf ? Math.round((points / outOf) * 1000) / 10 : null;
+}
+
+/**
+ * One gradebook row from a graded essay, with teacher edits applied.
+ * @param {Object} entry
+ * @param {string} entry.studentName
+ * @param {string} [entry.studentId] - roster entry
+ * @param {string} [entry.externalId] - roster student number or email
+ * @param {string} [entry.essayId]
+ * @param {string} [entry.assignment] - assignment title
+ * @param {Date|string} [entry.gradedAt]
+ * @param {Object} entry.result - graded result (scores, total, meta, teacher_notes)
+ * @param {{scores?: Object, teacherNotes?: string|null}} [entry.edits] - see savedEssayHTML.js readEditsFromHTML
+ */
+function gradebookRow(entry) {
+  const { result } = entry;
+  const edits = entry.edits || {};
+  const editedScores = edits.scores || {};
+
+  const scores = {};
+  let edited = false;
+  for (const [category, score] of Object.entries(result.scores || {})) {
+    const stored = score?.points ?? null;
+    const points = editedScores[category] ?? stored;
+    if (points !== stored) edited = true;
+    scores[category] = points;
+  }
+
+  // Edited points replace the stored total, as they do on screen.
+  const total = edited
+    ? Object.values(scores).reduce((sum, p) => sum + (p || 0), 0)
+    : result.total?.points ?? null;
+  const outOf = result.total?.out_of ?? null;
+
+  return {
+    studentName: entry.studentName || '',
+    studentId: entry.studentId || null,
+    externalId: entry.externalId || null,
+    essayId: entry.essayId || null,
+    assignment: entry.assignment || null,
+    gradedAt: entry.gradedAt ? new Date(entry.gradedAt).toISOString() : null,
+    scores,
+    total,
+    outOf,
+    percent: roundPercent(total, outOf),
+    wordCount: Number.isInteger(result.meta?.word_count) ? result.meta.word_count : null,
+    teacherNotes: String(edits.teacherNotes ?? result.teacher_notes ?? ''),
+  };
+}
+
+/**
+ * Build a gradebook: one row per student, alphabetical. A student graded
+ * more than once keeps their most recent essay. Students are the same when
+ * they share a roster entry, or failing that a normalized name.
+ * @param {Array<Object>} entries - see gradebookRow; entries without a
+ *   graded result are dropped
+ * @param {Object} [options]
+ * @param {string} [options.title] - class, assignment or batch name
+ * @returns {{title: string, generatedAt: string, categories: Array<{id, name, outOf}>, rows: Array}}
+ */
+function buildGradebook(entries, { title = 'Gradebook' } = {}) {
+  const byStudent = new Map();
+  const categoryInfo = new Map();
+
+  for (const entry of entries || []) {
+    if (!entry?.result?.scores || !entry.result.total) continue;
+
+    for (const [id, score] of Object.entries(entry.result.scores)) {
+      if (categoryInfo.has(id)) continue;
+      const name = entry.result.rubric?.categories?.[id]?.name || id.charAt(0).toUpperCase() + id.slice(1);
+      categoryInfo.set(id, { id, name, outOf: score?.out_of ?? null });
+    }
+
+    const row = gradebookRow(entry);
+    const key = row.studentId || `name:${normalizeName(row.studentName)}`;
+    const kept = byStudent.get(key);
+    if (!kept || (row.gradedAt || '') >= (kept.gradedAt || '')) byStudent.set(key, row);
+  }
+
+  return {
+    title,
+    generatedAt: new Date().toISOString(),
+    categories: orderCategories(new Set(categoryInfo.keys())).map(id => categoryInfo.get(id)),
+    rows: [...byStudent.values()].sort((a, b) => a.studentName.localeCompare(b.studentName)),
+  };
+}
+
+/** The gradebook as a table: header row, then one row per student. */
+function gradebookTable(gradebook) {
+  const header = [
+    'Student', 'Student ID', 'Assignment', 'Graded',
+    ...gradebook.categories.map(c => (c.outOf != null ? `${c.name} (${c.outOf})` : c.name)),
+    'Total', 'Out of', 'Percent', 'Word count', 'Teacher notes',
+  ];
+  const rows = gradebook.rows.map(row => [
+    row.studentName,
+    row.externalId,
+    row.assignment,
+    row.gradedAt ? row.gradedAt.slice(0, 10) : null,
+    ...gradebook.categories.map(c => row.scores[c.id] ?? null),
+    row.total,
+    row.outOf,
+    row.percent,
+    row.wordCount,
+    row.teacherNotes,
+  ]);
+  return [header, ...rows];
+}
+
+/**
+ * Moodle grade import ("CSV file"): map "ID number" or "Email address" to
+ * the user, the item column to the grade item and "Feedback" to its feedback.
+ */
+function moodleTable(gradebook) {
+  const item = gradebook.title;
+  return [
+    ['Full name', 'ID number', 'Email address', item, 'Feedback'],
+    ...gradebook.rows.map(row => {
+      const isEmail = row.externalId && row.externalId.includes('@');
+      return [row.studentName, isEmail ? null : row.externalId, isEmail ? row.externalId : null, row.total, row.teacherNotes];
+    }),
+  ];
+}
+
+/**
+ * Canvas gradebook import: Canvas matches students by SIS User ID or SIS
+ * Login ID (the roster's external id), reads the "Points Possible" row, and
+ * creates the assignment column if it doesn't exist yet.
+ */
+function canvasTable(gradebook) {
+  const outOf = gradebook.rows.find(r => r.outOf != null)?.outOf ?? null;
+  return [
+    ['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section', gradebook.title],
+    ['Points Possible', null, null, null, null, outOf],
+    ...gradebook.rows.map(row => {
+      const isEmail = row.externalId && row.externalId.includes('@');
+      return [row.studentName, null, isEmail ? null : row.externalId, isEmail ? row.externalId : null, null, row.total];
+    }),
+  ];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // A text cell starting with a formula character would run as a formula
+  // when the file is opened in a spreadsheet.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV text (CRLF line ends, as spreadsheets and LMS importers expect). */
+function toCsv(table) {
+  return table.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/** The gradebook in the JSON export format (GRADEBOOK_JSON_SCHEMA). */
+function toJsonExport(gradebook) {
+  return {
+    $schema: GRADEBOOK_JSON_SCHEMA.$id,
+    schemaVersion: GRADEBOOK_SCHEMA_VERSION,
+    title: gradebook.title,
+    generatedAt: gradebook.generatedAt,
+    categories: gradebook.categories,
+    students: gradebook.rows,
+  };
+}
+
+/**
+ * Write a gradebook in one of FORMATS.
+ * @param {Object} gradebook - from buildGradebook
+ * @param {string} format - csv, xlsx, moodle, canvas or json
+ * @returns {{body: string|Buffer, contentType: string, extension: string}}
+ */
+function renderGradebook(gradebook, format) {
+  const { contentType, extension } = FORMATS[format];
+  let body;
+  switch (format) {
+    case 'xlsx':
+      body = writeXlsx(gradebookTable(gradebook), { sheetName: gradebook.title });
+      break;
+    case 'moodle':
+      body = toCsv(moodleTable(gradebook));
+      break;
+    case 'canvas':
+      body = toCsv(canvasTable(gradebook));
+      break;
+    case 'json':
+      body = JSON.stringify(toJsonExport(gradebook), null, 2);
+      break;
+    default:
+      // Byte order mark so Excel opens the UTF-8 CSV with accents intact.
+      body = '\uFEFF' + toCsv(gradebookTable(gradebook));
+  }
+  return { body, contentType, extension };
+}
+
+export {
+  FORMATS,
+  GRADEBOOK_JSON_SCHEMA,
+  gradebookRow,
+  buildGradebook,
+  gradebookTable,
+  moodleTable,
+  canvasTable,
+  toCsv,
+  renderGradebook,
+};
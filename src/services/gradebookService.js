@@ -0,0 +1,126 @@
+// Gradebook Service
+// Loads the grades behind a gradebook export: a class profile's saved essays,
+// or a batch graded in the browser. Building and writing the gradebook lives
+// in gradebook.js.
+
+import { buildGradebook } from './gradebook.js';
+import { readEditsFromHTML } from './savedEssayHTML.js';
+import { extractResult } from './progressReport.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[GRADEBOOK] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Gradebook for one of the user's class profiles, from its saved essays.
+ * Teacher edits saved on the account page are applied.
+ * @param {string} classProfileId - Class profile ID
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.assignmentId] - Only essays saved for this assignment
+ * @returns {Promise<Object|null>} gradebook, or null when the profile (or
+ *   assignment) isn't the user's or the query failed
+ */
+async function getProfileGradebook(classProfileId, userId, { assignmentId = null } = {}) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !classProfileId) return null;
+
+  try {
+    const profile = await prisma.class_profiles.findFirst({
+      where: { id: classProfileId, userId },
+      select: { name: true },
+    });
+    if (!profile) return null;
+
+    let title = profile.name;
+    if (assignmentId) {
+      const assignment = await prisma.assignments.findFirst({
+        where: { id: assignmentId, userId, classProfileId },
+        select: { title: true },
+      });
+      if (!assignment) return null;
+      title = `${profile.name} - ${assignment.title}`;
+    }
+
+    const essays = await prisma.saved_essays.findMany({
+      where: { classProfileId, userId, ...(assignmentId ? { assignmentId } : {}) },
+      select: {
+        id: true,
+        studentName: true,
+        studentId: true,
+        createdAt: true,
+        essayData: true,
+        renderedHTML: true,
+        students: { select: { name: true, externalId: true } },
+        assignments: { select: { title: true } },
+      },
+    });
+
+    const entries = essays.map(essay => ({
+      studentName: essay.students?.name || essay.studentName,
+      studentId: essay.studentId,
+      externalId: essay.students?.externalId || null,
+      essayId: essay.id,
+      assignment: essay.assignments?.title || null,
+      gradedAt: essay.createdAt,
+      result: extractResult(essay.essayData),
+      edits: readEditsFromHTML(essay.renderedHTML),
+    }));
+
+    return buildGradebook(entries, { title });
+  } catch (error) {
+    console.error('[GRADEBOOK] Profile gradebook error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Gradebook for a batch graded in the browser (not necessarily saved).
+ * Roster links are checked against the user's students, whose external
+ * ids fill the LMS id columns.
+ * @param {string} userId - User ID
+ * @param {Array<{studentName: string, studentId?: string, result: Object}>} essays
+ * @param {string} title - batch name
+ * @returns {Promise<Object>} gradebook
+ */
+async function getBatchGradebook(userId, essays, title) {
+  const prisma = await getPrismaClient();
+  const studentIds = [...new Set(essays.map(e => e.studentId).filter(id => typeof id === 'string' && id))];
+
+  let students = [];
+  if (prisma && userId && studentIds.length) {
+    try {
+      students = await prisma.students.findMany({
+        where: { id: { in: studentIds }, userId },
+        select: { id: true, externalId: true },
+      });
+    } catch (error) {
+      console.error('[GRADEBOOK] Roster lookup error:', error.message);
+    }
+  }
+  const externalIds = new Map(students.map(s => [s.id, s.externalId]));
+
+  const entries = essays.map(essay => ({
+    studentName: String(essay.studentName || ''),
+    studentId: externalIds.has(essay.studentId) ? essay.studentId : null,
+    externalId: externalIds.get(essay.studentId) || null,
+    gradedAt: new Date(),
+    result: essay.result,
+  }));
+
+  return buildGradebook(entries, { title });
+}
+
+export {
+  getProfileGradebook,
+  getBatchGradebook,
+};
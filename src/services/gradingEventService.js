@@ -8,7 +8,7 @@
 // await in a way that can reject the request), but the internal try/catch is
 // the real safety net.
 
-import { computeCostUsd } from './costRates.js';
+import { computeUsageCostUsd } from './costRates.js';
 
 async function getPrisma() {
   try {
@@ -28,7 +28,9 @@ async function getPrisma() {
  * @param {string}      args.action           - "grade" | "grade_batch"
  * @param {string|null} args.classProfileId
  * @param {string|null} args.studentNickname
- * @param {Object|null} args.usage            - { promptTokens, completionTokens, model }
+ * @param {string|null} args.studentId        - roster entry the essay matched (students.id)
+ * @param {string|null} args.assignmentId     - assignment graded against (assignments.id)
+ * @param {Object|null} args.usage            - { promptTokens, completionTokens, model, calls? }
  * @param {string}      args.status           - "success" | "error"
  * @param {string|null} args.errorMessage
  * @param {number|null} args.latencyMs
@@ -44,6 +46,8 @@ export async function recordGradingEvent(args = {}) {
       action = 'grade',
       classProfileId = null,
       studentNickname = null,
+      studentId = null,
+      assignmentId = null,
       usage = null,
       status = 'success',
       errorMessage = null,
@@ -54,10 +58,10 @@ export async function recordGradingEvent(args = {}) {
     const completionTokens = Number(usage?.completionTokens) || 0;
     const model = usage?.model || null;
     const totalTokens = promptTokens + completionTokens;
-    // Cost is computed against the reported model; computeCostUsd falls back to
-    // the default model's rate when model is null/unknown so a real grade is
-    // never logged at $0 cost.
-    const costUsd = computeCostUsd(model, promptTokens, completionTokens);
+    // Cost is computed per call against each reported model; computeCostUsd
+    // falls back to the default model's rate when a model is null/unknown so a
+    // real grade is never logged at $0 cost.
+    const costUsd = computeUsageCostUsd(usage);
 
     await prisma.grading_events.create({
       data: {
@@ -66,6 +70,8 @@ export async function recordGradingEvent(args = {}) {
         action,
         classProfileId,
         studentNickname,
+        studentId,
+        assignmentId,
         model,
         promptTokens,
         completionTokens,
@@ -0,0 +1,319 @@
+// Grading Job Service
+// Batch grading jobs in the database: creating them, handing their essays to
+// workers and recording how each attempt went. The rules (retries, leases,
+// client events) live in gradingJobs.js; the worker is gradingWorker.js.
+
+import { JOB_RETENTION_DAYS, LEASE_MS, TERMINAL_STATUSES, failedAttempt } from './gradingJobs.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[GRADING_JOBS] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+/** Whether jobs can be stored at all (no database = no jobs). */
+async function gradingJobsAvailable() {
+  return !!(await getPrismaClient());
+}
+
+/**
+ * Store a batch as a job, queued for the workers.
+ * @param {Object} job
+ * @param {string} job.userId
+ * @param {string|null} job.userEmail
+ * @param {string} job.classProfileId
+ * @param {string|null} job.assignmentId - resolved assignment, if any
+ * @param {string} job.prompt
+ * @param {number|null} job.temperature - null = the profile's at grading time
+ * @param {Array<Object>} job.rows - from gradingJobs.js jobEssayRows
+ * @returns {Promise<Object|null>} the job row, or null on failure
+ */
+async function createGradingJob({ userId, userEmail, classProfileId, assignmentId, prompt, temperature, rows }) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return null;
+
+  try {
+    const job = await prisma.grading_jobs.create({
+      data: {
+        userId,
+        userEmail: userEmail || null,
+        classProfileId,
+        assignmentId: assignmentId || null,
+        prompt: prompt || '',
+        temperature: typeof temperature === 'number' && Number.isFinite(temperature) ? temperature : null,
+        grading_job_essays: { create: rows },
+      },
+    });
+    console.log(`[GRADING_JOBS] Created job ${job.id} with ${rows.length} essays`);
+    return job;
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error creating job:', error.message);
+    return null;
+  }
+}
+
+/**
+ * One of the user's jobs with its essays, in batch order.
+ * @returns {Promise<{job: Object, essays: Array<Object>}|null>}
+ */
+async function getGradingJob(jobId, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return null;
+
+  try {
+    const job = await prisma.grading_jobs.findFirst({
+      where: { id: jobId, userId },
+      include: { grading_job_essays: { orderBy: { position: 'asc' } } },
+    });
+    if (!job) return null;
+    const { grading_job_essays: essays, ...rest } = job;
+    return { job: rest, essays };
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error fetching job:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The user's jobs whose results no client has collected yet, newest first.
+ * @returns {Promise<Array<{job: Object, essays: Array<{status: string}>}>>}
+ */
+async function listUndeliveredJobs(userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return [];
+
+  try {
+    const jobs = await prisma.grading_jobs.findMany({
+      where: { userId, deliveredAt: null },
+      orderBy: { createdAt: 'desc' },
+      include: { grading_job_essays: { select: { status: true } } },
+    });
+    return jobs.map(({ grading_job_essays: essays, ...job }) => ({ job, essays }));
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error listing jobs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Where a job's essays stand, without their texts or results — cheap enough
+ * to ask every couple of seconds while streaming.
+ * @returns {Promise<{status: string, essays: Array<{position: number, status: string, attempts: number}>}|null>}
+ */
+async function getJobProgress(jobId) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return null;
+
+  try {
+    const job = await prisma.grading_jobs.findUnique({
+      where: { id: jobId },
+      select: {
+        status: true,
+        grading_job_essays: { select: { position: true, status: true, attempts: true } },
+      },
+    });
+    return job ? { status: job.status, essays: job.grading_job_essays } : null;
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error fetching progress:', error.message);
+    return null;
+  }
+}
+
+/** Full rows of some of a job's essays. */
+async function getJobEssays(jobId, positions) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return [];
+
+  try {
+    return await prisma.grading_job_essays.findMany({
+      where: { jobId, position: { in: positions } },
+      orderBy: { position: 'asc' },
+    });
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error fetching essays:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Claim essays that are due: queued ones whose retry delay has passed, and
+ * running ones whose worker's lease ran out. Each claim counts as an
+ * attempt. SKIP LOCKED keeps concurrent workers (other server instances,
+ * the cron) from claiming the same essay.
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {string} [options.jobId] - only this job's essays
+ * @returns {Promise<Array<Object>>} the claimed essay rows
+ */
+async function claimEssays({ limit, jobId = null }) {
+  const prisma = await getPrismaClient();
+  if (!prisma || limit < 1) return [];
+
+  const now = new Date();
+  const leaseExpired = new Date(now.getTime() - LEASE_MS);
+  try {
+    const essays = await prisma.$queryRaw`
+      UPDATE "public"."grading_job_essays"
+      SET "status" = 'running', "attempts" = "attempts" + 1, "lockedAt" = ${now}
+      WHERE "id" IN (
+        SELECT "id" FROM "public"."grading_job_essays"
+        WHERE (("status" = 'queued' AND "runAfter" <= ${now})
+            OR ("status" = 'running' AND "lockedAt" < ${leaseExpired}))
+          AND (${jobId}::text IS NULL OR "jobId" = ${jobId})
+        ORDER BY "runAfter", "position"
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`;
+
+    const jobIds = [...new Set(essays.map(essay => essay.jobId))];
+    if (jobIds.length > 0) {
+      await prisma.grading_jobs.updateMany({
+        where: { id: { in: jobIds }, status: 'queued' },
+        data: { status: 'running' },
+      });
+    }
+    return essays;
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error claiming essays:', error.message);
+    return [];
+  }
+}
+
+/** Job rows by id, for the worker's grading context. */
+async function getJobsById(jobIds) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return [];
+
+  try {
+    return await prisma.grading_jobs.findMany({
+      where: { id: { in: jobIds } },
+      include: { grading_job_essays: { select: { position: true, essayId: true, studentName: true, studentNickname: true, studentText: true } } },
+    });
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error fetching jobs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Record the outcome of a claimed attempt. Only the claim that is still
+ * current gets to write: if the lease ran out and another worker took the
+ * essay over, this attempt's outcome is dropped.
+ * @param {Object} essay - the claimed row (from claimEssays)
+ * @param {{result: Object}|{error: string, final?: boolean}} outcome -
+ *   final marks an error retrying can't fix
+ * @returns {Promise<boolean>} whether the outcome was recorded
+ */
+async function recordAttempt(essay, outcome) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return false;
+
+  let data;
+  if (outcome.result) {
+    data = { status: 'succeeded', result: outcome.result, error: null, lockedAt: null };
+  } else if (outcome.final) {
+    data = { status: 'failed', error: outcome.error, lockedAt: null };
+  } else {
+    data = failedAttempt(essay, outcome.error);
+  }
+
+  try {
+    const { count } = await prisma.grading_job_essays.updateMany({
+      where: { id: essay.id, status: 'running', attempts: essay.attempts },
+      data,
+    });
+    if (count > 0) await completeJobIfDone(prisma, essay.jobId);
+    return count > 0;
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error recording attempt:', error.message);
+    return false;
+  }
+}
+
+/** Mark the job completed once none of its essays is left to grade. */
+async function completeJobIfDone(prisma, jobId) {
+  const remaining = await prisma.grading_job_essays.count({
+    where: { jobId, status: { notIn: TERMINAL_STATUSES } },
+  });
+  if (remaining > 0) return;
+  const { count } = await prisma.grading_jobs.updateMany({
+    where: { id: jobId, status: { not: 'completed' } },
+    data: { status: 'completed', completedAt: new Date() },
+  });
+  if (count > 0) console.log(`[GRADING_JOBS] Job ${jobId} completed`);
+}
+
+/** Note that a client has the job's finished results. */
+async function markJobDelivered(jobId) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return;
+
+  try {
+    await prisma.grading_jobs.updateMany({
+      where: { id: jobId, status: 'completed', deliveredAt: null },
+      data: { deliveredAt: new Date() },
+    });
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error marking job delivered:', error.message);
+  }
+}
+
+/**
+ * Delete one of the user's jobs. Essays still being graded finish, but
+ * their results are dropped.
+ * @returns {Promise<boolean>} false when the job isn't the user's
+ */
+async function deleteGradingJob(jobId, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return false;
+
+  try {
+    const { count } = await prisma.grading_jobs.deleteMany({ where: { id: jobId, userId } });
+    return count > 0;
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error deleting job:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete jobs older than JOB_RETENTION_DAYS.
+ * @returns {Promise<number>} how many were deleted
+ */
+async function deleteExpiredJobs() {
+  const prisma = await getPrismaClient();
+  if (!prisma) return 0;
+
+  const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    const { count } = await prisma.grading_jobs.deleteMany({ where: { createdAt: { lt: cutoff } } });
+    if (count > 0) console.log(`[GRADING_JOBS] Deleted ${count} expired jobs`);
+    return count;
+  } catch (error) {
+    console.error('[GRADING_JOBS] Error deleting expired jobs:', error.message);
+    return 0;
+  }
+}
+
+export {
+  gradingJobsAvailable,
+  createGradingJob,
+  getGradingJob,
+  listUndeliveredJobs,
+  getJobProgress,
+  getJobEssays,
+  claimEssays,
+  getJobsById,
+  recordAttempt,
+  markJobDelivered,
+  deleteGradingJob,
+  deleteExpiredJobs,
+};
@@ -0,0 +1,160 @@
+// Grading Jobs
+// Batch grading jobs: the rows a submitted batch is stored as, what a failed
+// attempt turns into, and the events clients are sent about each essay. Pure
+// functions: gradingJobService keeps the rows, gradingWorker grades them and
+// the grading controller streams them.
+//
+// A job's essays are graded independently. An attempt that throws is retried
+// after a delay, up to MAX_ATTEMPTS; a worker that dies mid-essay leaves the
+// row "running", and once its lease runs out another worker claims it again
+// (that counts as an attempt too).
+
+// Essays in one job. The grading page sends at most 10 per tab.
+const MAX_JOB_ESSAYS = 50;
+const MAX_ATTEMPTS = 3;
+// Wait before the 2nd and 3rd attempts: long enough for a rate limit to clear.
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000];
+// How long a claimed essay may take before it counts as abandoned.
+const LEASE_MS = 5 * 60 * 1000;
+// Finished jobs are deleted after this long, delivered or not.
+const JOB_RETENTION_DAYS = 7;
+
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+/**
+ * The other essays in a batch, shaped as a screening corpus so each essay is
+ * checked for copying against its classmates (grader/screening.js).
+ * @param {Array<Object>} essays - batch essays or job essay rows
+ * @param {Object} current - the essay being graded (left out)
+ */
+function screeningPeers(essays, current) {
+  return (essays || [])
+    .filter(other => other !== current && other?.studentText)
+    .map(other => ({
+      source: 'batch',
+      id: other.essayId ?? null,
+      label: other.studentName || other.studentNickname || null,
+      text: other.studentText,
+    }));
+}
+
+/**
+ * Rows for a submitted batch's essays, in order. Roster links set by the
+ * grading controller (studentId, studentMatch) are kept.
+ * @param {Array<Object>} essays - as posted by the grading page
+ * @returns {{rows: Array<Object>}|{error: string}}
+ */
+function jobEssayRows(essays) {
+  if (!Array.isArray(essays) || essays.length === 0) {
+    return { error: 'No essays provided for grading' };
+  }
+  if (essays.length > MAX_JOB_ESSAYS) {
+    return { error: `A batch can hold at most ${MAX_JOB_ESSAYS} essays` };
+  }
+  if (essays.some(essay => typeof essay?.studentText !== 'string' || !essay.studentText.trim())) {
+    return { error: 'Every essay needs its text' };
+  }
+  return {
+    rows: essays.map((essay, position) => ({
+      position,
+      essayId: essay.essayId ?? null,
+      studentName: essay.studentName || null,
+      studentNickname: essay.studentNickname || null,
+      studentId: essay.studentId || null,
+      studentMatch: essay.studentMatch || null,
+      studentText: essay.studentText,
+      ocr: !!essay.ocr,
+    })),
+  };
+}
+
+/**
+ * What a failed attempt leaves the essay as: queued again after a delay, or
+ * failed for good once its attempts are used up.
+ * @param {{attempts: number}} essay - after the attempt (attempts counts it)
+ * @param {string} message - the attempt's error
+ * @param {Date} [now]
+ */
+function failedAttempt(essay, message, now = new Date()) {
+  if (essay.attempts >= MAX_ATTEMPTS) {
+    return { status: 'failed', error: message, lockedAt: null };
+  }
+  const delay = RETRY_DELAYS_MS[Math.min(essay.attempts, RETRY_DELAYS_MS.length) - 1];
+  return {
+    status: 'queued',
+    error: message,
+    lockedAt: null,
+    runAfter: new Date(now.getTime() + delay),
+  };
+}
+
+/** Changes whenever a client should hear about the essay again. */
+function essayState(essay) {
+  return `${essay.status}:${essay.attempts}`;
+}
+
+/**
+ * The event a client is sent about an essay, matching the grading page's
+ * stream protocol: "processing" while a worker has it, "retrying" after a
+ * failed attempt and "result" once it succeeded or failed for good. null
+ * for an essay that hasn't been tried yet.
+ */
+function essayEvent(essay) {
+  const base = {
+    index: essay.position,
+    essayId: essay.essayId,
+    studentName: essay.studentName,
+  };
+  if (essay.status === 'running') {
+    return { type: 'processing', ...base, attempt: essay.attempts };
+  }
+  if (essay.status === 'queued') {
+    return essay.attempts > 0
+      ? { type: 'retrying', ...base, attempt: essay.attempts, error: essay.error }
+      : null;
+  }
+
+  const student = {
+    studentNickname: essay.studentNickname,
+    studentId: essay.studentId || null,
+    studentMatch: essay.studentMatch || null,
+  };
+  return essay.status === 'succeeded'
+    ? { type: 'result', ...base, success: true, ...student, result: essay.result }
+    : { type: 'result', ...base, success: false, ...student, error: essay.error };
+}
+
+/**
+ * A job and how far along its essays are.
+ * @param {Object} job - grading_jobs row
+ * @param {Array<{status: string}>} essays - its essay rows
+ */
+function jobSummary(job, essays) {
+  const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+  for (const essay of essays) counts[essay.status] = (counts[essay.status] || 0) + 1;
+  return {
+    id: job.id,
+    status: job.status,
+    classProfileId: job.classProfileId,
+    assignmentId: job.assignmentId,
+    totalEssays: essays.length,
+    counts,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+  };
+}
+
+export {
+  JOB_RETENTION_DAYS,
+  LEASE_MS,
+  MAX_ATTEMPTS,
+  MAX_JOB_ESSAYS,
+  RETRY_DELAYS_MS,
+  TERMINAL_STATUSES,
+  essayEvent,
+  essayState,
+  failedAttempt,
+  jobEssayRows,
+  jobSummary,
+  screeningPeers,
+};
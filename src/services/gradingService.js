@@ -2,16 +2,28 @@
 // Contains the unified grading logic for both local and Vercel environments
 
 import { gradeEssay as gradeEssayOpenAI } from "../../grader/grader-simple.js";
+import { loadRubricForProfile } from "./rubricService.js";
+import { getEssayTextsForScreening } from "./savedEssayService.js";
 
 /**
  * Unified grading function that works identically in local and Vercel environments
  * @param {string} studentText - The student's essay text
  * @param {string} prompt - The assignment prompt
- * @param {Object} profileData - The class profile data
+ * @param {Object} profileData - The class profile data, with the chosen
+ *   assignment already applied (assignmentService.applyAssignment)
  * @param {string} studentNickname - Optional student nickname for personalized feedback
+ * @param {Object} [options]
+ * @param {string} [options.studentName] - Student's name
+ * @param {string} [options.studentId] - Student's roster id
+ * @param {string} [options.essayId] - Saved essay this grade redoes, if any.
+ *   With the name and roster id, it keeps the student's own saved essays out
+ *   of the copying check.
+ * @param {Array} [options.peers] - other essays in the same batch, checked for copying
+ * @param {boolean} [options.ocr] - the text came from OCR of a handwritten essay
+ * @param {Array} [options.previousIssues] - inline issues of the draft this essay revises
  * @returns {Promise<Object>} Grading results
  */
-async function gradeEssayUnified(studentText, prompt, profileData, studentNickname) {
+async function gradeEssayUnified(studentText, prompt, profileData, studentNickname, { studentName = null, studentId = null, essayId = null, peers = [], ocr = false, previousIssues = [] } = {}) {
   console.log('=== STARTING SIMPLIFIED 3-STEP GRADING ===');
   console.log('Profile:', profileData.name);
   console.log('Student text length:', studentText?.length);
@@ -20,7 +32,28 @@ async function gradeEssayUnified(studentText, prompt, profileData, studentNickna
     console.log('🚀 Using GPT simplified 3-step grader: Error Detection → Metrics → Grading...');
     console.log('🏷️ Student nickname:', studentNickname || 'none provided');
 
-    const result = await gradeEssayOpenAI(studentText, prompt, profileData.id, studentNickname);
+    // The profile's own rubric when it has one; null falls back to rubric.json.
+    const rubric = await loadRubricForProfile(profileData);
+    if (rubric) console.log(`📋 Rubric: ${rubric.label} (v${rubric.version})`);
+
+    // Texts to screen for copying: the rest of this batch and the teacher's
+    // saved essays.
+    const savedTexts = await getEssayTextsForScreening(profileData.userId, {
+      ownEssay: { id: essayId, studentId, label: studentName },
+    });
+    const screeningCorpus = [...peers, ...savedTexts];
+
+    // The grader reloads the profile by id; an assignment's prompt and word
+    // count ride along as overrides.
+    const profileOverrides = profileData.assignmentId
+      ? {
+        prompt: profileData.prompt,
+        requiredWordCountMin: profileData.requiredWordCountMin,
+        requiredWordCountMax: profileData.requiredWordCountMax,
+      }
+      : null;
+
+    const result = await gradeEssayOpenAI(studentText, prompt, profileData.id, studentNickname, { rubric, screeningCorpus, profileOverrides, ocr, previousIssues });
     console.log('✅ Simplified grading completed successfully!');
     return result;
   } catch (error) {
@@ -0,0 +1,183 @@
+// Grading Worker
+// Grades the essays of batch grading jobs (gradingJobService.js), a few at a
+// time (GRADING_CONCURRENCY, default 2: three LLM calls per essay against
+// the provider's rate limit).
+//
+// Where it runs depends on the deployment. A long-running server starts one
+// on boot (startGradingWorker) that looks for due essays every few seconds.
+// On Vercel nothing runs between requests, so a job's event stream drives
+// its own essays while a client is watching, and the cron route picks up
+// whatever is left when nobody is.
+
+import { gradeEssayUnified } from './gradingService.js';
+import { findProfileById } from './profileService.js';
+import { applyTemperatureAdjustment } from './temperatureService.js';
+import { recordGradingEvent } from './gradingEventService.js';
+import { getAssignmentForGrading, applyAssignment } from './assignmentService.js';
+import { MAX_ATTEMPTS, screeningPeers } from './gradingJobs.js';
+import { claimEssays, deleteExpiredJobs, getJobsById, recordAttempt } from './gradingJobService.js';
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.GRADING_CONCURRENCY, 10) || 2);
+const POLL_MS = 5000;
+const SWEEP_MS = 60 * 60 * 1000;
+
+let currentRun = null;
+
+/**
+ * What grading a job's essays needs: the class profile with the assignment
+ * applied, the temperature and the batch's texts for screening.
+ * @returns {Promise<Object|null>} null when the job is gone; { error } when
+ *   it can't be graded at all
+ */
+async function loadJobContext(jobId) {
+  const [job] = await getJobsById([jobId]);
+  if (!job) return null;
+
+  const profileData = await findProfileById(job.classProfileId, job.userId);
+  if (!profileData) return { job, error: `Class profile not found: ${job.classProfileId}` };
+
+  const assignment = await getAssignmentForGrading(job.assignmentId, job.userId, job.classProfileId);
+  return {
+    job,
+    assignment,
+    gradingProfile: applyAssignment(profileData, assignment),
+    temperature: job.temperature ?? (profileData.temperature || 0),
+    essays: job.grading_job_essays,
+  };
+}
+
+/**
+ * Grade one claimed essay and record the attempt. Never throws.
+ * @param {Object} essay - claimed grading_job_essays row
+ * @param {Map<string, Promise<Object|null>>} contexts - per-run job contexts
+ */
+async function gradeClaimedEssay(essay, contexts) {
+  try {
+    // Claimed again after its lease ran out on every attempt: whatever
+    // happens to it kills the worker, so stop trying.
+    if (essay.attempts > MAX_ATTEMPTS) {
+      await recordAttempt(essay, { error: 'Grading did not finish', final: true });
+      return;
+    }
+
+    if (!contexts.has(essay.jobId)) contexts.set(essay.jobId, loadJobContext(essay.jobId));
+    const context = await contexts.get(essay.jobId);
+    if (!context) return; // job deleted meanwhile
+    if (context.error) {
+      await recordAttempt(essay, { error: context.error, final: true });
+      return;
+    }
+
+    const { job, assignment } = context;
+    const event = {
+      userId: job.userId,
+      userEmail: job.userEmail,
+      action: 'grade_batch',
+      classProfileId: job.classProfileId,
+      studentNickname: essay.studentNickname,
+      studentId: essay.studentId || null,
+      assignmentId: assignment?.id || null,
+    };
+    const essayStart = Date.now();
+    console.log(`[GRADING_WORKER] Grading essay ${essay.position + 1} of job ${job.id} (attempt ${essay.attempts})`);
+
+    try {
+      const peers = screeningPeers(context.essays.filter(other => other.position !== essay.position));
+      const result = await gradeEssayUnified(essay.studentText, job.prompt, context.gradingProfile, essay.studentNickname, {
+        studentName: essay.studentName,
+        studentId: essay.studentId,
+        essayId: essay.essayId,
+        peers,
+        ocr: essay.ocr,
+      });
+
+      // Validate result has required fields before marking as successful
+      if (!result || !result.scores || !result.total) {
+        throw new Error('Incomplete grading result - missing scores or total');
+      }
+
+      await recordGradingEvent({ ...event, usage: result.usage, status: 'success', latencyMs: Date.now() - essayStart });
+
+      const finalResult = applyTemperatureAdjustment(result, context.temperature);
+      // Strip internal token/cost telemetry before it reaches the client.
+      delete finalResult.usage;
+      finalResult.studentName = essay.studentName;
+      finalResult.studentNickname = essay.studentNickname;
+      finalResult.studentId = essay.studentId || null;
+      finalResult.assignmentId = assignment?.id || null;
+
+      await recordAttempt(essay, { result: finalResult });
+    } catch (error) {
+      console.error(`[GRADING_WORKER] Error grading essay ${essay.position + 1} of job ${job.id}:`, error.message);
+      await recordGradingEvent({ ...event, status: 'error', errorMessage: error.message, latencyMs: Date.now() - essayStart });
+      await recordAttempt(essay, { error: error.message });
+    }
+  } catch (error) {
+    // Recording failed too; the lease hands the essay to the next worker.
+    console.error('[GRADING_WORKER] Unexpected error:', error.message);
+  }
+}
+
+/**
+ * Grade due essays until there are none left (or time is up), keeping up to
+ * `concurrency` essays in flight.
+ * @param {Object} [options]
+ * @param {string} [options.jobId] - only this job's essays
+ * @param {number} [options.until] - stop claiming essays after this time (ms)
+ * @param {number} [options.concurrency]
+ * @returns {Promise<number>} how many essays were attempted
+ */
+async function runGradingWorker({ jobId = null, until = Infinity, concurrency = CONCURRENCY } = {}) {
+  const contexts = new Map();
+  const inFlight = new Set();
+  let attempted = 0;
+
+  for (;;) {
+    if (Date.now() < until && inFlight.size < concurrency) {
+      const essays = await claimEssays({ limit: concurrency - inFlight.size, jobId });
+      for (const essay of essays) {
+        const task = gradeClaimedEssay(essay, contexts).finally(() => inFlight.delete(task));
+        inFlight.add(task);
+        attempted++;
+      }
+    }
+    if (inFlight.size === 0) break;
+    await Promise.race(inFlight);
+  }
+  return attempted;
+}
+
+/**
+ * Start a worker run unless one is going already (long-running server).
+ * @returns {Promise<number>}
+ */
+function wakeGradingWorker() {
+  if (!currentRun) {
+    currentRun = runGradingWorker()
+      .catch((error) => {
+        console.error('[GRADING_WORKER] Run failed:', error.message);
+        return 0;
+      })
+      .finally(() => {
+        currentRun = null;
+      });
+  }
+  return currentRun;
+}
+
+/**
+ * Keep grading jobs moving on a long-running server: look for due essays
+ * every few seconds and delete expired jobs hourly.
+ */
+function startGradingWorker() {
+  setInterval(wakeGradingWorker, POLL_MS).unref();
+  setInterval(deleteExpiredJobs, SWEEP_MS).unref();
+  wakeGradingWorker();
+  console.log(`[GRADING_WORKER] Started (concurrency ${CONCURRENCY})`);
+}
+
+export {
+  runGradingWorker,
+  startGradingWorker,
+  wakeGradingWorker,
+};
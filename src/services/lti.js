@@ -0,0 +1,315 @@
+// LTI 1.3
+// The tool side of LTI 1.3 launches and Assignment and Grade Services (AGS):
+// platform registrations, the tool's signing key, RS256 JWTs, launch claim
+// checks and the shapes sent back to the platform. No database or network;
+// ltiService.js does the fetching and the mapping onto users, class
+// profiles and the roster.
+//
+// Platforms are registered in LTI_PLATFORMS, a JSON array of
+//   { issuer, clientId, deploymentIds?, authLoginUrl, authTokenUrl, jwksUrl }
+// The tool signs its AGS token requests with LTI_PRIVATE_KEY (PEM). Without
+// one, development runs on a key generated at startup.
+
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, randomBytes, sign, verify } from 'crypto';
+
+const LTI_VERSION = '1.3.0';
+// Clock skew allowed on exp/iat.
+const CLOCK_TOLERANCE_S = 60;
+
+const CLAIMS = {
+  messageType: 'https://purl.imsglobal.org/spec/lti/claim/message_type',
+  version: 'https://purl.imsglobal.org/spec/lti/claim/version',
+  deploymentId: 'https://purl.imsglobal.org/spec/lti/claim/deployment_id',
+  targetLinkUri: 'https://purl.imsglobal.org/spec/lti/claim/target_link_uri',
+  resourceLink: 'https://purl.imsglobal.org/spec/lti/claim/resource_link',
+  roles: 'https://purl.imsglobal.org/spec/lti/claim/roles',
+  context: 'https://purl.imsglobal.org/spec/lti/claim/context',
+  lis: 'https://purl.imsglobal.org/spec/lti/claim/lis',
+  ags: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint',
+};
+
+const AGS_SCOPES = {
+  lineItem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score',
+};
+
+// Course (context membership) roles, as full LIS vocabulary URIs. Only these
+// count: institution and system roles (.../institution/person#Instructor)
+// say what someone is elsewhere in the school, not in this course, and
+// mentors and content developers don't grade.
+const MEMBERSHIP = 'http://purl.imsglobal.org/vocab/lis/v2/membership';
+const INSTRUCTOR_ROLES = new Set([
+  `${MEMBERSHIP}#Instructor`,
+  `${MEMBERSHIP}#Administrator`,
+  `${MEMBERSHIP}/Instructor#TeachingAssistant`,
+]);
+const LEARNER_ROLE = `${MEMBERSHIP}#Learner`;
+
+let devKey = null;
+
+/**
+ * Registered platforms from LTI_PLATFORMS. A malformed value registers none.
+ * @returns {Array<{issuer: string, clientId: string, deploymentIds: string[], authLoginUrl: string, authTokenUrl: string, jwksUrl: string}>}
+ */
+function ltiPlatforms() {
+  if (!process.env.LTI_PLATFORMS) return [];
+  try {
+    const parsed = JSON.parse(process.env.LTI_PLATFORMS);
+    return (Array.isArray(parsed) ? parsed : [parsed])
+      .filter(p => p && p.issuer && p.clientId && p.authLoginUrl && p.authTokenUrl && p.jwksUrl)
+      .map(p => ({ ...p, deploymentIds: Array.isArray(p.deploymentIds) ? p.deploymentIds.map(String) : [] }));
+  } catch (error) {
+    console.error('[LTI] LTI_PLATFORMS is not valid JSON:', error.message);
+    return [];
+  }
+}
+
+/** True when at least one platform is registered. */
+function ltiConfigured() {
+  return ltiPlatforms().length > 0;
+}
+
+/**
+ * The registration for an issuer. Login initiation may leave out client_id;
+ * that only resolves when the issuer has a single registration.
+ */
+function findPlatform(issuer, clientId) {
+  const matches = ltiPlatforms().filter(p => p.issuer === issuer && (!clientId || p.clientId === clientId));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * The tool's signing key: LTI_PRIVATE_KEY, or outside production a key
+ * generated once per process (platforms re-fetch /lti/jwks when the key id
+ * changes). LTI_KEY_ID overrides the key id, which is otherwise the key's
+ * JWK thumbprint.
+ * @returns {{privateKey: KeyObject, kid: string, publicJwk: Object}|null}
+ */
+function toolKey() {
+  let privateKey;
+  if (process.env.LTI_PRIVATE_KEY) {
+    privateKey = createPrivateKey(process.env.LTI_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  } else if (process.env.NODE_ENV === 'production') {
+    return null;
+  } else {
+    if (!devKey) {
+      console.warn('[LTI] LTI_PRIVATE_KEY not set; using a key generated for this process');
+      devKey = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    }
+    privateKey = devKey;
+  }
+
+  const { n, e, kty } = createPublicKey(privateKey).export({ format: 'jwk' });
+  const thumbprint = createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url');
+  const kid = process.env.LTI_KEY_ID || thumbprint;
+  return { privateKey, kid, publicJwk: { kty, n, e, kid, alg: 'RS256', use: 'sig' } };
+}
+
+/** The tool's public keys, served at /lti/jwks. */
+function toolJwks() {
+  const key = toolKey();
+  return { keys: key ? [key.publicJwk] : [] };
+}
+
+function randomString() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Split a JWT into its decoded parts.
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ */
+function decodeJwt(jwt) {
+  const parts = String(jwt || '').split('.');
+  if (parts.length !== 3) throw new Error('Malformed JWT');
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch {
+    throw new Error('Malformed JWT');
+  }
+}
+
+/**
+ * Sign claims as an RS256 JWT.
+ * @param {Object} payload
+ * @param {{privateKey: KeyObject|string, kid?: string}} key
+ */
+function signJwt(payload, { privateKey, kid }) {
+  const header = { alg: 'RS256', typ: 'JWT', ...(kid ? { kid } : {}) };
+  const signingInput = [header, payload]
+    .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  const signature = sign('RSA-SHA256', Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Check an RS256 JWT against a key set and return its claims. Throws when
+ * the algorithm isn't RS256, no key matches or the signature is wrong.
+ * @param {string} jwt
+ * @param {{keys: Object[]}} jwks
+ * @returns {Object} claims
+ */
+function verifyJwt(jwt, jwks) {
+  const { header, payload, signingInput, signature } = decodeJwt(jwt);
+  if (header.alg !== 'RS256') throw new Error(`Unsupported JWT algorithm ${header.alg}`);
+
+  const keys = (jwks?.keys || []).filter(k => k.kty === 'RSA' && (!k.use || k.use === 'sig'));
+  const jwk = header.kid ? keys.find(k => k.kid === header.kid) : keys.length === 1 ? keys[0] : null;
+  if (!jwk) throw new Error('No matching signing key');
+
+  const publicKey = createPublicKey({ key: jwk, format: 'jwk' });
+  if (!verify('RSA-SHA256', Buffer.from(signingInput), publicKey, signature)) {
+    throw new Error('JWT signature invalid');
+  }
+  return payload;
+}
+
+/**
+ * Step two of the launch: where to send the browser after the platform's
+ * login initiation request, plus the state and nonce to keep until the
+ * launch comes back.
+ * @param {Object} platform - from findPlatform
+ * @param {{loginHint: string, messageHint?: string, redirectUri: string}} params
+ * @returns {{url: string, state: string, nonce: string}}
+ */
+function authenticationRequest(platform, { loginHint, messageHint, redirectUri }) {
+  const state = randomString();
+  const nonce = randomString();
+  const url = new URL(platform.authLoginUrl);
+  url.search = new URLSearchParams({
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: platform.clientId,
+    redirect_uri: redirectUri,
+    login_hint: loginHint,
+    ...(messageHint ? { lti_message_hint: messageHint } : {}),
+    state,
+    nonce,
+  }).toString();
+  return { url: url.toString(), state, nonce };
+}
+
+/**
+ * Check a launch's claims. Throws with the reason when they don't hold.
+ * @param {Object} claims - verified id_token payload
+ * @param {{platform: Object, nonce: string, now?: number}} expected - now in seconds
+ */
+function validateLaunchClaims(claims, { platform, nonce, now = Math.floor(Date.now() / 1000) }) {
+  if (claims.iss !== platform.issuer) throw new Error('Launch issuer mismatch');
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(platform.clientId)) throw new Error('Launch audience mismatch');
+  if (audiences.length > 1 && claims.azp !== platform.clientId) throw new Error('Launch authorized party mismatch');
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_S < now) throw new Error('Launch token expired');
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_TOLERANCE_S > now) throw new Error('Launch token issued in the future');
+  if (!nonce || claims.nonce !== nonce) throw new Error('Launch nonce mismatch');
+  if (!claims.sub) throw new Error('Anonymous launches are not supported');
+
+  if (claims[CLAIMS.version] !== LTI_VERSION) throw new Error('Unsupported LTI version');
+  if (claims[CLAIMS.messageType] !== 'LtiResourceLinkRequest') throw new Error('Unsupported LTI message type');
+  const deploymentId = claims[CLAIMS.deploymentId];
+  if (!deploymentId) throw new Error('Launch has no deployment id');
+  if (platform.deploymentIds.length && !platform.deploymentIds.includes(String(deploymentId))) {
+    throw new Error('Unknown deployment');
+  }
+  if (!claims[CLAIMS.resourceLink]?.id) throw new Error('Launch has no resource link');
+}
+
+/**
+ * The parts of a validated launch this app uses.
+ * @param {Object} claims
+ * @returns {{issuer, deploymentId, subject, email, name, instructor: boolean, learner: boolean,
+ *   context: {id, title}|null, resourceLink: {id, title, description}, ags: {lineItem, lineItems, scopes}|null,
+ *   sourcedId: string|null}}
+ */
+function launchDetails(claims) {
+  const roles = (claims[CLAIMS.roles] || []).map(String);
+  const context = claims[CLAIMS.context];
+  const link = claims[CLAIMS.resourceLink];
+  const ags = claims[CLAIMS.ags];
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+
+  return {
+    issuer: claims.iss,
+    deploymentId: String(claims[CLAIMS.deploymentId]),
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+    name: name || null,
+    instructor: roles.some(role => INSTRUCTOR_ROLES.has(role)),
+    learner: roles.includes(LEARNER_ROLE),
+    context: context?.id ? { id: String(context.id), title: context.title || context.label || null } : null,
+    resourceLink: { id: String(link.id), title: link.title || null, description: link.description || null },
+    ags: ags && (ags.lineitem || ags.lineitems)
+      ? { lineItem: ags.lineitem || null, lineItems: ags.lineitems || null, scopes: ags.scope || [] }
+      : null,
+    sourcedId: claims[CLAIMS.lis]?.person_sourcedid || null,
+  };
+}
+
+/**
+ * Client assertion (RFC 7523) the tool signs to get an AGS access token.
+ * @param {Object} platform
+ * @param {{privateKey, kid}} key - from toolKey
+ */
+function clientAssertion(platform, key, now = Math.floor(Date.now() / 1000)) {
+  return signJwt({
+    iss: platform.clientId,
+    sub: platform.clientId,
+    aud: platform.authTokenUrl,
+    iat: now,
+    exp: now + 300,
+    jti: randomString(),
+  }, key);
+}
+
+/**
+ * The scores endpoint of a line item: its URL with /scores appended to the
+ * path, keeping any query string.
+ */
+function scoresUrl(lineItemUrl) {
+  const url = new URL(lineItemUrl);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/scores`;
+  return url.toString();
+}
+
+/**
+ * An AGS score for one learner.
+ * @param {{subject: string, points: number, outOf: number, comment?: string, timestamp?: Date}} score
+ */
+function scorePayload({ subject, points, outOf, comment, timestamp = new Date() }) {
+  return {
+    userId: subject,
+    scoreGiven: points,
+    scoreMaximum: outOf,
+    ...(comment ? { comment } : {}),
+    timestamp: timestamp.toISOString(),
+    activityProgress: 'Completed',
+    gradingProgress: 'FullyGraded',
+  };
+}
+
+export {
+  CLAIMS,
+  AGS_SCOPES,
+  ltiPlatforms,
+  ltiConfigured,
+  findPlatform,
+  toolKey,
+  toolJwks,
+  decodeJwt,
+  signJwt,
+  verifyJwt,
+  authenticationRequest,
+  validateLaunchClaims,
+  launchDetails,
+  clientAssertion,
+  scoresUrl,
+  scorePayload,
+};
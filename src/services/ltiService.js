@@ -0,0 +1,469 @@
+// LTI Service
+// LTI 1.3 launches and grade passback against the database and the
+// platform: verifying launch tokens with the platform's keys, mapping a
+// launch onto a teacher account, class profile, assignment and roster entry,
+// storing learner submissions, and posting scores through Assignment and
+// Grade Services. Token and claim handling lives in lti.js.
+
+import {
+  AGS_SCOPES,
+  clientAssertion,
+  findPlatform,
+  launchDetails,
+  scorePayload,
+  scoresUrl,
+  toolKey,
+  validateLaunchClaims,
+  verifyJwt,
+} from './lti.js';
+import { matchStudent } from './roster.js';
+import { getProfileGradebook } from './gradebookService.js';
+
+// Class profiles created for a new course start at this level; the teacher
+// adjusts it on the grading page.
+const DEFAULT_CEFR_LEVEL = 'B1';
+const JWKS_MAX_AGE_MS = 60 * 60 * 1000;
+// Roster matches trusted enough to attach a learner's LMS account to.
+const TRUSTED_MATCHES = new Set(['external_id', 'exact', 'alias', 'reordered']);
+
+const jwksCache = new Map(); // jwksUrl -> { keys, fetchedAt }
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[LTI] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+/** The platform's public keys, cached for an hour. */
+async function getPlatformJwks(platform, { refresh = false } = {}) {
+  const cached = jwksCache.get(platform.jwksUrl);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < JWKS_MAX_AGE_MS) return cached.keys;
+
+  const response = await fetch(platform.jwksUrl);
+  if (!response.ok) throw new Error(`Platform key set fetch failed (${response.status})`);
+  const keys = await response.json();
+  jwksCache.set(platform.jwksUrl, { keys, fetchedAt: Date.now() });
+  return keys;
+}
+
+/**
+ * Verify a launch's id_token and return its details (see launchDetails).
+ * An unknown key id refetches the platform's keys once, for key rotation.
+ * @param {string} idToken
+ * @param {{platform: Object, nonce: string}} expected
+ */
+async function verifyLaunch(idToken, { platform, nonce }) {
+  let claims;
+  try {
+    claims = verifyJwt(idToken, await getPlatformJwks(platform));
+  } catch (error) {
+    if (error.message !== 'No matching signing key') throw error;
+    claims = verifyJwt(idToken, await getPlatformJwks(platform, { refresh: true }));
+  }
+  validateLaunchClaims(claims, { platform, nonce });
+  return launchDetails(claims);
+}
+
+/**
+ * Map an instructor launch onto the teacher's data: the course becomes a
+ * class profile and the resource link an assignment, both created on first
+ * launch. The line item endpoints are refreshed on every launch.
+ * @param {Object} launch - from verifyLaunch
+ * @param {Object} platform - registration the launch came from
+ * @param {string} userId - the signed-in teacher
+ * @returns {Promise<{link: Object|null, reason?: string}>} reason is
+ *   'other_teacher' when another account set the course or link up, 'error'
+ *   when the database failed
+ */
+async function resolveInstructorLaunch(launch, platform, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return { link: null, reason: 'error' };
+
+  const ags = {
+    lineItemUrl: launch.ags?.lineItem || null,
+    lineItemsUrl: launch.ags?.lineItems || null,
+    agsScopes: launch.ags?.scopes || [],
+  };
+
+  try {
+    const existing = await prisma.lti_links.findUnique({
+      where: { issuer_resourceLinkId: { issuer: launch.issuer, resourceLinkId: launch.resourceLink.id } },
+    });
+    if (existing) {
+      if (existing.userId !== userId) return { link: null, reason: 'other_teacher' };
+      // A line item created by sendScores is kept when the platform has none.
+      const link = await prisma.lti_links.update({
+        where: { id: existing.id },
+        data: { ...ags, lineItemUrl: ags.lineItemUrl || existing.lineItemUrl, title: launch.resourceLink.title || existing.title },
+      });
+      return { link };
+    }
+
+    // Without a context claim the link stands on its own.
+    const contextId = launch.context?.id || `link:${launch.resourceLink.id}`;
+    let context = await prisma.lti_contexts.findUnique({
+      where: { issuer_contextId: { issuer: launch.issuer, contextId } },
+    });
+    if (context && context.userId !== userId) return { link: null, reason: 'other_teacher' };
+    if (!context) {
+      const title = launch.context?.title || launch.resourceLink.title || 'LMS course';
+      const profile = await prisma.class_profiles.create({
+        data: {
+          id: `profile_${Date.now()}`,
+          name: title,
+          cefrLevel: DEFAULT_CEFR_LEVEL,
+          vocabulary: [],
+          grammar: [],
+          prompt: '',
+          userId,
+          lastModified: new Date(),
+        },
+      });
+      context = await prisma.lti_contexts.create({
+        data: { issuer: launch.issuer, contextId, userId, classProfileId: profile.id, title },
+      });
+      console.log(`[LTI] Course ${contextId} mapped to class profile ${profile.id}`);
+    }
+
+    const assignment = await prisma.assignments.create({
+      data: {
+        userId,
+        classProfileId: context.classProfileId,
+        title: launch.resourceLink.title || 'LMS assignment',
+        prompt: launch.resourceLink.description || null,
+      },
+    });
+    const link = await prisma.lti_links.create({
+      data: {
+        issuer: launch.issuer,
+        clientId: platform.clientId,
+        deploymentId: launch.deploymentId,
+        resourceLinkId: launch.resourceLink.id,
+        userId,
+        classProfileId: context.classProfileId,
+        assignmentId: assignment.id,
+        title: launch.resourceLink.title,
+        ...ags,
+      },
+    });
+    console.log(`[LTI] Resource link ${launch.resourceLink.id} mapped to assignment ${assignment.id}`);
+    return { link };
+  } catch (error) {
+    console.error('[LTI] Instructor launch error:', error.message);
+    return { link: null, reason: 'error' };
+  }
+}
+
+/**
+ * Map a learner launch onto the class roster: the learner's roster entry
+ * from an earlier launch, else a roster entry with their email, LMS id or
+ * exact name that isn't linked to another LMS account yet, else a new one.
+ * @param {Object} launch - from verifyLaunch
+ * @returns {Promise<{linkId: string|null, studentId?: string, reason?: string}>}
+ *   reason is 'not_set_up' before the teacher has launched the link, 'error'
+ *   when the database failed
+ */
+async function resolveLearnerLaunch(launch) {
+  const prisma = await getPrismaClient();
+  if (!prisma) return { linkId: null, reason: 'error' };
+
+  try {
+    const link = await prisma.lti_links.findUnique({
+      where: { issuer_resourceLinkId: { issuer: launch.issuer, resourceLinkId: launch.resourceLink.id } },
+    });
+    if (!link) return { linkId: null, reason: 'not_set_up' };
+
+    const known = await prisma.lti_students.findFirst({
+      where: { issuer: launch.issuer, subject: launch.subject, students: { classProfileId: link.classProfileId } },
+    });
+    if (known) return { linkId: link.id, studentId: known.studentId };
+
+    const roster = await prisma.students.findMany({
+      where: { classProfileId: link.classProfileId, userId: link.userId, lti_students: null },
+      select: { id: true, name: true, externalId: true, aliases: true },
+    });
+    let student = null;
+    for (const typed of [launch.email, launch.sourcedId, launch.name]) {
+      const match = typed ? matchStudent(typed, roster) : null;
+      if (match?.student && TRUSTED_MATCHES.has(match.method)) {
+        student = match.student;
+        break;
+      }
+    }
+    if (!student) {
+      student = await prisma.students.create({
+        data: {
+          userId: link.userId,
+          classProfileId: link.classProfileId,
+          name: launch.name || launch.email || 'LMS student',
+          externalId: launch.email || launch.sourcedId || null,
+          aliases: [],
+        },
+      });
+      console.log(`[LTI] Added ${student.name} to class profile ${link.classProfileId}`);
+    }
+
+    await prisma.lti_students.create({
+      data: { issuer: launch.issuer, subject: launch.subject, studentId: student.id },
+    });
+    return { linkId: link.id, studentId: student.id };
+  } catch (error) {
+    console.error('[LTI] Learner launch error:', error.message);
+    return { linkId: null, reason: 'error' };
+  }
+}
+
+/**
+ * What a learner sees: the assignment and their latest submission.
+ * @param {string} linkId
+ * @param {string} studentId
+ * @returns {Promise<Object|null>}
+ */
+async function getLearnerAssignment(linkId, studentId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !linkId || !studentId) return null;
+
+  try {
+    const link = await prisma.lti_links.findUnique({
+      where: { id: linkId },
+      include: {
+        assignments: {
+          select: { title: true, prompt: true, dueDate: true, requiredWordCountMin: true, requiredWordCountMax: true },
+        },
+      },
+    });
+    if (!link) return null;
+
+    const [student, submission] = await Promise.all([
+      prisma.students.findUnique({ where: { id: studentId }, select: { name: true } }),
+      prisma.lti_submissions.findFirst({
+        where: { linkId, studentId },
+        orderBy: { submittedAt: 'desc' },
+        select: { text: true, submittedAt: true, scoreSent: true, scoreSentAt: true },
+      }),
+    ]);
+    return { studentName: student?.name || null, assignment: link.assignments, submission };
+  } catch (error) {
+    console.error('[LTI] Learner assignment error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a learner's essay for their teacher to grade.
+ * @param {string} linkId
+ * @param {string} studentId
+ * @param {string} text
+ * @returns {Promise<Object|null>} the submission, or null on failure
+ */
+async function submitEssay(linkId, studentId, text) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !linkId || !studentId) return null;
+
+  try {
+    return await prisma.lti_submissions.create({
+      data: { linkId, studentId, text },
+      select: { id: true, submittedAt: true },
+    });
+  } catch (error) {
+    console.error('[LTI] Submit error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * A link and its latest submission per student, for the teacher.
+ * @param {string} linkId
+ * @param {string} userId - User ID (ownership check)
+ * @returns {Promise<Object|null>} { link, submissions }, or null when the
+ *   link isn't the user's or the query failed
+ */
+async function getLinkForTeacher(linkId, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !linkId || !userId) return null;
+
+  try {
+    const link = await prisma.lti_links.findFirst({
+      where: { id: linkId, userId },
+      include: {
+        class_profiles: { select: { name: true } },
+        assignments: { select: { title: true } },
+      },
+    });
+    if (!link) return null;
+
+    const rows = await prisma.lti_submissions.findMany({
+      where: { linkId },
+      orderBy: { submittedAt: 'desc' },
+      include: { students: { select: { name: true } } },
+    });
+    const latest = new Map();
+    for (const row of rows) if (!latest.has(row.studentId)) latest.set(row.studentId, row);
+
+    return {
+      link: {
+        id: link.id,
+        title: link.assignments.title,
+        classProfileId: link.classProfileId,
+        classProfileName: link.class_profiles.name,
+        assignmentId: link.assignmentId,
+        canSendScores: link.agsScopes.includes(AGS_SCOPES.score) &&
+          !!(link.lineItemUrl || (link.lineItemsUrl && link.agsScopes.includes(AGS_SCOPES.lineItem))),
+      },
+      submissions: [...latest.values()]
+        .map(row => ({
+          id: row.id,
+          studentId: row.studentId,
+          studentName: row.students.name,
+          text: row.text,
+          submittedAt: row.submittedAt,
+          scoreSent: row.scoreSent,
+          scoreSentAt: row.scoreSentAt,
+        }))
+        .sort((a, b) => a.studentName.localeCompare(b.studentName)),
+    };
+  } catch (error) {
+    console.error('[LTI] Link error:', error.message);
+    return null;
+  }
+}
+
+/** An AGS access token for the given scopes. */
+async function getAccessToken(platform, scopes) {
+  const key = toolKey();
+  if (!key) throw new Error('LTI_PRIVATE_KEY is not set');
+
+  const response = await fetch(platform.authTokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: clientAssertion(platform, key),
+      scope: scopes.join(' '),
+    }),
+  });
+  if (!response.ok) throw new Error(`Platform token request failed (${response.status})`);
+  const { access_token: accessToken } = await response.json();
+  if (!accessToken) throw new Error('Platform returned no access token');
+  return accessToken;
+}
+
+/** The link's line item, created on the platform when the launch had none. */
+async function ensureLineItem(prisma, link, token, outOf) {
+  if (link.lineItemUrl) return link.lineItemUrl;
+  if (!link.lineItemsUrl || !link.agsScopes.includes(AGS_SCOPES.lineItem)) {
+    throw new Error('The LMS did not provide a grade column for this assignment');
+  }
+
+  const response = await fetch(link.lineItemsUrl, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/vnd.ims.lis.v2.lineitem+json',
+      Accept: 'application/vnd.ims.lis.v2.lineitem+json',
+    },
+    body: JSON.stringify({ label: link.title || 'Essay', scoreMaximum: outOf, resourceLinkId: link.resourceLinkId }),
+  });
+  if (!response.ok) throw new Error(`Line item creation failed (${response.status})`);
+  const lineItem = await response.json();
+  await prisma.lti_links.update({ where: { id: link.id }, data: { lineItemUrl: lineItem.id } });
+  return lineItem.id;
+}
+
+/**
+ * Post the assignment's grades to the LMS gradebook: for each student with
+ * an LMS account, the total of their latest saved essay for the assignment
+ * (teacher edits applied, as in the gradebook export), with the teacher
+ * notes as the comment.
+ * @param {string} linkId
+ * @param {string} userId - User ID (ownership check)
+ * @returns {Promise<{sent: Array, skipped: Array}|null>} null when the link
+ *   isn't the user's
+ * @throws when the platform can't be reached or refuses the token request
+ */
+async function sendScores(linkId, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !linkId || !userId) return null;
+
+  const link = await prisma.lti_links.findFirst({ where: { id: linkId, userId } });
+  if (!link) return null;
+  const platform = findPlatform(link.issuer, link.clientId);
+  if (!platform) throw new Error('The LMS this assignment came from is no longer registered');
+  if (!link.agsScopes.includes(AGS_SCOPES.score)) {
+    throw new Error('The LMS did not allow grade passback for this assignment');
+  }
+
+  const gradebook = await getProfileGradebook(link.classProfileId, userId, { assignmentId: link.assignmentId });
+  if (!gradebook) throw new Error('Could not load the assignment\'s grades');
+
+  const studentIds = gradebook.rows.map(row => row.studentId).filter(Boolean);
+  const accounts = await prisma.lti_students.findMany({
+    where: { issuer: link.issuer, studentId: { in: studentIds } },
+  });
+  const subjects = new Map(accounts.map(a => [a.studentId, a.subject]));
+
+  const sent = [];
+  const skipped = [];
+  const ready = [];
+  for (const row of gradebook.rows) {
+    if (!subjects.has(row.studentId)) skipped.push({ studentName: row.studentName, reason: 'not_in_lms' });
+    else if (row.total == null || !row.outOf) skipped.push({ studentName: row.studentName, reason: 'no_score' });
+    else ready.push(row);
+  }
+  if (ready.length === 0) return { sent, skipped };
+
+  const scopes = [AGS_SCOPES.score, ...(link.lineItemUrl ? [] : [AGS_SCOPES.lineItem])];
+  const token = await getAccessToken(platform, scopes);
+  const lineItemUrl = await ensureLineItem(prisma, link, token, ready[0].outOf);
+
+  for (const row of ready) {
+    const response = await fetch(scoresUrl(lineItemUrl), {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/vnd.ims.lis.v1.score+json' },
+      body: JSON.stringify(scorePayload({
+        subject: subjects.get(row.studentId),
+        points: row.total,
+        outOf: row.outOf,
+        comment: row.teacherNotes,
+      })),
+    });
+    if (!response.ok) {
+      console.error(`[LTI] Score for ${row.studentId} refused (${response.status})`);
+      skipped.push({ studentName: row.studentName, reason: 'refused', status: response.status });
+      continue;
+    }
+
+    const submission = await prisma.lti_submissions.findFirst({
+      where: { linkId, studentId: row.studentId },
+      orderBy: { submittedAt: 'desc' },
+      select: { id: true },
+    });
+    if (submission) {
+      await prisma.lti_submissions.update({
+        where: { id: submission.id },
+        data: { scoreSent: row.total, scoreSentAt: new Date() },
+      });
+    }
+    sent.push({ studentName: row.studentName, score: row.total, outOf: row.outOf });
+  }
+  console.log(`[LTI] Sent ${sent.length} scores for link ${linkId}, skipped ${skipped.length}`);
+  return { sent, skipped };
+}
+
+export {
+  verifyLaunch,
+  resolveInstructorLaunch,
+  resolveLearnerLaunch,
+  getLearnerAssignment,
+  submitEssay,
+  getLinkForTeacher,
+  sendScores,
+};
@@ -0,0 +1,106 @@
+// Mailer
+// Sends transactional email (sign-in links) through a pluggable transport,
+// picked by MAIL_TRANSPORT:
+//
+//   console  log the message (default outside production) — the link is
+//            right there in the server log
+//   file     write each message as JSON to MAIL_OUTBOX_DIR (default
+//            ./tmp/outbox), for local dev and end-to-end tests
+//   resend   send through the Resend HTTP API (RESEND_API_KEY)
+//
+// Another provider is one registerTransport() call: a transport is just
+// `async send({ to, from, subject, text, html })`.
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_FROM = 'LMGM <no-reply@localhost>';
+
+const transports = {
+  console: () => ({
+    async send(message) {
+      console.log(`[MAILER] To: ${message.to}\n[MAILER] Subject: ${message.subject}\n${message.text}`);
+      return { id: null };
+    },
+  }),
+
+  file: () => ({
+    async send(message) {
+      const dir = process.env.MAIL_OUTBOX_DIR || join(process.cwd(), 'tmp', 'outbox');
+      mkdirSync(dir, { recursive: true });
+      const id = `${Date.now()}-${randomUUID()}`;
+      const file = join(dir, `${id}.json`);
+      writeFileSync(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      console.log(`[MAILER] Wrote ${file}`);
+      return { id };
+    },
+  }),
+
+  resend: () => {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) throw new Error('MAIL_TRANSPORT=resend requires RESEND_API_KEY');
+    return {
+      async send(message) {
+        const response = await fetch('https://api.resend.com/emails', {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+          body: JSON.stringify(message),
+        });
+        if (!response.ok) {
+          throw new Error(`Resend responded ${response.status}: ${await response.text()}`);
+        }
+        const { id } = await response.json();
+        return { id };
+      },
+    };
+  },
+};
+
+let active = null;
+
+/**
+ * Add (or replace) a transport by name, for MAIL_TRANSPORT to select.
+ * @param {string} name
+ * @param {() => {send: Function}} factory
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  active = null;
+}
+
+/**
+ * The configured transport. Production without MAIL_TRANSPORT is an error:
+ * sign-in links would only ever reach the server log.
+ */
+function getTransport() {
+  if (active) return active;
+  const name = (process.env.MAIL_TRANSPORT || '').toLowerCase()
+    || (process.env.NODE_ENV === 'production' ? '' : 'console');
+  if (!name) throw new Error('MAIL_TRANSPORT must be set in production');
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  active = factory();
+  return active;
+}
+
+/**
+ * Send one email.
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<{id: string|null}>}
+ */
+async function sendMail(message) {
+  const from = process.env.MAIL_FROM || DEFAULT_FROM;
+  return getTransport().send({ from, ...message });
+}
+
+/** Forget the resolved transport so the next send re-reads the env (tests). */
+function resetMailer() {
+  active = null;
+}
+
+export {
+  registerTransport,
+  sendMail,
+  resetMailer,
+};
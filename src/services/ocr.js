@@ -0,0 +1,118 @@
+// OCR
+// Text recognition for handwritten and scanned essays, run on this server
+// with tesseract.js (Tesseract compiled to WebAssembly): images never leave
+// it. One worker is started on first use and kept; jobs run one at a time.
+//
+// English uses the model installed with @tesseract.js-data/eng. For other
+// languages (OCR_LANGUAGES, e.g. "eng+spa") point OCR_LANG_PATH at a folder
+// of .traineddata files; without it they are downloaded once from the
+// tesseract.js CDN and cached in OCR_CACHE_PATH (default: the temp folder).
+//
+// Besides the text, every word comes back with Tesseract's confidence
+// (0–100) and its offset in the text, so the teacher can check the words
+// it was least sure of before grading.
+
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import Tesseract from 'tesseract.js';
+
+// A line ending before this share of its paragraph's width ends a line of
+// its own (a heading, the last line of a paragraph) rather than wrapping.
+const SHORT_LINE_RATIO = 0.7;
+
+let workerPromise = null;
+let queue = Promise.resolve();
+
+function languagePath(languages) {
+  if (process.env.OCR_LANG_PATH) return process.env.OCR_LANG_PATH;
+  if (languages.join('+') !== 'eng') return undefined;
+  const pkg = createRequire(import.meta.url).resolve('@tesseract.js-data/eng/package.json');
+  return path.join(path.dirname(pkg), '4.0.0_best_int');
+}
+
+function getWorker() {
+  if (!workerPromise) {
+    const languages = (process.env.OCR_LANGUAGES || 'eng').split('+');
+    workerPromise = Tesseract.createWorker(languages, Tesseract.OEM.LSTM_ONLY, {
+      langPath: languagePath(languages),
+      cachePath: process.env.OCR_CACHE_PATH || os.tmpdir(),
+      // Without a handler, a failed job throws inside the worker's message
+      // listener and takes the server down; the job's promise still rejects.
+      errorHandler: (error) => console.error('[OCR] Worker error:', error),
+    }).catch((error) => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Text and words of one recognised page. Wrapped lines are joined with
+ * spaces, short lines keep their line break, paragraphs get a blank line.
+ * @returns {{text: string, words: Array<{text: string, confidence: number, start: number}>}}
+ */
+function pageText(page) {
+  let text = '';
+  const words = [];
+
+  for (const block of page.blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      if (text) text += '\n\n';
+      const { x0, x1 } = paragraph.bbox;
+      paragraph.lines.forEach((line, i) => {
+        if (i > 0) {
+          const previous = paragraph.lines[i - 1].bbox;
+          text += previous.x1 < x0 + SHORT_LINE_RATIO * (x1 - x0) ? '\n' : ' ';
+        }
+        line.words.filter(word => word.text.trim()).forEach((word, j) => {
+          if (j > 0) text += ' ';
+          words.push({ text: word.text, confidence: Math.round(word.confidence), start: text.length });
+          text += word.text;
+        });
+      });
+    }
+  }
+  return { text, words };
+}
+
+/**
+ * Recognise the text in page images (JPEG, PNG, WebP or BMP), in order.
+ * @param {Buffer[]} images - one per page
+ * @returns {Promise<{text: string, confidence: number,
+ *   words: Array<{text: string, confidence: number, start: number}>}|null>}
+ *   confidence is the mean word confidence (0–100); null when OCR failed
+ */
+function recognizeImages(images) {
+  const run = queue.then(async () => {
+    try {
+      const worker = await getWorker();
+      let text = '';
+      const words = [];
+      for (const image of images) {
+        const { data } = await worker.recognize(image, {}, { text: false, blocks: true });
+        const page = pageText(data);
+        if (!page.text) continue;
+        if (text) text += '\n\n';
+        words.push(...page.words.map(word => ({ ...word, start: word.start + text.length })));
+        text += page.text;
+      }
+      const confidence = words.length
+        ? Math.round(words.reduce((sum, word) => sum + word.confidence, 0) / words.length)
+        : 0;
+      console.log(`[OCR] Recognised ${words.length} words on ${images.length} page(s), confidence ${confidence}`);
+      return { text, confidence, words };
+    } catch (error) {
+      console.error('[OCR] Recognition failed:', error.message || error);
+      return null;
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+export {
+  pageText,
+  recognizeImages,
+};
@@ -0,0 +1,150 @@
+// OIDC Service
+// "Sign in with Google" (or any OpenID Connect provider) via the
+// authorization-code flow with PKCE.
+//
+// Configured by OIDC_CLIENT_ID / OIDC_CLIENT_SECRET, with OIDC_ISSUER
+// defaulting to Google. The provider's endpoints come from its discovery
+// document. The ID token is fetched directly from the token endpoint over
+// TLS, which OIDC Core §3.1.3.7 accepts in place of checking its signature;
+// its claims (issuer, audience, expiry, nonce) are still validated here.
+
+import { randomBytes, createHash } from 'crypto';
+
+const DEFAULT_ISSUER = 'https://accounts.google.com';
+// Clock skew allowed on exp/iat.
+const CLOCK_TOLERANCE_S = 60;
+
+let discoveryCache = null; // { issuer, config }
+
+function oidcSettings() {
+  return {
+    issuer: (process.env.OIDC_ISSUER || DEFAULT_ISSUER).replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    label: process.env.OIDC_LABEL || 'Google',
+  };
+}
+
+/** True when OIDC sign-in is configured. */
+function oidcConfigured() {
+  const { clientId, clientSecret } = oidcSettings();
+  return !!(clientId && clientSecret);
+}
+
+/** The provider's discovery document (cached per issuer). */
+async function getProviderConfig() {
+  const { issuer } = oidcSettings();
+  if (discoveryCache?.issuer === issuer) return discoveryCache.config;
+
+  const response = await fetch(`${issuer}/.well-known/openid-configuration`);
+  if (!response.ok) throw new Error(`OIDC discovery failed (${response.status})`);
+  const config = await response.json();
+  discoveryCache = { issuer, config };
+  return config;
+}
+
+function randomString() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Start a sign-in: the provider URL to redirect to, plus the state to keep in
+ * the session until the callback.
+ *
+ * @param {string} redirectUri - this app's /auth/oidc/callback URL
+ * @returns {Promise<{url: string, pending: {state: string, nonce: string, verifier: string, redirectUri: string}}>}
+ */
+async function beginAuthorization(redirectUri) {
+  const { clientId } = oidcSettings();
+  const config = await getProviderConfig();
+  const pending = { state: randomString(), nonce: randomString(), verifier: randomString(), redirectUri };
+  const challenge = createHash('sha256').update(pending.verifier).digest('base64url');
+
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: 'openid email',
+    state: pending.state,
+    nonce: pending.nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+    prompt: 'select_account',
+  }).toString();
+  return { url: url.toString(), pending };
+}
+
+/** The claims of a JWT, without verifying it. */
+function decodeJwtPayload(jwt) {
+  const parts = String(jwt || '').split('.');
+  if (parts.length !== 3) throw new Error('Malformed ID token');
+  return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+}
+
+/**
+ * Check ID token claims. Throws with the reason when they don't hold.
+ *
+ * @param {Object} claims
+ * @param {{issuer: string, clientId: string, nonce: string, now?: number}} expected - now in seconds
+ */
+function validateIdTokenClaims(claims, { issuer, clientId, nonce, now = Math.floor(Date.now() / 1000) }) {
+  // Google issues both forms of its issuer.
+  const issuers = issuer === DEFAULT_ISSUER ? [issuer, 'accounts.google.com'] : [issuer];
+  if (!issuers.includes(claims.iss)) throw new Error('ID token issuer mismatch');
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(clientId)) throw new Error('ID token audience mismatch');
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_S < now) throw new Error('ID token expired');
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_TOLERANCE_S > now) throw new Error('ID token issued in the future');
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+  if (!claims.sub) throw new Error('ID token has no subject');
+}
+
+/**
+ * Finish a sign-in: check the state, exchange the code and validate the ID token.
+ *
+ * @param {{code?: string, state?: string, error?: string}} query - callback query string
+ * @param {Object} pending - what beginAuthorization returned, from the session
+ * @returns {Promise<{issuer: string, subject: string, email: string|null, emailVerified: boolean}>}
+ */
+async function completeAuthorization(query, pending) {
+  if (query.error) throw new Error(`Provider returned ${query.error}`);
+  if (!pending || !query.state || query.state !== pending.state) throw new Error('Sign-in state mismatch');
+  if (!query.code) throw new Error('No authorization code');
+
+  const { issuer, clientId, clientSecret } = oidcSettings();
+  const config = await getProviderConfig();
+  const response = await fetch(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: query.code,
+      redirect_uri: pending.redirectUri,
+      client_id: clientId,
+      client_secret: clientSecret,
+      code_verifier: pending.verifier,
+    }),
+  });
+  if (!response.ok) throw new Error(`Token exchange failed (${response.status})`);
+  const { id_token: idToken } = await response.json();
+
+  const claims = decodeJwtPayload(idToken);
+  const expectedIssuer = config.issuer || issuer;
+  validateIdTokenClaims(claims, { issuer: expectedIssuer, clientId, nonce: pending.nonce });
+  return {
+    issuer: expectedIssuer,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+  };
+}
+
+export {
+  oidcSettings,
+  oidcConfigured,
+  beginAuthorization,
+  completeAuthorization,
+  decodeJwtPayload,
+  validateIdTokenClaims,
+};
@@ -0,0 +1,70 @@
+// PDF Export
+// What a PDF export request may contain and what its files are called. Pure
+// functions: pdfRenderer renders the PDFs and the PDF controller serves them.
+
+// Essays in one export. A batch holds at most 50 (gradingJobs.js).
+const MAX_PDF_ESSAYS = 100;
+// One PDF with every essay, or a ZIP with a PDF per student.
+const LAYOUTS = ['merged', 'zip'];
+
+/**
+ * Essays posted for rendering, checked.
+ * @param {Array<Object>} essays - [{ studentName, html }]
+ * @returns {{essays: Array<{studentName: string, html: string}>}|{error: string}}
+ */
+function pdfEssays(essays) {
+  if (!Array.isArray(essays) || essays.length === 0) {
+    return { error: 'essays must be a non-empty array' };
+  }
+  if (essays.length > MAX_PDF_ESSAYS) {
+    return { error: `At most ${MAX_PDF_ESSAYS} essays can be exported at once` };
+  }
+  if (essays.some(essay => typeof essay?.html !== 'string' || !essay.html.trim())) {
+    return { error: 'Each essay needs its rendered HTML' };
+  }
+  return {
+    essays: essays.map((essay, index) => ({
+      studentName: String(essay.studentName || `Essay ${index + 1}`).slice(0, 200),
+      html: essay.html,
+    })),
+  };
+}
+
+/** File-name-safe slug of a title or student name. */
+function slugify(text) {
+  return String(text || '').normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').toLowerCase();
+}
+
+/**
+ * Name of an export file.
+ * @param {string} title - batch title or student name
+ * @param {string} extension - 'pdf' or 'zip'
+ */
+function pdfFileName(title, extension) {
+  return `${slugify(title) || 'essays'}.${extension}`;
+}
+
+/**
+ * ZIP entry names for per-student PDFs, in essay order. Students with the
+ * same name get numbered files instead of overwriting each other.
+ * @param {Array<{studentName: string}>} essays
+ * @returns {Array<string>}
+ */
+function zipEntryNames(essays) {
+  const used = new Set();
+  return essays.map((essay, index) => {
+    const base = slugify(essay.studentName) || `essay-${index + 1}`;
+    let name = `${base}.pdf`;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}.pdf`;
+    used.add(name);
+    return name;
+  });
+}
+
+export {
+  LAYOUTS,
+  MAX_PDF_ESSAYS,
+  pdfEssays,
+  pdfFileName,
+  zipEntryNames,
+};
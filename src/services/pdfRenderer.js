@@ -0,0 +1,140 @@
+// PDF Renderer
+// Renders graded essays and practice sheets to PDF in headless Chromium, so
+// the file is the same whichever browser the teacher uses. An essay's print
+// content comes from the browser's own exporter (public/js/pdf-export.js),
+// run here on the essay's rendered HTML: what gets printed is decided in one
+// place.
+//
+// Which Chromium runs: PDF_CHROMIUM_PATH when set; on Linux (Vercel included)
+// the build bundled with @sparticuz/chromium; elsewhere the one
+// `npx playwright install chromium` downloads.
+
+import { fileURLToPath } from 'node:url';
+import { chromium } from 'playwright-core';
+
+const SCRIPTS = ['categories.js', 'pdf-export.js']
+  .map(name => fileURLToPath(new URL(`../../public/js/${name}`, import.meta.url)));
+const PAGE_TIMEOUT_MS = 60 * 1000;
+
+// One render at a time: each starts a browser.
+let queue = Promise.resolve();
+
+async function launchOptions() {
+  if (process.env.PDF_CHROMIUM_PATH) {
+    return { executablePath: process.env.PDF_CHROMIUM_PATH };
+  }
+  if (process.platform === 'linux') {
+    const { default: bundled } = await import('@sparticuz/chromium');
+    return { executablePath: await bundled.executablePath(), args: bundled.args };
+  }
+  return {};
+}
+
+/** A page that can't load anything over the network. */
+async function offlinePage(browser, options = {}) {
+  const context = await browser.newContext(options);
+  await context.route('**/*', route => route.abort());
+  const page = await context.newPage();
+  page.setDefaultTimeout(PAGE_TIMEOUT_MS);
+  return page;
+}
+
+/**
+ * Print documents for the essays, built by pdf-export.js.
+ * @returns {Promise<Array<string>>} one document for 'merged', one per essay for 'zip'
+ */
+async function printDocuments(browser, essays, { title, layout }) {
+  const page = await offlinePage(browser);
+  await page.setContent('<!DOCTYPE html><html><head><meta charset="utf-8"></head><body></body></html>');
+  for (const path of SCRIPTS) await page.addScriptTag({ path });
+
+  return page.evaluate(({ essays, title, layout }) => {
+    const sections = essays.map(({ studentName, html }) => {
+      // Parse in an inert document and drop whatever could run once the
+      // content is moved into the page: scripts, frames, event handlers.
+      const container = document.implementation.createHTMLDocument('').createElement('div');
+      container.innerHTML = html;
+      container.querySelectorAll('script, iframe, object, embed, link, meta, base').forEach(el => el.remove());
+      container.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes)
+          .filter(attr => /^on/i.test(attr.name))
+          .forEach(attr => el.removeAttribute(attr.name));
+      });
+      return window.PDFExportModule.createPrintContent(container, studentName);
+    });
+
+    const { printDocumentHTML } = window.PDFExportModule;
+    return layout === 'zip'
+      ? sections.map((section, i) => printDocumentHTML([section], essays[i].studentName))
+      : [printDocumentHTML(sections, title)];
+  }, { essays, title, layout });
+}
+
+async function render(essays, { title, layout }) {
+  const browser = await chromium.launch({ headless: true, ...(await launchOptions()) });
+  try {
+    const documents = await printDocuments(browser, essays, { title, layout });
+
+    // Print with scripts off: the documents are static.
+    const page = await offlinePage(browser, { javaScriptEnabled: false });
+    const pdfs = [];
+    for (const html of documents) {
+      await page.setContent(html);
+      pdfs.push(await page.pdf({ printBackground: true, preferCSSPageSize: true, format: 'Letter' }));
+    }
+    return pdfs;
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Render essays to PDF.
+ * @param {Array<{studentName: string, html: string}>} essays - each essay's
+ *   rendered results HTML (saved_essays.renderedHTML, or a batch essay's
+ *   results as shown on the grading page)
+ * @param {Object} options
+ * @param {string} options.title - document title of a merged PDF
+ * @param {string} [options.layout] - 'merged' or 'zip'
+ * @returns {Promise<Array<Buffer>|null>} one PDF for 'merged', one per essay
+ *   for 'zip'; null when rendering failed
+ */
+function renderEssayPdfs(essays, { title, layout = 'merged' }) {
+  const run = queue.then(() => render(essays, { title, layout }));
+  queue = run.catch(() => {});
+  return run.catch((error) => {
+    console.error('[PDF] Render error:', error.message);
+    return null;
+  });
+}
+
+async function renderDocument(html) {
+  const browser = await chromium.launch({ headless: true, ...(await launchOptions()) });
+  try {
+    const page = await offlinePage(browser, { javaScriptEnabled: false });
+    await page.setContent(html);
+    return await page.pdf({ printBackground: true, preferCSSPageSize: true, format: 'Letter' });
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Render a standalone HTML document (practice sheets, practiceExport.js) to
+ * PDF, as it is: scripts don't run and nothing is loaded over the network.
+ * @param {string} html
+ * @returns {Promise<Buffer|null>} null when rendering failed
+ */
+function renderHtmlPdf(html) {
+  const run = queue.then(() => renderDocument(html));
+  queue = run.catch(() => {});
+  return run.catch((error) => {
+    console.error('[PDF] Render error:', error.message);
+    return null;
+  });
+}
+
+export {
+  renderEssayPdfs,
+  renderHtmlPdf,
+};
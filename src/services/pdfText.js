@@ -0,0 +1,604 @@
+// PDF Text
+// Pulls the text layer out of a PDF for essay imports: walks the page tree,
+// inflates each page's content streams and replays the text operators,
+// decoding strings through the fonts' ToUnicode maps. Lines are rebuilt
+// from the text positions and joined into paragraphs on wider gaps or
+// indented first lines, since PDFs store wrapped lines, not paragraphs.
+//
+// Enough for essays exported from word processors and browsers. No
+// encryption and no text inside form XObjects. Scanned pages have no text
+// layer at all; pdfPageImages hands their images to OCR instead.
+
+import { deflateSync, inflateRawSync, inflateSync } from 'node:zlib';
+import { crc32 } from './zipWriter.js';
+
+// Stops a runaway file from pinning the CPU.
+const MAX_PAGES = 200;
+// TJ adjustments (thousandths of an em) wider than this read as a space.
+const TJ_SPACE_THRESHOLD = 200;
+// A line gap this much wider than the page's usual one starts a paragraph.
+const PARAGRAPH_GAP_RATIO = 1.4;
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(c => c.charCodeAt(0)));
+
+class PdfName {
+  constructor(name) { this.name = name; }
+}
+
+class PdfRef {
+  constructor(num) { this.num = num; }
+}
+
+class PdfOperator {
+  constructor(op) { this.op = op; }
+}
+
+/**
+ * Tokenizer over PDF syntax (object bodies and content streams alike).
+ * Strings come back as latin1 strings holding the raw bytes.
+ */
+class Lexer {
+  constructor(bytes, pos = 0) {
+    this.bytes = bytes;
+    this.pos = pos;
+  }
+
+  skipSpace() {
+    const { bytes } = this;
+    while (this.pos < bytes.length) {
+      const c = bytes[this.pos];
+      if (WHITESPACE.has(c)) this.pos++;
+      else if (c === 0x25) { // % comment
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+      } else break;
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.bytes.length && !WHITESPACE.has(this.bytes[this.pos]) && !DELIMITERS.has(this.bytes[this.pos])) {
+      this.pos++;
+    }
+    return this.bytes.toString('latin1', start, this.pos);
+  }
+
+  readLiteralString() {
+    const { bytes } = this;
+    const out = [];
+    let depth = 1;
+    this.pos++;
+    while (this.pos < bytes.length) {
+      let c = bytes[this.pos++];
+      if (c === 0x28) depth++;
+      else if (c === 0x29 && --depth === 0) break;
+      else if (c === 0x5c) { // backslash
+        c = bytes[this.pos++];
+        const simple = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c }[c];
+        if (simple !== undefined) c = simple;
+        else if (c >= 0x30 && c <= 0x37) {
+          let code = c - 0x30;
+          for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+            code = code * 8 + bytes[this.pos++] - 0x30;
+          }
+          c = code & 0xff;
+        } else if (c === 0x0d || c === 0x0a) { // line continuation
+          if (c === 0x0d && bytes[this.pos] === 0x0a) this.pos++;
+          continue;
+        }
+      }
+      out.push(c);
+    }
+    return Buffer.from(out).toString('latin1');
+  }
+
+  readHexString() {
+    const start = ++this.pos;
+    while (this.pos < this.bytes.length && this.bytes[this.pos] !== 0x3e) this.pos++;
+    let hex = this.bytes.toString('latin1', start, this.pos++).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2) hex += '0';
+    return Buffer.from(hex, 'hex').toString('latin1');
+  }
+
+  /** The next value or operator, or undefined at the end. */
+  next() {
+    this.skipSpace();
+    const { bytes } = this;
+    if (this.pos >= bytes.length) return undefined;
+    const c = bytes[this.pos];
+
+    if (c === 0x28) return this.readLiteralString();
+    if (c === 0x3c) {
+      if (bytes[this.pos + 1] === 0x3c) {
+        this.pos += 2;
+        return this.readDict();
+      }
+      return this.readHexString();
+    }
+    if (c === 0x5b) {
+      this.pos++;
+      const items = [];
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= bytes.length) return items;
+        if (bytes[this.pos] === 0x5d) { this.pos++; return items; }
+        items.push(this.nextValue());
+      }
+    }
+    if (c === 0x2f) {
+      this.pos++;
+      return new PdfName(this.readRegular().replace(/#([0-9a-fA-F]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16))));
+    }
+    if (c === 0x3e || c === 0x5d || c === 0x29 || c === 0x7b || c === 0x7d) {
+      this.pos++;
+      return new PdfOperator(String.fromCharCode(c));
+    }
+
+    const word = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return new PdfOperator(word);
+  }
+
+  /** The next value, folding "n g R" into a reference. */
+  nextValue() {
+    const value = this.next();
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      const saved = this.pos;
+      const generation = this.next();
+      if (typeof generation === 'number') {
+        const r = this.next();
+        if (r instanceof PdfOperator && r.op === 'R') return new PdfRef(value);
+      }
+      this.pos = saved;
+    }
+    return value;
+  }
+
+  readDict() {
+    const dict = {};
+    for (;;) {
+      this.skipSpace();
+      if (this.pos >= this.bytes.length) return dict;
+      if (this.bytes[this.pos] === 0x3e && this.bytes[this.pos + 1] === 0x3e) {
+        this.pos += 2;
+        return dict;
+      }
+      const key = this.next();
+      if (!(key instanceof PdfName)) continue;
+      dict[key.name] = this.nextValue();
+    }
+  }
+}
+
+/**
+ * Every indirect object in the file by number: { value, stream } where
+ * stream is the raw (still encoded) stream bytes, if any. Objects packed
+ * into object streams are unpacked too. Later definitions win, as they do
+ * in incremental updates.
+ */
+function readObjects(bytes) {
+  const objects = new Map();
+  const text = bytes.toString('latin1');
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = header.exec(text))) {
+    const lexer = new Lexer(bytes, match.index + match[0].length);
+    let value;
+    try {
+      value = lexer.nextValue();
+    } catch {
+      continue;
+    }
+    let stream = null;
+    lexer.skipSpace();
+    if (text.startsWith('stream', lexer.pos)) {
+      let start = lexer.pos + 6;
+      if (bytes[start] === 0x0d) start++;
+      if (bytes[start] === 0x0a) start++;
+      // Trust /Length when endstream follows it; it may be an indirect
+      // reference, or wrong, so fall back to searching for endstream.
+      const length = value?.Length;
+      if (typeof length === 'number' && text.startsWith('endstream', skipEol(text, start + length))) {
+        stream = bytes.subarray(start, start + length);
+        header.lastIndex = start + length;
+      } else {
+        let end = text.indexOf('endstream', start);
+        if (end < 0) end = bytes.length;
+        stream = bytes.subarray(start, trimEol(text, start, end));
+        header.lastIndex = end;
+      }
+    } else {
+      header.lastIndex = lexer.pos;
+    }
+    objects.set(Number(match[1]), { value, stream });
+  }
+
+  for (const object of [...objects.values()]) {
+    if (object.value?.Type?.name !== 'ObjStm' || !object.stream) continue;
+    const data = decodeStream(object, objects);
+    if (!data) continue;
+    const lexer = new Lexer(data);
+    const offsets = [];
+    for (let i = 0; i < (object.value.N || 0); i++) offsets.push([lexer.next(), lexer.next()]);
+    for (const [num, offset] of offsets) {
+      if (objects.has(num)) continue;
+      const inner = new Lexer(data, (object.value.First || 0) + offset);
+      try {
+        objects.set(num, { value: inner.nextValue(), stream: null });
+      } catch { /* skip unreadable entries */ }
+    }
+  }
+  return objects;
+}
+
+function skipEol(text, pos) {
+  while (text[pos] === '\r' || text[pos] === '\n' || text[pos] === ' ') pos++;
+  return pos;
+}
+
+function trimEol(text, start, end) {
+  if (text[end - 1] === '\n') end--;
+  if (text[end - 1] === '\r') end--;
+  return Math.max(start, end);
+}
+
+function resolve(value, objects) {
+  let hops = 0;
+  while (value instanceof PdfRef && hops++ < 32) value = objects.get(value.num)?.value;
+  return value;
+}
+
+/**
+ * Apply a stream's Flate filters. Returns the bytes and the names of the
+ * filters left over (e.g. ['DCTDecode'] for a JPEG), or null when inflating fails.
+ */
+function inflateFilters(object, objects) {
+  let filters = resolve(object.value?.Filter, objects);
+  filters = (Array.isArray(filters) ? filters : filters ? [filters] : []).map(f => resolve(f, objects)?.name);
+  let data = object.stream;
+  while (filters[0] === 'FlateDecode' || filters[0] === 'Fl') {
+    filters.shift();
+    try {
+      data = inflateSync(data);
+    } catch {
+      try {
+        data = inflateRawSync(data.subarray(2));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return { data, rest: filters };
+}
+
+/** A stream's bytes after its filters, or null for filters not handled. */
+function decodeStream(object, objects) {
+  const inflated = inflateFilters(object, objects);
+  return inflated && inflated.rest.length === 0 ? inflated.data : null;
+}
+
+/**
+ * A ToUnicode CMap as a code → text map, plus the code width in bytes.
+ * @returns {{map: Map<number, string>, bytes: number}}
+ */
+function parseCMap(data) {
+  const text = data.toString('latin1');
+  const map = new Map();
+  const utf16 = hex => Buffer.from(hex.length % 4 ? hex.padStart(hex.length + 2, '0') : hex, 'hex').swap16().toString('utf16le');
+
+  const codespace = /begincodespacerange([\s\S]*?)endcodespacerange/.exec(text);
+  const firstRange = codespace && /<([0-9a-fA-F]+)>/.exec(codespace[1]);
+  const bytes = firstRange ? firstRange[1].length / 2 : 1;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(src, 16), utf16(dst));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst, list] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+      const start = parseInt(lo, 16);
+      const end = Math.min(parseInt(hi, 16), start + 0xffff);
+      if (dst !== undefined) {
+        const base = Buffer.from(dst.length % 4 ? dst.padStart(dst.length + 2, '0') : dst, 'hex');
+        for (let code = start; code <= end; code++) {
+          const out = Buffer.from(base);
+          out.writeUInt16BE((out.readUInt16BE(out.length - 2) + code - start) & 0xffff, out.length - 2);
+          map.set(code, Buffer.from(out).swap16().toString('utf16le'));
+        }
+      } else {
+        [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, item], i) => map.set(start + i, utf16(item)));
+      }
+    }
+  }
+  return { map, bytes };
+}
+
+const winAnsi = new TextDecoder('windows-1252');
+
+/** Turns a font's string operands into text. */
+function fontDecoder(font, objects) {
+  const toUnicode = font?.ToUnicode instanceof PdfRef ? objects.get(font.ToUnicode.num) : null;
+  const composite = resolve(font?.Subtype, objects)?.name === 'Type0';
+  const cmapData = toUnicode?.stream ? decodeStream(toUnicode, objects) : null;
+  const cmap = cmapData ? parseCMap(cmapData) : null;
+
+  return (raw) => {
+    const bytes = Buffer.from(raw, 'latin1');
+    if (!cmap) {
+      // Composite fonts without a map use glyph ids, which can't be read.
+      return composite ? '' : winAnsi.decode(bytes);
+    }
+    const width = composite ? Math.max(cmap.bytes, 2) : cmap.bytes;
+    let out = '';
+    for (let i = 0; i + width <= bytes.length; i += width) {
+      const code = width === 2 ? bytes.readUInt16BE(i) : bytes[i];
+      out += cmap.map.get(code) ?? (composite ? '' : winAnsi.decode(bytes.subarray(i, i + 1)));
+    }
+    return out;
+  };
+}
+
+/** The page dictionaries in reading order. */
+function pageList(objects) {
+  const catalog = [...objects.values()].find(o => o.value?.Type?.name === 'Catalog')?.value;
+  const pages = [];
+  const seen = new Set();
+  const walk = (node, inherited) => {
+    if (pages.length >= MAX_PAGES || !node || seen.has(node)) return;
+    seen.add(node);
+    const resources = node.Resources ?? inherited;
+    if (node.Type?.name === 'Page' || (!node.Kids && node.Contents)) {
+      pages.push({ page: node, resources });
+      return;
+    }
+    for (const kid of resolve(node.Kids, objects) || []) walk(resolve(kid, objects), resources);
+  };
+  walk(resolve(catalog?.Pages, objects), undefined);
+
+  if (pages.length === 0) {
+    for (const [, object] of [...objects.entries()].sort((a, b) => a[0] - b[0])) {
+      if (object.value?.Type?.name === 'Page' && pages.length < MAX_PAGES) {
+        pages.push({ page: object.value, resources: object.value.Resources });
+      }
+    }
+  }
+  return pages;
+}
+
+/**
+ * Replay one page's content stream into positioned runs of text.
+ * @returns {Array<{x: number, y: number, text: string}>} one entry per line
+ */
+function pageLines(content, fonts) {
+  const lexer = new Lexer(content);
+  const lines = [];
+  let operands = [];
+  let decode = () => '';
+  let line = null;
+  let tlm = [1, 0, 0, 1, 0, 0];
+  let leading = 0;
+
+  const moveTo = (tm) => {
+    tlm = tm;
+    const [, , , , x, y] = tm;
+    if (!line || Math.abs(line.y - y) > 1) {
+      line = { x, y, text: '' };
+      lines.push(line);
+    }
+  };
+  const translate = (tx, ty) => moveTo([tlm[0], tlm[1], tlm[2], tlm[3],
+    tx * tlm[0] + ty * tlm[2] + tlm[4], tx * tlm[1] + ty * tlm[3] + tlm[5]]);
+  const show = (text) => {
+    if (!line) moveTo(tlm);
+    line.text += text;
+  };
+
+  for (let token = lexer.next(); token !== undefined; token = lexer.next()) {
+    if (!(token instanceof PdfOperator)) {
+      operands.push(token);
+      continue;
+    }
+    const args = operands;
+    operands = [];
+    switch (token.op) {
+      case 'BT': tlm = [1, 0, 0, 1, 0, 0]; break;
+      case 'Tf': decode = fonts(args[0]?.name); break;
+      case 'TL': leading = args[0] || 0; break;
+      case 'Tm': if (args.length === 6) moveTo(args); break;
+      case 'Td': translate(args[0] || 0, args[1] || 0); break;
+      case 'TD': leading = -(args[1] || 0); translate(args[0] || 0, args[1] || 0); break;
+      case 'T*': translate(0, -leading); break;
+      case 'Tj': if (typeof args[0] === 'string') show(decode(args[0])); break;
+      case "'": translate(0, -leading); if (typeof args[0] === 'string') show(decode(args[0])); break;
+      case '"': translate(0, -leading); if (typeof args[2] === 'string') show(decode(args[2])); break;
+      case 'TJ':
+        for (const item of Array.isArray(args[0]) ? args[0] : []) {
+          if (typeof item === 'string') show(decode(item));
+          else if (typeof item === 'number' && item < -TJ_SPACE_THRESHOLD && line && !/\s$/.test(line.text)) show(' ');
+        }
+        break;
+      case 'BI': // inline image: skip its data
+        while (lexer.pos < content.length && !(content[lexer.pos - 1] <= 0x20 && content.toString('latin1', lexer.pos, lexer.pos + 2) === 'EI')) {
+          lexer.pos++;
+        }
+        lexer.pos += 2;
+        break;
+      default: break;
+    }
+  }
+  return lines.filter(l => l.text.trim());
+}
+
+// Running heads and page numbers: "3", "Page 3", "Page 3 of 5", "- 3 -".
+const PAGE_NUMBER = /^[-\s]*(page\s+)?\d+(\s+of\s+\d+)?[-\s]*$/i;
+
+/** Join one page's lines into paragraphs (blank line between them). */
+function paragraphs(lines) {
+  const kept = lines.filter(l => !PAGE_NUMBER.test(l.text));
+  if (kept.length === 0) return '';
+  const gaps = kept.slice(1).map((l, i) => Math.abs(kept[i].y - l.y)).filter(g => g > 0).sort((a, b) => a - b);
+  const usualGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+  const leftMargin = Math.min(...kept.map(l => l.x));
+
+  let text = kept[0].text.trim();
+  for (let i = 1; i < kept.length; i++) {
+    const gap = Math.abs(kept[i - 1].y - kept[i].y);
+    const indented = kept[i].x - leftMargin > 10 && kept[i - 1].x - leftMargin <= 10;
+    const newParagraph = (usualGap && gap > usualGap * PARAGRAPH_GAP_RATIO) || indented;
+    const next = kept[i].text.trim();
+    if (newParagraph) text += `\n\n${next}`;
+    else text += /-$/.test(text) ? next : ` ${next}`;
+  }
+  return text;
+}
+
+function isEncrypted(buffer, objects) {
+  const text = buffer.toString('latin1');
+  return /\/Encrypt\s/.test(text.slice(text.lastIndexOf('trailer') >= 0 ? text.lastIndexOf('trailer') : 0)) ||
+    [...objects.values()].some(o => o.value?.Type?.name === 'XRef' && o.value.Encrypt);
+}
+
+/**
+ * The text of a PDF, paragraphs separated by blank lines.
+ * @param {Buffer} buffer
+ * @returns {{text: string, reason?: 'encrypted'|'no_text'}}
+ * @throws when the file isn't a PDF
+ */
+function pdfToText(buffer) {
+  if (buffer.toString('latin1', 0, 1024).indexOf('%PDF-') < 0) throw new Error('Not a PDF file');
+  const objects = readObjects(buffer);
+  if (isEncrypted(buffer, objects)) return { text: '', reason: 'encrypted' };
+
+  const pageTexts = [];
+  for (const { page, resources } of pageList(objects)) {
+    const fontDict = resolve(resolve(resources, objects)?.Font, objects) || {};
+    const decoders = new Map();
+    const fonts = (name) => {
+      if (!decoders.has(name)) decoders.set(name, fontDecoder(resolve(fontDict[name], objects), objects));
+      return decoders.get(name);
+    };
+
+    let contents = page.Contents;
+    contents = Array.isArray(resolve(contents, objects)) ? resolve(contents, objects) : [contents];
+    const streams = contents
+      .map(ref => ref instanceof PdfRef ? objects.get(ref.num) : null)
+      .filter(o => o?.stream)
+      .map(o => decodeStream(o, objects))
+      .filter(Boolean);
+    if (streams.length === 0) continue;
+
+    const pageText = paragraphs(pageLines(Buffer.concat(streams.flatMap(s => [s, Buffer.from('\n')])), fonts));
+    if (pageText) pageTexts.push(pageText);
+  }
+
+  // A paragraph running over a page break continues on the next page.
+  const joined = pageTexts.join(' ').replace(/[ \t]+/g, ' ').trim();
+  return joined ? { text: joined } : { text: '', reason: 'no_text' };
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Larger images are left out rather than inflated (a 600 dpi A4 page is ~35M).
+const MAX_IMAGE_PIXELS = 50_000_000;
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Wrap raw image samples as a PNG. Rows that went through a PNG predictor
+ * already start with their filter byte, which is exactly PNG's row format.
+ */
+function samplesToPng(samples, { width, height, channels, bits, predicted }) {
+  const rowBytes = Math.ceil(width * channels * bits / 8);
+  let rows = samples;
+  if (!predicted) {
+    rows = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) samples.copy(rows, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bits;
+  header[9] = channels === 3 ? 2 : 0;
+  return Buffer.concat([PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('IDAT', deflateSync(rows)), pngChunk('IEND', Buffer.alloc(0))]);
+}
+
+function colorChannels(colorSpace, objects) {
+  const space = resolve(colorSpace, objects);
+  const name = Array.isArray(space) ? resolve(space[0], objects)?.name : space?.name;
+  if (name === 'DeviceGray' || name === 'CalGray' || name === 'G') return 1;
+  if (name === 'DeviceRGB' || name === 'CalRGB' || name === 'RGB') return 3;
+  if (name === 'ICCBased') {
+    const n = resolve(objects.get(space[1]?.num)?.value?.N, objects);
+    return n === 1 || n === 3 ? n : null;
+  }
+  return null;
+}
+
+/** An image XObject as a JPEG or PNG file, or null when its encoding isn't one we can hand over. */
+function imageFile(object, objects) {
+  const dict = object.value;
+  const width = resolve(dict.Width, objects);
+  const height = resolve(dict.Height, objects);
+  if (!(width > 0 && height > 0) || width * height > MAX_IMAGE_PIXELS) return null;
+
+  const inflated = inflateFilters(object, objects);
+  if (!inflated) return null;
+  if (inflated.rest.length === 1 && (inflated.rest[0] === 'DCTDecode' || inflated.rest[0] === 'DCT')) return inflated.data;
+  if (inflated.rest.length > 0) return null;
+
+  const mask = resolve(dict.ImageMask, objects) === true;
+  const channels = mask ? 1 : colorChannels(dict.ColorSpace, objects);
+  const bits = mask ? 1 : resolve(dict.BitsPerComponent, objects);
+  if (!channels || !(channels === 1 ? [1, 2, 4, 8] : [8]).includes(bits)) return null;
+
+  const parms = resolve(dict.DecodeParms, objects);
+  const predicted = resolve((Array.isArray(parms) ? resolve(parms[0], objects) : parms)?.Predictor, objects) >= 10;
+  let samples = inflated.data;
+  const decode = resolve(dict.Decode, objects);
+  if (Array.isArray(decode) && decode[0] === 1 && !predicted) samples = Buffer.from(samples.map(b => 255 - b));
+  return samplesToPng(samples, { width, height, channels, bits, predicted });
+}
+
+/**
+ * The scanned image of each page, largest image on the page first, for OCR
+ * of PDFs without a text layer. JPEG images come out as they are, raw
+ * samples as PNGs; CCITT, JBIG2 and JPEG 2000 scans aren't decoded.
+ * @param {Buffer} buffer
+ * @param {{maxPages?: number}} [options]
+ * @returns {Buffer[]} one image file per page that has one
+ */
+function pdfPageImages(buffer, { maxPages = 20 } = {}) {
+  if (buffer.toString('latin1', 0, 1024).indexOf('%PDF-') < 0) throw new Error('Not a PDF file');
+  const objects = readObjects(buffer);
+  if (isEncrypted(buffer, objects)) return [];
+
+  const images = [];
+  for (const { resources } of pageList(objects).slice(0, maxPages)) {
+    const xobjects = resolve(resolve(resources, objects)?.XObject, objects) || {};
+    const candidates = Object.values(xobjects)
+      .filter(ref => ref instanceof PdfRef)
+      .map(ref => objects.get(ref.num))
+      .filter(o => o?.stream && o.value?.Subtype?.name === 'Image')
+      .sort((a, b) => resolve(b.value.Width, objects) * resolve(b.value.Height, objects) -
+        resolve(a.value.Width, objects) * resolve(a.value.Height, objects));
+    const image = candidates.length ? imageFile(candidates[0], objects) : null;
+    if (image) images.push(image);
+  }
+  return images;
+}
+
+export {
+  pdfToText,
+  pdfPageImages,
+  parseCMap,
+};
@@ -0,0 +1,382 @@
+// Practice Exercises
+// Turns the errors detected in saved essays into practice for the student or
+// the class: gap-fills and error-correction sentences built from the
+// students' own sentences, for their most frequent error categories, and
+// drills on the class vocabulary. Every exercise carries its answer and the
+// saved essay it came from. Pure functions over the stored essayData JSON,
+// computed in code (no LLM); loading and storing sets lives in
+// practiceService.js.
+
+import { extractResult } from './progressReport.js';
+
+const EXERCISE_TYPES = ['gap_fill', 'error_correction', 'vocabulary_gap', 'vocabulary_sentence'];
+
+// What each section of the sheet asks the student to do.
+const TYPE_INSTRUCTIONS = {
+  gap_fill: 'Fill in each blank with the correct word or words. The words in brackets are what was written before.',
+  error_correction: 'Each sentence has one mistake. Find it and write the sentence correctly.',
+  vocabulary_gap: 'Complete each sentence with a word or phrase from the box.',
+  vocabulary_sentence: 'Write your own sentence using each word or phrase.',
+};
+
+// Error exercises in a set, and vocabulary drills on top of them.
+const DEFAULT_EXERCISES = 12;
+const MAX_EXERCISES = 40;
+const DEFAULT_VOCABULARY_DRILLS = 5;
+const MAX_VOCABULARY_DRILLS = 20;
+
+// How many of the most frequent error categories a set practises.
+const FOCUS_CATEGORIES = 3;
+
+// Most recent essays a set is drawn from.
+const MAX_SOURCE_ESSAYS = 100;
+
+// Longer sentences (run-ons, missing full stops) make poor exercises.
+const MAX_SENTENCE = 300;
+
+// Corrections longer than this are rewrites, not a gap to fill.
+const MAX_GAP_WORDS = 4;
+
+const BLANK = '_____';
+
+// Professor's comments are remarks, not corrections.
+const NOT_PRACTISED = new Set(['professor-comments']);
+
+// Corrections in these categories reword or remove text: there is no single
+// word to put in a gap.
+const REWRITE_ONLY = new Set(['fluency', 'redundancy', 'delete']);
+
+function primaryCategory(issue) {
+  return String(issue.category || issue.type || '').split(',')[0].trim();
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function wordCount(text) {
+  return (String(text || '').match(/[\p{L}\p{N}']+/gu) || []).length;
+}
+
+/** Collapse the spacing a removed or shortened word leaves behind. */
+function tidy(text) {
+  return text.replace(/[ \t]{2,}/g, ' ').replace(/ ([,.;:!?])/g, '$1').trim();
+}
+
+/**
+ * The sentence around a span: from the last sentence end or line break
+ * before it to the next one after it.
+ * @returns {{start: number, end: number}}
+ */
+function sentenceBounds(text, start, end) {
+  const endsSentence = i => /[.!?]/.test(text[i - 1] || '') && /\s/.test(text[i] || '');
+  let from = start;
+  while (from > 0 && text[from - 1] !== '\n' && !endsSentence(from)) from--;
+  let to = Math.max(start, end);
+  while (to < text.length && text[to] !== '\n' && !endsSentence(to)) to++;
+  while (from < to && /\s/.test(text[from])) from++;
+  while (to > from && /\s/.test(text[to - 1])) to--;
+  return { start: from, end: to };
+}
+
+/**
+ * A stretch of the essay with the corrections of the errors inside it
+ * applied, except the one being practised (and any overlapping it), which
+ * stays as written.
+ */
+function correctedText(text, from, to, issues, keep = null) {
+  let out = '';
+  let cursor = from;
+  const inside = issues
+    .filter(issue => issue !== keep && issue.start >= from && issue.end <= to)
+    .filter(issue => !keep || issue.end <= keep.start || issue.start >= keep.end)
+    .sort((a, b) => a.start - b.start);
+  for (const issue of inside) {
+    if (issue.start < cursor) continue;
+    out += text.slice(cursor, issue.start) + issue.correction;
+    cursor = issue.end;
+  }
+  return out + text.slice(cursor, to);
+}
+
+/**
+ * Each saved essay's text and the errors placed on it, newest first. Essays
+ * without their text or a graded result are counted in `skipped`.
+ * @param {Array<{id, studentName, createdAt, essayData}>} savedEssays
+ */
+function practiceSources(savedEssays) {
+  const sources = [];
+  let skipped = 0;
+  const ordered = [...(savedEssays || [])].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  for (const saved of ordered.slice(0, MAX_SOURCE_ESSAYS)) {
+    let data = saved.essayData;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch {
+        data = null;
+      }
+    }
+    const result = extractResult(data);
+    const text = data?.originalData?.studentText;
+    if (!result || typeof text !== 'string' || !text.trim()) {
+      skipped++;
+      continue;
+    }
+
+    const issues = (Array.isArray(result.inline_issues) ? result.inline_issues : [])
+      .filter(issue => Number.isInteger(issue?.start) && Number.isInteger(issue?.end)
+        && issue.start >= 0 && issue.end > issue.start && issue.end <= text.length)
+      .map(issue => ({
+        category: primaryCategory(issue),
+        start: issue.start,
+        end: issue.end,
+        correction: String(issue.correction ?? '').trim(),
+        explanation: String(issue.explanation || '').trim(),
+      }))
+      .filter(issue => issue.category && !NOT_PRACTISED.has(issue.category));
+
+    sources.push({
+      essayId: saved.id,
+      studentName: saved.studentName || null,
+      text,
+      issues,
+      vocabularyUsed: result.meta?.class_vocabulary_used || [],
+    });
+  }
+  return { sources, skipped };
+}
+
+/**
+ * One possible exercise per placed error: the error, its correction and the
+ * rest of its sentence with the other errors corrected.
+ */
+function errorCandidates(source) {
+  const candidates = [];
+  for (const issue of source.issues) {
+    const original = source.text.slice(issue.start, issue.end);
+    if (!original.trim() || normalize(original) === normalize(issue.correction)) continue;
+    const sentence = sentenceBounds(source.text, issue.start, issue.end);
+    if (sentence.end - sentence.start > MAX_SENTENCE) continue;
+
+    candidates.push({
+      essayId: source.essayId,
+      studentName: source.studentName,
+      category: issue.category,
+      original,
+      correction: issue.correction,
+      explanation: issue.explanation,
+      before: correctedText(source.text, sentence.start, issue.start, source.issues, issue),
+      after: correctedText(source.text, issue.end, sentence.end, source.issues, issue),
+    });
+  }
+  return candidates;
+}
+
+function gapFits(candidate) {
+  return !REWRITE_ONLY.has(candidate.category)
+    && candidate.correction
+    && wordCount(candidate.correction) <= MAX_GAP_WORDS
+    && wordCount(candidate.original) <= MAX_GAP_WORDS;
+}
+
+function errorExercise(candidate, type) {
+  const gap = type === 'gap_fill';
+  return {
+    type,
+    category: candidate.category,
+    prompt: tidy(`${candidate.before}${gap ? BLANK : candidate.original}${candidate.after}`),
+    hint: gap ? candidate.original.trim() : null,
+    answer: gap ? candidate.correction : tidy(`${candidate.before}${candidate.correction}${candidate.after}`),
+    explanation: candidate.explanation || null,
+    essayId: candidate.essayId,
+    studentName: candidate.studentName,
+  };
+}
+
+/**
+ * Share `count` between categories in proportion to their error counts
+ * (highest averages: each exercise goes to the category with the most errors
+ * per exercise so far), capped at what each has to offer.
+ * @param {Array<{category, errors, available}>} focus
+ * @returns {Map<string, number>}
+ */
+function allocate(focus, count) {
+  const taken = new Map(focus.map(f => [f.category, 0]));
+  for (let n = 0; n < count; n++) {
+    let best = null;
+    for (const f of focus) {
+      if (taken.get(f.category) >= f.available) continue;
+      const quotient = f.errors / (taken.get(f.category) + 1);
+      if (!best || quotient > best.quotient) best = { category: f.category, quotient };
+    }
+    if (!best) break;
+    taken.set(best.category, taken.get(best.category) + 1);
+  }
+  return taken;
+}
+
+function vocabularyItems(vocabulary) {
+  return [...new Set((vocabulary || [])
+    .filter(item => typeof item === 'string' && item.trim() && !item.trim().startsWith('#'))
+    .map(item => item.trim()))];
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A sentence from the essays that uses a vocabulary item correctly (no error
+ * placed on it), with the item blanked out.
+ */
+function vocabularyExample(item, sources) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}'])${escapeRegExp(item).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}'])`, 'giu');
+  for (const source of sources) {
+    for (const match of source.text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (source.issues.some(issue => issue.start < end && issue.end > start)) continue;
+      const sentence = sentenceBounds(source.text, start, end);
+      if (sentence.end - sentence.start > MAX_SENTENCE) continue;
+      return {
+        essayId: source.essayId,
+        studentName: source.studentName,
+        prompt: tidy(correctedText(source.text, sentence.start, start, source.issues) + BLANK
+          + correctedText(source.text, end, sentence.end, source.issues)),
+        answer: match[0],
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Drills on the class vocabulary items the essays use least: a gap-fill
+ * from a sentence that uses the item when there is one, otherwise a
+ * sentence for the student to write.
+ */
+function vocabularyDrills(vocabulary, sources, count) {
+  const uses = new Map(vocabularyItems(vocabulary).map(item => [item, 0]));
+  for (const source of sources) {
+    for (const item of new Set(source.vocabularyUsed)) {
+      if (uses.has(item)) uses.set(item, uses.get(item) + 1);
+    }
+  }
+
+  const targets = [...uses].sort((a, b) => a[1] - b[1]).slice(0, count).map(([item]) => item);
+  return targets.map(item => {
+    const example = vocabularyExample(item, sources);
+    if (example) {
+      return { type: 'vocabulary_gap', category: null, item, prompt: example.prompt, hint: null, answer: example.answer, explanation: null, essayId: example.essayId, studentName: example.studentName };
+    }
+    return { type: 'vocabulary_sentence', category: null, item, prompt: item, hint: null, answer: null, explanation: null, essayId: null, studentName: null };
+  });
+}
+
+/**
+ * Build a practice set from saved essays.
+ *
+ * The set practises the most frequent error categories across the essays,
+ * exercises shared between them by how often each comes up. Each exercise is
+ * one of the errors, as a gap-fill (short corrections) or an error-correction
+ * sentence, taken from the newest essays first; a mistake repeated across
+ * essays is practised once, before one-offs.
+ *
+ * @param {Array<{id: string, studentName: string, createdAt: Date|string,
+ *   essayData: string|Object}>} savedEssays
+ * @param {Object} [options]
+ * @param {string[]} [options.vocabulary] - class profile's vocabulary list
+ * @param {number} [options.exercises=12] - error exercises
+ * @param {number} [options.vocabularyDrills=5] - vocabulary drills
+ * @param {string[]} [options.categories] - practise only these categories
+ * @returns {{
+ *   focus: Array<{category: string, errors: number, exercises: number}>,
+ *   exercises: Array<{number, type, category, item?, prompt, hint, answer,
+ *     explanation, essayId, studentName}>,
+ *   wordBank: string[],
+ *   essays: number,
+ *   skipped: number
+ * }} exercises in sheet order, grouped by type; answer is null where
+ *   answers vary
+ */
+function buildPracticeSet(savedEssays, {
+  vocabulary = [],
+  exercises: count = DEFAULT_EXERCISES,
+  vocabularyDrills: drillCount = DEFAULT_VOCABULARY_DRILLS,
+  categories = null,
+} = {}) {
+  const { sources, skipped } = practiceSources(savedEssays);
+
+  const errors = {};
+  for (const source of sources) {
+    for (const issue of source.issues) errors[issue.category] = (errors[issue.category] || 0) + 1;
+  }
+
+  // The same mistake in several places, most repeated first; ties go to the
+  // newest essay, which the candidates are already in.
+  const candidates = sources.flatMap(errorCandidates);
+  const repeats = {};
+  for (const c of candidates) {
+    const key = `${c.category}|${normalize(c.original)}`;
+    repeats[key] = (repeats[key] || 0) + 1;
+  }
+  const byCategory = new Map();
+  const seenPatterns = new Set();
+  for (const c of candidates
+    .map((c, order) => ({ c, order, repeats: repeats[`${c.category}|${normalize(c.original)}`] }))
+    .sort((a, b) => b.repeats - a.repeats || a.order - b.order)
+    .map(({ c }) => c)) {
+    const pattern = `${c.category}|${normalize(c.original)}|${normalize(c.correction)}`;
+    if (seenPatterns.has(pattern)) continue;
+    seenPatterns.add(pattern);
+    if (!byCategory.has(c.category)) byCategory.set(c.category, []);
+    byCategory.get(c.category).push(c);
+  }
+
+  const wanted = Array.isArray(categories) && categories.length > 0 ? new Set(categories) : null;
+  const focus = Object.entries(errors)
+    .filter(([category]) => byCategory.has(category) && (!wanted || wanted.has(category)))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, FOCUS_CATEGORIES)
+    .map(([category, total]) => ({ category, errors: total, available: byCategory.get(category).length }));
+  const shares = allocate(focus, Math.min(Math.max(0, count), MAX_EXERCISES));
+
+  // Alternate gap-fills and error-correction sentences within a category,
+  // where the correction fits in a gap.
+  const gapFills = [];
+  const corrections = [];
+  for (const f of focus) {
+    let gap = true;
+    for (const c of byCategory.get(f.category).slice(0, shares.get(f.category))) {
+      if (gapFits(c) && gap) gapFills.push(errorExercise(c, 'gap_fill'));
+      else corrections.push(errorExercise(c, 'error_correction'));
+      if (gapFits(c)) gap = !gap;
+    }
+  }
+
+  const drills = vocabularyDrills(vocabulary, sources, Math.min(Math.max(0, drillCount), MAX_VOCABULARY_DRILLS));
+  const vocabularyGaps = drills.filter(d => d.type === 'vocabulary_gap');
+
+  return {
+    focus: focus.map(({ category, errors: total }) => ({ category, errors: total, exercises: shares.get(category) })),
+    exercises: [...gapFills, ...corrections, ...vocabularyGaps, ...drills.filter(d => d.type === 'vocabulary_sentence')]
+      .map((exercise, i) => ({ number: i + 1, ...exercise })),
+    wordBank: vocabularyGaps.map(d => d.item).sort((a, b) => a.localeCompare(b)),
+    essays: sources.length,
+    skipped,
+  };
+}
+
+export {
+  BLANK,
+  EXERCISE_TYPES,
+  TYPE_INSTRUCTIONS,
+  DEFAULT_EXERCISES,
+  MAX_EXERCISES,
+  DEFAULT_VOCABULARY_DRILLS,
+  MAX_VOCABULARY_DRILLS,
+  sentenceBounds,
+  buildPracticeSet,
+};
@@ -0,0 +1,159 @@
+// Practice Export
+// A practice set as a printable worksheet: HTML for the PDF renderer and a
+// Word document, laid out the same way. The exercises come in sections by
+// type, each with its instructions; the answer key, when asked for, follows
+// on a page of its own so the sheet can be handed out without it.
+
+import { getCategoryName } from '../../grader/categories.js';
+import { BLANK, EXERCISE_TYPES, TYPE_INSTRUCTIONS } from './practiceExercises.js';
+import { docxPackage, paragraph, run, textRun } from './essayDocx.js';
+
+const SECTION_TITLES = {
+  gap_fill: 'Fill in the blanks',
+  error_correction: 'Correct the sentences',
+  vocabulary_gap: 'Class vocabulary: complete the sentences',
+  vocabulary_sentence: 'Class vocabulary: write your own sentences',
+};
+
+// Blank lines under exercises the student writes out in full.
+const WRITE_IN = new Set(['error_correction', 'vocabulary_sentence']);
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** The exercise as it appears on the sheet: gap-fills show what was written after the blank. */
+function promptText(exercise) {
+  if (exercise.type === 'gap_fill' && exercise.hint) {
+    return exercise.prompt.replace(BLANK, `${BLANK} (${exercise.hint})`);
+  }
+  return exercise.prompt;
+}
+
+function answerText(exercise) {
+  if (exercise.answer == null) return 'Answers will vary.';
+  return exercise.explanation ? `${exercise.answer} (${exercise.explanation})` : exercise.answer;
+}
+
+/** Exercises grouped by type, in sheet order. */
+function sections(set) {
+  return EXERCISE_TYPES
+    .map(type => ({ type, exercises: (set.exercises || []).filter(exercise => exercise.type === type) }))
+    .filter(section => section.exercises.length > 0);
+}
+
+function focusLine(set) {
+  const names = (set.focus || []).map(f => getCategoryName(f.category));
+  return names.length > 0 ? `Focus: ${names.join(', ')}` : '';
+}
+
+function exportFileName(set, answers) {
+  return answers ? `${set.title} with answers` : set.title;
+}
+
+/**
+ * The worksheet as a standalone HTML document for the PDF renderer.
+ * @param {Object} set - practice set (practiceService.js getPracticeSet)
+ * @param {Object} [options]
+ * @param {boolean} [options.answers=false] - add the answer key
+ * @returns {string}
+ */
+function practiceSheetHTML(set, { answers = false } = {}) {
+  let body = `<h1>${escapeHtml(set.title)}</h1>`;
+  body += '<p class="student-line">Name: ______________________ &nbsp; Date: ____________</p>';
+  const focus = focusLine(set);
+  if (focus) body += `<p class="focus">${escapeHtml(focus)}</p>`;
+
+  for (const { type, exercises } of sections(set)) {
+    body += `<section><h2>${escapeHtml(SECTION_TITLES[type])}</h2><p class="instructions">${escapeHtml(TYPE_INSTRUCTIONS[type])}</p>`;
+    if (type === 'vocabulary_gap' && set.wordBank?.length > 0) {
+      body += `<div class="word-bank">${set.wordBank.map(escapeHtml).join(' &nbsp;·&nbsp; ')}</div>`;
+    }
+    body += '<ol>';
+    for (const exercise of exercises) {
+      body += `<li value="${exercise.number}">${escapeHtml(promptText(exercise))}` +
+        (WRITE_IN.has(type) ? '<div class="write-in"></div>' : '') + '</li>';
+    }
+    body += '</ol></section>';
+  }
+
+  if (answers) {
+    body += '<section class="answer-key"><h2>Answer key</h2><ol>';
+    for (const exercise of set.exercises || []) {
+      body += `<li value="${exercise.number}">${escapeHtml(answerText(exercise))}</li>`;
+    }
+    body += '</ol></section>';
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(set.title)}</title>
+<style>
+  @page { size: Letter; margin: 1in; }
+  body { font-family: 'Times New Roman', serif; font-size: 12pt; line-height: 1.5; color: #000; }
+  h1 { font-family: Arial, sans-serif; font-size: 20pt; margin: 0 0 8px; }
+  h2 { font-family: Arial, sans-serif; font-size: 13pt; margin: 20px 0 4px; break-after: avoid; }
+  .student-line { margin: 0 0 4px; }
+  .focus { color: #444; margin: 0 0 12px; }
+  .instructions { font-style: italic; margin: 0 0 8px; }
+  .word-bank { border: 1px solid #000; padding: 6px 10px; margin: 0 0 8px; }
+  li { margin-bottom: 10px; break-inside: avoid; }
+  .write-in { border-bottom: 1px solid #000; height: 22px; }
+  .answer-key { break-before: page; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * The worksheet as a .docx file.
+ * @param {Object} set - practice set (practiceService.js getPracticeSet)
+ * @param {Object} [options]
+ * @param {boolean} [options.answers=false] - add the answer key
+ * @returns {Buffer}
+ */
+function practiceDocx(set, { answers = false } = {}) {
+  let xml = paragraph(textRun(set.title), 'Title');
+  xml += paragraph(textRun('Name: ______________________    Date: ____________'));
+  const focus = focusLine(set);
+  if (focus) xml += paragraph(textRun(focus));
+
+  for (const { type, exercises } of sections(set)) {
+    xml += paragraph(textRun(SECTION_TITLES[type]), 'Heading2');
+    xml += paragraph(textRun(TYPE_INSTRUCTIONS[type], '<w:i/>'));
+    if (type === 'vocabulary_gap' && set.wordBank?.length > 0) {
+      xml += `<w:p><w:pPr><w:pBdr>${['top', 'left', 'bottom', 'right'].map(side =>
+        `<w:${side} w:val="single" w:sz="4" w:space="4" w:color="auto"/>`).join('')}</w:pBdr></w:pPr>` +
+        `${textRun(set.wordBank.join('   ·   '))}</w:p>`;
+    }
+    for (const exercise of exercises) {
+      xml += paragraph(textRun(`${exercise.number}. ${promptText(exercise)}`));
+      if (WRITE_IN.has(type)) xml += paragraph(textRun('_'.repeat(60)));
+    }
+  }
+
+  if (answers) {
+    xml += paragraph(run('<w:br w:type="page"/>'));
+    xml += paragraph(textRun('Answer key'), 'Heading1');
+    for (const exercise of set.exercises || []) {
+      xml += paragraph(textRun(`${exercise.number}. `, '<w:b/>') + textRun(answerText(exercise)));
+    }
+  }
+  return docxPackage(xml);
+}
+
+export {
+  SECTION_TITLES,
+  exportFileName,
+  practiceSheetHTML,
+  practiceDocx,
+};
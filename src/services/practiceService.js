@@ -0,0 +1,191 @@
+// Practice Service
+// Builds practice sets from a student's, a class's or one essay's saved
+// essays (the exercises themselves come from practiceExercises.js) and
+// stores them so they can be exported again later.
+
+import { buildPracticeSet } from './practiceExercises.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[PRACTICE] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+const ESSAY_FIELDS = { id: true, studentName: true, studentId: true, classProfileId: true, createdAt: true, essayData: true };
+
+/** A stored set without its exercises, for lists. */
+function practiceSetSummary(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    classProfileId: row.classProfileId,
+    studentId: row.studentId,
+    essayId: row.essayId,
+    createdAt: row.createdAt,
+    exercises: row.exercises?.exercises?.length || 0,
+    focus: row.exercises?.focus || [],
+  };
+}
+
+/** A stored set with its exercises, answers and word bank. */
+function practiceSetDetail(row) {
+  return { ...practiceSetSummary(row), ...row.exercises, exercises: row.exercises?.exercises || [] };
+}
+
+/**
+ * The essays a set is drawn from and what it's called: one saved essay, a
+ * roster student's essays or a class profile's.
+ * @returns {Promise<{essays, title, classProfileId, studentId, essayId}|{error: string, status: number}>}
+ */
+async function practiceScope(prisma, userId, { essayId, studentId, classProfileId }) {
+  if (essayId) {
+    const essay = await prisma.saved_essays.findFirst({ where: { id: essayId, userId }, select: ESSAY_FIELDS });
+    if (!essay) return { error: 'Essay not found', status: 404 };
+    const date = new Date(essay.createdAt).toISOString().slice(0, 10);
+    return {
+      essays: [essay],
+      title: `Practice for ${essay.studentName} (essay of ${date})`,
+      classProfileId: essay.classProfileId,
+      studentId: essay.studentId,
+      essayId: essay.id,
+    };
+  }
+  if (studentId) {
+    const student = await prisma.students.findFirst({
+      where: { id: studentId, userId },
+      select: { id: true, name: true, classProfileId: true },
+    });
+    if (!student) return { error: 'Student not found', status: 404 };
+    const essays = await prisma.saved_essays.findMany({ where: { studentId, userId }, select: ESSAY_FIELDS });
+    return { essays, title: `Practice for ${student.name}`, classProfileId: student.classProfileId, studentId, essayId: null };
+  }
+  if (classProfileId) {
+    const profile = await prisma.class_profiles.findFirst({
+      where: { id: classProfileId, userId },
+      select: { id: true, name: true },
+    });
+    if (!profile) return { error: 'Profile not found', status: 404 };
+    const essays = await prisma.saved_essays.findMany({ where: { classProfileId, userId }, select: ESSAY_FIELDS });
+    return { essays, title: `Practice for ${profile.name}`, classProfileId, studentId: null, essayId: null };
+  }
+  return { error: 'essayId, studentId or classProfileId is required', status: 400 };
+}
+
+/**
+ * Build and store a practice set.
+ * @param {string} userId
+ * @param {Object} scope - one of essayId, studentId or classProfileId
+ * @param {Object} [options] - see buildPracticeSet: exercises,
+ *   vocabularyDrills, categories
+ * @returns {Promise<{practiceSet: Object}|{error: string, status: number}|null>}
+ *   null when the database is unavailable
+ */
+async function createPracticeSet(userId, scope, options = {}) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return null;
+
+  try {
+    const found = await practiceScope(prisma, userId, scope || {});
+    if (found.error) return found;
+
+    const profile = found.classProfileId
+      ? await prisma.class_profiles.findFirst({ where: { id: found.classProfileId, userId }, select: { vocabulary: true } })
+      : null;
+    const set = buildPracticeSet(found.essays, { ...options, vocabulary: profile?.vocabulary || [] });
+    if (set.exercises.length === 0) {
+      return {
+        error: set.essays === 0
+          ? 'There are no graded essays with their text saved to practise from'
+          : 'No errors or class vocabulary to practise in these essays',
+        status: 400,
+      };
+    }
+
+    const row = await prisma.practice_sets.create({
+      data: {
+        userId,
+        classProfileId: found.classProfileId || null,
+        studentId: found.studentId || null,
+        essayId: found.essayId || null,
+        title: found.title,
+        exercises: set,
+      },
+    });
+    return { practiceSet: practiceSetDetail(row) };
+  } catch (error) {
+    console.error('[PRACTICE] Create error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The user's sets for a student, class profile or essay, newest first.
+ * @param {string} userId
+ * @param {{studentId?: string, classProfileId?: string, essayId?: string}} filter
+ * @returns {Promise<Array<Object>|null>} summaries
+ */
+async function getPracticeSets(userId, { studentId, classProfileId, essayId } = {}) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return null;
+
+  const where = { userId };
+  if (studentId) where.studentId = studentId;
+  if (classProfileId) where.classProfileId = classProfileId;
+  if (essayId) where.essayId = essayId;
+
+  try {
+    const rows = await prisma.practice_sets.findMany({ where, orderBy: { createdAt: 'desc' } });
+    return rows.map(practiceSetSummary);
+  } catch (error) {
+    console.error('[PRACTICE] List error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * One of the user's sets, exercises included.
+ * @returns {Promise<Object|null>}
+ */
+async function getPracticeSet(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const row = await prisma.practice_sets.findFirst({ where: { id, userId } });
+    return row ? practiceSetDetail(row) : null;
+  } catch (error) {
+    console.error('[PRACTICE] Get error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete one of the user's sets.
+ * @returns {Promise<boolean>} false when it isn't the user's
+ */
+async function deletePracticeSet(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return false;
+
+  try {
+    const { count } = await prisma.practice_sets.deleteMany({ where: { id, userId } });
+    return count > 0;
+  } catch (error) {
+    console.error('[PRACTICE] Delete error:', error.message);
+    return false;
+  }
+}
+
+export {
+  createPracticeSet,
+  getPracticeSets,
+  getPracticeSet,
+  deletePracticeSet,
+};
@@ -23,6 +23,19 @@ function normalizeWordCount(value) {
   return n;
 }
 
+/**
+ * Normalize the rubric assignment from the client. An empty rubricId means
+ * "use the built-in rubric"; an empty rubricVersion means "follow the latest
+ * version". Returns the two rubric columns (class_profiles and assignments share them).
+ */
+function normalizeRubricRef(rubricId, rubricVersion) {
+  const id = typeof rubricId === 'string' && rubricId.trim() ? rubricId.trim() : null;
+  return {
+    rubricId: id,
+    rubricVersion: id ? normalizeWordCount(rubricVersion) || null : null,
+  };
+}
+
 /**
  * Load profiles from database or file system for a specific user
  * @param {string} userId - User ID to filter profiles
@@ -192,6 +205,7 @@ async function createProfile(profileData, userId) {
     // input by falling back to null.
     createData.requiredWordCountMin = normalizeWordCount(profileData.requiredWordCountMin);
     createData.requiredWordCountMax = normalizeWordCount(profileData.requiredWordCountMax);
+    Object.assign(createData, normalizeRubricRef(profileData.rubricId, profileData.rubricVersion));
 
     console.log("[PROFILES] Database create data:", createData);
 
@@ -280,6 +294,12 @@ async function updateProfile(profileId, updateData, userId) {
         updateFields.temperature = parseFloat(updateData.temperature) || 0;
       }
 
+      // Same for the rubric assignment — older clients don't send it, and
+      // that must not unassign the profile's rubric.
+      if (updateData.rubricId !== undefined) {
+        Object.assign(updateFields, normalizeRubricRef(updateData.rubricId, updateData.rubricVersion));
+      }
+
       console.log('[PROFILES] Checking if profile exists for user...');
 
       // First verify the profile exists and belongs to the user
@@ -401,5 +421,7 @@ export {
   findProfileById,
   createProfile,
   updateProfile,
-  deleteProfile
+  deleteProfile,
+  normalizeWordCount,
+  normalizeRubricRef
 };
\ No newline at end of file
@@ -0,0 +1,190 @@
+// Progress Report
+// Builds one student's longitudinal report from their saved essays: total and
+// per-category points per essay in date order, detected errors per category,
+// and the mistakes that keep coming back. Pure functions over the stored
+// essayData JSON; loading the essays lives in studentService.js.
+
+import { countErrorsByCategory } from '../../grader/scoring.js';
+
+// Default rubric order; categories from custom rubrics follow in the order
+// they first appear.
+const CATEGORY_ORDER = ['grammar', 'vocabulary', 'spelling', 'mechanics', 'fluency', 'layout', 'content'];
+
+// How many recurring patterns the report lists.
+const MAX_PATTERNS = 20;
+
+/**
+ * The graded result inside a saved essay's essayData. Batch snapshots keep it
+ * under essay.result, single grades under gradingData.
+ * @param {string|Object} essayData - saved_essays.essayData
+ * @returns {Object|null} result with scores, total and inline_issues
+ */
+function extractResult(essayData) {
+  let data = essayData;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || typeof data !== 'object') return null;
+
+  const result = data.essay?.result || data.gradingData || (data.scores ? data : null);
+  return result && result.scores && result.total ? result : null;
+}
+
+function normalizePattern(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function primaryCategory(issue) {
+  return String(issue.category || issue.type || 'unknown').split(',')[0].trim();
+}
+
+/**
+ * Score categories in rubric display order.
+ * @param {Set<string>} seen
+ * @returns {string[]}
+ */
+function orderCategories(seen) {
+  const known = CATEGORY_ORDER.filter(c => seen.has(c));
+  return known.concat([...seen].filter(c => !CATEGORY_ORDER.includes(c)));
+}
+
+function tally(counts, value) {
+  counts[value] = (counts[value] || 0) + 1;
+}
+
+// The most frequent key of a tally (first seen wins ties), or null.
+function mostCommon(counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+/**
+ * Mistakes made in more than one essay: the same wording flagged in the same
+ * category. Counted per essay, so one word misspelled five times in a single
+ * essay doesn't count as recurring. Each pattern shows its most common
+ * wording and correction.
+ * @param {Array<{essayId: string, issues: Array}>} essays
+ * @param {Object} [options]
+ * @param {number} [options.minEssays=2] - essays a pattern must appear in
+ * @param {number} [options.limit=20] - patterns returned
+ * @returns {Array<{category: string, text: string, correction: string|null,
+ *   essays: number, occurrences: number}>} most widespread first
+ */
+function findRecurringPatterns(essays, { minEssays = 2, limit = MAX_PATTERNS } = {}) {
+  const patterns = new Map();
+
+  for (const { essayId, issues } of essays) {
+    for (const issue of issues) {
+      const text = normalizePattern(issue.text);
+      if (!text) continue;
+      const category = primaryCategory(issue);
+      const key = `${category}|${text}`;
+
+      let pattern = patterns.get(key);
+      if (!pattern) {
+        pattern = { category, texts: {}, corrections: {}, essayIds: new Set(), occurrences: 0 };
+        patterns.set(key, pattern);
+      }
+      pattern.essayIds.add(essayId);
+      pattern.occurrences++;
+      tally(pattern.texts, String(issue.text).trim());
+      if (issue.correction) {
+        tally(pattern.corrections, issue.correction);
+      }
+    }
+  }
+
+  return [...patterns.values()]
+    .filter(p => p.essayIds.size >= minEssays)
+    .map(p => ({
+      category: p.category,
+      text: mostCommon(p.texts),
+      correction: mostCommon(p.corrections),
+      essays: p.essayIds.size,
+      occurrences: p.occurrences,
+    }))
+    .sort((a, b) => b.essays - a.essays || b.occurrences - a.occurrences)
+    .slice(0, limit);
+}
+
+/**
+ * Build a student's progress report.
+ *
+ * Scores are the ones stored when the essay was saved; edits made later to
+ * the rendered essay on the account page aren't reflected. Essays whose
+ * essayData holds no graded result are left out and counted in `skipped`.
+ *
+ * @param {Array<{id: string, createdAt: Date|string, essayData: string|Object,
+ *   assignments?: {id: string, title: string, dueDate?: Date|null}|null}>} savedEssays
+ * @returns {{
+ *   essays: Array<{essayId, date, assignmentId, assignmentTitle, total, scores, errorCounts, errorTotal}>,
+ *   categories: string[],
+ *   errorTotals: Object<string, number>,
+ *   recurring: Array,
+ *   skipped: number
+ * }} essays oldest first
+ */
+function buildProgressReport(savedEssays) {
+  const essays = [];
+  const issuesByEssay = [];
+  const categories = new Set();
+  const errorTotals = {};
+  let skipped = 0;
+
+  const ordered = [...(savedEssays || [])].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  for (const saved of ordered) {
+    const result = extractResult(saved.essayData);
+    if (!result) {
+      skipped++;
+      continue;
+    }
+
+    const scores = {};
+    for (const [category, score] of Object.entries(result.scores)) {
+      scores[category] = { points: score?.points ?? null, out_of: score?.out_of ?? null };
+      categories.add(category);
+    }
+
+    const issues = Array.isArray(result.inline_issues) ? result.inline_issues : [];
+    const errorCounts = countErrorsByCategory(issues);
+    for (const [category, count] of Object.entries(errorCounts)) {
+      errorTotals[category] = (errorTotals[category] || 0) + count;
+    }
+    issuesByEssay.push({ essayId: saved.id, issues });
+
+    essays.push({
+      essayId: saved.id,
+      date: new Date(saved.createdAt).toISOString(),
+      assignmentId: saved.assignments?.id ?? result.assignmentId ?? null,
+      assignmentTitle: saved.assignments?.title ?? null,
+      total: { points: result.total.points ?? null, out_of: result.total.out_of ?? null },
+      scores,
+      errorCounts,
+      errorTotal: Object.values(errorCounts).reduce((sum, n) => sum + n, 0),
+    });
+  }
+
+  return {
+    essays,
+    categories: orderCategories(categories),
+    errorTotals,
+    recurring: findRecurringPatterns(issuesByEssay),
+    skipped,
+  };
+}
+
+export {
+  CATEGORY_ORDER,
+  orderCategories,
+  extractResult,
+  findRecurringPatterns,
+  buildProgressReport,
+};
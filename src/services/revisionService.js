@@ -0,0 +1,155 @@
+// Revision Service
+// Regrades a student's rewrite of a saved essay. The new draft is graded
+// with the earlier draft's highlights as context, compared with it
+// (grader/revision.js) and saved as a new essay linked to the one it revises.
+
+import { formatGradedEssay } from '../../grader/formatter.js';
+import { compareDrafts } from '../../grader/revision.js';
+import { gradeEssayUnified } from './gradingService.js';
+import { findProfileById } from './profileService.js';
+import { getAssignmentForGrading, applyAssignment } from './assignmentService.js';
+import { applyTemperatureAdjustment } from './temperatureService.js';
+import { recordGradingEvent } from './gradingEventService.js';
+import { getEssayById, saveEssay } from './savedEssayService.js';
+import { extractResult } from './progressReport.js';
+import { gradebookRow } from './gradebook.js';
+import { readEditsFromHTML, readHighlightsFromHTML } from './savedEssayHTML.js';
+
+function parseEssayData(essayData) {
+  try {
+    return JSON.parse(essayData) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The saved essay's HTML, as the account page shows it.
+ */
+function revisionEssayHTML(formatted) {
+  return `
+        <div>
+            ${formatted.feedbackSummary}
+            <h3 style="margin: 20px 0 10px 0;">Color-Coded Essay:</h3>
+            <div class="formatted-essay-content" style="padding: 15px; line-height: 1.6; background: #fff; border: 1px solid #e0e0e0; border-radius: 4px; margin: 10px 0;">
+                ${formatted.formattedText}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Grade a revision of a saved essay and save it as the next draft.
+ * @param {string} essayId - saved essay the student revised
+ * @param {string} userId - must own it
+ * @param {Object} options
+ * @param {string} options.studentText - the revised essay
+ * @param {string} [options.userEmail] - for the grading event log
+ * @returns {Promise<{essay: Object}|{error: string, status: number}>} essay is the new saved_essays row
+ */
+async function resubmitEssay(essayId, userId, { studentText, userEmail = null }) {
+  const text = typeof studentText === 'string' ? studentText.trim() : '';
+  if (!text) return { error: 'The revised essay is empty', status: 400 };
+
+  const previous = await getEssayById(essayId, userId);
+  if (!previous) return { error: 'Essay not found', status: 404 };
+
+  const previousData = parseEssayData(previous.essayData);
+  const previousText = previousData.originalData?.studentText || '';
+  const previousResult = extractResult(previousData);
+  if (!previousText || !previousResult) {
+    return { error: 'This essay was saved without its graded text, so a revision can\'t be compared with it', status: 400 };
+  }
+  if (previousText.trim() === text) {
+    return { error: 'The revision is the same as the previous draft', status: 400 };
+  }
+
+  const profileData = previous.classProfileId ? await findProfileById(previous.classProfileId, userId) : null;
+  if (!profileData) return { error: 'The essay\'s class profile no longer exists', status: 400 };
+  const assignment = await getAssignmentForGrading(previous.assignmentId, userId, previous.classProfileId);
+
+  // The earlier draft's highlights as the teacher left them, edits included.
+  const previousIssues = readHighlightsFromHTML(previous.renderedHTML, previousText) || previousResult.inline_issues || [];
+
+  const studentNickname = previousResult.studentNickname || previousData.originalData?.studentNickname || null;
+  const event = {
+    userId,
+    userEmail,
+    action: 'grade',
+    classProfileId: previous.classProfileId,
+    studentNickname,
+    studentId: previous.studentId || null,
+    assignmentId: assignment?.id || null,
+  };
+  const start = Date.now();
+
+  let result;
+  try {
+    result = await gradeEssayUnified(text, '', applyAssignment(profileData, assignment), studentNickname, {
+      studentName: previous.studentName,
+      studentId: previous.studentId,
+      essayId: previous.id,
+      previousIssues,
+    });
+    if (!result || !result.scores || !result.total) {
+      throw new Error('Incomplete grading result - missing scores or total');
+    }
+    await recordGradingEvent({ ...event, usage: result.usage, status: 'success', latencyMs: Date.now() - start });
+  } catch (error) {
+    console.error('[REVISION] Grading error:', error.message);
+    await recordGradingEvent({ ...event, status: 'error', errorMessage: error.message, latencyMs: Date.now() - start });
+    return { error: `Grading failed: ${error.message}`, status: 500 };
+  }
+
+  result = applyTemperatureAdjustment(result, profileData.temperature || 0);
+  delete result.usage;
+
+  // The earlier grade as the teacher left it, edits included.
+  const before = gradebookRow({ result: previousResult, edits: readEditsFromHTML(previous.renderedHTML) });
+  const comparison = compareDrafts(
+    { text: previousText, issues: previousIssues },
+    { text, issues: result.inline_issues },
+  );
+  const draft = (previous.draft || 1) + 1;
+  result.inline_issues = comparison.issues;
+  result.revision = {
+    draft,
+    previous_essay_id: previous.id,
+    previous_total: { points: before.total, out_of: before.outOf },
+    previous_scores: before.scores,
+    counts: comparison.counts,
+    by_category: comparison.byCategory,
+    fixed: comparison.fixed,
+    words_added: comparison.wordsAdded,
+    words_removed: comparison.wordsRemoved,
+    changes: comparison.changes,
+  };
+  result.studentName = previous.studentName;
+  result.studentNickname = studentNickname;
+  result.studentId = previous.studentId || null;
+  result.assignmentId = assignment?.id || null;
+
+  const formatted = formatGradedEssay(text, result, { editable: true });
+  const saved = await saveEssay(userId, {
+    classProfileId: previous.classProfileId,
+    studentName: previous.studentName,
+    studentId: previous.studentId,
+    assignmentId: previous.assignmentId,
+    previousEssayId: previous.id,
+    draft,
+    renderedHTML: revisionEssayHTML(formatted),
+    essayData: {
+      essay: { success: true, result, studentName: previous.studentName },
+      originalData: {
+        ...previousData.originalData,
+        studentText: text,
+        previousEssayId: previous.id,
+        draft,
+      },
+    },
+  });
+  if (!saved) return { error: 'Failed to save the revision', status: 500 };
+  return { essay: saved };
+}
+
+export { resubmitEssay };
@@ -0,0 +1,231 @@
+// Roster
+// Parsing pasted rosters and matching essay names to roster entries. Pure
+// functions: studentService feeds them database rows, the grading controller
+// feeds them batch essays.
+//
+// Teachers type names on essays however they like: "maria", "García, María",
+// a nickname, a student number. Matching goes from strict to loose and stops
+// at the first tier with exactly one candidate. A tier with several
+// candidates is ambiguous and ends the search unmatched; a wrong link would
+// file one student's essay in another's history, which is worse than none.
+
+const MATCH_METHODS = ['provided', 'external_id', 'exact', 'alias', 'reordered', 'first_name', 'fuzzy'];
+
+// Header cells recognised when a pasted roster starts with a header row.
+const HEADER_ALIASES = {
+  name: ['name', 'student', 'student name', 'full name'],
+  firstName: ['first name', 'first', 'given name', 'firstname'],
+  lastName: ['last name', 'last', 'surname', 'family name', 'lastname'],
+  externalId: ['id', 'student id', 'student_id', 'student number', 'number', 'email'],
+  aliases: ['nickname', 'nicknames', 'alias', 'aliases', 'preferred name'],
+};
+
+/** Lowercase, strip accents and punctuation, collapse whitespace. */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenKey(name) {
+  return normalizeName(name).split(' ').filter(Boolean).sort().join(' ');
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos tolerated: one for short names, two from ten characters up.
+function fuzzyLimit(name) {
+  return name.length >= 10 ? 2 : 1;
+}
+
+function namesOf(student) {
+  return [student.name, ...(student.aliases || [])].filter(Boolean);
+}
+
+/**
+ * Match one essay name to a roster entry.
+ *
+ * @param {string} name - name as typed on the essay
+ * @param {Array<{id: string, name: string, externalId?: string|null, aliases?: string[]}>} roster
+ * @returns {{student: Object, method: string}|{student: null, method: null, candidates: string[]}}
+ *   candidates holds the ids of an ambiguous tier (empty when nothing came close)
+ */
+function matchStudent(name, roster) {
+  const none = { student: null, method: null, candidates: [] };
+  const typed = normalizeName(name);
+  if (!typed || !Array.isArray(roster) || roster.length === 0) return none;
+
+  const tiers = [
+    ['external_id', s => s.externalId && normalizeName(s.externalId) === typed],
+    ['exact', s => normalizeName(s.name) === typed],
+    ['alias', s => (s.aliases || []).some(alias => normalizeName(alias) === typed)],
+    ['reordered', s => namesOf(s).some(n => tokenKey(n) === tokenKey(typed))],
+    // A bare first name, as on "Maria's essay"
+    ['first_name', s => !typed.includes(' ') && namesOf(s).some(n => normalizeName(n).split(' ')[0] === typed)],
+  ];
+
+  for (const [method, test] of tiers) {
+    const hits = roster.filter(test);
+    if (hits.length === 1) return { student: hits[0], method };
+    if (hits.length > 1) return { ...none, candidates: hits.map(s => s.id) };
+  }
+
+  // Fuzzy: the closest name within the typo limit, if it is the only one that close.
+  let best = Infinity;
+  let hits = [];
+  for (const student of roster) {
+    const distance = Math.min(...namesOf(student).map(n => editDistance(normalizeName(n), typed)));
+    if (distance > fuzzyLimit(typed)) continue;
+    if (distance < best) {
+      best = distance;
+      hits = [student];
+    } else if (distance === best) {
+      hits.push(student);
+    }
+  }
+  if (hits.length === 1) return { student: hits[0], method: 'fuzzy' };
+  return { ...none, candidates: hits.map(s => s.id) };
+}
+
+/**
+ * Match a batch of essays to a roster. An essay that already carries a
+ * studentId keeps it when that id is on this roster.
+ *
+ * @param {Array<{studentName?: string, studentNickname?: string, studentId?: string}>} essays
+ * @param {Array} roster
+ * @returns {Array<{studentId: string|null, method: string|null, candidates?: string[]}>} one per essay
+ */
+function matchEssaysToRoster(essays, roster) {
+  return essays.map(essay => {
+    if (essay.studentId) {
+      const student = (roster || []).find(s => s.id === essay.studentId);
+      if (student) return { studentId: student.id, method: 'provided' };
+    }
+    let result = matchStudent(essay.studentName, roster);
+    if (!result.student && essay.studentNickname) {
+      const byNickname = matchStudent(essay.studentNickname, roster);
+      if (byNickname.student) result = byNickname;
+    }
+    return result.student
+      ? { studentId: result.student.id, method: result.method }
+      : { studentId: null, method: null, candidates: result.candidates };
+  });
+}
+
+// Split one CSV/TSV line, honouring double-quoted cells.
+function splitLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function splitAliases(value) {
+  return String(value || '').split(/[;|/]/).map(a => a.trim()).filter(Boolean);
+}
+
+function headerColumns(cells) {
+  const columns = {};
+  cells.forEach((cell, index) => {
+    const label = cell.toLowerCase().replace(/\s+/g, ' ').trim();
+    for (const [field, labels] of Object.entries(HEADER_ALIASES)) {
+      if (labels.includes(label) && columns[field] === undefined) columns[field] = index;
+    }
+  });
+  const hasName = columns.name !== undefined || columns.firstName !== undefined || columns.lastName !== undefined;
+  return hasName ? columns : null;
+}
+
+/**
+ * Parse a pasted roster.
+ *
+ * Either a header row naming the columns (name or first/last name, id,
+ * nickname — comma- or tab-separated, as exported from a spreadsheet or
+ * SIS), or one student per line. Without a header only tabs separate
+ * columns (name, id, nicknames), so "García, María" stays one name.
+ * Several nicknames in one cell are separated by ; | or /.
+ *
+ * @param {string} text
+ * @returns {{students: Array<{name: string, externalId: string|null, aliases: string[]}>, skipped: number}}
+ *   skipped counts non-blank rows without a name
+ */
+function parseRoster(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) return { students: [], skipped: 0 };
+
+  const delimiter = lines[0].includes('\t') ? '\t' : ',';
+  const columns = headerColumns(splitLine(lines[0], delimiter));
+  const rows = columns ? lines.slice(1) : lines;
+  const students = [];
+  let skipped = 0;
+
+  for (const line of rows) {
+    let name;
+    let externalId;
+    let aliases;
+    if (columns) {
+      const cells = splitLine(line, delimiter);
+      const cell = key => (columns[key] !== undefined ? cells[columns[key]] || '' : '');
+      name = cell('name') || [cell('firstName'), cell('lastName')].filter(Boolean).join(' ');
+      externalId = cell('externalId');
+      aliases = splitAliases(cell('aliases'));
+    } else {
+      const cells = line.split('\t').map(c => c.trim());
+      [name, externalId] = cells;
+      aliases = splitAliases(cells[2]);
+    }
+    name = (name || '').replace(/\s+/g, ' ').trim();
+    if (!name) {
+      skipped++;
+      continue;
+    }
+    students.push({ name, externalId: externalId || null, aliases });
+  }
+  return { students, skipped };
+}
+
+export {
+  MATCH_METHODS,
+  normalizeName,
+  matchStudent,
+  matchEssaysToRoster,
+  parseRoster,
+};
@@ -0,0 +1,253 @@
+// Rubric Service
+// Handles CRUD operations for teacher-editable rubrics and their versions,
+// and resolves the rubric a class profile grades with.
+
+import { normalizeRubric } from '../../grader/rubrics.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[RUBRICS] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Flatten a rubric row (with its versions included, newest first) into the
+ * shape the API returns: the latest definition inline plus a version list.
+ */
+function toRubricSummary(rubric) {
+  const versions = rubric.rubric_versions || [];
+  const latest = versions[0] || null;
+  return {
+    id: rubric.id,
+    name: rubric.name,
+    description: rubric.description,
+    created: rubric.created,
+    lastModified: rubric.lastModified,
+    latestVersion: latest ? latest.version : null,
+    definition: latest ? latest.definition : null,
+    versions: versions.map(v => ({ version: v.version, created: v.created })),
+  };
+}
+
+const WITH_VERSIONS = {
+  rubric_versions: { orderBy: { version: 'desc' } },
+};
+
+/**
+ * Get all rubrics for a user, most recently edited first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of rubric summaries
+ */
+async function getRubricsByUser(userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return [];
+
+  try {
+    const rubrics = await prisma.rubrics.findMany({
+      where: { userId },
+      orderBy: { lastModified: 'desc' },
+      include: WITH_VERSIONS,
+    });
+    return rubrics.map(toRubricSummary);
+  } catch (error) {
+    console.error('[RUBRICS] GetAll error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a single rubric by ID (with ownership check)
+ * @param {string} id - Rubric ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Rubric summary or null
+ */
+async function getRubricById(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const rubric = await prisma.rubrics.findFirst({
+      where: { id, userId },
+      include: WITH_VERSIONS,
+    });
+    return rubric ? toRubricSummary(rubric) : null;
+  } catch (error) {
+    console.error('[RUBRICS] Get error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get one version of a rubric (with ownership check)
+ * @param {string} id - Rubric ID
+ * @param {string} userId - User ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} { version, definition, created } or null
+ */
+async function getRubricVersion(id, userId, version) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const row = await prisma.rubric_versions.findFirst({
+      where: { rubricId: id, version, rubrics: { userId } },
+    });
+    return row ? { version: row.version, definition: row.definition, created: row.created } : null;
+  } catch (error) {
+    console.error('[RUBRICS] GetVersion error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Create a rubric with its first version
+ * @param {string} userId - User ID
+ * @param {Object} data
+ * @param {string} data.name - Rubric name
+ * @param {string} [data.description] - Optional description
+ * @param {Object} data.definition - Validated rubric definition
+ * @returns {Promise<Object|null>} Created rubric summary or null on failure
+ */
+async function createRubric(userId, { name, description, definition }) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return null;
+
+  try {
+    const rubric = await prisma.rubrics.create({
+      data: {
+        userId,
+        name,
+        description: description || null,
+        rubric_versions: { create: { version: 1, definition } },
+      },
+      include: WITH_VERSIONS,
+    });
+    return toRubricSummary(rubric);
+  } catch (error) {
+    console.error('[RUBRICS] Create error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update a rubric (verify ownership via userId). Name and description are
+ * edited in place; a new definition is saved as the next version so grades
+ * and profiles pinned to earlier versions are unaffected.
+ * @param {string} id - Rubric ID
+ * @param {string} userId - User ID (for ownership check)
+ * @param {Object} data - Fields to update
+ * @param {string} [data.name]
+ * @param {string} [data.description]
+ * @param {Object} [data.definition] - Validated rubric definition
+ * @returns {Promise<Object|null>} Updated rubric summary or null on failure
+ */
+async function updateRubric(id, userId, { name, description, definition }) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const existing = await prisma.rubrics.findFirst({
+      where: { id, userId },
+      include: { rubric_versions: { orderBy: { version: 'desc' }, take: 1 } },
+    });
+    if (!existing) return null;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description || null;
+    if (definition !== undefined) {
+      const nextVersion = (existing.rubric_versions[0]?.version || 0) + 1;
+      updateData.rubric_versions = { create: { version: nextVersion, definition } };
+    }
+
+    const rubric = await prisma.rubrics.update({
+      where: { id },
+      data: updateData,
+      include: WITH_VERSIONS,
+    });
+    return toRubricSummary(rubric);
+  } catch (error) {
+    console.error('[RUBRICS] Update error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a rubric and all its versions (verify ownership via userId).
+ * Profiles using it fall back to the built-in rubric (FK is ON DELETE SET NULL).
+ * @param {string} id - Rubric ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteRubric(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return false;
+
+  try {
+    const existing = await prisma.rubrics.findFirst({
+      where: { id, userId },
+    });
+    if (!existing) return false;
+
+    await prisma.rubrics.delete({ where: { id } });
+    return true;
+  } catch (error) {
+    console.error('[RUBRICS] Delete error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Resolve the rubric a class profile grades with: its pinned version, or the
+ * latest one when rubricVersion is null. Returns null — meaning "use the
+ * built-in rubric.json" — when the profile has no rubric, the rubric belongs
+ * to someone else, or the lookup fails.
+ * @param {Object} profile - class profile ({ rubricId, rubricVersion, userId })
+ * @returns {Promise<Object|null>} Normalized rubric for gradeEssaySimple, or null
+ */
+async function loadRubricForProfile(profile) {
+  if (!profile?.rubricId) return null;
+  const prisma = await getPrismaClient();
+  if (!prisma) return null;
+
+  try {
+    const row = await prisma.rubric_versions.findFirst({
+      where: {
+        rubricId: profile.rubricId,
+        ...(profile.rubricVersion ? { version: profile.rubricVersion } : {}),
+        rubrics: { userId: profile.userId },
+      },
+      orderBy: { version: 'desc' },
+      include: { rubrics: true },
+    });
+    if (!row) {
+      console.warn(`[RUBRICS] Rubric ${profile.rubricId} not found for profile ${profile.id}, using default`);
+      return null;
+    }
+    return normalizeRubric(row.definition, {
+      id: row.rubricId,
+      version: row.version,
+      name: row.rubrics.name,
+    });
+  } catch (error) {
+    console.error('[RUBRICS] LoadForProfile error:', error.message);
+    return null;
+  }
+}
+
+export {
+  getRubricsByUser,
+  getRubricById,
+  getRubricVersion,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  loadRubricForProfile,
+};
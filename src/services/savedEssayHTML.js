@@ -0,0 +1,185 @@
+// Saved Essay HTML
+// Reads a teacher's edits back out of a saved essay's rendered HTML — score
+// inputs, teacher notes and highlights — for the gradebook, share links and
+// revisions. The HTML is what the results and account pages wrote, and
+// whoever edited it may have left anything in it, so nothing here throws on
+// markup it doesn't expect.
+
+// A numeric character reference as its character, or as written when it
+// names no character (past U+10FFFF, or a lone surrogate).
+function codePointOrLiteral(code, literal) {
+  return code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF) ? String.fromCodePoint(code) : literal;
+}
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&#(\d+);/g, (literal, n) => codePointOrLiteral(Number(n), literal))
+    .replace(/&#x([0-9a-f]+);/gi, (literal, n) => codePointOrLiteral(parseInt(n, 16), literal))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * Teacher edits kept in a saved essay's rendered HTML. Editing on the
+ * account page only rewrites renderedHTML, so the score inputs and the
+ * teacher-notes block there are newer than essayData.
+ * @param {string} html - saved_essays.renderedHTML
+ * @returns {{scores: Object<string, number>, teacherNotes: string|null}}
+ */
+function readEditsFromHTML(html) {
+  const scores = {};
+  let teacherNotes = null;
+  if (!html) return { scores, teacherNotes };
+
+  for (const [tag] of String(html).matchAll(/<input\b[^>]*>/g)) {
+    if (!/\sclass="[^"]*\beditable-score\b/.test(tag)) continue;
+    const category = attribute(tag, 'data-category');
+    const points = Number(attribute(tag, 'value'));
+    if (category && attribute(tag, 'value') !== '' && Number.isFinite(points)) scores[category] = points;
+  }
+
+  const notesTag = String(html).match(/<div\b[^>]*\sclass="teacher-notes[\s"][^>]*>/);
+  if (notesTag) teacherNotes = attribute(notesTag[0], 'data-teacher-notes');
+
+  return { scores, teacherNotes };
+}
+
+// The inside of the saved essay's .formatted-essay-content div.
+function essayContentHTML(html) {
+  const open = String(html).match(/<div\b[^>]*\sclass="formatted-essay-content[\s"][^>]*>/);
+  if (!open) return null;
+  const from = open.index + open[0].length;
+  let depth = 1;
+  for (const tag of String(html).slice(from).matchAll(/<(\/?)div\b[^>]*>/g)) {
+    depth += tag[1] ? -1 : 1;
+    if (depth === 0) return String(html).slice(from, from + tag.index);
+  }
+  return null;
+}
+
+// Comments, tags (with quoted attributes) and the text between them.
+const HTML_TOKEN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b(?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+/g;
+
+// Elements in the essay whose text isn't the student's: caret markers and
+// edit controls.
+function isNotEssayText(tag, tagName) {
+  const name = tagName.toLowerCase();
+  return ['button', 'textarea', 'select'].includes(name) ||
+    (name === 'span' && /\sclass="[^"]*\bcaret-marker\b/.test(tag));
+}
+
+/**
+ * The essay's text and <mark> tags, in order, with comments and whatever is
+ * inside caret markers and edit controls left out. Elements are skipped up
+ * to their own closing tag, past any of the same name nested in them.
+ * @param {string} content - HTML inside the .formatted-essay-content div
+ * @returns {Array<{text: string}|{mark: string, closing: boolean}>}
+ */
+function essayTokens(content) {
+  const tokens = [];
+  let skipping = null;
+  let depth = 0;
+  for (const [token, closing, tagName] of content.matchAll(HTML_TOKEN)) {
+    if (token.startsWith('<!--')) continue;
+    if (skipping) {
+      if (tagName && tagName.toLowerCase() === skipping) depth += closing ? -1 : 1;
+      if (depth === 0) skipping = null;
+    } else if (!tagName) {
+      tokens.push({ text: token });
+    } else if (!closing && isNotEssayText(token, tagName) && !token.endsWith('/>')) {
+      skipping = tagName.toLowerCase();
+      depth = 1;
+    } else if (tagName.toLowerCase() === 'mark') {
+      tokens.push({ mark: token, closing: !!closing });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Highlights as the teacher left them in a saved essay's rendered HTML.
+ * Adding, deleting and editing highlights on the results or account page
+ * only changes the <mark>s there, so they are newer than the stored
+ * inline_issues. Marks are placed back on the essay text by matching its
+ * characters, whitespace aside; parts of one highlight (split across
+ * paragraphs or around an overlapping one) come back as one issue.
+ * Highlights excluded from the PDF are left out.
+ * @param {string} html - saved_essays.renderedHTML
+ * @param {string} text - the essay the HTML was rendered from
+ * @returns {Array<Object>|null} inline_issues, or null when the HTML has no
+ *   essay or doesn't match the text
+ */
+function readHighlightsFromHTML(html, text) {
+  const content = html && text ? essayContentHTML(html) : null;
+  if (content === null) return null;
+
+  // Offset in `text` of each non-whitespace character.
+  const offsets = [];
+  for (const match of String(text).matchAll(/\S/gu)) offsets.push(match.index);
+
+  const marks = [];
+  const open = [];
+  let seen = '';
+  let count = 0;
+  for (const token of essayTokens(content)) {
+    if (token.mark === undefined) {
+      const chars = decodeEntities(token.text).replace(/\s/g, '');
+      seen += chars;
+      count += [...chars].length;
+    } else if (!token.closing) {
+      open.push({ tag: token.mark, start: count });
+    } else if (open.length) {
+      marks.push({ ...open.pop(), end: count });
+    }
+  }
+  if (seen !== String(text).replace(/\s/g, '')) return null;
+
+  const issues = [];
+  const keys = new Map();
+  const groups = new Map();
+  for (const mark of marks.sort((a, b) => a.start - b.start || b.end - a.end)) {
+    const category = attribute(mark.tag, 'data-category') || attribute(mark.tag, 'data-type');
+    if (!category || attribute(mark.tag, 'data-exclude-from-pdf') === 'true' || mark.end <= mark.start) continue;
+
+    const start = offsets[mark.start];
+    const last = offsets[mark.end - 1];
+    const end = last + String.fromCodePoint(text.codePointAt(last)).length;
+    const issue = {
+      category,
+      text: text.slice(start, end),
+      start,
+      end,
+      correction: attribute(mark.tag, 'data-correction') || '',
+      explanation: attribute(mark.tag, 'data-explanation') || '',
+    };
+    const revision = attribute(mark.tag, 'data-revision');
+    if (revision) issue.revision_status = revision;
+    if (attribute(mark.tag, 'data-coaching-only') === 'true') issue.coaching_only = true;
+
+    const group = attribute(mark.tag, 'data-highlight-group');
+    const key = JSON.stringify([category, issue.correction, issue.explanation, revision, issue.coaching_only]);
+    const earlier = group ? groups.get(group) : issues.find(i => i.end === start && keys.get(i) === key);
+    if (earlier) {
+      earlier.end = Math.max(earlier.end, end);
+      earlier.text = text.slice(earlier.start, earlier.end);
+      continue;
+    }
+    issues.push(issue);
+    keys.set(issue, key);
+    if (group) groups.set(group, issue);
+  }
+  return issues;
+}
+
+export {
+  readEditsFromHTML,
+  readHighlightsFromHTML,
+};
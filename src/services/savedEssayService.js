@@ -1,6 +1,9 @@
 // Saved Essay Service
 // Handles CRUD operations for saved essays in the database
 
+import { matchStudent } from './roster.js';
+import { isOwnSave } from '../../grader/similarity.js';
+
 /**
  * Get Prisma client with runtime check
  */
@@ -14,17 +17,48 @@ async function getPrismaClient() {
   }
 }
 
+/**
+ * The roster entry a saved essay belongs to: the given studentId when it is
+ * one of the user's students, otherwise a match of the name against the
+ * class profile's roster. Null when neither works out.
+ */
+async function resolveStudentId(prisma, userId, { classProfileId, studentName, studentId }) {
+  if (studentId) {
+    const student = await prisma.students.findFirst({ where: { id: studentId, userId }, select: { id: true } });
+    if (student) return student.id;
+  }
+  if (!classProfileId || !studentName) return null;
+  const roster = await prisma.students.findMany({
+    where: { classProfileId, userId },
+    select: { id: true, name: true, externalId: true, aliases: true },
+  });
+  return matchStudent(studentName, roster).student?.id || null;
+}
+
+/**
+ * The given assignment ID when it's one of the user's, otherwise null.
+ */
+async function resolveAssignmentId(prisma, userId, assignmentId) {
+  if (!assignmentId) return null;
+  const assignment = await prisma.assignments.findFirst({ where: { id: assignmentId, userId }, select: { id: true } });
+  return assignment ? assignment.id : null;
+}
+
 /**
  * Save a new essay
  * @param {string} userId - User ID
  * @param {Object} data - Essay data
  * @param {string} data.classProfileId - Optional class profile ID
  * @param {string} data.studentName - Student name
+ * @param {string} [data.studentId] - Roster entry; matched from studentName when omitted
+ * @param {string} [data.assignmentId] - Assignment the essay was graded for
  * @param {string} data.renderedHTML - Rendered HTML of the essay
  * @param {string|Object} data.essayData - Essay grading data (JSON)
+ * @param {string} [data.previousEssayId] - Essay this one revises (revisionService.js)
+ * @param {number} [data.draft] - Draft number, 1 for a first draft
  * @returns {Promise<Object|null>} Created essay or null on failure
  */
-async function saveEssay(userId, { classProfileId, studentName, renderedHTML, essayData }) {
+async function saveEssay(userId, { classProfileId, studentName, studentId, assignmentId, renderedHTML, essayData, previousEssayId, draft }) {
   const prisma = await getPrismaClient();
   if (!prisma || !userId) return null;
 
@@ -38,6 +72,10 @@ async function saveEssay(userId, { classProfileId, studentName, renderedHTML, es
         userId,
         classProfileId: classProfileId || null,
         studentName,
+        studentId: await resolveStudentId(prisma, userId, { classProfileId, studentName, studentId }),
+        assignmentId: await resolveAssignmentId(prisma, userId, assignmentId),
+        previousEssayId: previousEssayId || null,
+        draft: draft || 1,
         renderedHTML,
         essayData: dataString,
       },
@@ -162,4 +200,48 @@ async function deleteEssay(id, userId) {
   }
 }
 
-export { saveEssay, updateEssay, getEssaysByUser, getEssayById, deleteEssay };
+/**
+ * Get the student text of a user's saved essays, for the zero-rule copying
+ * check (grader/screening.js) and the batch similarity report
+ * (grader/similarity.js). The essays of `ownEssay`'s student are skipped
+ * (similarity.js isOwnSave) — a regrade of an essay the teacher already
+ * saved would otherwise match itself.
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {{id?: string|null, studentId?: string|null, label?: string|null}} [options.ownEssay]
+ *   the essay being graded: its saved id, roster student and name
+ * @param {string} [options.classProfileId] - Only essays saved for this class profile
+ * @param {number} [options.limit=200] - Most recent essays to check
+ * @returns {Promise<Array<{source: string, id: string, label: string, studentId: string|null, text: string}>>}
+ */
+async function getEssayTextsForScreening(userId, { ownEssay = null, classProfileId = null, limit = 200 } = {}) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return [];
+
+  try {
+    const essays = await prisma.saved_essays.findMany({
+      where: {
+        userId,
+        ...(classProfileId ? { classProfileId } : {}),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: { id: true, studentName: true, studentId: true, essayData: true },
+    });
+
+    return essays.map(essay => {
+      let text = null;
+      try {
+        text = JSON.parse(essay.essayData)?.originalData?.studentText || null;
+      } catch {
+        // Unparseable essayData — nothing to compare against.
+      }
+      return { source: 'saved', id: essay.id, label: essay.studentName, studentId: essay.studentId ?? null, text };
+    }).filter(entry => entry.text && !(ownEssay && isOwnSave(entry, ownEssay)));
+  } catch (error) {
+    console.error('[SAVED_ESSAY] GetTextsForScreening error:', error.message);
+    return [];
+  }
+}
+
+export { saveEssay, updateEssay, getEssaysByUser, getEssayById, deleteEssay, getEssayTextsForScreening };
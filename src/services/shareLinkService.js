@@ -0,0 +1,125 @@
+// Share Link Service
+// Stores the read-only links teachers give students to their graded essays
+// (pure rules in shareLinks.js). Only the token's hash is kept, so a link is
+// shown to the teacher once, when it's made.
+
+import { randomBytes } from 'crypto';
+import { hashToken } from './authService.js';
+import { shareExpiry, shareLinkStatus, shareLinkSummary } from './shareLinks.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[SHARE_LINK] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Make a link to one of the user's saved essays.
+ * @param {string} essayId
+ * @param {string} userId - must own the essay
+ * @param {Object} [options]
+ * @param {number} [options.expiresInDays] - see SHARE_EXPIRY_DAYS
+ * @returns {Promise<{link: Object, token: string}|{error: string, status: number}|null>}
+ *   null when the database is unavailable
+ */
+async function createShareLink(essayId, userId, { expiresInDays } = {}) {
+  const expiry = shareExpiry(expiresInDays);
+  if (expiry.error) return { error: expiry.error, status: 400 };
+
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return null;
+
+  try {
+    const essay = await prisma.saved_essays.findFirst({ where: { id: essayId, userId }, select: { id: true } });
+    if (!essay) return { error: 'Essay not found', status: 404 };
+
+    const token = randomBytes(32).toString('base64url');
+    const link = await prisma.share_links.create({
+      data: { userId, essayId, tokenHash: hashToken(token), expiresAt: expiry.expiresAt },
+    });
+    return { link: shareLinkSummary(link), token };
+  } catch (error) {
+    console.error('[SHARE_LINK] Create error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The links made for one of the user's essays, newest first.
+ * @returns {Promise<Array<Object>|null>} summaries; null when the essay isn't the user's
+ */
+async function getShareLinks(essayId, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId) return null;
+
+  try {
+    const essay = await prisma.saved_essays.findFirst({ where: { id: essayId, userId }, select: { id: true } });
+    if (!essay) return null;
+    const links = await prisma.share_links.findMany({
+      where: { essayId, userId },
+      orderBy: { createdAt: 'desc' },
+    });
+    return links.map(link => shareLinkSummary(link));
+  } catch (error) {
+    console.error('[SHARE_LINK] List error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Turn a link off. Revoking a link twice keeps the first time.
+ * @returns {Promise<Object|null>} the link's summary; null when it isn't the user's
+ */
+async function revokeShareLink(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const link = await prisma.share_links.findFirst({ where: { id, userId } });
+    if (!link) return null;
+    if (link.revokedAt) return shareLinkSummary(link);
+    const revoked = await prisma.share_links.update({ where: { id }, data: { revokedAt: new Date() } });
+    return shareLinkSummary(revoked);
+  } catch (error) {
+    console.error('[SHARE_LINK] Revoke error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The essay a link opens, counting the view. Null when the token is unknown,
+ * expired or revoked.
+ * @param {string} token
+ * @returns {Promise<{essay: Object, expiresAt: Date}|null>} essay is the saved_essays row
+ */
+async function getSharedEssay(token) {
+  if (!token || typeof token !== 'string') return null;
+  const prisma = await getPrismaClient();
+  if (!prisma) return null;
+
+  try {
+    const link = await prisma.share_links.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { saved_essays: true },
+    });
+    if (!link || shareLinkStatus(link) !== 'active') return null;
+
+    await prisma.share_links.update({
+      where: { id: link.id },
+      data: { views: { increment: 1 }, lastViewedAt: new Date() },
+    });
+    return { essay: link.saved_essays, expiresAt: link.expiresAt };
+  } catch (error) {
+    console.error('[SHARE_LINK] Open error:', error.message);
+    return null;
+  }
+}
+
+export { createShareLink, getShareLinks, revokeShareLink, getSharedEssay };
@@ -0,0 +1,100 @@
+// Share Links
+// Read-only links that let a student open their graded essay. Pure functions:
+// how long a link lasts, whether it still works, and which parts of a graded
+// result the student may see. shareLinkService stores the links.
+
+// Expiry choices offered on the account page, in days.
+const SHARE_EXPIRY_DAYS = [7, 30, 90, 365];
+const DEFAULT_EXPIRY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a new link expires.
+ * @param {number|string} [days] - one of SHARE_EXPIRY_DAYS; default 30
+ * @param {Date} [now]
+ * @returns {{expiresAt: Date}|{error: string}}
+ */
+function shareExpiry(days, now = new Date()) {
+  const value = days === undefined || days === null || days === '' ? DEFAULT_EXPIRY_DAYS : Number(days);
+  if (!SHARE_EXPIRY_DAYS.includes(value)) {
+    return { error: `expiresInDays must be one of: ${SHARE_EXPIRY_DAYS.join(', ')}` };
+  }
+  return { expiresAt: new Date(now.getTime() + value * DAY_MS) };
+}
+
+/**
+ * 'revoked', 'expired' or 'active'.
+ * @param {{expiresAt: Date|string, revokedAt?: Date|string|null}} link
+ * @param {Date} [now]
+ */
+function shareLinkStatus(link, now = new Date()) {
+  if (link.revokedAt) return 'revoked';
+  if (new Date(link.expiresAt).getTime() <= now.getTime()) return 'expired';
+  return 'active';
+}
+
+/**
+ * A link as listed on the account page. The token itself isn't stored, so
+ * it isn't here.
+ * @param {Object} link - share_links row
+ * @param {Date} [now]
+ */
+function shareLinkSummary(link, now = new Date()) {
+  return {
+    id: link.id,
+    status: shareLinkStatus(link, now),
+    createdAt: new Date(link.createdAt).toISOString(),
+    expiresAt: new Date(link.expiresAt).toISOString(),
+    revokedAt: link.revokedAt ? new Date(link.revokedAt).toISOString() : null,
+    views: link.views || 0,
+    lastViewedAt: link.lastViewedAt ? new Date(link.lastViewedAt).toISOString() : null,
+  };
+}
+
+/**
+ * The parts of a graded result a student sees, with the teacher's edits
+ * applied: scores, highlights, teacher notes and, for a resubmitted draft,
+ * what changed since the earlier one. Category notes, grading
+ * metadata, screening flags and unplaced errors are the teacher's and are
+ * left out.
+ * @param {Object} result - graded result (see progressReport.js extractResult)
+ * @param {{scores?: Object, teacherNotes?: string|null, highlights?: Array|null}} [edits] - see
+ *   savedEssayHTML.js readEditsFromHTML and readHighlightsFromHTML
+ * @returns {Object} result for formatGradedEssay
+ */
+function studentResult(result, edits = {}) {
+  const editedScores = edits.scores || {};
+
+  const scores = {};
+  let edited = false;
+  for (const [category, score] of Object.entries(result.scores || {})) {
+    if (!score) continue;
+    const points = editedScores[category] ?? score.points;
+    if (points !== score.points) edited = true;
+    scores[category] = { points, out_of: score.out_of };
+  }
+
+  // Edited points replace the stored total, as they do on screen.
+  const total = edited
+    ? { points: Object.values(scores).reduce((sum, s) => sum + (s.points || 0), 0), out_of: result.total?.out_of }
+    : { points: result.total?.points, out_of: result.total?.out_of };
+
+  return {
+    scores,
+    total,
+    inline_issues: edits.highlights || result.inline_issues || [],
+    teacher_notes: String(edits.teacherNotes ?? result.teacher_notes ?? ''),
+    rubric: result.rubric || null,
+    revision: result.revision || null,
+  };
+}
+
+export {
+  SHARE_EXPIRY_DAYS,
+  DEFAULT_EXPIRY_DAYS,
+  shareExpiry,
+  shareLinkStatus,
+  shareLinkSummary,
+  studentResult,
+};
@@ -0,0 +1,311 @@
+// Student Service
+// Handles the class roster: CRUD for students scoped to a class profile,
+// roster import, and per-student history and progress across saved essays
+// and grading events. Name matching itself lives in roster.js, the progress
+// report in progressReport.js.
+
+import { normalizeName, parseRoster, matchEssaysToRoster } from './roster.js';
+import { buildProgressReport } from './progressReport.js';
+
+/**
+ * Get Prisma client with runtime check
+ */
+async function getPrismaClient() {
+  try {
+    const { prisma } = await import('../../lib/prisma.js');
+    return prisma;
+  } catch (error) {
+    console.error('[STUDENTS] Failed to import Prisma client:', error.message);
+    return null;
+  }
+}
+
+const ROSTER_FIELDS = { id: true, name: true, externalId: true, aliases: true, classProfileId: true };
+
+function cleanAliases(aliases) {
+  const list = Array.isArray(aliases) ? aliases : String(aliases || '').split(/[;,|]/);
+  const seen = new Set();
+  return list
+    .map(a => String(a).trim())
+    .filter(a => a && !seen.has(normalizeName(a)) && seen.add(normalizeName(a)));
+}
+
+async function ownsProfile(prisma, classProfileId, userId) {
+  const profile = await prisma.class_profiles.findFirst({
+    where: { id: classProfileId, userId },
+    select: { id: true },
+  });
+  return !!profile;
+}
+
+/**
+ * Get a class profile's roster, alphabetical
+ * @param {string} classProfileId - Class profile ID
+ * @param {string} userId - User ID (for ownership check)
+ * @returns {Promise<Array>} Students (id, name, externalId, aliases, classProfileId)
+ */
+async function getStudentsByProfile(classProfileId, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !classProfileId) return [];
+
+  try {
+    return await prisma.students.findMany({
+      where: { classProfileId, userId },
+      orderBy: { name: 'asc' },
+      select: ROSTER_FIELDS,
+    });
+  } catch (error) {
+    console.error('[STUDENTS] GetByProfile error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a single student (with ownership check)
+ * @param {string} id - Student ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Student or null
+ */
+async function getStudentById(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    return await prisma.students.findFirst({ where: { id, userId } });
+  } catch (error) {
+    console.error('[STUDENTS] GetById error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Add a student to a class profile's roster
+ * @param {string} userId - User ID
+ * @param {Object} data
+ * @param {string} data.classProfileId - Class profile the student belongs to
+ * @param {string} data.name - Display name
+ * @param {string} [data.externalId] - Student number or email
+ * @param {string[]|string} [data.aliases] - Nicknames (array or comma/semicolon list)
+ * @returns {Promise<Object|null>} Created student, or null when the profile
+ *   isn't the user's or the write failed
+ */
+async function createStudent(userId, { classProfileId, name, externalId, aliases }) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !classProfileId) return null;
+
+  try {
+    if (!(await ownsProfile(prisma, classProfileId, userId))) return null;
+    return await prisma.students.create({
+      data: {
+        userId,
+        classProfileId,
+        name: name.trim(),
+        externalId: externalId ? String(externalId).trim() : null,
+        aliases: cleanAliases(aliases),
+      },
+    });
+  } catch (error) {
+    console.error('[STUDENTS] Create error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update a student (verify ownership via userId)
+ * @param {string} id - Student ID
+ * @param {string} userId - User ID
+ * @param {Object} data - Fields to update: name, externalId, aliases
+ * @returns {Promise<Object|null>} Updated student or null on failure
+ */
+async function updateStudent(id, userId, { name, externalId, aliases }) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const existing = await prisma.students.findFirst({ where: { id, userId } });
+    if (!existing) return null;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (externalId !== undefined) updateData.externalId = externalId ? String(externalId).trim() : null;
+    if (aliases !== undefined) updateData.aliases = cleanAliases(aliases);
+
+    return await prisma.students.update({ where: { id }, data: updateData });
+  } catch (error) {
+    console.error('[STUDENTS] Update error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove a student from the roster. Their saved essays stay, unlinked
+ * (FK is ON DELETE SET NULL); grading events keep the dangling id.
+ * @param {string} id - Student ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteStudent(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return false;
+
+  try {
+    const existing = await prisma.students.findFirst({ where: { id, userId } });
+    if (!existing) return false;
+
+    await prisma.students.delete({ where: { id } });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2025') return true;
+    console.error('[STUDENTS] Delete error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Import a pasted roster (see parseRoster for the accepted formats) into a
+ * class profile. A row updates the existing student with the same external
+ * id, or failing that the same name; anything else is created. Updating
+ * only fills in a missing external id and adds new nicknames, so
+ * re-importing the same list is harmless.
+ * @param {string} classProfileId - Class profile ID
+ * @param {string} userId - User ID
+ * @param {string} text - Pasted roster
+ * @returns {Promise<{created: number, updated: number, skipped: number}|null>}
+ *   null when the profile isn't the user's or the import failed
+ */
+async function importRoster(classProfileId, userId, text) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !classProfileId) return null;
+
+  const { students: rows, skipped } = parseRoster(text);
+
+  try {
+    if (!(await ownsProfile(prisma, classProfileId, userId))) return null;
+
+    const roster = await prisma.students.findMany({ where: { classProfileId, userId } });
+    const summary = { created: 0, updated: 0, skipped };
+
+    for (const row of rows) {
+      const existing = (row.externalId && roster.find(s => s.externalId === row.externalId))
+        || roster.find(s => normalizeName(s.name) === normalizeName(row.name));
+
+      if (!existing) {
+        const created = await prisma.students.create({
+          data: { userId, classProfileId, name: row.name, externalId: row.externalId, aliases: cleanAliases(row.aliases) },
+        });
+        roster.push(created);
+        summary.created++;
+        continue;
+      }
+
+      const aliases = cleanAliases([...existing.aliases, ...row.aliases]);
+      const externalId = existing.externalId || row.externalId;
+      if (aliases.length === existing.aliases.length && externalId === existing.externalId) {
+        summary.skipped++;
+        continue;
+      }
+      const updated = await prisma.students.update({ where: { id: existing.id }, data: { aliases, externalId } });
+      roster[roster.indexOf(existing)] = updated;
+      summary.updated++;
+    }
+
+    return summary;
+  } catch (error) {
+    console.error('[STUDENTS] Import error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Link essays to a class profile's roster by name.
+ * @param {string} classProfileId - Class profile ID
+ * @param {string} userId - User ID
+ * @param {Array<{studentName?: string, studentNickname?: string, studentId?: string}>} essays
+ * @returns {Promise<Array<{studentId: string|null, method: string|null}>>} one per
+ *   essay; all unmatched when there's no roster
+ */
+async function matchEssaysForProfile(classProfileId, userId, essays) {
+  const roster = await getStudentsByProfile(classProfileId, userId);
+  return matchEssaysToRoster(essays, roster);
+}
+
+/**
+ * A student's record across assignments: their saved essays and every
+ * grading event logged for them, newest first.
+ * @param {string} id - Student ID
+ * @param {string} userId - User ID
+ * @returns {Promise<{student: Object, essays: Array, events: Array}|null>}
+ */
+async function getStudentHistory(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const student = await prisma.students.findFirst({ where: { id, userId }, select: ROSTER_FIELDS });
+    if (!student) return null;
+
+    const [essays, events] = await Promise.all([
+      prisma.saved_essays.findMany({
+        where: { studentId: id, userId },
+        orderBy: { createdAt: 'desc' },
+        select: { id: true, classProfileId: true, studentName: true, createdAt: true, updatedAt: true },
+      }),
+      prisma.grading_events.findMany({
+        where: { studentId: id, userId },
+        orderBy: { createdAt: 'desc' },
+        select: { id: true, createdAt: true, action: true, classProfileId: true, studentNickname: true, status: true },
+      }),
+    ]);
+
+    return { student, essays, events };
+  } catch (error) {
+    console.error('[STUDENTS] History error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * A student's progress report over their saved essays (see
+ * buildProgressReport).
+ * @param {string} id - Student ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { student, ...report }, or null when the
+ *   student isn't the user's or the query failed
+ */
+async function getStudentProgress(id, userId) {
+  const prisma = await getPrismaClient();
+  if (!prisma || !userId || !id) return null;
+
+  try {
+    const student = await prisma.students.findFirst({ where: { id, userId }, select: ROSTER_FIELDS });
+    if (!student) return null;
+
+    const essays = await prisma.saved_essays.findMany({
+      where: { studentId: id, userId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        createdAt: true,
+        essayData: true,
+        assignments: { select: { id: true, title: true, dueDate: true } },
+      },
+    });
+
+    return { student, ...buildProgressReport(essays) };
+  } catch (error) {
+    console.error('[STUDENTS] Progress error:', error.message);
+    return null;
+  }
+}
+
+export {
+  getStudentsByProfile,
+  getStudentById,
+  createStudent,
+  updateStudent,
+  deleteStudent,
+  importRoster,
+  matchEssaysForProfile,
+  getStudentHistory,
+  getStudentProgress,
+};
@@ -16,17 +16,30 @@ function applyTemperatureAdjustment(gradingResult, temperature) {
 
   const adjustedResult = JSON.parse(JSON.stringify(gradingResult)); // Deep clone
 
+  // A grade zeroed by screening (grader/screening.js) stays at 0 until the
+  // teacher confirms; adjust the held-back scores instead, so dismissing the
+  // flag restores the adjusted grade.
+  const heldScores = adjustedResult.screening?.zeroed ? adjustedResult.screening.original_scores : null;
+
   for (const [category, scoreData] of Object.entries(adjustedResult.scores || {})) {
-    const originalPoints = scoreData.points;
+    const originalPoints = heldScores ? heldScores[category] : scoreData.points;
     const maxPoints = scoreData.out_of;
 
     // Calculate adjustment: +0.5 temp = +5% of max points, +1 temp = +10% of max points
     const adjustment = maxPoints * (temperature * 0.1);
-    const adjustedPoints = Math.min(maxPoints, Math.max(0, originalPoints + adjustment));
+    const adjustedPoints = Math.round(Math.min(maxPoints, Math.max(0, originalPoints + adjustment)));
+
+    if (heldScores) {
+      heldScores[category] = adjustedPoints;
+    } else {
+      scoreData.points = adjustedPoints;
+    }
 
-    scoreData.points = Math.round(adjustedPoints);
+    console.log(`  ${category}: ${originalPoints} → ${adjustedPoints} (out of ${maxPoints}) [+${Math.round(adjustment)}]`);
+  }
 
-    console.log(`  ${category}: ${originalPoints} → ${scoreData.points} (out of ${maxPoints}) [+${Math.round(adjustment)}]`);
+  if (heldScores) {
+    adjustedResult.screening.original_total = Object.values(heldScores).reduce((sum, points) => sum + points, 0);
   }
 
   // Update total score
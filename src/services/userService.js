@@ -2,6 +2,8 @@
  * User service for managing user authentication and operations
  */
 
+import { hashPassword, verifyPassword, normalizeEmail } from './authService.js';
+
 class UserService {
   constructor() {
     console.log('[USER_SERVICE] Constructor initialized');
@@ -143,6 +145,134 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Record that the user proved they own their email address
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated user object
+   */
+  async markEmailVerified(userId) {
+    const prisma = await this.getPrismaClient();
+    if (!prisma) {
+      throw new Error('Database not available');
+    }
+
+    return prisma.users.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date(), updatedAt: new Date() }
+    });
+  }
+
+  /**
+   * Set (or replace) the user's password
+   * @param {string} userId - User ID
+   * @param {string} password - Plain-text password, already checked by passwordProblem()
+   * @returns {Promise<void>}
+   */
+  async setPassword(userId, password) {
+    const prisma = await this.getPrismaClient();
+    if (!prisma) {
+      throw new Error('Database not available');
+    }
+
+    await prisma.users.update({
+      where: { id: userId },
+      data: { passwordHash: await hashPassword(password), updatedAt: new Date() }
+    });
+    console.log(`[USER_SERVICE] Password set for user ${userId}`);
+  }
+
+  /**
+   * Check an email + password. Only verified accounts with a password can
+   * sign in this way.
+   * @param {string} email - User email
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object|null>} User object, or null when the credentials don't match
+   */
+  async verifyCredentials(email, password) {
+    const user = await this.findUserByEmail(normalizeEmail(email));
+    if (!user || !user.passwordHash || !user.emailVerifiedAt) {
+      // Hash anyway so a missing account takes as long as a wrong password.
+      await hashPassword(String(password || ''));
+      return null;
+    }
+    return (await verifyPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  /**
+   * The user an OIDC or LTI identity was linked to, if any
+   * @param {string} issuer - Provider or platform issuer
+   * @param {string} subject - The user's id there
+   * @returns {Promise<Object|null>} User object
+   */
+  async findUserByOidcIdentity(issuer, subject) {
+    const prisma = await this.getPrismaClient();
+    if (!prisma) {
+      throw new Error('Database not available');
+    }
+
+    const linked = await prisma.oidc_identities.findUnique({
+      where: { issuer_subject: { issuer, subject } },
+      include: { users: true }
+    });
+    return linked ? linked.users : null;
+  }
+
+  /**
+   * Link an identity to a signed-in user, who has confirmed it's theirs. The
+   * identity's email proves nothing here, so it's stored but not verified.
+   * @param {string} userId - User ID
+   * @param {{issuer: string, subject: string, email: string}} identity
+   * @returns {Promise<boolean>} false when the identity belongs to another user
+   */
+  async linkOidcIdentity(userId, { issuer, subject, email }) {
+    const prisma = await this.getPrismaClient();
+    if (!prisma) {
+      throw new Error('Database not available');
+    }
+
+    const existing = await prisma.oidc_identities.findUnique({
+      where: { issuer_subject: { issuer, subject } }
+    });
+    if (existing) return existing.userId === userId;
+
+    await prisma.oidc_identities.create({
+      data: { userId, issuer, subject, email }
+    });
+    console.log(`[USER_SERVICE] Linked identity ${issuer} to user ${userId}`);
+    return true;
+  }
+
+  /**
+   * Find the user an OIDC sign-in belongs to, linking or creating one as needed:
+   * an identity seen before signs in its user; otherwise a verified email
+   * links to (or registers) the account with that address.
+   * @param {{issuer: string, subject: string, email: string|null, emailVerified: boolean}} identity
+   * @returns {Promise<Object|null>} User object, or null when the identity can't be linked
+   */
+  async findOrCreateOidcUser({ issuer, subject, email, emailVerified }) {
+    const prisma = await this.getPrismaClient();
+    if (!prisma) {
+      throw new Error('Database not available');
+    }
+
+    const linked = await this.findUserByOidcIdentity(issuer, subject);
+    if (linked) return linked;
+
+    // An unverified email could be anyone's; don't attach it to an account.
+    if (!email || !emailVerified) {
+      console.warn(`[USER_SERVICE] OIDC identity ${issuer} ${subject} has no verified email`);
+      return null;
+    }
+
+    const user = await this.loginOrRegister(email);
+    await prisma.oidc_identities.create({
+      data: { userId: user.id, issuer, subject, email }
+    });
+    if (!user.emailVerifiedAt) await this.markEmailVerified(user.id);
+    console.log(`[USER_SERVICE] Linked OIDC identity ${issuer} to ${email}`);
+    return user;
+  }
 }
 
 export default UserService;
\ No newline at end of file
@@ -0,0 +1,84 @@
+// ZIP Reader
+// Reads the files out of a zip archive with node:zlib: the counterpart of
+// zipWriter.js, for essay imports (ZIP downloads of submissions, and DOCX
+// files, which are zips). Stored and deflated entries only; no encryption,
+// no Zip64, no multi-disk archives.
+
+import { inflateRawSync } from 'node:zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Guards against zip bombs: the archive may not unpack to more than this.
+const MAX_ENTRIES = 500;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+
+function endOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB at the very end.
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new Error('Not a zip archive');
+}
+
+/**
+ * The files in a zip archive, in directory order. Folders are left out;
+ * encrypted entries come back with data null.
+ * @param {Buffer} buffer
+ * @param {{maxEntries?: number, maxTotalSize?: number}} limits
+ * @returns {Array<{name: string, data: Buffer|null}>}
+ * @throws when the archive is malformed, uses Zip64 or exceeds the limits
+ */
+function readZip(buffer, { maxEntries = MAX_ENTRIES, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+  if (buffer.length < 22) throw new Error('Not a zip archive');
+  const eocd = endOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+  if (count > maxEntries) throw new Error(`The zip holds more than ${maxEntries} files`);
+
+  const files = [];
+  let totalSize = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // Bit 11 marks UTF-8 names; older Windows zips use the DOS code page,
+    // which latin1 covers for the ASCII range.
+    const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) {
+      files.push({ name, data: null });
+      continue;
+    }
+    totalSize += size;
+    if (totalSize > maxTotalSize) throw new Error('The zip unpacks to more than the import allows');
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error('Corrupt zip entry');
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`Unsupported zip compression method ${method}`);
+    files.push({ name, data });
+  }
+  return files;
+}
+
+export {
+  readZip,
+};
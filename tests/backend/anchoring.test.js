@@ -0,0 +1,70 @@
+/**
+ * Error anchoring (grader/anchoring.js) — placing detected errors on the
+ * right occurrence of repeated text. The corpus in fixtures/repeated-phrases.json
+ * holds the tricky cases; each names the whole-word occurrence it expects.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { anchorError, anchorErrors, findCandidates } from '../../grader/anchoring.js';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+
+const CORPUS = JSON.parse(readFileSync(
+  join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'repeated-phrases.json'), 'utf8'));
+
+describe('repeated-phrase corpus', () => {
+  it.each(CORPUS.map(c => [c.name, c]))('%s', (_name, { text, error, expect: expected }) => {
+    const anchor = anchorError(text, error);
+    if (expected.unresolved) {
+      expect(anchor).toEqual({ unresolved: expected.unresolved });
+      return;
+    }
+    const target = findCandidates(text, error.error_text)[expected.occurrence - 1];
+    expect({ start: anchor.start, end: anchor.end }).toEqual(target);
+    expect(anchor.method).toBe(expected.method);
+    if (expected.text) expect(text.slice(anchor.start, anchor.end)).toBe(expected.text);
+  });
+});
+
+describe('anchorErrors', () => {
+  it('anchors each error separately and reports the ones it cannot place', () => {
+    const text = 'He are my friend and he are kind.';
+    const { inline_issues, unresolved } = anchorErrors([
+      { category: 'grammar', error_text: 'he are', context_before: 'friend and', context_after: 'kind.', correction: 'he is' },
+      { category: 'grammar', error_text: 'He are', context_after: 'my friend', correction: 'He is' },
+      { category: 'spelling', error_text: 'freind', correction: 'friend' },
+    ], text);
+
+    expect(inline_issues.map(i => [i.text, i.start])).toEqual([['he are', 21], ['He are', 0]]);
+    expect(inline_issues[0].anchor).toEqual({ method: 'unique', candidates: 1 });
+    expect(unresolved).toEqual([
+      { category: 'spelling', text: 'freind', correction: 'friend', explanation: undefined, reason: 'not_found' },
+    ]);
+  });
+});
+
+describe('grading with repeated errors', () => {
+  const ESSAY = 'I recieve letters. My sister recieve them too.';
+  const PROFILE = { cefrLevel: 'B1', vocabulary: [], grammar: [] };
+
+  it('highlights every occurrence, not the first one twice', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE);
+    const spellings = result.inline_issues.filter(i => i.category === 'spelling');
+    expect(spellings.map(i => i.start)).toEqual([2, 29]);
+
+    const { formattedText } = formatGradedEssay(ESSAY, result);
+    expect((formattedText.match(/>recieve</g) || []).length).toBe(2);
+  });
+
+  it('lists unresolved errors instead of highlighting them', () => {
+    const result = {
+      scores: {}, total: { points: 0, out_of: 100 }, inline_issues: [],
+      unresolved_issues: [{ category: 'grammar', text: 'she do not like', correction: "she doesn't like", reason: 'not_found' }],
+    };
+    const { feedbackSummary } = formatGradedEssay("She don't like winter.", result);
+    expect(feedbackSummary).toContain('class="unresolved-issues no-pdf no-print"');
+    expect(feedbackSummary).toContain('"she do not like"');
+  });
+});
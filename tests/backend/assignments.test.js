@@ -0,0 +1,55 @@
+/**
+ * Assignments (src/services/assignmentService.js) — what an assignment
+ * overrides when it's laid over its class profile for grading.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { applyAssignment } from '../../src/services/assignmentService.js';
+
+const PROFILE = {
+  id: 'p1',
+  name: 'B1 Tuesday',
+  cefrLevel: 'B1',
+  prompt: 'Describe your hometown in 200-220 words.',
+  requiredWordCountMin: 200,
+  requiredWordCountMax: 220,
+  rubricId: 'r-class',
+  rubricVersion: 2,
+  temperature: 0.5,
+};
+
+describe('applyAssignment', () => {
+  it('returns the profile unchanged without an assignment', () => {
+    expect(applyAssignment(PROFILE, null)).toBe(PROFILE);
+  });
+
+  it('replaces prompt, word count and rubric, and keeps the class settings', () => {
+    const merged = applyAssignment(PROFILE, {
+      id: 'a1', title: 'Opinion essay', prompt: 'Should homework be banned?',
+      requiredWordCountMin: 150, requiredWordCountMax: 180, rubricId: 'r-opinion', rubricVersion: null,
+    });
+    expect(merged).toMatchObject({
+      id: 'p1', cefrLevel: 'B1', temperature: 0.5,
+      assignmentId: 'a1', assignmentTitle: 'Opinion essay',
+      prompt: 'Should homework be banned?',
+      requiredWordCountMin: 150, requiredWordCountMax: 180,
+      rubricId: 'r-opinion', rubricVersion: null,
+    });
+  });
+
+  it('drops the profile word count when the assignment brings its own prompt', () => {
+    const merged = applyAssignment(PROFILE, { id: 'a2', title: 'Letter', prompt: 'Write a letter (about 120 words).' });
+    expect(merged.requiredWordCountMin).toBeNull();
+    expect(merged.requiredWordCountMax).toBeNull();
+    expect(merged.rubricId).toBe('r-class');
+  });
+
+  it('falls back to the profile for everything the assignment leaves blank', () => {
+    const merged = applyAssignment(PROFILE, { id: 'a3', title: 'Re-sit', prompt: null, rubricId: null });
+    expect(merged).toMatchObject({
+      prompt: PROFILE.prompt,
+      requiredWordCountMin: 200, requiredWordCountMax: 220,
+      rubricId: 'r-class', rubricVersion: 2,
+      assignmentId: 'a3',
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Sign-in routes (src/routes/auth.js) over an in-memory stand-in for the
+ * tables they use — what a GET of an emailed link does and doesn't do, and
+ * the limit on failed password sign-ins.
+ */
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import session from 'express-session';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import { table } from '../setup/memory-table.js';
+
+const db = {};
+jest.unstable_mockModule('../../lib/prisma.js', () => ({ prisma: db }));
+
+const { default: authRoutes } = await import('../../src/routes/auth.js');
+const {
+  hashPassword,
+  hashToken,
+  PASSWORD_MAX_FAILURES_PER_EMAIL,
+  PASSWORD_MAX_FAILURES_PER_IP,
+} = await import('../../src/services/authService.js');
+
+function app() {
+  const server = express();
+  server.use(express.json());
+  server.use(express.urlencoded({ extended: true }));
+  server.use(cookieParser('test-secret'));
+  server.use(session({ secret: 'test-secret', resave: false, saveUninitialized: false }));
+  server.use('/auth', authRoutes);
+  return server;
+}
+
+beforeEach(() => {
+  Object.assign(db, { auth_tokens: table(), login_failures: table(), users: table(), oidc_identities: table() });
+});
+
+describe('sign-in links', () => {
+  const TOKEN = 'emailed-token';
+
+  beforeEach(async () => {
+    await db.auth_tokens.create({
+      data: { email: 'teacher@school.edu', tokenHash: hashToken(TOKEN), expiresAt: new Date(Date.now() + 60_000), usedAt: null },
+    });
+  });
+
+  it('opens a page that posts the token, without using it up', async () => {
+    const page = await request(app()).get(`/auth/verify?token=${TOKEN}`);
+
+    expect(page.status).toBe(200);
+    expect(page.headers['cache-control']).toBe('no-store');
+    expect(page.text).toContain('<form method="POST" action="/auth/verify">');
+    expect(page.text).toContain(`name="token" value="${TOKEN}"`);
+    expect(db.auth_tokens.rows[0].usedAt).toBeNull();
+    expect(db.users.rows).toHaveLength(0);
+
+    // A mail scanner opening it again changes nothing either.
+    await request(app()).get(`/auth/verify?token=${TOKEN}`);
+    expect(db.auth_tokens.rows[0].usedAt).toBeNull();
+  });
+
+  it('signs in on the page\'s POST and uses the token up', async () => {
+    const signIn = await request(app()).post('/auth/verify').type('form').send({ token: TOKEN });
+
+    expect(signIn.status).toBe(302);
+    expect(signIn.headers.location).toBe('/');
+    expect(signIn.headers['set-cookie'].join(';')).toContain('userId=');
+    expect(db.auth_tokens.rows[0].usedAt).toBeInstanceOf(Date);
+    expect(db.users.rows).toEqual([expect.objectContaining({ email: 'teacher@school.edu', emailVerifiedAt: expect.any(Date) })]);
+
+    const again = await request(app()).post('/auth/verify').type('form').send({ token: TOKEN });
+    expect(again.headers.location).toBe('/login?error=link_invalid');
+  });
+
+  it('sends a GET without a token back to the login page', async () => {
+    const page = await request(app()).get('/auth/verify');
+    expect(page.headers.location).toBe('/login?error=link_invalid');
+  });
+});
+
+describe('password sign-in', () => {
+  const EMAIL = 'teacher@school.edu';
+  const PASSWORD = 'correct horse battery';
+
+  beforeEach(async () => {
+    await db.users.create({ data: { email: EMAIL, passwordHash: await hashPassword(PASSWORD), emailVerifiedAt: new Date() } });
+  });
+
+  const login = (password, ip = '203.0.113.7') =>
+    request(app()).post('/auth/login').set('X-Forwarded-For', ip).send({ email: EMAIL, password });
+
+  it('stops accepting passwords for an address after repeated failures', async () => {
+    for (let i = 0; i < PASSWORD_MAX_FAILURES_PER_EMAIL; i++) {
+      expect((await login('wrong password!')).status).toBe(401);
+    }
+
+    const locked = await login(PASSWORD);
+    expect(locked.status).toBe(429);
+    expect(locked.body.error).toMatch(/Too many failed sign-in attempts/);
+    expect(db.login_failures.rows).toHaveLength(PASSWORD_MAX_FAILURES_PER_EMAIL);
+  });
+
+  it('clears the address\'s failures on a successful sign-in', async () => {
+    expect((await login('wrong password!')).status).toBe(401);
+    const ok = await login(PASSWORD);
+    expect(ok.status).toBe(200);
+    expect(ok.body.success).toBe(true);
+    expect(db.login_failures.rows).toHaveLength(0);
+  });
+
+  describe('on Vercel, which sets X-Forwarded-For', () => {
+    beforeEach(() => { process.env.VERCEL = '1'; });
+    afterEach(() => { delete process.env.VERCEL; });
+
+    it('limits failures from one IP across addresses', async () => {
+      // Failures already recorded from this IP against other addresses.
+      for (let i = 0; i < PASSWORD_MAX_FAILURES_PER_IP; i++) {
+        await db.login_failures.create({ data: { email: `student${i}@school.edu`, ip: '203.0.113.7' } });
+      }
+      expect((await login(PASSWORD, '203.0.113.7, 10.0.0.1')).status).toBe(429);
+      expect((await login(PASSWORD, '198.51.100.2')).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Authentication building blocks — password hashing, sign-in link tokens,
+ * the mailer transports and OIDC ID token checks. The routes themselves need
+ * a database and aren't exercised here.
+ */
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  hashPassword,
+  verifyPassword,
+  passwordProblem,
+  hashToken,
+  isValidEmail,
+  sendMagicLink,
+} from '../../src/services/authService.js';
+import { registerTransport, sendMail, resetMailer } from '../../src/services/mailer.js';
+import { decodeJwtPayload, validateIdTokenClaims } from '../../src/services/oidcService.js';
+
+describe('passwords', () => {
+  it('hashes with a fresh salt and verifies', async () => {
+    const first = await hashPassword('correct horse battery');
+    const second = await hashPassword('correct horse battery');
+    expect(first).toMatch(/^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+    expect(first).not.toBe(second);
+    expect(await verifyPassword('correct horse battery', first)).toBe(true);
+    expect(await verifyPassword('correct horse batter', first)).toBe(false);
+  });
+
+  it('rejects missing or malformed hashes', async () => {
+    expect(await verifyPassword('anything', null)).toBe(false);
+    expect(await verifyPassword('anything', 'md5$abc')).toBe(false);
+    expect(await verifyPassword(undefined, await hashPassword('something long'))).toBe(false);
+  });
+
+  it('requires a minimum length', () => {
+    expect(passwordProblem('short')).toMatch(/at least 10/);
+    expect(passwordProblem('long enough now')).toBeNull();
+  });
+});
+
+describe('sign-in links', () => {
+  it('stores tokens only as a stable hash', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken('abc')).not.toContain('abc');
+  });
+
+  it('refuses invalid addresses before touching the database', async () => {
+    expect(isValidEmail(' Teacher@School.edu ')).toBe(true);
+    expect(await sendMagicLink('not-an-email', 'http://localhost:3001')).toEqual({ sent: false, reason: 'invalid_email' });
+  });
+});
+
+describe('mailer', () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = mkdtempSync(join(tmpdir(), 'outbox-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_OUTBOX_DIR = outbox;
+    resetMailer();
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_OUTBOX_DIR;
+    resetMailer();
+    rmSync(outbox, { recursive: true, force: true });
+  });
+
+  it('writes messages to the outbox with the file transport', async () => {
+    await sendMail({ to: 'a@b.co', subject: 'Hi', text: 'Link: http://x/auth/verify?token=t' });
+    const files = readdirSync(outbox);
+    expect(files).toHaveLength(1);
+    const message = JSON.parse(readFileSync(join(outbox, files[0]), 'utf8'));
+    expect(message).toMatchObject({ to: 'a@b.co', subject: 'Hi', from: 'LMGM <no-reply@localhost>' });
+  });
+
+  it('sends through a registered transport', async () => {
+    const sent = [];
+    registerTransport('memory', () => ({ async send(message) { sent.push(message); return { id: '1' }; } }));
+    process.env.MAIL_TRANSPORT = 'memory';
+    expect(await sendMail({ to: 'a@b.co', subject: 'Hi', text: '' })).toEqual({ id: '1' });
+    expect(sent.map(m => m.to)).toEqual(['a@b.co']);
+  });
+
+  it('rejects an unknown transport', async () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    await expect(sendMail({ to: 'a@b.co', subject: 'Hi', text: '' })).rejects.toThrow('Unknown MAIL_TRANSPORT');
+  });
+});
+
+describe('OIDC ID token claims', () => {
+  const expected = { issuer: 'https://accounts.google.com', clientId: 'client-1', nonce: 'n-1', now: 1_000_000 };
+  const claims = { iss: 'https://accounts.google.com', aud: 'client-1', sub: '42', nonce: 'n-1', exp: 1_000_300, iat: 1_000_000 };
+
+  it('accepts matching claims, including Google\'s bare issuer', () => {
+    expect(() => validateIdTokenClaims(claims, expected)).not.toThrow();
+    expect(() => validateIdTokenClaims({ ...claims, iss: 'accounts.google.com' }, expected)).not.toThrow();
+    expect(() => validateIdTokenClaims({ ...claims, aud: ['other', 'client-1'] }, expected)).not.toThrow();
+  });
+
+  it.each([
+    ['issuer', { iss: 'https://evil.example' }, 'issuer mismatch'],
+    ['audience', { aud: 'other-client' }, 'audience mismatch'],
+    ['expiry', { exp: 999_000 }, 'expired'],
+    ['nonce', { nonce: 'replayed' }, 'nonce mismatch'],
+    ['subject', { sub: '' }, 'no subject'],
+  ])('rejects a wrong %s', (_name, override, message) => {
+    expect(() => validateIdTokenClaims({ ...claims, ...override }, expected)).toThrow(message);
+  });
+
+  it('decodes a JWT payload', () => {
+    const payload = Buffer.from(JSON.stringify({ sub: '42' })).toString('base64url');
+    expect(decodeJwtPayload(`e30.${payload}.sig`)).toEqual({ sub: '42' });
+    expect(() => decodeJwtPayload('nope')).toThrow('Malformed');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Class analytics (src/services/classAnalytics.js) — the teacher dashboard
+ * aggregated from a class profile's saved essays.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { buildClassAnalytics, scoreDistribution, tukeyFences, vocabularyCoverage } from '../../src/services/classAnalytics.js';
+
+function saved(id, total, { issues = [], vocab = [], studentId = null } = {}) {
+  return {
+    id,
+    studentName: `Student ${id}`,
+    studentId,
+    createdAt: '2026-03-01T00:00:00Z',
+    essayData: JSON.stringify({
+      gradingData: {
+        scores: {
+          grammar: { points: Math.round(total * 0.6), out_of: 60 },
+          content: { points: total - Math.round(total * 0.6), out_of: 40 },
+        },
+        total: { points: total, out_of: 100 },
+        inline_issues: issues,
+        meta: { class_vocabulary_used: vocab },
+      },
+    }),
+  };
+}
+
+const goes = { category: 'grammar', text: 'he go', correction: 'he goes' };
+const because = { category: 'spelling', text: 'becuase', correction: 'because' };
+
+describe('scoreDistribution', () => {
+  it('buckets percentages by ten, with 100% in the top bucket', () => {
+    const d = scoreDistribution([55, 59.9, 72, 100, 90]);
+    expect(d).toMatchObject({ count: 5, mean: 75.4, median: 72, min: 55, max: 100 });
+    expect(d.bins[5].count).toBe(2);
+    expect(d.bins[7].count).toBe(1);
+    expect(d.bins[9]).toEqual({ from: 90, to: 100, count: 2 });
+  });
+
+  it('handles a class with no scores', () => {
+    expect(scoreDistribution([])).toMatchObject({ count: 0, mean: null, median: null });
+  });
+});
+
+describe('tukeyFences', () => {
+  it('needs at least four values', () => {
+    expect(tukeyFences([1, 2, 3])).toBeNull();
+    expect(tukeyFences([70, 72, 74, 76])).toEqual({ low: 67, high: 79 });
+  });
+});
+
+describe('vocabularyCoverage', () => {
+  it('counts essays per list item, skipping header lines and retired items', () => {
+    const coverage = vocabularyCoverage(
+      ['# Unit 1', 'negotiate', 'colour/color', 'deadline'],
+      [
+        { meta: { class_vocabulary_used: ['negotiate', 'colour/color'] } },
+        { meta: { class_vocabulary_used: ['negotiate', 'negotiate', 'old item'] } },
+        { meta: {} },
+      ],
+    );
+    expect(coverage).toEqual({
+      items: 3,
+      used: [{ item: 'negotiate', essays: 2 }, { item: 'colour/color', essays: 1 }],
+      unused: ['deadline'],
+    });
+  });
+});
+
+describe('buildClassAnalytics', () => {
+  const essays = [
+    saved('a', 72, { issues: [goes, because], vocab: ['negotiate'] }),
+    saved('b', 75, { issues: [goes], vocab: ['negotiate'] }),
+    saved('c', 78, { issues: [because] }),
+    saved('d', 74, { issues: [goes] }),
+    saved('e', 31, { issues: [goes, goes, because, because, because, goes, goes, because], studentId: 's5' }),
+    { id: 'f', studentName: 'Ungraded', createdAt: '2026-03-01T00:00:00Z', essayData: '{}' },
+  ];
+  const analytics = buildClassAnalytics(essays, { vocabulary: ['negotiate', 'deadline'] });
+
+  it('summarises scores and category averages', () => {
+    expect(analytics.essays).toBe(5);
+    expect(analytics.skipped).toBe(1);
+    expect(analytics.distribution).toMatchObject({ count: 5, median: 74, min: 31, max: 78 });
+    expect(analytics.categoryAverages.map(c => c.category)).toEqual(['grammar', 'content']);
+    expect(analytics.categoryAverages[0]).toMatchObject({ outOf: 60 });
+  });
+
+  it('ranks errors by category and lists the most frequent corrections', () => {
+    expect(analytics.errors.byCategory).toEqual([
+      { category: 'grammar', total: 7, perEssay: 1.4 },
+      { category: 'spelling', total: 6, perEssay: 1.2 },
+    ]);
+    expect(analytics.errors.corrections[0]).toEqual({
+      category: 'grammar', text: 'he go', correction: 'he goes', essays: 4, occurrences: 7,
+    });
+  });
+
+  it('reports unused class vocabulary', () => {
+    expect(analytics.vocabulary.unused).toEqual(['deadline']);
+  });
+
+  it('flags essays far from the rest of the class', () => {
+    expect(analytics.outliers).toEqual([
+      { essayId: 'e', studentName: 'Student e', studentId: 's5', reason: 'low_score', value: 31 },
+      { essayId: 'e', studentName: 'Student e', studentId: 's5', reason: 'many_errors', value: 8 },
+    ]);
+  });
+});
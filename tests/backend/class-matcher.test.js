@@ -0,0 +1,116 @@
+/**
+ * Class vocabulary / grammar matching (grader/class-matcher.js) — the
+ * in-code replacement for the GPT class_vocabulary_used count, and the
+ * positive markers the formatter draws from its offsets.
+ */
+import { describe, expect, it } from '@jest/globals';
+import {
+  canonicalSpelling,
+  parseItem,
+  matchClassVocabulary,
+  matchGrammarStructures,
+} from '../../grader/class-matcher.js';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+
+const found = (text, vocabulary) => matchClassVocabulary(text, vocabulary).matches.map(m => m.text);
+
+describe('class vocabulary', () => {
+  it('matches inflected forms', () => {
+    const text = 'She negotiates, they negotiated, we are negotiating. Two businesses, many responsibilities. ' +
+      'A bigger office and the biggest desk. The company\'s rules and the companies\' staff.';
+    expect(found(text, ['negotiate'])).toEqual(['negotiates', 'negotiated', 'negotiating']);
+    expect(found(text, ['business', 'responsibility'])).toEqual(['businesses', 'responsibilities']);
+    expect(found(text, ['big'])).toEqual(['bigger', 'biggest']);
+    expect(found(text, ['company'])).toEqual(["company's", "companies'"]);
+  });
+
+  it('matches derived forms and prefixes', () => {
+    const text = 'The negotiation went well. Importantly, unemployment fell and employment rose.';
+    expect(found(text, ['negotiate'])).toEqual(['negotiation']);
+    expect(found(text, ['important'])).toEqual(['Importantly']);
+    expect(found(text, ['employ'])).toEqual(['unemployment', 'employment']);
+  });
+
+  it('treats British and American spellings alike', () => {
+    expect(canonicalSpelling('organize')).toBe(canonicalSpelling('organise'));
+    expect(canonicalSpelling('color')).toBe(canonicalSpelling('colour'));
+    expect(found('We organised the colours at the center.', ['organize', 'color', 'centre']))
+      .toEqual(['organised', 'colours', 'center']);
+  });
+
+  it('counts a recognisable misspelling of a long word', () => {
+    expect(found('Negociating was hard.', ['negotiate'])).toEqual(['Negociating']);
+    expect(found('The cat sat.', ['car'])).toEqual([]);
+  });
+
+  it('matches multi-word items and items with placeholders', () => {
+    const text = 'Fringe benefits matter. I persuaded my boss to raise my salary.';
+    expect(found(text, ['fringe benefit'])).toEqual(['Fringe benefits']);
+    expect(found(text, ['persuade sb to'])).toEqual(['persuaded my boss to']);
+  });
+
+  it('cleans list items before matching', () => {
+    expect(parseItem('skyrocket (v.) - to rise quickly')).toEqual([[{ word: 'skyrocket' }]]);
+    expect(parseItem('to negotiate')).toEqual([[{ word: 'negotiate' }]]);
+    expect(parseItem('colour/color')).toEqual([[{ word: 'colour' }], [{ word: 'color' }]]);
+  });
+
+  it('returns exact offsets and each item used once, in list order', () => {
+    const text = 'A gift in the park, then another gift.';
+    const { used, matches } = matchClassVocabulary(text, ['park', 'gift', 'salary']);
+    expect(used).toEqual(['park', 'gift']);
+    expect(matches.map(m => m.item)).toEqual(['gift', 'park', 'gift']);
+    for (const m of matches) expect(text.slice(m.start, m.end)).toBe(m.text);
+  });
+});
+
+describe('class grammar structures', () => {
+  const text = 'She has worked here since 2019. The office was built in 1990. ' +
+    'If I had more money, I would travel. I used to play football. Prices are rising faster than wages.';
+
+  it('finds named structures and literal patterns', () => {
+    const { used, matches, unrecognized } = matchGrammarStructures(text, [
+      'present perfect', 'passive voice', 'second conditional', 'used to + infinitive',
+      'comparatives', 'past perfect',
+    ]);
+    expect(used).toEqual(['present perfect', 'passive voice', 'second conditional', 'used to + infinitive', 'comparatives']);
+    expect(unrecognized).toEqual([]);
+    expect(matches.find(m => m.item === 'present perfect').text).toBe('has worked');
+    expect(matches.find(m => m.item === 'passive voice').text).toBe('was built');
+    expect(matches.find(m => m.item === 'second conditional').text).toBe('If I had more money, I would travel.');
+  });
+
+  it('leaves free-text descriptions unrecognized', () => {
+    const { used, unrecognized } = matchGrammarStructures(text, ['cleft sentences for emphasis']);
+    expect(used).toEqual([]);
+    expect(unrecognized).toEqual(['cleft sentences for emphasis']);
+  });
+});
+
+describe('grading with class lists', () => {
+  const ESSAY = 'Last year we negotiated a new salary. The negotiations took weeks, but the colours of the office improved.';
+  const PROFILE = { cefrLevel: 'B2', vocabulary: ['# UNIT 1', 'negotiate', 'color', 'bonus'], grammar: ['passive voice'] };
+
+  it('counts matches in code and records their offsets', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE);
+    expect(result.meta.class_vocabulary_used).toEqual(['negotiate', 'color']);
+    expect(result.meta.class_vocabulary_matches.map(m => m.text)).toEqual(['negotiated', 'negotiations', 'colours']);
+    expect(result.meta.grammar_structures_used).toEqual([]);
+  });
+
+  it('marks class vocabulary in the formatted essay', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE);
+    const { formattedText } = formatGradedEssay(ESSAY, result, { editable: true });
+    expect(formattedText).toContain('<span class="class-vocab-match" data-vocab-item="negotiate" title="Class vocabulary: negotiate" style="border-bottom: 2px solid #4CAF50;">negotiated</span>');
+    expect((formattedText.match(/class="class-vocab-match"/g) || []).length).toBe(3);
+  });
+
+  it('drops markers that no longer line up with the text', () => {
+    const result = {
+      scores: {}, total: { points: 0, out_of: 100 }, inline_issues: [],
+      meta: { class_vocabulary_matches: [{ item: 'gift', start: 0, end: 4, text: 'gift' }] },
+    };
+    expect(formatGradedEssay('A present.', result).formattedText).not.toContain('class-vocab-match');
+  });
+});
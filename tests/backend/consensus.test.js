@@ -0,0 +1,114 @@
+/**
+ * Consensus error detection (grader/consensus.js) and its low-confidence
+ * rendering in the formatter.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { mergeConsensusIssues, mergeConsensusUnresolved, resolveConsensusRuns } from '../../grader/consensus.js';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+
+const issue = (start, end, category = 'grammar', text = 'x') =>
+  ({ start, end, category, text, correction: 'y', explanation: '' });
+
+describe('mergeConsensusIssues', () => {
+  it('keeps errors found by a strict majority of runs, matched by overlapping span', () => {
+    const merged = mergeConsensusIssues([
+      [issue(0, 5), issue(10, 14, 'spelling')],
+      [issue(2, 5), issue(20, 24, 'mechanics')],
+      [issue(0, 5)],
+    ]);
+
+    expect(merged).toEqual([
+      expect.objectContaining({ start: 0, end: 5, agreement: { found_in: 3, runs: 3 } }),
+    ]);
+  });
+
+  it('takes the most common span and category within a cluster', () => {
+    const merged = mergeConsensusIssues([
+      [issue(4, 9, 'fluency')],
+      [issue(0, 9, 'grammar')],
+      [issue(0, 9, 'grammar')],
+    ]);
+
+    expect(merged).toEqual([
+      expect.objectContaining({ start: 0, end: 9, category: 'grammar', agreement: { found_in: 3, runs: 3 } }),
+    ]);
+  });
+
+  it('counts at most one issue per run per cluster', () => {
+    const merged = mergeConsensusIssues([
+      [issue(0, 5), issue(3, 8)],
+      [],
+      [],
+    ]);
+    expect(merged).toEqual([]);
+  });
+
+  it('records partial agreement and sorts by position', () => {
+    const merged = mergeConsensusIssues([
+      [issue(30, 35), issue(0, 4)],
+      [issue(0, 4)],
+      [issue(30, 35)],
+    ]);
+    expect(merged.map(i => [i.start, i.agreement.found_in])).toEqual([[0, 2], [30, 2]]);
+  });
+});
+
+describe('mergeConsensusUnresolved', () => {
+  const unresolved = (text, category = 'grammar') =>
+    ({ category, text, correction: 'y', explanation: '', reason: 'not_found' });
+
+  it('drops an unplaced error only one run reported, so it can\'t move the bands', () => {
+    const merged = mergeConsensusUnresolved([
+      [unresolved('he go'), unresolved('I has', 'grammar')],
+      [unresolved('He  go', 'vocabulary')],
+      [unresolved('he go', 'vocabulary'), unresolved('they was')],
+    ]);
+
+    // The most common category wins, from the earliest run that has it.
+    expect(merged.map(i => [i.text, i.category, i.agreement])).toEqual([
+      ['He  go', 'vocabulary', { found_in: 3, runs: 3 }],
+    ]);
+  });
+
+  it('counts a text once per run', () => {
+    expect(mergeConsensusUnresolved([[unresolved('he go'), unresolved('he go')], [], []])).toEqual([]);
+  });
+});
+
+describe('resolveConsensusRuns', () => {
+  it('defaults to a single run and caps at 5', () => {
+    expect(resolveConsensusRuns(undefined)).toBe(1);
+    expect(resolveConsensusRuns('abc')).toBe(1);
+    expect(resolveConsensusRuns(3)).toBe(3);
+    expect(resolveConsensusRuns('9')).toBe(5);
+  });
+});
+
+describe('consensus grading', () => {
+  const ESSAY = 'Yesterday i went to the the market and bought alot of fruit.';
+
+  it('grades with N detection runs and annotates agreement', async () => {
+    const result = await gradeEssaySimple(ESSAY, { cefrLevel: 'B2' }, null, null, { consensusRuns: 3 });
+
+    expect(result.meta.consensus_runs).toBe(3);
+    expect(result.inline_issues.length).toBeGreaterThan(0);
+    for (const i of result.inline_issues) {
+      expect(i.agreement).toEqual({ found_in: 3, runs: 3 });
+    }
+    expect(result.usage.calls.filter(c => c.stage === 'detection')).toHaveLength(3);
+  });
+
+  it('renders less-than-unanimous errors as low-confidence highlights', () => {
+    const formatted = formatGradedEssay(ESSAY, {
+      inline_issues: [
+        { ...issue(36, 40, 'spelling', 'alot'), agreement: { found_in: 2, runs: 3 } },
+        { ...issue(10, 16, 'mechanics', 'i went'), agreement: { found_in: 3, runs: 3 } },
+      ],
+    });
+
+    expect(formatted.formattedText).toMatch(/class="highlight-spelling highlight low-confidence"[^>]*data-agreement="2\/3"/);
+    expect(formatted.formattedText).toMatch(/class="highlight-mechanics highlight"[^>]*data-agreement="3\/3"/);
+    expect(formatted.formattedText).toContain('Flagged in 2 of 3 grading runs');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Word exports (src/services/essayDocx.js) — highlights as comments,
+ * corrections as tracked changes and the cover page.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { MAX_HIGHLIGHTS, docxEssay, essayDocx } from '../../src/services/essayDocx.js';
+import { docxToText } from '../../src/services/documentText.js';
+import { readZip } from '../../src/services/zipReader.js';
+
+function essay(overrides = {}) {
+  return {
+    studentName: 'Ana Lima',
+    grade: '12/15',
+    teacherNotes: 'Good work, Ana.',
+    categories: [{ name: 'Grammar', score: '4/5', note: 'Watch verb tenses.' }],
+    highlights: [
+      { categories: ['grammar'], correction: 'went', explanation: 'past tense' },
+      { categories: ['spelling'], correction: 'friends', explanation: '' },
+    ],
+    paragraphs: [[
+      { text: 'Yesterday I ', highlights: [] },
+      { text: 'go', highlights: [0] },
+      { text: ' to the beach with my ', highlights: [] },
+      { text: 'freinds', highlights: [1] },
+      { text: '.', highlights: [] },
+    ]],
+    ...overrides,
+  };
+}
+
+function parts(buffer) {
+  return Object.fromEntries(readZip(buffer).map(file => [file.name, file.data.toString('utf8')]));
+}
+
+describe('docxEssay', () => {
+  it('drops highlight references that point nowhere', () => {
+    const { essay: checked } = docxEssay(essay({
+      paragraphs: [[{ text: 'Hi', highlights: [0, 7, -1, 'x'] }, { br: true }]],
+    }));
+    expect(checked.paragraphs).toEqual([[{ text: 'Hi', highlights: [0] }, { br: true, highlights: [] }]]);
+  });
+
+  it('rejects essays without paragraphs or with too many highlights', () => {
+    expect(docxEssay(essay({ paragraphs: [] })).error).toMatch('paragraphs');
+    expect(docxEssay(undefined).error).toMatch('paragraphs');
+    const highlights = Array.from({ length: MAX_HIGHLIGHTS + 1 }, () => ({ categories: ['grammar'] }));
+    expect(docxEssay(essay({ highlights })).error).toMatch(`At most ${MAX_HIGHLIGHTS}`);
+  });
+});
+
+describe('essayDocx', () => {
+  it('anchors a comment with category, correction and explanation to each highlight', () => {
+    const files = parts(essayDocx(docxEssay(essay()).essay));
+    const document = files['word/document.xml'];
+
+    expect(document).toMatch(/<w:commentRangeStart w:id="0"\/><w:r><w:rPr><w:b\/><w:color w:val="FF00FF"\/><\/w:rPr><w:t xml:space="preserve">go<\/w:t><\/w:r><w:commentRangeEnd w:id="0"\/>/);
+    expect(document).toContain('<w:commentReference w:id="1"/>');
+    expect(files['word/comments.xml']).toContain('Grammar</w:t>');
+    expect(files['word/comments.xml']).toContain('Correction: went');
+    expect(files['word/comments.xml']).toContain('Explanation: past tense');
+    expect(files['[Content_Types].xml']).toContain('/word/comments.xml');
+  });
+
+  it('puts the grade, notes, breakdown and highlight key on a cover page', () => {
+    const { text } = docxToText(essayDocx(docxEssay(essay()).essay));
+    expect(text.split('\n\n')).toEqual([
+      'Ana Lima',
+      'Grade: 12/15',
+      'Good work, Ana.',
+      'Category Breakdown',
+      'Grammar: 4/5 (Watch verb tenses.)',
+      'Highlight Key',
+      'Grammar',
+      'Spelling',
+      'Yesterday I go to the beach with my freinds.',
+    ]);
+  });
+
+  it('writes corrections as tracked changes when asked', () => {
+    const document = parts(essayDocx(docxEssay(essay()).essay, { trackChanges: true }))['word/document.xml'];
+    expect(document).toMatch(/<w:del [^>]*><w:r>.*?<w:delText xml:space="preserve">go<\/w:delText><\/w:r><\/w:del><w:ins [^>]*><w:r><w:t xml:space="preserve">went<\/w:t><\/w:r><\/w:ins>/);
+    expect(docxToText(essayDocx(docxEssay(essay()).essay, { trackChanges: true })).text)
+      .toContain('Yesterday I went to the beach with my friends.');
+  });
+
+  it('keeps overlapping highlights and remarks as comments only', () => {
+    const overlapping = docxEssay(essay({
+      highlights: [
+        { categories: ['fluency'], correction: 'Rephrase this', explanation: '' },
+        { categories: ['grammar'], correction: 'went', explanation: '' },
+        { categories: ['professor-comments'], correction: 'Nice detail', explanation: '' },
+      ],
+      paragraphs: [[
+        { text: 'I ', highlights: [0] },
+        { text: 'go', highlights: [0, 1] },
+        { text: ' home', highlights: [2] },
+      ]],
+    })).essay;
+    const document = parts(essayDocx(overlapping, { trackChanges: true }))['word/document.xml'];
+    expect(document).not.toContain('<w:del ');
+    expect(document).not.toContain('<w:ins ');
+    expect(document).toContain('<w:commentRangeEnd w:id="2"/>');
+  });
+
+  it('has no comments part when nothing is highlighted', () => {
+    const files = parts(essayDocx(docxEssay(essay({ highlights: [], paragraphs: [[{ text: 'Clean essay.' }]] })).essay));
+    expect(files['word/comments.xml']).toBeUndefined();
+    expect(files['[Content_Types].xml']).not.toContain('comments');
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Bulk essay import (src/services/essayImport.js, documentText.js,
+ * pdfText.js, zipReader.js) — text out of TXT, RTF, DOCX and PDF files,
+ * ZIP unpacking and student names from file names and headings.
+ */
+import { beforeAll, describe, expect, it } from '@jest/globals';
+import { deflateSync } from 'node:zlib';
+import { decodeText, docxToText, extractDocumentText, rtfToText } from '../../src/services/documentText.js';
+import { importEssays, nameFromFilename, nameFromLmsPath, readHeading } from '../../src/services/essayImport.js';
+import { parseCMap, pdfToText } from '../../src/services/pdfText.js';
+import { readZip } from '../../src/services/zipReader.js';
+import { zip } from '../../src/services/zipWriter.js';
+
+function docx(paragraphs, header) {
+  const body = paragraphs
+    .map(p => `<w:p><w:pPr><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr><w:r><w:t xml:space="preserve">${p}</w:t></w:r></w:p>`)
+    .join('');
+  return zip([
+    { name: '[Content_Types].xml', data: '<Types/>' },
+    { name: 'word/document.xml', data: `<w:document><w:body>${body}</w:body></w:document>` },
+    ...(header ? [{ name: 'word/header1.xml', data: `<w:hdr><w:p><w:r><w:t>${header}</w:t></w:r></w:p></w:hdr>` }] : []),
+  ]);
+}
+
+// A one-page PDF: a simple font for the heading, a Type0 font with a
+// ToUnicode map for the body, and a page number.
+function pdf() {
+  const cmap = '/CIDInit /ProcSet findresource begin 12 dict begin begincmap\n' +
+    '1 begincodespacerange <0000> <FFFF> endcodespacerange\n' +
+    '2 beginbfchar <0001> <0048> <0002> <00E9> endbfchar\n' +
+    '1 beginbfrange <0010> <0012> <0061> endbfrange\n' +
+    'endcmap end end';
+  const content = [
+    'BT /F1 12 Tf 1 0 0 1 72 720 Tm (A title) Tj ET',
+    'BT /F2 12 Tf 1 0 0 1 72 690 Tm <00010002> Tj 0 -14 Td [<0010> -300 <0011 0012>] TJ ET',
+    'BT /F1 12 Tf 14 TL 1 0 0 1 72 676 Tm T* (first paragraph.) Tj',
+    '0 -28 Td (Next paragraph) Tj T* (runs on) Tj T* (to the end.) Tj ET',
+    'BT /F1 10 Tf 1 0 0 1 300 40 Tm (1) Tj ET',
+  ].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+    { stream: deflateSync(Buffer.from(content)), dict: '/Filter /FlateDecode' },
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    '<< /Type /Font /Subtype /Type0 /BaseFont /Body /Encoding /Identity-H /ToUnicode 7 0 R >>',
+    { stream: Buffer.from(cmap), dict: '' },
+  ];
+  const parts = [Buffer.from('%PDF-1.7\n')];
+  objects.forEach((object, i) => {
+    if (typeof object === 'string') {
+      parts.push(Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`));
+    } else {
+      parts.push(Buffer.from(`${i + 1} 0 obj\n<< /Length ${object.stream.length} ${object.dict} >>\nstream\n`),
+        object.stream, Buffer.from('\nendstream\nendobj\n'));
+    }
+  });
+  parts.push(Buffer.from('trailer\n<< /Root 1 0 R >>\n%%EOF\n'));
+  return Buffer.concat(parts);
+}
+
+describe('readZip', () => {
+  it('reads back what the zip writer wrote, without folders', () => {
+    const files = readZip(zip([{ name: 'a/b.txt', data: 'hello' }, { name: 'c/', data: '' }]));
+    expect(files.map(f => [f.name, f.data.toString()])).toEqual([['a/b.txt', 'hello']]);
+  });
+
+  it('refuses archives past the limits', () => {
+    const archive = zip([{ name: 'a.txt', data: 'x'.repeat(1000) }, { name: 'b.txt', data: 'y' }]);
+    expect(() => readZip(archive, { maxEntries: 1 })).toThrow('more than 1 files');
+    expect(() => readZip(archive, { maxTotalSize: 500 })).toThrow('unpacks to more');
+    expect(() => readZip(Buffer.from('not a zip at all, just some text'))).toThrow('Not a zip archive');
+  });
+});
+
+describe('document text', () => {
+  it('decodes text files in any of the usual encodings', () => {
+    expect(decodeText(Buffer.from('﻿café\r\nbar', 'utf8').subarray(0))).toBe('café\nbar');
+    expect(decodeText(Buffer.from('caf\xe9', 'latin1'))).toBe('café');
+    expect(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('hé', 'utf16le')]))).toBe('hé');
+  });
+
+  it('reads RTF text, header apart, skipping tables and ignorable groups', () => {
+    const rtf = Buffer.from("{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\header Name: Ben Kim\\par}" +
+      "Caf\\'e9 \\u8212? ok{\\*\\generator Word;}\\par Line two}", 'latin1');
+    expect(rtfToText(rtf)).toEqual({ text: 'Café — ok\nLine two', headerText: 'Name: Ben Kim\n' });
+  });
+
+  it('reads Word paragraphs and page headers', () => {
+    expect(docxToText(docx(['One &amp; two', '', 'Three'], 'Eve Park'))).toEqual({
+      text: 'One & two\n\nThree',
+      headerText: 'Eve Park',
+    });
+  });
+
+  it('rebuilds PDF lines and paragraphs, decoding through ToUnicode maps', () => {
+    expect(pdfToText(pdf())).toEqual({ text: 'A title\n\nHé a bc first paragraph.\n\nNext paragraph runs on to the end.' });
+  });
+
+  it('reads ToUnicode ranges', () => {
+    const { map, bytes } = parseCMap(Buffer.from('begincodespacerange <00> <FF> endcodespacerange beginbfrange <20> <22> <0041> endbfrange'));
+    expect(bytes).toBe(1);
+    expect([map.get(0x20), map.get(0x22)]).toEqual(['A', 'C']);
+  });
+
+  it('reports files it cannot read', () => {
+    expect(extractDocumentText('slides.pptx', Buffer.from('x')).reason).toBe('unsupported');
+    expect(extractDocumentText('essay.docx', Buffer.from('not a zip')).reason).toBe('unreadable');
+    expect(extractDocumentText('blank.txt', Buffer.from('  \n ')).reason).toBe('no_text');
+  });
+});
+
+describe('student names', () => {
+  it('reads LMS download names', () => {
+    expect(nameFromLmsPath('Ana López_123456_assignsubmission_file_/essay.docx')).toEqual({ name: 'Ana López' });
+    expect(nameFromLmsPath('lopezana_late_123456_7890123_essay.docx')).toEqual({ name: 'lopezana', compact: true });
+    expect(nameFromLmsPath('essay_1_2_final.docx')).toBeNull();
+  });
+
+  it('reads names spelled out in file names', () => {
+    expect(nameFromFilename('Ana_Lopez_Essay2.docx')).toBe('Ana Lopez');
+    expect(nameFromFilename('dan ng - final draft.pdf')).toBe('Dan Ng');
+    expect(nameFromFilename('essay3.txt')).toBeNull();
+  });
+
+  it('takes the name from a labelled heading and drops the heading', () => {
+    expect(readHeading('Name: carla díaz\nDate: 3/4/2026\nClass: ESL 2\n\nMy essay.')).toEqual({
+      name: 'Carla Díaz',
+      text: 'My essay.',
+    });
+  });
+
+  it('recognises an MLA heading', () => {
+    expect(readHeading('Ana Lopez\n\nMs. Smith\n\nESL 101\n\n12 March 2026\n\nPhones in class\n\nText.')).toEqual({
+      name: 'Ana Lopez',
+      text: 'Phones in class\n\nText.',
+    });
+  });
+
+  it('leaves an essay without a heading alone', () => {
+    expect(readHeading('Technology Changes Lives\n\nIn my opinion...', 'Lopez 1')).toEqual({
+      name: null,
+      text: 'Technology Changes Lives\n\nIn my opinion...',
+    });
+  });
+});
+
+describe('importEssays', () => {
+  const roster = [{ id: 's1', name: 'Ben Kim' }, { id: 's2', name: 'Carla Díaz', aliases: [] }];
+  const archive = zip([
+    { name: 'Ana Lopez_123_assignsubmission_file_/My essay.docx', data: docx(['Phones are bad.']) },
+    { name: 'kimben_112233_445566_essay.txt', data: 'Ben wrote this.' },
+    { name: 'essay3.txt', data: 'Student: carla diaz\n\nCarla wrote this.' },
+    { name: 'words.docx', data: docx(['Just an essay'], 'Eve Park') },
+    { name: 'untitled.txt', data: 'No name anywhere.' },
+    { name: '__MACOSX/._essay3.txt', data: 'junk' },
+    { name: 'slides.pptx', data: 'x' },
+    { name: 'inner.zip', data: zip([{ name: 'deeper.zip', data: zip([]) }]) },
+  ]);
+  let essays;
+  let skipped;
+  beforeAll(async () => {
+    ({ essays, skipped } = await importEssays([{ name: 'submissions.zip', data: archive }], { roster }));
+  });
+
+  it('finds each essay and its student', () => {
+    expect(essays.map(e => [e.studentName, e.nameSource, e.studentId])).toEqual([
+      ['Ana Lopez', 'lms', null],
+      ['Ben Kim', 'lms', 's1'],
+      ['Carla Díaz', 'document', 's2'],
+      ['Eve Park', 'document', null],
+      [null, null, null],
+    ]);
+    expect(essays[2].text).toBe('Carla wrote this.');
+  });
+
+  it('says why files were left out', () => {
+    expect(skipped).toEqual([
+      { file: 'slides.pptx', reason: 'unsupported' },
+      { file: 'inner.zip/deeper.zip', reason: 'nested_zip' },
+    ]);
+  });
+});
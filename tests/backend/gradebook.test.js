@@ -0,0 +1,137 @@
+/**
+ * Gradebook export (src/services/gradebook.js, xlsxWriter.js, zipWriter.js) —
+ * one row per student in CSV, XLSX, Moodle/Canvas import and JSON formats —
+ * and the teacher's edits it reads from saved HTML (savedEssayHTML.js).
+ */
+import { describe, expect, it } from '@jest/globals';
+import { inflateRawSync } from 'node:zlib';
+import {
+  buildGradebook,
+  canvasTable,
+  moodleTable,
+  renderGradebook,
+  toCsv,
+} from '../../src/services/gradebook.js';
+import { columnName, writeXlsx } from '../../src/services/xlsxWriter.js';
+import { crc32 } from '../../src/services/zipWriter.js';
+import { readEditsFromHTML } from '../../src/services/savedEssayHTML.js';
+
+function result(grammar, content, extra = {}) {
+  return {
+    scores: { grammar: { points: grammar, out_of: 60 }, content: { points: content, out_of: 40 } },
+    total: { points: grammar + content, out_of: 100 },
+    meta: { word_count: 250 },
+    teacher_notes: '',
+    ...extra,
+  };
+}
+
+// Entries of a zip archive, by name.
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+describe('readEditsFromHTML', () => {
+  it('reads edited scores and teacher notes from a saved essay', () => {
+    const html = '<input type="number" class="editable-score" data-category="grammar" value="50">' +
+      '<input class="editable-score" data-category="content" value="">' +
+      '<div class="teacher-notes" data-teacher-notes="Watch &quot;their&quot; &amp; &lt;there&gt;">';
+    expect(readEditsFromHTML(html)).toEqual({
+      scores: { grammar: 50 },
+      teacherNotes: 'Watch "their" & <there>',
+    });
+  });
+
+  it('keeps character references that name no character as written', () => {
+    const html = '<div class="teacher-notes" data-teacher-notes="See &#99999999; &#x110000; &#55296; &#x2713;">';
+    expect(readEditsFromHTML(html).teacherNotes).toBe('See &#99999999; &#x110000; &#55296; ✓');
+  });
+
+  it('returns no edits without HTML', () => {
+    expect(readEditsFromHTML(null)).toEqual({ scores: {}, teacherNotes: null });
+  });
+});
+
+describe('buildGradebook', () => {
+  const gradebook = buildGradebook([
+    { studentName: 'Zoe', studentId: 's1', externalId: '1001', gradedAt: '2026-03-01', result: result(40, 30) },
+    { studentName: 'Zoe B.', studentId: 's1', externalId: '1001', gradedAt: '2026-03-08', result: result(45, 35) },
+    { studentName: 'adam', gradedAt: '2026-03-02', result: result(30, 20), edits: { scores: { grammar: 36 }, teacherNotes: 'Better' } },
+    { studentName: 'Adam ', gradedAt: '2026-03-01', result: result(10, 10) },
+    { studentName: 'No grade', result: {} },
+  ], { title: 'Unit 1' });
+
+  it('keeps one row per student, the latest essay, alphabetically', () => {
+    expect(gradebook.rows.map(r => r.studentName)).toEqual(['adam', 'Zoe B.']);
+    expect(gradebook.categories).toEqual([
+      { id: 'grammar', name: 'Grammar', outOf: 60 },
+      { id: 'content', name: 'Content', outOf: 40 },
+    ]);
+  });
+
+  it('applies teacher edits and recomputes the total', () => {
+    expect(gradebook.rows[0]).toMatchObject({
+      scores: { grammar: 36, content: 20 }, total: 56, outOf: 100, percent: 56, wordCount: 250, teacherNotes: 'Better',
+    });
+    expect(gradebook.rows[1]).toMatchObject({ total: 80, externalId: '1001' });
+  });
+
+  it('writes LMS import layouts', () => {
+    expect(moodleTable(gradebook)).toEqual([
+      ['Full name', 'ID number', 'Email address', 'Unit 1', 'Feedback'],
+      ['adam', null, null, 56, 'Better'],
+      ['Zoe B.', '1001', null, 80, ''],
+    ]);
+    const canvas = canvasTable(gradebook);
+    expect(canvas[0]).toEqual(['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section', 'Unit 1']);
+    expect(canvas[1]).toEqual(['Points Possible', null, null, null, null, 100]);
+  });
+
+  it('exports JSON tagged with its schema', () => {
+    const { body, extension } = renderGradebook(gradebook, 'json');
+    expect(extension).toBe('json');
+    expect(JSON.parse(body)).toMatchObject({ $schema: '/api/gradebook/schema', title: 'Unit 1', students: [{}, {}] });
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes fields and neutralises spreadsheet formulas', () => {
+    expect(toCsv([['a,b', 'say "hi"', '=SUM(A1)', -3, null]])).toBe('"a,b","say ""hi""",\'=SUM(A1),-3,\r\n');
+  });
+
+  it('starts the plain CSV export with a byte order mark', () => {
+    const { body, contentType } = renderGradebook(buildGradebook([]), 'csv');
+    expect(body.startsWith('\uFEFFStudent,')).toBe(true);
+    expect(contentType).toMatch(/^text\/csv/);
+  });
+});
+
+describe('writeXlsx', () => {
+  it('names columns like a spreadsheet', () => {
+    expect([0, 25, 26, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  });
+
+  it('computes the zip checksum', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('writes a workbook with inline strings and numbers', () => {
+    const files = unzip(writeXlsx([['Student', 'Total'], ['Ana & Bo', 80]], { sheetName: 'Unit 1: Essays' }));
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml', 'xl/styles.xml',
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Unit 1  Essays"');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ana &amp; Bo</t></is></c><c r="B2"><v>80</v></c>');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Batch grading jobs (src/services/gradingJobs.js) — the rows a batch is
+ * stored as, retries after a failed attempt and the events clients are sent.
+ */
+import { describe, expect, it } from '@jest/globals';
+import {
+  MAX_ATTEMPTS,
+  MAX_JOB_ESSAYS,
+  RETRY_DELAYS_MS,
+  essayEvent,
+  essayState,
+  failedAttempt,
+  jobEssayRows,
+  jobSummary,
+  screeningPeers,
+} from '../../src/services/gradingJobs.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function essayRow(overrides = {}) {
+  return {
+    position: 2,
+    essayId: 'essay-c',
+    studentName: 'Ana Lima',
+    studentNickname: 'Ana',
+    studentId: 'student-1',
+    studentMatch: null,
+    status: 'queued',
+    attempts: 0,
+    result: null,
+    error: null,
+    ...overrides,
+  };
+}
+
+describe('jobEssayRows', () => {
+  it('keeps batch order and the roster links', () => {
+    const { rows } = jobEssayRows([
+      { essayId: 'a', studentName: 'Ana', studentText: 'First essay.', studentId: 's1', studentMatch: 'exact', ocr: true },
+      { essayId: 'b', studentNickname: 'Ben', studentText: 'Second essay.' },
+    ]);
+    expect(rows).toEqual([
+      { position: 0, essayId: 'a', studentName: 'Ana', studentNickname: null, studentId: 's1', studentMatch: 'exact', studentText: 'First essay.', ocr: true },
+      { position: 1, essayId: 'b', studentName: null, studentNickname: 'Ben', studentId: null, studentMatch: null, studentText: 'Second essay.', ocr: false },
+    ]);
+  });
+
+  it('rejects empty, oversized and textless batches', () => {
+    expect(jobEssayRows([])).toEqual({ error: 'No essays provided for grading' });
+    expect(jobEssayRows(undefined)).toEqual({ error: 'No essays provided for grading' });
+    const tooMany = Array.from({ length: MAX_JOB_ESSAYS + 1 }, () => ({ studentText: 'Text.' }));
+    expect(jobEssayRows(tooMany).error).toMatch(`at most ${MAX_JOB_ESSAYS}`);
+    expect(jobEssayRows([{ studentText: 'Text.' }, { studentText: '   ' }])).toEqual({ error: 'Every essay needs its text' });
+  });
+});
+
+describe('failedAttempt', () => {
+  it('queues the essay again after a growing delay', () => {
+    expect(failedAttempt({ attempts: 1 }, 'Rate limited', NOW)).toEqual({
+      status: 'queued',
+      error: 'Rate limited',
+      lockedAt: null,
+      runAfter: new Date(NOW.getTime() + RETRY_DELAYS_MS[0]),
+    });
+    expect(failedAttempt({ attempts: 2 }, 'Rate limited', NOW).runAfter)
+      .toEqual(new Date(NOW.getTime() + RETRY_DELAYS_MS[1]));
+  });
+
+  it('fails the essay for good once its attempts are used up', () => {
+    expect(failedAttempt({ attempts: MAX_ATTEMPTS }, 'Timed out', NOW))
+      .toEqual({ status: 'failed', error: 'Timed out', lockedAt: null });
+  });
+});
+
+describe('essayEvent', () => {
+  it('sends nothing for an essay that has not been tried', () => {
+    expect(essayEvent(essayRow())).toBeNull();
+  });
+
+  it('reports essays being graded and retried', () => {
+    expect(essayEvent(essayRow({ status: 'running', attempts: 1 }))).toEqual({
+      type: 'processing', index: 2, essayId: 'essay-c', studentName: 'Ana Lima', attempt: 1,
+    });
+    expect(essayEvent(essayRow({ attempts: 1, error: 'Rate limited' }))).toEqual({
+      type: 'retrying', index: 2, essayId: 'essay-c', studentName: 'Ana Lima', attempt: 1, error: 'Rate limited',
+    });
+  });
+
+  it('sends results in the grading page stream format', () => {
+    const result = { total: { points: 12, out_of: 15 } };
+    expect(essayEvent(essayRow({ status: 'succeeded', attempts: 1, result }))).toEqual({
+      type: 'result', index: 2, essayId: 'essay-c', studentName: 'Ana Lima', success: true,
+      studentNickname: 'Ana', studentId: 'student-1', studentMatch: null, result,
+    });
+    expect(essayEvent(essayRow({ status: 'failed', attempts: 3, error: 'Timed out' }))).toMatchObject({
+      type: 'result', index: 2, success: false, error: 'Timed out',
+    });
+  });
+
+  it('changes state with every attempt', () => {
+    expect(essayState(essayRow({ status: 'running', attempts: 1 })))
+      .not.toBe(essayState(essayRow({ status: 'running', attempts: 2 })));
+  });
+});
+
+describe('jobSummary', () => {
+  it('counts the essays by status', () => {
+    const job = { id: 'job-1', status: 'running', classProfileId: 'p1', assignmentId: null, createdAt: NOW, completedAt: null, prompt: 'Write.' };
+    const summary = jobSummary(job, [{ status: 'succeeded' }, { status: 'succeeded' }, { status: 'running' }, { status: 'queued' }]);
+    expect(summary).toEqual({
+      id: 'job-1',
+      status: 'running',
+      classProfileId: 'p1',
+      assignmentId: null,
+      totalEssays: 4,
+      counts: { queued: 1, running: 1, succeeded: 2, failed: 0 },
+      createdAt: NOW,
+      completedAt: null,
+    });
+  });
+});
+
+describe('screeningPeers', () => {
+  it('lists the other essays with text as screening peers', () => {
+    const essays = [
+      { essayId: 'a', studentName: 'Ana', studentText: 'First essay.' },
+      { essayId: 'b', studentNickname: 'Ben', studentText: 'Second essay.' },
+      { essayId: 'c', studentName: 'Cai', studentText: '' },
+    ];
+    expect(screeningPeers(essays, essays[0])).toEqual([
+      { source: 'batch', id: 'b', label: 'Ben', text: 'Second essay.' },
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * LLM provider layer (grader/llm-provider.js) and per-call pricing
+ * (src/services/costRates.js) — reply parsing, per-stage routing from the
+ * environment, and the cost each routed call is logged at.
+ */
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import {
+  completeJSON,
+  describeRouting,
+  parseJSONReply,
+  resolveStageRoute,
+} from '../../grader/llm-provider.js';
+import { LOCAL_MODEL_PREFIX } from '../../grader/model-prefixes.js';
+import { computeCostUsd, computeUsageCostUsd } from '../../src/services/costRates.js';
+
+const ROUTING_ENV = [
+  'LLM_PROVIDER',
+  'LLM_PROVIDER_DETECTION',
+  'LLM_PROVIDER_GRADING',
+  'LLM_MODEL_DETECTION',
+  'LLM_MODEL_GRADING',
+  'OPENAI_MODEL',
+  'ANTHROPIC_MODEL',
+  'LOCAL_LLM_MODEL',
+];
+
+describe('parseJSONReply', () => {
+  it('parses a plain JSON reply', () => {
+    expect(parseJSONReply('{"errors": []}')).toEqual({ errors: [] });
+  });
+
+  it('unwraps a reply in a markdown fence or after a sentence of preamble', () => {
+    expect(parseJSONReply('```json\n{"on_topic": true}\n```')).toEqual({ on_topic: true });
+    expect(parseJSONReply('Here is the grading:\n{"total": {"points": 80}}\nHope this helps.'))
+      .toEqual({ total: { points: 80 } });
+  });
+
+  it('rejects empty and invalid replies', () => {
+    expect(() => parseJSONReply('')).toThrow('LLM returned no content');
+    expect(() => parseJSONReply('   ')).toThrow('LLM returned no content');
+    expect(() => parseJSONReply(undefined)).toThrow('LLM returned no content');
+    expect(() => parseJSONReply('I cannot grade this essay.')).toThrow('LLM returned invalid JSON');
+    expect(() => parseJSONReply('```json\n{"scores": {"grammar": }\n```')).toThrow('LLM returned invalid JSON');
+  });
+});
+
+describe('stage routing', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ROUTING_ENV.map(name => [name, process.env[name]]));
+    for (const name of ROUTING_ENV) delete process.env[name];
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('defaults every stage to OpenAI gpt-4o', () => {
+    expect(resolveStageRoute('grading')).toEqual({ stage: 'grading', provider: 'openai', model: 'gpt-4o' });
+  });
+
+  it('routes each stage to its own provider and model', () => {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.OPENAI_MODEL = 'gpt-4o-mini';
+    process.env.LLM_PROVIDER_DETECTION = ' Anthropic ';
+    process.env.LLM_MODEL_DETECTION = 'claude-haiku-4-5';
+    process.env.LLM_PROVIDER_GRADING = 'local';
+
+    expect(resolveStageRoute('detection')).toEqual({ stage: 'detection', provider: 'anthropic', model: 'claude-haiku-4-5' });
+    expect(resolveStageRoute('grading')).toEqual({ stage: 'grading', provider: 'local', model: 'llama3.1' });
+    expect(resolveStageRoute('metrics')).toEqual({ stage: 'metrics', provider: 'openai', model: 'gpt-4o-mini' });
+  });
+
+  it('rejects an unknown provider, and reports it per stage in the routing table', () => {
+    process.env.LLM_PROVIDER_GRADING = 'gemini';
+    expect(() => resolveStageRoute('grading')).toThrow('Unknown LLM provider "gemini" for stage "grading"');
+
+    const table = describeRouting();
+    expect(table.find(route => route.stage === 'grading')).toMatchObject({ provider: null, model: null });
+    expect(table.find(route => route.stage === 'detection')).toEqual({ stage: 'detection', provider: 'openai', model: 'gpt-4o' });
+  });
+
+  it('sends a call to the provider its stage is routed to', async () => {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_PROVIDER_DETECTION = 'mock';
+
+    const { data, usage } = await completeJSON('detection', {
+      prompt: 'Find the errors.',
+      temperature: 0,
+      key: 'I recieve a letter.',
+    });
+    expect(data.errors.map(e => e.error_text)).toEqual(['recieve']);
+    expect(usage).toMatchObject({ provider: 'mock', stage: 'detection', model: 'mock:synthetic' });
+  });
+});
+
+describe('per-call pricing', () => {
+  it('prices each call at its own model\'s rate', () => {
+    const cost = computeUsageCostUsd({
+      promptTokens: 2_000_000,
+      completionTokens: 200_000,
+      model: 'claude-sonnet-4-5+gpt-4o',
+      calls: [
+        { stage: 'detection', model: 'claude-sonnet-4-5-20250929', promptTokens: 1_000_000, completionTokens: 100_000 },
+        { stage: 'grading', model: 'gpt-4o-2024-08-06', promptTokens: 1_000_000, completionTokens: 100_000 },
+      ],
+    });
+    expect(cost).toBeCloseTo((3.0 + 1.5) + (2.5 + 1.0), 10);
+  });
+
+  it('matches dated snapshots to the most specific rate', () => {
+    expect(computeCostUsd('gpt-4o-mini-2024-07-18', 1_000_000, 0)).toBeCloseTo(0.15, 10);
+  });
+
+  it('costs nothing for local models', () => {
+    expect(computeCostUsd(`${LOCAL_MODEL_PREFIX}gpt-4o`, 1_000_000, 1_000_000)).toBe(0);
+    expect(computeUsageCostUsd({
+      calls: [
+        { stage: 'detection', model: `${LOCAL_MODEL_PREFIX}llama3.1`, promptTokens: 5000, completionTokens: 800 },
+        { stage: 'grading', model: 'gpt-4o', promptTokens: 1_000_000, completionTokens: 0 },
+      ],
+    })).toBeCloseTo(2.5, 10);
+  });
+
+  it('falls back to the default rate for an unknown model', () => {
+    expect(computeUsageCostUsd({ model: 'some-new-model', promptTokens: 1_000_000, completionTokens: 0 })).toBeCloseTo(2.5, 10);
+  });
+});
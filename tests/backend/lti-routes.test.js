@@ -0,0 +1,150 @@
+/**
+ * LTI launch routes (src/routes/lti.js) — how an instructor launch finds the
+ * teacher's account: only through an LMS identity the teacher connected
+ * themselves, never through the email the LMS sends.
+ */
+import { afterAll, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import session from 'express-session';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import { table } from '../setup/memory-table.js';
+
+const PLATFORM = {
+  issuer: 'https://lms.example.edu',
+  clientId: 'tool-1',
+  authLoginUrl: 'https://lms.example.edu/auth',
+  authTokenUrl: 'https://lms.example.edu/token',
+  jwksUrl: 'https://lms.example.edu/jwks',
+};
+
+const LAUNCH = {
+  issuer: PLATFORM.issuer,
+  deploymentId: 'd1',
+  subject: 'u-teacher',
+  email: 'teacher@school.edu',
+  name: 'Pat Teacher',
+  instructor: true,
+  learner: false,
+  context: { id: 'c-1', title: 'ESL 101' },
+  resourceLink: { id: 'rl-1', title: 'Essay 1', description: null },
+  ags: null,
+  sourcedId: null,
+};
+
+const db = {};
+jest.unstable_mockModule('../../lib/prisma.js', () => ({ prisma: db }));
+
+// The platform's signature checks and the course setup have their own tests.
+const resolveInstructorLaunch = jest.fn();
+jest.unstable_mockModule('../../src/services/ltiService.js', () => ({
+  verifyLaunch: async () => LAUNCH,
+  resolveInstructorLaunch,
+  resolveLearnerLaunch: async () => ({ linkId: null, reason: 'error' }),
+  getLearnerAssignment: async () => null,
+  submitEssay: async () => null,
+  getLinkForTeacher: async () => null,
+  sendScores: async () => null,
+}));
+
+const { default: authRoutes } = await import('../../src/routes/auth.js');
+const { default: ltiRoutes } = await import('../../src/routes/lti.js');
+const { hashPassword } = await import('../../src/services/authService.js');
+
+const PASSWORD = 'correct horse battery';
+
+function app() {
+  const server = express();
+  server.use(express.json());
+  server.use(express.urlencoded({ extended: true }));
+  server.use(cookieParser('test-secret'));
+  server.use(session({ secret: 'test-secret', resave: false, saveUninitialized: false }));
+  server.use('/auth', authRoutes);
+  server.use('/', ltiRoutes);
+  return server;
+}
+
+// Login initiation sets the state cookie the launch is checked against.
+async function launch(agent) {
+  const login = await agent.get('/lti/login')
+    .query({ iss: PLATFORM.issuer, client_id: PLATFORM.clientId, login_hint: 'hint' });
+  const state = new URL(login.headers.location).searchParams.get('state');
+  return agent.post('/lti/launch').type('form').send({ id_token: 'signed-by-the-lms', state });
+}
+
+const signIn = agent => agent.post('/auth/login').send({ email: 'teacher@school.edu', password: PASSWORD });
+
+beforeAll(() => { process.env.LTI_PLATFORMS = JSON.stringify([PLATFORM]); });
+afterAll(() => { delete process.env.LTI_PLATFORMS; });
+
+beforeEach(async () => {
+  resolveInstructorLaunch.mockResolvedValue({ link: { id: 'link-1' } });
+  Object.assign(db, {
+    users: table(),
+    login_failures: table(),
+    oidc_identities: table({ users: identity => db.users.rows.find(user => user.id === identity.userId) }),
+  });
+  // An account with the same address as the LMS teacher.
+  await db.users.create({
+    data: { id: 'user-1', email: 'teacher@school.edu', passwordHash: await hashPassword(PASSWORD), emailVerifiedAt: new Date() },
+  });
+});
+
+describe('an instructor launch from an LMS identity not yet connected', () => {
+  it('does not sign in to the account with the matching email', async () => {
+    const agent = request.agent(app());
+    const launched = await launch(agent);
+
+    expect(launched.status).toBe(303);
+    expect(launched.headers.location).toBe('/lti/connect');
+    expect(launched.headers['set-cookie'].join(';')).not.toContain('userId=');
+    expect(db.oidc_identities.rows).toHaveLength(0);
+    expect(resolveInstructorLaunch).not.toHaveBeenCalled();
+  });
+
+  it('asks the teacher to sign in before connecting it', async () => {
+    const agent = request.agent(app());
+    await launch(agent);
+
+    const page = await agent.get('/lti/connect');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('href="/login"');
+    expect(page.text).not.toContain('<form');
+
+    const posted = await agent.post('/lti/connect');
+    expect(posted.headers.location).toBe('/lti/connect');
+    expect(db.oidc_identities.rows).toHaveLength(0);
+  });
+
+  it('connects once the signed-in teacher confirms, and later launches sign in', async () => {
+    const agent = request.agent(app());
+    await launch(agent);
+    expect((await signIn(agent)).status).toBe(200);
+
+    const page = await agent.get('/lti/connect');
+    expect(page.text).toContain('<form method="POST" action="/lti/connect">');
+    expect(page.text).toContain('teacher@school.edu');
+
+    const connected = await agent.post('/lti/connect');
+    expect(connected.status).toBe(200);
+    expect(db.oidc_identities.rows).toEqual([
+      expect.objectContaining({ userId: 'user-1', issuer: PLATFORM.issuer, subject: 'u-teacher' }),
+    ]);
+
+    const relaunched = await launch(request.agent(app()));
+    expect(relaunched.headers.location).toBe('/lti/assignment?link=link-1');
+    expect(relaunched.headers['set-cookie'].join(';')).toContain('userId=');
+    expect(resolveInstructorLaunch).toHaveBeenCalledWith(LAUNCH, expect.objectContaining({ issuer: PLATFORM.issuer }), 'user-1');
+  });
+
+  it('won\'t move an identity another account connected in the meantime', async () => {
+    const agent = request.agent(app());
+    await launch(agent);
+    await db.oidc_identities.create({ data: { userId: 'user-2', issuer: PLATFORM.issuer, subject: 'u-teacher', email: 'teacher@school.edu' } });
+    await signIn(agent);
+
+    const connected = await agent.post('/lti/connect');
+    expect(connected.status).toBe(409);
+    expect(db.oidc_identities.rows.map(row => row.userId)).toEqual(['user-2']);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * LTI 1.3 (src/services/lti.js) — platform registrations, RS256 JWTs,
+ * launch claim checks and the AGS shapes sent back to the platform.
+ */
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { generateKeyPairSync } from 'crypto';
+import {
+  AGS_SCOPES,
+  CLAIMS,
+  authenticationRequest,
+  clientAssertion,
+  decodeJwt,
+  findPlatform,
+  launchDetails,
+  ltiPlatforms,
+  scorePayload,
+  scoresUrl,
+  signJwt,
+  validateLaunchClaims,
+  verifyJwt,
+} from '../../src/services/lti.js';
+
+const platformKey = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...platformKey.publicKey.export({ format: 'jwk' }), kid: 'k1' }] };
+
+const platform = {
+  issuer: 'https://lms.example.edu',
+  clientId: 'tool-1',
+  deploymentIds: ['d1'],
+  authLoginUrl: 'https://lms.example.edu/auth',
+  authTokenUrl: 'https://lms.example.edu/token',
+  jwksUrl: 'https://lms.example.edu/jwks',
+};
+
+const NOW = 1_800_000_000;
+
+function launchClaims(overrides = {}) {
+  return {
+    iss: platform.issuer,
+    aud: platform.clientId,
+    sub: 'u-1',
+    iat: NOW,
+    exp: NOW + 300,
+    nonce: 'n-1',
+    given_name: 'Ana',
+    family_name: 'Lopez',
+    email: ' Ana.Lopez@Example.edu ',
+    [CLAIMS.messageType]: 'LtiResourceLinkRequest',
+    [CLAIMS.version]: '1.3.0',
+    [CLAIMS.deploymentId]: 'd1',
+    [CLAIMS.resourceLink]: { id: 'rl-1', title: 'Essay 1' },
+    [CLAIMS.roles]: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Learner'],
+    [CLAIMS.context]: { id: 'c-1', label: 'ESL 101' },
+    [CLAIMS.lis]: { person_sourcedid: 'S1001' },
+    [CLAIMS.ags]: { scope: [AGS_SCOPES.score], lineitem: 'https://lms.example.edu/lineitems/7?type=essay' },
+    ...overrides,
+  };
+}
+
+describe('platform registrations', () => {
+  const saved = process.env.LTI_PLATFORMS;
+  beforeEach(() => {
+    process.env.LTI_PLATFORMS = JSON.stringify([
+      platform,
+      { ...platform, clientId: 'tool-2', deploymentIds: undefined },
+      { issuer: 'https://incomplete.example.edu' },
+    ]);
+  });
+  afterEach(() => {
+    if (saved === undefined) delete process.env.LTI_PLATFORMS;
+    else process.env.LTI_PLATFORMS = saved;
+  });
+
+  it('drops incomplete registrations', () => {
+    expect(ltiPlatforms().map(p => p.clientId)).toEqual(['tool-1', 'tool-2']);
+    expect(ltiPlatforms()[1].deploymentIds).toEqual([]);
+  });
+
+  it('needs the client id when an issuer has several registrations', () => {
+    expect(findPlatform(platform.issuer, 'tool-2').clientId).toBe('tool-2');
+    expect(findPlatform(platform.issuer)).toBeNull();
+  });
+});
+
+describe('JWTs', () => {
+  it('verifies a signed token against the key set', () => {
+    const jwt = signJwt({ sub: 'u-1' }, { privateKey: platformKey.privateKey, kid: 'k1' });
+    expect(verifyJwt(jwt, jwks)).toEqual({ sub: 'u-1' });
+  });
+
+  it('rejects a tampered token or an unknown key', () => {
+    const jwt = signJwt({ sub: 'u-1' }, { privateKey: platformKey.privateKey, kid: 'k1' });
+    const [header, , signature] = jwt.split('.');
+    const forged = `${header}.${Buffer.from(JSON.stringify({ sub: 'u-2' })).toString('base64url')}.${signature}`;
+    expect(() => verifyJwt(forged, jwks)).toThrow('JWT signature invalid');
+    expect(() => verifyJwt(signJwt({}, { privateKey: platformKey.privateKey, kid: 'k2' }), jwks)).toThrow('No matching signing key');
+    expect(() => verifyJwt('not.a.jwt', jwks)).toThrow('Malformed JWT');
+  });
+});
+
+describe('launches', () => {
+  it('asks the platform for a form-posted id_token', () => {
+    const { url, state, nonce } = authenticationRequest(platform, { loginHint: 'h', redirectUri: 'https://tool/lti/launch' });
+    const params = new URL(url).searchParams;
+    expect(params.get('response_mode')).toBe('form_post');
+    expect(params.get('client_id')).toBe('tool-1');
+    expect(params.get('state')).toBe(state);
+    expect(params.get('nonce')).toBe(nonce);
+    expect(params.has('lti_message_hint')).toBe(false);
+  });
+
+  it('accepts a valid launch', () => {
+    expect(() => validateLaunchClaims(launchClaims(), { platform, nonce: 'n-1', now: NOW + 30 })).not.toThrow();
+  });
+
+  it.each([
+    ['Launch issuer mismatch', { iss: 'https://other.example.edu' }],
+    ['Launch authorized party mismatch', { aud: ['tool-1', 'other'] }],
+    ['Launch token expired', { exp: NOW - 120 }],
+    ['Launch nonce mismatch', { nonce: 'replayed' }],
+    ['Unknown deployment', { [CLAIMS.deploymentId]: 'd2' }],
+    ['Unsupported LTI message type', { [CLAIMS.messageType]: 'LtiDeepLinkingRequest' }],
+  ])('rejects a launch: %s', (reason, overrides) => {
+    expect(() => validateLaunchClaims(launchClaims(overrides), { platform, nonce: 'n-1', now: NOW })).toThrow(reason);
+  });
+
+  it('reads the learner, course, link and grade endpoint', () => {
+    expect(launchDetails(launchClaims())).toEqual({
+      issuer: platform.issuer,
+      deploymentId: 'd1',
+      subject: 'u-1',
+      email: 'ana.lopez@example.edu',
+      name: 'Ana Lopez',
+      instructor: false,
+      learner: true,
+      context: { id: 'c-1', title: 'ESL 101' },
+      resourceLink: { id: 'rl-1', title: 'Essay 1', description: null },
+      ags: { lineItem: 'https://lms.example.edu/lineitems/7?type=essay', lineItems: null, scopes: [AGS_SCOPES.score] },
+      sourcedId: 'S1001',
+    });
+  });
+
+  it('treats teaching roles as instructors', () => {
+    const details = launchDetails(launchClaims({
+      [CLAIMS.roles]: ['http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant'],
+      [CLAIMS.ags]: undefined,
+    }));
+    expect(details).toMatchObject({ instructor: true, learner: false, ags: null });
+  });
+
+  it('does not treat mentors or content developers as instructors', () => {
+    const details = launchDetails(launchClaims({
+      [CLAIMS.roles]: [
+        'http://purl.imsglobal.org/vocab/lis/v2/membership#Mentor',
+        'http://purl.imsglobal.org/vocab/lis/v2/membership#ContentDeveloper',
+      ],
+    }));
+    expect(details).toMatchObject({ instructor: false, learner: false });
+  });
+
+  it('reads course roles only, not institution or system roles', () => {
+    const staffLearner = launchDetails(launchClaims({
+      [CLAIMS.roles]: [
+        'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Instructor',
+        'http://purl.imsglobal.org/vocab/lis/v2/system/person#Administrator',
+        'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner',
+      ],
+    }));
+    expect(staffLearner).toMatchObject({ instructor: false, learner: true });
+
+    const institutionLearner = launchDetails(launchClaims({
+      [CLAIMS.roles]: ['http://purl.imsglobal.org/vocab/lis/v2/institution/person#Learner'],
+    }));
+    expect(institutionLearner).toMatchObject({ instructor: false, learner: false });
+  });
+});
+
+describe('grade passback', () => {
+  it('signs a client assertion for the token endpoint', () => {
+    const jwt = clientAssertion(platform, { privateKey: platformKey.privateKey, kid: 'k1' }, NOW);
+    expect(verifyJwt(jwt, jwks)).toMatchObject({ iss: 'tool-1', sub: 'tool-1', aud: platform.authTokenUrl, exp: NOW + 300 });
+    expect(decodeJwt(jwt).header).toEqual({ alg: 'RS256', typ: 'JWT', kid: 'k1' });
+  });
+
+  it('posts scores under the line item, keeping its query', () => {
+    expect(scoresUrl('https://lms.example.edu/lineitems/7/?type=essay')).toBe('https://lms.example.edu/lineitems/7/scores?type=essay');
+  });
+
+  it('sends a graded score with the teacher notes', () => {
+    expect(scorePayload({ subject: 'u-1', points: 80, outOf: 100, comment: 'Good', timestamp: new Date(NOW * 1000) })).toEqual({
+      userId: 'u-1',
+      scoreGiven: 80,
+      scoreMaximum: 100,
+      comment: 'Good',
+      timestamp: new Date(NOW * 1000).toISOString(),
+      activityProgress: 'Completed',
+      gradingProgress: 'FullyGraded',
+    });
+    expect(scorePayload({ subject: 'u-1', points: 0, outOf: 100 })).not.toHaveProperty('comment');
+  });
+});
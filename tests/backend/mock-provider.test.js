@@ -0,0 +1,143 @@
+/**
+ * Offline mock provider (LLM_PROVIDER=mock) — end-to-end through the grader.
+ *
+ * jest.setup.js routes every stage to the mock, so these run the real
+ * gradeEssaySimple pipeline (detection → metrics → precomputed bands → grading
+ * → teacher notes → usage) and the real formatter, with no network. They pin
+ * the contract the mock exists for: output shaped exactly like a live grade,
+ * identical across runs, fixtures replayed by essay hash, and $0 cost rows.
+ */
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+import { extractSyllabus } from '../../grader/syllabus-extractor.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+import { fixtureHash, recordFixture } from '../../grader/mock-provider.js';
+import { computeUsageCostUsd } from '../../src/services/costRates.js';
+
+const ESSAY = 'my freind and i went to the the park yesterday. We recieve a gift.\n\n' +
+  'However it was fun because alot of people came.';
+const PROFILE = { cefrLevel: 'B2', vocabulary: ['# UNIT 1', 'park', 'gift'], grammar: [] };
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../grader/fixtures/mock');
+const readFixture = file => JSON.parse(readFileSync(join(FIXTURES_DIR, file), 'utf8'));
+
+describe('mock LLM provider', () => {
+  let fixturesDir;
+
+  beforeEach(() => {
+    fixturesDir = mkdtempSync(join(tmpdir(), 'mock-fixtures-'));
+    process.env.LLM_MOCK_FIXTURES_DIR = fixturesDir;
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_MOCK_FIXTURES_DIR;
+    rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('grades offline with the same result shape as a live grade', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE, null, 'Ana');
+
+    for (const cat of ['grammar', 'vocabulary', 'spelling', 'mechanics', 'fluency', 'layout', 'content']) {
+      expect(Number.isInteger(result.scores[cat].points)).toBe(true);
+      expect(result.scores[cat].rationale).toEqual(expect.any(String));
+    }
+    const sum = Object.values(result.scores).reduce((a, s) => a + s.points, 0);
+    expect(result.total).toEqual({ points: sum, out_of: 100 });
+
+    expect(result.inline_issues.map(i => i.text)).toEqual(
+      expect.arrayContaining(['freind', 'recieve', 'alot', 'the the', 'i went'])
+    );
+    for (const issue of result.inline_issues) {
+      expect(ESSAY.slice(issue.start, issue.end)).toBe(issue.text);
+    }
+
+    expect(result.meta.class_vocabulary_used).toEqual(['park', 'gift']);
+    expect(result.meta.transition_words_found).toEqual(expect.arrayContaining(['however']));
+    expect(result.teacher_notes.startsWith('Ana - ')).toBe(true);
+  });
+
+  it('is deterministic across runs', async () => {
+    const first = await gradeEssaySimple(ESSAY, PROFILE, null, 'Ana');
+    const second = await gradeEssaySimple(ESSAY, PROFILE, null, 'Ana');
+    expect(second).toEqual(first);
+  });
+
+  it('reports per-stage usage priced at $0', async () => {
+    const { usage } = await gradeEssaySimple(ESSAY, PROFILE);
+
+    // Metrics are counted in code; no class grammar left for the LLM to judge.
+    expect(usage.calls.map(c => c.stage)).toEqual(['screening', 'detection', 'grading']);
+    expect(usage.model).toBe('mock:synthetic');
+    expect(usage.promptTokens).toBeGreaterThan(0);
+    expect(computeUsageCostUsd(usage)).toBe(0);
+
+    const withGrammar = await gradeEssaySimple(ESSAY, { ...PROFILE, grammar: ['cleft sentences for emphasis'] });
+    expect(withGrammar.usage.calls.map(c => c.stage)).toEqual(['screening', 'detection', 'metrics', 'grading']);
+  });
+
+  it('replays a recorded fixture keyed by the essay text', async () => {
+    const scores = Object.fromEntries(
+      ['grammar', 'vocabulary', 'spelling', 'mechanics', 'layout', 'content'].map(c =>
+        [c, { points: 15, out_of: 15, rationale: 'Recorded.' }])
+    );
+    scores.fluency = { points: 10, out_of: 10, rationale: 'Recorded.' };
+    recordFixture('grading', ESSAY, { scores, total: { points: 100, out_of: 100 } });
+
+    // Windows line endings hash to the same fixture.
+    const result = await gradeEssaySimple(ESSAY.replace(/\n/g, '\r\n'), PROFILE);
+
+    expect(result.total.points).toBe(100);
+    expect(result.usage.calls.find(c => c.stage === 'grading').model).toBe('mock:fixture');
+    // Stages without a recorded reply still fall back to synthetic.
+    expect(result.usage.calls.find(c => c.stage === 'detection').model).toBe('mock:synthetic');
+    expect(result.usage.model).toBe('mock:synthetic+mock:fixture');
+  });
+
+  it('produces formatter output from a mock grade', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE);
+    const formatted = formatGradedEssay(ESSAY, result, {});
+
+    expect(formatted.formattedText).toContain('class="highlight-spelling highlight"');
+    expect(formatted.formattedText).toContain('data-original-text="recieve"');
+  });
+
+  it('extracts a syllabus offline', async () => {
+    const syllabus = 'UNIT 1: GETTING A JOB\nGRAMMAR\n1. Present Perfect\nVOCABULARY\n- negotiate\n- salary';
+    await expect(extractSyllabus(syllabus)).resolves.toEqual({
+      vocabulary: ['# UNIT 1: GETTING A JOB', 'negotiate', 'salary'],
+      grammar: ['# UNIT 1: GETTING A JOB', 'Present Perfect'],
+    });
+  });
+});
+
+describe('committed mock fixtures', () => {
+  const files = readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json'));
+
+  it('are each stored under the hash of the text they were recorded for', () => {
+    expect(files.length).toBeGreaterThan(0);
+    for (const file of files) {
+      expect(file).toBe(`${fixtureHash(readFixture(file).text)}.json`);
+    }
+  });
+
+  it('replays a sample essay from the repo', async () => {
+    const fixture = readFixture('82ab517854efc72c.json');
+    const result = await gradeEssaySimple(fixture.text, { cefrLevel: 'B1', vocabulary: [], grammar: [] }, null, 'Sam');
+
+    expect(result.usage.calls.map(c => c.model)).toEqual(['mock:fixture', 'mock:fixture', 'mock:fixture']);
+    expect(result.total).toEqual({ points: 82, out_of: 100 });
+    expect(result.scores.layout).toEqual(fixture.grading.scores.layout);
+
+    // Every recorded error anchors to its place in the essay.
+    expect(result.unresolved_issues).toEqual([]);
+    expect(result.inline_issues).toHaveLength(fixture.detection.errors.length);
+    for (const issue of result.inline_issues) {
+      expect(fixture.text.slice(issue.start, issue.end)).toBe(issue.text);
+    }
+    expect(result.inline_issues.filter(i => i.text === 'dont').map(i => i.correction)).toEqual(["don't", "don't"]);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * OCR intake of handwritten essays — page images out of scanned PDFs
+ * (pdfText.js pdfPageImages), recognised text and word confidences
+ * (ocr.js pageText, essayImport.js) and the grader's OCR leniency.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { deflateSync, inflateSync } from 'node:zlib';
+import { extractDocumentText } from '../../src/services/documentText.js';
+import { importEssays, MAX_OCR_FILES } from '../../src/services/essayImport.js';
+import { pageText } from '../../src/services/ocr.js';
+import { pdfPageImages } from '../../src/services/pdfText.js';
+import { zip } from '../../src/services/zipWriter.js';
+import { buildSimpleErrorDetectionPrompt } from '../../grader/error-detection-simple.js';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+
+// A PDF whose pages each hold one image XObject and no text.
+function scannedPdf(images) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${images.map((_, i) => `${3 + i * 2} 0 R`).join(' ')}] /Count ${images.length} >>`,
+  ];
+  images.forEach((image, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /Resources << /XObject << /Im0 ${4 + i * 2} 0 R >> >> /Contents ${3 + images.length * 2} 0 R >>`);
+    objects.push({ dict: `/Type /XObject /Subtype /Image ${image.dict}`, stream: image.data });
+  });
+  objects.push({ dict: '', stream: Buffer.from('q 612 0 0 792 0 0 cm /Im0 Do Q') });
+
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  objects.forEach((object, i) => {
+    if (typeof object === 'string') {
+      parts.push(Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`));
+    } else {
+      parts.push(Buffer.from(`${i + 1} 0 obj\n<< ${object.dict} /Length ${object.stream.length} >>\nstream\n`),
+        object.stream, Buffer.from('\nendstream\nendobj\n'));
+    }
+  });
+  parts.push(Buffer.from('trailer\n<< /Root 1 0 R >>\n%%EOF\n'));
+  return Buffer.concat(parts);
+}
+
+// Tesseract's result shape, cut down to what pageText reads.
+function ocrPage(paragraphs) {
+  return {
+    blocks: [{
+      paragraphs: paragraphs.map(lines => ({
+        bbox: { x0: 0, x1: 1000 },
+        lines: lines.map(([words, x1 = 1000]) => ({
+          bbox: { x0: 0, x1 },
+          words: words.split(' ').map(word => {
+            const [text, confidence = '95'] = word.split('@');
+            return { text, confidence: Number(confidence) };
+          }),
+        })),
+      })),
+    }],
+  };
+}
+
+describe('pdfPageImages', () => {
+  it('hands JPEG scans over as they are, one per page', () => {
+    const pdf = scannedPdf([
+      { dict: '/Width 10 /Height 10 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode', data: JPEG },
+      { dict: '/Width 10 /Height 10 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter [/FlateDecode /DCTDecode]', data: deflateSync(JPEG) },
+    ]);
+    expect(pdfPageImages(pdf)).toEqual([JPEG, JPEG]);
+  });
+
+  it('wraps raw grey samples as a PNG', () => {
+    const samples = Buffer.from([0, 255, 0, 255, 255, 0, 255, 0]);
+    const [png] = pdfPageImages(scannedPdf([
+      { dict: '/Width 4 /Height 2 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode', data: deflateSync(samples) },
+    ]));
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    expect([png.readUInt32BE(16), png.readUInt32BE(20), png[24], png[25]]).toEqual([4, 2, 8, 0]);
+    const idat = png.indexOf('IDAT');
+    const rows = inflateSync(png.subarray(idat + 4, idat + 4 + png.readUInt32BE(idat - 4)));
+    expect([...rows]).toEqual([0, 0, 255, 0, 255, 0, 255, 0, 255, 0]);
+  });
+
+  it('leaves out encodings it cannot hand to OCR', () => {
+    expect(pdfPageImages(scannedPdf([
+      { dict: '/Width 8 /Height 8 /ImageMask true /Filter /CCITTFaxDecode', data: Buffer.from([1, 2, 3]) },
+    ]))).toEqual([]);
+  });
+});
+
+describe('extractDocumentText', () => {
+  it('sends photos and scanned PDFs to OCR', () => {
+    expect(extractDocumentText('page1.JPG', JPEG)).toEqual({ text: '', headerText: '', reason: 'needs_ocr', images: [JPEG] });
+    const scan = scannedPdf([{ dict: '/Width 10 /Height 10 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode', data: JPEG }]);
+    expect(extractDocumentText('exam.pdf', scan)).toMatchObject({ reason: 'needs_ocr', images: [JPEG] });
+  });
+});
+
+describe('pageText', () => {
+  it('joins wrapped lines, keeps short lines and records word offsets', () => {
+    const { text, words } = pageText(ocrPage([
+      [['Name: Ana Lopez', 300]],
+      [['My summer was@52 very'], ['fun because I', 500], ['The end.', 200]],
+    ]));
+    expect(text).toBe('Name: Ana Lopez\n\nMy summer was very fun because I\nThe end.');
+    expect(words.find(w => w.text === 'was')).toEqual({ text: 'was', confidence: 52, start: 27 });
+    expect(words.every(w => text.slice(w.start, w.start + w.text.length) === w.text)).toBe(true);
+  });
+});
+
+describe('importEssays with OCR', () => {
+  const recognized = pageText(ocrPage([[['Name: Ana Lopez', 300]], [['I like@40 my school.']]]));
+  const recognize = async () => ({ ...recognized, confidence: 80 });
+
+  it('reads the name off the recognised page and keeps word offsets in the essay text', async () => {
+    const { essays } = await importEssays([{ name: 'scan001.jpg', data: JPEG }], { recognize });
+    expect(essays).toHaveLength(1);
+    const [essay] = essays;
+    expect([essay.studentName, essay.nameSource, essay.text]).toEqual(['Ana Lopez', 'document', 'I like my school.']);
+    expect(essay.ocr.confidence).toBe(80);
+    expect(essay.ocr.words.map(w => [w.text, w.start, w.confidence])).toEqual([
+      ['I', 0, 95], ['like', 2, 40], ['my', 7, 95], ['school.', 10, 95],
+    ]);
+  });
+
+  it('does not take scan and photo file names for students', async () => {
+    const uploads = ['IMG_2041.jpg', 'exam scan p1.png', 'Ben Kim page 2.jpg'].map(name => ({ name, data: JPEG }));
+    const recognizeBody = async () => pageText(ocrPage([[['Some essay text.']]]));
+    const { essays } = await importEssays(uploads, { recognize: recognizeBody });
+    expect(essays.map(e => e.studentName)).toEqual([null, null, 'Ben Kim']);
+  });
+
+  it('reports scans it could not read', async () => {
+    const failed = await importEssays([{ name: 'a.png', data: JPEG }], { recognize: async () => null });
+    expect(failed.skipped).toEqual([{ file: 'a.png', reason: 'ocr_failed' }]);
+    const blank = await importEssays([{ name: 'a.png', data: JPEG }], { recognize: async () => ({ text: ' ', confidence: 0, words: [] }) });
+    expect(blank.skipped).toEqual([{ file: 'a.png', reason: 'no_text' }]);
+    const noEngine = await importEssays([{ name: 'a.png', data: JPEG }]);
+    expect(noEngine.skipped).toEqual([{ file: 'a.png', reason: 'needs_ocr' }]);
+  });
+
+  it(`recognises at most ${MAX_OCR_FILES} scans per upload`, async () => {
+    const archive = zip(Array.from({ length: MAX_OCR_FILES + 2 }, (_, i) => ({ name: `scan${i}.jpg`, data: JPEG })));
+    const { essays, skipped } = await importEssays([{ name: 'scans.zip', data: archive }], { recognize });
+    expect(essays).toHaveLength(MAX_OCR_FILES);
+    expect(skipped.map(s => s.reason)).toEqual(['too_many_scans', 'too_many_scans']);
+  });
+});
+
+describe('grading OCR text', () => {
+  it('tells error detection to leave OCR misreadings alone', () => {
+    expect(buildSimpleErrorDetectionPrompt({}, 'text', { ocr: true })).toContain('transcribed from handwriting by OCR');
+    expect(buildSimpleErrorDetectionPrompt({}, 'text')).not.toContain('OCR');
+  });
+
+  it('records on the result that the essay came from OCR', async () => {
+    const essay = 'My frend and I went to the park. We playd football.';
+    expect((await gradeEssaySimple(essay, { cefrLevel: 'B1' }, null, null, { ocr: true })).meta.ocr).toBe(true);
+    expect((await gradeEssaySimple(essay, { cefrLevel: 'B1' })).meta.ocr).toBe(false);
+  });
+});
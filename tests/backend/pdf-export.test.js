@@ -0,0 +1,45 @@
+/**
+ * PDF exports (src/services/pdfExport.js) — which essays a request may
+ * render and what the downloaded files are called.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { MAX_PDF_ESSAYS, pdfEssays, pdfFileName, zipEntryNames } from '../../src/services/pdfExport.js';
+
+describe('pdfEssays', () => {
+  it('keeps each essay\'s name and HTML', () => {
+    expect(pdfEssays([
+      { studentName: 'Ana Lima', html: '<p>Graded</p>', extra: true },
+      { html: '<p>Also graded</p>' },
+    ])).toEqual({
+      essays: [
+        { studentName: 'Ana Lima', html: '<p>Graded</p>' },
+        { studentName: 'Essay 2', html: '<p>Also graded</p>' },
+      ],
+    });
+  });
+
+  it('rejects empty, oversized and HTML-less requests', () => {
+    expect(pdfEssays([])).toEqual({ error: 'essays must be a non-empty array' });
+    expect(pdfEssays(null)).toEqual({ error: 'essays must be a non-empty array' });
+    const tooMany = Array.from({ length: MAX_PDF_ESSAYS + 1 }, () => ({ html: '<p>x</p>' }));
+    expect(pdfEssays(tooMany).error).toMatch(`At most ${MAX_PDF_ESSAYS}`);
+    expect(pdfEssays([{ studentName: 'Ana', html: ' ' }])).toEqual({ error: 'Each essay needs its rendered HTML' });
+  });
+});
+
+describe('file names', () => {
+  it('slugs the title', () => {
+    expect(pdfFileName('Year 9 - Holiday Essay', 'pdf')).toBe('year-9---holiday-essay.pdf');
+    expect(pdfFileName('José Núñez', 'zip')).toBe('jose-nunez.zip');
+    expect(pdfFileName('???', 'pdf')).toBe('essays.pdf');
+  });
+
+  it('numbers students who share a name', () => {
+    expect(zipEntryNames([
+      { studentName: 'Ana Lima' },
+      { studentName: 'Ben' },
+      { studentName: 'ana lima' },
+      { studentName: '' },
+    ])).toEqual(['ana-lima.pdf', 'ben.pdf', 'ana-lima-2.pdf', 'essay-4.pdf']);
+  });
+});
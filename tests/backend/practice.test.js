@@ -0,0 +1,139 @@
+/**
+ * Practice sets (src/services/practiceExercises.js, practiceExport.js) —
+ * exercises built from saved essays' errors, the class-vocabulary drills and
+ * the worksheet with its answer key.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { buildPracticeSet, sentenceBounds } from '../../src/services/practiceExercises.js';
+import { practiceDocx, practiceSheetHTML } from '../../src/services/practiceExport.js';
+import { docxToText } from '../../src/services/documentText.js';
+
+function savedEssay(id, text, errors, createdAt, vocabularyUsed = []) {
+  const inlineIssues = errors.map(([wrong, category, correction]) => {
+    const start = text.indexOf(wrong);
+    return { category, text: wrong, start, end: start + wrong.length, correction, explanation: `Not "${wrong}"` };
+  });
+  return {
+    id,
+    studentName: 'Ana Lima',
+    createdAt,
+    essayData: JSON.stringify({
+      essay: {
+        result: {
+          scores: { grammar: { points: 10, out_of: 15 } },
+          total: { points: 10, out_of: 15 },
+          inline_issues: inlineIssues,
+          meta: { class_vocabulary_used: vocabularyUsed },
+        },
+      },
+      originalData: { studentText: text },
+    }),
+  };
+}
+
+const OLDER = savedEssay('e1',
+  'Yesterday I go to the beach with my freinds. We swimmed in the sea. In addition, it was fun.',
+  [['go', 'grammar', 'went'], ['freinds', 'spelling', 'friends'], ['swimmed', 'grammar', 'swam']],
+  '2026-10-01', ['in addition']);
+const NEWER = savedEssay('e2',
+  'My freinds is kind. I buyed a present for them.',
+  [['freinds', 'spelling', 'friends'], ['is', 'grammar', 'are'], ['buyed', 'grammar', 'bought']],
+  '2026-10-08');
+
+describe('sentenceBounds', () => {
+  it('finds the sentence around a span', () => {
+    const text = 'First one. Second one here! Third.';
+    const start = text.indexOf('one here');
+    const { start: from, end: to } = sentenceBounds(text, start, start + 3);
+    expect(text.slice(from, to)).toBe('Second one here!');
+  });
+});
+
+describe('buildPracticeSet', () => {
+  const set = buildPracticeSet([OLDER, NEWER, { id: 'e3', createdAt: '2026-10-09', essayData: '{}' }], {
+    vocabulary: ['# Unit 1', 'in addition', 'however'],
+  });
+
+  it('practises the most frequent categories, shared by how often they come up', () => {
+    expect(set.focus).toEqual([
+      { category: 'grammar', errors: 4, exercises: 4 },
+      { category: 'spelling', errors: 2, exercises: 1 },
+    ]);
+    expect(set.essays).toBe(2);
+    expect(set.skipped).toBe(1);
+  });
+
+  it('builds gap-fills from the student\'s sentences with the other errors corrected', () => {
+    const gaps = set.exercises.filter(e => e.type === 'gap_fill');
+    expect(gaps[0]).toMatchObject({
+      category: 'grammar',
+      prompt: 'My friends _____ kind.',
+      hint: 'is',
+      answer: 'are',
+      essayId: 'e2',
+      studentName: 'Ana Lima',
+    });
+    expect(gaps.map(e => e.answer)).toContain('friends');
+  });
+
+  it('alternates with error-correction sentences whose answer is the corrected sentence', () => {
+    const correction = set.exercises.find(e => e.type === 'error_correction');
+    expect(correction).toMatchObject({ prompt: 'I buyed a present for them.', answer: 'I bought a present for them.', essayId: 'e2' });
+  });
+
+  it('practises a mistake repeated across essays once', () => {
+    expect(set.exercises.filter(e => e.hint === 'freinds' || /freinds/.test(e.prompt))).toHaveLength(1);
+  });
+
+  it('drills the class vocabulary used least, with a word box when an essay shows the item in use', () => {
+    const drills = set.exercises.filter(e => e.type.startsWith('vocabulary'));
+    expect(drills.map(e => [e.type, e.item])).toEqual([
+      ['vocabulary_gap', 'in addition'],
+      ['vocabulary_sentence', 'however'],
+    ]);
+    expect(drills[0]).toMatchObject({ prompt: '_____, it was fun.', answer: 'In addition', essayId: 'e1' });
+    expect(drills[1].answer).toBeNull();
+    expect(set.wordBank).toEqual(['in addition']);
+  });
+
+  it('numbers the exercises in sheet order', () => {
+    expect(set.exercises.map(e => e.number)).toEqual(set.exercises.map((e, i) => i + 1));
+    expect(set.exercises.map(e => e.type)).toEqual([
+      'gap_fill', 'gap_fill', 'gap_fill',
+      'error_correction', 'error_correction',
+      'vocabulary_gap', 'vocabulary_sentence',
+    ]);
+  });
+
+  it('keeps to the requested categories and size', () => {
+    const spelling = buildPracticeSet([OLDER, NEWER], { categories: ['spelling'], exercises: 1, vocabularyDrills: 0 });
+    expect(spelling.exercises).toHaveLength(1);
+    expect(spelling.exercises[0].category).toBe('spelling');
+  });
+});
+
+describe('practice worksheet', () => {
+  const set = {
+    title: 'Practice for Ana Lima',
+    ...buildPracticeSet([NEWER], { vocabulary: ['however'], exercises: 3 }),
+  };
+
+  it('writes the sections and, when asked, the answer key to Word', () => {
+    const sheet = docxToText(practiceDocx(set)).text;
+    expect(sheet).toContain('Fill in the blanks');
+    expect(sheet).toContain('My friends _____ (is) kind.');
+    expect(sheet).not.toContain('Answer key');
+
+    const withKey = docxToText(practiceDocx(set, { answers: true })).text;
+    expect(withKey).toContain('Answer key');
+    expect(withKey).toContain('are (Not "is")');
+    expect(withKey).toContain('Answers will vary.');
+  });
+
+  it('puts the answer key on its own page of the PDF sheet', () => {
+    expect(practiceSheetHTML(set)).not.toContain('<section class="answer-key">');
+    const html = practiceSheetHTML({ ...set, title: 'Ana <script>' }, { answers: true });
+    expect(html).toContain('<section class="answer-key">');
+    expect(html).toContain('Ana &lt;script&gt;');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Student progress report (src/services/progressReport.js) — scores, error
+ * counts and recurring mistakes across a student's saved essays.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { buildProgressReport, extractResult } from '../../src/services/progressReport.js';
+
+function result(points, issues, extraScores = {}) {
+  return {
+    scores: {
+      grammar: { points: points.grammar, out_of: 15, rationale: '...' },
+      spelling: { points: points.spelling, out_of: 5, rationale: '...' },
+      ...extraScores,
+    },
+    total: { points: points.grammar + points.spelling, out_of: 20 },
+    inline_issues: issues,
+  };
+}
+
+const batchSnapshot = (r) => JSON.stringify({ essay: { index: 0, success: true, result: r }, originalData: {} });
+const singleGrade = (r) => JSON.stringify({ gradingData: r, originalData: {} });
+
+describe('extractResult', () => {
+  it('reads batch snapshots and single grades, and rejects anything without a grade', () => {
+    const r = result({ grammar: 10, spelling: 4 }, []);
+    expect(extractResult(batchSnapshot(r))).toEqual(r);
+    expect(extractResult(singleGrade(r))).toEqual(r);
+    expect(extractResult('not json')).toBeNull();
+    expect(extractResult(JSON.stringify({ originalData: {} }))).toBeNull();
+  });
+});
+
+describe('buildProgressReport', () => {
+  const essays = [
+    {
+      id: 'e2',
+      createdAt: '2026-03-10T00:00:00Z',
+      assignments: { id: 'a2', title: 'Unit 2' },
+      essayData: singleGrade(result({ grammar: 12, spelling: 5 }, [
+        { category: 'grammar', text: 'He go', correction: 'He goes' },
+        { category: 'spelling', text: 'becuase', correction: 'because' },
+      ])),
+    },
+    {
+      id: 'e1',
+      createdAt: '2026-02-01T00:00:00Z',
+      assignments: null,
+      essayData: batchSnapshot(result({ grammar: 8, spelling: 3 }, [
+        { category: 'grammar,mechanics', text: 'he go', correction: 'he goes' },
+        { category: 'spelling', text: 'Becuase', correction: 'Because' },
+        { category: 'spelling', text: 'becuase', correction: 'because' },
+        { category: 'mechanics', text: 'i', correction: 'I' },
+      ])),
+    },
+    { id: 'e0', createdAt: '2026-01-01T00:00:00Z', essayData: '{}' },
+  ];
+
+  it('lists graded essays oldest first with scores and error counts', () => {
+    const report = buildProgressReport(essays);
+    expect(report.skipped).toBe(1);
+    expect(report.categories).toEqual(['grammar', 'spelling']);
+    expect(report.essays.map(e => e.essayId)).toEqual(['e1', 'e2']);
+    expect(report.essays[0]).toMatchObject({
+      assignmentTitle: null,
+      total: { points: 11, out_of: 20 },
+      scores: { grammar: { points: 8, out_of: 15 } },
+      errorCounts: { grammar: 1, spelling: 2, mechanics: 1 },
+      errorTotal: 4,
+    });
+    expect(report.essays[1]).toMatchObject({ assignmentId: 'a2', assignmentTitle: 'Unit 2', errorTotal: 2 });
+    expect(report.errorTotals).toEqual({ grammar: 2, spelling: 3, mechanics: 1 });
+  });
+
+  it('reports mistakes repeated across essays, not within one', () => {
+    const { recurring } = buildProgressReport(essays);
+    expect(recurring).toEqual([
+      { category: 'spelling', text: 'becuase', correction: 'because', essays: 2, occurrences: 3 },
+      { category: 'grammar', text: 'he go', correction: 'he goes', essays: 2, occurrences: 2 },
+    ]);
+  });
+
+  it('puts custom rubric categories after the default ones', () => {
+    const report = buildProgressReport([{
+      id: 'e1',
+      createdAt: '2026-01-01T00:00:00Z',
+      essayData: singleGrade(result({ grammar: 10, spelling: 4 }, [], { argument: { points: 3, out_of: 5 } })),
+    }]);
+    expect(report.categories).toEqual(['grammar', 'spelling', 'argument']);
+    expect(report.recurring).toEqual([]);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Resubmitted drafts (grader/revision.js) — what was fixed, persisted or
+ * introduced, the regrade prompt's note on the earlier draft and the
+ * revision summary the formatter shows.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { alignTokens, compareDrafts, tokenize } from '../../grader/revision.js';
+import { buildSimpleErrorDetectionPrompt } from '../../grader/error-detection-simple.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+import { readHighlightsFromHTML } from '../../src/services/savedEssayHTML.js';
+
+const DRAFT_1 = 'Yesterday I go to the beach with my freinds.';
+const DRAFT_2 = 'Yesterday I went to the beach with my freinds and we swimmed.';
+
+function issue(text, category, draft, correction = '') {
+  const start = draft.indexOf(text);
+  return { category, text, start, end: start + text.length, correction, explanation: '' };
+}
+
+const PREVIOUS = [
+  issue('go', 'grammar', DRAFT_1, 'went'),
+  issue('freinds', 'spelling', DRAFT_1, 'friends'),
+];
+const CURRENT = [
+  issue('freinds', 'spelling', DRAFT_2, 'friends'),
+  issue('swimmed', 'grammar', DRAFT_2, 'swam'),
+  issue('beach', 'vocabulary', DRAFT_2, 'seaside'),
+];
+
+describe('tokenize and alignTokens', () => {
+  it('splits words and punctuation with their offsets', () => {
+    expect(tokenize("I can't, Ana.").map(t => t.token)).toEqual(['I', "can't", ',', 'Ana', '.']);
+    expect(tokenize('  hi').at(0)).toMatchObject({ start: 2, end: 4, word: true });
+  });
+
+  it('matches unchanged tokens around a rewrite', () => {
+    const map = alignTokens(tokenize('I go home .'), tokenize('I went home .'));
+    expect(Array.from(map)).toEqual([0, -1, 2, 3]);
+  });
+});
+
+describe('compareDrafts', () => {
+  const comparison = compareDrafts({ text: DRAFT_1, issues: PREVIOUS }, { text: DRAFT_2, issues: CURRENT });
+
+  it('marks each earlier error fixed or persisted', () => {
+    expect(comparison.previousIssues.map(i => [i.text, i.revision_status])).toEqual([
+      ['go', 'fixed'],
+      ['freinds', 'persisted'],
+    ]);
+    expect(comparison.fixed).toEqual([{ category: 'grammar', text: 'go', correction: 'went' }]);
+  });
+
+  it('tells errors in new text from ones the earlier grade missed', () => {
+    expect(comparison.issues.map(i => [i.text, i.revision_status])).toEqual([
+      ['freinds', 'persisted'],
+      ['swimmed', 'introduced'],
+      ['beach', 'newly_flagged'],
+    ]);
+  });
+
+  it('counts a persisted error once', () => {
+    expect(comparison.counts).toEqual({ fixed: 1, persisted: 1, introduced: 1, newly_flagged: 1 });
+    expect(comparison.byCategory.grammar).toEqual({ fixed: 1, persisted: 0, introduced: 1, newly_flagged: 0 });
+  });
+
+  it('keeps the new draft as equal and inserted runs with removed text between', () => {
+    expect(comparison.changes.filter(c => c.type !== 'equal').map(c => [c.type, c.text.trim()])).toEqual([
+      ['delete', 'go'],
+      ['insert', 'went'],
+      ['insert', 'and we swimmed'],
+    ]);
+    expect(comparison.changes.filter(c => c.type !== 'delete').map(c => c.text).join('')).toBe(DRAFT_2);
+    expect(comparison.wordsAdded).toBe(4);
+    expect(comparison.wordsRemoved).toBe(1);
+  });
+
+  it('keeps an error flagged again on rewritten text as persisted', () => {
+    const rewritten = 'Yesterday I goed to the beach with my friends.';
+    const result = compareDrafts(
+      { text: DRAFT_1, issues: PREVIOUS },
+      { text: rewritten, issues: [issue('goed', 'grammar', rewritten, 'went')] },
+    );
+    expect(result.previousIssues.map(i => i.revision_status)).toEqual(['persisted', 'fixed']);
+    expect(result.issues[0].revision_status).toBe('persisted');
+  });
+});
+
+describe('error detection prompt', () => {
+  it('lists the earlier draft\'s errors only when there are some', () => {
+    const profile = { cefrLevel: 'B1' };
+    const prompt = buildSimpleErrorDetectionPrompt(profile, DRAFT_2, { previousIssues: PREVIOUS });
+    expect(prompt).toContain('freinds');
+    expect(prompt).toContain('went');
+    expect(buildSimpleErrorDetectionPrompt(profile, DRAFT_2)).not.toContain('revised draft');
+  });
+});
+
+describe('a first draft with edited highlights', () => {
+  // Draft 1 as saved after the teacher deleted the "go" highlight and
+  // marked "beach" themselves.
+  const graded = formatGradedEssay(DRAFT_1, { scores: {}, total: {}, inline_issues: PREVIOUS }, { editable: true });
+  const savedHTML = `<div><h3>Color-Coded Essay:</h3><div class="formatted-essay-content">${graded.formattedText
+    .replace(/<mark class="highlight-grammar[^>]*>go<\/mark>/, 'go')
+    .replace('beach', '<mark class="highlight-vocabulary" data-category="vocabulary" data-original-text="beach">beach</mark>')}</div></div>`;
+  const edited = readHighlightsFromHTML(savedHTML, DRAFT_1);
+
+  it('regrades with the highlights the teacher left', () => {
+    const prompt = buildSimpleErrorDetectionPrompt({ cefrLevel: 'B1' }, DRAFT_2, { previousIssues: edited });
+    expect(prompt).toContain('- vocabulary: "beach"\n');
+    expect(prompt).toContain('- spelling: "freinds" → "friends"');
+    expect(prompt).not.toContain('- grammar: "go"');
+  });
+
+  it('compares the new draft with them', () => {
+    const comparison = compareDrafts({ text: DRAFT_1, issues: edited }, { text: DRAFT_2, issues: CURRENT });
+    expect(comparison.fixed).toEqual([]);
+    expect(comparison.issues.map(i => [i.text, i.revision_status])).toEqual([
+      ['freinds', 'persisted'],
+      ['swimmed', 'introduced'],
+      ['beach', 'persisted'],
+    ]);
+  });
+
+  it('reads them past caret markers and highlights with spans inside', () => {
+    const nested = savedHTML
+      .replace(' with', '<span class="caret-marker" data-type="punctuation"><span class="caret-icon">▿</span> comma</span> with')
+      .replace('>beach</mark>', '><span class="vocabulary-word">beach</span></mark>');
+    expect(readHighlightsFromHTML(nested, DRAFT_1)).toEqual(edited);
+    expect(edited.map(i => i.text)).toEqual(['beach', 'freinds']);
+  });
+});
+
+describe('formatter', () => {
+  const comparison = compareDrafts({ text: DRAFT_1, issues: PREVIOUS }, { text: DRAFT_2, issues: CURRENT });
+  const result = {
+    scores: { grammar: { points: 12, out_of: 15 } },
+    total: { points: 12, out_of: 15 },
+    inline_issues: comparison.issues,
+    revision: {
+      draft: 2,
+      previous_total: { points: 10, out_of: 15 },
+      previous_scores: { grammar: 10 },
+      counts: comparison.counts,
+      by_category: comparison.byCategory,
+      fixed: comparison.fixed,
+      changes: comparison.changes,
+    },
+  };
+
+  it('shows the score change and what was fixed alongside the new score', () => {
+    const { feedbackSummary } = formatGradedEssay(DRAFT_2, result, { editable: true });
+    expect(feedbackSummary).toContain('revision-summary');
+    expect(feedbackSummary).toContain('Previous draft: 10/15');
+    expect(feedbackSummary).toContain('+2');
+    expect(feedbackSummary).toMatch(/Fixed:<\/strong>.*go/s);
+  });
+
+  it('marks each highlight with its status in the teacher and student views', () => {
+    for (const editable of [true, false]) {
+      const { formattedText } = formatGradedEssay(DRAFT_2, result, { editable });
+      expect(formattedText).toMatch(/data-revision="introduced"[^>]*>swimmed<\/mark>/);
+      expect(formattedText).toMatch(/data-revision="persisted"[^>]*>freinds<\/mark>/);
+    }
+  });
+
+  it('has no revision summary for a first draft', () => {
+    const { feedbackSummary, formattedText } = formatGradedEssay(DRAFT_1, { ...result, revision: undefined, inline_issues: PREVIOUS }, { editable: true });
+    expect(feedbackSummary).not.toContain('revision-summary');
+    expect(formattedText).not.toContain('data-revision');
+  });
+});
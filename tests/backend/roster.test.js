@@ -0,0 +1,95 @@
+/**
+ * Class rosters (src/services/roster.js) — parsing pasted rosters and
+ * matching the names teachers type on essays to roster entries.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { matchStudent, matchEssaysToRoster, normalizeName, parseRoster } from '../../src/services/roster.js';
+
+const ROSTER = [
+  { id: 's1', name: 'María García', externalId: '1001', aliases: ['Mari'] },
+  { id: 's2', name: 'Jonathan Lee', externalId: null, aliases: [] },
+  { id: 's3', name: 'Kenji Sato', externalId: 'kenji@school.jp', aliases: [] },
+  { id: 's4', name: 'Kenta Sato', externalId: null, aliases: [] },
+  { id: 's5', name: 'Anna Berg', externalId: null, aliases: [] },
+  { id: 's6', name: 'Anna Kowalski', externalId: null, aliases: [] },
+];
+
+describe('normalizeName', () => {
+  it('ignores case, accents, punctuation and spacing', () => {
+    expect(normalizeName('  García,  MARÍA ')).toBe('garcia maria');
+    expect(normalizeName("O'Brien-Smith")).toBe('o brien smith');
+  });
+});
+
+describe('matchStudent', () => {
+  it.each([
+    ['maria garcia', 's1', 'exact'],
+    ['1001', 's1', 'external_id'],
+    ['KENJI@school.jp', 's3', 'external_id'],
+    ['Mari', 's1', 'alias'],
+    ['García, María', 's1', 'reordered'],
+    ['Jonathan', 's2', 'first_name'],
+    ['Jonathon Lee', 's2', 'fuzzy'],
+    ['Kenji Satou', 's3', 'fuzzy'],
+  ])('matches "%s"', (typed, id, method) => {
+    const { student, method: how } = matchStudent(typed, ROSTER);
+    expect(student?.id).toBe(id);
+    expect(how).toBe(method);
+  });
+
+  it('leaves ambiguous names unmatched and reports the candidates', () => {
+    expect(matchStudent('Anna', ROSTER)).toEqual({ student: null, method: null, candidates: ['s5', 's6'] });
+    // One typo from both Satos.
+    expect(matchStudent('Kenti Sato', ROSTER)).toMatchObject({ student: null, candidates: ['s3', 's4'] });
+  });
+
+  it('does not guess when nothing is close', () => {
+    expect(matchStudent('Student 3', ROSTER)).toEqual({ student: null, method: null, candidates: [] });
+    expect(matchStudent('', ROSTER).student).toBeNull();
+    expect(matchStudent('Maria Garcia', []).student).toBeNull();
+  });
+});
+
+describe('matchEssaysToRoster', () => {
+  it('keeps a chosen student only when it is on the roster, and falls back to the nickname', () => {
+    const matches = matchEssaysToRoster([
+      { studentName: 'Essay 1', studentId: 's2' },
+      { studentName: 'Maria Garcia', studentId: 'someone-elses' },
+      { studentName: 'Student 3', studentNickname: 'Mari' },
+      { studentName: 'Anna' },
+    ], ROSTER);
+    expect(matches).toEqual([
+      { studentId: 's2', method: 'provided' },
+      { studentId: 's1', method: 'exact' },
+      { studentId: 's1', method: 'alias' },
+      { studentId: null, method: null, candidates: ['s5', 's6'] },
+    ]);
+  });
+});
+
+describe('parseRoster', () => {
+  it('reads one name per line, with optional tab-separated id and nicknames', () => {
+    const { students, skipped } = parseRoster('García, María\t1001\tMari; Mery\n\n# comment\nJonathan Lee\n');
+    expect(students).toEqual([
+      { name: 'García, María', externalId: '1001', aliases: ['Mari', 'Mery'] },
+      { name: 'Jonathan Lee', externalId: null, aliases: [] },
+    ]);
+    expect(skipped).toBe(0);
+  });
+
+  it('reads a CSV export with a header row', () => {
+    const csv = 'Student ID,Last Name,First Name,Preferred Name\r\n1001,García,María,Mari\r\n1002,"Lee, Jr.",Jonathan,\r\n1003,,,\r\n';
+    expect(parseRoster(csv)).toEqual({
+      students: [
+        { name: 'María García', externalId: '1001', aliases: ['Mari'] },
+        { name: 'Jonathan Lee, Jr.', externalId: '1002', aliases: [] },
+      ],
+      skipped: 1,
+    });
+  });
+
+  it('reads a spreadsheet paste with a header row', () => {
+    expect(parseRoster('Name\tNickname\nKenji Sato\tKen').students)
+      .toEqual([{ name: 'Kenji Sato', externalId: null, aliases: ['Ken'] }]);
+  });
+});
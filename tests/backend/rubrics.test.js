@@ -0,0 +1,254 @@
+/**
+ * Editable rubrics (grader/rubrics.js) — validation, rubric-driven bands and
+ * point ranges, and a full offline grade against a teacher-edited rubric.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { DEFAULT_RUBRIC, validateRubric, normalizeRubric, rubricSnapshot } from '../../grader/rubrics.js';
+import { bandToPointRange, bandPointRanges, splitPoints, computeRubricBands } from '../../grader/scoring.js';
+import { buildGradingPrompt } from '../../grader/grading-prompt.js';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+
+const bands = (top) => [
+  { range: `${top}% - ${top - 4}%`, description: 'Excellent.' },
+  { range: `${top - 5}% - ${top - 9}%`, description: 'Good.' },
+  { range: `${top - 10}% - ${top - 14}%`, description: 'Fair.' },
+  { range: `${top - 15}% - ${top - 19}%`, description: 'Weak.' },
+  { range: `${top - 20}% - 0%`, description: 'Poor.' },
+];
+
+// Spelling-heavy rubric with a category the default doesn't have.
+const CUSTOM = {
+  label: 'Spelling Bee',
+  zero_rules: [],
+  categories: {
+    spelling: {
+      name: 'Spelling', weight: 40, description: 'Spelling accuracy.',
+      scoring: { type: 'error_count', thresholds: [0, 1, 2, 3] },
+      bands: bands(40),
+    },
+    grammar: {
+      name: 'Grammar', weight: 30, description: 'Grammar accuracy.',
+      scoring: { type: 'error_count', thresholds: [1, 2, 4, 6] },
+      bands: bands(30),
+    },
+    creativity: {
+      name: 'Creativity', weight: 30, description: 'Original ideas.',
+      scoring: { type: 'subjective' },
+      bands: bands(30),
+    },
+  },
+};
+
+// Four bands per category, with explicit point ranges and no labels.
+const FOUR_BAND = {
+  label: 'Four bands',
+  categories: {
+    spelling: {
+      name: 'Spelling', weight: 40, description: 'Spelling accuracy.',
+      scoring: { type: 'error_count', thresholds: [1, 3, 6] },
+      bands: splitPoints(40, 4).map(points => ({ points, description: 'Spelling band.' })),
+    },
+    grammar: {
+      name: 'Grammar', weight: 40, description: 'Grammar accuracy.',
+      scoring: { type: 'error_count', thresholds: [0, 2, 4] },
+      bands: [
+        { points: { min: 30, max: 40 }, description: 'Excellent.' },
+        { points: { min: 20, max: 29 }, description: 'Good.' },
+        { points: { min: 10, max: 19 }, description: 'Fair.' },
+        { points: { min: 0, max: 9 }, description: 'Poor.' },
+      ],
+    },
+    content: {
+      name: 'Content', weight: 20, description: 'Ideas and detail.',
+      scoring: { type: 'subjective' },
+      bands: [
+        { points: { min: 15, max: 20 }, description: 'Rich.' },
+        { points: { min: 10, max: 14 }, description: 'Adequate.' },
+        { points: { min: 5, max: 9 }, description: 'Thin.' },
+        { points: { min: 0, max: 4 }, description: 'Missing.' },
+      ],
+    },
+  },
+};
+
+describe('validateRubric', () => {
+  it('accepts the default rubric and a custom one', () => {
+    expect(validateRubric(DEFAULT_RUBRIC)).toEqual([]);
+    expect(validateRubric(CUSTOM)).toEqual([]);
+  });
+
+  it('requires weights that add up to 100', () => {
+    const def = structuredClone(CUSTOM);
+    def.categories.creativity.weight = 20;
+    def.categories.creativity.bands = bands(20);
+    expect(validateRubric(def)).toEqual(['Category weights must add up to 100 (currently 90)']);
+  });
+
+  it('only allows error_count on categories the detector flags', () => {
+    const def = structuredClone(CUSTOM);
+    def.categories.creativity.scoring = { type: 'error_count', thresholds: [1, 2, 3, 4] };
+    expect(validateRubric(def)).toEqual([
+      expect.stringContaining('error_count scoring is only available for'),
+    ]);
+  });
+
+  it('checks threshold order and band count', () => {
+    const def = structuredClone(CUSTOM);
+    def.categories.spelling.scoring.thresholds = [3, 2, 1, 0];
+    def.categories.grammar.bands = def.categories.grammar.bands.slice(0, 1);
+    expect(validateRubric(def)).toEqual([
+      'Category "Spelling": thresholds must be in ascending order',
+      'Category "Grammar": between 2 and 10 bands are required',
+    ]);
+  });
+
+  it('needs one threshold per band boundary', () => {
+    const def = structuredClone(FOUR_BAND);
+    def.categories.spelling.scoring.thresholds = [0, 1, 2, 3];
+    expect(validateRubric(FOUR_BAND)).toEqual([]);
+    expect(validateRubric(def)).toEqual([
+      'Category "Spelling": thresholds must be 3 non-negative numbers (one fewer than the bands)',
+    ]);
+  });
+
+  it('checks declared band points cover the weight without overlapping', () => {
+    const def = structuredClone(FOUR_BAND);
+    def.categories.content.bands[1].points = { min: 10, max: 16 };
+    expect(validateRubric(def)).toEqual(['Category "Content": band 2 points overlap band 1']);
+
+    def.categories.content.bands[1].points = { min: 10, max: 14 };
+    def.categories.content.bands[0].points = { min: 15, max: 18 };
+    expect(validateRubric(def)).toEqual([
+      'Category "Content": the top band must reach 20 points and the bottom band 0',
+    ]);
+  });
+});
+
+describe('band engine', () => {
+  it('splits any weight evenly, matching the default tables', () => {
+    expect(splitPoints(15)).toEqual(bandPointRanges(15, DEFAULT_RUBRIC.categories.grammar.bands));
+    expect(splitPoints(10)).toEqual(bandPointRanges(10, DEFAULT_RUBRIC.categories.fluency.bands));
+    expect(splitPoints(20)).toEqual([
+      { min: 17, max: 20 }, { min: 13, max: 16 }, { min: 9, max: 12 }, { min: 5, max: 8 }, { min: 0, max: 4 },
+    ]);
+    expect(splitPoints(15, 4)).toEqual([
+      { min: 12, max: 15 }, { min: 8, max: 11 }, { min: 4, max: 7 }, { min: 0, max: 3 },
+    ]);
+  });
+
+  it('prefers declared points over the band label', () => {
+    const bands = [
+      { range: '20% - 16%', points: { min: 18, max: 20 }, description: 'A' },
+      { range: '15% - 0%', description: 'B' },
+    ];
+    expect(bandPointRanges(20, bands)).toEqual([{ min: 18, max: 20 }, { min: 0, max: 15 }]);
+  });
+
+  it('clamps band numbers to the category band count', () => {
+    const bands = FOUR_BAND.categories.content.bands;
+    expect(bandToPointRange(4, 20, bands)).toEqual({ min: 0, max: 4 });
+    expect(bandToPointRange(5, 20, bands)).toEqual({ min: 0, max: 4 });
+    expect(bandToPointRange(0, 20, bands)).toEqual({ min: 15, max: 20 });
+  });
+
+  it('bands and scores a 4-band rubric with a 20-point Content category', async () => {
+    expect(computeRubricBands(FOUR_BAND, { errorCounts: { spelling: 9, grammar: 3 } })).toEqual({
+      spelling: { band: 4, errorCount: 9 },
+      grammar: { band: 3, errorCount: 3 },
+      content: { band: null },
+    });
+
+    const rubric = normalizeRubric(FOUR_BAND);
+    expect(rubric.categories.grammar.bands.map(b => b.range)).toEqual([
+      '40% - 30%', '29% - 20%', '19% - 10%', '9% - 0%',
+    ]);
+
+    const result = await gradeEssaySimple('my freind and i went to the the park.', { cefrLevel: 'B2' }, null, null, { rubric });
+    for (const [id, category] of Object.entries(rubric.categories)) {
+      const score = result.scores[id];
+      expect(score.out_of).toBe(category.weight);
+      expect(score.points).toBeGreaterThanOrEqual(0);
+      expect(score.points).toBeLessThanOrEqual(category.weight);
+    }
+  });
+});
+
+describe('rubric-driven scoring', () => {
+  it('bands counts with the rubric thresholds', () => {
+    const result = computeRubricBands(CUSTOM, { errorCounts: { spelling: 2, grammar: 1 } });
+    expect(result).toEqual({
+      spelling: { band: 3, errorCount: 2 },
+      grammar: { band: 1, errorCount: 1 },
+      creativity: { band: null },
+    });
+  });
+
+  it('matches the default thresholds when using rubric.json', () => {
+    const result = computeRubricBands(DEFAULT_RUBRIC, {
+      errorCounts: { grammar: 6, spelling: 11, mechanics: 0 },
+      hasClassGrammar: false,
+      hasClassVocabulary: true,
+      classVocabUsedCount: 7,
+      wordCount: 181,
+      targetMin: 200,
+      targetMax: 220,
+      transitionWordCount: 5,
+    });
+    expect(result.grammar.band).toBe(3);
+    expect(result.spelling.band).toBe(5);
+    expect(result.mechanics.band).toBe(1);
+    expect(result.vocabulary.band).toBe(2);
+    expect(result.layout).toEqual({ band: 4, lengthBand: 4, transitionBand: 2 });
+  });
+
+  it('takes point ranges from the band labels', () => {
+    expect(bandToPointRange(2, 40, CUSTOM.categories.spelling.bands)).toEqual({ min: 31, max: 35 });
+    expect(bandToPointRange(5, 15)).toEqual({ min: 0, max: 3 });
+  });
+
+  it('builds the grading prompt from the rubric categories', () => {
+    const prompt = buildGradingPrompt(
+      normalizeRubric(CUSTOM),
+      { prompt: 'Describe your town.', vocabulary: [], grammar: [] },
+      'B2',
+      'Essay text.',
+      { inline_issues: [] },
+      null,
+      100,
+      {
+        errorCounts: {},
+        bands: { spelling: 1, grammar: 1, creativity: null },
+        layout: null,
+        pointRangeFor: (id, band) => bandToPointRange(band, CUSTOM.categories[id].weight, CUSTOM.categories[id].bands),
+      }
+    );
+
+    expect(prompt).toContain('- Spelling: out_of = 40');
+    expect(prompt).toContain('"creativity": {"points": X, "out_of": 30');
+    expect(prompt).toContain('- **Spelling**: 0 errors → band 1 → score in 36-40 range');
+    expect(prompt).toMatch(/\*\*Creativity\*\* \(30 points\).*band 1 → 26-30/);
+    expect(prompt).not.toContain('"fluency"');
+    expect(prompt).not.toContain('Transition words:');
+    expect(prompt).toContain('## ZERO SCORE RULES (automatic 0 if any apply):\n- None');
+  });
+});
+
+describe('grading with an edited rubric', () => {
+  const ESSAY = 'my freind and i went to the the park. We recieve a gift.';
+
+  it('scores, labels and renders every category from the rubric', async () => {
+    const rubric = normalizeRubric(CUSTOM, { id: 'rub_1', version: 3 });
+    const result = await gradeEssaySimple(ESSAY, { cefrLevel: 'B2' }, null, null, { rubric });
+
+    expect(Object.keys(result.scores)).toEqual(['spelling', 'grammar', 'creativity']);
+    expect(result.scores.spelling.out_of).toBe(40);
+    expect(result.total.out_of).toBe(100);
+    expect(result.rubric).toEqual(rubricSnapshot(rubric));
+    expect(result.rubric).toMatchObject({ id: 'rub_1', version: 3 });
+
+    const { feedbackSummary } = formatGradedEssay(ESSAY, result, { editable: false });
+    expect(feedbackSummary).toContain('Creativity');
+    expect(feedbackSummary).not.toContain('Content &amp; Information');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Zero-rule screening (grader/screening.js) — the in-code checks, the mock
+ * topic check, and how a flagged grade is held for the teacher to confirm.
+ */
+import { describe, expect, it } from '@jest/globals';
+import {
+  matchZeroRules,
+  detectAllCaps,
+  findSimilarTexts,
+  screenEssay,
+} from '../../grader/screening.js';
+import { DEFAULT_RUBRIC } from '../../grader/rubrics.js';
+import { isOwnSave } from '../../grader/similarity.js';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+import { applyTemperatureAdjustment } from '../../src/services/temperatureService.js';
+
+const ESSAY = 'Last summer my family travelled to the mountains near our town. ' +
+  'We stayed in a small wooden house beside a lake and went walking every morning. ' +
+  'My brother caught a fish and my mother cooked it for dinner that night.';
+const PROFILE = { cefrLevel: 'B1', vocabulary: [], grammar: [], prompt: 'Write about a holiday with your family.' };
+
+describe('zero-rule checks', () => {
+  it('maps the default zero rules to their checks', () => {
+    expect(matchZeroRules(DEFAULT_RUBRIC.zero_rules)).toEqual({
+      ai_generated: 'Use Artificial Intelligence',
+      all_caps: 'Write only in capital letters',
+      plagiarism: 'Plagiarism or copying from another source',
+      off_topic: 'Off-topic: writing about a different topic than assigned',
+    });
+    expect(matchZeroRules(['No AI tools', 'Copying from a classmate'])).toEqual({
+      ai_generated: 'No AI tools',
+      plagiarism: 'Copying from a classmate',
+    });
+  });
+
+  it('detects essays written in capitals', () => {
+    expect(detectAllCaps(ESSAY.toUpperCase())).toEqual({ ratio: 1 });
+    expect(detectAllCaps(ESSAY)).toBeNull();
+    expect(detectAllCaps('HELLO WORLD')).toBeNull(); // too short to judge
+  });
+
+  it('finds copied text by shingle containment', () => {
+    const copied = `${ESSAY} It was the best holiday I have ever had.`;
+    const matches = findSimilarTexts(ESSAY, [
+      { source: 'saved', id: 'e1', label: 'Ben', text: copied },
+      { source: 'batch', id: 'e2', label: 'Cara', text: 'My favourite food is pizza because it is quick to make and tastes great with friends on a Friday night.' },
+    ]);
+    expect(matches).toEqual([{ source: 'saved', id: 'e1', label: 'Ben', similarity: 1 }]);
+  });
+
+  it('only runs the checks the rubric declares', async () => {
+    const screening = await screenEssay(ESSAY.toUpperCase(), { rubric: { zero_rules: [] } });
+    expect(screening).toEqual({ status: 'clear', zeroed: false, flags: [], _usage: null });
+  });
+
+  it('flags an off-topic essay without zeroing it', async () => {
+    const screening = await screenEssay(ESSAY, {
+      rubric: DEFAULT_RUBRIC,
+      assignmentPrompt: 'Describe the advantages of electric cars.',
+    });
+    expect(screening.status).toBe('pending');
+    expect(screening.zeroed).toBe(false);
+    expect(screening.flags).toEqual([
+      expect.objectContaining({ check: 'off_topic', rule: DEFAULT_RUBRIC.zero_rules[3], action: 'flag' }),
+    ]);
+  });
+});
+
+describe('screened grading', () => {
+  it('zeroes an all-caps essay and holds the computed scores for the teacher', async () => {
+    const result = await gradeEssaySimple(ESSAY.toUpperCase(), PROFILE);
+
+    expect(result.total.points).toBe(0);
+    expect(Object.values(result.scores).every(s => s.points === 0)).toBe(true);
+    expect(result.screening).toMatchObject({ status: 'pending', zeroed: true });
+    expect(result.screening.flags.map(f => f.check)).toEqual(['all_caps']);
+    const held = Object.values(result.screening.original_scores).reduce((a, b) => a + b, 0);
+    expect(held).toBe(result.screening.original_total);
+    expect(held).toBeGreaterThan(0);
+
+    const { feedbackSummary } = formatGradedEssay(ESSAY.toUpperCase(), result, { editable: true });
+    expect(feedbackSummary).toContain('data-screening-status="pending"');
+    expect(feedbackSummary).toContain('Confirm zero');
+  });
+
+  it('flags copying from the screening corpus', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE, null, null, {
+      screeningCorpus: [{ source: 'batch', id: 'e9', label: 'Dana', text: ESSAY }],
+    });
+    expect(result.screening.flags).toEqual([
+      expect.objectContaining({ check: 'plagiarism', action: 'zero', reason: expect.stringContaining('Dana') }),
+    ]);
+  });
+
+  it('doesn\'t zero a regrade for matching the student\'s own saved essays', async () => {
+    // Saved essays as savedEssayService.getEssayTextsForScreening returns them.
+    const saved = [
+      { source: 'saved', id: 'saved-1', label: 'Ana Lopez', studentId: 'stu-ana', text: ESSAY },
+      { source: 'saved', id: 'saved-2', label: 'ana lópez', studentId: null, text: ESSAY },
+      { source: 'saved', id: 'saved-3', label: 'Dana', studentId: 'stu-dana', text: 'My favourite food is pasta with tomato sauce and cheese. I eat it every Sunday with my grandmother at her house.' },
+    ];
+    // Regrading saved-2 under a differently typed name, now linked to the roster.
+    const corpus = saved.filter(entry => !isOwnSave(entry, { id: 'saved-2', studentId: 'stu-ana', label: 'Ana López' }));
+    expect(corpus.map(entry => entry.id)).toEqual(['saved-3']);
+
+    const result = await gradeEssaySimple(ESSAY, PROFILE, null, null, { screeningCorpus: corpus });
+    expect(result.screening).toBeUndefined();
+
+    const unfiltered = await gradeEssaySimple(ESSAY, PROFILE, null, null, { screeningCorpus: saved });
+    expect(unfiltered.screening.flags).toEqual([expect.objectContaining({ check: 'plagiarism', action: 'zero' })]);
+  });
+
+  it('leaves a clean essay unflagged', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE);
+    expect(result.screening).toBeUndefined();
+    expect(result.total.points).toBeGreaterThan(0);
+  });
+
+  it('applies the grade temperature to held-back scores, not the zero', () => {
+    const result = {
+      scores: { grammar: { points: 0, out_of: 50 }, content: { points: 0, out_of: 50 } },
+      total: { points: 0, out_of: 100 },
+      screening: { status: 'pending', zeroed: true, flags: [], original_scores: { grammar: 40, content: 30 }, original_total: 70 },
+    };
+    const adjusted = applyTemperatureAdjustment(result, 1);
+    expect(adjusted.total.points).toBe(0);
+    expect(adjusted.screening.original_scores).toEqual({ grammar: 45, content: 35 });
+    expect(adjusted.screening.original_total).toBe(80);
+  });
+});
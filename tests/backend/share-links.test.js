@@ -0,0 +1,151 @@
+/**
+ * Student share links (src/services/shareLinks.js) — expiry, status, what a
+ * student may see of a graded result — and the read-only essay view the
+ * link opens (formatGradedEssay with editable: false).
+ */
+import { describe, expect, it } from '@jest/globals';
+import { shareExpiry, shareLinkStatus, shareLinkSummary, studentResult } from '../../src/services/shareLinks.js';
+import { readHighlightsFromHTML } from '../../src/services/savedEssayHTML.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const ESSAY = 'Yesterday I go to the beach with my freinds.';
+
+function result() {
+  return {
+    scores: {
+      grammar: { points: 12, out_of: 15, rationale: 'Tense errors throughout.' },
+      spelling: { points: 8, out_of: 10, rationale: '' },
+    },
+    total: { points: 20, out_of: 25 },
+    meta: { word_count: 9, transition_words_found: [] },
+    inline_issues: [
+      { category: 'grammar', text: 'go', start: 12, end: 14, correction: 'went', explanation: 'past tense',
+        agreement: { found_in: 2, runs: 3 } },
+      { category: 'spelling', text: 'freinds', start: 36, end: 43, correction: 'friends', explanation: '' },
+    ],
+    unresolved_issues: [{ category: 'grammar', text: 'he are', correction: 'he is' }],
+    screening: { status: 'pending', flags: [{ check: 'all_caps', rule: 'No capitals', reason: 'x', action: 'flag' }] },
+    teacher_notes: 'Good effort.',
+    teacher_notes_suggestion: 'Focus on grammar.',
+  };
+}
+
+describe('shareExpiry', () => {
+  it('defaults to 30 days and only allows the offered choices', () => {
+    expect(shareExpiry(undefined, NOW).expiresAt.toISOString()).toBe('2026-11-18T12:00:00.000Z');
+    expect(shareExpiry('7', NOW).expiresAt.toISOString()).toBe('2026-10-26T12:00:00.000Z');
+    expect(shareExpiry(5, NOW).error).toMatch('expiresInDays must be one of: 7, 30, 90, 365');
+  });
+});
+
+describe('shareLinkStatus', () => {
+  it('is revoked, expired or active', () => {
+    const link = { id: 'l1', createdAt: NOW, expiresAt: new Date('2026-10-20T00:00:00Z'), views: 2 };
+    expect(shareLinkStatus(link, NOW)).toBe('active');
+    expect(shareLinkStatus(link, new Date('2026-10-20T00:00:00Z'))).toBe('expired');
+    expect(shareLinkStatus({ ...link, revokedAt: NOW }, NOW)).toBe('revoked');
+    expect(shareLinkSummary(link, NOW)).toMatchObject({ id: 'l1', status: 'active', views: 2, revokedAt: null });
+  });
+});
+
+describe('studentResult', () => {
+  it('keeps scores, highlights and notes and drops what is for the teacher', () => {
+    const shared = studentResult(result());
+    expect(shared.scores).toEqual({ grammar: { points: 12, out_of: 15 }, spelling: { points: 8, out_of: 10 } });
+    expect(shared.total).toEqual({ points: 20, out_of: 25 });
+    expect(shared.teacher_notes).toBe('Good effort.');
+    expect(shared.inline_issues).toHaveLength(2);
+    expect(shared).not.toHaveProperty('meta');
+    expect(shared).not.toHaveProperty('screening');
+    expect(shared).not.toHaveProperty('unresolved_issues');
+    expect(shared).not.toHaveProperty('teacher_notes_suggestion');
+  });
+
+  it('applies the teacher\'s edits to scores, total and notes', () => {
+    const shared = studentResult(result(), { scores: { grammar: 14 }, teacherNotes: 'Much better!' });
+    expect(shared.scores.grammar.points).toBe(14);
+    expect(shared.total).toEqual({ points: 22, out_of: 25 });
+    expect(shared.teacher_notes).toBe('Much better!');
+  });
+});
+
+describe('highlights edited before sharing', () => {
+  // The essay as saved from the results page, with the teacher's edit controls.
+  const teacher = formatGradedEssay(ESSAY, result(), { editable: true });
+  const saved = `<div>${teacher.feedbackSummary}<h3>Color-Coded Essay:</h3>` +
+    `<div class="formatted-essay-content" data-essay-index="0">${teacher.formattedText}</div>` +
+    '<div class="color-legend">Grammar Spelling</div></div>';
+
+  // Delete the "go" highlight and add one on "beach".
+  const edited = saved
+    .replace(/<mark class="highlight-grammar[^>]*>go<\/mark>/, 'go')
+    .replace('beach', '<mark class="highlight-vocabulary" data-category="vocabulary" data-original-text="beach">beach</mark>');
+
+  it('reads the highlights the teacher left in the saved HTML', () => {
+    expect(readHighlightsFromHTML(saved, ESSAY).map(i => [i.text, i.start, i.correction])).toEqual([
+      ['go', 12, 'went'],
+      ['freinds', 36, 'friends'],
+    ]);
+    expect(readHighlightsFromHTML(edited, ESSAY)).toEqual([
+      { category: 'vocabulary', text: 'beach', start: 22, end: 27, correction: '', explanation: '' },
+      { category: 'spelling', text: 'freinds', start: 36, end: 43, correction: 'friends', explanation: '' },
+    ]);
+  });
+
+  it('shows the student the edited highlights, not the graded ones', () => {
+    const shared = studentResult(result(), { highlights: readHighlightsFromHTML(edited, ESSAY) });
+    const { formattedText } = formatGradedEssay(ESSAY, shared, { editable: false });
+    expect(formattedText).toMatch(/<mark class="highlight-vocabulary highlight" [^>]*>beach<\/mark>/);
+    expect(formattedText).toMatch(/>freinds<\/mark>/);
+    expect(formattedText).not.toContain('highlight-grammar');
+  });
+
+  it('skips a caret marker with spans inside it up to its own closing tag', () => {
+    const caret = '<span class="caret-marker" data-type="punctuation"><span class="caret-icon">▿</span> add a comma</span>';
+    const withCaret = edited.replace(' with', `${caret} with`);
+    expect(withCaret).toContain(caret);
+    expect(readHighlightsFromHTML(withCaret, ESSAY)).toEqual(readHighlightsFromHTML(edited, ESSAY));
+  });
+
+  it('keeps character references that name no character as written', () => {
+    const outOfRange = edited.replace('data-original-text="beach"', 'data-original-text="beach" data-correction="&#99999999; &#xD800;"');
+    expect(readHighlightsFromHTML(outOfRange, ESSAY)[0].correction).toBe('&#99999999; &#xD800;');
+    expect(readHighlightsFromHTML(edited.replace('>freinds<', '>freinds&#99999999;<'), ESSAY)).toBeNull();
+  });
+
+  it('falls back to the graded highlights when the HTML has no essay or a different one', () => {
+    expect(readHighlightsFromHTML('<div class="teacher-notes"></div>', ESSAY)).toBeNull();
+    expect(readHighlightsFromHTML(edited, ESSAY.replace('beach', 'sea'))).toBeNull();
+    expect(studentResult(result(), { highlights: null }).inline_issues).toHaveLength(2);
+  });
+});
+
+describe('read-only essay view', () => {
+  const { formattedText, feedbackSummary } = formatGradedEssay(ESSAY, studentResult(result()), { editable: false });
+
+  it('keeps what tap-to-reveal shows on each highlight', () => {
+    expect(formattedText).toMatch(/<mark class="highlight-grammar highlight" [^>]*data-correction="went" data-explanation="past tense"[^>]*>go<\/mark>/);
+    expect(formattedText).not.toMatch(/title=|data-message|data-notes|data-original-text|data-agreement|data-editable/);
+  });
+
+  it('has the grade and notes but no edit controls or teacher-only parts', () => {
+    expect(feedbackSummary).toContain('20/25');
+    expect(feedbackSummary).toContain('Good effort.');
+    expect(feedbackSummary).toContain('12/15');
+    expect(feedbackSummary).not.toMatch(/onclick|editable-|<input|<textarea|stats-row|screening-banner|unresolved-issues/);
+    expect(feedbackSummary).not.toContain('Tense errors throughout.');
+  });
+
+  it('leaves empty teacher notes out', () => {
+    const summary = formatGradedEssay(ESSAY, { ...studentResult(result()), teacher_notes: '' }, { editable: false }).feedbackSummary;
+    expect(summary).not.toContain('Teacher Notes');
+  });
+
+  it('still renders the screening banner and stats for the teacher', () => {
+    const teacher = formatGradedEssay(ESSAY, result(), { editable: true });
+    expect(teacher.feedbackSummary).toContain('screening-banner');
+    expect(teacher.feedbackSummary).toContain('stats-row');
+    expect(teacher.formattedText).toContain('data-agreement="2/3"');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Near-duplicate detection (grader/similarity.js) — pairwise scores and the
+ * overlapping passages the batch similarity report highlights.
+ */
+import { describe, expect, it } from '@jest/globals';
+import { tokenize, compareTexts, findNearDuplicates } from '../../grader/similarity.js';
+
+const HOLIDAY = 'Last summer my family travelled to the mountains near our town. ' +
+  'We stayed in a small wooden house beside a lake and went walking every morning. ' +
+  'My brother caught a fish and my mother cooked it for dinner that night.';
+const PIZZA = 'My favourite food is pizza because it is quick to make and tastes great. ' +
+  'On Friday nights my friends come over and we choose the toppings together. ' +
+  'Sometimes we try strange ones like pineapple or sweetcorn, but cheese is best.';
+const PARTLY_COPIED = 'In the holidays I did not do much at home. ' +
+  'We stayed in a small wooden house beside a lake and went walking every morning. ' +
+  'After that we drove back to the city and I started school again on Monday.';
+
+describe('compareTexts', () => {
+  it('tokenizes words with their character offsets', () => {
+    expect(tokenize("Don't stop, Ben!")).toEqual([
+      { word: "don't", start: 0, end: 5 },
+      { word: 'stop', start: 6, end: 10 },
+      { word: 'ben', start: 12, end: 15 },
+    ]);
+  });
+
+  it('scores identical texts as fully similar', () => {
+    const result = compareTexts(HOLIDAY, HOLIDAY);
+    expect(result).toMatchObject({ similarity: 1, aCoverage: 1, bCoverage: 1 });
+    expect(result.aRanges).toEqual([{ start: 0, end: HOLIDAY.length - 1 }]); // up to the final full stop
+  });
+
+  it('scores unrelated texts as dissimilar', () => {
+    expect(compareTexts(HOLIDAY, PIZZA)).toMatchObject({ similarity: 0, aRanges: [], bRanges: [] });
+  });
+
+  it('locates a shared passage in both texts', () => {
+    const passage = 'We stayed in a small wooden house beside a lake and went walking every morning';
+    const result = compareTexts(HOLIDAY, PARTLY_COPIED);
+
+    expect(result.aRanges).toEqual([{ start: HOLIDAY.indexOf(passage), end: HOLIDAY.indexOf(passage) + passage.length }]);
+    expect(result.bRanges).toEqual([{ start: PARTLY_COPIED.indexOf(passage), end: PARTLY_COPIED.indexOf(passage) + passage.length }]);
+    expect(result.similarity).toBeGreaterThan(0.2);
+    expect(result.similarity).toBeLessThan(1);
+  });
+
+  it('ignores case and punctuation', () => {
+    const shouted = HOLIDAY.toUpperCase().replace(/\./g, '!');
+    expect(compareTexts(HOLIDAY, shouted).similarity).toBe(1);
+  });
+
+  it('does not judge texts too short to compare', () => {
+    expect(compareTexts('I like dogs.', 'I like dogs.')).toBeNull();
+  });
+});
+
+describe('findNearDuplicates', () => {
+  const batch = [
+    { id: 'e1', label: 'Ana', text: HOLIDAY },
+    { id: 'e2', label: 'Ben', text: PIZZA },
+    { id: 'e3', label: 'Cara', text: `${HOLIDAY} It was the best holiday ever.` },
+  ];
+
+  it('reports copied pairs within the batch, most similar first', () => {
+    const pairs = findNearDuplicates(batch);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0]).toMatchObject({
+      a: { source: 'batch', id: 'e1', label: 'Ana' },
+      b: { source: 'batch', id: 'e3', label: 'Cara' },
+      similarity: 1,
+      aCoverage: 1,
+    });
+    expect(pairs[0].bCoverage).toBeLessThan(1);
+  });
+
+  it('compares against saved essays, returning their text', () => {
+    const history = [{ source: 'saved', id: 's1', label: 'Dev', text: PIZZA }];
+    const pairs = findNearDuplicates(batch, history);
+    expect(pairs.map(p => [p.a.id, p.b.id])).toEqual([['e1', 'e3'], ['e2', 's1']]);
+    expect(pairs[1].b).toEqual({ source: 'saved', id: 's1', label: 'Dev', text: PIZZA });
+  });
+
+  it("skips a student's own saved essay", () => {
+    const history = [{ source: 'saved', id: 's2', label: 'Ben', text: PIZZA }];
+    expect(findNearDuplicates(batch, history).map(p => p.b.id)).toEqual(['e3']);
+  });
+
+  it("skips the student's own saved essay on a regrade under a differently typed name", () => {
+    const regrade = [
+      { id: 'e2', label: 'Benjamin', studentId: 'st-ben', text: PIZZA },
+      { id: 's3', label: 'Ana M.', studentId: null, text: HOLIDAY },
+    ];
+    const history = [
+      { source: 'saved', id: 's2', label: 'Ben', studentId: 'st-ben', text: PIZZA },
+      { source: 'saved', id: 's3', label: 'Ana', studentId: null, text: HOLIDAY },
+    ];
+    expect(findNearDuplicates(regrade, history)).toEqual([]);
+
+    // Another student's saved copy is still reported.
+    const copied = [{ source: 'saved', id: 's4', label: 'Cara', studentId: 'st-cara', text: PIZZA }];
+    expect(findNearDuplicates(regrade, copied).map(p => [p.a.id, p.b.id])).toEqual([['e2', 's4']]);
+  });
+
+  it('honours the report threshold', () => {
+    const essays = [{ id: 'e1', label: 'Ana', text: HOLIDAY }, { id: 'e4', label: 'Eli', text: PARTLY_COPIED }];
+    expect(findNearDuplicates(essays, [], { threshold: 0.2 })).toHaveLength(1);
+    expect(findNearDuplicates(essays, [], { threshold: 0.9 })).toHaveLength(0);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Paragraph, sentence and transition counts (grader/text-stats.js) — the
+ * in-code replacement for the GPT metrics fields, with offsets.
+ */
+import { describe, expect, it } from '@jest/globals';
+import {
+  transitionLexicon,
+  detectParagraphs,
+  segmentSentences,
+  analyzeText,
+} from '../../grader/text-stats.js';
+import { gradeEssaySimple } from '../../grader/grader-simple.js';
+import { formatGradedEssay } from '../../grader/formatter.js';
+
+const slices = (text, ranges) => ranges.map(r => text.slice(r.start, r.end));
+
+describe('paragraphs', () => {
+  it('splits on blank lines', () => {
+    const text = '  First paragraph.\n\nSecond one.\n   \nThird.\n';
+    expect(slices(text, detectParagraphs(text))).toEqual(['First paragraph.', 'Second one.', 'Third.']);
+  });
+
+  it('falls back to single line breaks when there are no blank lines', () => {
+    const text = 'One.\nTwo.\nThree.';
+    expect(detectParagraphs(text)).toHaveLength(3);
+  });
+});
+
+describe('sentences', () => {
+  it('does not split at abbreviations, initials or decimals', () => {
+    const text = 'Dr. Smith met us at 3.5 p.m. in the U.S. with J. K. Rowling. It rained, e.g. all day! Did we care? No.';
+    expect(slices(text, segmentSentences(text))).toEqual([
+      'Dr. Smith met us at 3.5 p.m. in the U.S. with J. K. Rowling.',
+      'It rained, e.g. all day!',
+      'Did we care?',
+      'No.',
+    ]);
+  });
+
+  it('ends a sentence at a paragraph break and keeps quotes with their sentence', () => {
+    const text = 'My Holiday\n\n"It was great," she said. We left... and came back.';
+    expect(slices(text, segmentSentences(text))).toEqual([
+      'My Holiday',
+      '"It was great," she said.',
+      'We left... and came back.',
+    ]);
+  });
+});
+
+describe('transitions', () => {
+  it('builds each level on the levels below it', () => {
+    expect(transitionLexicon('A1')).not.toContain('however');
+    expect(transitionLexicon('A2')).toEqual(expect.arrayContaining(['however', 'because']));
+    expect(transitionLexicon('C1')).toEqual(expect.arrayContaining(['hence', 'moreover', 'however']));
+    expect(transitionLexicon('unknown')).toEqual(transitionLexicon('C1'));
+  });
+
+  it('takes a custom lexicon', () => {
+    expect(transitionLexicon('B1', { A1: ['first'], B1: ['then again'] })).toEqual(['then again', 'first']);
+  });
+
+  it('finds each transition with offsets, preferring the longer phrase', () => {
+    const text = 'However, it rained. On the other hand, the hotel was nice. However, we left early.';
+    const stats = analyzeText(text, { cefrLevel: 'B1' });
+    expect(stats.transition_words_found).toEqual(['however', 'on the other hand']);
+    expect(stats.transitions.map(t => t.text)).toEqual(['However', 'On the other hand', 'However']);
+    for (const t of stats.transitions) expect(text.slice(t.start, t.end)).toBe(t.text);
+  });
+
+  it('only credits transitions at or below the class level', () => {
+    const text = 'The trip was long; hence we rested. Moreover, it rained.';
+    expect(analyzeText(text, { cefrLevel: 'A2' }).transition_words_found).toEqual([]);
+    expect(analyzeText(text, { cefrLevel: 'C1' }).transition_words_found).toEqual(['hence', 'moreover']);
+  });
+});
+
+describe('grading with counted metrics', () => {
+  const ESSAY = 'Last summer we went to the sea.\n\nFirst, we swam. However, it rained later. In conclusion, it was fun.';
+  const PROFILE = { cefrLevel: 'B1', vocabulary: [], grammar: [] };
+
+  it('counts paragraphs, sentences and transitions in code', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE);
+    expect(result.meta).toMatchObject({
+      paragraph_count: 2,
+      sentence_count: 4,
+      transition_words_found: ['first', 'however', 'later', 'in conclusion'],
+    });
+    expect(slices(ESSAY, result.meta.text_stats.paragraphs)).toEqual([
+      'Last summer we went to the sea.',
+      'First, we swam. However, it rained later. In conclusion, it was fun.',
+    ]);
+  });
+
+  it('marks transitions in the formatted essay and shows the counts', async () => {
+    const result = await gradeEssaySimple(ESSAY, PROFILE);
+    const { formattedText, feedbackSummary } = formatGradedEssay(ESSAY, result, { editable: true });
+    expect(formattedText).toContain('<span class="transition-match" data-transition-item="however" title="Transition: however" style="border-bottom: 2px dotted #7B1FA2;">However</span>');
+    expect(feedbackSummary).toContain('4 sentences · 2 paragraphs');
+  });
+});
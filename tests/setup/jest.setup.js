@@ -0,0 +1,11 @@
+/**
+ * Jest per-file setup (node env). Referenced by jest.config.js → setupFilesAfterEnv.
+ *
+ * Backend tests must never reach a real LLM: route every grading stage to the
+ * offline mock provider (grader/mock-provider.js) unless a test overrides it.
+ */
+process.env.LLM_PROVIDER = 'mock';
+for (const stage of ['DETECTION', 'METRICS', 'GRADING', 'SYLLABUS']) {
+  delete process.env[`LLM_PROVIDER_${stage}`];
+}
+delete process.env.LLM_RECORD_FIXTURES;
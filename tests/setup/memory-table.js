@@ -0,0 +1,55 @@
+/**
+ * memory-table — an in-memory stand-in for a Prisma model, for route tests
+ * that mock lib/prisma.js. Covers the calls the auth and LTI services make,
+ * with equality, null, { gt }, { gte } and compound unique keys in `where`.
+ */
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    const value = row[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      // A compound unique key: { issuer_subject: { issuer, subject } }
+      if (!('gt' in condition) && !('gte' in condition)) return matches(row, condition);
+      if ('gt' in condition && !(value > condition.gt)) return false;
+      if ('gte' in condition && !(value >= condition.gte)) return false;
+      return true;
+    }
+    return condition === null ? value == null : value === condition;
+  });
+}
+
+/**
+ * @param {Object<string, function(Object): Object>} [relations] - what each
+ *   name in an `include` resolves to for a row
+ */
+export function table(relations = {}) {
+  const rows = [];
+  let nextId = 1;
+  return {
+    rows,
+    async count({ where }) { return rows.filter(row => matches(row, where)).length; },
+    async create({ data }) {
+      const row = { id: `row-${nextId++}`, createdAt: new Date(), ...data };
+      rows.push(row);
+      return row;
+    },
+    async findUnique({ where, include = {} }) {
+      const row = rows.find(candidate => matches(candidate, where));
+      if (!row) return null;
+      const included = Object.keys(include).filter(name => include[name] && relations[name]);
+      return Object.assign({ ...row }, ...included.map(name => ({ [name]: relations[name](row) })));
+    },
+    async update({ where, data }) { return Object.assign(rows.find(row => matches(row, where)), data); },
+    async updateMany({ where, data }) {
+      const found = rows.filter(row => matches(row, where));
+      found.forEach(row => Object.assign(row, data));
+      return { count: found.length };
+    },
+    async deleteMany({ where }) {
+      const keep = rows.filter(row => !matches(row, where));
+      const count = rows.length - keep.length;
+      rows.splice(0, rows.length, ...keep);
+      return { count };
+    },
+  };
+}